@@ -7,6 +7,18 @@ const CHANNELS = {
   DUTY_LOGS: '1407218430825992243',
   // Channel for duty timeout warnings (pings admins who need to extend/end their session)
   DUTY_TIMEOUT_WARNINGS: '1407218430825992243', // Uses DUTY_LOGS by default, can be changed
+  // Channel for low-coverage alerts (populated servers with too few admins on duty)
+  COVERAGE_ALERTS: '1407218430825992243', // Uses DUTY_LOGS by default, can be changed
+  // Leadership channel for the weekly staff points target summary
+  DUTY_TARGETS: '1407218430825992243', // Uses DUTY_LOGS by default, can be changed
+  // Leadership channel for inactive staff reports (Mark Inactive / Restore buttons)
+  STAFF_INACTIVITY: '1407218430825992243', // Uses DUTY_LOGS by default, can be changed
+  // Channel for in-game !admin requests (Claim/Resolve buttons for on-duty staff)
+  ADMIN_REQUESTS: '1407218430825992243', // Uses DUTY_LOGS by default, can be changed
+  // Channel where ban appeals are posted for reviewer votes
+  BAN_APPEALS: '1407218430825992243', // Uses DUTY_LOGS by default, can be changed
+  // Channel where high-impact changes are posted for a second staff member to approve
+  CHANGE_APPROVALS: '1407218430825992243', // Uses DUTY_LOGS by default, can be changed
   // Voice channel to monitor for joins
   MONITORED_VOICE: '1407218548014579813',
   // Channel for bot activity logs (auto-linking, commands, etc.)
@@ -39,11 +51,16 @@ const NOTIFICATION_ROUTES = {
   // Duty-related notifications
   duty_status: 'DUTY_LOGS',
   duty_change: 'DUTY_LOGS',
+  coverage_alert: 'COVERAGE_ALERTS',
+  duty_target_report: 'DUTY_TARGETS',
+  staff_inactivity: 'STAFF_INACTIVITY',
+  admin_request: 'ADMIN_REQUESTS',
 
   // Bot operation logs
   tutor_management: 'BOT_LOGS',
   account_link: 'BOT_LOGS',
   whitelist: 'BOT_LOGS',
+  whitelist_change: 'BOT_LOGS',
   member_addition: 'MEMBER_ADDITION_LOGS',
   moderator_addition: 'MODERATOR_CHAT',
   command_usage: 'BOT_LOGS',
@@ -88,6 +105,20 @@ const TICKET_CONFIG = {
   CBL_TIMEOUT_MS: 5000                  // Timeout for CBL API calls in milliseconds
 };
 
+/**
+ * Ban appeal configuration
+ */
+const BAN_APPEAL_CONFIG = {
+  // Matching reviewer votes needed to accept or deny an appeal
+  VOTES_REQUIRED: 2,
+
+  // Days a player must wait after a denied appeal before appealing again
+  REAPPEAL_COOLDOWN_DAYS: 14,
+
+  // Timeout for BattleMetrics ban lookups in milliseconds
+  BATTLEMETRICS_TIMEOUT_MS: 5000
+};
+
 /**
  * Discord message links
  * Links to specific messages for reference
@@ -97,9 +128,30 @@ const MESSAGE_LINKS = {
   HOW_TO_DONATE: 'https://discord.com/channels/386598132231700481/1202285020480282706/1267563969304989716'
 };
 
+/**
+ * Two-person approval configuration
+ * Enabled actions create a pending change request instead of running immediately.
+ * A different staff member holding the same permission must approve it.
+ */
+const APPROVAL_CONFIG = {
+  // Granting whitelist with no expiry
+  WHITELIST_GRANT_PERMANENT: true,
+
+  // Revoking every whitelist entry for a player
+  WHITELIST_REVOKE_ALL: true,
+
+  // Changing the roles on a critical permission
+  CRITICAL_PERMISSION_CHANGE: true,
+
+  // Hours before an unreviewed request expires
+  EXPIRY_HOURS: 48
+};
+
 module.exports = {
   CHANNELS,
   NOTIFICATION_ROUTES,
   TICKET_CONFIG,
+  BAN_APPEAL_CONFIG,
+  APPROVAL_CONFIG,
   MESSAGE_LINKS
 };
\ No newline at end of file
@@ -6,6 +6,18 @@
 const CHANNELS = {
   // Channel where admin duty status changes are announced
   DUTY_LOGS: 'YOUR_DUTY_LOGS_CHANNEL_ID',
+  // Channel for low-coverage alerts (populated servers with too few admins on duty)
+  COVERAGE_ALERTS: 'YOUR_COVERAGE_ALERTS_CHANNEL_ID',
+  // Leadership channel for the weekly staff points target summary
+  DUTY_TARGETS: 'YOUR_DUTY_TARGETS_CHANNEL_ID',
+  // Leadership channel for inactive staff reports (Mark Inactive / Restore buttons)
+  STAFF_INACTIVITY: 'YOUR_STAFF_INACTIVITY_CHANNEL_ID',
+  // Channel for in-game !admin requests (Claim/Resolve buttons for on-duty staff)
+  ADMIN_REQUESTS: 'YOUR_ADMIN_REQUESTS_CHANNEL_ID',
+  // Channel where ban appeals are posted for reviewer votes
+  BAN_APPEALS: 'YOUR_BAN_APPEALS_CHANNEL_ID',
+  // Channel where high-impact changes are posted for a second staff member to approve
+  CHANGE_APPROVALS: 'YOUR_CHANGE_APPROVALS_CHANNEL_ID',
   // Voice channel to monitor for joins
   MONITORED_VOICE: 'YOUR_VOICE_CHANNEL_ID',  // Replace with the voice channel ID to monitor
 };
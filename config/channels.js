@@ -7,6 +7,18 @@ const CHANNELS = {
   DUTY_LOGS: '1402741241938051183',
   // Channel for duty timeout warnings (pings admins who need to extend/end their session)
   DUTY_TIMEOUT_WARNINGS: '1402741241938051183', // Uses DUTY_LOGS by default, can be changed
+  // Channel for low-coverage alerts (populated servers with too few admins on duty)
+  COVERAGE_ALERTS: '1402741241938051183', // Uses DUTY_LOGS by default, can be changed
+  // Leadership channel for the weekly staff points target summary
+  DUTY_TARGETS: '1402741241938051183', // Uses DUTY_LOGS by default, can be changed
+  // Leadership channel for inactive staff reports (Mark Inactive / Restore buttons)
+  STAFF_INACTIVITY: '1402741241938051183', // Uses DUTY_LOGS by default, can be changed
+  // Channel for in-game !admin requests (Claim/Resolve buttons for on-duty staff)
+  ADMIN_REQUESTS: '1402741241938051183', // Uses DUTY_LOGS by default, can be changed
+  // Channel where ban appeals are posted for reviewer votes
+  BAN_APPEALS: '1402741241938051183', // Uses DUTY_LOGS by default, can be changed
+  // Channel where high-impact changes are posted for a second staff member to approve
+  CHANGE_APPROVALS: '1402741241938051183', // Uses DUTY_LOGS by default, can be changed
   // Voice channel to monitor for joins
   MONITORED_VOICE: '1305677735707934822',  // Replace with the voice channel ID to monitor
   // Channel for bot activity logs (auto-linking, commands, etc.)
@@ -48,11 +60,16 @@ const NOTIFICATION_ROUTES = {
   // Duty-related notifications
   duty_status: 'DUTY_LOGS',
   duty_change: 'DUTY_LOGS',
+  coverage_alert: 'COVERAGE_ALERTS',
+  duty_target_report: 'DUTY_TARGETS',
+  staff_inactivity: 'STAFF_INACTIVITY',
+  admin_request: 'ADMIN_REQUESTS',
 
   // Bot operation logs
   tutor_management: 'BOT_LOGS',
   account_link: 'BOT_LOGS',
   whitelist: 'BOT_LOGS',
+  whitelist_change: 'BOT_LOGS',
   member_addition: 'MEMBER_ADDITION_LOGS',
   moderator_addition: 'MODERATOR_CHAT',
   command_usage: 'BOT_LOGS',
@@ -97,9 +114,44 @@ const TICKET_CONFIG = {
   CBL_TIMEOUT_MS: 5000                  // Timeout for CBL API calls in milliseconds
 };
 
+/**
+ * Ban appeal configuration
+ */
+const BAN_APPEAL_CONFIG = {
+  // Matching reviewer votes needed to accept or deny an appeal
+  VOTES_REQUIRED: 2,
+
+  // Days a player must wait after a denied appeal before appealing again
+  REAPPEAL_COOLDOWN_DAYS: 14,
+
+  // Timeout for BattleMetrics ban lookups in milliseconds
+  BATTLEMETRICS_TIMEOUT_MS: 5000
+};
+
+/**
+ * Two-person approval configuration
+ * Enabled actions create a pending change request instead of running immediately.
+ * A different staff member holding the same permission must approve it.
+ */
+const APPROVAL_CONFIG = {
+  // Granting whitelist with no expiry
+  WHITELIST_GRANT_PERMANENT: true,
+
+  // Revoking every whitelist entry for a player
+  WHITELIST_REVOKE_ALL: true,
+
+  // Changing the roles on a critical permission
+  CRITICAL_PERMISSION_CHANGE: true,
+
+  // Hours before an unreviewed request expires
+  EXPIRY_HOURS: 48
+};
+
 module.exports = {
   CHANNELS,
   NOTIFICATION_ROUTES,
   TICKET_CONFIG,
+  BAN_APPEAL_CONFIG,
+  APPROVAL_CONFIG,
   MESSAGE_LINKS
 };
\ No newline at end of file
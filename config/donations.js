@@ -35,6 +35,30 @@ const PRICING_TIERS = [
   }
 ];
 
+/**
+ * Recurring subscription tiers (Patreon, Ko-fi memberships, Tebex and Stripe subscriptions)
+ * Matched against the amount of each billing cycle. Every paid renewal grants the tier's
+ * duration again, so the whitelist keeps stacking for as long as the subscription runs.
+ */
+const SUBSCRIPTION_TIERS = [
+  {
+    minAmount: 5,
+    maxAmount: 9.99,
+    people: 1,
+    duration_value: 1,
+    duration_type: 'months',
+    description: '1 person, monthly'
+  },
+  {
+    minAmount: 10,
+    maxAmount: null,
+    people: 2,
+    duration_value: 1,
+    duration_type: 'months',
+    description: '2 people, monthly'
+  }
+];
+
 /**
  * Validation configuration
  */
@@ -43,7 +67,10 @@ const VALIDATION = {
   MIN_DONATION_AMOUNT: 10,
 
   // Maximum donation amount (for sanity check, null = no limit)
-  MAX_DONATION_AMOUNT: 10000
+  MAX_DONATION_AMOUNT: 10000,
+
+  // Minimum amount per billing cycle for recurring subscriptions
+  MIN_SUBSCRIPTION_AMOUNT: 5
 };
 
 /**
@@ -75,6 +102,15 @@ const VALIDATION = {
  * When to disable:
  * - Development/testing (easier to test with curl)
  * - If your donation platform doesn't support custom headers/params
+ *
+ * PLATFORM SIGNATURES:
+ * Each platform has its own endpoint and is verified with its own secret from .env:
+ * - Ko-fi:   POST /webhook/donations or /webhook/donations/kofi  (KOFI_VERIFICATION_TOKEN)
+ * - Patreon: POST /webhook/donations/patreon  (PATREON_WEBHOOK_SECRET)
+ * - Tebex:   POST /webhook/donations/tebex    (TEBEX_WEBHOOK_SECRET)
+ * - Stripe:  POST /webhook/donations/stripe   (STRIPE_WEBHOOK_SECRET)
+ * - Generic: POST /webhook/donations/generic  (DONATION_WEBHOOK_SECRET)
+ * Ko-fi requests carry no signature, so the shared token above only applies to Ko-fi.
  */
 const SECURITY = {
   // Enable webhook token validation (recommended for production)
@@ -87,11 +123,12 @@ const SECURITY = {
 /**
  * Calculate expected Steam IDs for a given donation amount
  * @param {number} amount - Donation amount in dollars
+ * @param {Array<Object>} tiers - Tier list to match against (defaults to one-off pricing)
  * @returns {number} Expected number of Steam IDs
  */
-function calculateExpectedSteamIds(amount) {
+function calculateExpectedSteamIds(amount, tiers = PRICING_TIERS) {
   // Find the matching tier
-  for (const tier of PRICING_TIERS) {
+  for (const tier of tiers) {
     if (amount >= tier.minAmount && (tier.maxAmount === null || amount <= tier.maxAmount)) {
       // If tier has additionalPersonCost, calculate extra people
       if (tier.additionalPersonCost && amount > tier.minAmount) {
@@ -109,10 +146,11 @@ function calculateExpectedSteamIds(amount) {
 /**
  * Get tier information for a given donation amount
  * @param {number} amount - Donation amount in dollars
+ * @param {Array<Object>} tiers - Tier list to match against (defaults to one-off pricing)
  * @returns {Object|null} Tier object or null if no match
  */
-function getTierForAmount(amount) {
-  for (const tier of PRICING_TIERS) {
+function getTierForAmount(amount, tiers = PRICING_TIERS) {
+  for (const tier of tiers) {
     if (amount >= tier.minAmount && (tier.maxAmount === null || amount <= tier.maxAmount)) {
       return tier;
     }
@@ -122,6 +160,7 @@ function getTierForAmount(amount) {
 
 module.exports = {
   PRICING_TIERS,
+  SUBSCRIPTION_TIERS,
   VALIDATION,
   SECURITY,
   calculateExpectedSteamIds,
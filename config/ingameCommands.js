@@ -0,0 +1,21 @@
+/**
+ * In-game chat command configuration
+ * Text used by informational commands (!discord, !rules, etc.)
+ * Per-server enable/disable is managed from the dashboard Connections page.
+ */
+const INGAME_COMMANDS = {
+  // Short invite shown in-game (RCON warns do not render links, keep it typeable)
+  discordInvite: 'discord.gg/bbucket',
+
+  // Lines sent to the player for !rules (each line is sent as a separate warn)
+  rules: [
+    'Be respectful to all players and admins. No racism, slurs or harassment.',
+    'No intentional team-killing, ghosting, stream sniping or exploiting.',
+    'Squad leaders must have a working mic and communicate with their squad.',
+    'Full rules are in #rules on our Discord: discord.gg/bbucket'
+  ]
+};
+
+module.exports = {
+  INGAME_COMMANDS
+};
@@ -14,6 +14,7 @@ const COMMAND_PERMISSIONS = {
   'grant-steamid': ['1365205433236717598'], // Admin roles can grant Steam ID only whitelist
   'info': ['1365205433236717598'],       // Admin roles can view whitelist info
   'revoke': ['1365205433236717598'],     // Admin roles can revoke whitelist entries
+  'transfer': ['1365205433236717598'],   // Admin roles can transfer whitelist between Steam IDs
   'duty': ['1365205433236717598'],      // Admin roles can use duty commands
   'dutystats': ['1365205433236717598'], // Admin roles can view duty statistics
   'user': ['1365205433236717598'],      // Subcommand: View duty time stats for a specific user
@@ -29,13 +30,20 @@ const COMMAND_PERMISSIONS = {
   'promote': ['1444815201516912720'],    // Applications role: Promote users to Member or Moderator T1
   'dashboard': ['1365205433236717598'],  // Admin roles can access dashboard link
   'wl': ['1420297163166191627'],         // Whitelist dashboard command
+  'ban': ['1365205433236717598'],        // Admin roles can issue local bans
+  'unban': ['1365205433236717598'],      // Admin roles can lift local bans
+  'baninfo': ['1365205433236717598'],    // Admin roles can look up ban status
 
   // Public commands
   'ping': [],  // Everyone can use
   'help': [],  // Everyone can use
   'linkid': [], // Everyone can use - self-service account linking
   'unlink': [], // Everyone can use - self-service account unlinking
-  'stats': []  // Everyone can use - view player statistics
+  'stats': [], // Everyone can use - view player statistics
+  'seedboard': [], // Everyone can use - view seeding leaderboard
+  'donation': [], // Everyone can use - donation self-service (parent command check)
+  'claim': [], // Subcommand: Redeem a donation claim code
+  'reminders': [] // Subcommand: Toggle whitelist expiry reminder DMs
 };
 
 // Both duty commands use the same permission list
@@ -21,6 +21,7 @@ const COMMAND_PERMISSIONS = {
   'grant-steamid': getAllAdminRoles(), // Admin-only: Steam ID only whitelist grants (no linking)
   'info': getAllStaffRoles(),       // All staff roles can view whitelist info
   'revoke': getAllAdminRoles(),     // Admin-only: Revoke whitelist entries
+  'transfer': getAllAdminRoles(),   // Admin-only: Move whitelist time between Steam IDs
   'checkenv': getAllAdminRoles(),   // All admin roles can check environment
   'addmember': [DISCORD_ROLES.APPLICATIONS], // Applications role only: Add new members with account linking
   'promote': [DISCORD_ROLES.APPLICATIONS],  // Applications role only: Promote users to Member or Moderator T1
@@ -36,6 +37,9 @@ const COMMAND_PERMISSIONS = {
   'reloadposts': [DISCORD_ROLES.HEAD_ADMIN, DISCORD_ROLES.EXECUTIVE_ADMIN], // Head admin and executive admin can reload info posts config
   'dashboard': getAllStaffRoles(), // All admin roles can access dashboard link
   'wl': getAllStaffRoles(), // Whitelist dashboard command
+  'ban': getAllAdminRoles(),     // All admin roles can issue local bans
+  'unban': getAllAdminRoles(),   // All admin roles can lift local bans
+  'baninfo': getAllStaffRoles(), // All staff roles can look up ban status
 
   // Tutor management commands (Tutor Lead only)
   'addspecialty': [DISCORD_ROLES.TUTOR_LEAD],
@@ -51,7 +55,11 @@ const COMMAND_PERMISSIONS = {
   'help': [],      // Everyone can use
   'linkid': [],    // Everyone can use - self-service account linking
   'unlink': [],    // Everyone can use - self-service account unlinking
-  'stats': []      // Everyone can use - view player statistics
+  'stats': [],     // Everyone can use - view player statistics
+  'seedboard': [], // Everyone can use - view seeding leaderboard
+  'donation': [],  // Everyone can use - donation self-service (parent command check)
+  'claim': [],     // Subcommand: Redeem a donation claim code
+  'reminders': []  // Subcommand: Toggle whitelist expiry reminder DMs
 };
 
 // Both duty commands use the same permission list
@@ -0,0 +1,27 @@
+/**
+ * Monthly seeding leaderboard rewards
+ * At the start of each UTC month the top seeders of the previous month (by SeedingTime
+ * seeding minutes) are granted whitelist time. Runs can be reversed from the dashboard.
+ */
+const SEEDING_REWARDS = {
+  // Grant rewards automatically at the start of each month
+  enabled: true,
+
+  // Number of top seeders rewarded
+  topN: 5,
+
+  // Minimum seeding minutes in the month to qualify
+  minSeedingMinutes: 120,
+
+  // Reward per rank (index 0 = 1st place). Ranks past the end of the list reuse the last entry.
+  rewardsByRank: [
+    { value: 1, unit: 'months' },
+    { value: 21, unit: 'days' },
+    { value: 14, unit: 'days' },
+    { value: 7, unit: 'days' }
+  ]
+};
+
+module.exports = {
+  SEEDING_REWARDS
+};
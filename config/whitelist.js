@@ -92,6 +92,11 @@ const config = {
     }
   },
 
+  // Whitelist transfers between Steam IDs
+  transfer: {
+    cooldownDays: 30 // Minimum time between transfers out of the same Steam ID
+  },
+
   // Logging configuration
   logging: {
     level: 'info',
@@ -124,6 +129,10 @@ function validateConfig() {
     errors.push('Verification code expiration must be at least 1 minute');
   }
 
+  if (config.transfer.cooldownDays < 0) {
+    errors.push('Whitelist transfer cooldown cannot be negative');
+  }
+
   // Validate SquadJS servers
   if (config.squadjs.servers.length === 0) {
     loggerConsole.warn('No SquadJS servers configured or enabled - account linking will not work');
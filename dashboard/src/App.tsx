@@ -4,6 +4,7 @@ import Layout from './components/layout/Layout'
 import Login from './pages/Login'
 import Dashboard from './pages/Dashboard'
 import Players from './pages/Players'
+import WhitelistHistory from './pages/WhitelistHistory'
 import PlayerProfile from './pages/PlayerProfile'
 import Members from './pages/Members'
 import AuditLogs from './pages/AuditLogs'
@@ -14,11 +15,20 @@ import StatsTemplates from './pages/StatsTemplates'
 import StatsTemplateEditor from './pages/StatsTemplateEditor'
 import Seeding from './pages/Seeding'
 import SeedingSession from './pages/SeedingSession'
+import SeedingSchedules from './pages/SeedingSchedules'
+import SeedingAutoRules from './pages/SeedingAutoRules'
+import SeedingLeaderboard from './pages/SeedingLeaderboard'
 import DutyStats from './pages/DutyStats'
 import DutySettings from './pages/DutySettings'
+import InactiveStaff from './pages/InactiveStaff'
+import PointRules from './pages/PointRules'
 import InfoButtons from './pages/InfoButtons'
 import Settings from './pages/Settings'
 import Connections from './pages/Connections'
+import Bans from './pages/Bans'
+import BanAppeals from './pages/BanAppeals'
+import Donations from './pages/Donations'
+import Approvals from './pages/Approvals'
 import AccessDenied from './pages/AccessDenied'
 
 function ProtectedRoute() {
@@ -64,10 +74,15 @@ function App() {
           <Route path="players/:steamid64" element={<PlayerProfile />} />
           {/* Backward compatibility redirects */}
           <Route path="whitelist" element={<Navigate to="/players" replace />} />
+          <Route path="whitelist/history" element={<WhitelistHistory />} />
           <Route path="whitelist/:steamid64" element={<WhitelistRedirect />} />
           <Route path="members" element={<Members />} />
           {/* Legacy member detail route - redirect to members list */}
           <Route path="members/:discordId" element={<Navigate to="/members" replace />} />
+          <Route path="bans" element={<Bans />} />
+          <Route path="ban-appeals" element={<BanAppeals />} />
+          <Route path="donations" element={<Donations />} />
+          <Route path="approvals" element={<Approvals />} />
           <Route path="audit" element={<AuditLogs />} />
           <Route path="security/unlinked-staff" element={<UnlinkedStaff />} />
           <Route path="admin/permissions" element={<Permissions />} />
@@ -75,9 +90,14 @@ function App() {
           <Route path="admin/stats-templates" element={<StatsTemplates />} />
           <Route path="admin/stats-templates/:id" element={<StatsTemplateEditor />} />
           <Route path="seeding" element={<Seeding />} />
+          <Route path="seeding/schedules" element={<SeedingSchedules />} />
+          <Route path="seeding/auto" element={<SeedingAutoRules />} />
+          <Route path="seeding/leaderboard" element={<SeedingLeaderboard />} />
           <Route path="seeding/:id" element={<SeedingSession />} />
           <Route path="duty" element={<DutyStats />} />
+          <Route path="inactive-staff" element={<InactiveStaff />} />
           <Route path="admin/duty-settings" element={<DutySettings />} />
+          <Route path="admin/point-rules" element={<PointRules />} />
           <Route path="admin/info-buttons" element={<InfoButtons />} />
           <Route path="admin/connections" element={<Connections />} />
           <Route path="settings" element={<Settings />} />
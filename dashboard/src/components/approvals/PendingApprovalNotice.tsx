@@ -0,0 +1,38 @@
+import { Link } from 'react-router-dom'
+import { Clock } from 'lucide-react'
+import type { PendingApprovalResponse } from '../../types/approvals'
+
+interface PendingApprovalNoticeProps {
+  response: PendingApprovalResponse
+  onClose: () => void
+}
+
+// Shown in place of a form once the server has queued the change for a second approver
+export default function PendingApprovalNotice({ response, onClose }: PendingApprovalNoticeProps) {
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-discord-light rounded-lg w-full max-w-md mx-4 p-6 text-center space-y-3">
+        <Clock className="w-10 h-10 text-yellow-400 mx-auto" />
+        <p className="text-white font-medium">Awaiting Approval</p>
+        <p className="text-sm text-gray-400">
+          {response.message || 'This change needs a second staff member to approve it before it takes effect.'}
+        </p>
+        <p className="text-sm text-gray-300">{response.changeRequest.description}</p>
+        <div className="flex justify-center gap-3 pt-2">
+          <Link
+            to="/approvals"
+            className="px-4 py-2 text-sm text-discord-blurple hover:underline"
+          >
+            View Approvals
+          </Link>
+          <button
+            onClick={onClose}
+            className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
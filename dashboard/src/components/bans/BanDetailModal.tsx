@@ -0,0 +1,198 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { X, ExternalLink } from 'lucide-react'
+import { useRevokeBan, useUpdateBan } from '../../hooks/useBans'
+import { useAuth } from '../../hooks/useAuth'
+import { formatDateTime } from '../../lib/utils'
+import type { Ban, BanAppealStatus } from '../../types/bans'
+
+interface BanDetailModalProps {
+  ban: Ban
+  onClose: () => void
+}
+
+const APPEAL_OPTIONS: { value: BanAppealStatus; label: string }[] = [
+  { value: 'none', label: 'None' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'denied', label: 'Denied' },
+]
+
+export default function BanDetailModal({ ban, onClose }: BanDetailModalProps) {
+  const { hasPermission } = useAuth()
+  const canManage = hasPermission('MANAGE_BANS')
+  const revokeBan = useRevokeBan()
+  const updateBan = useUpdateBan()
+  const [evidence, setEvidence] = useState((ban.evidence || []).join('\n'))
+  const [appealStatus, setAppealStatus] = useState<BanAppealStatus>(ban.appeal_status)
+  const [revokeReason, setRevokeReason] = useState('')
+
+  const evidenceChanged = evidence.split(/\s+/).filter(Boolean).join('\n') !== (ban.evidence || []).join('\n')
+  const hasChanges = evidenceChanged || appealStatus !== ban.appeal_status
+
+  const handleSave = async () => {
+    try {
+      await updateBan.mutateAsync({
+        id: ban.id,
+        request: {
+          evidence: evidenceChanged ? evidence.split(/\s+/).filter(Boolean) : undefined,
+          appealStatus: appealStatus !== ban.appeal_status ? appealStatus : undefined,
+        },
+      })
+      onClose()
+    } catch {
+      // Error shown below
+    }
+  }
+
+  const handleRevoke = async () => {
+    if (!revokeReason.trim()) return
+    try {
+      await revokeBan.mutateAsync({ id: ban.id, reason: revokeReason.trim() })
+      onClose()
+    } catch {
+      // Error shown below
+    }
+  }
+
+  const mutationError = updateBan.error || revokeBan.error
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-discord-light rounded-lg w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-4 border-b border-discord-lighter">
+          <h2 className="text-lg font-semibold text-white">Ban #{ban.id}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <dl className="grid grid-cols-2 gap-3 text-sm">
+            <div>
+              <dt className="text-gray-400">Player</dt>
+              <dd>
+                <Link to={`/players/${ban.steamid64}`} className="text-discord-blurple hover:underline">
+                  {ban.username || ban.steamid64}
+                </Link>
+              </dd>
+            </div>
+            <div>
+              <dt className="text-gray-400">Steam ID</dt>
+              <dd className="text-white font-mono">{ban.steamid64}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-400">Issued</dt>
+              <dd className="text-white">{formatDateTime(ban.createdAt)}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-400">Expires</dt>
+              <dd className="text-white">{ban.expires_at ? formatDateTime(ban.expires_at) : 'Never'}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-400">Banned By</dt>
+              <dd className="text-white">{ban.banned_by_name || ban.banned_by || '-'}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-400">Source</dt>
+              <dd className="text-white capitalize">{ban.source}</dd>
+            </div>
+            <div className="col-span-2">
+              <dt className="text-gray-400">Reason</dt>
+              <dd className="text-white whitespace-pre-wrap">{ban.reason}</dd>
+            </div>
+            {ban.revoked && (
+              <div className="col-span-2">
+                <dt className="text-gray-400">Lifted</dt>
+                <dd className="text-white">
+                  {formatDateTime(ban.revoked_at)} - {ban.revoked_reason}
+                </dd>
+              </div>
+            )}
+          </dl>
+
+          {canManage ? (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Evidence</label>
+                <textarea
+                  value={evidence}
+                  onChange={(e) => setEvidence(e.target.value)}
+                  placeholder="One link per line"
+                  rows={3}
+                  className="w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white placeholder-gray-500 resize-none"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Appeal Status</label>
+                <select
+                  value={appealStatus}
+                  onChange={(e) => setAppealStatus(e.target.value as BanAppealStatus)}
+                  className="w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white"
+                >
+                  {APPEAL_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex justify-end">
+                <button
+                  onClick={handleSave}
+                  disabled={!hasChanges || updateBan.isPending}
+                  className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+                >
+                  {updateBan.isPending ? 'Saving...' : 'Save Changes'}
+                </button>
+              </div>
+
+              {ban.active && (
+                <div className="pt-4 border-t border-discord-lighter space-y-2">
+                  <label className="block text-sm font-medium text-gray-300">Lift Ban</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={revokeReason}
+                      onChange={(e) => setRevokeReason(e.target.value)}
+                      placeholder="Reason for lifting the ban"
+                      className="flex-1 bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white placeholder-gray-500"
+                    />
+                    <button
+                      onClick={handleRevoke}
+                      disabled={!revokeReason.trim() || revokeBan.isPending}
+                      className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+                    >
+                      {revokeBan.isPending ? 'Lifting...' : 'Unban'}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="space-y-2 text-sm">
+              <p className="text-gray-400">Appeal: <span className="text-white capitalize">{ban.appeal_status}</span></p>
+              {ban.evidence && ban.evidence.length > 0 && (
+                <ul className="space-y-1">
+                  {ban.evidence.map((link) => (
+                    <li key={link}>
+                      <a href={link} target="_blank" rel="noopener noreferrer" className="text-discord-blurple hover:underline inline-flex items-center gap-1 break-all">
+                        {link}
+                        <ExternalLink className="w-3 h-3 flex-shrink-0" />
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {mutationError && (
+            <p className="text-sm text-red-400">
+              {(mutationError as { response?: { data?: { error?: string } } }).response?.data?.error
+                || 'Failed to update ban'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
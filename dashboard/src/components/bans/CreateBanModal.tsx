@@ -0,0 +1,143 @@
+import { useState } from 'react'
+import { X } from 'lucide-react'
+import { useCreateBan } from '../../hooks/useBans'
+
+interface CreateBanModalProps {
+  onClose: () => void
+}
+
+export default function CreateBanModal({ onClose }: CreateBanModalProps) {
+  const createBan = useCreateBan()
+  const [steamid64, setSteamid64] = useState('')
+  const [username, setUsername] = useState('')
+  const [reason, setReason] = useState('')
+  const [duration, setDuration] = useState('7d')
+  const [evidence, setEvidence] = useState('')
+  const [kicked, setKicked] = useState<boolean | null>(null)
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    try {
+      const result = await createBan.mutateAsync({
+        steamid64: steamid64.trim(),
+        reason: reason.trim(),
+        duration: duration.trim(),
+        evidence: evidence.split(/\s+/).filter(Boolean),
+        username: username.trim() || undefined,
+      })
+      if (result.kicked) {
+        setKicked(true)
+      } else {
+        onClose()
+      }
+    } catch {
+      // Error shown below
+    }
+  }
+
+  const inputClass = 'w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-discord-blurple'
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-discord-light rounded-lg w-full max-w-lg mx-4">
+        <div className="flex items-center justify-between p-4 border-b border-discord-lighter">
+          <h2 className="text-lg font-semibold text-white">Issue Ban</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {kicked ? (
+          <div className="p-4 space-y-4">
+            <p className="text-sm text-gray-300">Ban issued. The player was online and has been kicked.</p>
+            <div className="flex justify-end">
+              <button
+                onClick={onClose}
+                className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-4 py-2 rounded-md text-sm font-medium"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-4 space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Steam ID64</label>
+                <input
+                  type="text"
+                  value={steamid64}
+                  onChange={(e) => setSteamid64(e.target.value)}
+                  placeholder="7656119..."
+                  required
+                  className={`${inputClass} font-mono`}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Player Name</label>
+                <input
+                  type="text"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  placeholder="Optional"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Reason</label>
+              <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Shown to the player"
+                rows={2}
+                required
+                className={`${inputClass} resize-none`}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Duration</label>
+              <input
+                type="text"
+                value={duration}
+                onChange={(e) => setDuration(e.target.value)}
+                placeholder="e.g. 12h, 7d, 2w, 1M"
+                required
+                className={inputClass}
+              />
+              <p className="text-xs text-gray-500 mt-1">Use perm for a permanent ban.</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Evidence</label>
+              <textarea
+                value={evidence}
+                onChange={(e) => setEvidence(e.target.value)}
+                placeholder="One link per line"
+                rows={3}
+                className={`${inputClass} resize-none`}
+              />
+            </div>
+            {createBan.error && (
+              <p className="text-sm text-red-400">
+                {(createBan.error as { response?: { data?: { error?: string } } }).response?.data?.error
+                  || 'Failed to issue ban'}
+              </p>
+            )}
+            <div className="flex justify-end gap-3">
+              <button type="button" onClick={onClose} className="text-gray-400 hover:text-white">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={createBan.isPending || !steamid64.trim() || !reason.trim()}
+                className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+              >
+                {createBan.isPending ? 'Banning...' : 'Ban'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
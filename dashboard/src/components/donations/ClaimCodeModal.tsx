@@ -0,0 +1,96 @@
+import { useState } from 'react'
+import { X } from 'lucide-react'
+import { useClaimDonationSlot } from '../../hooks/useDonations'
+import type { DonationSlotResponse } from '../../types/donations'
+
+interface ClaimCodeModalProps {
+  onClose: () => void
+}
+
+export default function ClaimCodeModal({ onClose }: ClaimCodeModalProps) {
+  const claimSlot = useClaimDonationSlot()
+  const [code, setCode] = useState('')
+  const [steamId, setSteamId] = useState('')
+  const [result, setResult] = useState<DonationSlotResponse | null>(null)
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    try {
+      const response = await claimSlot.mutateAsync({ code: code.trim(), steamid64: steamId.trim() })
+      setResult(response)
+      setSteamId('')
+    } catch {
+      // Error shown below
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-discord-light rounded-lg w-full max-w-md mx-4">
+        <div className="flex items-center justify-between p-4 border-b border-discord-lighter">
+          <h2 className="text-lg font-semibold text-white">Redeem Claim Code</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-4 space-y-4">
+          <p className="text-sm text-gray-400">
+            Grants one unclaimed donation slot to a Steam ID, using the duration of the donation's tier.
+          </p>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Claim Code</label>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="ABCD-2345"
+              className="w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white font-mono uppercase placeholder-gray-500 focus:outline-none focus:border-discord-blurple"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Steam ID64</label>
+            <input
+              type="text"
+              value={steamId}
+              onChange={(e) => setSteamId(e.target.value)}
+              placeholder="76561198..."
+              className="w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white font-mono placeholder-gray-500 focus:outline-none focus:border-discord-blurple"
+            />
+          </div>
+
+          {result && (
+            <p className="text-sm text-green-400">
+              Added to the whitelist from donation #{result.donation.id}.{' '}
+              {result.remaining > 0 ? `${result.remaining} slot(s) remaining on this code.` : 'All slots have been claimed.'}
+            </p>
+          )}
+
+          {claimSlot.error && (
+            <p className="text-sm text-red-400">
+              {(claimSlot.error as { response?: { data?: { error?: string } } }).response?.data?.error
+                || 'Failed to redeem claim code'}
+            </p>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="bg-discord-lighter hover:bg-discord-darker text-white px-4 py-2 rounded-md text-sm font-medium"
+            >
+              Close
+            </button>
+            <button
+              type="submit"
+              disabled={claimSlot.isPending || !code.trim() || !steamId.trim()}
+              className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+            >
+              Redeem
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,232 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { X } from 'lucide-react'
+import { useReverseDonation, useAssignDonationSlot, useRegenerateClaimCode } from '../../hooks/useDonations'
+import { useAuth } from '../../hooks/useAuth'
+import { formatDateTime } from '../../lib/utils'
+import { PLATFORM_LABELS, formatDonationAmount } from './donationLabels'
+import type { Donation } from '../../types/donations'
+
+interface DonationDetailModalProps {
+  donation: Donation
+  onClose: () => void
+}
+
+export default function DonationDetailModal({ donation: initialDonation, onClose }: DonationDetailModalProps) {
+  const { hasPermission } = useAuth()
+  const canManage = hasPermission('MANAGE_DONATIONS')
+  const reverseDonation = useReverseDonation()
+  const assignSlot = useAssignDonationSlot()
+  const regenerateClaimCode = useRegenerateClaimCode()
+  const [donation, setDonation] = useState(initialDonation)
+  const [reason, setReason] = useState('')
+  const [assignSteamId, setAssignSteamId] = useState('')
+  const [claimCode, setClaimCode] = useState<string | null>(null)
+
+  const isReversed = donation.status === 'refunded' || donation.status === 'chargeback'
+
+  const handleReverse = async (status: 'refunded' | 'chargeback') => {
+    try {
+      await reverseDonation.mutateAsync({ id: donation.id, request: { status, reason: reason.trim() || undefined } })
+      onClose()
+    } catch {
+      // Error shown below
+    }
+  }
+
+  const handleAssign = async () => {
+    try {
+      const response = await assignSlot.mutateAsync({ id: donation.id, steamid64: assignSteamId.trim() })
+      setDonation(response.donation)
+      setAssignSteamId('')
+    } catch {
+      // Error shown below
+    }
+  }
+
+  const handleRegenerateCode = async () => {
+    try {
+      const response = await regenerateClaimCode.mutateAsync(donation.id)
+      setDonation(response.donation)
+      setClaimCode(response.claimCode)
+    } catch {
+      // Error shown below
+    }
+  }
+
+  const mutationError = reverseDonation.error || assignSlot.error || regenerateClaimCode.error
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-discord-light rounded-lg w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-4 border-b border-discord-lighter">
+          <h2 className="text-lg font-semibold text-white">Donation #{donation.id}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <dl className="grid grid-cols-2 gap-3 text-sm">
+            <div>
+              <dt className="text-gray-400">Donor</dt>
+              <dd className="text-white">{donation.donor_name || '-'}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-400">Email</dt>
+              <dd className="text-white break-all">{donation.donor_email || '-'}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-400">Amount</dt>
+              <dd className="text-white">{formatDonationAmount(donation.amount, donation.currency)}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-400">Platform</dt>
+              <dd className="text-white">
+                {PLATFORM_LABELS[donation.platform]}{donation.is_recurring && ' (subscription)'}
+              </dd>
+            </div>
+            <div>
+              <dt className="text-gray-400">Received</dt>
+              <dd className="text-white">{formatDateTime(donation.createdAt)}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-400">Tier</dt>
+              <dd className="text-white">{donation.tier_description || '-'}</dd>
+            </div>
+            <div className="col-span-2">
+              <dt className="text-gray-400">Transaction</dt>
+              <dd className="text-white font-mono text-xs break-all">{donation.transaction_id || '-'}</dd>
+            </div>
+            {donation.subscription_id && (
+              <div className="col-span-2">
+                <dt className="text-gray-400">Subscription</dt>
+                <dd className="text-white font-mono text-xs break-all">{donation.subscription_id}</dd>
+              </div>
+            )}
+            <div className="col-span-2">
+              <dt className="text-gray-400">Steam IDs</dt>
+              <dd className="flex flex-wrap gap-2">
+                {donation.steam_ids.length === 0 ? (
+                  <span className="text-gray-500">None</span>
+                ) : donation.steam_ids.map((steamId) => (
+                  <Link key={steamId} to={`/players/${steamId}`} className="text-discord-blurple hover:underline font-mono">
+                    {steamId}
+                  </Link>
+                ))}
+              </dd>
+            </div>
+            {donation.slots_total !== null && (
+              <div className="col-span-2">
+                <dt className="text-gray-400">Slots</dt>
+                <dd className="text-white">
+                  {donation.slots_total - donation.unclaimed_slots}/{donation.slots_total} claimed
+                  {donation.duration_value !== null && ` (${donation.duration_value} ${donation.duration_type} each)`}
+                </dd>
+              </div>
+            )}
+            <div className="col-span-2">
+              <dt className="text-gray-400">Whitelist Entries</dt>
+              <dd className="text-white">{donation.whitelist_ids.length}</dd>
+            </div>
+            {donation.message && (
+              <div className="col-span-2">
+                <dt className="text-gray-400">Message</dt>
+                <dd className="text-white whitespace-pre-wrap">{donation.message}</dd>
+              </div>
+            )}
+            {donation.error && (
+              <div className="col-span-2">
+                <dt className="text-gray-400">Error</dt>
+                <dd className="text-red-400 whitespace-pre-wrap">{donation.error}</dd>
+              </div>
+            )}
+            {isReversed && (
+              <div className="col-span-2">
+                <dt className="text-gray-400">{donation.status === 'chargeback' ? 'Charged Back' : 'Refunded'}</dt>
+                <dd className="text-white">
+                  {formatDateTime(donation.reversed_at)} by {donation.reversed_by || '-'}
+                </dd>
+              </div>
+            )}
+          </dl>
+
+          {canManage && !isReversed && donation.unclaimed_slots > 0 && (
+            <div className="pt-4 border-t border-discord-lighter space-y-2">
+              <label className="block text-sm font-medium text-gray-300">Unclaimed Slots ({donation.unclaimed_slots})</label>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={assignSteamId}
+                  onChange={(e) => setAssignSteamId(e.target.value)}
+                  placeholder="Steam ID64"
+                  className="flex-1 bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white font-mono placeholder-gray-500"
+                />
+                <button
+                  onClick={handleAssign}
+                  disabled={assignSlot.isPending || !assignSteamId.trim()}
+                  className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+                >
+                  Assign
+                </button>
+              </div>
+              {claimCode ? (
+                <p className="text-sm text-gray-300">
+                  New claim code: <span className="font-mono text-white select-all">{claimCode}</span>
+                  <span className="block text-xs text-gray-500">This is only shown once. The previous code no longer works.</span>
+                </p>
+              ) : (
+                <button
+                  onClick={handleRegenerateCode}
+                  disabled={regenerateClaimCode.isPending}
+                  className="text-sm text-discord-blurple hover:underline disabled:opacity-50"
+                >
+                  Issue new claim code
+                </button>
+              )}
+            </div>
+          )}
+
+          {canManage && !isReversed && (
+            <div className="pt-4 border-t border-discord-lighter space-y-2">
+              <label className="block text-sm font-medium text-gray-300">Record Refund or Chargeback</label>
+              <p className="text-xs text-gray-500">
+                Revokes the {donation.whitelist_ids.length} whitelist entr{donation.whitelist_ids.length === 1 ? 'y' : 'ies'} granted by this donation.
+              </p>
+              <input
+                type="text"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Note (optional)"
+                className="w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white placeholder-gray-500"
+              />
+              <div className="flex justify-end gap-2">
+                <button
+                  onClick={() => handleReverse('refunded')}
+                  disabled={reverseDonation.isPending}
+                  className="bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+                >
+                  Mark Refunded
+                </button>
+                <button
+                  onClick={() => handleReverse('chargeback')}
+                  disabled={reverseDonation.isPending}
+                  className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+                >
+                  Mark Chargeback
+                </button>
+              </div>
+            </div>
+          )}
+
+          {mutationError && (
+            <p className="text-sm text-red-400">
+              {(mutationError as { response?: { data?: { error?: string } } }).response?.data?.error
+                || 'Failed to update donation'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,23 @@
+import type { DonationPlatform, DonationStatus } from '../../types/donations'
+
+export const PLATFORM_LABELS: Record<DonationPlatform, string> = {
+  kofi: 'Ko-fi',
+  patreon: 'Patreon',
+  tebex: 'Tebex',
+  stripe: 'Stripe',
+  generic: 'Custom',
+}
+
+export const STATUS_STYLES: Record<DonationStatus, { label: string; className: string }> = {
+  processing: { label: 'Processing', className: 'bg-blue-500/20 text-blue-400 border-blue-500/30' },
+  granted: { label: 'Granted', className: 'bg-green-500/20 text-green-400 border-green-500/30' },
+  awaiting_claim: { label: 'Awaiting Claim', className: 'bg-purple-500/20 text-purple-400 border-purple-500/30' },
+  partial: { label: 'Partial', className: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30' },
+  failed: { label: 'Needs Review', className: 'bg-orange-500/20 text-orange-400 border-orange-500/30' },
+  refunded: { label: 'Refunded', className: 'bg-gray-500/20 text-gray-400 border-gray-500/30' },
+  chargeback: { label: 'Chargeback', className: 'bg-red-500/20 text-red-400 border-red-500/30' },
+}
+
+export function formatDonationAmount(amount: number, currency: string | null): string {
+  return `${amount.toFixed(2)}${currency ? ` ${currency}` : ''}`
+}
@@ -0,0 +1,127 @@
+import { AlertTriangle, Grid3x3 } from 'lucide-react'
+import type { CoverageHeatmapCell, CoverageLatestSnapshot } from '../../types/duty'
+
+interface CoverageHeatmapProps {
+  cells: CoverageHeatmapCell[]
+  lowThreshold: number
+  latest?: CoverageLatestSnapshot | null
+  understaffedSlots?: number
+  isLoading?: boolean
+}
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const HOURS = Array.from({ length: 24 }, (_, i) => i)
+
+function getCellClass(cell: CoverageHeatmapCell | undefined, lowThreshold: number): string {
+  if (!cell || cell.samples === 0) return 'bg-discord-darker'
+  if (cell.understaffed) return 'bg-red-500/70'
+  if (cell.avgPlayers === 0) return 'bg-discord-lighter'
+
+  // Scale green intensity by how far above the threshold the slot sits
+  const ratio = lowThreshold > 0 ? cell.avgAdmins / lowThreshold : 1
+  if (ratio >= 2) return 'bg-green-500/80'
+  if (ratio >= 1.5) return 'bg-green-500/60'
+  return 'bg-green-500/40'
+}
+
+export default function CoverageHeatmap({
+  cells,
+  lowThreshold,
+  latest,
+  understaffedSlots = 0,
+  isLoading,
+}: CoverageHeatmapProps) {
+  if (isLoading) {
+    return (
+      <div className="bg-discord-light rounded-lg p-4 animate-pulse">
+        <div className="h-5 w-40 bg-discord-lighter rounded mb-4" />
+        <div className="h-48 bg-discord-lighter rounded" />
+      </div>
+    )
+  }
+
+  const cellMap = new Map(cells.map(c => [`${c.weekday}:${c.hour}`, c]))
+
+  return (
+    <div className="bg-discord-light rounded-lg p-4">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Grid3x3 className="w-5 h-5 text-blue-400" />
+          <h2 className="text-lg font-semibold text-white">Admin Coverage</h2>
+          <span className="text-xs text-gray-500">(UTC)</span>
+        </div>
+        <div className="flex items-center gap-4 text-sm">
+          {latest && (
+            <span className="text-gray-400">
+              Now: <span className="text-white font-medium">{latest.adminsOnDuty}</span> on duty
+              {latest.coverageScore !== null && (
+                <span className="ml-1">({Math.round(latest.coverageScore)}%)</span>
+              )}
+            </span>
+          )}
+          {understaffedSlots > 0 && (
+            <span className="flex items-center gap-1 text-red-400">
+              <AlertTriangle className="w-4 h-4" />
+              {understaffedSlots} understaffed hour{understaffedSlots === 1 ? '' : 's'}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {cells.every(c => c.samples === 0) ? (
+        <div className="text-center text-gray-400 py-8">
+          No coverage snapshots recorded for this period yet
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="border-separate border-spacing-0.5">
+            <thead>
+              <tr>
+                <th />
+                {HOURS.map(hour => (
+                  <th key={hour} className="text-[10px] text-gray-500 font-normal w-6">
+                    {hour % 3 === 0 ? hour.toString().padStart(2, '0') : ''}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {WEEKDAY_LABELS.map((label, weekday) => (
+                <tr key={label}>
+                  <td className="text-xs text-gray-400 pr-2">{label}</td>
+                  {HOURS.map(hour => {
+                    const cell = cellMap.get(`${weekday}:${hour}`)
+                    return (
+                      <td
+                        key={hour}
+                        className={`w-6 h-6 rounded-sm ${getCellClass(cell, lowThreshold)}`}
+                        title={cell && cell.samples > 0
+                          ? `${label} ${hour.toString().padStart(2, '0')}:00 - ${cell.avgAdmins} admins / ${cell.avgPlayers} players (${cell.samples} samples)`
+                          : `${label} ${hour.toString().padStart(2, '0')}:00 - no data`}
+                      />
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex items-center gap-4 mt-3 text-xs text-gray-400">
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded-sm bg-red-500/70" /> Below {lowThreshold} admin{lowThreshold === 1 ? '' : 's'} with players online
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded-sm bg-green-500/60" /> Covered
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded-sm bg-discord-lighter" /> Empty servers
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded-sm bg-discord-darker" /> No data
+        </span>
+      </div>
+    </div>
+  )
+}
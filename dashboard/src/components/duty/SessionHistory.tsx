@@ -158,6 +158,11 @@ export default function SessionHistory({ sessions, isLoading }: SessionHistoryPr
                     <span className="text-white font-medium">
                       {session.totalPoints}
                     </span>
+                    {session.pointRuleVersion != null && (
+                      <span className="text-xs text-gray-500 ml-1" title="Point rule version">
+                        v{session.pointRuleVersion}
+                      </span>
+                    )}
                   </td>
                   <td className="px-4 py-3 whitespace-nowrap">
                     {session.isActive ? (
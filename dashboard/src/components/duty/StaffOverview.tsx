@@ -1,5 +1,5 @@
 import { useState } from 'react'
-import { Clock, MessageSquare, Mic, Star, User, ArrowUpDown, ArrowUp, ArrowDown, Gamepad2, Camera, MessageCircle, Search, X } from 'lucide-react'
+import { Clock, MessageSquare, Mic, Star, User, ArrowUpDown, ArrowUp, ArrowDown, Gamepad2, Camera, MessageCircle, Gavel, Search, X } from 'lucide-react'
 import { Link } from 'react-router-dom'
 import type { StaffOverviewEntry, StaffOverviewSortBy, StaffOverviewSortOrder } from '../../types/duty'
 import { formatMinutes } from '../../lib/dutyUtils'
@@ -21,6 +21,7 @@ const SORT_LABELS: Record<StaffOverviewSortBy, string> = {
   server: 'Server Time',
   admin_cam: 'Admin Cam',
   chat: 'Chat',
+  moderation: 'Moderation',
 }
 
 export default function StaffOverview({
@@ -158,7 +159,7 @@ export default function StaffOverview({
               <th colSpan={2} className="px-4 py-2 text-center text-xs font-semibold text-purple-400 uppercase tracking-wider bg-purple-400/5">
                 Discord
               </th>
-              <th colSpan={3} className="px-4 py-2 text-center text-xs font-semibold text-blue-400 uppercase tracking-wider bg-blue-400/5">
+              <th colSpan={4} className="px-4 py-2 text-center text-xs font-semibold text-blue-400 uppercase tracking-wider bg-blue-400/5">
                 In-Game
               </th>
               <th></th>
@@ -219,6 +220,13 @@ export default function StaffOverview({
                   <SortIcon field="chat" />
                 </div>
               </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider cursor-pointer hover:text-white transition-colors bg-blue-400/5 group" onClick={() => onSortChange('moderation')}>
+                <div className="flex items-center gap-1">
+                  <Gavel className="w-3 h-3" />
+                  Moderation
+                  <SortIcon field="moderation" />
+                </div>
+              </th>
               <SortableHeader field="points" icon={Star}>
                 Points
               </SortableHeader>
@@ -340,6 +348,20 @@ export default function StaffOverview({
                     </span>
                   </td>
 
+                  {/* Warns / Kicks / Bans (Blue) */}
+                  <td className="px-4 py-3 whitespace-nowrap bg-blue-400/5">
+                    <div className="flex flex-col">
+                      <span className="text-blue-400">
+                        {entry.totalModerationActions}
+                      </span>
+                      {entry.totalModerationActions > 0 && (
+                        <span className="text-xs text-gray-500">
+                          {entry.totalPlayerWarns}W / {entry.totalPlayerKicks}K / {entry.totalPlayerBans}B
+                        </span>
+                      )}
+                    </div>
+                  </td>
+
                   {/* Total Points (with On/Off breakdown) */}
                   <td className="px-4 py-3 whitespace-nowrap">
                     <div className="flex flex-col">
@@ -0,0 +1,89 @@
+import { Target } from 'lucide-react'
+import type { WeeklyTargetEntry, WeeklyTargetStatus } from '../../types/duty'
+
+interface WeeklyTargetProgressProps {
+  entries: WeeklyTargetEntry[]
+  pointsTarget: number
+  exceededPercent: number
+  isLoading?: boolean
+}
+
+const STATUS_STYLES: Record<WeeklyTargetStatus, { bar: string; text: string; label: string }> = {
+  exceeded: { bar: 'bg-yellow-400', text: 'text-yellow-400', label: 'Exceeded' },
+  met: { bar: 'bg-green-500', text: 'text-green-400', label: 'Met' },
+  missed: { bar: 'bg-discord-blurple', text: 'text-gray-400', label: 'Below target' },
+}
+
+export default function WeeklyTargetProgress({
+  entries,
+  pointsTarget,
+  exceededPercent,
+  isLoading,
+}: WeeklyTargetProgressProps) {
+  if (isLoading) {
+    return (
+      <div className="bg-discord-light rounded-lg p-4 animate-pulse">
+        <div className="h-5 w-40 bg-discord-lighter rounded mb-4" />
+        <div className="h-32 bg-discord-lighter rounded" />
+      </div>
+    )
+  }
+
+  const metCount = entries.filter(e => e.status !== 'missed').length
+
+  return (
+    <div className="bg-discord-light rounded-lg p-4">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Target className="w-5 h-5 text-blue-400" />
+          <h2 className="text-lg font-semibold text-white">Weekly Target</h2>
+          <span className="text-xs text-gray-500">(this week, from Monday UTC)</span>
+        </div>
+        <div className="flex items-center gap-4 text-sm text-gray-400">
+          <span>
+            Target: <span className="text-white font-medium">{pointsTarget.toLocaleString()}</span> pts
+          </span>
+          <span>
+            <span className="text-white font-medium">{metCount}</span> / {entries.length} on target
+          </span>
+        </div>
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="text-center text-gray-400 py-8">
+          No staff activity recorded this week yet
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3">
+          {entries.map((entry) => {
+            const style = STATUS_STYLES[entry.status]
+            return (
+              <div key={entry.discordUserId}>
+                <div className="flex items-center justify-between text-sm mb-1">
+                  <span className="text-white truncate">{entry.displayName}</span>
+                  <span className="text-gray-400 whitespace-nowrap ml-2">
+                    {entry.points.toLocaleString()} / {pointsTarget.toLocaleString()}
+                    <span className={`ml-2 font-medium ${style.text}`}>{entry.percent}%</span>
+                  </span>
+                </div>
+                <div
+                  className="h-2 bg-discord-darker rounded-full overflow-hidden"
+                  title={`${style.label} (exceeded at ${exceededPercent}%)`}
+                >
+                  <div
+                    className={`h-full rounded-full ${style.bar}`}
+                    style={{ width: `${Math.min(entry.percent, 100)}%` }}
+                  />
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500 mt-4">
+        Points count completed duty sessions only. Staff get their final result by DM each Monday.
+      </p>
+    </div>
+  )
+}
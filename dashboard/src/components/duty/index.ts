@@ -7,3 +7,5 @@ export { default as SessionHistory } from './SessionHistory'
 export { default as StaffOverview } from './StaffOverview'
 export { default as VoiceChannelSelect } from './VoiceChannelSelect'
 export { default as ActivityTargetCalculator } from './ActivityTargetCalculator'
+export { default as CoverageHeatmap } from './CoverageHeatmap'
+export { default as WeeklyTargetProgress } from './WeeklyTargetProgress'
@@ -1,5 +1,5 @@
 import { NavLink } from 'react-router-dom'
-import { LayoutDashboard, Users, UserSearch, Clock, Shield, UserX, Key, Layers, Image, Sprout, Settings, MessageSquare, Network } from 'lucide-react'
+import { LayoutDashboard, Users, UserSearch, Clock, Shield, UserX, Key, Layers, Image, Sprout, Settings, MessageSquare, Network, Gavel, Scale, History, PiggyBank, ShieldCheck, UserMinus, Calculator } from 'lucide-react'
 import { cn } from '../../lib/utils'
 import { useAuth } from '../../hooks/useAuth'
 import type { Permission } from '../../types/auth'
@@ -15,15 +15,22 @@ interface NavItem {
 const navigation: NavItem[] = [
   { name: 'Dashboard', href: '/', icon: LayoutDashboard },
   { name: 'Players', href: '/players', icon: UserSearch, permission: 'VIEW_PLAYERS' },
+  { name: 'Whitelist History', href: '/whitelist/history', icon: History, permission: 'VIEW_WHITELIST' },
   { name: 'Members', href: '/members', icon: Users, permission: 'VIEW_MEMBERS' },
   { name: 'Seeding', href: '/seeding', icon: Sprout, permission: 'VIEW_SEEDING' },
   { name: 'Duty Stats', href: '/duty', icon: Clock, permission: 'VIEW_DUTY' },
+  { name: 'Inactive Staff', href: '/inactive-staff', icon: UserMinus, permission: 'VIEW_DUTY' },
+  { name: 'Bans', href: '/bans', icon: Gavel, permission: 'VIEW_BANS' },
+  { name: 'Ban Appeals', href: '/ban-appeals', icon: Scale, permission: 'VIEW_BANS' },
+  { name: 'Donations', href: '/donations', icon: PiggyBank, permission: 'VIEW_DONATIONS' },
+  { name: 'Approvals', href: '/approvals', icon: ShieldCheck },
   { name: 'Audit Logs', href: '/audit', icon: Shield, permission: 'VIEW_AUDIT' },
   { name: 'Unlinked Staff', href: '/security/unlinked-staff', icon: UserX, permission: 'VIEW_SECURITY' },
   { name: 'Permissions', href: '/admin/permissions', icon: Key, permission: 'MANAGE_PERMISSIONS' },
   { name: 'Squad Groups', href: '/admin/squadgroups', icon: Layers, permission: 'MANAGE_PERMISSIONS' },
   { name: 'Stats Templates', href: '/admin/stats-templates', icon: Image, permission: 'VIEW_STATS_TEMPLATES' },
   { name: 'Duty Settings', href: '/admin/duty-settings', icon: Settings, permission: 'MANAGE_DUTY_SETTINGS' },
+  { name: 'Point Rules', href: '/admin/point-rules', icon: Calculator, permission: 'MANAGE_DUTY_SETTINGS' },
   { name: 'Info Buttons', href: '/admin/info-buttons', icon: MessageSquare, permission: 'MANAGE_INFO_BUTTONS' },
   { name: 'Connections', href: '/admin/connections', icon: Network, permission: 'MANAGE_CONNECTIONS' },
   { name: 'My Settings', href: '/settings', icon: Settings },
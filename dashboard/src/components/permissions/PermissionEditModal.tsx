@@ -2,6 +2,9 @@ import { useState, useEffect, useMemo } from 'react'
 import { X, AlertTriangle, Search, Check } from 'lucide-react'
 import { useUpdatePermission, useDiscordRoles } from '../../hooks/usePermissions'
 import type { Permission, DiscordRole } from '../../types/permissions'
+import { isPendingApproval } from '../../lib/utils'
+import PendingApprovalNotice from '../approvals/PendingApprovalNotice'
+import type { PendingApprovalResponse } from '../../types/approvals'
 
 interface PermissionEditModalProps {
   permission: Permission
@@ -24,6 +27,7 @@ export default function PermissionEditModal({ permission, onClose }: PermissionE
     new Set(permission.roles.map(r => r.id))
   )
   const [searchQuery, setSearchQuery] = useState('')
+  const [pendingApproval, setPendingApproval] = useState<PendingApprovalResponse | null>(null)
 
   // Reset selected roles when permission changes
   useEffect(() => {
@@ -65,10 +69,14 @@ export default function PermissionEditModal({ permission, onClose }: PermissionE
     }
 
     try {
-      await updateMutation.mutateAsync({
+      const result = await updateMutation.mutateAsync({
         permissionName: permission.name,
         roleIds: Array.from(selectedRoleIds),
       })
+      if (isPendingApproval(result)) {
+        setPendingApproval(result)
+        return
+      }
       onClose()
     } catch {
       // Error is handled by mutation state
@@ -90,6 +98,10 @@ export default function PermissionEditModal({ permission, onClose }: PermissionE
     return true
   }
 
+  if (pendingApproval) {
+    return <PendingApprovalNotice response={pendingApproval} onClose={onClose} />
+  }
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
       <div className="bg-discord-light rounded-lg w-full max-w-lg mx-4 max-h-[90vh] overflow-hidden flex flex-col">
@@ -1,6 +1,13 @@
 import { useState } from 'react'
 import { usePlayerAuditLogs } from '../../hooks/usePlayers'
-import { formatDateTime } from '../../lib/utils'
+import { cn, formatDateTime } from '../../lib/utils'
+
+// RCON moderation actions taken from the dashboard stand out from other audit entries
+const ACTION_TYPE_COLORS: Record<string, string> = {
+  PLAYER_WARN: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30',
+  PLAYER_KICK: 'bg-orange-500/20 text-orange-400 border-orange-500/30',
+  PLAYER_BAN: 'bg-red-500/20 text-red-400 border-red-500/30',
+}
 
 interface PlayerAuditSectionProps {
   steamid64: string
@@ -37,7 +44,10 @@ export default function PlayerAuditSection({ steamid64 }: PlayerAuditSectionProp
             <div className="flex items-start justify-between">
               <div className="flex-1">
                 <div className="flex items-center gap-2 mb-1">
-                  <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-discord-blurple/20 text-discord-blurple border border-discord-blurple/30">
+                  <span className={cn(
+                    'inline-flex items-center px-2 py-0.5 rounded text-xs font-medium border',
+                    ACTION_TYPE_COLORS[log.actionType] || 'bg-discord-blurple/20 text-discord-blurple border-discord-blurple/30'
+                  )}>
                     {log.actionType}
                   </span>
                   {log.success ? (
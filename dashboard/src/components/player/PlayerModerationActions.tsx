@@ -0,0 +1,156 @@
+import { useState } from 'react'
+import { MessageSquareWarning, UserX, Ban } from 'lucide-react'
+import { usePlayerActionStatus, usePlayerAction } from '../../hooks/usePlayers'
+import { useAuth } from '../../hooks/useAuth'
+import type { PlayerModerationAction } from '../../types/player'
+
+interface PlayerModerationActionsProps {
+  steamid64: string
+}
+
+const ACTION_LABELS: Record<PlayerModerationAction, { title: string; submit: string; pending: string; placeholder: string }> = {
+  warn: { title: 'Warn Player', submit: 'Send Warning', pending: 'Sending...', placeholder: 'Warning message (shown in game)' },
+  kick: { title: 'Kick Player', submit: 'Kick', pending: 'Kicking...', placeholder: 'Kick reason (shown to player)' },
+  ban: { title: 'Ban Player', submit: 'Ban', pending: 'Banning...', placeholder: 'Ban reason (shown to player)' },
+}
+
+export default function PlayerModerationActions({ steamid64 }: PlayerModerationActionsProps) {
+  const { hasPermission } = useAuth()
+  const canWarn = hasPermission('WARN_PLAYERS')
+  const canKick = hasPermission('KICK_PLAYERS')
+  const canBan = hasPermission('BAN_PLAYERS')
+  const canAct = canWarn || canKick || canBan
+
+  const { data: status } = usePlayerActionStatus(steamid64, canAct)
+  const actionMutation = usePlayerAction()
+  const [activeAction, setActiveAction] = useState<PlayerModerationAction | null>(null)
+  const [reason, setReason] = useState('')
+  const [duration, setDuration] = useState('1d')
+
+  if (!canAct) return null
+
+  const online = !!status?.online
+
+  const closeModal = () => {
+    setActiveAction(null)
+    setReason('')
+    setDuration('1d')
+    actionMutation.reset()
+  }
+
+  const buttonClass = 'text-white px-3 py-1.5 rounded text-xs font-medium transition-colors flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed'
+
+  return (
+    <>
+      <div className="flex items-center gap-2">
+        <span className="text-xs text-gray-400">
+          {online ? `Online on ${status?.serverName}` : 'Not online'}
+        </span>
+        {canWarn && (
+          <button
+            onClick={() => setActiveAction('warn')}
+            disabled={!online}
+            className={`${buttonClass} bg-yellow-600 hover:bg-yellow-700`}
+          >
+            <MessageSquareWarning className="w-3 h-3" />
+            Warn
+          </button>
+        )}
+        {canKick && (
+          <button
+            onClick={() => setActiveAction('kick')}
+            disabled={!online}
+            className={`${buttonClass} bg-orange-600 hover:bg-orange-700`}
+          >
+            <UserX className="w-3 h-3" />
+            Kick
+          </button>
+        )}
+        {canBan && (
+          <button
+            onClick={() => setActiveAction('ban')}
+            disabled={!online}
+            className={`${buttonClass} bg-red-600 hover:bg-red-700`}
+          >
+            <Ban className="w-3 h-3" />
+            Ban
+          </button>
+        )}
+      </div>
+
+      {activeAction && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-discord-light rounded-lg w-full max-w-md mx-4 p-4">
+            <h3 className="text-lg font-semibold text-white mb-2">{ACTION_LABELS[activeAction].title}</h3>
+            <p className="text-sm text-gray-400 mb-4">
+              Sent via RCON to {status?.serverName || 'the player\'s current server'}. This action is recorded in the audit log.
+            </p>
+            <form
+              onSubmit={async (e) => {
+                e.preventDefault()
+                if (!reason.trim()) return
+                try {
+                  await actionMutation.mutateAsync({
+                    steamid64,
+                    action: activeAction,
+                    request: activeAction === 'ban' ? { reason, duration } : { reason },
+                  })
+                  closeModal()
+                } catch {
+                  // Error shown below
+                }
+              }}
+              className="space-y-4"
+            >
+              <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder={ACTION_LABELS[activeAction].placeholder}
+                rows={2}
+                maxLength={200}
+                required
+                className="w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white placeholder-gray-500 resize-none"
+              />
+              {activeAction === 'ban' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Duration</label>
+                  <input
+                    type="text"
+                    value={duration}
+                    onChange={(e) => setDuration(e.target.value)}
+                    placeholder="e.g. 12h, 7d, 2w, 1M"
+                    required
+                    className="w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white placeholder-gray-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Use 0 for a permanent ban.</p>
+                </div>
+              )}
+              {actionMutation.error && (
+                <p className="text-sm text-red-400">
+                  {(actionMutation.error as { response?: { data?: { error?: string } } }).response?.data?.error
+                    || 'Failed to perform action'}
+                </p>
+              )}
+              <div className="flex justify-end gap-3">
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  className="text-gray-400 hover:text-white"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={actionMutation.isPending || !reason.trim()}
+                  className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+                >
+                  {actionMutation.isPending ? ACTION_LABELS[activeAction].pending : ACTION_LABELS[activeAction].submit}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
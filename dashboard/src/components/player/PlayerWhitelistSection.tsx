@@ -1,15 +1,18 @@
 import { useState } from 'react'
-import { Plus, Trash2, Pencil } from 'lucide-react'
+import { Plus, Trash2, Pencil, ArrowRightLeft } from 'lucide-react'
 import { usePlayerWhitelistHistory } from '../../hooks/usePlayers'
 import {
   useGrantWhitelist,
   useRevokeWhitelist,
   useRevokeWhitelistEntry,
-  useEditWhitelistEntry
+  useEditWhitelistEntry,
+  useTransferWhitelist
 } from '../../hooks/useWhitelist'
 import type { PlayerWhitelistEntry } from '../../types/player'
 import type { RevokeWhitelistRequest, EditWhitelistRequest } from '../../types/whitelist'
-import { cn, formatDateTime, getStatusColor, getSourceColor } from '../../lib/utils'
+import { cn, formatDateTime, getStatusColor, getSourceColor, isPendingApproval } from '../../lib/utils'
+import PendingApprovalNotice from '../approvals/PendingApprovalNotice'
+import type { PendingApprovalResponse } from '../../types/approvals'
 
 interface PlayerWhitelistSectionProps {
   steamid64: string
@@ -22,6 +25,7 @@ export default function PlayerWhitelistSection({ steamid64 }: PlayerWhitelistSec
   const [showRevokeModal, setShowRevokeModal] = useState(false)
   const [showRevokeEntryModal, setShowRevokeEntryModal] = useState(false)
   const [showEditModal, setShowEditModal] = useState(false)
+  const [showTransferModal, setShowTransferModal] = useState(false)
   const [selectedEntry, setSelectedEntry] = useState<PlayerWhitelistEntry | null>(null)
 
   if (isLoading) {
@@ -34,6 +38,7 @@ export default function PlayerWhitelistSection({ steamid64 }: PlayerWhitelistSec
 
   const entries = data?.entries || []
   const hasActiveEntry = entries.some(e => e.status === 'active' || e.status === 'permanent')
+  const transferableEntries = entries.filter(e => !e.revoked && e.source !== 'role' && (e.status === 'active' || e.status === 'permanent'))
 
   return (
     <div className="space-y-4">
@@ -51,6 +56,15 @@ export default function PlayerWhitelistSection({ steamid64 }: PlayerWhitelistSec
             <Plus className="w-4 h-4" />
             Add Whitelist
           </button>
+          {transferableEntries.length > 0 && (
+            <button
+              onClick={() => setShowTransferModal(true)}
+              className="bg-discord-lighter hover:bg-discord-darker text-white px-4 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+            >
+              <ArrowRightLeft className="w-4 h-4" />
+              Transfer
+            </button>
+          )}
           {hasActiveEntry && (
             <button
               onClick={() => setShowRevokeModal(true)}
@@ -190,6 +204,14 @@ export default function PlayerWhitelistSection({ steamid64 }: PlayerWhitelistSec
         />
       )}
 
+      {showTransferModal && (
+        <TransferModal
+          steamid64={steamid64}
+          entries={transferableEntries}
+          onClose={() => setShowTransferModal(false)}
+        />
+      )}
+
       {showRevokeModal && (
         <RevokeModal
           steamid64={steamid64}
@@ -212,24 +234,33 @@ function AddWhitelistModal({
   const [duration, setDuration] = useState<{ value: number; type: 'days' | 'months' | 'hours' }>({ value: 1, type: 'months' })
   const [reason, setReason] = useState('')
   const [isPermanent, setIsPermanent] = useState(false)
+  const [pendingApproval, setPendingApproval] = useState<PendingApprovalResponse | null>(null)
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
     if (!reason.trim()) return
 
     try {
-      await grantMutation.mutateAsync({
+      const result = await grantMutation.mutateAsync({
         steamid64,
         reason,
         duration_value: isPermanent ? null : duration.value,
         duration_type: isPermanent ? null : duration.type,
       })
+      if (isPendingApproval(result)) {
+        setPendingApproval(result)
+        return
+      }
       onClose()
     } catch {
       // Error handled by mutation
     }
   }
 
+  if (pendingApproval) {
+    return <PendingApprovalNotice response={pendingApproval} onClose={onClose} />
+  }
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
       <div className="bg-discord-light rounded-lg w-full max-w-md mx-4 p-4">
@@ -397,19 +428,28 @@ function RevokeEntryModal({ entry, onClose }: { entry: PlayerWhitelistEntry; onC
 function RevokeModal({ steamid64, onClose }: { steamid64: string; onClose: () => void }) {
   const revokeMutation = useRevokeWhitelist()
   const [reason, setReason] = useState('')
+  const [pendingApproval, setPendingApproval] = useState<PendingApprovalResponse | null>(null)
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
     if (!reason.trim()) return
     const request: RevokeWhitelistRequest = { reason }
     try {
-      await revokeMutation.mutateAsync({ steamid64, request })
+      const result = await revokeMutation.mutateAsync({ steamid64, request })
+      if (isPendingApproval(result)) {
+        setPendingApproval(result)
+        return
+      }
       onClose()
     } catch {
       // Error handled by mutation
     }
   }
 
+  if (pendingApproval) {
+    return <PendingApprovalNotice response={pendingApproval} onClose={onClose} />
+  }
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
       <div className="bg-discord-light rounded-lg w-full max-w-md mx-4 p-4">
@@ -440,3 +480,110 @@ function RevokeModal({ steamid64, onClose }: { steamid64: string; onClose: () =>
   )
 }
 
+
+function TransferModal({
+  steamid64,
+  entries,
+  onClose,
+}: {
+  steamid64: string
+  entries: PlayerWhitelistEntry[]
+  onClose: () => void
+}) {
+  const transferMutation = useTransferWhitelist()
+  const [selectedIds, setSelectedIds] = useState<number[]>(entries.map(e => e.id))
+  const [toSteamId, setToSteamId] = useState('')
+  const [reason, setReason] = useState('')
+  const [pendingApproval, setPendingApproval] = useState<PendingApprovalResponse | null>(null)
+
+  const toggleEntry = (id: number) => {
+    setSelectedIds(ids => (ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id]))
+  }
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!toSteamId.trim() || selectedIds.length === 0) return
+    try {
+      const result = await transferMutation.mutateAsync({
+        fromSteamId: steamid64,
+        toSteamId: toSteamId.trim(),
+        entryIds: selectedIds,
+        reason: reason.trim() || undefined,
+      })
+      if (isPendingApproval(result)) {
+        setPendingApproval(result)
+        return
+      }
+      onClose()
+    } catch {
+      // Error shown below
+    }
+  }
+
+  if (pendingApproval) {
+    return <PendingApprovalNotice response={pendingApproval} onClose={onClose} />
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-discord-light rounded-lg w-full max-w-md mx-4 p-4">
+        <h3 className="text-lg font-semibold text-white mb-4">Transfer Whitelist</h3>
+        <p className="text-sm text-gray-400 mb-4">
+          Moves the remaining time of the selected entries to another Steam ID. The entries here are revoked
+          and this Steam ID can't transfer again for 30 days.
+        </p>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2 max-h-48 overflow-y-auto">
+            {entries.map((entry) => (
+              <label key={entry.id} className="flex items-start gap-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(entry.id)}
+                  onChange={() => toggleEntry(entry.id)}
+                  className="mt-0.5 rounded border-discord-lighter bg-discord-darker"
+                />
+                <span>
+                  #{entry.id} {entry.reason || 'No reason specified'}
+                  <span className="block text-xs text-gray-500">
+                    {entry.calculatedExpiration ? `Expires ${formatDateTime(entry.calculatedExpiration)}` : 'Permanent'}
+                  </span>
+                </span>
+              </label>
+            ))}
+          </div>
+          <input
+            type="text"
+            value={toSteamId}
+            onChange={(e) => setToSteamId(e.target.value)}
+            placeholder="Target Steam ID64"
+            required
+            className="w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white font-mono placeholder-gray-500"
+          />
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason (optional)"
+            rows={2}
+            className="w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white placeholder-gray-500 resize-none"
+          />
+          {transferMutation.error && (
+            <p className="text-sm text-red-400">
+              {(transferMutation.error as { response?: { data?: { error?: string } } }).response?.data?.error
+                || 'Failed to transfer whitelist'}
+            </p>
+          )}
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="text-gray-400 hover:text-white">Cancel</button>
+            <button
+              type="submit"
+              disabled={transferMutation.isPending || !toSteamId.trim() || selectedIds.length === 0}
+              className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+            >
+              {transferMutation.isPending ? 'Transferring...' : 'Transfer'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -6,3 +6,4 @@ export { default as PlayerSeedingSection } from './PlayerSeedingSection'
 export { default as PlayerDutySection } from './PlayerDutySection'
 export { default as PlayerAccountSection } from './PlayerAccountSection'
 export { default as PlayerStatsSection } from './PlayerStatsSection'
+export { default as PlayerModerationActions } from './PlayerModerationActions'
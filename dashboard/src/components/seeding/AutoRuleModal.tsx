@@ -0,0 +1,211 @@
+import { useState } from 'react'
+import { X } from 'lucide-react'
+import { useServers, useCreateAutoRule, useUpdateAutoRule } from '../../hooks/useSeeding'
+import { cn } from '../../lib/utils'
+import RewardsFields, { rewardsFromRecord } from './RewardsFields'
+import type { RewardsConfig, SeedingAutoRule, SeedingAutoRuleRequest } from '../../types/seeding'
+
+interface AutoRuleModalProps {
+  rule?: SeedingAutoRule
+  onClose: () => void
+}
+
+export default function AutoRuleModal({ rule, onClose }: AutoRuleModalProps) {
+  const { data: servers, isLoading: loadingServers } = useServers()
+  const createAutoRule = useCreateAutoRule()
+  const updateAutoRule = useUpdateAutoRule()
+  const mutation = rule ? updateAutoRule : createAutoRule
+
+  const [name, setName] = useState(rule?.name || '')
+  const [enabled, setEnabled] = useState(rule?.enabled ?? false)
+  const [targetServerId, setTargetServerId] = useState(rule?.target_server_id || '')
+  const [sourceServerIds, setSourceServerIds] = useState<string[]>(rule?.source_server_ids || [])
+  const [triggerPlayerCount, setTriggerPlayerCount] = useState(String(rule?.trigger_player_count ?? 20))
+  const [minPopulatedMinutes, setMinPopulatedMinutes] = useState(String(rule?.min_populated_minutes ?? 60))
+  const [minQueueSize, setMinQueueSize] = useState(String(rule?.min_queue_size ?? 1))
+  const [playerThreshold, setPlayerThreshold] = useState(String(rule?.player_threshold ?? 60))
+  const [cooldownMinutes, setCooldownMinutes] = useState(String(rule?.cooldown_minutes ?? 120))
+  const [maxSessionsPerDay, setMaxSessionsPerDay] = useState(String(rule?.max_sessions_per_day ?? 2))
+  const [rewards, setRewards] = useState<RewardsConfig>(rewardsFromRecord(rule))
+  const [customBroadcastMessage, setCustomBroadcastMessage] = useState(rule?.custom_broadcast_message || '')
+
+  const toggleSource = (serverId: string) => {
+    setSourceServerIds(
+      sourceServerIds.includes(serverId)
+        ? sourceServerIds.filter((id) => id !== serverId)
+        : [...sourceServerIds, serverId]
+    )
+  }
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    const request: SeedingAutoRuleRequest = {
+      name: name.trim(),
+      enabled,
+      targetServerId,
+      sourceServerIds: sourceServerIds.filter((id) => id !== targetServerId),
+      triggerPlayerCount: parseInt(triggerPlayerCount) || 0,
+      minPopulatedMinutes: parseInt(minPopulatedMinutes) || 0,
+      minQueueSize: parseInt(minQueueSize) || 0,
+      playerThreshold: parseInt(playerThreshold) || 0,
+      cooldownMinutes: parseInt(cooldownMinutes) || 0,
+      maxSessionsPerDay: parseInt(maxSessionsPerDay) || 0,
+      rewards,
+      customBroadcastMessage: customBroadcastMessage.trim() || undefined,
+    }
+
+    try {
+      if (rule) {
+        await updateAutoRule.mutateAsync({ id: rule.id, request })
+      } else {
+        await createAutoRule.mutateAsync(request)
+      }
+      onClose()
+    } catch {
+      // Error shown below
+    }
+  }
+
+  const inputClass = 'w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-discord-blurple'
+
+  const numberField = (label: string, value: string, onChange: (value: string) => void, min: number, max?: number) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-300 mb-1">{label}</label>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        required
+        className={inputClass}
+      />
+    </div>
+  )
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-discord-light rounded-lg w-full max-w-xl mx-4">
+        <div className="flex items-center justify-between p-4 border-b border-discord-lighter">
+          <h2 className="text-lg font-semibold text-white">{rule ? 'Edit Auto Rule' : 'New Auto Rule'}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-4 space-y-4 max-h-[70vh] overflow-y-auto">
+          <div className="grid grid-cols-3 gap-4">
+            <div className="col-span-2">
+              <label className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Reseed server 2"
+                maxLength={100}
+                required
+                className={inputClass}
+              />
+            </div>
+            <label className="flex items-end gap-2 pb-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={enabled}
+                onChange={(e) => setEnabled(e.target.checked)}
+                className="w-4 h-4"
+              />
+              Enabled
+            </label>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Target Server</label>
+            <select
+              value={targetServerId}
+              onChange={(e) => setTargetServerId(e.target.value)}
+              required
+              disabled={loadingServers}
+              className={inputClass}
+            >
+              <option value="">Select a server</option>
+              {servers?.map((server) => (
+                <option key={server.id} value={server.id}>{server.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Source Servers</label>
+            <div className="flex flex-wrap gap-2">
+              {servers?.filter((server) => server.id !== targetServerId).map((server) => (
+                <button
+                  key={server.id}
+                  type="button"
+                  onClick={() => toggleSource(server.id)}
+                  className={cn(
+                    'px-3 py-1 rounded-md text-sm transition-colors',
+                    sourceServerIds.includes(server.id)
+                      ? 'bg-discord-blurple text-white'
+                      : 'bg-discord-darker text-gray-300 hover:text-white'
+                  )}
+                >
+                  {server.name}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              Servers checked for a full queue and sent the seeding call. None selected = all other servers
+            </p>
+          </div>
+
+          <div className="grid grid-cols-3 gap-4">
+            {numberField('Trigger Below (players)', triggerPlayerCount, setTriggerPlayerCount, 1, 99)}
+            {numberField('Populated For (min)', minPopulatedMinutes, setMinPopulatedMinutes, 0)}
+            {numberField('Source Queue At Least', minQueueSize, setMinQueueSize, 1)}
+          </div>
+
+          <div className="grid grid-cols-3 gap-4">
+            {numberField('Close At (players)', playerThreshold, setPlayerThreshold, 10, 99)}
+            {numberField('Cooldown (min)', cooldownMinutes, setCooldownMinutes, 0)}
+            {numberField('Max Sessions / Day', maxSessionsPerDay, setMaxSessionsPerDay, 1)}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Rewards</label>
+            <RewardsFields rewards={rewards} onChange={setRewards} />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Broadcast Message</label>
+            <textarea
+              value={customBroadcastMessage}
+              onChange={(e) => setCustomBroadcastMessage(e.target.value)}
+              rows={2}
+              placeholder="Leave empty for the default message. Supports {server} and {reward}."
+              className={`${inputClass} resize-none`}
+            />
+          </div>
+
+          {mutation.error && (
+            <p className="text-sm text-red-400">
+              {(mutation.error as { response?: { data?: { error?: string } } }).response?.data?.error || 'Failed to save rule'}
+            </p>
+          )}
+
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="text-gray-400 hover:text-white">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={mutation.isPending || (!rewards.switch && !rewards.playtime && !rewards.completion)}
+              className="bg-discord-blurple hover:bg-discord-blurple/80 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium"
+            >
+              {mutation.isPending ? 'Saving...' : rule ? 'Save Changes' : 'Create Rule'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,143 @@
+import type { RewardUnit, RewardsConfig } from '../../types/seeding'
+
+interface RewardsFieldsProps {
+  rewards: RewardsConfig
+  onChange: (rewards: RewardsConfig) => void
+}
+
+const numberInputClass = 'w-20 bg-discord-light border border-discord-lighter rounded px-2 py-1 text-white text-sm'
+const selectClass = 'bg-discord-light border border-discord-lighter rounded px-2 py-1 text-white text-sm'
+
+export function rewardsFromRecord(record?: {
+  switch_reward_value: number | null
+  switch_reward_unit: RewardUnit | null
+  playtime_reward_value: number | null
+  playtime_reward_unit: RewardUnit | null
+  playtime_threshold_minutes: number | null
+  completion_reward_value: number | null
+  completion_reward_unit: RewardUnit | null
+}): RewardsConfig {
+  if (!record) {
+    return {
+      switch: { value: 1, unit: 'days' },
+      playtime: null,
+      completion: null,
+    }
+  }
+
+  return {
+    switch: record.switch_reward_value
+      ? { value: record.switch_reward_value, unit: record.switch_reward_unit || 'days' }
+      : null,
+    playtime: record.playtime_reward_value
+      ? {
+          value: record.playtime_reward_value,
+          unit: record.playtime_reward_unit || 'days',
+          thresholdMinutes: record.playtime_threshold_minutes || 30,
+        }
+      : null,
+    completion: record.completion_reward_value
+      ? { value: record.completion_reward_value, unit: record.completion_reward_unit || 'days' }
+      : null,
+  }
+}
+
+export default function RewardsFields({ rewards, onChange }: RewardsFieldsProps) {
+  const renderReward = (key: 'switch' | 'completion', label: string, description: string) => {
+    const reward = rewards[key]
+    return (
+      <div className="bg-discord-darker rounded-md p-3">
+        <label className="flex items-center justify-between">
+          <span className="text-sm font-medium text-white">{label}</span>
+          <input
+            type="checkbox"
+            checked={!!reward}
+            onChange={(e) => onChange({ ...rewards, [key]: e.target.checked ? { value: 1, unit: 'days' } : null })}
+            className="w-4 h-4"
+          />
+        </label>
+        <p className="text-xs text-gray-400 mt-1">{description}</p>
+        {reward && (
+          <div className="flex gap-2 mt-2">
+            <input
+              type="number"
+              min={1}
+              value={reward.value}
+              onChange={(e) => onChange({ ...rewards, [key]: { ...reward, value: parseInt(e.target.value) || 0 } })}
+              className={numberInputClass}
+            />
+            <select
+              value={reward.unit}
+              onChange={(e) => onChange({ ...rewards, [key]: { ...reward, unit: e.target.value as RewardUnit } })}
+              className={selectClass}
+            >
+              <option value="days">Days</option>
+              <option value="months">Months</option>
+            </select>
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-2">
+      {renderReward('switch', 'Switch Reward', 'Immediate reward when player switches from source to target')}
+      <div className="bg-discord-darker rounded-md p-3">
+        <label className="flex items-center justify-between">
+          <span className="text-sm font-medium text-white">Playtime Reward</span>
+          <input
+            type="checkbox"
+            checked={!!rewards.playtime}
+            onChange={(e) =>
+              onChange({
+                ...rewards,
+                playtime: e.target.checked ? { value: 1, unit: 'days', thresholdMinutes: 30 } : null,
+              })
+            }
+            className="w-4 h-4"
+          />
+        </label>
+        <p className="text-xs text-gray-400 mt-1">Reward after player reaches minimum playtime on target</p>
+        {rewards.playtime && (
+          <div className="flex items-center gap-2 mt-2">
+            <input
+              type="number"
+              min={1}
+              value={rewards.playtime.value}
+              onChange={(e) =>
+                onChange({ ...rewards, playtime: { ...rewards.playtime!, value: parseInt(e.target.value) || 0 } })
+              }
+              className={numberInputClass}
+            />
+            <select
+              value={rewards.playtime.unit}
+              onChange={(e) =>
+                onChange({ ...rewards, playtime: { ...rewards.playtime!, unit: e.target.value as RewardUnit } })
+              }
+              className={selectClass}
+            >
+              <option value="days">Days</option>
+              <option value="months">Months</option>
+            </select>
+            <span className="text-gray-400 text-sm">after</span>
+            <input
+              type="number"
+              min={1}
+              value={rewards.playtime.thresholdMinutes}
+              onChange={(e) =>
+                onChange({
+                  ...rewards,
+                  playtime: { ...rewards.playtime!, thresholdMinutes: parseInt(e.target.value) || 0 },
+                })
+              }
+              className={numberInputClass}
+            />
+            <span className="text-gray-400 text-sm">minutes</span>
+          </div>
+        )}
+      </div>
+      {renderReward('completion', 'Completion Reward', 'Reward for everyone on target when the threshold is reached')}
+    </div>
+  )
+}
@@ -0,0 +1,230 @@
+import { useState } from 'react'
+import { X } from 'lucide-react'
+import { useServers, useCreateSchedule, useUpdateSchedule } from '../../hooks/useSeeding'
+import { cn } from '../../lib/utils'
+import RewardsFields, { rewardsFromRecord } from './RewardsFields'
+import type { RewardsConfig, SeedingSchedule, SeedingScheduleRequest } from '../../types/seeding'
+
+interface ScheduleModalProps {
+  schedule?: SeedingSchedule
+  onClose: () => void
+}
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+export default function ScheduleModal({ schedule, onClose }: ScheduleModalProps) {
+  const { data: servers, isLoading: loadingServers } = useServers()
+  const createSchedule = useCreateSchedule()
+  const updateSchedule = useUpdateSchedule()
+  const mutation = schedule ? updateSchedule : createSchedule
+
+  const [name, setName] = useState(schedule?.name || '')
+  const [enabled, setEnabled] = useState(schedule?.enabled ?? true)
+  const [targetServerId, setTargetServerId] = useState(schedule?.target_server_id || '')
+  const [sourceServerIds, setSourceServerIds] = useState<string[]>(schedule?.source_server_ids || [])
+  const [playerThreshold, setPlayerThreshold] = useState(String(schedule?.player_threshold || 60))
+  const [timeOfDay, setTimeOfDay] = useState(schedule?.time_of_day || '09:00')
+  const [daysOfWeek, setDaysOfWeek] = useState<number[]>(schedule?.days_of_week || [])
+  const [rewards, setRewards] = useState<RewardsConfig>(rewardsFromRecord(schedule))
+  const [customBroadcastMessage, setCustomBroadcastMessage] = useState(schedule?.custom_broadcast_message || '')
+
+  const toggleDay = (day: number) => {
+    setDaysOfWeek(daysOfWeek.includes(day) ? daysOfWeek.filter((d) => d !== day) : [...daysOfWeek, day])
+  }
+
+  const toggleSource = (serverId: string) => {
+    setSourceServerIds(
+      sourceServerIds.includes(serverId)
+        ? sourceServerIds.filter((id) => id !== serverId)
+        : [...sourceServerIds, serverId]
+    )
+  }
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    const request: SeedingScheduleRequest = {
+      name: name.trim(),
+      enabled,
+      targetServerId,
+      sourceServerIds: sourceServerIds.filter((id) => id !== targetServerId),
+      playerThreshold: parseInt(playerThreshold) || 0,
+      timeOfDay,
+      daysOfWeek,
+      rewards,
+      customBroadcastMessage: customBroadcastMessage.trim() || undefined,
+    }
+
+    try {
+      if (schedule) {
+        await updateSchedule.mutateAsync({ id: schedule.id, request })
+      } else {
+        await createSchedule.mutateAsync(request)
+      }
+      onClose()
+    } catch {
+      // Error shown below
+    }
+  }
+
+  const inputClass = 'w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-discord-blurple'
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-discord-light rounded-lg w-full max-w-xl mx-4">
+        <div className="flex items-center justify-between p-4 border-b border-discord-lighter">
+          <h2 className="text-lg font-semibold text-white">{schedule ? 'Edit Schedule' : 'New Schedule'}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-4 space-y-4 max-h-[70vh] overflow-y-auto">
+          <div className="grid grid-cols-3 gap-4">
+            <div className="col-span-2">
+              <label className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Morning seed"
+                maxLength={100}
+                required
+                className={inputClass}
+              />
+            </div>
+            <label className="flex items-end gap-2 pb-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={enabled}
+                onChange={(e) => setEnabled(e.target.checked)}
+                className="w-4 h-4"
+              />
+              Enabled
+            </label>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Target Server</label>
+              <select
+                value={targetServerId}
+                onChange={(e) => setTargetServerId(e.target.value)}
+                required
+                disabled={loadingServers}
+                className={inputClass}
+              >
+                <option value="">Select a server</option>
+                {servers?.map((server) => (
+                  <option key={server.id} value={server.id}>{server.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Player Threshold</label>
+              <input
+                type="number"
+                min={10}
+                max={99}
+                value={playerThreshold}
+                onChange={(e) => setPlayerThreshold(e.target.value)}
+                required
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Source Servers</label>
+            <div className="flex flex-wrap gap-2">
+              {servers?.filter((server) => server.id !== targetServerId).map((server) => (
+                <button
+                  key={server.id}
+                  type="button"
+                  onClick={() => toggleSource(server.id)}
+                  className={cn(
+                    'px-3 py-1 rounded-md text-sm transition-colors',
+                    sourceServerIds.includes(server.id)
+                      ? 'bg-discord-blurple text-white'
+                      : 'bg-discord-darker text-gray-300 hover:text-white'
+                  )}
+                >
+                  {server.name}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">None selected = all other servers</p>
+          </div>
+
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Time (UTC)</label>
+              <input
+                type="time"
+                value={timeOfDay}
+                onChange={(e) => setTimeOfDay(e.target.value)}
+                required
+                className={inputClass}
+              />
+            </div>
+            <div className="col-span-2">
+              <label className="block text-sm font-medium text-gray-300 mb-1">Days (UTC)</label>
+              <div className="flex gap-1">
+                {DAYS.map((label, day) => (
+                  <button
+                    key={label}
+                    type="button"
+                    onClick={() => toggleDay(day)}
+                    className={cn(
+                      'flex-1 py-2 rounded-md text-xs font-medium transition-colors',
+                      daysOfWeek.includes(day)
+                        ? 'bg-discord-blurple text-white'
+                        : 'bg-discord-darker text-gray-300 hover:text-white'
+                    )}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">None selected = every day</p>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Rewards</label>
+            <RewardsFields rewards={rewards} onChange={setRewards} />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Broadcast Message</label>
+            <textarea
+              value={customBroadcastMessage}
+              onChange={(e) => setCustomBroadcastMessage(e.target.value)}
+              rows={2}
+              placeholder="Leave empty for the default message. Supports {server} and {reward}."
+              className={`${inputClass} resize-none`}
+            />
+          </div>
+
+          {mutation.error && (
+            <p className="text-sm text-red-400">
+              {(mutation.error as { response?: { data?: { error?: string } } }).response?.data?.error || 'Failed to save schedule'}
+            </p>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={onClose} className="text-gray-400 hover:text-white">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={mutation.isPending || (!rewards.switch && !rewards.playtime && !rewards.completion)}
+              className="bg-discord-blurple hover:bg-discord-blurple/80 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium"
+            >
+              {mutation.isPending ? 'Saving...' : schedule ? 'Save Changes' : 'Create Schedule'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
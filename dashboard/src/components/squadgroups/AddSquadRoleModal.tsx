@@ -1,6 +1,7 @@
 import { useState } from 'react'
 import { X, Plus, Search, CheckSquare, Square } from 'lucide-react'
-import { useSquadGroupRoles, useAddSquadRole } from '../../hooks/useSquadGroups'
+import { useSquadGroupRoles, useAddSquadRole, useSquadGroupServers } from '../../hooks/useSquadGroups'
+import ServerScopeSelect from '../ui/ServerScopeSelect'
 import type { SquadPermission, DiscordRoleForSquad } from '../../types/squadgroups'
 
 interface AddSquadRoleModalProps {
@@ -14,10 +15,12 @@ export default function AddSquadRoleModal({
 }: AddSquadRoleModalProps) {
   const { data: rolesData, isLoading: isLoadingRoles } = useSquadGroupRoles()
   const addMutation = useAddSquadRole()
+  const { data: servers } = useSquadGroupServers()
 
   const [searchQuery, setSearchQuery] = useState('')
   const [selectedRole, setSelectedRole] = useState<DiscordRoleForSquad | null>(null)
   const [selectedPermissions, setSelectedPermissions] = useState<string[]>([])
+  const [serverIds, setServerIds] = useState<string[]>([])
 
   // Filter roles that aren't already configured and match search
   const availableRoles = rolesData?.roles.filter(
@@ -61,6 +64,7 @@ export default function AddSquadRoleModal({
       await addMutation.mutateAsync({
         roleId: selectedRole.id,
         permissions: selectedPermissions,
+        serverIds: serverIds.length ? serverIds : undefined,
       })
       onClose()
     } catch {
@@ -171,6 +175,16 @@ export default function AddSquadRoleModal({
                 </p>
               </div>
 
+              {/* Server Scope */}
+              {servers && servers.length > 1 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Servers
+                  </label>
+                  <ServerScopeSelect servers={servers} value={serverIds} onChange={setServerIds} />
+                </div>
+              )}
+
               {/* Permissions */}
               <div>
                 <div className="flex items-center justify-between mb-2">
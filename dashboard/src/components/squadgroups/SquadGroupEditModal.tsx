@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import { X, Check, CheckSquare, Square } from 'lucide-react'
-import { useUpdateSquadRole } from '../../hooks/useSquadGroups'
+import { useUpdateSquadRole, useSquadGroupServers } from '../../hooks/useSquadGroups'
+import ServerScopeSelect from '../ui/ServerScopeSelect'
 import type { RoleConfig, SquadPermission } from '../../types/squadgroups'
 
 interface SquadGroupEditModalProps {
@@ -18,8 +19,10 @@ export default function SquadGroupEditModal({
   onClose,
 }: SquadGroupEditModalProps) {
   const updateMutation = useUpdateSquadRole()
+  const { data: servers } = useSquadGroupServers()
 
   const [selectedPermissions, setSelectedPermissions] = useState<string[]>(roleConfig.permissions)
+  const [serverIds, setServerIds] = useState<string[]>(roleConfig.serverIds || [])
 
   // Auto-derived group name (read-only)
   const groupName = sanitizeGroupName(roleConfig.roleName || '') || `Role_${roleConfig.roleId}`
@@ -27,6 +30,7 @@ export default function SquadGroupEditModal({
   // Reset form when roleConfig changes
   useEffect(() => {
     setSelectedPermissions(roleConfig.permissions)
+    setServerIds(roleConfig.serverIds || [])
   }, [roleConfig])
 
   const handlePermissionToggle = (permissionId: string) => {
@@ -53,6 +57,7 @@ export default function SquadGroupEditModal({
         roleId: roleConfig.roleId,
         request: {
           permissions: selectedPermissions,
+          serverIds,
         },
       })
       onClose()
@@ -62,7 +67,8 @@ export default function SquadGroupEditModal({
   }
 
   const hasChanges =
-    JSON.stringify(selectedPermissions.sort()) !== JSON.stringify(roleConfig.permissions.sort())
+    JSON.stringify(selectedPermissions.sort()) !== JSON.stringify(roleConfig.permissions.sort()) ||
+    JSON.stringify([...serverIds].sort()) !== JSON.stringify([...(roleConfig.serverIds || [])].sort())
 
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
@@ -101,6 +107,16 @@ export default function SquadGroupEditModal({
             </p>
           </div>
 
+          {/* Server Scope */}
+          {servers && servers.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Servers
+              </label>
+              <ServerScopeSelect servers={servers} value={serverIds} onChange={setServerIds} />
+            </div>
+          )}
+
           {/* Permissions */}
           <div>
             <div className="flex items-center justify-between mb-2">
@@ -93,6 +93,11 @@ export default function SquadGroupsTable({
                 <span className="text-gray-300 font-mono text-sm bg-discord-darker px-2 py-1 rounded">
                   {config.groupName}
                 </span>
+                {config.serverIds && config.serverIds.length > 0 && (
+                  <div className="text-xs text-gray-500 mt-1">
+                    Only on {config.serverIds.join(', ')}
+                  </div>
+                )}
               </td>
 
               {/* Permissions */}
@@ -0,0 +1,52 @@
+import { cn } from '../../lib/utils'
+import type { ScopeServer } from '../../types/whitelist'
+
+interface ServerScopeSelectProps {
+  servers: ScopeServer[] | undefined
+  value: string[]
+  onChange: (value: string[]) => void
+}
+
+// Toggle list of game servers; nothing selected means every server
+export default function ServerScopeSelect({ servers, value, onChange }: ServerScopeSelectProps) {
+  const toggle = (serverId: string) => {
+    onChange(value.includes(serverId) ? value.filter((id) => id !== serverId) : [...value, serverId])
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={() => onChange([])}
+          className={cn(
+            'px-3 py-1 rounded-md text-sm transition-colors',
+            value.length === 0
+              ? 'bg-discord-blurple text-white'
+              : 'bg-discord-darker text-gray-300 hover:text-white'
+          )}
+        >
+          All Servers
+        </button>
+        {servers?.map((server) => (
+          <button
+            key={server.id}
+            type="button"
+            onClick={() => toggle(server.id)}
+            className={cn(
+              'px-3 py-1 rounded-md text-sm transition-colors',
+              value.includes(server.id)
+                ? 'bg-discord-blurple text-white'
+                : 'bg-discord-darker text-gray-300 hover:text-white'
+            )}
+          >
+            {server.name}
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Scoped access is only written to the selected servers' /combined/:serverId output
+      </p>
+    </div>
+  )
+}
@@ -1,7 +1,11 @@
 import { useState } from 'react'
 import { X } from 'lucide-react'
-import { useGrantWhitelist } from '../../hooks/useWhitelist'
+import { useGrantWhitelist, useWhitelistServers } from '../../hooks/useWhitelist'
+import ServerScopeSelect from '../ui/ServerScopeSelect'
 import type { GrantWhitelistRequest } from '../../types/whitelist'
+import { isPendingApproval } from '../../lib/utils'
+import PendingApprovalNotice from '../approvals/PendingApprovalNotice'
+import type { PendingApprovalResponse } from '../../types/approvals'
 
 interface GrantModalProps {
   onClose: () => void
@@ -27,6 +31,7 @@ const REASONS = [
 
 export default function GrantModal({ onClose }: GrantModalProps) {
   const grantMutation = useGrantWhitelist()
+  const { data: servers } = useWhitelistServers()
 
   const [formData, setFormData] = useState({
     steamid64: '',
@@ -36,9 +41,11 @@ export default function GrantModal({ onClose }: GrantModalProps) {
     duration_value: 1 as number | null,
     duration_type: 'months' as 'days' | 'months' | 'hours' | null,
     note: '',
+    server_ids: [] as string[],
   })
 
   const [errors, setErrors] = useState<Record<string, string>>({})
+  const [pendingApproval, setPendingApproval] = useState<PendingApprovalResponse | null>(null)
 
   const validate = (): boolean => {
     const newErrors: Record<string, string> = {}
@@ -70,10 +77,15 @@ export default function GrantModal({ onClose }: GrantModalProps) {
       duration_value: formData.duration_value,
       duration_type: formData.duration_type,
       note: formData.note || undefined,
+      server_ids: formData.server_ids.length ? formData.server_ids : undefined,
     }
 
     try {
-      await grantMutation.mutateAsync(request)
+      const result = await grantMutation.mutateAsync(request)
+      if (isPendingApproval(result)) {
+        setPendingApproval(result)
+        return
+      }
       onClose()
     } catch {
       // Error is handled by mutation state
@@ -88,6 +100,10 @@ export default function GrantModal({ onClose }: GrantModalProps) {
     })
   }
 
+  if (pendingApproval) {
+    return <PendingApprovalNotice response={pendingApproval} onClose={onClose} />
+  }
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
       <div className="bg-discord-light rounded-lg w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto">
@@ -216,6 +232,20 @@ export default function GrantModal({ onClose }: GrantModalProps) {
             )}
           </div>
 
+          {/* Server Scope */}
+          {servers && servers.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Servers
+              </label>
+              <ServerScopeSelect
+                servers={servers}
+                value={formData.server_ids}
+                onChange={(server_ids) => setFormData({ ...formData, server_ids })}
+              />
+            </div>
+          )}
+
           {/* Note */}
           <div>
             <label className="block text-sm font-medium text-gray-300 mb-1">
@@ -0,0 +1,290 @@
+import { useState } from 'react'
+import { X, Upload, CheckCircle } from 'lucide-react'
+import { usePreviewWhitelistImport, useImportWhitelist } from '../../hooks/useWhitelist'
+import { isPendingApproval } from '../../lib/utils'
+import PendingApprovalNotice from '../approvals/PendingApprovalNotice'
+import type { PendingApprovalResponse } from '../../types/approvals'
+import type {
+  WhitelistImportFormat,
+  WhitelistImportRequest,
+  WhitelistImportPreviewResponse,
+  WhitelistImportResponse,
+} from '../../types/whitelist'
+
+interface ImportModalProps {
+  onClose: () => void
+}
+
+const DURATION_PRESETS = [
+  { label: '1 Month', value: 1, type: 'months' as const },
+  { label: '3 Months', value: 3, type: 'months' as const },
+  { label: '6 Months', value: 6, type: 'months' as const },
+  { label: '1 Year', value: 12, type: 'months' as const },
+  { label: 'Permanent', value: null, type: null },
+]
+
+const ROW_STATUS_STYLES: Record<string, string> = {
+  valid: 'bg-green-500/20 text-green-400',
+  invalid: 'bg-red-500/20 text-red-400',
+  duplicate: 'bg-yellow-500/20 text-yellow-400',
+}
+
+function getErrorMessage(error: unknown, fallback: string): string {
+  return (error as { response?: { data?: { error?: string } } }).response?.data?.error || fallback
+}
+
+export default function ImportModal({ onClose }: ImportModalProps) {
+  const previewMutation = usePreviewWhitelistImport()
+  const importMutation = useImportWhitelist()
+
+  const [content, setContent] = useState('')
+  const [format, setFormat] = useState<WhitelistImportFormat | ''>('')
+  const [duration, setDuration] = useState<typeof DURATION_PRESETS[0]>(DURATION_PRESETS[0])
+  const [reason, setReason] = useState('')
+  const [preview, setPreview] = useState<WhitelistImportPreviewResponse | null>(null)
+  const [result, setResult] = useState<WhitelistImportResponse | null>(null)
+  const [pendingApproval, setPendingApproval] = useState<PendingApprovalResponse | null>(null)
+
+  const buildRequest = (): WhitelistImportRequest => ({
+    content,
+    format: format || undefined,
+    durationValue: duration.value,
+    durationType: duration.type,
+    reason: reason || undefined,
+  })
+
+  // Any change to the input invalidates the preview
+  const resetPreview = () => {
+    setPreview(null)
+    previewMutation.reset()
+    importMutation.reset()
+  }
+
+  const handleFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    setContent(await file.text())
+    if (file.name.endsWith('.cfg')) setFormat('cfg')
+    else if (file.name.endsWith('.csv')) setFormat('csv')
+    resetPreview()
+  }
+
+  const handlePreview = async () => {
+    try {
+      setPreview(await previewMutation.mutateAsync(buildRequest()))
+    } catch {
+      // Error is handled by mutation state
+    }
+  }
+
+  const handleImport = async () => {
+    try {
+      const response = await importMutation.mutateAsync(buildRequest())
+      if (isPendingApproval(response)) {
+        setPendingApproval(response)
+        return
+      }
+      setResult(response)
+    } catch {
+      // Error is handled by mutation state
+    }
+  }
+
+  if (pendingApproval) {
+    return <PendingApprovalNotice response={pendingApproval} onClose={onClose} />
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-discord-light rounded-lg w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-discord-lighter">
+          <h2 className="text-lg font-semibold text-white">Import Whitelist</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {result ? (
+          <div className="p-6 text-center space-y-3">
+            <CheckCircle className="w-10 h-10 text-green-400 mx-auto" />
+            <p className="text-white font-medium">Imported {result.imported} entries</p>
+            <p className="text-sm text-gray-400">
+              {result.skipped} skipped ({result.summary.invalid} invalid, {result.summary.duplicate} duplicate)
+            </p>
+            <button
+              onClick={onClose}
+              className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+            >
+              Done
+            </button>
+          </div>
+        ) : (
+          <div className="p-4 space-y-4">
+            {/* Source */}
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="block text-sm font-medium text-gray-300">
+                  CSV or Admins.cfg content
+                </label>
+                <label className="text-xs text-discord-blurple hover:underline cursor-pointer flex items-center gap-1">
+                  <Upload className="w-3 h-3" />
+                  Upload file
+                  <input type="file" accept=".csv,.cfg,.txt" onChange={handleFile} className="hidden" />
+                </label>
+              </div>
+              <textarea
+                value={content}
+                onChange={(e) => { setContent(e.target.value); resetPreview() }}
+                placeholder={'steamid64,username,reason\n76561198000000000,Player,donator\n\nor\n\nAdmin=76561198000000000:Whitelist // Player'}
+                rows={8}
+                className="w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white font-mono placeholder-gray-500 focus:outline-none focus:border-discord-blurple resize-y"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                CSV needs a header row with a steamid64 column. Optional columns: username, discord_username, reason, note, duration_value, duration_type, expiration.
+              </p>
+            </div>
+
+            <div className="flex flex-wrap gap-4">
+              {/* Format */}
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Format</label>
+                <select
+                  value={format}
+                  onChange={(e) => { setFormat(e.target.value as WhitelistImportFormat | ''); resetPreview() }}
+                  className="bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:border-discord-blurple"
+                >
+                  <option value="">Auto-detect</option>
+                  <option value="csv">CSV</option>
+                  <option value="cfg">Squad cfg</option>
+                </select>
+              </div>
+
+              {/* Reason */}
+              <div className="flex-1 min-w-[200px]">
+                <label className="block text-sm font-medium text-gray-300 mb-1">Reason (for rows without one)</label>
+                <input
+                  type="text"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="Bulk import"
+                  className="w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-discord-blurple"
+                />
+              </div>
+            </div>
+
+            {/* Default Duration */}
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Duration (for rows without one)
+              </label>
+              <div className="flex flex-wrap gap-2">
+                {DURATION_PRESETS.map((preset) => (
+                  <button
+                    key={preset.label}
+                    type="button"
+                    onClick={() => { setDuration(preset); resetPreview() }}
+                    className={`px-3 py-1.5 text-sm rounded-md border transition-colors ${
+                      duration.label === preset.label
+                        ? 'bg-discord-blurple border-discord-blurple text-white'
+                        : 'bg-discord-darker border-discord-lighter text-gray-300 hover:border-discord-blurple'
+                    }`}
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Preview */}
+            {preview && (
+              <div className="space-y-2">
+                <div className="flex gap-4 text-sm">
+                  <span className="text-gray-400">Format: <span className="text-white uppercase">{preview.format}</span></span>
+                  <span className="text-green-400">{preview.summary.valid} new</span>
+                  <span className="text-yellow-400">{preview.summary.duplicate} duplicate</span>
+                  <span className="text-red-400">{preview.summary.invalid} invalid</span>
+                </div>
+                <div className="max-h-64 overflow-y-auto border border-discord-lighter rounded-md">
+                  <table className="w-full text-sm">
+                    <thead className="bg-discord-darker sticky top-0">
+                      <tr className="text-left text-gray-400">
+                        <th className="px-3 py-2">Line</th>
+                        <th className="px-3 py-2">Steam ID</th>
+                        <th className="px-3 py-2">Name</th>
+                        <th className="px-3 py-2">Duration</th>
+                        <th className="px-3 py-2">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-discord-lighter">
+                      {preview.rows.map((row) => (
+                        <tr key={row.line}>
+                          <td className="px-3 py-2 text-gray-500">{row.line}</td>
+                          <td className="px-3 py-2 text-white font-mono">{row.steamid64 || '—'}</td>
+                          <td className="px-3 py-2 text-gray-300">{row.username || row.discord_username || '—'}</td>
+                          <td className="px-3 py-2 text-gray-300">
+                            {row.duration_value ? `${row.duration_value} ${row.duration_type}` : 'Permanent'}
+                          </td>
+                          <td className="px-3 py-2">
+                            <span className={`px-2 py-0.5 rounded text-xs ${ROW_STATUS_STYLES[row.status]}`}>
+                              {row.message || 'New'}
+                            </span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {/* Error Message */}
+            {(previewMutation.error || importMutation.error) && (
+              <div className="bg-red-500/20 border border-red-500/30 rounded-md p-3">
+                <p className="text-sm text-red-400">
+                  {previewMutation.error
+                    ? getErrorMessage(previewMutation.error, 'Failed to preview import')
+                    : getErrorMessage(importMutation.error, 'Failed to import whitelist')}
+                </p>
+              </div>
+            )}
+
+            {/* Actions */}
+            <div className="flex justify-end gap-3 pt-2">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-sm text-gray-300 hover:text-white transition-colors"
+              >
+                Cancel
+              </button>
+              {preview ? (
+                <button
+                  type="button"
+                  onClick={handleImport}
+                  disabled={importMutation.isPending || preview.summary.valid === 0}
+                  className="bg-discord-blurple hover:bg-discord-blurple/80 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+                >
+                  {importMutation.isPending ? 'Importing...' : `Import ${preview.summary.valid} Entries`}
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={handlePreview}
+                  disabled={previewMutation.isPending || !content.trim()}
+                  className="bg-discord-blurple hover:bg-discord-blurple/80 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+                >
+                  {previewMutation.isPending ? 'Checking...' : 'Preview'}
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
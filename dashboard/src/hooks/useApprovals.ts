@@ -0,0 +1,42 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { approvalsApi } from '../lib/api'
+import { useAuth } from './useAuth'
+import type { ChangeRequestFilters } from '../types/approvals'
+
+export function useApprovals(filters: ChangeRequestFilters = {}) {
+  const { user } = useAuth()
+
+  return useQuery({
+    queryKey: ['approvals', filters],
+    queryFn: () => approvalsApi.list(filters),
+    enabled: !!user,
+  })
+}
+
+// Approving executes the change, so refresh everything it could have touched
+function invalidateAffected(queryClient: ReturnType<typeof useQueryClient>) {
+  queryClient.invalidateQueries({ queryKey: ['approvals'] })
+  queryClient.invalidateQueries({ queryKey: ['whitelist'] })
+  queryClient.invalidateQueries({ queryKey: ['players'] })
+  queryClient.invalidateQueries({ queryKey: ['permissions'] })
+}
+
+export function useApproveChange() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id: number) => approvalsApi.approve(id),
+    onSettled: () => invalidateAffected(queryClient),
+  })
+}
+
+export function useRejectChange() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, note }: { id: number; note?: string }) => approvalsApi.reject(id, note),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['approvals'] })
+    },
+  })
+}
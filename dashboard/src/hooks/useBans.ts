@@ -0,0 +1,59 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { bansApi } from '../lib/api'
+import { useAuth } from './useAuth'
+import type { BanFilters, BanAppealFilters, CreateBanRequest, UpdateBanRequest } from '../types/bans'
+
+export function useBans(filters: BanFilters = {}) {
+  const { user, hasPermission } = useAuth()
+  const canView = hasPermission('VIEW_BANS')
+
+  return useQuery({
+    queryKey: ['bans', 'list', filters],
+    queryFn: () => bansApi.list(filters),
+    enabled: !!user && canView,
+  })
+}
+
+export function useBanAppeals(filters: BanAppealFilters = {}) {
+  const { user, hasPermission } = useAuth()
+  const canView = hasPermission('VIEW_BANS')
+
+  return useQuery({
+    queryKey: ['bans', 'appeals', filters],
+    queryFn: () => bansApi.listAppeals(filters),
+    enabled: !!user && canView,
+  })
+}
+
+export function useCreateBan() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (request: CreateBanRequest) => bansApi.create(request),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['bans'] })
+    },
+  })
+}
+
+export function useRevokeBan() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, reason }: { id: number; reason: string }) => bansApi.revoke(id, reason),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['bans'] })
+    },
+  })
+}
+
+export function useUpdateBan() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, request }: { id: number; request: UpdateBanRequest }) => bansApi.update(id, request),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['bans'] })
+    },
+  })
+}
@@ -83,6 +83,42 @@ export function useReconnectServer() {
   })
 }
 
+export function useRotatePullToken() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (key: string) => connectionsApi.rotatePullToken(key),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['connections', 'servers'] })
+      queryClient.invalidateQueries({ queryKey: ['connections', 'audit'] })
+    },
+  })
+}
+
+export function useRevokePullToken() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (key: string) => connectionsApi.revokePullToken(key),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['connections', 'servers'] })
+      queryClient.invalidateQueries({ queryKey: ['connections', 'audit'] })
+    },
+  })
+}
+
+export function useWhitelistPulls(serverKey?: string, limit = 20) {
+  const { user, hasPermission } = useAuth()
+  const canView = hasPermission('MANAGE_CONNECTIONS')
+
+  return useQuery({
+    queryKey: ['connections', 'whitelist-pulls', serverKey, limit],
+    queryFn: () => connectionsApi.getWhitelistPulls(serverKey, limit),
+    enabled: !!user && canView,
+    refetchInterval: 30000,
+  })
+}
+
 export function useDbStatus() {
   const { user, hasPermission } = useAuth()
   const canView = hasPermission('MANAGE_CONNECTIONS')
@@ -106,3 +142,15 @@ export function useConnectionAudit(limit = 50) {
     staleTime: 1000 * 60,
   })
 }
+
+export function useIngameCommands() {
+  const { user, hasPermission } = useAuth()
+  const canView = hasPermission('MANAGE_CONNECTIONS')
+
+  return useQuery({
+    queryKey: ['connections', 'ingame-commands'],
+    queryFn: () => connectionsApi.getIngameCommands(),
+    enabled: !!user && canView,
+    staleTime: 1000 * 60 * 5,
+  })
+}
@@ -0,0 +1,73 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { donationsApi } from '../lib/api'
+import { useAuth } from './useAuth'
+import type { ClaimDonationSlotRequest, DonationFilters, ReverseDonationRequest } from '../types/donations'
+
+export function useDonations(filters: DonationFilters = {}) {
+  const { user, hasPermission } = useAuth()
+  const canView = hasPermission('VIEW_DONATIONS')
+
+  return useQuery({
+    queryKey: ['donations', 'list', filters],
+    queryFn: () => donationsApi.list(filters),
+    enabled: !!user && canView,
+  })
+}
+
+export function useDonationRevenue(months = 12) {
+  const { user, hasPermission } = useAuth()
+  const canView = hasPermission('VIEW_DONATIONS')
+
+  return useQuery({
+    queryKey: ['donations', 'revenue', months],
+    queryFn: () => donationsApi.getRevenue(months),
+    enabled: !!user && canView,
+  })
+}
+
+export function useReverseDonation() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, request }: { id: number; request: ReverseDonationRequest }) => donationsApi.reverse(id, request),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['donations'] })
+      queryClient.invalidateQueries({ queryKey: ['whitelist'] })
+    },
+  })
+}
+
+export function useClaimDonationSlot() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (request: ClaimDonationSlotRequest) => donationsApi.claim(request),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['donations'] })
+      queryClient.invalidateQueries({ queryKey: ['whitelist'] })
+    },
+  })
+}
+
+export function useAssignDonationSlot() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, steamid64 }: { id: number; steamid64: string }) => donationsApi.assignSlot(id, steamid64),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['donations'] })
+      queryClient.invalidateQueries({ queryKey: ['whitelist'] })
+    },
+  })
+}
+
+export function useRegenerateClaimCode() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id: number) => donationsApi.regenerateClaimCode(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['donations'] })
+    },
+  })
+}
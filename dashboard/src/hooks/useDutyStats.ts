@@ -1,6 +1,6 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { dutyApi } from '../lib/api'
-import type { DutyPeriod, DutyType, StaffOverviewSortBy, StaffOverviewSortOrder, StaffOverviewPeriod } from '../types/duty'
+import type { DutyPeriod, DutyType, StaffOverviewSortBy, StaffOverviewSortOrder, StaffOverviewPeriod, PointRuleSetInput } from '../types/duty'
 import { useAuth } from './useAuth'
 
 export function useDutyLeaderboard(
@@ -86,3 +86,116 @@ export function useStaffOverview(
     staleTime: 60 * 1000, // 1 minute
   })
 }
+
+export function useDutyCoverage(period: DutyPeriod = 'month') {
+  const { user, hasPermission } = useAuth()
+  const canView = hasPermission('VIEW_DUTY')
+
+  return useQuery({
+    queryKey: ['duty', 'coverage', period],
+    queryFn: () => dutyApi.getCoverage(period),
+    enabled: !!user && canView,
+    staleTime: 5 * 60 * 1000, // 5 minutes - snapshots are infrequent
+  })
+}
+
+export function useWeeklyTargets() {
+  const { user, hasPermission } = useAuth()
+  const canView = hasPermission('VIEW_DUTY')
+
+  return useQuery({
+    queryKey: ['duty', 'targets'],
+    queryFn: () => dutyApi.getWeeklyTargets(),
+    enabled: !!user && canView,
+    staleTime: 60 * 1000, // 1 minute
+  })
+}
+
+export function useInactiveStaff() {
+  const { user, hasPermission } = useAuth()
+  const canView = hasPermission('VIEW_DUTY')
+
+  return useQuery({
+    queryKey: ['duty', 'inactive-staff'],
+    queryFn: () => dutyApi.getInactiveStaff(),
+    enabled: !!user && canView,
+    staleTime: 60 * 1000, // 1 minute
+  })
+}
+
+export function useMarkInactive() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (discordId: string) => dutyApi.markInactive(discordId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['duty', 'inactive-staff'] })
+    },
+  })
+}
+
+export function useRestoreInactive() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (discordId: string) => dutyApi.restoreInactive(discordId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['duty', 'inactive-staff'] })
+    },
+  })
+}
+
+export function usePointRules() {
+  const { user, hasPermission } = useAuth()
+  const canView = hasPermission('VIEW_DUTY')
+
+  return useQuery({
+    queryKey: ['duty', 'point-rules'],
+    queryFn: () => dutyApi.getPointRules(),
+    enabled: !!user && canView,
+  })
+}
+
+export function usePointRulePreview(id: number | null, period: DutyPeriod = 'month', dutyType: DutyType = 'both') {
+  const { user, hasPermission } = useAuth()
+  const canView = hasPermission('VIEW_DUTY')
+
+  return useQuery({
+    queryKey: ['duty', 'point-rules', 'preview', id, period, dutyType],
+    queryFn: () => dutyApi.previewPointRuleSet(id as number, period, dutyType),
+    enabled: !!user && canView && id !== null,
+  })
+}
+
+export function useCreatePointRuleSet() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (input: PointRuleSetInput) => dutyApi.createPointRuleSet(input),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['duty', 'point-rules'] })
+    },
+  })
+}
+
+export function useUpdatePointRuleSet() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, input }: { id: number; input: Partial<PointRuleSetInput> }) => dutyApi.updatePointRuleSet(id, input),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['duty', 'point-rules'] })
+    },
+  })
+}
+
+export function useActivatePointRuleSet() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id: number) => dutyApi.activatePointRuleSet(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['duty', 'point-rules'] })
+    },
+  })
+}
@@ -1,7 +1,7 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { playersApi } from '../lib/api'
 import { useAuth } from './useAuth'
-import type { PlayerFilters } from '../types/player'
+import type { PlayerFilters, PlayerModerationAction, PlayerActionRequest } from '../types/player'
 
 export function usePlayersList(filters: PlayerFilters = {}) {
   const { user } = useAuth()
@@ -142,3 +142,26 @@ export function useResetPlayerStats() {
     },
   })
 }
+
+export function usePlayerActionStatus(steamid64: string, enabled = true) {
+  const { user } = useAuth()
+  return useQuery({
+    queryKey: ['players', 'action-status', steamid64],
+    queryFn: () => playersApi.getActionStatus(steamid64),
+    enabled: !!user && !!steamid64 && enabled,
+    refetchInterval: 30000,
+  })
+}
+
+export function usePlayerAction() {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: ({ steamid64, action, request }: { steamid64: string; action: PlayerModerationAction; request: PlayerActionRequest }) =>
+      playersApi.performAction(steamid64, action, request),
+    onSuccess: (_data, variables) => {
+      // Actions are written to the audit log
+      queryClient.invalidateQueries({ queryKey: ['players', 'audit', variables.steamid64] })
+      queryClient.invalidateQueries({ queryKey: ['players', 'action-status', variables.steamid64] })
+    },
+  })
+}
@@ -1,7 +1,7 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { seedingApi } from '../lib/api'
 import { useAuth } from './useAuth'
-import type { CreateSessionRequest } from '../types/seeding'
+import type { CreateSessionRequest, SeedingScheduleRequest, SeedingAutoRuleRequest, LeaderboardPeriod } from '../types/seeding'
 
 export function useServers() {
   const { user } = useAuth()
@@ -150,3 +150,144 @@ export function useRevokeParticipantRewards() {
     },
   })
 }
+
+export function useSchedules() {
+  const { user } = useAuth()
+  return useQuery({
+    queryKey: ['seeding', 'schedules'],
+    queryFn: async () => {
+      const response = await seedingApi.listSchedules()
+      return response.data
+    },
+    enabled: !!user,
+  })
+}
+
+export function useCreateSchedule() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (request: SeedingScheduleRequest) => seedingApi.createSchedule(request),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['seeding', 'schedules'] })
+    },
+  })
+}
+
+export function useUpdateSchedule() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, request }: { id: number; request: SeedingScheduleRequest }) =>
+      seedingApi.updateSchedule(id, request),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['seeding', 'schedules'] })
+    },
+  })
+}
+
+export function useDeleteSchedule() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id: number) => seedingApi.deleteSchedule(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['seeding', 'schedules'] })
+    },
+  })
+}
+
+export function useAutoRules() {
+  const { user } = useAuth()
+  return useQuery({
+    queryKey: ['seeding', 'auto-rules'],
+    queryFn: async () => {
+      const response = await seedingApi.listAutoRules()
+      return response.data
+    },
+    enabled: !!user,
+  })
+}
+
+export function useCreateAutoRule() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (request: SeedingAutoRuleRequest) => seedingApi.createAutoRule(request),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['seeding', 'auto-rules'] })
+    },
+  })
+}
+
+export function useUpdateAutoRule() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, request }: { id: number; request: SeedingAutoRuleRequest }) =>
+      seedingApi.updateAutoRule(id, request),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['seeding', 'auto-rules'] })
+    },
+  })
+}
+
+export function useDeleteAutoRule() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id: number) => seedingApi.deleteAutoRule(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['seeding', 'auto-rules'] })
+    },
+  })
+}
+
+export function useSeedingLeaderboard(period: LeaderboardPeriod, serverId?: string) {
+  const { user } = useAuth()
+  return useQuery({
+    queryKey: ['seeding', 'leaderboard', period, serverId],
+    queryFn: async () => {
+      const response = await seedingApi.getLeaderboard({ period, serverId, limit: 50 })
+      return response.data
+    },
+    enabled: !!user,
+  })
+}
+
+export function useRewardRuns() {
+  const { user } = useAuth()
+  return useQuery({
+    queryKey: ['seeding', 'reward-runs'],
+    queryFn: async () => {
+      const response = await seedingApi.listRewardRuns()
+      return response.data
+    },
+    enabled: !!user,
+  })
+}
+
+export function useRunRewards() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (month?: string) => seedingApi.runRewards(month),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['seeding', 'reward-runs'] })
+      queryClient.invalidateQueries({ queryKey: ['whitelist'] })
+    },
+  })
+}
+
+export function useReverseRewardRun() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, reason }: { id: number; reason?: string }) =>
+      seedingApi.reverseRewardRun(id, reason),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['seeding', 'reward-runs'] })
+      queryClient.invalidateQueries({ queryKey: ['whitelist'] })
+    },
+  })
+}
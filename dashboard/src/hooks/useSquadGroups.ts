@@ -33,6 +33,24 @@ export function useSquadGroupRoles() {
   })
 }
 
+/**
+ * Hook to fetch game servers a group can be scoped to
+ */
+export function useSquadGroupServers() {
+  const { user, hasPermission } = useAuth()
+  const canManage = hasPermission('MANAGE_PERMISSIONS')
+
+  return useQuery({
+    queryKey: ['squadgroups', 'servers'],
+    queryFn: async () => {
+      const response = await squadGroupsApi.getServers()
+      return response.servers
+    },
+    enabled: !!user && canManage,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  })
+}
+
 /**
  * Hook to fetch a specific role's configuration
  */
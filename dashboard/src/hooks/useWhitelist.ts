@@ -5,6 +5,8 @@ import type {
   WhitelistFilters,
   GrantWhitelistRequest,
   RevokeWhitelistRequest,
+  TransferWhitelistRequest,
+  WhitelistImportRequest,
   EditWhitelistRequest,
 } from '../types/whitelist'
 
@@ -26,6 +28,51 @@ export function useWhitelistStats() {
   })
 }
 
+export function useWhitelistHistory(serverKey?: string, page = 1) {
+  const { user } = useAuth()
+  return useQuery({
+    queryKey: ['whitelist', 'history', serverKey, page],
+    queryFn: () => whitelistApi.getHistory(serverKey, page),
+    enabled: !!user,
+  })
+}
+
+export function useWhitelistVersion(id: number | null) {
+  const { user } = useAuth()
+  return useQuery({
+    queryKey: ['whitelist', 'history', 'version', id],
+    queryFn: async () => {
+      const response = await whitelistApi.getVersion(id!)
+      return response.version
+    },
+    enabled: !!user && id !== null,
+    staleTime: Infinity, // Versions never change once recorded
+  })
+}
+
+export function useWhitelistCompare(from: number | null, to: number | null) {
+  const { user } = useAuth()
+  return useQuery({
+    queryKey: ['whitelist', 'history', 'compare', from, to],
+    queryFn: () => whitelistApi.compareVersions(from!, to!),
+    enabled: !!user && from !== null && to !== null,
+    staleTime: Infinity,
+  })
+}
+
+export function useWhitelistServers() {
+  const { user } = useAuth()
+  return useQuery({
+    queryKey: ['whitelist', 'servers'],
+    queryFn: async () => {
+      const response = await whitelistApi.getServers()
+      return response.servers
+    },
+    enabled: !!user,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  })
+}
+
 export function useWhitelistDetail(steamid64: string) {
   const { user } = useAuth()
   return useQuery({
@@ -76,6 +123,38 @@ export function useRevokeWhitelistEntry() {
   })
 }
 
+export function useTransferWhitelist() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (request: TransferWhitelistRequest) => whitelistApi.transfer(request),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['whitelist'] })
+      queryClient.invalidateQueries({ queryKey: ['players', 'whitelist'] })
+      queryClient.invalidateQueries({ queryKey: ['players', 'profile'] })
+      queryClient.invalidateQueries({ queryKey: ['donations'] })
+    },
+  })
+}
+
+export function usePreviewWhitelistImport() {
+  return useMutation({
+    mutationFn: (request: WhitelistImportRequest) => whitelistApi.previewImport(request),
+  })
+}
+
+export function useImportWhitelist() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (request: WhitelistImportRequest) => whitelistApi.import(request),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['whitelist'] })
+      queryClient.invalidateQueries({ queryKey: ['players', 'whitelist'] })
+    },
+  })
+}
+
 export function useEditWhitelistEntry() {
   const queryClient = useQueryClient()
 
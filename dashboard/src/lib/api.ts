@@ -8,8 +8,18 @@ import type {
   GrantWhitelistRequest,
   ExtendWhitelistRequest,
   RevokeWhitelistRequest,
+  TransferWhitelistRequest,
+  TransferWhitelistResponse,
+  WhitelistImportFormat,
+  WhitelistImportRequest,
+  WhitelistImportPreviewResponse,
+  WhitelistImportResponse,
   EditWhitelistRequest,
   WhitelistEntry,
+  ScopeServer,
+  WhitelistHistoryResponse,
+  WhitelistVersion,
+  WhitelistCompareResponse,
 } from '../types/whitelist'
 import type {
   AuditLogListResponse,
@@ -57,6 +67,14 @@ import type {
   ClosePreviewResponse,
   ReverseRewardsResponse,
   RevokeParticipantRewardsResponse,
+  SeedingSchedule,
+  SeedingScheduleRequest,
+  SeedingAutoRule,
+  SeedingAutoRuleRequest,
+  LeaderboardPeriod,
+  SeedingLeaderboardResponse,
+  SeedingRewardRun,
+  ReverseRewardRunResponse,
 } from '../types/seeding'
 import type {
   PlayerListResponse,
@@ -73,6 +91,10 @@ import type {
   PlayerFilters,
   PlayerGameStatsResponse,
   KillfeedResponse,
+  PlayerModerationAction,
+  PlayerActionStatusResponse,
+  PlayerActionRequest,
+  PlayerActionResponse,
 } from '../types/player'
 import type {
   StatsTemplatesListResponse,
@@ -100,6 +122,14 @@ import type {
   StaffOverviewSortOrder,
   StaffOverviewPeriod,
   StaffOverviewResponse,
+  DutyCoverageResponse,
+  WeeklyTargetResponse,
+  InactiveStaffResponse,
+  StaffStatusChangeResponse,
+  PointRuleSetsResponse,
+  PointRuleSetResponse,
+  PointRuleSetInput,
+  PointRulePreviewResponse,
 } from '../types/duty'
 import type {
   DutySettingsResponse,
@@ -193,13 +223,44 @@ export const whitelistApi = {
     return data
   },
 
+  getServers: async (): Promise<{ servers: ScopeServer[] }> => {
+    const { data } = await api.get<{ servers: ScopeServer[] }>('/whitelist/servers')
+    return data
+  },
+
+  getHistory: async (serverKey?: string, page = 1, limit = 25): Promise<WhitelistHistoryResponse> => {
+    const { data } = await api.get<WhitelistHistoryResponse>('/whitelist/history', {
+      params: { serverKey, page, limit },
+    })
+    return data
+  },
+
+  getVersion: async (id: number): Promise<{ version: WhitelistVersion }> => {
+    const { data } = await api.get<{ version: WhitelistVersion }>(`/whitelist/history/${id}`)
+    return data
+  },
+
+  getVersionAt: async (time: string, serverKey?: string): Promise<{ version: WhitelistVersion }> => {
+    const { data } = await api.get<{ version: WhitelistVersion }>('/whitelist/history/at', {
+      params: { time, serverKey },
+    })
+    return data
+  },
+
+  compareVersions: async (from: number, to: number): Promise<WhitelistCompareResponse> => {
+    const { data } = await api.get<WhitelistCompareResponse>('/whitelist/history/compare', {
+      params: { from, to },
+    })
+    return data
+  },
+
   getDetail: async (steamid64: string): Promise<WhitelistDetailResponse> => {
     const { data } = await api.get<WhitelistDetailResponse>(`/whitelist/${steamid64}`)
     return data
   },
 
-  grant: async (request: GrantWhitelistRequest): Promise<{ success: boolean; entry: WhitelistEntry }> => {
-    const { data } = await api.post<{ success: boolean; entry: WhitelistEntry }>('/whitelist', request)
+  grant: async (request: GrantWhitelistRequest): Promise<{ success: boolean; entry: WhitelistEntry } | PendingApprovalResponse> => {
+    const { data } = await api.post<{ success: boolean; entry: WhitelistEntry } | PendingApprovalResponse>('/whitelist', request)
     return data
   },
 
@@ -208,8 +269,31 @@ export const whitelistApi = {
     return data
   },
 
-  revoke: async (steamid64: string, request: RevokeWhitelistRequest): Promise<{ success: boolean; revokedCount: number; message: string }> => {
-    const { data } = await api.post<{ success: boolean; revokedCount: number; message: string }>(`/whitelist/${steamid64}/revoke`, request)
+  revoke: async (steamid64: string, request: RevokeWhitelistRequest): Promise<{ success: boolean; revokedCount: number; message: string } | PendingApprovalResponse> => {
+    const { data } = await api.post<{ success: boolean; revokedCount: number; message: string } | PendingApprovalResponse>(`/whitelist/${steamid64}/revoke`, request)
+    return data
+  },
+
+  transfer: async (request: TransferWhitelistRequest): Promise<TransferWhitelistResponse | PendingApprovalResponse> => {
+    const { data } = await api.post<TransferWhitelistResponse | PendingApprovalResponse>('/whitelist/transfer', request)
+    return data
+  },
+
+  previewImport: async (request: WhitelistImportRequest): Promise<WhitelistImportPreviewResponse> => {
+    const { data } = await api.post<WhitelistImportPreviewResponse>('/whitelist/import/preview', request)
+    return data
+  },
+
+  import: async (request: WhitelistImportRequest): Promise<WhitelistImportResponse | PendingApprovalResponse> => {
+    const { data } = await api.post<WhitelistImportResponse | PendingApprovalResponse>('/whitelist/import', request)
+    return data
+  },
+
+  export: async (format: WhitelistImportFormat, filters: WhitelistFilters = {}): Promise<Blob> => {
+    const { data } = await api.get<Blob>('/whitelist/export', {
+      params: { ...filters, page: undefined, limit: undefined, format },
+      responseType: 'blob',
+    })
     return data
   },
 
@@ -339,8 +423,8 @@ export const permissionsApi = {
     return data
   },
 
-  update: async (permissionName: string, request: UpdatePermissionRequest): Promise<UpdatePermissionResponse> => {
-    const { data } = await api.put<UpdatePermissionResponse>(`/permissions/${permissionName}`, request)
+  update: async (permissionName: string, request: UpdatePermissionRequest): Promise<UpdatePermissionResponse | PendingApprovalResponse> => {
+    const { data } = await api.put<UpdatePermissionResponse | PendingApprovalResponse>(`/permissions/${permissionName}`, request)
     return data
   },
 
@@ -364,6 +448,11 @@ export const squadGroupsApi = {
     return data
   },
 
+  getServers: async (): Promise<{ servers: ScopeServer[] }> => {
+    const { data } = await api.get<{ servers: ScopeServer[] }>('/squadgroups/servers')
+    return data
+  },
+
   getRole: async (roleId: string): Promise<RoleConfigResponse> => {
     const { data } = await api.get<RoleConfigResponse>(`/squadgroups/${roleId}`)
     return data
@@ -548,6 +637,16 @@ export const playersApi = {
     return data
   },
 
+  getActionStatus: async (steamid64: string): Promise<PlayerActionStatusResponse> => {
+    const { data } = await api.get<PlayerActionStatusResponse>(`/players/${steamid64}/actions`)
+    return data
+  },
+
+  performAction: async (steamid64: string, action: PlayerModerationAction, request: PlayerActionRequest): Promise<PlayerActionResponse> => {
+    const { data } = await api.post<PlayerActionResponse>(`/players/${steamid64}/actions/${action}`, request)
+    return data
+  },
+
   getGameStats: async (steamid64: string): Promise<PlayerGameStatsResponse> => {
     const { data } = await api.get<PlayerGameStatsResponse>(`/players/${steamid64}/stats`)
     return data
@@ -641,6 +740,67 @@ export const seedingApi = {
     )
     return data
   },
+
+  listSchedules: async (): Promise<{ success: boolean; data: SeedingSchedule[] }> => {
+    const { data } = await api.get<{ success: boolean; data: SeedingSchedule[] }>('/seeding/schedules')
+    return data
+  },
+
+  createSchedule: async (request: SeedingScheduleRequest): Promise<{ success: boolean; data: SeedingSchedule }> => {
+    const { data } = await api.post<{ success: boolean; data: SeedingSchedule }>('/seeding/schedules', request)
+    return data
+  },
+
+  updateSchedule: async (id: number, request: SeedingScheduleRequest): Promise<{ success: boolean; data: SeedingSchedule }> => {
+    const { data } = await api.put<{ success: boolean; data: SeedingSchedule }>(`/seeding/schedules/${id}`, request)
+    return data
+  },
+
+  deleteSchedule: async (id: number): Promise<{ success: boolean }> => {
+    const { data } = await api.delete<{ success: boolean }>(`/seeding/schedules/${id}`)
+    return data
+  },
+
+  listAutoRules: async (): Promise<{ success: boolean; data: SeedingAutoRule[] }> => {
+    const { data } = await api.get<{ success: boolean; data: SeedingAutoRule[] }>('/seeding/auto-rules')
+    return data
+  },
+
+  createAutoRule: async (request: SeedingAutoRuleRequest): Promise<{ success: boolean; data: SeedingAutoRule }> => {
+    const { data } = await api.post<{ success: boolean; data: SeedingAutoRule }>('/seeding/auto-rules', request)
+    return data
+  },
+
+  updateAutoRule: async (id: number, request: SeedingAutoRuleRequest): Promise<{ success: boolean; data: SeedingAutoRule }> => {
+    const { data } = await api.put<{ success: boolean; data: SeedingAutoRule }>(`/seeding/auto-rules/${id}`, request)
+    return data
+  },
+
+  deleteAutoRule: async (id: number): Promise<{ success: boolean }> => {
+    const { data } = await api.delete<{ success: boolean }>(`/seeding/auto-rules/${id}`)
+    return data
+  },
+
+  // Leaderboard & monthly rewards
+  getLeaderboard: async (params: { period: LeaderboardPeriod; serverId?: string; limit?: number }): Promise<{ success: boolean; data: SeedingLeaderboardResponse }> => {
+    const { data } = await api.get<{ success: boolean; data: SeedingLeaderboardResponse }>('/seeding/leaderboard', { params })
+    return data
+  },
+
+  listRewardRuns: async (): Promise<{ success: boolean; data: SeedingRewardRun[] }> => {
+    const { data } = await api.get<{ success: boolean; data: SeedingRewardRun[] }>('/seeding/reward-runs')
+    return data
+  },
+
+  runRewards: async (month?: string): Promise<{ success: boolean; data: SeedingRewardRun }> => {
+    const { data } = await api.post<{ success: boolean; data: SeedingRewardRun }>('/seeding/reward-runs', { month })
+    return data
+  },
+
+  reverseRewardRun: async (id: number, reason?: string): Promise<{ success: boolean; data: ReverseRewardRunResponse }> => {
+    const { data } = await api.post<{ success: boolean; data: ReverseRewardRunResponse }>(`/seeding/reward-runs/${id}/reverse`, { reason })
+    return data
+  },
 }
 
 // Duty Stats API
@@ -708,6 +868,60 @@ export const dutyApi = {
     })
     return data
   },
+
+  getCoverage: async (period: DutyPeriod = 'month'): Promise<DutyCoverageResponse> => {
+    const { data } = await api.get<DutyCoverageResponse>('/duty/coverage', {
+      params: { period },
+    })
+    return data
+  },
+
+  getWeeklyTargets: async (): Promise<WeeklyTargetResponse> => {
+    const { data } = await api.get<WeeklyTargetResponse>('/duty/targets')
+    return data
+  },
+
+  getInactiveStaff: async (): Promise<InactiveStaffResponse> => {
+    const { data } = await api.get<InactiveStaffResponse>('/duty/inactive-staff')
+    return data
+  },
+
+  markInactive: async (discordId: string): Promise<StaffStatusChangeResponse> => {
+    const { data } = await api.post<StaffStatusChangeResponse>(`/duty/inactive-staff/${discordId}/mark`)
+    return data
+  },
+
+  restoreInactive: async (discordId: string): Promise<StaffStatusChangeResponse> => {
+    const { data } = await api.post<StaffStatusChangeResponse>(`/duty/inactive-staff/${discordId}/restore`)
+    return data
+  },
+
+  getPointRules: async (): Promise<PointRuleSetsResponse> => {
+    const { data } = await api.get<PointRuleSetsResponse>('/duty/point-rules')
+    return data
+  },
+
+  createPointRuleSet: async (input: PointRuleSetInput): Promise<PointRuleSetResponse> => {
+    const { data } = await api.post<PointRuleSetResponse>('/duty/point-rules', input)
+    return data
+  },
+
+  updatePointRuleSet: async (id: number, input: Partial<PointRuleSetInput>): Promise<PointRuleSetResponse> => {
+    const { data } = await api.put<PointRuleSetResponse>(`/duty/point-rules/${id}`, input)
+    return data
+  },
+
+  previewPointRuleSet: async (id: number, period: DutyPeriod = 'month', type: DutyType = 'both'): Promise<PointRulePreviewResponse> => {
+    const { data } = await api.get<PointRulePreviewResponse>(`/duty/point-rules/${id}/preview`, {
+      params: { period, type }
+    })
+    return data
+  },
+
+  activatePointRuleSet: async (id: number): Promise<PointRuleSetResponse> => {
+    const { data } = await api.post<PointRuleSetResponse>(`/duty/point-rules/${id}/activate`)
+    return data
+  },
 }
 
 // Duty Settings API
@@ -800,7 +1014,10 @@ import type {
   DbStatus,
   ConnectionAuditEntry,
   CreateServerRequest,
-  UpdateServerRequest
+  UpdateServerRequest,
+  InGameCommand,
+  PullTokenResponse,
+  WhitelistPull
 } from '../types/connections'
 
 export const connectionsApi = {
@@ -836,6 +1053,23 @@ export const connectionsApi = {
     return data
   },
 
+  rotatePullToken: async (key: string): Promise<{ success: boolean; data: PullTokenResponse }> => {
+    const { data } = await api.post(`/connections/servers/${key}/pull-token`)
+    return data
+  },
+
+  revokePullToken: async (key: string): Promise<{ success: boolean; data: SquadJSServer }> => {
+    const { data } = await api.delete(`/connections/servers/${key}/pull-token`)
+    return data
+  },
+
+  getWhitelistPulls: async (serverKey?: string, limit?: number): Promise<{ success: boolean; data: WhitelistPull[] }> => {
+    const { data } = await api.get('/connections/whitelist-pulls', {
+      params: { serverKey, limit }
+    })
+    return data
+  },
+
   getSettings: async (): Promise<{ success: boolean; data: { config: ConnectionConfig; categories: Record<string, ConnectionConfigCategory> } }> => {
     const { data } = await api.get('/connections/settings')
     return data
@@ -851,6 +1085,11 @@ export const connectionsApi = {
     return data
   },
 
+  getIngameCommands: async (): Promise<{ success: boolean; data: InGameCommand[] }> => {
+    const { data } = await api.get('/connections/ingame-commands')
+    return data
+  },
+
   getAuditLog: async (limit?: number): Promise<{ success: boolean; data: ConnectionAuditEntry[] }> => {
     const { data } = await api.get('/connections/audit', {
       params: limit ? { limit } : undefined
@@ -859,4 +1098,121 @@ export const connectionsApi = {
   },
 }
 
+import type {
+  Ban,
+  BanListResponse,
+  BanFilters,
+  CreateBanRequest,
+  UpdateBanRequest,
+  BanMutationResponse,
+  BanAppealListResponse,
+  BanAppealFilters
+} from '../types/bans'
+import type {
+  DonationListResponse,
+  DonationFilters,
+  DonationRevenueResponse,
+  ReverseDonationRequest,
+  ReverseDonationResponse,
+  ClaimDonationSlotRequest,
+  DonationSlotResponse,
+  DonationClaimCodeResponse,
+} from '../types/donations'
+
+import type {
+  ChangeRequest,
+  ChangeRequestListResponse,
+  ChangeRequestFilters,
+  PendingApprovalResponse,
+} from '../types/approvals'
+
+export const approvalsApi = {
+  list: async (filters: ChangeRequestFilters = {}): Promise<ChangeRequestListResponse> => {
+    const { data } = await api.get<ChangeRequestListResponse>('/approvals', { params: filters })
+    return data
+  },
+
+  approve: async (id: number): Promise<{ success: boolean; request: ChangeRequest }> => {
+    const { data } = await api.post<{ success: boolean; request: ChangeRequest }>(`/approvals/${id}/approve`)
+    return data
+  },
+
+  reject: async (id: number, note?: string): Promise<{ success: boolean; request: ChangeRequest }> => {
+    const { data } = await api.post<{ success: boolean; request: ChangeRequest }>(`/approvals/${id}/reject`, { note })
+    return data
+  },
+}
+
+export const bansApi = {
+  list: async (filters: BanFilters = {}): Promise<BanListResponse> => {
+    const { data } = await api.get<BanListResponse>('/bans', {
+      params: filters,
+    })
+    return data
+  },
+
+  get: async (id: number): Promise<{ ban: Ban }> => {
+    const { data } = await api.get<{ ban: Ban }>(`/bans/${id}`)
+    return data
+  },
+
+  create: async (request: CreateBanRequest): Promise<BanMutationResponse> => {
+    const { data } = await api.post<BanMutationResponse>('/bans', request)
+    return data
+  },
+
+  revoke: async (id: number, reason: string): Promise<BanMutationResponse> => {
+    const { data } = await api.post<BanMutationResponse>(`/bans/${id}/revoke`, { reason })
+    return data
+  },
+
+  update: async (id: number, request: UpdateBanRequest): Promise<BanMutationResponse> => {
+    const { data } = await api.patch<BanMutationResponse>(`/bans/${id}`, request)
+    return data
+  },
+
+  listAppeals: async (filters: BanAppealFilters = {}): Promise<BanAppealListResponse> => {
+    const { data } = await api.get<BanAppealListResponse>('/bans/appeals', {
+      params: filters,
+    })
+    return data
+  },
+}
+
+export const donationsApi = {
+  list: async (filters: DonationFilters = {}): Promise<DonationListResponse> => {
+    const { data } = await api.get<DonationListResponse>('/donations', {
+      params: filters,
+    })
+    return data
+  },
+
+  getRevenue: async (months = 12): Promise<DonationRevenueResponse> => {
+    const { data } = await api.get<DonationRevenueResponse>('/donations/revenue', {
+      params: { months },
+    })
+    return data
+  },
+
+  reverse: async (id: number, request: ReverseDonationRequest): Promise<ReverseDonationResponse> => {
+    const { data } = await api.post<ReverseDonationResponse>(`/donations/${id}/reverse`, request)
+    return data
+  },
+
+  claim: async (request: ClaimDonationSlotRequest): Promise<DonationSlotResponse> => {
+    const { data } = await api.post<DonationSlotResponse>('/donations/claim', request)
+    return data
+  },
+
+  assignSlot: async (id: number, steamid64: string): Promise<DonationSlotResponse> => {
+    const { data } = await api.post<DonationSlotResponse>(`/donations/${id}/assign`, { steamid64 })
+    return data
+  },
+
+  regenerateClaimCode: async (id: number): Promise<DonationClaimCodeResponse> => {
+    const { data } = await api.post<DonationClaimCodeResponse>(`/donations/${id}/claim-code`)
+    return data
+  },
+}
+
 export default api
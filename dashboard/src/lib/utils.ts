@@ -1,6 +1,7 @@
 import { type ClassValue, clsx } from 'clsx'
 import { twMerge } from 'tailwind-merge'
 import { formatDistanceToNow, format, parseISO } from 'date-fns'
+import type { PendingApprovalResponse } from '../types/approvals'
 
 export function cn(...inputs: ClassValue[]) {
   return twMerge(clsx(inputs))
@@ -47,6 +48,8 @@ export function getSourceColor(source: string | null): string {
       return 'bg-blue-500/20 text-blue-400 border-blue-500/30'
     case 'donation':
       return 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30'
+    case 'seeding':
+      return 'bg-green-500/20 text-green-400 border-green-500/30'
     case 'import':
       return 'bg-gray-500/20 text-gray-400 border-gray-500/30'
     default:
@@ -106,3 +109,7 @@ export function getSeverityColor(severity: string): string {
 export function formatActionType(actionType: string): string {
   return actionType.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
 }
+
+export function isPendingApproval(result: object): result is PendingApprovalResponse {
+  return 'pendingApproval' in result && result.pendingApproval === true
+}
@@ -0,0 +1,263 @@
+import { useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { RefreshCw, ChevronDown, ChevronRight, Check, X } from 'lucide-react'
+import { useApprovals, useApproveChange, useRejectChange } from '../hooks/useApprovals'
+import { useAuth } from '../hooks/useAuth'
+import { cn, formatDateTime } from '../lib/utils'
+import type { ChangeRequest, ChangeRequestFilters, ChangeRequestStatus, ChangeRequestType } from '../types/approvals'
+
+const STATUS_TABS: { value: ChangeRequestStatus | ''; label: string }[] = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'executed', label: 'Executed' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'expired', label: 'Expired' },
+  { value: 'failed', label: 'Failed' },
+  { value: '', label: 'All' },
+]
+
+const STATUS_COLORS: Record<ChangeRequestStatus, string> = {
+  pending: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30',
+  executed: 'bg-green-500/20 text-green-400 border-green-500/30',
+  rejected: 'bg-red-500/20 text-red-400 border-red-500/30',
+  expired: 'bg-gray-500/20 text-gray-400 border-gray-500/30',
+  failed: 'bg-red-500/20 text-red-400 border-red-500/30',
+}
+
+const ACTION_LABELS: Record<ChangeRequestType, string> = {
+  whitelist_grant_permanent: 'Permanent Whitelist',
+  whitelist_import_permanent: 'Permanent Whitelist Import',
+  whitelist_transfer_permanent: 'Permanent Whitelist Transfer',
+  whitelist_revoke_all: 'Revoke All Whitelist',
+  permission_update: 'Permission Change',
+  permission_reset: 'Permission Reset',
+}
+
+function getErrorMessage(error: unknown, fallback: string): string {
+  return (error as { response?: { data?: { error?: string } } }).response?.data?.error || fallback
+}
+
+function ReviewActions({ request }: { request: ChangeRequest }) {
+  const { user } = useAuth()
+  const approveMutation = useApproveChange()
+  const rejectMutation = useRejectChange()
+  const [note, setNote] = useState('')
+
+  const isOwn = request.requested_by_id === user?.id
+  if (request.status !== 'pending' || (!request.canApprove && !isOwn)) return null
+
+  const busy = approveMutation.isPending || rejectMutation.isPending
+  const error = approveMutation.error || rejectMutation.error
+
+  return (
+    <div className="space-y-2">
+      {request.canApprove && (
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Rejection note (optional)"
+          className="w-full max-w-md bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-discord-blurple"
+        />
+      )}
+      <div className="flex gap-2">
+        {request.canApprove && (
+          <button
+            onClick={() => approveMutation.mutate(request.id)}
+            disabled={busy}
+            className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors flex items-center gap-1"
+          >
+            <Check className="w-4 h-4" />
+            {approveMutation.isPending ? 'Approving...' : 'Approve'}
+          </button>
+        )}
+        <button
+          onClick={() => rejectMutation.mutate({ id: request.id, note: note || undefined })}
+          disabled={busy}
+          className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors flex items-center gap-1"
+        >
+          <X className="w-4 h-4" />
+          {rejectMutation.isPending ? 'Saving...' : isOwn ? 'Withdraw' : 'Reject'}
+        </button>
+      </div>
+      {error && (
+        <p className="text-sm text-red-400">
+          {getErrorMessage(error, 'Failed to review change request')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default function Approvals() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [expandedId, setExpandedId] = useState<number | null>(null)
+
+  const status = searchParams.has('status') ? searchParams.get('status') : 'pending'
+  const filters: ChangeRequestFilters = {
+    page: parseInt(searchParams.get('page') || '1'),
+    limit: 25,
+    status: (status as ChangeRequestStatus) || undefined,
+  }
+
+  const { data, isLoading, refetch, isFetching } = useApprovals(filters)
+  const pagination = data?.pagination
+
+  const updateFilter = (key: string, value: string | undefined) => {
+    const newParams = new URLSearchParams(searchParams)
+    // Status is always kept so "All" (empty) is distinguishable from the default
+    if (value || key === 'status') {
+      newParams.set(key, value || '')
+    } else {
+      newParams.delete(key)
+    }
+    if (key !== 'page') {
+      newParams.set('page', '1')
+    }
+    setSearchParams(newParams)
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Approvals</h1>
+          <p className="text-gray-400 mt-1">
+            High-impact changes wait here until a second staff member approves them
+          </p>
+        </div>
+        <button
+          onClick={() => refetch()}
+          disabled={isFetching}
+          className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+        >
+          <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-discord-light rounded-lg p-4">
+        <div className="flex flex-wrap gap-2">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.label}
+              onClick={() => updateFilter('status', tab.value)}
+              className={cn(
+                'px-3 py-1.5 rounded-md text-sm font-medium transition-colors',
+                (status || '') === tab.value
+                  ? 'bg-discord-blurple text-white'
+                  : 'bg-discord-darker text-gray-300 hover:text-white'
+              )}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Requests */}
+      <div className="bg-discord-light rounded-lg overflow-hidden">
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-discord-blurple mx-auto"></div>
+            <p className="text-gray-400 mt-4">Loading change requests...</p>
+          </div>
+        ) : !data?.requests.length ? (
+          <div className="p-8 text-center">
+            <p className="text-gray-400">No change requests found</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-discord-lighter">
+            {data.requests.map((request) => {
+              const expanded = expandedId === request.id
+              return (
+                <div key={request.id}>
+                  <button
+                    onClick={() => setExpandedId(expanded ? null : request.id)}
+                    className="w-full px-4 py-3 flex items-center gap-4 text-left hover:bg-discord-lighter/50 transition-colors"
+                  >
+                    {expanded ? (
+                      <ChevronDown className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                    ) : (
+                      <ChevronRight className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                    )}
+                    <span className="text-sm text-gray-400 w-12">#{request.id}</span>
+                    <span className="text-xs text-gray-400 w-40">{ACTION_LABELS[request.action_type]}</span>
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm text-white truncate">{request.description}</div>
+                      <div className="text-xs text-gray-500">
+                        Requested by {request.requested_by_name || request.requested_by_id}
+                      </div>
+                    </div>
+                    <span className="text-sm text-gray-300 w-40">{formatDateTime(request.createdAt)}</span>
+                    <span className={cn('inline-flex items-center px-2 py-0.5 rounded text-xs font-medium border capitalize', STATUS_COLORS[request.status])}>
+                      {request.status}
+                    </span>
+                  </button>
+                  {expanded && (
+                    <div className="px-12 pb-4 space-y-3 text-sm">
+                      <div>
+                        <p className="text-gray-400 mb-1">Change</p>
+                        <pre className="bg-discord-darker rounded-md p-3 text-xs text-gray-300 max-h-96 overflow-auto">
+                          {JSON.stringify(request.payload, null, 2)}
+                        </pre>
+                      </div>
+                      {request.status === 'pending' ? (
+                        <p className="text-gray-400">Expires {formatDateTime(request.expires_at)}</p>
+                      ) : request.reviewed_at && (
+                        <p className="text-gray-400">
+                          Reviewed by {request.reviewed_by_name || request.reviewed_by_id || 'system'} on {formatDateTime(request.reviewed_at)}
+                        </p>
+                      )}
+                      {request.review_note && (
+                        <div>
+                          <p className="text-gray-400 mb-1">Note</p>
+                          <p className="text-white whitespace-pre-wrap">{request.review_note}</p>
+                        </div>
+                      )}
+                      {request.error && (
+                        <p className="text-red-400">{request.error}</p>
+                      )}
+                      {request.action_type.startsWith('whitelist_') && request.target_id && (
+                        <Link to={`/players/${request.target_id}`} className="text-discord-blurple hover:underline">
+                          Player profile
+                        </Link>
+                      )}
+                      <ReviewActions request={request} />
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination && pagination.totalPages > 1 && (
+          <div className="px-4 py-3 border-t border-discord-lighter flex items-center justify-between">
+            <p className="text-sm text-gray-400">
+              Page {pagination.page} of {pagination.totalPages}
+            </p>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => updateFilter('page', String(pagination.page - 1))}
+                disabled={pagination.page <= 1}
+                className="px-3 py-1 text-sm bg-discord-darker border border-discord-lighter rounded hover:bg-discord-lighter disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => updateFilter('page', String(pagination.page + 1))}
+                disabled={pagination.page >= pagination.totalPages}
+                className="px-3 py-1 text-sm bg-discord-darker border border-discord-lighter rounded hover:bg-discord-lighter disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,232 @@
+import { useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { Search, RefreshCw, ChevronDown, ChevronRight, ExternalLink } from 'lucide-react'
+import { useBanAppeals } from '../hooks/useBans'
+import { cn, formatDateTime } from '../lib/utils'
+import type { BanAppealFilters, BanAppealOutcome } from '../types/bans'
+
+const STATUS_TABS: { value: BanAppealOutcome | ''; label: string }[] = [
+  { value: 'open', label: 'Open' },
+  { value: 'accepted', label: 'Accepted' },
+  { value: 'denied', label: 'Denied' },
+  { value: '', label: 'All' },
+]
+
+const STATUS_COLORS: Record<BanAppealOutcome, string> = {
+  open: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30',
+  accepted: 'bg-green-500/20 text-green-400 border-green-500/30',
+  denied: 'bg-red-500/20 text-red-400 border-red-500/30',
+}
+
+export default function BanAppeals() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [searchInput, setSearchInput] = useState(searchParams.get('search') || '')
+  const [expandedId, setExpandedId] = useState<number | null>(null)
+
+  const status = searchParams.has('status') ? searchParams.get('status') : 'open'
+  const filters: BanAppealFilters = {
+    page: parseInt(searchParams.get('page') || '1'),
+    limit: 25,
+    status: (status as BanAppealOutcome) || undefined,
+    banSource: (searchParams.get('banSource') as BanAppealFilters['banSource']) || undefined,
+    search: searchParams.get('search') || undefined,
+  }
+
+  const { data, isLoading, refetch, isFetching } = useBanAppeals(filters)
+  const pagination = data?.pagination
+
+  const updateFilter = (key: string, value: string | undefined) => {
+    const newParams = new URLSearchParams(searchParams)
+    // Status is always kept so "All" (empty) is distinguishable from the default
+    if (value || key === 'status') {
+      newParams.set(key, value || '')
+    } else {
+      newParams.delete(key)
+    }
+    if (key !== 'page') {
+      newParams.set('page', '1')
+    }
+    setSearchParams(newParams)
+  }
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault()
+    updateFilter('search', searchInput || undefined)
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Ban Appeals</h1>
+          <p className="text-gray-400 mt-1">
+            Appeals are submitted from the whitelist post and voted on in Discord
+          </p>
+        </div>
+        <button
+          onClick={() => refetch()}
+          disabled={isFetching}
+          className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+        >
+          <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-discord-light rounded-lg p-4 space-y-4">
+        <div className="flex gap-2">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.label}
+              onClick={() => updateFilter('status', tab.value)}
+              className={cn(
+                'px-3 py-1.5 rounded-md text-sm font-medium transition-colors',
+                (status || '') === tab.value
+                  ? 'bg-discord-blurple text-white'
+                  : 'bg-discord-darker text-gray-300 hover:text-white'
+              )}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+        <form onSubmit={handleSearch} className="flex flex-wrap gap-4">
+          <div className="relative flex-1 min-w-[200px]">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search by Steam ID, Discord user, or appeal text..."
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className="w-full bg-discord-darker border border-discord-lighter rounded-md pl-10 pr-4 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-discord-blurple"
+            />
+          </div>
+          <select
+            value={filters.banSource || ''}
+            onChange={(e) => updateFilter('banSource', e.target.value || undefined)}
+            className="bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:border-discord-blurple"
+          >
+            <option value="">All Ban Sources</option>
+            <option value="local">Local</option>
+            <option value="battlemetrics">BattleMetrics</option>
+          </select>
+          <button
+            type="submit"
+            className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+          >
+            Search
+          </button>
+        </form>
+      </div>
+
+      {/* Appeals */}
+      <div className="bg-discord-light rounded-lg overflow-hidden">
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-discord-blurple mx-auto"></div>
+            <p className="text-gray-400 mt-4">Loading appeals...</p>
+          </div>
+        ) : !data?.appeals.length ? (
+          <div className="p-8 text-center">
+            <p className="text-gray-400">No appeals found</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-discord-lighter">
+            {data.appeals.map((appeal) => {
+              const expanded = expandedId === appeal.id
+              return (
+                <div key={appeal.id}>
+                  <button
+                    onClick={() => setExpandedId(expanded ? null : appeal.id)}
+                    className="w-full px-4 py-3 flex items-center gap-4 text-left hover:bg-discord-lighter/50 transition-colors"
+                  >
+                    {expanded ? (
+                      <ChevronDown className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                    ) : (
+                      <ChevronRight className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                    )}
+                    <span className="text-sm text-gray-400 w-12">#{appeal.id}</span>
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm text-white">{appeal.discord_username || appeal.discord_user_id}</div>
+                      <div className="text-xs text-gray-500 font-mono">{appeal.steamid64}</div>
+                    </div>
+                    <span className="text-xs text-gray-400 w-28">
+                      {appeal.ban_source === 'local' ? `Local #${appeal.ban_id}` : 'BattleMetrics'}
+                    </span>
+                    <span className="text-xs text-gray-300 w-20">
+                      ✅ {appeal.voteCounts.accept} / ❌ {appeal.voteCounts.deny}
+                    </span>
+                    <span className="text-sm text-gray-300 w-40">{formatDateTime(appeal.createdAt)}</span>
+                    <span className={cn('inline-flex items-center px-2 py-0.5 rounded text-xs font-medium border capitalize', STATUS_COLORS[appeal.status])}>
+                      {appeal.status}
+                    </span>
+                  </button>
+                  {expanded && (
+                    <div className="px-12 pb-4 space-y-3 text-sm">
+                      <div>
+                        <p className="text-gray-400 mb-1">Ban Reason</p>
+                        <p className="text-white">{appeal.ban_reason || 'Unknown'}</p>
+                      </div>
+                      <div>
+                        <p className="text-gray-400 mb-1">Appeal</p>
+                        <p className="text-white whitespace-pre-wrap">{appeal.appeal_text}</p>
+                      </div>
+                      {appeal.decided_at && (
+                        <p className="text-gray-400">
+                          Decided {formatDateTime(appeal.decided_at)}
+                        </p>
+                      )}
+                      <div className="flex gap-4">
+                        <Link to={`/players/${appeal.steamid64}`} className="text-discord-blurple hover:underline">
+                          Player profile
+                        </Link>
+                        {appeal.battlemetrics_ban_id && (
+                          <a
+                            href={`https://www.battlemetrics.com/rcon/bans/edit/${appeal.battlemetrics_ban_id}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-discord-blurple hover:underline inline-flex items-center gap-1"
+                          >
+                            BattleMetrics ban
+                            <ExternalLink className="w-3 h-3" />
+                          </a>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination && pagination.totalPages > 1 && (
+          <div className="px-4 py-3 border-t border-discord-lighter flex items-center justify-between">
+            <p className="text-sm text-gray-400">
+              Page {pagination.page} of {pagination.totalPages}
+            </p>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => updateFilter('page', String(pagination.page - 1))}
+                disabled={pagination.page <= 1}
+                className="px-3 py-1 text-sm bg-discord-darker border border-discord-lighter rounded hover:bg-discord-lighter disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => updateFilter('page', String(pagination.page + 1))}
+                disabled={pagination.page >= pagination.totalPages}
+                className="px-3 py-1 text-sm bg-discord-darker border border-discord-lighter rounded hover:bg-discord-lighter disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,231 @@
+import { useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { Search, RefreshCw, Plus } from 'lucide-react'
+import { useBans } from '../hooks/useBans'
+import { useAuth } from '../hooks/useAuth'
+import { cn, formatDateTime } from '../lib/utils'
+import CreateBanModal from '../components/bans/CreateBanModal'
+import BanDetailModal from '../components/bans/BanDetailModal'
+import type { Ban, BanFilters, BanStatusFilter, BanAppealStatus } from '../types/bans'
+
+const STATUS_OPTIONS: { value: BanStatusFilter; label: string }[] = [
+  { value: 'active', label: 'Active' },
+  { value: 'expired', label: 'Expired' },
+  { value: 'revoked', label: 'Lifted' },
+  { value: 'all', label: 'All' },
+]
+
+const APPEAL_COLORS: Record<BanAppealStatus, string> = {
+  none: 'text-gray-500',
+  pending: 'text-yellow-400',
+  approved: 'text-green-400',
+  denied: 'text-red-400',
+}
+
+function getBanState(ban: Ban): { label: string; className: string } {
+  if (ban.active) return { label: 'Active', className: 'bg-red-500/20 text-red-400 border-red-500/30' }
+  if (ban.revoked) return { label: 'Lifted', className: 'bg-green-500/20 text-green-400 border-green-500/30' }
+  return { label: 'Expired', className: 'bg-gray-500/20 text-gray-400 border-gray-500/30' }
+}
+
+export default function Bans() {
+  const { hasPermission } = useAuth()
+  const canManage = hasPermission('MANAGE_BANS')
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [searchInput, setSearchInput] = useState(searchParams.get('search') || '')
+  const [selectedBan, setSelectedBan] = useState<Ban | null>(null)
+  const [showCreate, setShowCreate] = useState(false)
+
+  const filters: BanFilters = {
+    page: parseInt(searchParams.get('page') || '1'),
+    limit: 25,
+    status: (searchParams.get('status') as BanStatusFilter) || 'active',
+    appealStatus: (searchParams.get('appealStatus') as BanAppealStatus) || undefined,
+    search: searchParams.get('search') || undefined,
+  }
+
+  const { data, isLoading, refetch, isFetching } = useBans(filters)
+  const pagination = data?.pagination
+
+  const updateFilter = (key: string, value: string | undefined) => {
+    const newParams = new URLSearchParams(searchParams)
+    if (value) {
+      newParams.set(key, value)
+    } else {
+      newParams.delete(key)
+    }
+    if (key !== 'page') {
+      newParams.set('page', '1')
+    }
+    setSearchParams(newParams)
+  }
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault()
+    updateFilter('search', searchInput || undefined)
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Bans</h1>
+          <p className="text-gray-400 mt-1">
+            {pagination?.total ?? 0} bans
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => refetch()}
+            disabled={isFetching}
+            className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+          >
+            <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+          {canManage && (
+            <button
+              onClick={() => setShowCreate(true)}
+              className="bg-red-600 hover:bg-red-700 text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+            >
+              <Plus className="w-4 h-4" />
+              Issue Ban
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-discord-light rounded-lg p-4">
+        <form onSubmit={handleSearch} className="flex flex-wrap gap-4">
+          <div className="relative flex-1 min-w-[200px]">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search by Steam ID, name, or reason..."
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className="w-full bg-discord-darker border border-discord-lighter rounded-md pl-10 pr-4 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-discord-blurple"
+            />
+          </div>
+          <select
+            value={filters.status}
+            onChange={(e) => updateFilter('status', e.target.value)}
+            className="bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:border-discord-blurple"
+          >
+            {STATUS_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={filters.appealStatus || ''}
+            onChange={(e) => updateFilter('appealStatus', e.target.value || undefined)}
+            className="bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:border-discord-blurple"
+          >
+            <option value="">Any Appeal</option>
+            <option value="none">No Appeal</option>
+            <option value="pending">Appeal Pending</option>
+            <option value="approved">Appeal Approved</option>
+            <option value="denied">Appeal Denied</option>
+          </select>
+          <button
+            type="submit"
+            className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+          >
+            Search
+          </button>
+        </form>
+      </div>
+
+      {/* Table */}
+      <div className="bg-discord-light rounded-lg overflow-hidden">
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-discord-blurple mx-auto"></div>
+            <p className="text-gray-400 mt-4">Loading bans...</p>
+          </div>
+        ) : !data?.bans.length ? (
+          <div className="p-8 text-center">
+            <p className="text-gray-400">No bans found</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-discord-lighter">
+                  {['Player', 'Reason', 'Issued', 'Expires', 'Banned By', 'Status', 'Appeal'].map((label) => (
+                    <th key={label} className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
+                      {label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-discord-lighter">
+                {data.bans.map((ban) => {
+                  const state = getBanState(ban)
+                  return (
+                    <tr
+                      key={ban.id}
+                      className="hover:bg-discord-lighter/50 transition-colors cursor-pointer"
+                      onClick={() => setSelectedBan(ban)}
+                    >
+                      <td className="px-4 py-3">
+                        <div className="text-sm text-white">{ban.username || '-'}</div>
+                        <div className="text-xs text-gray-500 font-mono">{ban.steamid64}</div>
+                      </td>
+                      <td className="px-4 py-3 max-w-xs">
+                        <span className="text-sm text-gray-300 line-clamp-2">{ban.reason}</span>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-300">{formatDateTime(ban.createdAt)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-300">
+                        {ban.expires_at ? formatDateTime(ban.expires_at) : 'Never'}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-300">{ban.banned_by_name || '-'}</td>
+                      <td className="px-4 py-3">
+                        <span className={cn('inline-flex items-center px-2 py-0.5 rounded text-xs font-medium border', state.className)}>
+                          {state.label}
+                        </span>
+                      </td>
+                      <td className={cn('px-4 py-3 text-sm capitalize', APPEAL_COLORS[ban.appeal_status])}>
+                        {ban.appeal_status}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination && pagination.totalPages > 1 && (
+          <div className="px-4 py-3 border-t border-discord-lighter flex items-center justify-between">
+            <p className="text-sm text-gray-400">
+              Page {pagination.page} of {pagination.totalPages}
+            </p>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => updateFilter('page', String(pagination.page - 1))}
+                disabled={pagination.page <= 1}
+                className="px-3 py-1 text-sm bg-discord-darker border border-discord-lighter rounded hover:bg-discord-lighter disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => updateFilter('page', String(pagination.page + 1))}
+                disabled={pagination.page >= pagination.totalPages}
+                className="px-3 py-1 text-sm bg-discord-darker border border-discord-lighter rounded hover:bg-discord-lighter disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {showCreate && <CreateBanModal onClose={() => setShowCreate(false)} />}
+      {selectedBan && <BanDetailModal ban={selectedBan} onClose={() => setSelectedBan(null)} />}
+    </div>
+  )
+}
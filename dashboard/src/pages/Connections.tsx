@@ -2,16 +2,18 @@ import { useState, useEffect, useMemo } from 'react'
 import {
   Network, Database, Server, Plus, RefreshCw, Trash2, Edit3, Power, PowerOff,
   Save, AlertCircle, History, CheckSquare, Square, Settings, Shield,
-  Wifi, WifiOff, Timer, Gauge
+  Wifi, WifiOff, Timer, Gauge, Key, X, Copy
 } from 'lucide-react'
 import {
   useConnectionServers, useConnectionSettings, useUpdateConnectionSettings,
   useCreateServer, useUpdateServer, useDeleteServer, useReconnectServer,
-  useDbStatus, useConnectionAudit
+  useDbStatus, useConnectionAudit, useIngameCommands,
+  useRotatePullToken, useRevokePullToken, useWhitelistPulls
 } from '../hooks/useConnections'
 import { useAuth } from '../hooks/useAuth'
 import InfoTooltip from '../components/ui/InfoTooltip'
 import NumberInput from '../components/ui/NumberInput'
+import { formatRelativeTime } from '../lib/utils'
 import type { SquadJSServer, ConnectionConfigItem, CreateServerRequest, UpdateServerRequest } from '../types/connections'
 
 // ============================================
@@ -67,6 +69,9 @@ const CONFIG_DESCRIPTIONS: Record<string, string> = {
   log_connections: 'Log connection and disconnection events.',
   log_cache_hits: 'Log cache hit/miss events (very verbose).',
   log_squadjs_events: 'Log unknown SquadJS events for debugging.',
+  whitelist_require_pull_token: 'Reject /combined and /bans requests without a valid server pull token. Servers with a token always require it.',
+  whitelist_stale_pull_minutes: 'Servers with a pull token are flagged when they have not fetched the whitelist for this long.',
+  whitelist_pull_log_retention_days: 'How long whitelist pull records are kept.',
 }
 
 const CATEGORY_ICONS: Record<string, React.ElementType> = {
@@ -75,6 +80,7 @@ const CATEGORY_ICONS: Record<string, React.ElementType> = {
   verification: Shield,
   connection: Wifi,
   logging: Settings,
+  whitelist_access: Key,
 }
 
 // ============================================
@@ -87,10 +93,11 @@ interface ServerCardProps {
   onReconnect: (key: string) => void
   onDelete: (key: string) => void
   onToggle: (server: SquadJSServer) => void
+  onPullAccess: (key: string) => void
   isReconnecting: boolean
 }
 
-function ServerCard({ server, onEdit, onReconnect, onDelete, onToggle, isReconnecting }: ServerCardProps) {
+function ServerCard({ server, onEdit, onReconnect, onDelete, onToggle, onPullAccess, isReconnecting }: ServerCardProps) {
   const playerCount = server.serverInfo?.a2sPlayerCount ?? null
   const maxPlayers = server.serverInfo?.maxPlayers ?? null
   const publicQueue = server.serverInfo?.publicQueue ?? 0
@@ -150,6 +157,21 @@ function ServerCard({ server, onEdit, onReconnect, onDelete, onToggle, isReconne
         )}
       </div>
 
+      {/* Whitelist pull status */}
+      <div className="flex items-center gap-3 mb-3 text-xs text-gray-500">
+        <span>
+          Whitelist: {server.lastPullAt
+            ? `pulled ${formatRelativeTime(server.lastPullAt)}${server.lastPullIp ? ` from ${server.lastPullIp}` : ''}`
+            : 'never pulled'}
+        </span>
+        {!server.pullTokenConfigured && (
+          <span className="text-gray-400">No pull token</span>
+        )}
+        {server.pullStale && (
+          <span className="px-2 py-0.5 rounded-full bg-red-500/20 text-red-400">Not pulling</span>
+        )}
+      </div>
+
       {/* Actions */}
       <div className="flex items-center gap-2 pt-3 border-t border-discord-lighter">
         <button
@@ -176,6 +198,13 @@ function ServerCard({ server, onEdit, onReconnect, onDelete, onToggle, isReconne
           {server.enabled ? <PowerOff className="w-3.5 h-3.5" /> : <Power className="w-3.5 h-3.5" />}
           {server.enabled ? 'Disable' : 'Enable'}
         </button>
+        <button
+          onClick={() => onPullAccess(server.serverKey)}
+          className="flex items-center gap-1.5 text-sm text-gray-400 hover:text-white transition-colors px-2 py-1 rounded hover:bg-discord-lighter"
+        >
+          <Key className="w-3.5 h-3.5" />
+          Pull Access
+        </button>
         <button
           onClick={() => onDelete(server.serverKey)}
           className="flex items-center gap-1.5 text-sm text-red-400 hover:text-red-300 transition-colors px-2 py-1 rounded hover:bg-discord-lighter ml-auto"
@@ -217,7 +246,10 @@ function ServerFormModal({ server, existingKeys, onClose, onSave, isSaving }: Se
     token: '',
     enabled: server?.enabled ?? true,
     seedThreshold: server?.seedThreshold || 50,
+    ingameCommands: server?.ingameCommands || {},
   })
+  const { data: ingameCommandsData } = useIngameCommands()
+  const ingameCommands = ingameCommandsData?.data || []
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault()
@@ -240,6 +272,7 @@ function ServerFormModal({ server, existingKeys, onClose, onSave, isSaving }: Se
         gamePort: form.gamePort || null,
         enabled: form.enabled,
         seedThreshold: form.seedThreshold,
+        ingameCommands: form.ingameCommands,
       }
       if (form.token.trim()) data.token = form.token
       onSave(data, false)
@@ -340,6 +373,39 @@ function ServerFormModal({ server, existingKeys, onClose, onSave, isSaving }: Se
             </button>
             <span className="text-sm text-gray-300">Enabled</span>
           </label>
+          {!isNew && ingameCommands.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">In-game Commands</label>
+              <div className="grid grid-cols-2 gap-2 bg-discord-darker rounded-md p-3">
+                {ingameCommands.map(command => {
+                  const commandEnabled = form.ingameCommands[command.name] ?? command.defaultEnabled
+                  return (
+                    <label
+                      key={command.name}
+                      className="flex items-center gap-2 cursor-pointer"
+                      title={`${command.description}${command.permission ? ` (requires ${command.permission})` : ''}`}
+                    >
+                      <button
+                        type="button"
+                        onClick={() => setForm({
+                          ...form,
+                          ingameCommands: { ...form.ingameCommands, [command.name]: !commandEnabled },
+                        })}
+                        className="flex-shrink-0"
+                      >
+                        {commandEnabled ? (
+                          <CheckSquare className="w-4 h-4 text-discord-blurple" />
+                        ) : (
+                          <Square className="w-4 h-4 text-gray-500" />
+                        )}
+                      </button>
+                      <span className="text-sm text-gray-300 font-mono">!{command.name}</span>
+                    </label>
+                  )
+                })}
+              </div>
+            </div>
+          )}
           <div className="flex justify-end gap-3 pt-2">
             <button
               type="button"
@@ -362,6 +428,167 @@ function ServerFormModal({ server, existingKeys, onClose, onSave, isSaving }: Se
   )
 }
 
+// ============================================
+// Pull Access Modal
+// ============================================
+
+function PullAccessModal({ server, onClose }: { server: SquadJSServer; onClose: () => void }) {
+  const rotateMutation = useRotatePullToken()
+  const revokeMutation = useRevokePullToken()
+  const updateServerMutation = useUpdateServer()
+  const { data: pullsData } = useWhitelistPulls(server.serverKey, 10)
+
+  const [newTokenPath, setNewTokenPath] = useState<string | null>(null)
+  const [allowlistText, setAllowlistText] = useState((server.pullIpAllowlist || []).join('\n'))
+  const [copied, setCopied] = useState(false)
+
+  const pulls = pullsData?.data || []
+  const newTokenUrl = newTokenPath ? `${window.location.origin}${newTokenPath}` : null
+  const mutationError = rotateMutation.error || revokeMutation.error || updateServerMutation.error
+
+  const handleRotate = async () => {
+    try {
+      const result = await rotateMutation.mutateAsync(server.serverKey)
+      setNewTokenPath(result.data.path)
+      setCopied(false)
+    } catch { /* handled by mutation */ }
+  }
+
+  const handleRevoke = async () => {
+    try {
+      await revokeMutation.mutateAsync(server.serverKey)
+      setNewTokenPath(null)
+    } catch { /* handled by mutation */ }
+  }
+
+  const handleSaveAllowlist = async () => {
+    const entries = allowlistText.split(/[\s,]+/).map(entry => entry.trim()).filter(Boolean)
+    try {
+      await updateServerMutation.mutateAsync({
+        key: server.serverKey,
+        data: { pullIpAllowlist: entries.length > 0 ? entries : null },
+      })
+    } catch { /* handled by mutation */ }
+  }
+
+  const handleCopy = async () => {
+    if (!newTokenUrl) return
+    await navigator.clipboard.writeText(newTokenUrl)
+    setCopied(true)
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="bg-discord-dark rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-white">Whitelist Pull Access - {server.name}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="space-y-5">
+          {/* Token */}
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Pull Token</label>
+            <p className="text-xs text-gray-500 mb-2">
+              {server.pullTokenConfigured
+                ? `Configured (ends in ${server.pullTokenHint}). Requests to /combined/${server.serverKey} must include it.`
+                : `No token configured. /combined/${server.serverKey} is open unless tokens are required in settings.`}
+            </p>
+            {newTokenUrl && (
+              <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-md p-3 mb-2">
+                <p className="text-xs text-yellow-200 mb-2">
+                  Copy this URL into the server's RemoteAdminListHosts.cfg now - the token will not be shown again.
+                </p>
+                <div className="flex items-center gap-2">
+                  <code className="flex-1 text-xs text-white bg-discord-darker rounded px-2 py-1.5 break-all">{newTokenUrl}</code>
+                  <button
+                    onClick={handleCopy}
+                    className="flex items-center gap-1 text-xs text-gray-300 hover:text-white px-2 py-1 rounded hover:bg-discord-lighter"
+                  >
+                    <Copy className="w-3.5 h-3.5" />
+                    {copied ? 'Copied' : 'Copy'}
+                  </button>
+                </div>
+              </div>
+            )}
+            <div className="flex items-center gap-2">
+              <button
+                onClick={handleRotate}
+                disabled={rotateMutation.isPending}
+                className="px-3 py-1.5 bg-discord-blurple hover:bg-discord-blurple/80 text-white rounded-md text-sm font-medium transition-colors disabled:opacity-50"
+              >
+                {rotateMutation.isPending ? 'Generating...' : server.pullTokenConfigured ? 'Rotate Token' : 'Generate Token'}
+              </button>
+              {server.pullTokenConfigured && (
+                <button
+                  onClick={handleRevoke}
+                  disabled={revokeMutation.isPending}
+                  className="px-3 py-1.5 text-sm text-red-400 hover:text-red-300 transition-colors disabled:opacity-50"
+                >
+                  {revokeMutation.isPending ? 'Removing...' : 'Remove Token'}
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* IP allowlist */}
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">IP Allowlist</label>
+            <p className="text-xs text-gray-500 mb-2">
+              One IP address or CIDR range per line. Leave empty to allow any address with a valid token.
+            </p>
+            <textarea
+              value={allowlistText}
+              onChange={e => setAllowlistText(e.target.value)}
+              rows={3}
+              placeholder="203.0.113.10"
+              className="w-full bg-discord-lighter border border-discord-lighter rounded-md px-3 py-2 text-white text-sm font-mono focus:outline-none focus:border-discord-blurple"
+            />
+            <div className="flex justify-end mt-2">
+              <button
+                onClick={handleSaveAllowlist}
+                disabled={updateServerMutation.isPending}
+                className="px-3 py-1.5 bg-discord-lighter hover:bg-discord-light text-white rounded-md text-sm font-medium transition-colors disabled:opacity-50"
+              >
+                {updateServerMutation.isPending ? 'Saving...' : 'Save Allowlist'}
+              </button>
+            </div>
+          </div>
+
+          {mutationError && (
+            <p className="text-sm text-red-400">
+              {(mutationError as { response?: { data?: { error?: string } } }).response?.data?.error || 'Request failed'}
+            </p>
+          )}
+
+          {/* Recent pulls */}
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Recent Pulls</label>
+            {pulls.length === 0 ? (
+              <p className="text-sm text-gray-500">No pulls recorded for this server.</p>
+            ) : (
+              <div className="space-y-1">
+                {pulls.map(pull => (
+                  <div key={pull.id} className="flex items-center gap-3 text-xs bg-discord-darker rounded-md px-3 py-2">
+                    <span className={`font-mono ${pull.status_code < 400 ? 'text-green-400' : 'text-red-400'}`}>
+                      {pull.status_code}
+                    </span>
+                    <span className="text-gray-300">{pull.ip_address || 'unknown'}</span>
+                    <span className="text-gray-500 truncate flex-1">{pull.user_agent}</span>
+                    <span className="text-gray-500 whitespace-nowrap">{formatRelativeTime(pull.createdAt)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
 // ============================================
 // Delete Confirm Modal
 // ============================================
@@ -527,12 +754,14 @@ export default function Connections() {
   const [showServerForm, setShowServerForm] = useState(false)
   const [editingServer, setEditingServer] = useState<SquadJSServer | null>(null)
   const [deletingServerKey, setDeletingServerKey] = useState<string | null>(null)
+  const [pullAccessServerKey, setPullAccessServerKey] = useState<string | null>(null)
   const [localSettings, setLocalSettings] = useState<Record<string, { value: boolean | number | string }> | null>(null)
 
   const servers = serversData?.data || []
   const dbStatus = dbStatusData?.data
   const config = settingsData?.data?.config
   const categories = settingsData?.data?.categories
+  const pullAccessServer = servers.find(s => s.serverKey === pullAccessServerKey) || null
 
   // Initialize local settings from server data
   useEffect(() => {
@@ -702,6 +931,7 @@ export default function Connections() {
                     onReconnect={(key) => reconnectServerMutation.mutate(key)}
                     onDelete={(key) => setDeletingServerKey(key)}
                     onToggle={handleToggleServer}
+                    onPullAccess={(key) => setPullAccessServerKey(key)}
                     isReconnecting={reconnectServerMutation.isPending}
                   />
                 ))}
@@ -818,6 +1048,13 @@ export default function Connections() {
         />
       )}
 
+      {pullAccessServer && (
+        <PullAccessModal
+          server={pullAccessServer}
+          onClose={() => setPullAccessServerKey(null)}
+        />
+      )}
+
       {deletingServerKey && (
         <DeleteConfirmModal
           serverKey={deletingServerKey}
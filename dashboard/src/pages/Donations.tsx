@@ -0,0 +1,333 @@
+import { useState, useMemo } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { Search, RefreshCw, PiggyBank, Ticket } from 'lucide-react'
+import { useDonations, useDonationRevenue } from '../hooks/useDonations'
+import { cn, formatDateTime } from '../lib/utils'
+import DonationDetailModal from '../components/donations/DonationDetailModal'
+import ClaimCodeModal from '../components/donations/ClaimCodeModal'
+import { PLATFORM_LABELS, STATUS_STYLES, formatDonationAmount } from '../components/donations/donationLabels'
+import type { Donation, DonationFilters, DonationPlatform, DonationStatus } from '../types/donations'
+
+const REVENUE_RANGES = [6, 12, 24]
+
+function formatMonth(month: string): string {
+  const [year, monthIndex] = month.split('-').map(Number)
+  return new Date(Date.UTC(year, monthIndex - 1, 1)).toLocaleDateString(undefined, { month: 'short', year: '2-digit', timeZone: 'UTC' })
+}
+
+export default function Donations() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [searchInput, setSearchInput] = useState(searchParams.get('search') || '')
+  const [selectedDonation, setSelectedDonation] = useState<Donation | null>(null)
+  const [revenueMonths, setRevenueMonths] = useState(12)
+  const [currency, setCurrency] = useState<string | null>(null)
+  const [showClaimModal, setShowClaimModal] = useState(false)
+
+  const filters: DonationFilters = {
+    page: parseInt(searchParams.get('page') || '1'),
+    limit: 25,
+    platform: (searchParams.get('platform') as DonationPlatform) || undefined,
+    status: (searchParams.get('status') as DonationStatus) || undefined,
+    search: searchParams.get('search') || undefined,
+    unclaimed: searchParams.get('unclaimed') === 'true' || undefined,
+  }
+
+  const { data, isLoading, refetch, isFetching } = useDonations(filters)
+  const { data: revenueData } = useDonationRevenue(revenueMonths)
+  const pagination = data?.pagination
+
+  // Currencies ordered by number of donations, so the default view is the main one
+  const currencies = useMemo(() => {
+    const counts = new Map<string, number>()
+    for (const row of revenueData?.revenue || []) {
+      const key = row.currency || 'Unknown'
+      counts.set(key, (counts.get(key) || 0) + row.count)
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([key]) => key)
+  }, [revenueData])
+
+  const activeCurrency = currency && currencies.includes(currency) ? currency : currencies[0]
+
+  // One bar per month in range, including months without donations
+  const chartMonths = useMemo(() => {
+    const rows = (revenueData?.revenue || []).filter(row => (row.currency || 'Unknown') === activeCurrency)
+    const now = new Date()
+    return Array.from({ length: revenueMonths }, (_, index) => {
+      const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (revenueMonths - 1 - index), 1))
+      const month = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`
+      const row = rows.find(r => r.month === month)
+      return { month, gross: row?.gross || 0, reversed: row?.reversed || 0, net: row?.net || 0, count: row?.count || 0 }
+    })
+  }, [revenueData, activeCurrency, revenueMonths])
+
+  const maxGross = Math.max(...chartMonths.map(m => m.gross), 1)
+  const totals = chartMonths.reduce(
+    (sum, m) => ({ gross: sum.gross + m.gross, reversed: sum.reversed + m.reversed, net: sum.net + m.net, count: sum.count + m.count }),
+    { gross: 0, reversed: 0, net: 0, count: 0 }
+  )
+
+  const updateFilter = (key: string, value: string | undefined) => {
+    const newParams = new URLSearchParams(searchParams)
+    if (value) {
+      newParams.set(key, value)
+    } else {
+      newParams.delete(key)
+    }
+    if (key !== 'page') {
+      newParams.set('page', '1')
+    }
+    setSearchParams(newParams)
+  }
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault()
+    updateFilter('search', searchInput || undefined)
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-white flex items-center gap-3">
+            <PiggyBank className="w-7 h-7 text-discord-blurple" />
+            Donations
+          </h1>
+          <p className="text-gray-400 mt-1">
+            {pagination?.total ?? 0} donations
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setShowClaimModal(true)}
+            className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+          >
+            <Ticket className="w-4 h-4" />
+            Redeem Claim Code
+          </button>
+          <button
+            onClick={() => refetch()}
+            disabled={isFetching}
+            className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+          >
+            <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Revenue */}
+      <div className="bg-discord-light rounded-lg p-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-white">Revenue</h2>
+          <div className="flex items-center gap-2">
+            {currencies.length > 1 && (
+              <select
+                value={activeCurrency}
+                onChange={(e) => setCurrency(e.target.value)}
+                className="bg-discord-darker border border-discord-lighter rounded-md px-3 py-1.5 text-sm text-white focus:outline-none focus:border-discord-blurple"
+              >
+                {currencies.map((key) => (
+                  <option key={key} value={key}>{key}</option>
+                ))}
+              </select>
+            )}
+            <select
+              value={revenueMonths}
+              onChange={(e) => setRevenueMonths(parseInt(e.target.value))}
+              className="bg-discord-darker border border-discord-lighter rounded-md px-3 py-1.5 text-sm text-white focus:outline-none focus:border-discord-blurple"
+            >
+              {REVENUE_RANGES.map((months) => (
+                <option key={months} value={months}>Last {months} months</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {[
+            { label: 'Gross', value: totals.gross.toFixed(2), className: 'text-white' },
+            { label: 'Refunded / Charged Back', value: totals.reversed.toFixed(2), className: 'text-red-400' },
+            { label: 'Net', value: totals.net.toFixed(2), className: 'text-green-400' },
+            { label: 'Payments', value: String(totals.count), className: 'text-white' },
+          ].map((stat) => (
+            <div key={stat.label} className="bg-discord-darker rounded-lg p-3">
+              <p className="text-xs text-gray-400">{stat.label}</p>
+              <p className={cn('text-xl font-semibold', stat.className)}>{stat.value}</p>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-end gap-1 h-40">
+          {chartMonths.map((month) => (
+            <div
+              key={month.month}
+              className="flex-1 flex flex-col items-center justify-end h-full"
+              title={`${formatMonth(month.month)}: ${month.net.toFixed(2)} net (${month.gross.toFixed(2)} gross, ${month.count} payments)`}
+            >
+              <div className="w-full flex flex-col justify-end" style={{ height: `${(month.gross / maxGross) * 100}%` }}>
+                {month.reversed > 0 && (
+                  <div className="w-full bg-red-500/60 rounded-t" style={{ height: `${(month.reversed / month.gross) * 100}%` }} />
+                )}
+                <div
+                  className={cn('w-full bg-discord-blurple', month.reversed === 0 && 'rounded-t')}
+                  style={{ height: `${(month.net / month.gross) * 100}%` }}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-1">
+          {chartMonths.map((month) => (
+            <div key={month.month} className="flex-1 text-center text-[10px] text-gray-500 truncate">
+              {formatMonth(month.month)}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-discord-light rounded-lg p-4">
+        <form onSubmit={handleSearch} className="flex flex-wrap gap-4">
+          <div className="relative flex-1 min-w-[200px]">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search by donor, email, transaction or message..."
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className="w-full bg-discord-darker border border-discord-lighter rounded-md pl-10 pr-4 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-discord-blurple"
+            />
+          </div>
+          <select
+            value={filters.platform || ''}
+            onChange={(e) => updateFilter('platform', e.target.value || undefined)}
+            className="bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:border-discord-blurple"
+          >
+            <option value="">All Platforms</option>
+            {Object.entries(PLATFORM_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={filters.status || ''}
+            onChange={(e) => updateFilter('status', e.target.value || undefined)}
+            className="bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:border-discord-blurple"
+          >
+            <option value="">All Statuses</option>
+            {Object.entries(STATUS_STYLES).map(([value, style]) => (
+              <option key={value} value={value}>{style.label}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={!!filters.unclaimed}
+              onChange={(e) => updateFilter('unclaimed', e.target.checked ? 'true' : undefined)}
+              className="rounded border-discord-lighter bg-discord-darker"
+            />
+            Unclaimed slots only
+          </label>
+          <button
+            type="submit"
+            className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+          >
+            Search
+          </button>
+        </form>
+      </div>
+
+      {/* Table */}
+      <div className="bg-discord-light rounded-lg overflow-hidden">
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-discord-blurple mx-auto"></div>
+            <p className="text-gray-400 mt-4">Loading donations...</p>
+          </div>
+        ) : !data?.donations.length ? (
+          <div className="p-8 text-center">
+            <p className="text-gray-400">No donations found</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-discord-lighter">
+                  {['Received', 'Donor', 'Platform', 'Amount', 'Steam IDs', 'Status'].map((label) => (
+                    <th key={label} className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
+                      {label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-discord-lighter">
+                {data.donations.map((donation) => {
+                  const status = STATUS_STYLES[donation.status]
+                  return (
+                    <tr
+                      key={donation.id}
+                      className="hover:bg-discord-lighter/50 transition-colors cursor-pointer"
+                      onClick={() => setSelectedDonation(donation)}
+                    >
+                      <td className="px-4 py-3 text-sm text-gray-300">{formatDateTime(donation.createdAt)}</td>
+                      <td className="px-4 py-3">
+                        <div className="text-sm text-white">{donation.donor_name || '-'}</div>
+                        {donation.tier_description && (
+                          <div className="text-xs text-gray-500">{donation.tier_description}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-300">
+                        {PLATFORM_LABELS[donation.platform]}
+                        {donation.is_recurring && <span className="text-xs text-gray-500 ml-1">(sub)</span>}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-white">{formatDonationAmount(donation.amount, donation.currency)}</td>
+                      <td className="px-4 py-3 text-xs text-gray-400 font-mono">
+                        {donation.steam_ids.length ? donation.steam_ids.join(', ') : '-'}
+                        {donation.unclaimed_slots > 0 && (
+                          <div className="text-purple-400 font-sans">+{donation.unclaimed_slots} unclaimed</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className={cn('inline-flex items-center px-2 py-0.5 rounded text-xs font-medium border', status.className)}>
+                          {status.label}
+                        </span>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination && pagination.totalPages > 1 && (
+          <div className="px-4 py-3 border-t border-discord-lighter flex items-center justify-between">
+            <p className="text-sm text-gray-400">
+              Page {pagination.page} of {pagination.totalPages}
+            </p>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => updateFilter('page', String(pagination.page - 1))}
+                disabled={pagination.page <= 1}
+                className="px-3 py-1 text-sm bg-discord-darker border border-discord-lighter rounded hover:bg-discord-lighter disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => updateFilter('page', String(pagination.page + 1))}
+                disabled={pagination.page >= pagination.totalPages}
+                className="px-3 py-1 text-sm bg-discord-darker border border-discord-lighter rounded hover:bg-discord-lighter disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {selectedDonation && <DonationDetailModal donation={selectedDonation} onClose={() => setSelectedDonation(null)} />}
+      {showClaimModal && <ClaimCodeModal onClose={() => setShowClaimModal(false)} />}
+    </div>
+  )
+}
@@ -1,5 +1,5 @@
 import { useState, useEffect, useMemo } from 'react'
-import { Settings, Clock, Activity, Award, Users, History, CheckSquare, Square, Save, AlertCircle, Hash, Target } from 'lucide-react'
+import { Settings, Clock, Activity, Award, Users, History, CheckSquare, Square, Save, AlertCircle, Hash, Target, Gamepad2, UserMinus } from 'lucide-react'
 import { useDutySettings, useUpdateDutySettings, useDutySettingsAudit, useVoiceChannels } from '../hooks/useDutySettings'
 import { useAuth } from '../hooks/useAuth'
 import { VoiceChannelSelect, ActivityTargetCalculator } from '../components/duty'
@@ -27,13 +27,38 @@ const CONFIG_DESCRIPTIONS: Record<string, string> = {
   points_ticket_response: 'Points awarded for each ticket response.',
   points_admin_cam: 'Points awarded for using admin camera on the game server.',
   points_ingame_chat: 'Points awarded for each in-game admin chat message.',
+  points_admin_request: 'Points awarded for claiming an in-game !admin request from Discord.',
+  points_player_warn: 'Points awarded for each in-game warn issued (requires SquadJS).',
+  points_player_kick: 'Points awarded for each in-game kick issued (requires SquadJS).',
+  points_player_ban: 'Points awarded for each in-game ban issued (requires SquadJS).',
   points_server_per_minute: 'Points per minute while connected to a tracked game server.',
   on_duty_multiplier: 'Multiplier applied to all point earnings while on duty (e.g., 1.5 = 50% bonus).',
-  weekly_points_target: 'Target number of points to earn per week. Used in the activity calculator.',
+  weekly_points_target: 'Target number of points to earn per week. Used in the activity calculator and the weekly target report.',
+  weekly_target_reports_enabled: 'Every Monday (UTC), DM each staff member their result for last week and post a summary to the leadership channel.',
+  weekly_target_exceeded_percent: 'Staff at or above this percentage of the weekly target are reported as having exceeded it.',
 
   // Coverage settings
   coverage_low_threshold: 'Minimum number of admins required before coverage is considered "low".',
   coverage_snapshot_interval_minutes: 'How often (in minutes) to record a coverage snapshot for analytics.',
+  coverage_alerts_enabled: 'Post an alert when a populated server has fewer admins on duty than the low coverage threshold.',
+  coverage_alert_min_players: 'Only alert for servers with at least this many players online.',
+  coverage_alert_cooldown_minutes: 'Minimum time between alerts for the same server.',
+  coverage_alert_hysteresis: 'Admins needed above the threshold before an active alert clears. Prevents flapping when counts hover around the threshold.',
+  coverage_callin_roles: 'Roles pinged by coverage alerts. One role is pinged per alert, rotating through the list.',
+
+  // In-game duty detection
+  auto_duty_enabled: 'When a linked staff member uses admin camera or admin chat on a server while off duty, offer to put them on duty (requires SquadJS).',
+  auto_duty_auto_start: 'Put staff on duty straight away instead of asking by DM. Either way the session is tagged as in-game detected.',
+  auto_duty_grace_minutes: 'In-game detected sessions end once the staff member has been off every server for this long.',
+  auto_duty_prompt_cooldown_minutes: 'Minimum time between "go on duty?" DMs to the same staff member.',
+
+  // Inactive staff
+  inactivity_reports_enabled: 'Post a report of inactive staff to the leadership channel, with a Mark Inactive button for each.',
+  inactivity_report_interval_days: 'How often the inactive staff report is posted.',
+  inactivity_days_admin: 'Admins with no duty sessions, voice time or ticket responses for this many days are reported. Set to 0 to skip admins.',
+  inactivity_days_moderator: 'Moderators with no duty sessions, voice time or ticket responses for this many days are reported. Set to 0 to skip moderators.',
+  inactivity_days_staff: 'Other staff with no duty sessions, voice time or ticket responses for this many days are reported. Set to 0 to skip them.',
+  inactivity_archive_days: 'How long roles removed by Mark Inactive can be restored before the archive expires.',
 
   // Channel settings
   tracked_voice_channels: 'Limit voice tracking to these channels only. Leave empty to track all voice channels.',
@@ -46,6 +71,8 @@ const CATEGORY_ICONS: Record<string, React.ElementType> = {
   tracking: Activity,
   points: Award,
   coverage: Users,
+  auto_duty: Gamepad2,
+  inactivity: UserMinus,
   channels: Hash,
 }
 
@@ -232,6 +259,32 @@ function ConfigInput({ configKey, item, value, onChange, disabled, voiceChannels
       )
     }
 
+    // Call-in roles are entered as comma-separated role IDs (applied on blur so commas can be typed)
+    if (configKey === 'coverage_callin_roles') {
+      return (
+        <div>
+          <label className="text-sm font-medium text-gray-300 flex items-center mb-2">
+            {item.label}
+            {description && <InfoTooltip text={description} />}
+          </label>
+          <input
+            type="text"
+            id={`duty-config-${configKey}`}
+            name={`duty-config-${configKey}`}
+            defaultValue={(value as string[]).join(', ')}
+            onBlur={(e) => onChange(
+              configKey,
+              e.target.value.split(',').map(id => id.trim()).filter(id => /^\d+$/.test(id))
+            )}
+            disabled={disabled}
+            placeholder="Role IDs, comma-separated"
+            autoComplete="off"
+            className="w-full bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:border-discord-blurple disabled:opacity-50"
+          />
+        </div>
+      )
+    }
+
     // Default display for other JSON arrays
     return (
       <div>
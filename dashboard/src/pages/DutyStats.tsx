@@ -1,8 +1,8 @@
 import { useState } from 'react'
 import { RefreshCw, Settings, Calendar } from 'lucide-react'
 import { Link } from 'react-router-dom'
-import { useStaffOverview } from '../hooks/useDutyStats'
-import { DutySummaryCards, StaffOverview } from '../components/duty'
+import { useStaffOverview, useDutyCoverage, useWeeklyTargets } from '../hooks/useDutyStats'
+import { DutySummaryCards, StaffOverview, CoverageHeatmap, WeeklyTargetProgress } from '../components/duty'
 import { useAuth } from '../hooks/useAuth'
 import type { StaffOverviewSortBy, StaffOverviewSortOrder, StaffOverviewPeriod, DutySummaryStats } from '../types/duty'
 import { STAFF_OVERVIEW_PERIOD_LABELS } from '../types/duty'
@@ -21,6 +21,18 @@ export default function DutyStats() {
     isFetching: staffOverviewFetching,
   } = useStaffOverview(staffOverviewSort, staffOverviewSortOrder, period)
 
+  const {
+    data: coverageData,
+    isLoading: coverageLoading,
+    refetch: refetchCoverage,
+  } = useDutyCoverage(period)
+
+  const {
+    data: targetsData,
+    isLoading: targetsLoading,
+    refetch: refetchTargets,
+  } = useWeeklyTargets()
+
   const handleSortChange = (field: StaffOverviewSortBy) => {
     if (field === staffOverviewSort) {
       setStaffOverviewSortOrder(prev => prev === 'desc' ? 'asc' : 'desc')
@@ -32,6 +44,8 @@ export default function DutyStats() {
 
   const handleRefresh = () => {
     refetchStaffOverview()
+    refetchCoverage()
+    refetchTargets()
   }
 
   // Build summary stats from staff overview data
@@ -105,6 +119,23 @@ export default function DutyStats() {
         isLoading={staffOverviewLoading}
       />
 
+      {/* Weekly Points Target */}
+      <WeeklyTargetProgress
+        entries={targetsData?.data?.entries || []}
+        pointsTarget={targetsData?.data?.pointsTarget ?? 1000}
+        exceededPercent={targetsData?.data?.exceededPercent ?? 150}
+        isLoading={targetsLoading}
+      />
+
+      {/* Coverage Heatmap */}
+      <CoverageHeatmap
+        cells={coverageData?.data?.cells || []}
+        lowThreshold={coverageData?.data?.lowThreshold ?? 2}
+        latest={coverageData?.data?.latest}
+        understaffedSlots={coverageData?.data?.summary.understaffedSlots}
+        isLoading={coverageLoading}
+      />
+
       {/* Staff Overview Table */}
       <StaffOverview
         entries={staffOverviewData?.data?.entries || []}
@@ -0,0 +1,231 @@
+import { useState } from 'react'
+import { RefreshCw, UserMinus, Archive, RotateCcw, Clock } from 'lucide-react'
+import { useInactiveStaff, useMarkInactive, useRestoreInactive } from '../hooks/useDutyStats'
+import { useAuth } from '../hooks/useAuth'
+import { formatDate, formatRelativeTime } from '../lib/utils'
+import type { InactiveStaffEntry, ArchivedStaffEntry } from '../types/duty'
+
+function getErrorMessage(error: unknown, fallback: string): string {
+  return (error as { response?: { data?: { error?: string } } }).response?.data?.error || fallback
+}
+
+function InactiveRow({ entry, canManage }: { entry: InactiveStaffEntry; canManage: boolean }) {
+  const markMutation = useMarkInactive()
+  const [confirming, setConfirming] = useState(false)
+
+  return (
+    <div className="px-4 py-3 flex items-center gap-3 hover:bg-discord-lighter/50 transition-colors">
+      <div className="flex-1 min-w-0">
+        <p className="text-white font-medium truncate">{entry.displayName}</p>
+        <p className="text-sm text-gray-400">
+          {entry.tierLabel} · {entry.lastActivityAt ? `last active ${formatRelativeTime(entry.lastActivityAt)}` : 'no recorded activity'}
+        </p>
+        {markMutation.error && (
+          <p className="text-sm text-red-400 mt-1">
+            {getErrorMessage(markMutation.error, 'Failed to mark staff member inactive')}
+          </p>
+        )}
+      </div>
+      <div className="text-right">
+        <p className="text-white font-medium">{entry.daysInactive}d</p>
+        <p className="text-xs text-gray-500">limit {entry.thresholdDays}d</p>
+      </div>
+      {canManage && (
+        confirming ? (
+          <div className="flex gap-2">
+            <button
+              onClick={() => markMutation.mutate(entry.discordUserId, { onSettled: () => setConfirming(false) })}
+              disabled={markMutation.isPending}
+              className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors"
+            >
+              {markMutation.isPending ? 'Removing...' : 'Confirm'}
+            </button>
+            <button
+              onClick={() => setConfirming(false)}
+              disabled={markMutation.isPending}
+              className="bg-discord-lighter hover:bg-discord-dark text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={() => setConfirming(true)}
+            className="bg-discord-lighter hover:bg-discord-dark text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors flex items-center gap-1"
+          >
+            <UserMinus className="w-4 h-4" />
+            Mark Inactive
+          </button>
+        )
+      )}
+    </div>
+  )
+}
+
+function ArchivedRow({ entry, canManage }: { entry: ArchivedStaffEntry; canManage: boolean }) {
+  const restoreMutation = useRestoreInactive()
+
+  return (
+    <div className="px-4 py-3 flex items-center gap-3 hover:bg-discord-lighter/50 transition-colors">
+      <div className="flex-1 min-w-0">
+        <p className="text-white font-medium truncate">{entry.displayName || entry.username || entry.discordUserId}</p>
+        <p className="text-sm text-gray-400 truncate">{entry.roles.join(', ')}</p>
+        {restoreMutation.error && (
+          <p className="text-sm text-red-400 mt-1">
+            {getErrorMessage(restoreMutation.error, 'Failed to restore staff member')}
+          </p>
+        )}
+      </div>
+      <div className="text-right">
+        <p className="text-sm text-gray-300">
+          {formatDate(entry.markedInactiveAt)}
+          {entry.markedInactiveBy && <span className="text-gray-500"> by {entry.markedInactiveBy}</span>}
+        </p>
+        <p className="text-xs text-gray-500">restorable until {formatDate(entry.expiresAt)}</p>
+      </div>
+      {canManage && (
+        <button
+          onClick={() => restoreMutation.mutate(entry.discordUserId)}
+          disabled={restoreMutation.isPending}
+          className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors flex items-center gap-1"
+        >
+          <RotateCcw className="w-4 h-4" />
+          {restoreMutation.isPending ? 'Restoring...' : 'Restore'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default function InactiveStaff() {
+  const { data, isLoading, refetch, isFetching } = useInactiveStaff()
+  const { hasPermission } = useAuth()
+  const canManage = hasPermission('MANAGE_INACTIVE_STAFF')
+
+  if (isLoading) {
+    return (
+      <div className="min-h-[400px] flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-discord-blurple mx-auto"></div>
+          <p className="text-gray-400 mt-4">Checking staff activity...</p>
+        </div>
+      </div>
+    )
+  }
+
+  const inactive = data?.data?.inactive || []
+  const archived = data?.data?.archived || []
+  const tierDays = data?.data?.tierDays
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Inactive Staff</h1>
+          <p className="text-gray-400 mt-1">
+            Staff with no duty sessions, voice time or ticket responses past their tier's limit
+          </p>
+        </div>
+        <button
+          onClick={() => refetch()}
+          disabled={isFetching}
+          className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+        >
+          <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-discord-light rounded-lg p-4">
+          <div className="flex items-center gap-3">
+            <div className="bg-orange-500/20 p-2 rounded-lg">
+              <UserMinus className="w-5 h-5 text-orange-400" />
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-white">{inactive.length}</p>
+              <p className="text-sm text-gray-400">Inactive Staff</p>
+            </div>
+          </div>
+        </div>
+        <div className="bg-discord-light rounded-lg p-4">
+          <div className="flex items-center gap-3">
+            <div className="bg-blue-500/20 p-2 rounded-lg">
+              <Archive className="w-5 h-5 text-blue-400" />
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-white">{archived.length}</p>
+              <p className="text-sm text-gray-400">Marked Inactive</p>
+            </div>
+          </div>
+        </div>
+        <div className="bg-discord-light rounded-lg p-4">
+          <div className="flex items-center gap-3">
+            <div className="bg-green-500/20 p-2 rounded-lg">
+              <Clock className="w-5 h-5 text-green-400" />
+            </div>
+            <div>
+              <p className="text-sm text-white">
+                Admin {tierDays?.admin ?? '-'}d · Moderator {tierDays?.moderator ?? '-'}d · Staff {tierDays?.staff ?? '-'}d
+              </p>
+              <p className="text-sm text-gray-400">Inactivity Limits</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Inactive */}
+      <div className="bg-discord-light rounded-lg overflow-hidden">
+        <div className="px-4 py-3 border-b border-discord-lighter">
+          <h3 className="text-lg font-semibold text-white">
+            Past Inactivity Limit
+            <span className="text-sm font-normal text-gray-400 ml-2">({inactive.length})</span>
+          </h3>
+        </div>
+        {inactive.length === 0 ? (
+          <div className="text-center text-gray-400 py-8">All staff have recent activity</div>
+        ) : (
+          <div className="divide-y divide-discord-lighter">
+            {inactive.map((entry) => (
+              <InactiveRow key={entry.discordUserId} entry={entry} canManage={canManage} />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Archived */}
+      <div className="bg-discord-light rounded-lg overflow-hidden">
+        <div className="px-4 py-3 border-b border-discord-lighter">
+          <h3 className="text-lg font-semibold text-white">
+            Marked Inactive
+            <span className="text-sm font-normal text-gray-400 ml-2">({archived.length})</span>
+          </h3>
+        </div>
+        {archived.length === 0 ? (
+          <div className="text-center text-gray-400 py-8">No staff are currently marked inactive</div>
+        ) : (
+          <div className="divide-y divide-discord-lighter">
+            {archived.map((entry) => (
+              <ArchivedRow key={entry.archiveId} entry={entry} canManage={canManage} />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Info Box */}
+      <div className="bg-discord-light rounded-lg p-4">
+        <h4 className="text-sm font-semibold text-white mb-2 flex items-center gap-2">
+          <Archive className="w-4 h-4 text-discord-blurple" />
+          How It Works
+        </h4>
+        <p className="text-sm text-gray-400">
+          Mark Inactive saves the member's staff roles to an archive and removes them. Restore puts them back
+          while the archive is still valid. The member is told by DM either way, and every change is recorded
+          in the audit log. The same actions are available from the report posted in Discord.
+        </p>
+      </div>
+    </div>
+  )
+}
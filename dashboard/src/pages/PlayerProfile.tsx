@@ -13,6 +13,7 @@ import PlayerSeedingSection from '../components/player/PlayerSeedingSection'
 import PlayerDutySection from '../components/player/PlayerDutySection'
 import PlayerAccountSection from '../components/player/PlayerAccountSection'
 import PlayerStatsSection from '../components/player/PlayerStatsSection'
+import PlayerModerationActions from '../components/player/PlayerModerationActions'
 
 type Tab = 'overview' | 'activity' | 'stats' | 'whitelist' | 'audit' | 'seeding' | 'duty' | 'account'
 
@@ -144,6 +145,10 @@ export default function PlayerProfile() {
                 <code className="text-blue-400 font-mono text-sm">{steamid64}</code>
                 <CopyButton text={steamid64!} size={4} className="text-gray-500" />
               </div>
+
+              <div className="mt-3">
+                <PlayerModerationActions steamid64={steamid64!} />
+              </div>
             </div>
 
             {/* Quick Stats */}
@@ -0,0 +1,446 @@
+import { useState } from 'react'
+import { RefreshCw, Calculator, Plus, Eye, Pencil, CheckCircle, ArrowUp, ArrowDown } from 'lucide-react'
+import {
+  usePointRules,
+  usePointRulePreview,
+  useCreatePointRuleSet,
+  useUpdatePointRuleSet,
+  useActivatePointRuleSet,
+} from '../hooks/useDutyStats'
+import { useAuth } from '../hooks/useAuth'
+import { DutyFilters } from '../components/duty'
+import { formatDate } from '../lib/utils'
+import type { DutyPeriod, DutyType, PointRules, PointRuleSet, PointRuleSetStatus } from '../types/duty'
+
+const STATUS_STYLES: Record<PointRuleSetStatus, string> = {
+  draft: 'bg-gray-500/20 text-gray-300',
+  active: 'bg-green-500/20 text-green-400',
+  archived: 'bg-discord-darker text-gray-500',
+}
+
+type ApiError = { response?: { data?: { error?: string; errors?: string[] } } }
+
+function getErrorMessages(error: unknown, fallback: string): string[] {
+  const data = (error as ApiError).response?.data
+  return [data?.error || fallback, ...(data?.errors || [])]
+}
+
+interface EditorState {
+  id: number | null
+  name: string
+  description: string
+  rulesText: string
+}
+
+function RuleSetEditor({ initial, onClose }: { initial: EditorState; onClose: () => void }) {
+  const [state, setState] = useState(initial)
+  const [parseError, setParseError] = useState<string | null>(null)
+  const createMutation = useCreatePointRuleSet()
+  const updateMutation = useUpdatePointRuleSet()
+  const mutation = state.id === null ? createMutation : updateMutation
+
+  const handleSave = () => {
+    let rules: PointRules
+    try {
+      rules = JSON.parse(state.rulesText)
+    } catch (err) {
+      setParseError(`Rules are not valid JSON: ${(err as Error).message}`)
+      return
+    }
+    setParseError(null)
+
+    const input = { name: state.name, description: state.description, rules }
+    if (state.id === null) {
+      createMutation.mutate(input, { onSuccess: onClose })
+    } else {
+      updateMutation.mutate({ id: state.id, input }, { onSuccess: onClose })
+    }
+  }
+
+  return (
+    <div className="bg-discord-light rounded-lg p-4 space-y-4">
+      <h3 className="text-lg font-semibold text-white">
+        {state.id === null ? 'New Draft' : 'Edit Draft'}
+      </h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+          <input
+            value={state.name}
+            onChange={e => setState({ ...state, name: e.target.value })}
+            maxLength={100}
+            className="w-full bg-discord-lighter border border-discord-lighter rounded-md px-3 py-2 text-white text-sm focus:outline-none focus:border-discord-blurple"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Description</label>
+          <input
+            value={state.description}
+            onChange={e => setState({ ...state, description: e.target.value })}
+            className="w-full bg-discord-lighter border border-discord-lighter rounded-md px-3 py-2 text-white text-sm focus:outline-none focus:border-discord-blurple"
+          />
+        </div>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-1">Rules (JSON)</label>
+        <textarea
+          value={state.rulesText}
+          onChange={e => setState({ ...state, rulesText: e.target.value })}
+          rows={20}
+          spellCheck={false}
+          className="w-full bg-discord-lighter border border-discord-lighter rounded-md px-3 py-2 text-white text-sm font-mono focus:outline-none focus:border-discord-blurple"
+        />
+      </div>
+      {(parseError || mutation.error) && (
+        <div className="text-sm text-red-400 space-y-1">
+          {parseError
+            ? <p>{parseError}</p>
+            : getErrorMessages(mutation.error, 'Failed to save rule set').map(message => <p key={message}>{message}</p>)}
+        </div>
+      )}
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={onClose}
+          disabled={mutation.isPending}
+          className="bg-discord-lighter hover:bg-discord-dark text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={mutation.isPending || !state.name.trim()}
+          className="bg-discord-blurple hover:bg-discord-blurple/80 disabled:opacity-50 text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors"
+        >
+          {mutation.isPending ? 'Saving...' : 'Save Draft'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+function RuleSetRow({
+  ruleSet,
+  selected,
+  canManage,
+  onPreview,
+  onEdit,
+}: {
+  ruleSet: PointRuleSet
+  selected: boolean
+  canManage: boolean
+  onPreview: () => void
+  onEdit: () => void
+}) {
+  const activateMutation = useActivatePointRuleSet()
+  const [confirming, setConfirming] = useState(false)
+
+  return (
+    <div className={`px-4 py-3 flex items-center gap-3 transition-colors ${selected ? 'bg-discord-lighter/50' : 'hover:bg-discord-lighter/50'}`}>
+      <div className="flex-1 min-w-0">
+        <p className="text-white font-medium truncate">
+          v{ruleSet.version} · {ruleSet.name}
+          <span className={`text-xs px-2 py-0.5 rounded-full ml-2 capitalize ${STATUS_STYLES[ruleSet.status]}`}>
+            {ruleSet.status}
+          </span>
+        </p>
+        <p className="text-sm text-gray-400 truncate">
+          {ruleSet.description || 'No description'} · created {formatDate(ruleSet.createdAt)}
+          {ruleSet.createdByName && ` by ${ruleSet.createdByName}`}
+          {ruleSet.activatedAt && ` · last activated ${formatDate(ruleSet.activatedAt)}`}
+        </p>
+        {activateMutation.error && (
+          <p className="text-sm text-red-400 mt-1">
+            {getErrorMessages(activateMutation.error, 'Failed to activate rule set')[0]}
+          </p>
+        )}
+      </div>
+      <button
+        onClick={onPreview}
+        className="bg-discord-lighter hover:bg-discord-dark text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors flex items-center gap-1"
+      >
+        <Eye className="w-4 h-4" />
+        Preview
+      </button>
+      {canManage && ruleSet.status === 'draft' && (
+        <button
+          onClick={onEdit}
+          className="bg-discord-lighter hover:bg-discord-dark text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors flex items-center gap-1"
+        >
+          <Pencil className="w-4 h-4" />
+          Edit
+        </button>
+      )}
+      {canManage && ruleSet.status !== 'active' && (
+        confirming ? (
+          <div className="flex gap-2">
+            <button
+              onClick={() => activateMutation.mutate(ruleSet.id, { onSettled: () => setConfirming(false) })}
+              disabled={activateMutation.isPending}
+              className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors"
+            >
+              {activateMutation.isPending ? 'Activating...' : 'Confirm'}
+            </button>
+            <button
+              onClick={() => setConfirming(false)}
+              disabled={activateMutation.isPending}
+              className="bg-discord-lighter hover:bg-discord-dark text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={() => setConfirming(true)}
+            className="bg-discord-lighter hover:bg-discord-dark text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors flex items-center gap-1"
+          >
+            <CheckCircle className="w-4 h-4" />
+            Activate
+          </button>
+        )
+      )}
+    </div>
+  )
+}
+
+function RuleSetPreview({ ruleSet }: { ruleSet: PointRuleSet }) {
+  const [period, setPeriod] = useState<DutyPeriod>('month')
+  const [dutyType, setDutyType] = useState<DutyType>('both')
+  const { data, isLoading, error } = usePointRulePreview(ruleSet.id, period, dutyType)
+  const preview = data?.data
+
+  return (
+    <div className="bg-discord-light rounded-lg overflow-hidden">
+      <div className="px-4 py-3 border-b border-discord-lighter flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Leaderboard Preview · v{ruleSet.version}</h3>
+          {preview && (
+            <p className="text-sm text-gray-400">
+              {preview.sessionCount} completed session(s) · currently scored by{' '}
+              {Object.entries(preview.scoredBy).map(([version, count]) => `${version} (${count})`).join(', ') || 'nothing'}
+            </p>
+          )}
+        </div>
+        <DutyFilters
+          period={period}
+          dutyType={dutyType}
+          onPeriodChange={setPeriod}
+          onDutyTypeChange={setDutyType}
+        />
+      </div>
+
+      {isLoading ? (
+        <div className="text-center text-gray-400 py-8">Recomputing sessions...</div>
+      ) : error ? (
+        <div className="text-center text-red-400 py-8">{getErrorMessages(error, 'Failed to preview rule set')[0]}</div>
+      ) : !preview || preview.entries.length === 0 ? (
+        <div className="text-center text-gray-400 py-8">No completed sessions in this period</div>
+      ) : (
+        <>
+          <div className="px-4 py-3 grid grid-cols-3 gap-4 border-b border-discord-lighter">
+            <div>
+              <p className="text-xl font-bold text-white">{preview.totals.current.toLocaleString()}</p>
+              <p className="text-sm text-gray-400">Current Points</p>
+            </div>
+            <div>
+              <p className="text-xl font-bold text-white">{preview.totals.preview.toLocaleString()}</p>
+              <p className="text-sm text-gray-400">With v{ruleSet.version}</p>
+            </div>
+            <div>
+              <p className={`text-xl font-bold ${preview.totals.delta >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {preview.totals.delta >= 0 ? '+' : ''}{preview.totals.delta.toLocaleString()}
+              </p>
+              <p className="text-sm text-gray-400">Change</p>
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-discord-darker">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-400 uppercase">Rank</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-400 uppercase">Staff</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-400 uppercase">Sessions</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-400 uppercase">Current</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-400 uppercase">Preview</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-400 uppercase">Change</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-discord-lighter">
+                {preview.entries.map(entry => (
+                  <tr key={entry.discordUserId} className="hover:bg-discord-lighter/50">
+                    <td className="px-4 py-2 whitespace-nowrap text-white">
+                      #{entry.previewRank}
+                      {entry.rankChange !== 0 && (
+                        <span className={`inline-flex items-center text-xs ml-2 ${entry.rankChange > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                          {entry.rankChange > 0 ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />}
+                          {Math.abs(entry.rankChange)}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-white truncate">{entry.discordUsername}</td>
+                    <td className="px-4 py-2 text-right text-gray-400">{entry.sessions}</td>
+                    <td className="px-4 py-2 text-right text-gray-300">{entry.currentPoints.toLocaleString()}</td>
+                    <td className="px-4 py-2 text-right text-white font-medium">{entry.previewPoints.toLocaleString()}</td>
+                    <td className={`px-4 py-2 text-right ${entry.delta > 0 ? 'text-green-400' : entry.delta < 0 ? 'text-red-400' : 'text-gray-500'}`}>
+                      {entry.delta > 0 ? '+' : ''}{entry.delta.toLocaleString()}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default function PointRules() {
+  const { data, isLoading, refetch, isFetching } = usePointRules()
+  const { hasPermission } = useAuth()
+  const canManage = hasPermission('MANAGE_DUTY_SETTINGS')
+  const [editor, setEditor] = useState<EditorState | null>(null)
+  const [previewId, setPreviewId] = useState<number | null>(null)
+
+  if (isLoading) {
+    return (
+      <div className="min-h-[400px] flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-discord-blurple mx-auto"></div>
+          <p className="text-gray-400 mt-4">Loading point rules...</p>
+        </div>
+      </div>
+    )
+  }
+
+  const ruleSets = data?.data?.ruleSets || []
+  const activeVersion = data?.data?.activeVersion ?? null
+  const previewRuleSet = ruleSets.find(ruleSet => ruleSet.id === previewId) || null
+
+  const startNewDraft = () => {
+    // Start from whatever scores sessions today
+    const active = ruleSets.find(ruleSet => ruleSet.status === 'active')
+    const rules = active?.rules || data?.data?.settingsRules
+    setEditor({
+      id: null,
+      name: '',
+      description: '',
+      rulesText: JSON.stringify(rules, null, 2),
+    })
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Point Rules</h1>
+          <p className="text-gray-400 mt-1">
+            Versioned rules for scoring duty sessions, previewed against past sessions before activation
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {canManage && !editor && (
+            <button
+              onClick={startNewDraft}
+              className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+            >
+              <Plus className="w-4 h-4" />
+              New Draft
+            </button>
+          )}
+          <button
+            onClick={() => refetch()}
+            disabled={isFetching}
+            className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+          >
+            <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Active */}
+      <div className="bg-discord-light rounded-lg p-4">
+        <div className="flex items-center gap-3">
+          <div className="bg-green-500/20 p-2 rounded-lg">
+            <Calculator className="w-5 h-5 text-green-400" />
+          </div>
+          <div>
+            <p className="text-lg font-bold text-white">
+              {activeVersion !== null ? `Version ${activeVersion}` : 'Duty settings'}
+            </p>
+            <p className="text-sm text-gray-400">
+              {activeVersion !== null
+                ? 'Scoring sessions that end from now on'
+                : 'No rule set is active, so sessions are scored from the point values in Duty Settings'}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {editor && (
+        <RuleSetEditor key={editor.id ?? 'new'} initial={editor} onClose={() => setEditor(null)} />
+      )}
+
+      {/* Versions */}
+      <div className="bg-discord-light rounded-lg overflow-hidden">
+        <div className="px-4 py-3 border-b border-discord-lighter">
+          <h3 className="text-lg font-semibold text-white">
+            Versions
+            <span className="text-sm font-normal text-gray-400 ml-2">({ruleSets.length})</span>
+          </h3>
+        </div>
+        {ruleSets.length === 0 ? (
+          <div className="text-center text-gray-400 py-8">No rule sets yet</div>
+        ) : (
+          <div className="divide-y divide-discord-lighter">
+            {ruleSets.map(ruleSet => (
+              <RuleSetRow
+                key={ruleSet.id}
+                ruleSet={ruleSet}
+                selected={ruleSet.id === previewId}
+                canManage={canManage}
+                onPreview={() => setPreviewId(ruleSet.id)}
+                onEdit={() => setEditor({
+                  id: ruleSet.id,
+                  name: ruleSet.name,
+                  description: ruleSet.description || '',
+                  rulesText: JSON.stringify(ruleSet.rules, null, 2),
+                })}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {previewRuleSet && <RuleSetPreview ruleSet={previewRuleSet} />}
+
+      {/* Info Box */}
+      <div className="bg-discord-light rounded-lg p-4">
+        <h4 className="text-sm font-semibold text-white mb-2 flex items-center gap-2">
+          <Calculator className="w-4 h-4 text-discord-blurple" />
+          How Rules Work
+        </h4>
+        <div className="text-sm text-gray-400 space-y-2">
+          <p>
+            <span className="text-white font-mono">basePerMinute</span> and each activity's{' '}
+            <span className="text-white font-mono">points</span> work like the Duty Settings values.{' '}
+            <span className="text-white font-mono">maxPoints</span> caps what one session can earn from an activity.
+          </p>
+          <p>
+            <span className="text-white font-mono">diminishingReturns</span> scales base points once a session has
+            run for <span className="text-white font-mono">afterHours</span>.{' '}
+            <span className="text-white font-mono">timeMultipliers</span> scale base points between UTC hours, wrapping
+            past midnight, with the highest matching window winning.
+          </p>
+          <p>
+            <span className="text-white font-mono">dutyTypes.admin</span> and{' '}
+            <span className="text-white font-mono">dutyTypes.tutor</span> override any of these for one duty type.
+            Activating a version only changes sessions that end afterwards; each session records the version that
+            scored it.
+          </p>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,6 +1,6 @@
 import { useState } from 'react'
 import { Link } from 'react-router-dom'
-import { Plus, RefreshCw, Users, Clock, Target, Award, X, FlaskConical, AlertTriangle, RotateCcw } from 'lucide-react'
+import { Plus, RefreshCw, Users, Clock, Target, Award, X, FlaskConical, AlertTriangle, RotateCcw, CalendarClock, Zap, Trophy } from 'lucide-react'
 import {
   useActiveSession,
   useSessionsList,
@@ -428,6 +428,27 @@ export default function Seeding() {
             <RefreshCw className={`w-4 h-4 ${fetchingActive ? 'animate-spin' : ''}`} />
             Refresh
           </button>
+          <Link
+            to="/seeding/schedules"
+            className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+          >
+            <CalendarClock className="w-4 h-4" />
+            Schedules
+          </Link>
+          <Link
+            to="/seeding/auto"
+            className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+          >
+            <Zap className="w-4 h-4" />
+            Auto Rules
+          </Link>
+          <Link
+            to="/seeding/leaderboard"
+            className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+          >
+            <Trophy className="w-4 h-4" />
+            Leaderboard
+          </Link>
           <button
             onClick={() => setShowCreateModal(true)}
             disabled={!!activeSession}
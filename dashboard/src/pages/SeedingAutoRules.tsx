@@ -0,0 +1,178 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeft, Plus, Pencil, Trash2, RefreshCw } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useAutoRules, useServers, useDeleteAutoRule } from '../hooks/useSeeding'
+import AutoRuleModal from '../components/seeding/AutoRuleModal'
+import { cn, formatDateTime } from '../lib/utils'
+import type { SeedingAutoRule } from '../types/seeding'
+
+export default function SeedingAutoRules() {
+  const { hasPermission } = useAuth()
+  const canManage = hasPermission('MANAGE_SEEDING')
+
+  const { data: rules, isLoading, refetch, isFetching } = useAutoRules()
+  const { data: servers } = useServers()
+  const deleteAutoRule = useDeleteAutoRule()
+
+  const [editing, setEditing] = useState<SeedingAutoRule | null>(null)
+  const [showCreateModal, setShowCreateModal] = useState(false)
+  const [confirmDeleteId, setConfirmDeleteId] = useState<number | null>(null)
+
+  const serverName = (id: string) => servers?.find((server) => server.id === id)?.name || id
+
+  const handleDelete = async (id: number) => {
+    await deleteAutoRule.mutateAsync(id)
+    setConfirmDeleteId(null)
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link to="/seeding" className="text-gray-400 hover:text-white text-sm flex items-center gap-1 mb-2">
+            <ArrowLeft className="w-4 h-4" />
+            Seeding Sessions
+          </Link>
+          <h1 className="text-2xl font-bold text-white">Auto Seeding</h1>
+          <p className="text-gray-400 mt-1">
+            Start a session when a server empties after being populated while another server is full with a queue
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => refetch()}
+            disabled={isFetching}
+            className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+          >
+            <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+          {canManage && (
+            <button
+              onClick={() => setShowCreateModal(true)}
+              className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+            >
+              <Plus className="w-4 h-4" />
+              New Rule
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Rules */}
+      <div className="bg-discord-light rounded-lg overflow-hidden">
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-discord-blurple mx-auto"></div>
+            <p className="text-gray-400 mt-4">Loading rules...</p>
+          </div>
+        ) : !rules?.length ? (
+          <div className="p-8 text-center">
+            <p className="text-gray-400">No auto seeding rules configured</p>
+          </div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-discord-darker">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Rule</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Trigger</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Limits</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Last Triggered</th>
+                {canManage && <th className="px-4 py-3" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-discord-lighter">
+              {rules.map((rule) => (
+                <tr key={rule.id} className={cn(!rule.enabled && 'opacity-50')}>
+                  <td className="px-4 py-3">
+                    <div className="text-sm text-white">{rule.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {rule.enabled ? 'Enabled' : 'Disabled'}
+                      {rule.created_by_name && ` · by ${rule.created_by_name}`}
+                    </div>
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="text-sm text-white">
+                      {serverName(rule.target_server_id)} below {rule.trigger_player_count} players
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      after {rule.min_populated_minutes}m populated · queue ≥ {rule.min_queue_size} on{' '}
+                      {rule.source_server_ids?.length ? rule.source_server_ids.map(serverName).join(', ') : 'any other server'}
+                      {' · '}seed to {rule.player_threshold}
+                    </div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-300">
+                    <div>{rule.triggers_today}/{rule.max_sessions_per_day} today</div>
+                    <div className="text-xs text-gray-500">{rule.cooldown_minutes}m cooldown</div>
+                  </td>
+                  <td className="px-4 py-3">
+                    {rule.last_triggered_at ? (
+                      <div className="text-sm text-gray-300">
+                        {formatDateTime(rule.last_triggered_at)}
+                        {rule.last_session_id && (
+                          <>
+                            {' · '}
+                            <Link to={`/seeding/${rule.last_session_id}`} className="text-discord-blurple hover:underline">
+                              #{rule.last_session_id}
+                            </Link>
+                          </>
+                        )}
+                      </div>
+                    ) : (
+                      <span className="text-sm text-gray-500">Never</span>
+                    )}
+                  </td>
+                  {canManage && (
+                    <td className="px-4 py-3">
+                      <div className="flex items-center justify-end gap-2">
+                        {confirmDeleteId === rule.id ? (
+                          <>
+                            <button
+                              onClick={() => handleDelete(rule.id)}
+                              disabled={deleteAutoRule.isPending}
+                              className="bg-red-500 hover:bg-red-600 text-white px-2 py-1 rounded text-xs font-medium transition-colors"
+                            >
+                              Confirm
+                            </button>
+                            <button
+                              onClick={() => setConfirmDeleteId(null)}
+                              className="text-gray-400 hover:text-white text-xs"
+                            >
+                              Cancel
+                            </button>
+                          </>
+                        ) : (
+                          <>
+                            <button
+                              onClick={() => setEditing(rule)}
+                              className="text-gray-400 hover:text-white"
+                              title="Edit"
+                            >
+                              <Pencil className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={() => setConfirmDeleteId(rule.id)}
+                              className="text-gray-400 hover:text-red-400"
+                              title="Delete"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {showCreateModal && <AutoRuleModal onClose={() => setShowCreateModal(false)} />}
+      {editing && <AutoRuleModal rule={editing} onClose={() => setEditing(null)} />}
+    </div>
+  )
+}
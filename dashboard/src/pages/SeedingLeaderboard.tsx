@@ -0,0 +1,240 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeft, RefreshCw, Gift, RotateCcw } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import {
+  useServers,
+  useSeedingLeaderboard,
+  useRewardRuns,
+  useRunRewards,
+  useReverseRewardRun,
+} from '../hooks/useSeeding'
+import { cn, formatDateTime } from '../lib/utils'
+import type { LeaderboardPeriod } from '../types/seeding'
+
+const PERIOD_OPTIONS: { value: LeaderboardPeriod; label: string }[] = [
+  { value: 'month', label: 'This Month' },
+  { value: 'last-month', label: 'Last Month' },
+  { value: 'week', label: 'Last 7 Days' },
+  { value: 'all-time', label: 'All Time' },
+]
+
+function formatMinutes(totalMinutes: number): string {
+  const hours = Math.floor(totalMinutes / 60)
+  const minutes = totalMinutes % 60
+  if (hours === 0) return `${minutes}m`
+  return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`
+}
+
+function formatMonth(periodStart: string): string {
+  return new Date(`${periodStart}T00:00:00Z`).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+}
+
+export default function SeedingLeaderboard() {
+  const { hasPermission } = useAuth()
+  const canManage = hasPermission('MANAGE_SEEDING')
+
+  const [period, setPeriod] = useState<LeaderboardPeriod>('month')
+  const [serverId, setServerId] = useState('')
+  const [confirmReverseId, setConfirmReverseId] = useState<number | null>(null)
+
+  const { data: servers } = useServers()
+  const { data: leaderboard, isLoading, refetch, isFetching } = useSeedingLeaderboard(period, serverId || undefined)
+  const { data: runs, isLoading: loadingRuns } = useRewardRuns()
+  const runRewards = useRunRewards()
+  const reverseRewardRun = useReverseRewardRun()
+
+  const handleReverse = async (id: number) => {
+    await reverseRewardRun.mutateAsync({ id, reason: 'Manual reversal from dashboard' })
+    setConfirmReverseId(null)
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link to="/seeding" className="text-gray-400 hover:text-white text-sm flex items-center gap-1 mb-2">
+            <ArrowLeft className="w-4 h-4" />
+            Seeding Sessions
+          </Link>
+          <h1 className="text-2xl font-bold text-white">Seeding Leaderboard</h1>
+          <p className="text-gray-400 mt-1">Players ranked by time spent seeding servers</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <select
+            value={serverId}
+            onChange={(e) => setServerId(e.target.value)}
+            className="bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:border-discord-blurple"
+          >
+            <option value="">All Servers</option>
+            {servers?.map((server) => (
+              <option key={server.id} value={server.id}>{server.name}</option>
+            ))}
+          </select>
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value as LeaderboardPeriod)}
+            className="bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:border-discord-blurple"
+          >
+            {PERIOD_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => refetch()}
+            disabled={isFetching}
+            className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+          >
+            <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Leaderboard */}
+      <div className="bg-discord-light rounded-lg overflow-hidden">
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-discord-blurple mx-auto"></div>
+            <p className="text-gray-400 mt-4">Loading leaderboard...</p>
+          </div>
+        ) : !leaderboard?.entries.length ? (
+          <div className="p-8 text-center">
+            <p className="text-gray-400">No seeding time recorded in this period</p>
+          </div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-discord-darker">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Rank</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Player</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Seeding Time</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Play Time</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Days Seeded</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-discord-lighter">
+              {leaderboard.entries.map((entry) => (
+                <tr key={entry.playerId}>
+                  <td className={cn('px-4 py-3 text-sm font-medium', entry.rank <= 3 ? 'text-yellow-400' : 'text-gray-300')}>
+                    #{entry.rank}
+                  </td>
+                  <td className="px-4 py-3">
+                    {entry.steamId ? (
+                      <Link to={`/players/${entry.steamId}`} className="text-sm text-discord-blurple hover:underline">
+                        {entry.username || entry.steamId}
+                      </Link>
+                    ) : (
+                      <span className="text-sm text-white">{entry.username || 'Unknown'}</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-white">{formatMinutes(entry.seedingMinutes)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-300">{formatMinutes(entry.playMinutes)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-300">{entry.daysSeeded}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Monthly rewards */}
+      <div className="bg-discord-light rounded-lg overflow-hidden">
+        <div className="flex items-center justify-between p-4 border-b border-discord-lighter">
+          <div>
+            <h2 className="text-lg font-semibold text-white">Monthly Rewards</h2>
+            <p className="text-sm text-gray-400">Whitelist granted to each month's top seeders</p>
+          </div>
+          {canManage && (
+            <button
+              onClick={() => runRewards.mutate(undefined)}
+              disabled={runRewards.isPending}
+              className="bg-discord-blurple hover:bg-discord-blurple/80 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+            >
+              <Gift className="w-4 h-4" />
+              {runRewards.isPending ? 'Granting...' : 'Reward Last Month'}
+            </button>
+          )}
+        </div>
+
+        {runRewards.error && (
+          <p className="px-4 pt-3 text-sm text-red-400">
+            {(runRewards.error as { response?: { data?: { error?: string } } }).response?.data?.error || 'Failed to grant rewards'}
+          </p>
+        )}
+
+        {loadingRuns ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-discord-blurple mx-auto"></div>
+          </div>
+        ) : !runs?.length ? (
+          <div className="p-8 text-center">
+            <p className="text-gray-400">No monthly rewards granted yet</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-discord-lighter">
+            {runs.map((run) => (
+              <div key={run.id} className={cn('p-4', run.status === 'reversed' && 'opacity-50')}>
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="text-sm text-white font-medium">
+                      {formatMonth(run.period_start)}
+                      <span className={cn(
+                        'ml-2 px-2 py-0.5 rounded text-xs',
+                        run.status === 'reversed' ? 'bg-red-500/20 text-red-400' : 'bg-green-500/20 text-green-400'
+                      )}>
+                        {run.status === 'reversed' ? 'Reversed' : `${run.granted_count} granted`}
+                      </span>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {formatDateTime(run.createdAt)} · by {run.triggered_by === 'system' ? 'monthly job' : run.triggered_by_name || run.triggered_by}
+                      {run.reversal_reason && ` · reversed: ${run.reversal_reason}`}
+                    </div>
+                  </div>
+                  {canManage && run.status === 'granted' && (
+                    confirmReverseId === run.id ? (
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => handleReverse(run.id)}
+                          disabled={reverseRewardRun.isPending}
+                          className="bg-red-500 hover:bg-red-600 text-white px-2 py-1 rounded text-xs font-medium transition-colors"
+                        >
+                          {reverseRewardRun.isPending ? 'Reversing...' : 'Confirm Reverse'}
+                        </button>
+                        <button
+                          onClick={() => setConfirmReverseId(null)}
+                          className="text-gray-400 hover:text-white text-xs"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <button
+                        onClick={() => setConfirmReverseId(run.id)}
+                        className="text-gray-400 hover:text-red-400 flex items-center gap-1 text-xs"
+                        title="Revoke all whitelist granted by this run"
+                      >
+                        <RotateCcw className="w-4 h-4" />
+                        Reverse
+                      </button>
+                    )
+                  )}
+                </div>
+                {run.winners.length > 0 && (
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    {run.winners.map((winner) => (
+                      <span key={winner.playerId} className="bg-discord-darker px-2 py-1 rounded text-xs text-gray-300">
+                        #{winner.rank} {winner.username || winner.steamId} · {formatMinutes(winner.seedingMinutes)} · +{winner.value}{winner.unit.charAt(0)}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
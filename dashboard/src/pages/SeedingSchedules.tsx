@@ -0,0 +1,219 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeft, Plus, Pencil, Trash2, RefreshCw } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { useSchedules, useServers, useDeleteSchedule } from '../hooks/useSeeding'
+import ScheduleModal from '../components/seeding/ScheduleModal'
+import { cn, formatDateTime } from '../lib/utils'
+import type { SeedingSchedule, ScheduleRunStatus } from '../types/seeding'
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const RUN_STATUS_LABELS: Record<ScheduleRunStatus, { label: string; color: string }> = {
+  started: { label: 'Started', color: 'text-green-400' },
+  skipped_active: { label: 'Skipped (session active)', color: 'text-yellow-400' },
+  skipped_threshold: { label: 'Skipped (already seeded)', color: 'text-yellow-400' },
+  failed: { label: 'Failed', color: 'text-red-400' },
+}
+
+function formatDays(days: number[] | null): string {
+  if (!days || days.length === 0 || days.length === 7) return 'Every day'
+  return days.map((day) => DAYS[day]).join(', ')
+}
+
+function formatRewards(schedule: SeedingSchedule): string {
+  const parts: string[] = []
+  if (schedule.switch_reward_value) {
+    parts.push(`Switch ${schedule.switch_reward_value} ${schedule.switch_reward_unit}`)
+  }
+  if (schedule.playtime_reward_value) {
+    parts.push(`Playtime ${schedule.playtime_reward_value} ${schedule.playtime_reward_unit} @ ${schedule.playtime_threshold_minutes}m`)
+  }
+  if (schedule.completion_reward_value) {
+    parts.push(`Completion ${schedule.completion_reward_value} ${schedule.completion_reward_unit}`)
+  }
+  return parts.join(' · ')
+}
+
+export default function SeedingSchedules() {
+  const { hasPermission } = useAuth()
+  const canManage = hasPermission('MANAGE_SEEDING')
+
+  const { data: schedules, isLoading, refetch, isFetching } = useSchedules()
+  const { data: servers } = useServers()
+  const deleteSchedule = useDeleteSchedule()
+
+  const [editing, setEditing] = useState<SeedingSchedule | null>(null)
+  const [showCreateModal, setShowCreateModal] = useState(false)
+  const [confirmDeleteId, setConfirmDeleteId] = useState<number | null>(null)
+
+  const serverName = (id: string) => servers?.find((server) => server.id === id)?.name || id
+
+  const handleDelete = async (id: number) => {
+    await deleteSchedule.mutateAsync(id)
+    setConfirmDeleteId(null)
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link to="/seeding" className="text-gray-400 hover:text-white text-sm flex items-center gap-1 mb-2">
+            <ArrowLeft className="w-4 h-4" />
+            Seeding Sessions
+          </Link>
+          <h1 className="text-2xl font-bold text-white">Seeding Schedules</h1>
+          <p className="text-gray-400 mt-1">
+            Start seeding sessions automatically when the target server is below threshold at the scheduled time
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => refetch()}
+            disabled={isFetching}
+            className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+          >
+            <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+          {canManage && (
+            <button
+              onClick={() => setShowCreateModal(true)}
+              className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+            >
+              <Plus className="w-4 h-4" />
+              New Schedule
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Schedules */}
+      <div className="bg-discord-light rounded-lg overflow-hidden">
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-discord-blurple mx-auto"></div>
+            <p className="text-gray-400 mt-4">Loading schedules...</p>
+          </div>
+        ) : !schedules?.length ? (
+          <div className="p-8 text-center">
+            <p className="text-gray-400">No seeding schedules configured</p>
+          </div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-discord-darker">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Schedule</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">When (UTC)</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Target</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Rewards</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Last Run</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Next Run</th>
+                {canManage && <th className="px-4 py-3" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-discord-lighter">
+              {schedules.map((schedule) => {
+                const runStatus = schedule.last_run_status ? RUN_STATUS_LABELS[schedule.last_run_status] : null
+                return (
+                  <tr key={schedule.id} className={cn(!schedule.enabled && 'opacity-50')}>
+                    <td className="px-4 py-3">
+                      <div className="text-sm text-white">{schedule.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {schedule.enabled ? 'Enabled' : 'Disabled'}
+                        {schedule.created_by_name && ` · by ${schedule.created_by_name}`}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="text-sm text-white font-mono">{schedule.time_of_day}</div>
+                      <div className="text-xs text-gray-500">{formatDays(schedule.days_of_week)}</div>
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="text-sm text-white">{serverName(schedule.target_server_id)}</div>
+                      <div className="text-xs text-gray-500">
+                        until {schedule.player_threshold} players
+                        {schedule.source_server_ids?.length
+                          ? ` · from ${schedule.source_server_ids.map(serverName).join(', ')}`
+                          : ''}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-300">{formatRewards(schedule)}</td>
+                    <td className="px-4 py-3">
+                      {schedule.last_run_at && runStatus ? (
+                        <>
+                          <div className={cn('text-sm', runStatus.color)} title={schedule.last_run_message || undefined}>
+                            {runStatus.label}
+                          </div>
+                          <div className="text-xs text-gray-500">
+                            {formatDateTime(schedule.last_run_at)}
+                            {schedule.last_run_status === 'started' && schedule.last_session_id && (
+                              <>
+                                {' · '}
+                                <Link to={`/seeding/${schedule.last_session_id}`} className="text-discord-blurple hover:underline">
+                                  #{schedule.last_session_id}
+                                </Link>
+                              </>
+                            )}
+                          </div>
+                        </>
+                      ) : (
+                        <span className="text-sm text-gray-500">Never</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-300">
+                      {schedule.next_run_at ? formatDateTime(schedule.next_run_at) : '-'}
+                    </td>
+                    {canManage && (
+                      <td className="px-4 py-3">
+                        <div className="flex items-center justify-end gap-2">
+                          {confirmDeleteId === schedule.id ? (
+                            <>
+                              <button
+                                onClick={() => handleDelete(schedule.id)}
+                                disabled={deleteSchedule.isPending}
+                                className="bg-red-500 hover:bg-red-600 text-white px-2 py-1 rounded text-xs font-medium transition-colors"
+                              >
+                                Confirm
+                              </button>
+                              <button
+                                onClick={() => setConfirmDeleteId(null)}
+                                className="text-gray-400 hover:text-white text-xs"
+                              >
+                                Cancel
+                              </button>
+                            </>
+                          ) : (
+                            <>
+                              <button
+                                onClick={() => setEditing(schedule)}
+                                className="text-gray-400 hover:text-white"
+                                title="Edit"
+                              >
+                                <Pencil className="w-4 h-4" />
+                              </button>
+                              <button
+                                onClick={() => setConfirmDeleteId(schedule.id)}
+                                className="text-gray-400 hover:text-red-400"
+                                title="Delete"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    )}
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {showCreateModal && <ScheduleModal onClose={() => setShowCreateModal(false)} />}
+      {editing && <ScheduleModal schedule={editing} onClose={() => setEditing(null)} />}
+    </div>
+  )
+}
@@ -1,14 +1,19 @@
 import { useState } from 'react'
 import { useSearchParams } from 'react-router-dom'
-import { Plus, Search, RefreshCw, Filter } from 'lucide-react'
+import { Plus, Search, RefreshCw, Filter, Upload, Download } from 'lucide-react'
 import { useWhitelistList } from '../hooks/useWhitelist'
+import { whitelistApi } from '../lib/api'
 import WhitelistTable from '../components/whitelist/WhitelistTable'
 import GrantModal from '../components/whitelist/GrantModal'
-import type { WhitelistFilters } from '../types/whitelist'
+import ImportModal from '../components/whitelist/ImportModal'
+import type { WhitelistFilters, WhitelistImportFormat } from '../types/whitelist'
 
 export default function Whitelist() {
   const [searchParams, setSearchParams] = useSearchParams()
   const [showGrantModal, setShowGrantModal] = useState(false)
+  const [showImportModal, setShowImportModal] = useState(false)
+  const [showExportMenu, setShowExportMenu] = useState(false)
+  const [isExporting, setIsExporting] = useState(false)
   const [searchInput, setSearchInput] = useState(searchParams.get('search') || '')
   const [showFilters, setShowFilters] = useState(false)
 
@@ -49,6 +54,23 @@ export default function Whitelist() {
     setSearchParams({})
   }
 
+  // Export uses the current filters so the file matches what's on screen (minus pagination)
+  const handleExport = async (format: WhitelistImportFormat) => {
+    setShowExportMenu(false)
+    setIsExporting(true)
+    try {
+      const blob = await whitelistApi.export(format, filters)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `whitelist-${new Date().toISOString().slice(0, 10)}.${format}`
+      link.click()
+      URL.revokeObjectURL(url)
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
   const hasActiveFilters = filters.source || filters.status || filters.search || filters.expiringWithin
 
   return (
@@ -82,6 +104,39 @@ export default function Whitelist() {
             <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
             Refresh
           </button>
+          <div className="relative">
+            <button
+              onClick={() => setShowExportMenu(!showExportMenu)}
+              disabled={isExporting}
+              className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+            >
+              <Download className="w-4 h-4" />
+              {isExporting ? 'Exporting...' : 'Export'}
+            </button>
+            {showExportMenu && (
+              <div className="absolute right-0 mt-1 w-40 bg-discord-darker border border-discord-lighter rounded-md shadow-lg z-10">
+                <button
+                  onClick={() => handleExport('csv')}
+                  className="w-full text-left px-3 py-2 text-sm text-gray-300 hover:bg-discord-lighter hover:text-white"
+                >
+                  CSV
+                </button>
+                <button
+                  onClick={() => handleExport('cfg')}
+                  className="w-full text-left px-3 py-2 text-sm text-gray-300 hover:bg-discord-lighter hover:text-white"
+                >
+                  Squad cfg
+                </button>
+              </div>
+            )}
+          </div>
+          <button
+            onClick={() => setShowImportModal(true)}
+            className="bg-discord-lighter hover:bg-discord-light text-white px-3 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
+          >
+            <Upload className="w-4 h-4" />
+            Import
+          </button>
           <button
             onClick={() => setShowGrantModal(true)}
             className="bg-discord-blurple hover:bg-discord-blurple/80 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors flex items-center gap-2"
@@ -140,6 +195,7 @@ export default function Whitelist() {
               <option value="role">Role-based</option>
               <option value="manual">Manual</option>
               <option value="donation">Donation</option>
+              <option value="seeding">Seeding</option>
               <option value="import">Import</option>
             </select>
 
@@ -194,6 +250,11 @@ export default function Whitelist() {
       {showGrantModal && (
         <GrantModal onClose={() => setShowGrantModal(false)} />
       )}
+
+      {/* Import Modal */}
+      {showImportModal && (
+        <ImportModal onClose={() => setShowImportModal(false)} />
+      )}
     </div>
   )
 }
@@ -2,9 +2,11 @@ import { useState } from 'react'
 import { useParams, Link } from 'react-router-dom'
 import { ArrowLeft, Plus, Trash2, Clock, User, Shield, History, Pencil, TrendingUp } from 'lucide-react'
 import { useWhitelistDetail, useGrantWhitelist, useRevokeWhitelist, useRevokeWhitelistEntry, useEditWhitelistEntry, useUpgradeConfidence } from '../hooks/useWhitelist'
-import { cn, formatDateTime, formatRelativeTime, getStatusColor, getSourceColor } from '../lib/utils'
+import { cn, formatDateTime, formatRelativeTime, getStatusColor, getSourceColor, isPendingApproval } from '../lib/utils'
 import CopyButton from '../components/ui/CopyButton'
 import type { RevokeWhitelistRequest, EditWhitelistRequest, WhitelistEntry } from '../types/whitelist'
+import PendingApprovalNotice from '../components/approvals/PendingApprovalNotice'
+import type { PendingApprovalResponse } from '../types/approvals'
 
 export default function WhitelistDetail() {
   const { steamid64 } = useParams<{ steamid64: string }>()
@@ -236,6 +238,11 @@ export default function WhitelistDetail() {
                       Duration: Permanent
                     </p>
                   )}
+                  {entry.server_ids && entry.server_ids.length > 0 && (
+                    <p className="text-xs text-gray-500">
+                      Servers: {entry.server_ids.join(', ')}
+                    </p>
+                  )}
                 </div>
                 <div className="flex items-start gap-2">
                   {entry.revoked ? (
@@ -363,24 +370,33 @@ function AddWhitelistModal({
   const [duration, setDuration] = useState<{ value: number; type: 'days' | 'months' | 'hours' }>({ value: 1, type: 'months' })
   const [reason, setReason] = useState('')
   const [isPermanent, setIsPermanent] = useState(false)
+  const [pendingApproval, setPendingApproval] = useState<PendingApprovalResponse | null>(null)
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
     if (!reason.trim()) return
 
     try {
-      await grantMutation.mutateAsync({
+      const result = await grantMutation.mutateAsync({
         steamid64,
         reason,
         duration_value: isPermanent ? null : duration.value,
         duration_type: isPermanent ? null : duration.type,
       })
+      if (isPendingApproval(result)) {
+        setPendingApproval(result)
+        return
+      }
       onSuccess()
     } catch {
       // Error handled by mutation state
     }
   }
 
+  if (pendingApproval) {
+    return <PendingApprovalNotice response={pendingApproval} onClose={onClose} />
+  }
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
       <div className="bg-discord-light rounded-lg w-full max-w-md mx-4 p-4">
@@ -623,6 +639,7 @@ function RevokeModal({
 }) {
   const revokeMutation = useRevokeWhitelist()
   const [reason, setReason] = useState('')
+  const [pendingApproval, setPendingApproval] = useState<PendingApprovalResponse | null>(null)
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
@@ -630,13 +647,21 @@ function RevokeModal({
 
     const request: RevokeWhitelistRequest = { reason }
     try {
-      await revokeMutation.mutateAsync({ steamid64, request })
+      const result = await revokeMutation.mutateAsync({ steamid64, request })
+      if (isPendingApproval(result)) {
+        setPendingApproval(result)
+        return
+      }
       onSuccess()
     } catch {
       // Error handled by mutation state
     }
   }
 
+  if (pendingApproval) {
+    return <PendingApprovalNotice response={pendingApproval} onClose={onClose} />
+  }
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
       <div className="bg-discord-light rounded-lg w-full max-w-md mx-4 p-4">
@@ -0,0 +1,326 @@
+import { useState, useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import { History, GitCompare, Search, X } from 'lucide-react'
+import {
+  useWhitelistServers,
+  useWhitelistHistory,
+  useWhitelistVersion,
+  useWhitelistCompare,
+} from '../hooks/useWhitelist'
+import { whitelistApi } from '../lib/api'
+import { cn, formatDateTime } from '../lib/utils'
+import type { WhitelistChangeCause, WhitelistVersionDiff, WhitelistVersionEntry } from '../types/whitelist'
+
+const CAUSE_LABELS: Record<WhitelistChangeCause, string> = {
+  baseline: 'First recorded version',
+  role_sync: 'Role sync',
+  squad_groups: 'Squad group change',
+  account_link: 'Account link',
+  member_left: 'Member left Discord',
+  grant: 'Whitelist grant',
+  revoke: 'Whitelist revoke',
+  expiry: 'Whitelist expiry',
+  other: 'Unattributed refresh',
+}
+
+function EntryLabel({ entry }: { entry: { id: string; name: string | null } }) {
+  return (
+    <>
+      <Link to={`/players/${entry.id}`} className="font-mono text-discord-blurple hover:underline">{entry.id}</Link>
+      {entry.name && <span className="text-gray-400"> {entry.name}</span>}
+    </>
+  )
+}
+
+function DiffView({ diff }: { diff: WhitelistVersionDiff }) {
+  const groupsLine = (entry: WhitelistVersionEntry) => entry.groups.join(', ') || 'no group'
+  const total = diff.added.length + diff.removed.length + diff.changed.length +
+    diff.groupsAdded.length + diff.groupsRemoved.length + diff.groupsChanged.length
+
+  if (total === 0) {
+    return <p className="text-sm text-gray-400">No access changes between these versions.</p>
+  }
+
+  return (
+    <div className="space-y-1 text-sm">
+      {diff.added.map(entry => (
+        <div key={`a-${entry.id}`} className="text-green-400">
+          + <EntryLabel entry={entry} /> → {groupsLine(entry)}
+          {entry.cause && <span className="text-gray-500 text-xs"> ({CAUSE_LABELS[entry.cause]})</span>}
+        </div>
+      ))}
+      {diff.removed.map(entry => (
+        <div key={`r-${entry.id}`} className="text-red-400">
+          - <EntryLabel entry={entry} /> ({groupsLine(entry)})
+          {entry.cause && <span className="text-gray-500 text-xs"> ({CAUSE_LABELS[entry.cause]})</span>}
+        </div>
+      ))}
+      {diff.changed.map(entry => (
+        <div key={`c-${entry.id}`} className="text-yellow-400">
+          ~ <EntryLabel entry={entry} />: {entry.before.join(', ') || 'none'} → {entry.after.join(', ') || 'none'}
+        </div>
+      ))}
+      {diff.groupsAdded.map(name => (
+        <div key={`ga-${name}`} className="text-green-400">+ Group {name}</div>
+      ))}
+      {diff.groupsRemoved.map(name => (
+        <div key={`gr-${name}`} className="text-red-400">- Group {name}</div>
+      ))}
+      {diff.groupsChanged.map(group => (
+        <div key={`gc-${group.name}`} className="text-yellow-400">
+          ~ Group {group.name}: <span className="font-mono text-xs">{group.before}</span> → <span className="font-mono text-xs">{group.after}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default function WhitelistHistory() {
+  const [serverKey, setServerKey] = useState('')
+  const [page, setPage] = useState(1)
+  const [selectedId, setSelectedId] = useState<number | null>(null)
+  const [compareIds, setCompareIds] = useState<number[]>([])
+  const [entrySearch, setEntrySearch] = useState('')
+  const [atTime, setAtTime] = useState('')
+  const [atError, setAtError] = useState<string | null>(null)
+
+  const { data: servers } = useWhitelistServers()
+  const { data: history, isLoading } = useWhitelistHistory(serverKey || undefined, page)
+  const { data: selected } = useWhitelistVersion(selectedId)
+  const [compareFrom, compareTo] = [...compareIds].sort((a, b) => a - b)
+  const { data: comparison, isLoading: comparing } = useWhitelistCompare(compareFrom ?? null, compareTo ?? null)
+
+  const filteredEntries = useMemo(() => {
+    if (!selected) return []
+    const search = entrySearch.trim().toLowerCase()
+    return Object.entries(selected.entries)
+      .filter(([id, entry]) => !search || id.includes(search) || entry.name?.toLowerCase().includes(search) ||
+        entry.groups.some(group => group.toLowerCase().includes(search)))
+      .sort(([, a], [, b]) => a.groups.join(',').localeCompare(b.groups.join(',')))
+  }, [selected, entrySearch])
+
+  const handleScopeChange = (value: string) => {
+    setServerKey(value)
+    setPage(1)
+    setSelectedId(null)
+    setCompareIds([])
+  }
+
+  const toggleCompare = (id: number) => {
+    setSelectedId(null)
+    setCompareIds(current => {
+      if (current.includes(id)) return current.filter(existing => existing !== id)
+      return [...current, id].slice(-2)
+    })
+  }
+
+  const handleFindAt = async () => {
+    if (!atTime) return
+    setAtError(null)
+    try {
+      const { version } = await whitelistApi.getVersionAt(new Date(atTime).toISOString(), serverKey || undefined)
+      setCompareIds([])
+      setSelectedId(version.id)
+    } catch (error) {
+      setAtError((error as { response?: { data?: { error?: string } } }).response?.data?.error || 'Lookup failed')
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-white flex items-center gap-3">
+            <History className="w-7 h-7 text-discord-blurple" />
+            Whitelist History
+          </h1>
+          <p className="text-gray-400 mt-1">Every version of the generated whitelist and what changed it</p>
+        </div>
+        <select
+          value={serverKey}
+          onChange={(e) => handleScopeChange(e.target.value)}
+          className="bg-discord-darker border border-discord-lighter rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:border-discord-blurple"
+        >
+          <option value="">Global (/combined)</option>
+          {servers?.map(server => (
+            <option key={server.id} value={server.id}>{server.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Point in time lookup */}
+      <div className="bg-discord-light rounded-lg p-4 flex items-center gap-3">
+        <span className="text-sm text-gray-300">Who had access at</span>
+        <input
+          type="datetime-local"
+          value={atTime}
+          onChange={(e) => setAtTime(e.target.value)}
+          className="bg-discord-darker border border-discord-lighter rounded-md px-3 py-1.5 text-sm text-white focus:outline-none focus:border-discord-blurple"
+        />
+        <button
+          onClick={handleFindAt}
+          disabled={!atTime}
+          className="bg-discord-blurple hover:bg-discord-blurple/80 disabled:opacity-50 text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors"
+        >
+          Show Version
+        </button>
+        {atError && <span className="text-sm text-red-400">{atError}</span>}
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+        {/* Versions */}
+        <div className="bg-discord-light rounded-lg overflow-hidden">
+          <div className="p-4 border-b border-discord-lighter flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-white">Versions</h2>
+            <span className="text-xs text-gray-500">Pick two with <GitCompare className="w-3 h-3 inline" /> to compare</span>
+          </div>
+          {isLoading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-discord-blurple mx-auto"></div>
+            </div>
+          ) : !history?.versions.length ? (
+            <div className="p-8 text-center">
+              <p className="text-gray-400">No versions recorded yet</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-discord-lighter">
+              {history.versions.map(version => (
+                <div
+                  key={version.id}
+                  onClick={() => { setCompareIds([]); setSelectedId(version.id) }}
+                  className={cn(
+                    'p-4 cursor-pointer hover:bg-discord-lighter/30',
+                    selectedId === version.id && 'bg-discord-lighter/50',
+                    compareIds.includes(version.id) && 'bg-discord-blurple/10'
+                  )}
+                >
+                  <div className="flex items-center justify-between">
+                    <div className="text-sm text-white font-medium">
+                      v{version.version}
+                      <span className="text-gray-500 font-normal ml-2">{formatDateTime(version.createdAt)}</span>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      {version.diff && (
+                        <span className="text-xs">
+                          <span className="text-green-400">+{version.diff.added.length}</span>{' '}
+                          <span className="text-red-400">-{version.diff.removed.length}</span>{' '}
+                          <span className="text-yellow-400">~{version.diff.changed.length + version.diff.groupsChanged.length}</span>
+                        </span>
+                      )}
+                      <button
+                        onClick={(e) => { e.stopPropagation(); toggleCompare(version.id) }}
+                        className={cn('hover:text-white', compareIds.includes(version.id) ? 'text-discord-blurple' : 'text-gray-500')}
+                        title="Compare"
+                      >
+                        <GitCompare className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                  <div className="mt-1 flex flex-wrap gap-1">
+                    <span className="text-xs text-gray-500 mr-1">{version.entry_count} IDs</span>
+                    {version.causes.map(cause => (
+                      <span key={cause.type} className="bg-discord-darker px-2 py-0.5 rounded text-xs text-gray-300">
+                        {CAUSE_LABELS[cause.type] || cause.type}{cause.count > 1 && ` ×${cause.count}`}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          {history && history.pagination.totalPages > 1 && (
+            <div className="p-4 border-t border-discord-lighter flex items-center justify-between text-sm">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="text-gray-400 hover:text-white disabled:opacity-50"
+              >
+                Newer
+              </button>
+              <span className="text-gray-500">Page {page} of {history.pagination.totalPages}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= history.pagination.totalPages}
+                className="text-gray-400 hover:text-white disabled:opacity-50"
+              >
+                Older
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Detail */}
+        <div className="bg-discord-light rounded-lg p-4 space-y-4">
+          {compareIds.length === 2 ? (
+            comparing || !comparison ? (
+              <div className="p-8 text-center">
+                <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-discord-blurple mx-auto"></div>
+              </div>
+            ) : (
+              <>
+                <div className="flex items-center justify-between">
+                  <h2 className="text-lg font-semibold text-white">
+                    v{comparison.from.version} → v{comparison.to.version}
+                  </h2>
+                  <button onClick={() => setCompareIds([])} className="text-gray-400 hover:text-white">
+                    <X className="w-5 h-5" />
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500">
+                  {formatDateTime(comparison.from.createdAt)} → {formatDateTime(comparison.to.createdAt)}
+                </p>
+                <DiffView diff={comparison.diff} />
+              </>
+            )
+          ) : selected ? (
+            <>
+              <div>
+                <h2 className="text-lg font-semibold text-white">Version {selected.version}</h2>
+                <p className="text-xs text-gray-500">
+                  Live from {formatDateTime(selected.createdAt)} · {selected.entry_count} IDs · {Object.keys(selected.groups).length} groups
+                </p>
+              </div>
+
+              {selected.diff && (
+                <div>
+                  <h3 className="text-sm font-medium text-gray-300 mb-2">Changes from previous version</h3>
+                  <DiffView diff={selected.diff} />
+                </div>
+              )}
+
+              <div>
+                <h3 className="text-sm font-medium text-gray-300 mb-2">Entries</h3>
+                <div className="relative mb-2">
+                  <Search className="w-4 h-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+                  <input
+                    type="text"
+                    value={entrySearch}
+                    onChange={(e) => setEntrySearch(e.target.value)}
+                    placeholder="Search ID, name or group"
+                    className="w-full bg-discord-darker border border-discord-lighter rounded-md pl-9 pr-3 py-2 text-sm text-white focus:outline-none focus:border-discord-blurple"
+                  />
+                </div>
+                <div className="max-h-96 overflow-y-auto space-y-1">
+                  {filteredEntries.map(([id, entry]) => (
+                    <div key={id} className="flex items-center justify-between text-sm bg-discord-darker rounded px-3 py-1.5">
+                      <span><EntryLabel entry={{ id, name: entry.name }} /></span>
+                      <span className="text-xs text-gray-400">{entry.groups.join(', ') || 'no group'}</span>
+                    </div>
+                  ))}
+                  {filteredEntries.length === 0 && (
+                    <p className="text-sm text-gray-500">No matching entries</p>
+                  )}
+                </div>
+              </div>
+            </>
+          ) : (
+            <div className="p-8 text-center">
+              <p className="text-gray-400">Select a version to see who had access, or pick two to compare</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
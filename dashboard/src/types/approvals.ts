@@ -0,0 +1,55 @@
+export type ChangeRequestStatus = 'pending' | 'executed' | 'rejected' | 'expired' | 'failed'
+
+export type ChangeRequestType =
+  | 'whitelist_grant_permanent'
+  | 'whitelist_import_permanent'
+  | 'whitelist_transfer_permanent'
+  | 'whitelist_revoke_all'
+  | 'permission_update'
+  | 'permission_reset'
+
+export interface ChangeRequest {
+  id: number
+  action_type: ChangeRequestType
+  status: ChangeRequestStatus
+  payload: Record<string, unknown>
+  description: string
+  target_id: string | null
+  required_permission: string
+  requested_by_id: string
+  requested_by_name: string | null
+  reviewed_by_id: string | null
+  reviewed_by_name: string | null
+  reviewed_at: string | null
+  review_note: string | null
+  result: Record<string, unknown> | null
+  error: string | null
+  expires_at: string
+  createdAt: string
+  updatedAt: string
+  canApprove?: boolean
+}
+
+export interface ChangeRequestListResponse {
+  requests: ChangeRequest[]
+  pagination: {
+    page: number
+    limit: number
+    total: number
+    totalPages: number
+  }
+}
+
+export interface ChangeRequestFilters {
+  page?: number
+  limit?: number
+  status?: ChangeRequestStatus
+}
+
+// Returned instead of the normal result when an action needs a second approver
+export interface PendingApprovalResponse {
+  success: boolean
+  pendingApproval: true
+  changeRequest: ChangeRequest
+  message?: string
+}
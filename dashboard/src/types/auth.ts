@@ -41,3 +41,11 @@ export type Permission =
   | 'MANAGE_INFO_BUTTONS'
   | 'RESET_PLAYER_STATS'
   | 'MANAGE_CONNECTIONS'
+  | 'WARN_PLAYERS'
+  | 'KICK_PLAYERS'
+  | 'BAN_PLAYERS'
+  | 'VIEW_BANS'
+  | 'MANAGE_BANS'
+  | 'VIEW_DONATIONS'
+  | 'MANAGE_DONATIONS'
+  | 'MANAGE_INACTIVE_STAFF'
@@ -0,0 +1,100 @@
+export type BanAppealStatus = 'none' | 'pending' | 'approved' | 'denied'
+
+export type BanStatusFilter = 'active' | 'expired' | 'revoked' | 'all'
+
+export interface Ban {
+  id: number
+  steamid64: string
+  eosID: string | null
+  username: string | null
+  discord_user_id: string | null
+  reason: string
+  evidence: string[] | null
+  expires_at: string | null
+  banned_by: string | null
+  banned_by_name: string | null
+  source: 'discord' | 'dashboard'
+  revoked: boolean
+  revoked_by: string | null
+  revoked_reason: string | null
+  revoked_at: string | null
+  appeal_status: BanAppealStatus
+  active: boolean
+  createdAt: string
+  updatedAt: string
+}
+
+export interface BanListResponse {
+  bans: Ban[]
+  pagination: {
+    page: number
+    limit: number
+    total: number
+    totalPages: number
+  }
+}
+
+export interface BanFilters {
+  page?: number
+  limit?: number
+  status?: BanStatusFilter
+  appealStatus?: BanAppealStatus
+  search?: string
+}
+
+export interface CreateBanRequest {
+  steamid64: string
+  reason: string
+  duration: string
+  evidence?: string[]
+  username?: string
+}
+
+export interface UpdateBanRequest {
+  evidence?: string[]
+  appealStatus?: BanAppealStatus
+}
+
+export interface BanMutationResponse {
+  success: boolean
+  ban: Ban
+  kicked?: boolean
+}
+
+export type BanAppealOutcome = 'open' | 'accepted' | 'denied'
+
+export interface BanAppeal {
+  id: number
+  steamid64: string
+  discord_user_id: string
+  discord_username: string | null
+  ban_source: 'local' | 'battlemetrics'
+  ban_id: number | null
+  battlemetrics_ban_id: string | null
+  ban_reason: string | null
+  appeal_text: string
+  status: BanAppealOutcome
+  votes: Record<string, 'accept' | 'deny'> | null
+  voteCounts: { accept: number; deny: number }
+  decided_at: string | null
+  createdAt: string
+  updatedAt: string
+}
+
+export interface BanAppealListResponse {
+  appeals: BanAppeal[]
+  pagination: {
+    page: number
+    limit: number
+    total: number
+    totalPages: number
+  }
+}
+
+export interface BanAppealFilters {
+  page?: number
+  limit?: number
+  status?: BanAppealOutcome
+  banSource?: 'local' | 'battlemetrics'
+  search?: string
+}
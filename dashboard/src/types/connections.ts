@@ -8,6 +8,13 @@ export interface SquadJSServer {
   token: string | null
   enabled: boolean
   seedThreshold: number
+  ingameCommands: Record<string, boolean> | null
+  pullTokenHint: string | null
+  pullIpAllowlist: string[] | null
+  pullTokenConfigured: boolean
+  lastPullAt: string | null
+  lastPullIp: string | null
+  pullStale: boolean
   displayOrder: number
   createdBy: string | null
   createdByName: string | null
@@ -95,4 +102,36 @@ export interface UpdateServerRequest {
   token?: string
   enabled?: boolean
   seedThreshold?: number
+  ingameCommands?: Record<string, boolean> | null
+  pullIpAllowlist?: string[] | null
+}
+
+export interface PullTokenResponse {
+  token: string
+  path: string
+  server: SquadJSServer
+}
+
+export interface WhitelistPull {
+  id: number
+  server_key: string | null
+  path: string
+  status_code: number
+  ip_address: string | null
+  user_agent: string | null
+  etag: string | null
+  createdAt: string
+}
+
+export type InGameChatChannel = 'all' | 'team' | 'squad' | 'admin'
+
+export interface InGameCommand {
+  name: string
+  aliases: string[]
+  description: string
+  usage: string
+  cooldownSeconds: number
+  channels: InGameChatChannel[]
+  permission: string | null
+  defaultEnabled: boolean
 }
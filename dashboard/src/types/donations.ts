@@ -0,0 +1,92 @@
+export type DonationPlatform = 'kofi' | 'patreon' | 'tebex' | 'stripe' | 'generic'
+
+export type DonationStatus = 'processing' | 'granted' | 'awaiting_claim' | 'partial' | 'failed' | 'refunded' | 'chargeback'
+
+export interface Donation {
+  id: number
+  platform: DonationPlatform
+  transaction_id: string | null
+  payment_reference: string | null
+  subscription_id: string | null
+  is_recurring: boolean
+  donor_name: string | null
+  donor_email: string | null
+  message: string | null
+  amount: number
+  currency: string | null
+  steam_ids: string[]
+  whitelist_ids: number[]
+  tier_description: string | null
+  status: DonationStatus
+  error: string | null
+  reversed_at: string | null
+  reversed_by: string | null
+  slots_total: number | null
+  duration_value: number | null
+  duration_type: string | null
+  unclaimed_slots: number
+  createdAt: string
+  updatedAt: string
+}
+
+export interface DonationListResponse {
+  donations: Donation[]
+  pagination: {
+    page: number
+    limit: number
+    total: number
+    totalPages: number
+  }
+}
+
+export interface DonationFilters {
+  page?: number
+  limit?: number
+  platform?: DonationPlatform
+  status?: DonationStatus
+  search?: string
+  unclaimed?: boolean
+}
+
+export interface DonationRevenueMonth {
+  month: string
+  currency: string | null
+  gross: number
+  reversed: number
+  net: number
+  count: number
+}
+
+export interface DonationRevenueResponse {
+  months: number
+  revenue: DonationRevenueMonth[]
+}
+
+export interface ReverseDonationRequest {
+  status: 'refunded' | 'chargeback'
+  reason?: string
+}
+
+export interface ReverseDonationResponse {
+  success: boolean
+  donation: Donation
+  revokedCount: number
+}
+
+export interface ClaimDonationSlotRequest {
+  code: string
+  steamid64: string
+}
+
+export interface DonationSlotResponse {
+  success: boolean
+  donation: Donation
+  whitelistId: number
+  remaining: number
+}
+
+export interface DonationClaimCodeResponse {
+  success: boolean
+  donation: Donation
+  claimCode: string
+}
@@ -90,6 +90,7 @@ export interface DutySessionEntry {
   isActive: boolean;
   endReason: SessionEndReason | null;
   totalPoints: number;
+  pointRuleVersion: number | null;
   voiceMinutes: number;
   ticketResponses: number;
 }
@@ -125,7 +126,7 @@ export const DUTY_TYPE_LABELS: Record<DutyType, string> = {
 };
 
 // Staff Overview Types (lifetime stats with on/off duty breakdown)
-export type StaffOverviewSortBy = 'points' | 'time' | 'tickets' | 'voice' | 'server' | 'admin_cam' | 'chat';
+export type StaffOverviewSortBy = 'points' | 'time' | 'tickets' | 'voice' | 'server' | 'admin_cam' | 'chat' | 'moderation';
 export type StaffOverviewSortOrder = 'asc' | 'desc';
 export type StaffOverviewPeriod = 'week' | 'month';
 
@@ -160,6 +161,12 @@ export interface StaffOverviewEntry {
   totalAdminCamEvents: number;
   totalIngameChatMessages: number;
 
+  // In-game moderation (warns, kicks, bans)
+  totalPlayerWarns: number;
+  totalPlayerKicks: number;
+  totalPlayerBans: number;
+  totalModerationActions: number;
+
   // Points
   totalPoints: number;
   onDutyPoints: number;
@@ -176,3 +183,219 @@ export interface StaffOverviewResponse {
     currentlyOnDuty: number;
   };
 }
+
+// Coverage Heatmap Types
+export interface CoverageHeatmapCell {
+  weekday: number; // 0 = Sunday (UTC)
+  hour: number; // 0-23 (UTC)
+  samples: number;
+  avgAdmins: number;
+  avgPlayers: number;
+  understaffed: boolean;
+}
+
+export interface CoverageServerBreakdown {
+  serverId: string;
+  serverName: string;
+  adminCount: number;
+  playerCount: number;
+}
+
+export interface CoverageLatestSnapshot {
+  snapshotTime: string;
+  adminsOnDuty: number;
+  tutorsOnDuty: number;
+  adminsInVoice: number;
+  adminsInGame: number;
+  serverCoverage: CoverageServerBreakdown[];
+  coverageScore: number | null;
+}
+
+export interface DutyCoverageResponse {
+  success: boolean;
+  data: {
+    period: DutyPeriod;
+    lowThreshold: number;
+    snapshotIntervalMinutes: number;
+    cells: CoverageHeatmapCell[];
+    summary: {
+      totalSnapshots: number;
+      slotsWithData: number;
+      understaffedSlots: number;
+      averageAdmins: number;
+    };
+    latest: CoverageLatestSnapshot | null;
+  };
+}
+
+// Weekly Points Target Types
+export type WeeklyTargetStatus = 'exceeded' | 'met' | 'missed';
+
+export interface WeeklyTargetEntry {
+  discordUserId: string;
+  displayName: string;
+  points: number;
+  percent: number;
+  status: WeeklyTargetStatus;
+  totalMinutes: number;
+  totalSessions: number;
+}
+
+export interface WeeklyTargetResponse {
+  success: boolean;
+  data: {
+    weekStart: string;
+    weekEnd: string;
+    pointsTarget: number;
+    exceededPercent: number;
+    entries: WeeklyTargetEntry[];
+  };
+}
+
+// Inactive Staff Types
+export type StaffTier = 'admin' | 'moderator' | 'staff';
+
+export interface InactiveStaffEntry {
+  discordUserId: string;
+  username: string;
+  displayName: string;
+  tier: StaffTier;
+  tierLabel: string;
+  thresholdDays: number;
+  lastActivityAt: string | null;
+  daysInactive: number;
+}
+
+export interface ArchivedStaffEntry {
+  archiveId: number;
+  discordUserId: string;
+  username: string | null;
+  displayName: string | null;
+  roles: string[];
+  markedInactiveAt: string;
+  markedInactiveBy: string | null;
+  expiresAt: string;
+}
+
+export interface InactiveStaffResponse {
+  success: boolean;
+  data: {
+    tierDays: Record<StaffTier, number>;
+    archiveDays: number;
+    inactive: InactiveStaffEntry[];
+    archived: ArchivedStaffEntry[];
+  };
+}
+
+export interface StaffStatusChangeResponse {
+  success: boolean;
+  dmSent: boolean;
+}
+
+// Point Rule Types
+export type PointActivityKey =
+  | 'voice_per_minute'
+  | 'ticket_response'
+  | 'admin_cam'
+  | 'ingame_chat'
+  | 'admin_request'
+  | 'player_warn'
+  | 'player_kick'
+  | 'player_ban';
+
+export interface PointActivityRule {
+  points: number;
+  maxPoints?: number | null;
+}
+
+export interface DiminishingReturnsTier {
+  afterHours: number;
+  multiplier: number;
+}
+
+export interface TimeMultiplierWindow {
+  startHour: number;
+  endHour: number;
+  multiplier: number;
+}
+
+export interface PointRuleLevel {
+  basePerMinute?: number;
+  onDutyMultiplier?: number;
+  activities?: Partial<Record<PointActivityKey, PointActivityRule>>;
+  diminishingReturns?: DiminishingReturnsTier[];
+  timeMultipliers?: TimeMultiplierWindow[];
+}
+
+export interface PointRules extends PointRuleLevel {
+  basePerMinute: number;
+  dutyTypes?: Partial<Record<'admin' | 'tutor', PointRuleLevel>>;
+}
+
+export type PointRuleSetStatus = 'draft' | 'active' | 'archived';
+
+export interface PointRuleSet {
+  id: number;
+  version: number;
+  name: string;
+  description: string | null;
+  status: PointRuleSetStatus;
+  rules: PointRules;
+  createdBy: string | null;
+  createdByName: string | null;
+  activatedBy: string | null;
+  activatedByName: string | null;
+  activatedAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PointRuleSetsResponse {
+  success: boolean;
+  data: {
+    activeVersion: number | null;
+    settingsRules: PointRules;
+    ruleSets: PointRuleSet[];
+  };
+}
+
+export interface PointRuleSetResponse {
+  success: boolean;
+  data: PointRuleSet;
+  previousVersion?: number | null;
+}
+
+export interface PointRuleSetInput {
+  name: string;
+  description?: string;
+  rules: PointRules;
+}
+
+export interface PointRulePreviewEntry {
+  discordUserId: string;
+  discordUsername: string;
+  sessions: number;
+  currentPoints: number;
+  previewPoints: number;
+  currentRank: number;
+  previewRank: number;
+  delta: number;
+  rankChange: number;
+}
+
+export interface PointRulePreviewResponse {
+  success: boolean;
+  data: {
+    version: number;
+    period: DutyPeriod;
+    dutyType: DutyType;
+    sessionCount: number;
+    scoredBy: Record<string, number>;
+    totals: {
+      current: number;
+      preview: number;
+      delta: number;
+    };
+    entries: PointRulePreviewEntry[];
+  };
+}
@@ -106,13 +106,34 @@ export const CONFIG_KEYS = {
   POINTS_TICKET_RESPONSE: 'points_ticket_response',
   POINTS_ADMIN_CAM: 'points_admin_cam',
   POINTS_INGAME_CHAT: 'points_ingame_chat',
+  POINTS_ADMIN_REQUEST: 'points_admin_request',
+  POINTS_PLAYER_WARN: 'points_player_warn',
+  POINTS_PLAYER_KICK: 'points_player_kick',
+  POINTS_PLAYER_BAN: 'points_player_ban',
   POINTS_SERVER_PER_MINUTE: 'points_server_per_minute',
   ON_DUTY_MULTIPLIER: 'on_duty_multiplier',
+  WEEKLY_POINTS_TARGET: 'weekly_points_target',
+  WEEKLY_TARGET_REPORTS_ENABLED: 'weekly_target_reports_enabled',
+  WEEKLY_TARGET_EXCEEDED_PERCENT: 'weekly_target_exceeded_percent',
 
   // Coverage
   COVERAGE_LOW_THRESHOLD: 'coverage_low_threshold',
   COVERAGE_SNAPSHOT_INTERVAL_MINUTES: 'coverage_snapshot_interval_minutes',
 
+  // In-game duty detection
+  AUTO_DUTY_ENABLED: 'auto_duty_enabled',
+  AUTO_DUTY_AUTO_START: 'auto_duty_auto_start',
+  AUTO_DUTY_GRACE_MINUTES: 'auto_duty_grace_minutes',
+  AUTO_DUTY_PROMPT_COOLDOWN_MINUTES: 'auto_duty_prompt_cooldown_minutes',
+
+  // Inactive staff
+  INACTIVITY_REPORTS_ENABLED: 'inactivity_reports_enabled',
+  INACTIVITY_REPORT_INTERVAL_DAYS: 'inactivity_report_interval_days',
+  INACTIVITY_DAYS_ADMIN: 'inactivity_days_admin',
+  INACTIVITY_DAYS_MODERATOR: 'inactivity_days_moderator',
+  INACTIVITY_DAYS_STAFF: 'inactivity_days_staff',
+  INACTIVITY_ARCHIVE_DAYS: 'inactivity_archive_days',
+
   // Channels
   TRACKED_VOICE_CHANNELS: 'tracked_voice_channels',
   EXCLUDED_VOICE_CHANNELS: 'excluded_voice_channels',
@@ -17,7 +17,7 @@ export interface PlayerListItem {
   lastSeen: string | null
   joinCount: number
   isStaff: boolean
-  source: 'role' | 'manual' | 'import' | 'donation' | null
+  source: 'role' | 'manual' | 'import' | 'donation' | 'seeding' | null
   entryCount: number
 }
 
@@ -360,6 +360,27 @@ export interface LinkAccountResponse {
   error?: string
 }
 
+// RCON moderation actions
+export type PlayerModerationAction = 'warn' | 'kick' | 'ban'
+
+export interface PlayerActionStatusResponse {
+  online: boolean
+  serverId: string | null
+  serverName: string | null
+}
+
+export interface PlayerActionRequest {
+  reason: string
+  duration?: string
+}
+
+export interface PlayerActionResponse {
+  success: boolean
+  serverId: string
+  serverName: string
+  message: string
+}
+
 // Filter types for player search
 export interface PlayerFilters {
   page?: number
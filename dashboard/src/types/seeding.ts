@@ -103,6 +103,140 @@ export interface CreateSessionRequest {
   customBroadcastMessage?: string // Custom message template with {server} and {reward} placeholders
 }
 
+export type ScheduleRunStatus = 'started' | 'skipped_active' | 'skipped_threshold' | 'failed'
+
+export interface SeedingSchedule {
+  id: number
+  name: string
+  enabled: boolean
+  target_server_id: string
+  source_server_ids: string[] | null
+  player_threshold: number
+  time_of_day: string // HH:MM in UTC
+  days_of_week: number[] | null // 0 = Sunday, null = every day
+  switch_reward_value: number | null
+  switch_reward_unit: RewardUnit | null
+  playtime_reward_value: number | null
+  playtime_reward_unit: RewardUnit | null
+  playtime_threshold_minutes: number | null
+  completion_reward_value: number | null
+  completion_reward_unit: RewardUnit | null
+  custom_broadcast_message: string | null
+  created_by: string | null
+  created_by_name: string | null
+  last_run_at: string | null
+  last_run_status: ScheduleRunStatus | null
+  last_run_message: string | null
+  last_session_id: number | null
+  next_run_at: string | null
+  createdAt: string
+  updatedAt: string
+}
+
+export interface SeedingScheduleRequest {
+  name: string
+  enabled: boolean
+  targetServerId: string
+  sourceServerIds?: string[] // Empty = all other servers
+  playerThreshold: number
+  timeOfDay: string
+  daysOfWeek?: number[] // Empty = every day
+  rewards: RewardsConfig
+  customBroadcastMessage?: string
+}
+
+export interface SeedingAutoRule {
+  id: number
+  name: string
+  enabled: boolean
+  target_server_id: string
+  source_server_ids: string[] | null
+  trigger_player_count: number
+  min_populated_minutes: number
+  min_queue_size: number
+  player_threshold: number
+  switch_reward_value: number | null
+  switch_reward_unit: RewardUnit | null
+  playtime_reward_value: number | null
+  playtime_reward_unit: RewardUnit | null
+  playtime_threshold_minutes: number | null
+  completion_reward_value: number | null
+  completion_reward_unit: RewardUnit | null
+  custom_broadcast_message: string | null
+  cooldown_minutes: number
+  max_sessions_per_day: number
+  created_by: string | null
+  created_by_name: string | null
+  last_triggered_at: string | null
+  last_session_id: number | null
+  triggers_today: number
+  createdAt: string
+  updatedAt: string
+}
+
+export interface SeedingAutoRuleRequest {
+  name: string
+  enabled: boolean
+  targetServerId: string
+  sourceServerIds?: string[] // Empty = all other servers
+  triggerPlayerCount: number
+  minPopulatedMinutes: number
+  minQueueSize: number
+  playerThreshold: number
+  cooldownMinutes: number
+  maxSessionsPerDay: number
+  rewards: RewardsConfig
+  customBroadcastMessage?: string
+}
+
+export type LeaderboardPeriod = 'week' | 'month' | 'last-month' | 'all-time'
+
+export interface SeedingLeaderboardEntry {
+  rank: number
+  playerId: number
+  steamId: string | null
+  username: string | null
+  seedingMinutes: number
+  playMinutes: number
+  daysSeeded: number
+}
+
+export interface SeedingLeaderboardResponse {
+  period: LeaderboardPeriod
+  startDate: string | null
+  endDate: string | null
+  label: string
+  entries: SeedingLeaderboardEntry[]
+}
+
+export interface SeedingRewardWinner extends SeedingLeaderboardEntry {
+  value: number
+  unit: RewardUnit
+}
+
+// Monthly top seeder payout
+export interface SeedingRewardRun {
+  id: number
+  period_start: string
+  period_end: string
+  status: 'granted' | 'reversed'
+  top_n: number
+  winners: SeedingRewardWinner[]
+  granted_count: number
+  triggered_by: string
+  triggered_by_name: string | null
+  reversed_at: string | null
+  reversed_by: string | null
+  reversal_reason: string | null
+  createdAt: string
+  updatedAt: string
+}
+
+export interface ReverseRewardRunResponse {
+  revokedCount: number
+  message: string
+}
+
 export interface SessionsListResponse {
   sessions: SeedingSession[]
   total: number
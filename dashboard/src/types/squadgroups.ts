@@ -9,6 +9,7 @@ export interface RoleConfig {
   roleName: string | null
   groupName: string
   permissions: string[]
+  serverIds: string[] | null // null = all servers
   discordPosition: number
   color: string
   createdBy: string | null
@@ -41,10 +42,12 @@ export interface RoleConfigResponse {
 export interface AddRoleRequest {
   roleId: string
   permissions: string[]
+  serverIds?: string[]
 }
 
 export interface UpdateRoleRequest {
   permissions: string[]
+  serverIds?: string[]
 }
 
 export interface AddRoleResponse {
@@ -18,8 +18,9 @@ export interface WhitelistEntry {
   revoked_by: string | null
   revoked_reason: string | null
   revoked_at: string | null
-  source: 'role' | 'manual' | 'import' | 'donation' | null
+  source: 'role' | 'manual' | 'import' | 'donation' | 'seeding' | null
   role_name: string | null
+  server_ids: string[] | null // null = all servers
   metadata: Record<string, unknown> | null
   // Calculated fields
   status: 'active' | 'expired' | 'revoked' | 'permanent'
@@ -35,7 +36,7 @@ export interface WhitelistPlayer {
   eosID: string | null
   status: 'active' | 'expired' | 'revoked' | 'permanent'
   expiration: string | null
-  source: 'role' | 'manual' | 'import' | 'donation' | null
+  source: 'role' | 'manual' | 'import' | 'donation' | 'seeding' | null
   entryCount: number
   latestGrantedAt: string
   groupName: string | null
@@ -96,7 +97,7 @@ export interface WhitelistListResponse {
 export interface WhitelistFilters {
   page?: number
   limit?: number
-  source?: 'role' | 'manual' | 'donation' | 'import'
+  source?: 'role' | 'manual' | 'donation' | 'import' | 'seeding'
   status?: 'active' | 'permanent' | 'expired' | 'revoked'
   search?: string
   sortBy?: string
@@ -115,6 +116,65 @@ export interface GrantWhitelistRequest {
   duration_value: number | null
   duration_type: 'days' | 'months' | 'hours' | null
   note?: string
+  server_ids?: string[] // Empty = all servers
+}
+
+// Game server a grant or Squad group can be scoped to
+export interface ScopeServer {
+  id: string
+  name: string
+}
+
+export type WhitelistChangeCause =
+  | 'baseline' | 'role_sync' | 'squad_groups' | 'account_link' | 'member_left'
+  | 'grant' | 'revoke' | 'expiry' | 'other'
+
+export interface WhitelistVersionEntry {
+  id: string
+  groups: string[]
+  name: string | null
+  cause?: WhitelistChangeCause
+}
+
+export interface WhitelistVersionDiff {
+  added: WhitelistVersionEntry[]
+  removed: WhitelistVersionEntry[]
+  changed: { id: string; name: string | null; before: string[]; after: string[] }[]
+  groupsAdded: string[]
+  groupsRemoved: string[]
+  groupsChanged: { name: string; before: string; after: string }[]
+}
+
+export interface WhitelistVersionSummary {
+  id: number
+  server_key: string | null
+  version: number
+  content_hash: string
+  entry_count: number
+  diff: WhitelistVersionDiff | null
+  causes: { type: WhitelistChangeCause; count: number }[]
+  createdAt: string
+}
+
+export interface WhitelistVersion extends WhitelistVersionSummary {
+  groups: Record<string, string>
+  entries: Record<string, { groups: string[]; name: string | null }>
+}
+
+export interface WhitelistHistoryResponse {
+  versions: WhitelistVersionSummary[]
+  pagination: {
+    page: number
+    limit: number
+    total: number
+    totalPages: number
+  }
+}
+
+export interface WhitelistCompareResponse {
+  from: Pick<WhitelistVersionSummary, 'id' | 'server_key' | 'version' | 'entry_count' | 'createdAt'>
+  to: Pick<WhitelistVersionSummary, 'id' | 'server_key' | 'version' | 'entry_count' | 'createdAt'>
+  diff: WhitelistVersionDiff
 }
 
 export interface ExtendWhitelistRequest {
@@ -127,6 +187,69 @@ export interface RevokeWhitelistRequest {
   reason: string
 }
 
+export interface TransferWhitelistRequest {
+  fromSteamId: string
+  toSteamId: string
+  entryIds?: number[]
+  reason?: string
+}
+
+export interface TransferWhitelistResponse {
+  success: boolean
+  transferId: string
+  transferred: Array<{
+    fromEntryId: number
+    toEntryId: number
+    source: string
+    remainingHours: number | null
+  }>
+}
+
+export type WhitelistImportFormat = 'csv' | 'cfg'
+
+export interface WhitelistImportRequest {
+  content: string
+  format?: WhitelistImportFormat
+  durationValue?: number | null
+  durationType?: 'days' | 'months' | 'hours' | null
+  reason?: string
+}
+
+export interface WhitelistImportRow {
+  line: number
+  steamid64: string | null
+  username: string | null
+  discord_username: string | null
+  group: string | null
+  reason: string | null
+  note: string | null
+  duration_value: number | null
+  duration_type: 'days' | 'months' | 'hours' | null
+  status: 'valid' | 'invalid' | 'duplicate'
+  message: string | null
+}
+
+export interface WhitelistImportSummary {
+  total: number
+  valid: number
+  invalid: number
+  duplicate: number
+}
+
+export interface WhitelistImportPreviewResponse {
+  success: boolean
+  format: WhitelistImportFormat
+  rows: WhitelistImportRow[]
+  summary: WhitelistImportSummary
+}
+
+export interface WhitelistImportResponse {
+  success: boolean
+  imported: number
+  skipped: number
+  summary: WhitelistImportSummary
+}
+
 export interface EditWhitelistRequest {
   reason?: string
   duration_value?: number | null
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Migration to add ingame_commands column to squadjs_servers table
+ *
+ * Stores per-server enable/disable overrides for in-game chat commands
+ * as a JSON map of command name to boolean. Commands missing from the
+ * map fall back to their own default.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('squadjs_servers', 'ingame_commands', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Per-server in-game command overrides: { commandName: enabled }'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('squadjs_servers', 'ingame_commands');
+  }
+};
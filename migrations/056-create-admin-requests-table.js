@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * Migration: Create admin_requests table
+ * Stores in-game "!admin <message>" calls routed to Discord staff,
+ * and adds a per-session counter for claimed requests.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('admin_requests', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+        comment: 'Auto-increment primary key'
+      },
+      guild_id: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Discord guild the request was posted to'
+      },
+      server_id: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Squad server the request came from'
+      },
+      server_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Cached server name for display'
+      },
+      player_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'In-game name of the requesting player'
+      },
+      steam_id: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Steam ID of the requesting player'
+      },
+      eos_id: {
+        type: Sequelize.STRING(34),
+        allowNull: true,
+        comment: 'EOS ID of the requesting player'
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'Message the player typed after !admin'
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'open',
+        comment: 'Request status: open, claimed, resolved'
+      },
+      claimed_by: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Discord user ID of the claiming staff member'
+      },
+      claimed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      claim_session_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Duty session credited with the claim (NULL if claimer was off duty)'
+      },
+      resolved_by: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Discord user ID of the resolving staff member'
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      discord_channel_id: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      discord_message_id: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci',
+      comment: 'In-game !admin requests routed to Discord staff'
+    });
+
+    await queryInterface.addIndex('admin_requests', ['status'], {
+      name: 'idx_admin_requests_status'
+    });
+
+    await queryInterface.addIndex('admin_requests', ['server_id', 'createdAt'], {
+      name: 'idx_admin_requests_server_created'
+    });
+
+    await queryInterface.addIndex('admin_requests', ['claimed_by'], {
+      name: 'idx_admin_requests_claimed_by'
+    });
+
+    // Claimed requests count toward duty session points like other activity counters
+    await queryInterface.addColumn('duty_sessions', 'admin_requests_claimed', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      after: 'ingame_chat_messages',
+      comment: 'Number of in-game !admin requests claimed'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('duty_sessions', 'admin_requests_claimed');
+    await queryInterface.dropTable('admin_requests');
+  }
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Migration: Create bans table
+ * Local ban registry managed from Discord (/ban, /unban, /baninfo) and the dashboard.
+ * Active bans are served to game servers in Squad Bans.cfg format at /bans.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('bans', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      steamid64: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Steam ID of the banned player'
+      },
+      eosID: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'EOS ID of the banned player (if known)'
+      },
+      username: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Player name at the time of the ban'
+      },
+      discord_user_id: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'Linked Discord user ID (if known)'
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      evidence: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Evidence links (array of URLs)'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the ban expires (NULL = permanent)'
+      },
+      banned_by: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'Discord ID of the admin who issued the ban'
+      },
+      banned_by_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Display name of the admin who issued the ban'
+      },
+      source: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'discord',
+        comment: 'Where the ban was issued: discord, dashboard'
+      },
+      revoked: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether the ban has been lifted'
+      },
+      revoked_by: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'Discord ID of the admin who lifted the ban'
+      },
+      revoked_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      appeal_status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'none',
+        comment: 'Appeal status: none, pending, approved, denied'
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci',
+      comment: 'Local ban registry (served as Squad Bans.cfg)'
+    });
+
+    await queryInterface.addIndex('bans', ['steamid64'], {
+      name: 'idx_bans_steamid64'
+    });
+
+    await queryInterface.addIndex('bans', ['revoked', 'expires_at'], {
+      name: 'idx_bans_active'
+    });
+
+    await queryInterface.addIndex('bans', ['appeal_status'], {
+      name: 'idx_bans_appeal_status'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('bans');
+  }
+};
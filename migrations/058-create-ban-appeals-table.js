@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Migration: Create ban_appeals table
+ * Appeals opened by banned players from the whitelist post, covering local bans
+ * and active BattleMetrics bans. Reviewers vote on them in the ban appeals channel.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ban_appeals', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      steamid64: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Steam ID of the banned player'
+      },
+      discord_user_id: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Discord user who opened the appeal'
+      },
+      discord_username: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      ban_source: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'Where the appealed ban lives: local, battlemetrics'
+      },
+      ban_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'bans',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Local ban being appealed'
+      },
+      battlemetrics_ban_id: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'BattleMetrics ban being appealed'
+      },
+      ban_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Ban reason at the time of the appeal'
+      },
+      appeal_text: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'open',
+        comment: 'Appeal status: open, accepted, denied'
+      },
+      votes: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Reviewer votes keyed by Discord user ID (accept/deny)'
+      },
+      decided_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      review_channel_id: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      review_message_id: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci',
+      comment: 'Ban appeals and reviewer votes'
+    });
+
+    await queryInterface.addIndex('ban_appeals', ['steamid64'], {
+      name: 'idx_ban_appeals_steamid64'
+    });
+
+    await queryInterface.addIndex('ban_appeals', ['status'], {
+      name: 'idx_ban_appeals_status'
+    });
+
+    await queryInterface.addIndex('ban_appeals', ['discord_user_id'], {
+      name: 'idx_ban_appeals_discord_user_id'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('ban_appeals');
+  }
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * Migration: Create seeding_schedules table
+ * Recurring seeding sessions (e.g. "every day at 09:00 UTC, seed server2 until 60 players").
+ * The scheduler starts a session at the scheduled time when the target server is below
+ * threshold and no other session is active.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('seeding_schedules', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+        comment: 'Auto-increment primary key'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Display name for the schedule'
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      target_server_id: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Server identifier needing players'
+      },
+      source_server_ids: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Array of source server IDs (null = all other servers)'
+      },
+      player_threshold: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Player count threshold to close seeding'
+      },
+      time_of_day: {
+        type: Sequelize.STRING(5),
+        allowNull: false,
+        comment: 'Start time in UTC (HH:MM)'
+      },
+      days_of_week: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'UTC days to run (0 = Sunday ... 6 = Saturday, null = every day)'
+      },
+      switch_reward_value: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Immediate reward value for switching (null = disabled)'
+      },
+      switch_reward_unit: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Reward unit: days, months'
+      },
+      playtime_reward_value: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Reward value for meeting playtime threshold (null = disabled)'
+      },
+      playtime_reward_unit: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Reward unit: days, months'
+      },
+      playtime_threshold_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Minutes required for playtime reward'
+      },
+      completion_reward_value: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Reward value for being present at threshold (null = disabled)'
+      },
+      completion_reward_unit: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Reward unit: days, months'
+      },
+      custom_broadcast_message: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Custom broadcast message template for seeding call'
+      },
+      created_by: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'Discord user ID who created the schedule'
+      },
+      created_by_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      last_run_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Scheduled time of the most recent run (started or skipped)'
+      },
+      last_run_status: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+        comment: 'Outcome: started, skipped_active, skipped_threshold, failed'
+      },
+      last_run_message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      last_session_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Most recent session started by this schedule'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci',
+      comment: 'Recurring automated seeding sessions'
+    });
+
+    await queryInterface.addIndex('seeding_schedules', ['enabled'], {
+      name: 'idx_seeding_schedules_enabled'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('seeding_schedules');
+  }
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * Migration: Create seeding_auto_rules table
+ * Opt-in rules that start a seeding session when a target server empties after a
+ * populated period while another server is full with a queue.
+ * Daily trigger counters live on the rule so the cap survives restarts.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('seeding_auto_rules', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+        comment: 'Auto-increment primary key'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Display name for the rule'
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      target_server_id: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Server identifier to seed'
+      },
+      source_server_ids: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Servers checked for a queue and used as sources (null = all other servers)'
+      },
+      trigger_player_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Trigger when the target drops below this many players'
+      },
+      min_populated_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 60,
+        comment: 'Minimum time the target was populated before emptying'
+      },
+      min_queue_size: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Queue size (public + reserve) required on a full source server'
+      },
+      player_threshold: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Player count threshold to close seeding'
+      },
+      switch_reward_value: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Immediate reward value for switching (null = disabled)'
+      },
+      switch_reward_unit: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Reward unit: days, months'
+      },
+      playtime_reward_value: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Reward value for meeting playtime threshold (null = disabled)'
+      },
+      playtime_reward_unit: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Reward unit: days, months'
+      },
+      playtime_threshold_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Minutes required for playtime reward'
+      },
+      completion_reward_value: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Reward value for being present at threshold (null = disabled)'
+      },
+      completion_reward_unit: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Reward unit: days, months'
+      },
+      custom_broadcast_message: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Custom broadcast message template for seeding call'
+      },
+      cooldown_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 120,
+        comment: 'Minimum time between automatic sessions from this rule'
+      },
+      max_sessions_per_day: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 2,
+        comment: 'Maximum automatic sessions per UTC day'
+      },
+      created_by: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'Discord user ID who created the rule'
+      },
+      created_by_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      last_triggered_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the rule last started a session'
+      },
+      last_session_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Most recent session started by this rule'
+      },
+      daily_trigger_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+        comment: 'UTC date daily_trigger_count applies to'
+      },
+      daily_trigger_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Sessions started on daily_trigger_date'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci',
+      comment: 'Automation rules for starting seeding sessions'
+    });
+
+    await queryInterface.addIndex('seeding_auto_rules', ['enabled'], {
+      name: 'idx_seeding_auto_rules_enabled'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('seeding_auto_rules');
+  }
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Migration: Create seeding_reward_runs table
+ * One row per monthly seeding leaderboard payout. The winners snapshot records what was
+ * granted so a run can be reversed, and the unique period_start keeps the monthly job
+ * from paying out the same month twice.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('seeding_reward_runs', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+        comment: 'Auto-increment primary key'
+      },
+      period_start: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+        comment: 'First day of the rewarded month (UTC)'
+      },
+      period_end: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+        comment: 'Last day of the rewarded month (UTC)'
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'granted',
+        comment: 'Status: granted, reversed'
+      },
+      top_n: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Number of ranks rewarded'
+      },
+      winners: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Array of { rank, playerId, steamId, username, seedingMinutes, value, unit }'
+      },
+      granted_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Whitelist entries granted'
+      },
+      triggered_by: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Discord user ID, or "system" for the monthly job'
+      },
+      triggered_by_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      reversed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      reversed_by: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      reversal_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci',
+      comment: 'Monthly seeding leaderboard reward payouts'
+    });
+
+    await queryInterface.addIndex('seeding_reward_runs', ['period_start'], {
+      name: 'idx_seeding_reward_runs_period',
+      unique: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('seeding_reward_runs');
+  }
+};
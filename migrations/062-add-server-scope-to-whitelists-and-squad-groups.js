@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * Migration to add server_ids columns to whitelists and squad_role_permissions
+ *
+ * Scopes whitelist grants and Squad group assignments to a set of game servers
+ * (SquadJS server keys). NULL keeps the previous behaviour of applying to every
+ * server; per-server output is served from /combined/:serverId.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('whitelists', 'server_ids', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      defaultValue: null,
+      after: 'source',
+      comment: 'Server keys this entry applies to (NULL = all servers)'
+    });
+
+    await queryInterface.addColumn('squad_role_permissions', 'server_ids', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      defaultValue: null,
+      after: 'permissions',
+      comment: 'Server keys this group is assigned on (NULL = all servers)'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('squad_role_permissions', 'server_ids');
+    await queryInterface.removeColumn('whitelists', 'server_ids');
+  }
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Migration: Whitelist pull access control
+ *
+ * Adds per-server pull tokens and IP allowlists to squadjs_servers so game servers
+ * can authenticate when fetching /combined, and creates whitelist_pulls to record
+ * every fetch with the server identity. Only a SHA-256 hash of each token is
+ * stored; the plain token is shown once when it is generated.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('squadjs_servers', 'pull_token_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      defaultValue: null,
+      after: 'ingame_commands',
+      comment: 'SHA-256 hash of the whitelist pull token'
+    });
+
+    await queryInterface.addColumn('squadjs_servers', 'pull_token_hint', {
+      type: Sequelize.STRING(8),
+      allowNull: true,
+      defaultValue: null,
+      after: 'pull_token_hash',
+      comment: 'Last characters of the pull token for display'
+    });
+
+    await queryInterface.addColumn('squadjs_servers', 'pull_ip_allowlist', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      defaultValue: null,
+      after: 'pull_token_hint',
+      comment: 'IP addresses or CIDR ranges allowed to pull the whitelist; null means any'
+    });
+
+    await queryInterface.createTable('whitelist_pulls', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+        comment: 'Auto-increment primary key'
+      },
+      server_key: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'Server identified by the pull token or URL, null if unidentified'
+      },
+      path: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Requested path'
+      },
+      status_code: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'HTTP status returned (200, 304, 401, 403, 404)'
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+        comment: 'Requesting IP address'
+      },
+      user_agent: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Requesting User-Agent'
+      },
+      etag: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+        comment: 'ETag of the served content'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci',
+      comment: 'Log of whitelist fetches by game servers'
+    });
+
+    await queryInterface.addIndex('whitelist_pulls', ['server_key', 'createdAt'], {
+      name: 'idx_whitelist_pulls_server_time'
+    });
+
+    await queryInterface.addIndex('whitelist_pulls', ['createdAt'], {
+      name: 'idx_whitelist_pulls_time'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('whitelist_pulls');
+    await queryInterface.removeColumn('squadjs_servers', 'pull_ip_allowlist');
+    await queryInterface.removeColumn('squadjs_servers', 'pull_token_hint');
+    await queryInterface.removeColumn('squadjs_servers', 'pull_token_hash');
+  }
+};
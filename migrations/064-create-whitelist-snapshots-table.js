@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Migration: Create whitelist_snapshots table
+ * One row per distinct version of the generated combined whitelist, per scope
+ * (NULL server_key for the shared /combined file, otherwise a server key). Each row
+ * keeps the parsed admins and groups, the diff from the previous version and what
+ * triggered the change, so access at any point in time can be reconstructed.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('whitelist_snapshots', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+        comment: 'Auto-increment primary key'
+      },
+      server_key: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'Server the output was generated for, NULL for the shared /combined file'
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Sequential version number within the scope'
+      },
+      content_hash: {
+        type: Sequelize.STRING(40),
+        allowNull: false,
+        comment: 'SHA-1 of the output, excluding the Generated timestamp'
+      },
+      entry_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Number of distinct IDs in the output'
+      },
+      groups: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Group definitions: { groupName: permissions }'
+      },
+      entries: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Admin lines: { id: { groups: [groupName], name } }'
+      },
+      diff: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Changes from the previous version, NULL for the first version'
+      },
+      causes: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'What triggered the change: [{ type, count }]'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci',
+      comment: 'Versioned history of the generated combined whitelist'
+    });
+
+    await queryInterface.addIndex('whitelist_snapshots', ['server_key', 'version'], {
+      name: 'idx_whitelist_snapshots_scope_version'
+    });
+
+    await queryInterface.addIndex('whitelist_snapshots', ['server_key', 'createdAt'], {
+      name: 'idx_whitelist_snapshots_scope_time'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('whitelist_snapshots');
+  }
+};
@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * Migration: Create donations table
+ * Ledger of every donation payment received by the webhook. The unique
+ * (platform, transaction_id) index makes webhook retries idempotent, and whitelist_ids
+ * links the entries a donation granted so refunds and chargebacks can revoke them.
+ * Existing donation whitelist entries are backfilled as ledger rows, grouped by the
+ * processed_at timestamp they were granted with.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('donations', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+        comment: 'Auto-increment primary key'
+      },
+      platform: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'Donation platform: kofi, patreon, tebex, stripe, generic'
+      },
+      transaction_id: {
+        type: Sequelize.STRING(191),
+        allowNull: true,
+        comment: 'Platform transaction ID (NULL for legacy rows without one)'
+      },
+      payment_reference: {
+        type: Sequelize.STRING(191),
+        allowNull: true,
+        comment: 'Secondary payment ID used by refund events (e.g. Stripe payment intent)'
+      },
+      subscription_id: {
+        type: Sequelize.STRING(191),
+        allowNull: true,
+        comment: 'Platform subscription ID for recurring payments'
+      },
+      is_recurring: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether this is a subscription payment'
+      },
+      donor_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Donor display name'
+      },
+      donor_email: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Donor email address'
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Donation message'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Amount paid'
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: true,
+        comment: 'ISO currency code'
+      },
+      steam_ids: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Steam IDs covered by the donation'
+      },
+      whitelist_ids: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Whitelist entry IDs created for the donation'
+      },
+      tier_description: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Pricing tier the donation matched'
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'processing',
+        comment: 'Status: processing, granted, partial, failed, refunded, chargeback'
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Validation or processing error'
+      },
+      reversed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the donation was refunded or charged back'
+      },
+      reversed_by: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'Who recorded the refund (webhook or Discord ID)'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci',
+      comment: 'Donation ledger with links to granted whitelist entries'
+    });
+
+    await queryInterface.addIndex('donations', ['platform', 'transaction_id'], {
+      name: 'idx_donations_transaction',
+      unique: true
+    });
+
+    await queryInterface.addIndex('donations', ['platform', 'payment_reference'], {
+      name: 'idx_donations_payment_reference'
+    });
+
+    await queryInterface.addIndex('donations', ['platform', 'subscription_id'], {
+      name: 'idx_donations_subscription'
+    });
+
+    await queryInterface.addIndex('donations', ['createdAt'], {
+      name: 'idx_donations_created'
+    });
+
+    // Backfill ledger rows from existing donation whitelist entries
+    const [entries] = await queryInterface.sequelize.query(
+      'SELECT id, steamid64, metadata, revoked, granted_at FROM whitelists WHERE source = \'donation\' ORDER BY id ASC'
+    );
+
+    const donations = new Map();
+    for (const entry of entries) {
+      const metadata = typeof entry.metadata === 'string' ? JSON.parse(entry.metadata || '{}') : (entry.metadata || {});
+      const key = metadata.processed_at || `entry-${entry.id}`;
+
+      if (!donations.has(key)) {
+        donations.set(key, {
+          platform: metadata.donation_platform || 'kofi',
+          transaction_id: metadata.donation_transaction_id || null,
+          subscription_id: metadata.donation_subscription_id || null,
+          is_recurring: !!metadata.donation_subscription_id,
+          donor_name: metadata.donor_name || null,
+          donor_email: metadata.donor_email || null,
+          message: metadata.donation_message || null,
+          amount: parseFloat(metadata.donation_amount) || 0,
+          currency: metadata.donation_currency || null,
+          steam_ids: [],
+          whitelist_ids: [],
+          tier_description: metadata.tier_description || null,
+          status: 'granted',
+          createdAt: metadata.processed_at ? new Date(metadata.processed_at) : entry.granted_at,
+          updatedAt: new Date()
+        });
+      }
+
+      const donation = donations.get(key);
+      donation.steam_ids.push(entry.steamid64);
+      donation.whitelist_ids.push(entry.id);
+    }
+
+    if (donations.size > 0) {
+      await queryInterface.bulkInsert('donations', [...donations.values()].map(donation => ({
+        ...donation,
+        steam_ids: JSON.stringify([...new Set(donation.steam_ids)]),
+        whitelist_ids: JSON.stringify(donation.whitelist_ids)
+      })));
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('donations');
+  }
+};
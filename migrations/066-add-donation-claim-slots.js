@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Migration to add claimable slots to donations
+ *
+ * Donations that pay for more Steam IDs than the donor supplied keep the remaining
+ * slots against the ledger row. slots_total and the tier duration are stored so
+ * the slots can be redeemed later with a one-time claim code, of which only the
+ * SHA-256 hash is kept.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('donations', 'slots_total', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Number of Steam IDs the donation paid for'
+    });
+
+    await queryInterface.addColumn('donations', 'duration_value', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Whitelist duration granted to each slot'
+    });
+
+    await queryInterface.addColumn('donations', 'duration_type', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      comment: 'Duration unit: days, months'
+    });
+
+    await queryInterface.addColumn('donations', 'claim_code_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'SHA-256 hash of the claim code for unclaimed slots'
+    });
+
+    await queryInterface.addIndex('donations', ['claim_code_hash'], {
+      name: 'idx_donations_claim_code',
+      unique: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('donations', 'idx_donations_claim_code');
+    await queryInterface.removeColumn('donations', 'claim_code_hash');
+    await queryInterface.removeColumn('donations', 'duration_type');
+    await queryInterface.removeColumn('donations', 'duration_value');
+    await queryInterface.removeColumn('donations', 'slots_total');
+  }
+};
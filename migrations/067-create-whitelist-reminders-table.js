@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Migration: Create whitelist_reminders table
+ * One row per expiry reminder sent to a player. The unique (steamid64, expires_at, threshold)
+ * index means each reminder for a given expiry time is only ever sent once, while a renewal
+ * that moves the expiry makes the player eligible for fresh reminders.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('whitelist_reminders', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+        comment: 'Auto-increment primary key'
+      },
+      steamid64: {
+        type: Sequelize.STRING(17),
+        allowNull: false,
+        comment: 'Steam ID whose whitelist is expiring'
+      },
+      discord_user_id: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Linked Discord user the reminder was addressed to'
+      },
+      threshold: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+        comment: 'Reminder window: 7d, 1d, 1h'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'Stacked whitelist expiry the reminder was sent for'
+      },
+      dm_sent: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether the Discord DM was delivered'
+      },
+      ingame_sent: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether an in-game warn was sent'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci',
+      comment: 'Whitelist expiry reminders sent to players'
+    });
+
+    await queryInterface.addIndex('whitelist_reminders', ['steamid64', 'expires_at', 'threshold'], {
+      name: 'idx_whitelist_reminders_unique',
+      unique: true
+    });
+
+    await queryInterface.addIndex('whitelist_reminders', ['createdAt'], {
+      name: 'idx_whitelist_reminders_created'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('whitelist_reminders');
+  }
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Migration: Create change_requests table
+ * High-impact actions (permanent whitelist grants, revoking all of a player's entries,
+ * critical permission changes) are held here until a second authorised staff member
+ * approves them from the dashboard or a Discord button.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('change_requests', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      action_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'whitelist_grant_permanent, whitelist_revoke_all, permission_update'
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending',
+        comment: 'pending, executed, rejected, expired, failed'
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Arguments the action runs with once approved'
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      target_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Steam ID or permission name the change affects'
+      },
+      required_permission: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Permission the approver must hold'
+      },
+      requested_by_id: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      requested_by_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      reviewed_by_id: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      reviewed_by_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      review_note: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      result: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Outcome of the executed action'
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Why execution failed after approval'
+      },
+      audit_action_id: {
+        type: Sequelize.STRING(36),
+        allowNull: true,
+        comment: 'AuditLog actionId of the request, referenced by the approval record'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      review_channel_id: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      review_message_id: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci',
+      comment: 'High-impact changes awaiting two-person approval'
+    });
+
+    await queryInterface.addIndex('change_requests', ['status'], {
+      name: 'idx_change_requests_status'
+    });
+
+    await queryInterface.addIndex('change_requests', ['requested_by_id'], {
+      name: 'idx_change_requests_requested_by'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('change_requests');
+  }
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Migration: Add moderation counters to duty_sessions
+ * In-game warns, kicks and bans attributed to a staff member count toward
+ * duty session points like other activity counters.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('duty_sessions', 'player_warns', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      after: 'admin_requests_claimed',
+      comment: 'Number of in-game warns issued (SquadJS)'
+    });
+
+    await queryInterface.addColumn('duty_sessions', 'player_kicks', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      after: 'player_warns',
+      comment: 'Number of in-game kicks issued (SquadJS)'
+    });
+
+    await queryInterface.addColumn('duty_sessions', 'player_bans', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      after: 'player_kicks',
+      comment: 'Number of in-game bans issued (SquadJS)'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('duty_sessions', 'player_bans');
+    await queryInterface.removeColumn('duty_sessions', 'player_kicks');
+    await queryInterface.removeColumn('duty_sessions', 'player_warns');
+  }
+};
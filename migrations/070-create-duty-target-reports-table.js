@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Migration: Create duty_target_reports table
+ * One row per guild and week once the weekly points target report has gone out.
+ * The unique (guild_id, week_start) index keeps a restart from DMing staff twice,
+ * and the stored results give leadership a history of who met the target.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('duty_target_reports', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+        comment: 'Auto-increment primary key'
+      },
+      guild_id: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'Discord guild the report is for'
+      },
+      week_start: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'Monday 00:00 UTC of the reported week'
+      },
+      points_target: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'weekly_points_target at the time of the report'
+      },
+      exceeded_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      met_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      missed_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      results: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Per-staff points and status for the week'
+      },
+      dms_sent: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Progress cards delivered by DM'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci',
+      comment: 'Weekly staff points target reports'
+    });
+
+    await queryInterface.addIndex('duty_target_reports', ['guild_id', 'week_start'], {
+      name: 'idx_duty_target_reports_unique',
+      unique: true
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('duty_target_reports');
+  }
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * Migration: Create duty_point_rule_sets table
+ * Versioned point rule sets that replace the flat points_* settings once one is
+ * activated. Only one rule set per guild is active at a time; drafts can be
+ * previewed against past sessions before activation.
+ * duty_sessions.point_rule_version records which version scored each session
+ * (null = scored by the points_* settings).
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('duty_point_rule_sets', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+        comment: 'Auto-increment primary key'
+      },
+      guild_id: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'Discord guild the rule set belongs to'
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Version number, increasing per guild'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Short label for the rule set'
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'draft',
+        comment: 'draft, active or archived'
+      },
+      rules: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Point rules: base rate, activity values and caps, diminishing returns, time-of-day multipliers, duty type overrides'
+      },
+      created_by: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Discord ID of the creator'
+      },
+      created_by_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      activated_by: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+        comment: 'Discord ID of whoever last activated this version'
+      },
+      activated_by_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      activated_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci',
+      comment: 'Versioned duty point rule sets'
+    });
+
+    await queryInterface.addIndex('duty_point_rule_sets', ['guild_id', 'version'], {
+      name: 'idx_duty_point_rule_sets_version',
+      unique: true
+    });
+
+    await queryInterface.addIndex('duty_point_rule_sets', ['guild_id', 'status'], {
+      name: 'idx_duty_point_rule_sets_status'
+    });
+
+    await queryInterface.addColumn('duty_sessions', 'point_rule_version', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'total_points',
+      comment: 'Point rule set version that scored the session (null = points settings)'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('duty_sessions', 'point_rule_version');
+    await queryInterface.dropTable('duty_point_rule_sets');
+  }
+};
@@ -0,0 +1,61 @@
+const { console: loggerConsole } = require('../src/utils/logger');
+
+/**
+ * Migration: Add 'ingame_detected' to duty_status_changes source enum
+ *
+ * Used by DutyAutoDetectionService when staff are put on or taken off duty
+ * because of in-game admin activity
+ */
+module.exports = {
+  async up(queryInterface) {
+    loggerConsole.log('Adding ingame_detected to duty_status_changes source enum...');
+
+    await queryInterface.sequelize.query(`
+      ALTER TABLE duty_status_changes
+      MODIFY COLUMN source ENUM(
+        'command',
+        'automatic',
+        'admin',
+        'voice_state',
+        'manual',
+        'external',
+        'startup_sync',
+        'manual_sync',
+        'button',
+        'auto_timeout',
+        'ingame_detected'
+      ) NOT NULL DEFAULT 'command'
+    `);
+
+    loggerConsole.log('Successfully added ingame_detected to source enum');
+  },
+
+  async down(queryInterface) {
+    loggerConsole.log('Removing ingame_detected from duty_status_changes source enum...');
+
+    // First update any rows with the new value to 'automatic' as a fallback
+    await queryInterface.sequelize.query(`
+      UPDATE duty_status_changes
+      SET source = 'automatic'
+      WHERE source = 'ingame_detected'
+    `);
+
+    await queryInterface.sequelize.query(`
+      ALTER TABLE duty_status_changes
+      MODIFY COLUMN source ENUM(
+        'command',
+        'automatic',
+        'admin',
+        'voice_state',
+        'manual',
+        'external',
+        'startup_sync',
+        'manual_sync',
+        'button',
+        'auto_timeout'
+      ) NOT NULL DEFAULT 'command'
+    `);
+
+    loggerConsole.log('Successfully removed ingame_detected from source enum');
+  }
+};
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { createServiceLogger } = require('../../utils/logger');
+const { requireAuth, permissionService } = require('../middleware/auth');
+const { ChangeRequest } = require('../../database/models');
+const { getChangeApprovalService } = require('../../services/ChangeApprovalService');
+
+const logger = createServiceLogger('ApprovalsAPI');
+
+// GET /api/v1/approvals - List change requests, newest first
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 25 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    await getChangeApprovalService().expireStale();
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+
+    const { count, rows } = await ChangeRequest.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum
+    });
+
+    // Let the dashboard show Approve only where this user could actually approve
+    const userPermissions = await permissionService.getUserPermissions(req.user.roles || []);
+
+    res.json({
+      requests: rows.map(request => ({
+        ...request.toJSON(),
+        canApprove: request.status === 'pending' &&
+          request.requested_by_id !== req.user.id &&
+          userPermissions.includes(request.required_permission)
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count,
+        totalPages: Math.ceil(count / limitNum)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching change requests', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch change requests' });
+  }
+});
+
+/**
+ * Load the request and make sure the reviewer holds the permission it needs
+ * Sends the error response and returns null when the review can't go ahead.
+ */
+async function loadForReview(req, res) {
+  const request = await ChangeRequest.findByPk(req.params.id);
+  if (!request) {
+    res.status(404).json({ error: 'Change request not found' });
+    return null;
+  }
+
+  const allowed = await permissionService.hasPermission(req.user.roles || [], request.required_permission);
+  if (!allowed) {
+    res.status(403).json({
+      error: 'You do not have permission to review this request',
+      code: 'PERMISSION_DENIED',
+      required: request.required_permission
+    });
+    return null;
+  }
+
+  return request;
+}
+
+// POST /api/v1/approvals/:id/approve - Approve and execute a change request
+router.post('/:id/approve', requireAuth, async (req, res) => {
+  try {
+    const request = await loadForReview(req, res);
+    if (!request) return;
+
+    const result = await getChangeApprovalService().approve(request.id, {
+      actorType: 'dashboard_user',
+      actorId: req.user.id,
+      actorName: req.user.username
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, request: result.request || null });
+    }
+
+    res.json({ success: true, request: result.request });
+  } catch (error) {
+    logger.error('Error approving change request', { error: error.message });
+    res.status(500).json({ error: 'Failed to approve change request' });
+  }
+});
+
+// POST /api/v1/approvals/:id/reject - Reject (or withdraw) a change request
+router.post('/:id/reject', requireAuth, async (req, res) => {
+  try {
+    const request = await ChangeRequest.findByPk(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Change request not found' });
+    }
+
+    // Requesters can always withdraw their own request
+    if (request.requested_by_id !== req.user.id && !(await loadForReview(req, res))) {
+      return;
+    }
+
+    const result = await getChangeApprovalService().reject(request.id, {
+      actorType: 'dashboard_user',
+      actorId: req.user.id,
+      actorName: req.user.username
+    }, req.body.note || null);
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, request: result.request });
+  } catch (error) {
+    logger.error('Error rejecting change request', { error: error.message });
+    res.status(500).json({ error: 'Failed to reject change request' });
+  }
+});
+
+module.exports = router;
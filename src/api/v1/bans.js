@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { createServiceLogger } = require('../../utils/logger');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { Ban, BanAppeal } = require('../../database/models');
+const { getBanService } = require('../../services/BanService');
+
+const logger = createServiceLogger('BansAPI');
+
+function getActor(req) {
+  return {
+    actorType: 'dashboard_user',
+    actorId: req.user.id,
+    actorName: req.user.username
+  };
+}
+
+function parseEvidence(evidence) {
+  if (evidence === undefined) return undefined;
+  if (Array.isArray(evidence)) return evidence.map(link => String(link).trim()).filter(Boolean);
+  return String(evidence).split(/[\s,]+/).filter(Boolean);
+}
+
+// GET /api/v1/bans - List bans
+router.get('/', requireAuth, requirePermission('VIEW_BANS'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 25,
+      status = 'active',
+      appealStatus,
+      search
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const conditions = [];
+
+    if (status === 'active') {
+      conditions.push(Ban.activeWhere());
+    } else if (status === 'revoked') {
+      conditions.push({ revoked: true });
+    } else if (status === 'expired') {
+      conditions.push({ revoked: false, expires_at: { [Op.lte]: new Date() } });
+    }
+
+    if (appealStatus) {
+      conditions.push({ appeal_status: appealStatus });
+    }
+
+    if (search) {
+      conditions.push({
+        [Op.or]: [
+          { steamid64: { [Op.like]: `%${search}%` } },
+          { username: { [Op.like]: `%${search}%` } },
+          { reason: { [Op.like]: `%${search}%` } }
+        ]
+      });
+    }
+
+    const { count, rows } = await Ban.findAndCountAll({
+      where: conditions.length > 0 ? { [Op.and]: conditions } : {},
+      order: [['createdAt', 'DESC']],
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum
+    });
+
+    res.json({
+      bans: rows.map(ban => ({ ...ban.toJSON(), active: ban.isActive() })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count,
+        totalPages: Math.ceil(count / limitNum)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching bans', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch bans' });
+  }
+});
+
+// GET /api/v1/bans/appeals - List ban appeals
+router.get('/appeals', requireAuth, requirePermission('VIEW_BANS'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 25,
+      status,
+      banSource,
+      search
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const where = {};
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (banSource) {
+      where.ban_source = banSource;
+    }
+
+    if (search) {
+      where[Op.or] = [
+        { steamid64: { [Op.like]: `%${search}%` } },
+        { discord_username: { [Op.like]: `%${search}%` } },
+        { appeal_text: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows } = await BanAppeal.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum
+    });
+
+    res.json({
+      appeals: rows.map(appeal => ({ ...appeal.toJSON(), voteCounts: appeal.getVoteCounts() })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count,
+        totalPages: Math.ceil(count / limitNum)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching ban appeals', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch ban appeals' });
+  }
+});
+
+// GET /api/v1/bans/:id - Get a single ban
+router.get('/:id', requireAuth, requirePermission('VIEW_BANS'), async (req, res) => {
+  try {
+    const ban = await Ban.findByPk(req.params.id);
+    if (!ban) {
+      return res.status(404).json({ error: 'Ban not found' });
+    }
+
+    res.json({ ban: { ...ban.toJSON(), active: ban.isActive() } });
+  } catch (error) {
+    logger.error('Error fetching ban', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch ban' });
+  }
+});
+
+// POST /api/v1/bans - Issue a ban
+router.post('/', requireAuth, requirePermission('MANAGE_BANS'), async (req, res) => {
+  try {
+    const { steamid64, reason, duration, evidence, username } = req.body;
+
+    const result = await getBanService().createBan({
+      steamid64,
+      reason,
+      duration,
+      evidence: parseEvidence(evidence) || [],
+      username: username || null,
+      source: 'dashboard'
+    }, getActor(req));
+
+    if (!result.success) {
+      const status = result.ban ? 409 : 400;
+      return res.status(status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      ban: { ...result.ban.toJSON(), active: true },
+      kicked: result.kicked
+    });
+  } catch (error) {
+    logger.error('Error creating ban', { error: error.message });
+    res.status(500).json({ error: 'Failed to create ban' });
+  }
+});
+
+// POST /api/v1/bans/:id/revoke - Lift a ban
+router.post('/:id/revoke', requireAuth, requirePermission('MANAGE_BANS'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const ban = await Ban.findByPk(req.params.id);
+    if (!ban) {
+      return res.status(404).json({ error: 'Ban not found' });
+    }
+
+    const result = await getBanService().revokeBan(ban, reason.trim(), getActor(req));
+    if (!result.success) {
+      return res.status(400).json({ error: 'Ban is not active' });
+    }
+
+    res.json({ success: true, ban: { ...result.ban.toJSON(), active: false } });
+  } catch (error) {
+    logger.error('Error revoking ban', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to revoke ban' });
+  }
+});
+
+// PATCH /api/v1/bans/:id - Update evidence or appeal status
+router.patch('/:id', requireAuth, requirePermission('MANAGE_BANS'), async (req, res) => {
+  try {
+    const ban = await Ban.findByPk(req.params.id);
+    if (!ban) {
+      return res.status(404).json({ error: 'Ban not found' });
+    }
+
+    const result = await getBanService().updateBan(ban, {
+      evidence: parseEvidence(req.body.evidence),
+      appealStatus: req.body.appealStatus
+    }, getActor(req));
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, ban: { ...result.ban.toJSON(), active: result.ban.isActive() } });
+  } catch (error) {
+    logger.error('Error updating ban', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to update ban' });
+  }
+});
+
+module.exports = router;
@@ -2,11 +2,33 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth, requirePermission } = require('../middleware/auth');
 const { getConnectionConfigService } = require('../../services/ConnectionConfigService');
+const { getInGameCommandRegistry } = require('../../services/InGameCommandRegistry');
+const { WhitelistPull } = require('../../database/models');
 const { sequelize } = require('../../../config/database');
 const { createServiceLogger } = require('../../utils/logger');
 
 const logger = createServiceLogger('ConnectionsAPI');
 
+/**
+ * Server row for API responses - masks the SquadJS token and replaces the
+ * pull token hash with pull status
+ */
+function formatServer(server, lastPull = null, staleMinutes = null) {
+  const { pullTokenHash, ...data } = server.toJSON();
+  const lastPullAt = lastPull?.lastPullAt || null;
+
+  return {
+    ...data,
+    token: server.token ? '****' + server.token.slice(-4) : null,
+    pullTokenConfigured: !!pullTokenHash,
+    lastPullAt,
+    lastPullIp: lastPull?.ipAddress || null,
+    // Only servers with a pull token are expected to pull, so only they can go stale
+    pullStale: !!pullTokenHash && staleMinutes !== null &&
+      (!lastPullAt || Date.now() - lastPullAt.getTime() > staleMinutes * 60 * 1000)
+  };
+}
+
 // ============================================
 // Server Endpoints
 // ============================================
@@ -16,6 +38,8 @@ router.get('/servers', requireAuth, requirePermission('MANAGE_CONNECTIONS'), asy
   try {
     const configService = getConnectionConfigService();
     const servers = await configService.getServers();
+    const lastPulls = await WhitelistPull.getLastPullsByServer();
+    const staleMinutes = await configService.getValue('whitelist_stale_pull_minutes');
 
     const connectionManager = global.whitelistServices?.connectionManager;
     const liveStatus = connectionManager ? connectionManager.getConnectionStatus() : {};
@@ -25,8 +49,7 @@ router.get('/servers', requireAuth, requirePermission('MANAGE_CONNECTIONS'), asy
       const connection = connectionManager?.getServerConnection(server.serverKey);
 
       return {
-        ...server.toJSON(),
-        token: server.token ? '****' + server.token.slice(-4) : null,
+        ...formatServer(server, lastPulls.get(server.serverKey), staleMinutes),
         connectionState: live.state || 'unknown',
         connected: live.connected || false,
         reconnectAttempts: live.reconnectAttempts || 0,
@@ -53,6 +76,9 @@ router.get('/servers/:key', requireAuth, requirePermission('MANAGE_CONNECTIONS')
       return res.status(404).json({ success: false, error: 'Server not found' });
     }
 
+    const lastPulls = await WhitelistPull.getLastPullsByServer();
+    const staleMinutes = await configService.getValue('whitelist_stale_pull_minutes');
+
     const connectionManager = global.whitelistServices?.connectionManager;
     const liveStatus = connectionManager ? connectionManager.getConnectionStatus() : {};
     const live = liveStatus[server.serverKey] || {};
@@ -61,8 +87,7 @@ router.get('/servers/:key', requireAuth, requirePermission('MANAGE_CONNECTIONS')
     res.json({
       success: true,
       data: {
-        ...server.toJSON(),
-        token: server.token ? '****' + server.token.slice(-4) : null,
+        ...formatServer(server, lastPulls.get(server.serverKey), staleMinutes),
         connectionState: live.state || 'unknown',
         connected: live.connected || false,
         reconnectAttempts: live.reconnectAttempts || 0,
@@ -121,13 +146,7 @@ router.post('/servers', requireAuth, requirePermission('MANAGE_CONNECTIONS'), as
       seedThreshold: seedThreshold || 50
     }, req.user.id, req.user.username);
 
-    res.json({
-      success: true,
-      data: {
-        ...server.toJSON(),
-        token: '****' + token.trim().slice(-4)
-      }
-    });
+    res.json({ success: true, data: formatServer(server) });
   } catch (error) {
     logger.error('Failed to create server', { error: error.message });
     res.status(500).json({ success: false, error: error.message });
@@ -137,7 +156,7 @@ router.post('/servers', requireAuth, requirePermission('MANAGE_CONNECTIONS'), as
 // PUT /api/v1/connections/servers/:key - Update server
 router.put('/servers/:key', requireAuth, requirePermission('MANAGE_CONNECTIONS'), async (req, res) => {
   try {
-    const { name, host, port, gamePort, token, enabled, seedThreshold } = req.body;
+    const { name, host, port, gamePort, token, enabled, seedThreshold, ingameCommands, pullIpAllowlist } = req.body;
 
     // Validate fields that are provided
     if (port !== undefined && (port < 1 || port > 65535)) {
@@ -146,6 +165,24 @@ router.put('/servers/:key', requireAuth, requirePermission('MANAGE_CONNECTIONS')
     if (gamePort !== undefined && gamePort !== null && (gamePort < 1 || gamePort > 65535)) {
       return res.status(400).json({ success: false, error: 'gamePort must be between 1 and 65535' });
     }
+    if (ingameCommands !== undefined && ingameCommands !== null) {
+      if (typeof ingameCommands !== 'object' || Array.isArray(ingameCommands)) {
+        return res.status(400).json({ success: false, error: 'ingameCommands must be an object of command name to boolean' });
+      }
+      const registry = getInGameCommandRegistry();
+      for (const [commandName, commandEnabled] of Object.entries(ingameCommands)) {
+        if (!registry.get(commandName) || typeof commandEnabled !== 'boolean') {
+          return res.status(400).json({ success: false, error: `Invalid in-game command override: ${commandName}` });
+        }
+      }
+    }
+
+    const configService = getConnectionConfigService();
+
+    const { ipAllowlist, error: allowlistError } = configService.parseIpAllowlist(pullIpAllowlist);
+    if (allowlistError) {
+      return res.status(400).json({ success: false, error: allowlistError });
+    }
 
     const updateData = {};
     if (name !== undefined) updateData.name = name.trim();
@@ -155,8 +192,9 @@ router.put('/servers/:key', requireAuth, requirePermission('MANAGE_CONNECTIONS')
     if (token !== undefined && token.trim()) updateData.token = token.trim();
     if (enabled !== undefined) updateData.enabled = enabled;
     if (seedThreshold !== undefined) updateData.seedThreshold = seedThreshold;
+    if (ingameCommands !== undefined) updateData.ingameCommands = ingameCommands;
+    if (pullIpAllowlist !== undefined) updateData.pullIpAllowlist = ipAllowlist;
 
-    const configService = getConnectionConfigService();
     const server = await configService.updateServer(
       req.params.key,
       updateData,
@@ -164,13 +202,7 @@ router.put('/servers/:key', requireAuth, requirePermission('MANAGE_CONNECTIONS')
       req.user.username
     );
 
-    res.json({
-      success: true,
-      data: {
-        ...server.toJSON(),
-        token: server.token ? '****' + server.token.slice(-4) : null
-      }
-    });
+    res.json({ success: true, data: formatServer(server) });
   } catch (error) {
     if (error.message.includes('not found')) {
       return res.status(404).json({ success: false, error: error.message });
@@ -180,6 +212,17 @@ router.put('/servers/:key', requireAuth, requirePermission('MANAGE_CONNECTIONS')
   }
 });
 
+// GET /api/v1/connections/ingame-commands - List registered in-game chat commands
+router.get('/ingame-commands', requireAuth, requirePermission('MANAGE_CONNECTIONS'), async (req, res) => {
+  try {
+    const commands = getInGameCommandRegistry().listForApi();
+    res.json({ success: true, data: commands });
+  } catch (error) {
+    logger.error('Failed to get in-game commands', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // DELETE /api/v1/connections/servers/:key - Delete server
 router.delete('/servers/:key', requireAuth, requirePermission('MANAGE_CONNECTIONS'), async (req, res) => {
   try {
@@ -238,6 +281,59 @@ router.post('/servers/:key/reconnect', requireAuth, requirePermission('MANAGE_CO
   }
 });
 
+// POST /api/v1/connections/servers/:key/pull-token - Generate or rotate the whitelist pull token
+// The plain token is only returned here; it is stored hashed
+router.post('/servers/:key/pull-token', requireAuth, requirePermission('MANAGE_CONNECTIONS'), async (req, res) => {
+  try {
+    const configService = getConnectionConfigService();
+    const { server, token } = await configService.rotatePullToken(req.params.key, req.user.id, req.user.username);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        path: `/combined/${server.serverKey}?token=${token}`,
+        server: formatServer(server)
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    logger.error('Failed to rotate pull token', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/v1/connections/servers/:key/pull-token - Remove the whitelist pull token
+router.delete('/servers/:key/pull-token', requireAuth, requirePermission('MANAGE_CONNECTIONS'), async (req, res) => {
+  try {
+    const configService = getConnectionConfigService();
+    const server = await configService.revokePullToken(req.params.key, req.user.id, req.user.username);
+
+    res.json({ success: true, data: formatServer(server) });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    logger.error('Failed to revoke pull token', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/v1/connections/whitelist-pulls - Recent whitelist fetches, optionally for one server
+router.get('/whitelist-pulls', requireAuth, requirePermission('MANAGE_CONNECTIONS'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const serverKey = req.query.serverKey || null;
+    const pulls = await WhitelistPull.getRecent({ serverKey, limit });
+    res.json({ success: true, data: pulls });
+  } catch (error) {
+    logger.error('Failed to get whitelist pulls', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // Settings Endpoints
 // ============================================
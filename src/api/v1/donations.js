@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { createServiceLogger } = require('../../utils/logger');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { Donation, AuditLog } = require('../../database/models');
+const donationService = require('../../services/DonationService');
+
+const logger = createServiceLogger('DonationsAPI');
+
+// GET /api/v1/donations - List donations from the ledger
+router.get('/', requireAuth, requirePermission('VIEW_DONATIONS'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 25,
+      platform,
+      status,
+      search,
+      unclaimed
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const where = {};
+
+    if (platform) {
+      where.platform = platform;
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    // Donations with paid-for slots that have no Steam ID yet
+    if (unclaimed === 'true') {
+      where.claim_code_hash = { [Op.ne]: null };
+    }
+
+    if (search) {
+      where[Op.or] = [
+        { donor_name: { [Op.like]: `%${search}%` } },
+        { donor_email: { [Op.like]: `%${search}%` } },
+        { transaction_id: { [Op.like]: `%${search}%` } },
+        { message: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows } = await Donation.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum
+    });
+
+    res.json({
+      donations: rows,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count,
+        totalPages: Math.ceil(count / limitNum)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching donations', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch donations' });
+  }
+});
+
+// GET /api/v1/donations/revenue - Monthly revenue totals per currency
+router.get('/revenue', requireAuth, requirePermission('VIEW_DONATIONS'), async (req, res) => {
+  try {
+    const months = Math.min(Math.max(parseInt(req.query.months) || 12, 1), 36);
+    const revenue = await Donation.getMonthlyRevenue(months);
+
+    res.json({ months, revenue });
+  } catch (error) {
+    logger.error('Error fetching donation revenue', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch donation revenue' });
+  }
+});
+
+// POST /api/v1/donations/claim - Redeem a claim code from the dashboard
+router.post('/claim', requireAuth, requirePermission('VIEW_DONATIONS'), async (req, res) => {
+  try {
+    const { code, steamid64 } = req.body;
+
+    if (!code || !steamid64) {
+      return res.status(400).json({ error: 'Claim code and Steam ID are required' });
+    }
+
+    const result = await donationService.claimSlot(code, steamid64, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.errorType === 'INVALID_CLAIM_CODE' ? 404 : 400).json({ error: result.error });
+    }
+
+    await logSlotAssignment(req, result, steamid64, 'claim_code');
+
+    res.json({
+      success: true,
+      donation: result.donation,
+      whitelistId: result.whitelistId,
+      remaining: result.remaining
+    });
+  } catch (error) {
+    logger.error('Error claiming donation slot', { error: error.message });
+    res.status(500).json({ error: 'Failed to claim donation slot' });
+  }
+});
+
+// POST /api/v1/donations/:id/assign - Assign an unclaimed slot to a Steam ID without the claim code
+router.post('/:id/assign', requireAuth, requirePermission('MANAGE_DONATIONS'), async (req, res) => {
+  try {
+    const { steamid64 } = req.body;
+
+    if (!steamid64) {
+      return res.status(400).json({ error: 'Steam ID is required' });
+    }
+
+    const result = await donationService.assignSlot(req.params.id, steamid64, req.user.id, 'staff');
+
+    if (!result.success) {
+      return res.status(result.errorType === 'DONATION_NOT_FOUND' ? 404 : 400).json({ error: result.error });
+    }
+
+    await logSlotAssignment(req, result, steamid64, 'staff');
+
+    res.json({
+      success: true,
+      donation: result.donation,
+      whitelistId: result.whitelistId,
+      remaining: result.remaining
+    });
+  } catch (error) {
+    logger.error('Error assigning donation slot', { error: error.message });
+    res.status(500).json({ error: 'Failed to assign donation slot' });
+  }
+});
+
+// POST /api/v1/donations/:id/claim-code - Issue a new claim code for unclaimed slots
+router.post('/:id/claim-code', requireAuth, requirePermission('MANAGE_DONATIONS'), async (req, res) => {
+  try {
+    const donation = await Donation.findByPk(req.params.id);
+
+    if (!donation) {
+      return res.status(404).json({ error: 'Donation not found' });
+    }
+
+    if (donation.isReversed() || donation.unclaimed_slots === 0) {
+      return res.status(400).json({ error: 'Donation has no unclaimed slots' });
+    }
+
+    const claimCode = await donationService.regenerateClaimCode(donation);
+
+    await AuditLog.logAction({
+      actionType: 'donation_claim_code',
+      actorType: 'dashboard_user',
+      actorId: req.user.id,
+      actorName: req.user.username,
+      targetType: 'donation',
+      targetId: donation.id.toString(),
+      targetName: donation.donor_name || donation.transaction_id || `#${donation.id}`,
+      description: `Issued a new claim code for ${donation.unclaimed_slots} unclaimed slot(s)`,
+      metadata: { source: 'dashboard', unclaimedSlots: donation.unclaimed_slots }
+    });
+
+    res.json({ success: true, donation, claimCode });
+  } catch (error) {
+    logger.error('Error regenerating donation claim code', { error: error.message });
+    res.status(500).json({ error: 'Failed to regenerate claim code' });
+  }
+});
+
+// POST /api/v1/donations/:id/reverse - Record a refund or chargeback and revoke its whitelist
+router.post('/:id/reverse', requireAuth, requirePermission('MANAGE_DONATIONS'), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!Donation.REVERSED_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${Donation.REVERSED_STATUSES.join(', ')}` });
+    }
+
+    const donation = await Donation.findByPk(req.params.id);
+
+    if (!donation) {
+      return res.status(404).json({ error: 'Donation not found' });
+    }
+
+    if (donation.isReversed()) {
+      return res.status(400).json({ error: `Donation is already marked as ${donation.status}` });
+    }
+
+    const beforeState = donation.toJSON();
+    const result = await donationService.reverseDonation(donation, status, req.user.id);
+
+    await AuditLog.logAction({
+      actionType: 'donation_reverse',
+      actorType: 'dashboard_user',
+      actorId: req.user.id,
+      actorName: req.user.username,
+      targetType: 'donation',
+      targetId: donation.id.toString(),
+      targetName: donation.donor_name || donation.transaction_id || `#${donation.id}`,
+      description: `Marked donation as ${status} and revoked ${result.revokedCount} whitelist entries${reason ? `: ${reason}` : ''}`,
+      beforeState,
+      afterState: donation.toJSON(),
+      metadata: { source: 'dashboard', reason: reason || null, revokedCount: result.revokedCount }
+    });
+
+    logger.info('Donation reversed via dashboard', {
+      donationId: donation.id,
+      status,
+      revokedCount: result.revokedCount,
+      reversedBy: req.user.username
+    });
+
+    res.json({
+      success: true,
+      donation,
+      revokedCount: result.revokedCount
+    });
+  } catch (error) {
+    logger.error('Error reversing donation', { error: error.message });
+    res.status(500).json({ error: 'Failed to reverse donation' });
+  }
+});
+
+/**
+ * Audit a donation slot granted from the dashboard
+ * @param {Object} req - Express request
+ * @param {Object} result - Result from DonationService.assignSlot
+ * @param {string} steamid64 - Steam ID the slot was granted to
+ * @param {string} method - 'claim_code' or 'staff'
+ */
+async function logSlotAssignment(req, result, steamid64, method) {
+  const { donation } = result;
+
+  await AuditLog.logAction({
+    actionType: 'donation_claim',
+    actorType: 'dashboard_user',
+    actorId: req.user.id,
+    actorName: req.user.username,
+    targetType: 'player',
+    targetId: steamid64,
+    targetName: steamid64,
+    description: `${method === 'staff' ? 'Assigned' : 'Claimed'} donation slot from donation #${donation.id}`,
+    afterState: {
+      donation_id: donation.id,
+      whitelist_id: result.whitelistId,
+      duration_value: donation.duration_value,
+      duration_type: donation.duration_type,
+      remaining: result.remaining
+    },
+    metadata: { source: 'dashboard', method }
+  });
+}
+
+module.exports = router;
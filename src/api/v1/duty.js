@@ -3,10 +3,13 @@ const router = express.Router();
 const { createServiceLogger } = require('../../utils/logger');
 const { loadConfig } = require('../../utils/environment');
 const { requireAuth, requirePermission } = require('../middleware/auth');
-const { DutyStatusChange, DutySession, DutyLifetimeStats, DutyActivityEvent, PlayerDiscordLink, Player, PlayerSession } = require('../../database/models');
+const { DutyStatusChange, DutySession, DutyLifetimeStats, DutyActivityEvent, CoverageSnapshot, PlayerDiscordLink, Player, PlayerSession } = require('../../database/models');
 const { getMemberCacheService } = require('../../services/MemberCacheService');
 const { getDutyConfigService } = require('../../services/DutyConfigService');
 const { getDutySessionService } = require('../../services/DutySessionService');
+const { DutyTargetReportService, getDutyTargetReportService, getWeekStart } = require('../../services/DutyTargetReportService');
+const { getStaffInactivityService } = require('../../services/StaffInactivityService');
+const { getDutyPointRuleService } = require('../../services/DutyPointRuleService');
 
 // Load Discord roles configuration
 const { getAllStaffRoles } = loadConfig('discordRoles');
@@ -248,9 +251,9 @@ router.get('/staff-overview', requireAuth, requirePermission('VIEW_DUTY'), async
     } = req.query;
 
     // Validate sortBy parameter
-    const validSortFields = ['points', 'time', 'tickets', 'voice', 'server', 'admin_cam', 'chat'];
+    const validSortFields = ['points', 'time', 'tickets', 'voice', 'server', 'admin_cam', 'chat', 'moderation'];
     if (!validSortFields.includes(sortBy)) {
-      return res.status(400).json({ error: 'Invalid sortBy. Must be: points, time, tickets, voice, server, admin_cam, or chat' });
+      return res.status(400).json({ error: 'Invalid sortBy. Must be: points, time, tickets, voice, server, admin_cam, chat, or moderation' });
     }
 
     // Validate sortOrder parameter
@@ -277,13 +280,13 @@ router.get('/staff-overview', requireAuth, requirePermission('VIEW_DUTY'), async
       startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
     }
 
-    // Get point config values for dynamic calculation
-    const configService = getDutyConfigService();
-    const pointsBasePerMinute = await configService.getValue(guildId, 'points_base_per_minute') || 1;
-    const pointsVoicePerMinute = await configService.getValue(guildId, 'points_voice_per_minute') || 0.5;
-    const pointsTicketResponse = await configService.getValue(guildId, 'points_ticket_response') || 5;
-    const pointsServerPerMinute = await configService.getValue(guildId, 'points_server_per_minute') || 0.25;
-    const onDutyMultiplier = await configService.getValue(guildId, 'on_duty_multiplier') || 1.0;
+    // Off-duty activity is scored with the active point rules; on-duty points are the
+    // points each session was awarded when it ended. Server time isn't part of the
+    // point rules, so it keeps its own setting.
+    const { rules: pointRules } = await getDutyPointRuleService().getActiveRules(guildId);
+    const pointsVoicePerMinute = pointRules.activities?.voice_per_minute?.points || 0;
+    const pointsTicketResponse = pointRules.activities?.ticket_response?.points || 0;
+    const pointsServerPerMinute = await getDutyConfigService().getValue(guildId, 'points_server_per_minute') || 0.25;
 
     // FIRST: Get all staff member IDs from Discord
     // This is the authoritative list - only these users will appear in the overview
@@ -338,9 +341,10 @@ router.get('/staff-overview', requireAuth, requirePermission('VIEW_DUTY'), async
       // Only include if user is staff
       if (!staffDiscordIds.has(userId)) continue;
 
-      const current = dutyTimeByUser.get(userId) || { dutyMinutes: 0, sessionCount: 0 };
+      const current = dutyTimeByUser.get(userId) || { dutyMinutes: 0, sessionCount: 0, points: 0 };
       current.dutyMinutes += session.durationMinutes || 0;
       current.sessionCount += 1;
+      current.points += session.totalPoints || 0;
       dutyTimeByUser.set(userId, current);
     }
 
@@ -359,8 +363,13 @@ router.get('/staff-overview', requireAuth, requirePermission('VIEW_DUTY'), async
         offDutyTicketResponses: 0,
         totalDutyMinutes: 0,
         totalSessions: 0,
+        sessionPoints: 0,
         totalAdminCamEvents: 0,
-        totalIngameChatMessages: 0
+        totalIngameChatMessages: 0,
+        totalPlayerWarns: 0,
+        totalPlayerKicks: 0,
+        totalPlayerBans: 0,
+        offDutyModerationPoints: 0
       });
     }
 
@@ -378,6 +387,10 @@ router.get('/staff-overview', requireAuth, requirePermission('VIEW_DUTY'), async
         stats.offDutyTicketResponses = activity.offDutyTicketResponses || 0;
         stats.totalAdminCamEvents = activity.totalAdminCamEvents || 0;
         stats.totalIngameChatMessages = activity.totalIngameChatMessages || 0;
+        stats.totalPlayerWarns = activity.totalPlayerWarns || 0;
+        stats.totalPlayerKicks = activity.totalPlayerKicks || 0;
+        stats.totalPlayerBans = activity.totalPlayerBans || 0;
+        stats.offDutyModerationPoints = activity.offDutyModerationPoints || 0;
       }
     }
 
@@ -387,6 +400,7 @@ router.get('/staff-overview', requireAuth, requirePermission('VIEW_DUTY'), async
       if (stats) {
         stats.totalDutyMinutes = dutyData.dutyMinutes;
         stats.totalSessions = dutyData.sessionCount;
+        stats.sessionPoints = dutyData.points;
       }
     }
 
@@ -469,19 +483,13 @@ router.get('/staff-overview', requireAuth, requirePermission('VIEW_DUTY'), async
     let entries = Array.from(userStatsMap.values()).map(stats => {
       const serverMinutes = serverTimeMap.get(stats.discordUserId) || 0;
 
-      // Calculate base on-duty points (before multiplier)
-      const dutyPoints = stats.totalDutyMinutes * pointsBasePerMinute;
-      const onDutyVoicePoints = stats.onDutyVoiceMinutes * pointsVoicePerMinute;
-      const onDutyTicketPoints = stats.onDutyTicketResponses * pointsTicketResponse;
-      const baseOnDutyPoints = dutyPoints + onDutyVoicePoints + onDutyTicketPoints;
-
-      // Apply on-duty multiplier
-      const onDutyPoints = Math.floor(baseOnDutyPoints * onDutyMultiplier);
+      // On-duty points as awarded to completed sessions (voice, tickets and moderation included)
+      const onDutyPoints = stats.sessionPoints;
 
-      // Off-duty points (no multiplier)
+      // Off-duty points (no multiplier); moderation points were fixed when each warn/kick/ban was recorded
       const offDutyVoicePoints = stats.offDutyVoiceMinutes * pointsVoicePerMinute;
       const offDutyTicketPoints = stats.offDutyTicketResponses * pointsTicketResponse;
-      const offDutyPoints = Math.floor(offDutyVoicePoints + offDutyTicketPoints);
+      const offDutyPoints = Math.floor(offDutyVoicePoints + offDutyTicketPoints + stats.offDutyModerationPoints);
 
       // Server points (always earned, no multiplier - independent of duty status)
       const serverPoints = Math.floor(serverMinutes * pointsServerPerMinute);
@@ -502,6 +510,10 @@ router.get('/staff-overview', requireAuth, requirePermission('VIEW_DUTY'), async
         offDutyTicketResponses: stats.offDutyTicketResponses,
         totalAdminCamEvents: stats.totalAdminCamEvents,
         totalIngameChatMessages: stats.totalIngameChatMessages,
+        totalPlayerWarns: stats.totalPlayerWarns,
+        totalPlayerKicks: stats.totalPlayerKicks,
+        totalPlayerBans: stats.totalPlayerBans,
+        totalModerationActions: stats.totalPlayerWarns + stats.totalPlayerKicks + stats.totalPlayerBans,
         totalPoints,
         onDutyPoints,
         offDutyPoints,
@@ -518,7 +530,8 @@ router.get('/staff-overview', requireAuth, requirePermission('VIEW_DUTY'), async
       'voice': (a, b) => (a.totalVoiceMinutes - b.totalVoiceMinutes) * dir,
       'server': (a, b) => (a.totalServerMinutes - b.totalServerMinutes) * dir,
       'admin_cam': (a, b) => (a.totalAdminCamEvents - b.totalAdminCamEvents) * dir,
-      'chat': (a, b) => (a.totalIngameChatMessages - b.totalIngameChatMessages) * dir
+      'chat': (a, b) => (a.totalIngameChatMessages - b.totalIngameChatMessages) * dir,
+      'moderation': (a, b) => (a.totalModerationActions - b.totalModerationActions) * dir
     };
     entries.sort(sortFunctions[sortBy]);
     entries = entries.slice(0, parsedLimit);
@@ -660,6 +673,333 @@ router.get('/user/:discordId', requireAuth, requirePermission('VIEW_DUTY'), asyn
   }
 });
 
+// GET /api/v1/duty/coverage - Get admin coverage heatmap (weekday x hour, UTC)
+router.get('/coverage', requireAuth, requirePermission('VIEW_DUTY'), async (req, res) => {
+  try {
+    const { period = 'month' } = req.query;
+
+    if (!isValidPeriod(period)) {
+      return res.status(400).json({ error: 'Invalid period. Must be: today, week, month, or all-time' });
+    }
+
+    const guildId = process.env.DISCORD_GUILD_ID;
+    const configService = getDutyConfigService();
+    const { lowThreshold, snapshotIntervalMinutes } = await configService.getCoverageSettings(guildId);
+
+    const { startDate, endDate } = getDateRange(period);
+    const { cells, totalSnapshots } = await CoverageSnapshot.getHeatmap(
+      guildId,
+      startDate || new Date(0),
+      endDate || new Date(),
+      lowThreshold
+    );
+
+    const latest = await CoverageSnapshot.getLatest(guildId);
+    const populatedCells = cells.filter(c => c.samples > 0);
+    const understaffedCells = cells.filter(c => c.understaffed);
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        lowThreshold,
+        snapshotIntervalMinutes,
+        cells,
+        summary: {
+          totalSnapshots,
+          slotsWithData: populatedCells.length,
+          understaffedSlots: understaffedCells.length,
+          averageAdmins: populatedCells.length > 0
+            ? Math.round(populatedCells.reduce((sum, c) => sum + c.avgAdmins, 0) / populatedCells.length * 100) / 100
+            : 0
+        },
+        latest: latest ? {
+          snapshotTime: latest.snapshotTime,
+          adminsOnDuty: latest.adminsOnDuty,
+          tutorsOnDuty: latest.tutorsOnDuty,
+          adminsInVoice: latest.adminsInVoice,
+          adminsInGame: latest.adminsInGame,
+          serverCoverage: latest.serverCoverage || [],
+          coverageScore: latest.coverageScore !== null ? parseFloat(latest.coverageScore) : null
+        } : null
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting duty coverage', { error: error.message });
+    res.status(500).json({ error: 'Failed to get duty coverage' });
+  }
+});
+
+// GET /api/v1/duty/targets - Get this week's progress towards the weekly points target
+router.get('/targets', requireAuth, requirePermission('VIEW_DUTY'), async (req, res) => {
+  try {
+    const guildId = process.env.DISCORD_GUILD_ID;
+    const weekStart = getWeekStart();
+    const weekEnd = new Date(weekStart.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    const reportService = getDutyTargetReportService(global.discordClient) || new DutyTargetReportService(null);
+    const progress = await reportService.getProgress(guildId, weekStart, new Date());
+
+    res.json({
+      success: true,
+      data: {
+        weekStart,
+        weekEnd,
+        pointsTarget: progress.pointsTarget,
+        exceededPercent: progress.exceededPercent,
+        entries: progress.staff
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting weekly target progress', { error: error.message });
+    res.status(500).json({ error: 'Failed to get weekly target progress' });
+  }
+});
+
+// GET /api/v1/duty/inactive-staff - Get staff past their tier's inactivity limit and staff already marked inactive
+router.get('/inactive-staff', requireAuth, requirePermission('VIEW_DUTY'), async (req, res) => {
+  try {
+    const inactivityService = getStaffInactivityService(global.discordClient);
+    if (!inactivityService) {
+      return res.status(503).json({ error: 'Discord client not available' });
+    }
+
+    const guildId = process.env.DISCORD_GUILD_ID;
+    const settings = await getDutyConfigService().getInactivitySettings(guildId);
+    const inactive = await inactivityService.findInactiveStaff(guildId);
+    const archived = await inactivityService.getArchivedStaff();
+
+    res.json({
+      success: true,
+      data: {
+        tierDays: settings.tierDays,
+        archiveDays: settings.archiveDays,
+        inactive,
+        archived
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting inactive staff', { error: error.message });
+    res.status(500).json({ error: 'Failed to get inactive staff' });
+  }
+});
+
+// POST /api/v1/duty/inactive-staff/:discordId/mark - Archive and remove a staff member's staff roles
+router.post('/inactive-staff/:discordId/mark', requireAuth, requirePermission('MANAGE_INACTIVE_STAFF'), async (req, res) => {
+  try {
+    const inactivityService = getStaffInactivityService(global.discordClient);
+    if (!inactivityService) {
+      return res.status(503).json({ error: 'Discord client not available' });
+    }
+
+    const result = await inactivityService.markInactive(
+      req.params.discordId,
+      { userId: req.user.id, username: req.user.username },
+      'dashboard'
+    );
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, roles: result.roles, dmSent: result.dmSent });
+  } catch (error) {
+    logger.error('Error marking staff inactive', { discordId: req.params.discordId, error: error.message });
+    res.status(500).json({ error: 'Failed to mark staff member inactive' });
+  }
+});
+
+// POST /api/v1/duty/inactive-staff/:discordId/restore - Restore a staff member's archived staff roles
+router.post('/inactive-staff/:discordId/restore', requireAuth, requirePermission('MANAGE_INACTIVE_STAFF'), async (req, res) => {
+  try {
+    const inactivityService = getStaffInactivityService(global.discordClient);
+    if (!inactivityService) {
+      return res.status(503).json({ error: 'Discord client not available' });
+    }
+
+    const result = await inactivityService.restore(
+      req.params.discordId,
+      { userId: req.user.id, username: req.user.username },
+      'dashboard'
+    );
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      restoredRoles: result.restoredRoles,
+      failedRoles: result.failedRoles,
+      dmSent: result.dmSent
+    });
+  } catch (error) {
+    logger.error('Error restoring inactive staff', { discordId: req.params.discordId, error: error.message });
+    res.status(500).json({ error: 'Failed to restore staff member' });
+  }
+});
+
+// ============================================
+// Point Rule Sets
+// ============================================
+
+function formatRuleSet(ruleSet) {
+  return {
+    id: ruleSet.id,
+    version: ruleSet.version,
+    name: ruleSet.name,
+    description: ruleSet.description,
+    status: ruleSet.status,
+    rules: ruleSet.rules,
+    createdBy: ruleSet.created_by,
+    createdByName: ruleSet.created_by_name,
+    activatedBy: ruleSet.activated_by,
+    activatedByName: ruleSet.activated_by_name,
+    activatedAt: ruleSet.activated_at,
+    createdAt: ruleSet.createdAt,
+    updatedAt: ruleSet.updatedAt
+  };
+}
+
+// GET /api/v1/duty/point-rules - Get all point rule set versions and the points settings fallback
+router.get('/point-rules', requireAuth, requirePermission('VIEW_DUTY'), async (req, res) => {
+  try {
+    const guildId = process.env.DISCORD_GUILD_ID;
+    const ruleService = getDutyPointRuleService();
+
+    const ruleSets = await ruleService.listRuleSets(guildId);
+    const active = ruleSets.find(ruleSet => ruleSet.status === 'active');
+
+    res.json({
+      success: true,
+      data: {
+        activeVersion: active ? active.version : null,
+        settingsRules: await ruleService.getConfigRules(guildId),
+        ruleSets: ruleSets.map(formatRuleSet)
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting point rule sets', { error: error.message });
+    res.status(500).json({ error: 'Failed to get point rule sets' });
+  }
+});
+
+// POST /api/v1/duty/point-rules - Create a draft point rule set
+router.post('/point-rules', requireAuth, requirePermission('MANAGE_DUTY_SETTINGS'), async (req, res) => {
+  try {
+    const guildId = process.env.DISCORD_GUILD_ID;
+    const { name, description, rules } = req.body;
+
+    const result = await getDutyPointRuleService().createRuleSet(
+      guildId,
+      { name, description, rules },
+      { userId: req.user.id, username: req.user.username }
+    );
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, errors: result.errors });
+    }
+
+    res.status(201).json({ success: true, data: formatRuleSet(result.ruleSet) });
+  } catch (error) {
+    logger.error('Error creating point rule set', { error: error.message });
+    res.status(500).json({ error: 'Failed to create point rule set' });
+  }
+});
+
+// PUT /api/v1/duty/point-rules/:id - Edit a draft point rule set
+router.put('/point-rules/:id', requireAuth, requirePermission('MANAGE_DUTY_SETTINGS'), async (req, res) => {
+  try {
+    const guildId = process.env.DISCORD_GUILD_ID;
+    const { name, description, rules } = req.body;
+
+    const result = await getDutyPointRuleService().updateRuleSet(
+      guildId,
+      parseInt(req.params.id),
+      { name, description, rules },
+      { userId: req.user.id, username: req.user.username }
+    );
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, errors: result.errors });
+    }
+
+    res.json({ success: true, data: formatRuleSet(result.ruleSet) });
+  } catch (error) {
+    logger.error('Error updating point rule set', { ruleSetId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to update point rule set' });
+  }
+});
+
+// GET /api/v1/duty/point-rules/:id/preview - Recompute past sessions with a rule set and compare leaderboards
+router.get('/point-rules/:id/preview', requireAuth, requirePermission('VIEW_DUTY'), async (req, res) => {
+  try {
+    const guildId = process.env.DISCORD_GUILD_ID;
+    const { period = 'month', type = 'both' } = req.query;
+
+    if (!isValidPeriod(period)) {
+      return res.status(400).json({ error: 'Invalid period. Must be: today, week, month, or all-time' });
+    }
+
+    if (!isValidDutyType(type)) {
+      return res.status(400).json({ error: 'Invalid type. Must be: admin, tutor, or both' });
+    }
+
+    const ruleService = getDutyPointRuleService();
+    const ruleSet = await ruleService.getRuleSet(guildId, parseInt(req.params.id));
+    if (!ruleSet) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+
+    const { startDate, endDate } = getDateRange(period);
+    const preview = await ruleService.previewLeaderboard(guildId, ruleSet.rules, {
+      startDate,
+      endDate,
+      dutyType: type,
+      version: ruleSet.version
+    });
+
+    res.json({
+      success: true,
+      data: {
+        version: ruleSet.version,
+        period,
+        dutyType: type,
+        ...preview
+      }
+    });
+  } catch (error) {
+    logger.error('Error previewing point rule set', { ruleSetId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to preview point rule set' });
+  }
+});
+
+// POST /api/v1/duty/point-rules/:id/activate - Score sessions ending from now on with a rule set
+router.post('/point-rules/:id/activate', requireAuth, requirePermission('MANAGE_DUTY_SETTINGS'), async (req, res) => {
+  try {
+    const guildId = process.env.DISCORD_GUILD_ID;
+
+    const result = await getDutyPointRuleService().activateRuleSet(
+      guildId,
+      parseInt(req.params.id),
+      { userId: req.user.id, username: req.user.username }
+    );
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      data: formatRuleSet(result.ruleSet),
+      previousVersion: result.previous ? result.previous.version : null
+    });
+  } catch (error) {
+    logger.error('Error activating point rule set', { ruleSetId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to activate point rule set' });
+  }
+});
+
 // ============================================
 // Settings Endpoints (Transparency)
 // ============================================
@@ -866,6 +1206,7 @@ router.get('/sessions', requireAuth, requirePermission('VIEW_DUTY'), async (req,
           isActive: session.isActive,
           endReason: session.endReason,
           totalPoints: session.totalPoints,
+          pointRuleVersion: session.pointRuleVersion,
           voiceMinutes: session.voiceMinutes,
           ticketResponses: session.ticketResponses
         };
@@ -903,6 +1244,7 @@ router.get('/sessions/:id', requireAuth, requirePermission('VIEW_DUTY'), async (
         basePoints: session.basePoints,
         bonusPoints: session.bonusPoints,
         totalPoints: session.totalPoints,
+        pointRuleVersion: session.pointRuleVersion,
         voiceMinutes: session.voiceMinutes,
         ticketResponses: session.ticketResponses,
         adminCamEvents: session.adminCamEvents,
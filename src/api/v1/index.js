@@ -18,6 +18,9 @@ const dutyRoutes = require('./duty');
 const infoButtonsRoutes = require('./infoButtons');
 const userRoutes = require('./user');
 const connectionsRoutes = require('./connections');
+const bansRoutes = require('./bans');
+const donationsRoutes = require('./donations');
+const approvalsRoutes = require('./approvals');
 const { requireStaff, refreshUserRoles } = require('../middleware/auth');
 
 // Mount routes
@@ -41,6 +44,9 @@ router.use('/duty', refreshUserRoles, requireStaff, dutyRoutes);
 router.use('/info-buttons', refreshUserRoles, requireStaff, infoButtonsRoutes);
 router.use('/user', refreshUserRoles, requireStaff, userRoutes);
 router.use('/connections', refreshUserRoles, requireStaff, connectionsRoutes);
+router.use('/bans', refreshUserRoles, requireStaff, bansRoutes);
+router.use('/donations', refreshUserRoles, requireStaff, donationsRoutes);
+router.use('/approvals', refreshUserRoles, requireStaff, approvalsRoutes);
 
 // Health check endpoint (public)
 router.get('/health', (req, res) => {
@@ -4,6 +4,7 @@ const { createServiceLogger } = require('../../utils/logger');
 const { requirePermission } = require('../middleware/auth');
 const { permissionService, PERMISSION_DEFINITIONS } = require('../../services/PermissionService');
 const { AuditLog } = require('../../database/models');
+const { getChangeApprovalService } = require('../../services/ChangeApprovalService');
 
 const logger = createServiceLogger('PermissionsAPI');
 
@@ -137,6 +138,24 @@ router.put('/:permissionName', requirePermission('MANAGE_PERMISSIONS'), async (r
     // Get previous roles for audit log
     const previousRoles = await permissionService.getRolesForPermission(permissionName);
 
+    const approvalService = getChangeApprovalService();
+    if (PERMISSION_DEFINITIONS[permissionName].critical && approvalService.requiresApproval('permission_update')) {
+      const added = roles.filter(role => !previousRoles.includes(role.roleId));
+      const removed = previousRoles.filter(id => !roleIds.includes(id));
+      const changeRequest = await approvalService.createRequest({
+        actionType: 'permission_update',
+        payload: { permissionName, roles, previousRoles },
+        description: `Change roles for critical permission ${permissionName}: ${added.length} added (${added.map(role => role.roleName || role.roleId).join(', ') || 'none'}), ${removed.length} removed`,
+        targetId: permissionName
+      }, {
+        actorType: 'dashboard_user',
+        actorId: req.user.id,
+        actorName: req.user.username
+      });
+
+      return res.status(202).json({ success: true, pendingApproval: true, changeRequest });
+    }
+
     // Update permission
     await permissionService.setRolesForPermission(permissionName, roles, req.user.id);
 
@@ -210,6 +229,23 @@ router.post('/seed', requirePermission('MANAGE_PERMISSIONS'), async (req, res) =
       });
     }
 
+    // Critical permissions are part of the reset, so it needs the same second approver
+    const approvalService = getChangeApprovalService();
+    if (approvalService.requiresApproval('permission_reset')) {
+      const changeRequest = await approvalService.createRequest({
+        actionType: 'permission_reset',
+        payload: { action: 'reset_to_defaults' },
+        description: 'Reset all permissions to default values',
+        targetId: 'permissions'
+      }, {
+        actorType: 'dashboard_user',
+        actorId: req.user.id,
+        actorName: req.user.username
+      });
+
+      return res.status(202).json({ success: true, pendingApproval: true, changeRequest });
+    }
+
     // Clear existing permissions
     const { RolePermission } = require('../../database/models');
     await RolePermission.destroy({ where: {} });
@@ -5,6 +5,7 @@ const { requireAuth, requirePermission } = require('../middleware/auth');
 const PlayerProfileService = require('../../services/PlayerProfileService');
 const Player = require('../../database/models/Player');
 const { AuditLog } = require('../../database/models');
+const { getDutySquadJSTrackingService } = require('../../services/DutySquadJSTrackingService');
 
 const logger = createServiceLogger('PlayersAPI');
 
@@ -394,4 +395,171 @@ router.post('/:steamid64/reset-stats', requireAuth, requirePermission('RESET_PLA
   }
 });
 
+// Squad ban length: 0 for permanent, or a number followed by h (hours), d (days), w (weeks) or M (months)
+const BAN_DURATION_PATTERN = /^(0|[1-9]\d*[hdwM])$/;
+
+// Longest reason/message passed to an RCON moderation command
+const MAX_MODERATION_REASON_LENGTH = 200;
+
+/**
+ * Resolve the server a player is currently online on
+ * @returns {{ serverId: string, serverName: string }|null}
+ */
+function findOnlineServer(steamid64) {
+  const connectionManager = global.whitelistServices?.connectionManager;
+  const serverId = global.playtimeTrackingService?.getPlayerServerId(steamid64);
+
+  if (!connectionManager || !serverId) {
+    return null;
+  }
+
+  const connection = connectionManager.getConnections().get(serverId);
+  if (!connection?.socket?.connected) {
+    return null;
+  }
+
+  return { serverId, serverName: connection.server?.name || serverId };
+}
+
+// Duty tracking event for each dashboard moderation action
+const MODERATION_EVENT_NAMES = { warn: 'PLAYER_WARNED', kick: 'PLAYER_KICKED', ban: 'PLAYER_BANNED' };
+
+/**
+ * Shared handler for RCON moderation actions (warn, kick, ban)
+ * Validates input, sends the RCON command to the player's current server and audits the result.
+ */
+function createModerationHandler(action) {
+  return async (req, res) => {
+    const { steamid64 } = req.params;
+
+    try {
+      const reasonLabel = action === 'warn' ? 'Message' : 'Reason';
+      const rawReason = req.body.reason ?? '';
+      const duration = action === 'ban' ? String(req.body.duration ?? '').trim() : null;
+
+      if (!/^7656\d{13}$/.test(steamid64)) {
+        return res.status(400).json({ error: 'Invalid Steam64 ID format' });
+      }
+
+      if (typeof rawReason !== 'string') {
+        return res.status(400).json({ error: `${reasonLabel} must be a string` });
+      }
+
+      // Line breaks would end the RCON command early and start a new one
+      const reason = rawReason.replace(/[\r\n]+/g, ' ').trim();
+
+      if (!reason) {
+        return res.status(400).json({ error: `${reasonLabel} is required` });
+      }
+
+      if (reason.length > MAX_MODERATION_REASON_LENGTH) {
+        return res.status(400).json({ error: `${reasonLabel} must be ${MAX_MODERATION_REASON_LENGTH} characters or fewer` });
+      }
+
+      if (action === 'ban' && !BAN_DURATION_PATTERN.test(duration)) {
+        return res.status(400).json({ error: 'Invalid ban duration. Use 0 for permanent, or e.g. 12h, 7d, 2w, 1M' });
+      }
+
+      const onlineServer = findOnlineServer(steamid64);
+      if (!onlineServer) {
+        return res.status(409).json({ error: 'Player is not currently online on a connected server' });
+      }
+
+      const connectionManager = global.whitelistServices.connectionManager;
+      let sent;
+      switch (action) {
+      case 'warn':
+        sent = connectionManager.sendRCONWarn(onlineServer.serverId, steamid64, reason);
+        break;
+      case 'kick':
+        sent = connectionManager.sendRCONCommand(onlineServer.serverId, `AdminKick ${steamid64} ${reason}`);
+        break;
+      case 'ban':
+        sent = connectionManager.sendRCONCommand(onlineServer.serverId, `AdminBan ${steamid64} ${duration} ${reason}`);
+        break;
+      }
+
+      const player = await Player.findBySteamId(steamid64);
+      const playerName = player?.username || steamid64;
+      const durationText = duration === '0' ? 'permanent' : duration;
+
+      await AuditLog.create({
+        actionType: `PLAYER_${action.toUpperCase()}`,
+        actorType: 'dashboard_user',
+        actorId: req.user.id,
+        actorName: req.user.username,
+        targetType: 'player',
+        targetId: steamid64,
+        targetName: playerName,
+        serverId: onlineServer.serverId,
+        description: action === 'ban'
+          ? `Banned ${playerName} (${steamid64}) on ${onlineServer.serverName} (${durationText}): ${reason}`
+          : `${action === 'warn' ? 'Warned' : 'Kicked'} ${playerName} (${steamid64}) on ${onlineServer.serverName}: ${reason}`,
+        guildId: process.env.DISCORD_GUILD_ID,
+        success: !!sent,
+        errorMessage: sent ? null : 'RCON command could not be sent',
+        metadata: {
+          steamId: steamid64,
+          serverName: onlineServer.serverName,
+          reason,
+          duration
+        }
+      });
+
+      if (!sent) {
+        return res.status(502).json({ error: 'Failed to send RCON command to the server' });
+      }
+
+      await getDutySquadJSTrackingService()?.recordStaffModeration(req.user.id, onlineServer.serverId, MODERATION_EVENT_NAMES[action], {
+        targetSteamId: steamid64,
+        targetName: player?.username || null,
+        reason,
+        interval: duration
+      });
+
+      logger.info(`Player ${action} sent from dashboard`, {
+        steamid64,
+        serverId: onlineServer.serverId,
+        actor: req.user.username,
+        duration
+      });
+
+      res.json({
+        success: true,
+        serverId: onlineServer.serverId,
+        serverName: onlineServer.serverName,
+        message: `${action.charAt(0).toUpperCase() + action.slice(1)} sent to ${playerName} on ${onlineServer.serverName}`
+      });
+    } catch (error) {
+      logger.error(`Error performing player ${action}`, { error: error.message, steamid64 });
+      res.status(500).json({ error: `Failed to ${action} player` });
+    }
+  };
+}
+
+// GET /api/v1/players/:steamid64/actions - Where moderation actions would be sent (online status)
+router.get('/:steamid64/actions', requireAuth, requirePermission('VIEW_PLAYERS'), async (req, res) => {
+  try {
+    const onlineServer = findOnlineServer(req.params.steamid64);
+
+    res.json({
+      online: !!onlineServer,
+      serverId: onlineServer?.serverId || null,
+      serverName: onlineServer?.serverName || null
+    });
+  } catch (error) {
+    logger.error('Error getting player online status', { error: error.message, steamid64: req.params.steamid64 });
+    res.status(500).json({ error: 'Failed to get player online status' });
+  }
+});
+
+// POST /api/v1/players/:steamid64/actions/warn - Warn player in game
+router.post('/:steamid64/actions/warn', requireAuth, requirePermission('WARN_PLAYERS'), createModerationHandler('warn'));
+
+// POST /api/v1/players/:steamid64/actions/kick - Kick player from their current server
+router.post('/:steamid64/actions/kick', requireAuth, requirePermission('KICK_PLAYERS'), createModerationHandler('kick'));
+
+// POST /api/v1/players/:steamid64/actions/ban - Ban player via RCON (duration + reason)
+router.post('/:steamid64/actions/ban', requireAuth, requirePermission('BAN_PLAYERS'), createModerationHandler('ban'));
+
 module.exports = router;
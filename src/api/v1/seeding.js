@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { createServiceLogger } = require('../../utils/logger');
 const { requireAuth, requirePermission } = require('../middleware/auth');
-const { SeedingSession, SeedingParticipant, AuditLog } = require('../../database/models');
+const { SeedingSession, SeedingParticipant, SeedingSchedule, SeedingAutoRule, SeedingRewardRun, AuditLog } = require('../../database/models');
+
+const { getSeedingLeaderboardService, PERIODS } = require('../../services/SeedingLeaderboardService');
 
 const logger = createServiceLogger('SeedingAPI');
 
@@ -17,6 +19,209 @@ function setSeedingService(service) {
   seedingService = service;
 }
 
+/**
+ * Validate a rewards object as accepted by createSession
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRewards(rewards) {
+  if (!rewards || (!rewards.switch && !rewards.playtime && !rewards.completion)) {
+    return 'At least one reward tier must be configured';
+  }
+
+  if (rewards.switch) {
+    if (!rewards.switch.value || !rewards.switch.unit) {
+      return 'Switch reward requires value and unit';
+    }
+    if (!['days', 'months'].includes(rewards.switch.unit)) {
+      return 'Invalid switch reward unit';
+    }
+  }
+
+  if (rewards.playtime) {
+    if (!rewards.playtime.value || !rewards.playtime.unit || !rewards.playtime.thresholdMinutes) {
+      return 'Playtime reward requires value, unit, and thresholdMinutes';
+    }
+    if (!['days', 'months'].includes(rewards.playtime.unit)) {
+      return 'Invalid playtime reward unit';
+    }
+  }
+
+  if (rewards.completion) {
+    if (!rewards.completion.value || !rewards.completion.unit) {
+      return 'Completion reward requires value and unit';
+    }
+    if (!['days', 'months'].includes(rewards.completion.unit)) {
+      return 'Invalid completion reward unit';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Map a validated rewards object to reward columns
+ */
+function rewardsToAttributes(rewards) {
+  return {
+    switch_reward_value: rewards.switch?.value || null,
+    switch_reward_unit: rewards.switch?.unit || null,
+    playtime_reward_value: rewards.playtime?.value || null,
+    playtime_reward_unit: rewards.playtime?.unit || null,
+    playtime_threshold_minutes: rewards.playtime?.thresholdMinutes || null,
+    completion_reward_value: rewards.completion?.value || null,
+    completion_reward_unit: rewards.completion?.unit || null
+  };
+}
+
+/**
+ * Validate a schedule request body and map it to model attributes
+ * @returns {{ error?: string, values?: Object }}
+ */
+function parseScheduleBody(body) {
+  const {
+    name,
+    enabled = true,
+    targetServerId,
+    sourceServerIds,
+    playerThreshold,
+    timeOfDay,
+    daysOfWeek,
+    rewards,
+    customBroadcastMessage
+  } = body;
+
+  if (!name || !name.trim()) {
+    return { error: 'name is required' };
+  }
+  if (name.length > 100) {
+    return { error: 'name cannot exceed 100 characters' };
+  }
+  if (!targetServerId) {
+    return { error: 'targetServerId is required' };
+  }
+  if (!playerThreshold || playerThreshold < 10) {
+    return { error: 'playerThreshold must be at least 10' };
+  }
+  if (playerThreshold > 99) {
+    return { error: 'playerThreshold cannot exceed 99' };
+  }
+  if (!timeOfDay || !/^([01]\d|2[0-3]):[0-5]\d$/.test(timeOfDay)) {
+    return { error: 'timeOfDay must be in HH:MM (UTC) format' };
+  }
+  if (daysOfWeek && (!Array.isArray(daysOfWeek) || daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+    return { error: 'daysOfWeek must be an array of days 0-6' };
+  }
+  if (sourceServerIds && (!Array.isArray(sourceServerIds) || sourceServerIds.includes(targetServerId))) {
+    return { error: 'sourceServerIds must be an array not including the target server' };
+  }
+
+  const rewardsError = validateRewards(rewards);
+  if (rewardsError) {
+    return { error: rewardsError };
+  }
+
+  return {
+    values: {
+      name: name.trim(),
+      enabled: !!enabled,
+      target_server_id: targetServerId,
+      source_server_ids: sourceServerIds && sourceServerIds.length > 0 ? sourceServerIds : null,
+      player_threshold: playerThreshold,
+      time_of_day: timeOfDay,
+      days_of_week: daysOfWeek && daysOfWeek.length > 0 ? [...new Set(daysOfWeek)].sort((a, b) => a - b) : null,
+      ...rewardsToAttributes(rewards),
+      custom_broadcast_message: customBroadcastMessage || null
+    }
+  };
+}
+
+/**
+ * Validate an auto rule request body and map it to model attributes
+ * @returns {{ error?: string, values?: Object }}
+ */
+function parseAutoRuleBody(body) {
+  const {
+    name,
+    enabled = false,
+    targetServerId,
+    sourceServerIds,
+    triggerPlayerCount,
+    minPopulatedMinutes,
+    minQueueSize,
+    playerThreshold,
+    cooldownMinutes,
+    maxSessionsPerDay,
+    rewards,
+    customBroadcastMessage
+  } = body;
+
+  if (!name || !name.trim()) {
+    return { error: 'name is required' };
+  }
+  if (name.length > 100) {
+    return { error: 'name cannot exceed 100 characters' };
+  }
+  if (!targetServerId) {
+    return { error: 'targetServerId is required' };
+  }
+  if (sourceServerIds && (!Array.isArray(sourceServerIds) || sourceServerIds.includes(targetServerId))) {
+    return { error: 'sourceServerIds must be an array not including the target server' };
+  }
+  if (!playerThreshold || playerThreshold < 10) {
+    return { error: 'playerThreshold must be at least 10' };
+  }
+  if (playerThreshold > 99) {
+    return { error: 'playerThreshold cannot exceed 99' };
+  }
+  if (!Number.isInteger(triggerPlayerCount) || triggerPlayerCount < 1 || triggerPlayerCount > playerThreshold) {
+    return { error: 'triggerPlayerCount must be between 1 and playerThreshold' };
+  }
+  if (!Number.isInteger(minPopulatedMinutes) || minPopulatedMinutes < 0) {
+    return { error: 'minPopulatedMinutes must be 0 or more' };
+  }
+  if (!Number.isInteger(minQueueSize) || minQueueSize < 1) {
+    return { error: 'minQueueSize must be at least 1' };
+  }
+  if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 0) {
+    return { error: 'cooldownMinutes must be 0 or more' };
+  }
+  if (!Number.isInteger(maxSessionsPerDay) || maxSessionsPerDay < 1) {
+    return { error: 'maxSessionsPerDay must be at least 1' };
+  }
+
+  const rewardsError = validateRewards(rewards);
+  if (rewardsError) {
+    return { error: rewardsError };
+  }
+
+  return {
+    values: {
+      name: name.trim(),
+      enabled: !!enabled,
+      target_server_id: targetServerId,
+      source_server_ids: sourceServerIds && sourceServerIds.length > 0 ? sourceServerIds : null,
+      trigger_player_count: triggerPlayerCount,
+      min_populated_minutes: minPopulatedMinutes,
+      min_queue_size: minQueueSize,
+      player_threshold: playerThreshold,
+      cooldown_minutes: cooldownMinutes,
+      max_sessions_per_day: maxSessionsPerDay,
+      ...rewardsToAttributes(rewards),
+      custom_broadcast_message: customBroadcastMessage || null
+    }
+  };
+}
+
+/**
+ * Serialize a schedule with its next run time
+ */
+function formatSchedule(schedule) {
+  return {
+    ...schedule.toJSON(),
+    next_run_at: schedule.enabled ? schedule.getNextOccurrence() : null
+  };
+}
+
 // GET /api/v1/seeding/servers - Get available servers for seeding
 router.get('/servers', requireAuth, requirePermission('VIEW_SEEDING'), async (req, res) => {
   try {
@@ -195,37 +400,10 @@ router.post('/sessions', requireAuth, requirePermission('MANAGE_SEEDING'), async
       return res.status(400).json({ error: 'Test mode requires at least one source server' });
     }
 
-    // Validate rewards structure
-    if (!rewards || (!rewards.switch && !rewards.playtime && !rewards.completion)) {
-      return res.status(400).json({ error: 'At least one reward tier must be configured' });
-    }
-
-    // Validate reward tiers
-    if (rewards.switch) {
-      if (!rewards.switch.value || !rewards.switch.unit) {
-        return res.status(400).json({ error: 'Switch reward requires value and unit' });
-      }
-      if (!['days', 'months'].includes(rewards.switch.unit)) {
-        return res.status(400).json({ error: 'Invalid switch reward unit' });
-      }
-    }
-
-    if (rewards.playtime) {
-      if (!rewards.playtime.value || !rewards.playtime.unit || !rewards.playtime.thresholdMinutes) {
-        return res.status(400).json({ error: 'Playtime reward requires value, unit, and thresholdMinutes' });
-      }
-      if (!['days', 'months'].includes(rewards.playtime.unit)) {
-        return res.status(400).json({ error: 'Invalid playtime reward unit' });
-      }
-    }
-
-    if (rewards.completion) {
-      if (!rewards.completion.value || !rewards.completion.unit) {
-        return res.status(400).json({ error: 'Completion reward requires value and unit' });
-      }
-      if (!['days', 'months'].includes(rewards.completion.unit)) {
-        return res.status(400).json({ error: 'Invalid completion reward unit' });
-      }
+    // Validate rewards structure and tiers
+    const rewardsError = validateRewards(rewards);
+    if (rewardsError) {
+      return res.status(400).json({ error: rewardsError });
     }
 
     const session = await seedingService.createSession(
@@ -410,5 +588,380 @@ router.post('/sessions/:id/participants/:participantId/revoke-rewards', requireA
   }
 });
 
+// GET /api/v1/seeding/schedules - List seeding schedules
+router.get('/schedules', requireAuth, requirePermission('VIEW_SEEDING'), async (req, res) => {
+  try {
+    const schedules = await SeedingSchedule.findAll({
+      order: [['time_of_day', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: schedules.map(formatSchedule)
+    });
+  } catch (error) {
+    logger.error('Error listing schedules:', error.message);
+    res.status(500).json({ error: 'Failed to list schedules' });
+  }
+});
+
+// POST /api/v1/seeding/schedules - Create a seeding schedule
+router.post('/schedules', requireAuth, requirePermission('MANAGE_SEEDING'), async (req, res) => {
+  try {
+    const { error, values } = parseScheduleBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const schedule = await SeedingSchedule.create({
+      ...values,
+      created_by: req.user.id,
+      created_by_name: req.user.username || req.user.displayName
+    });
+
+    await AuditLog.create({
+      actionType: 'SEEDING_SCHEDULE_CREATE',
+      actorType: 'dashboard_user',
+      actorId: req.user.id,
+      actorName: req.user.username,
+      targetType: 'seeding_schedule',
+      targetId: schedule.id.toString(),
+      targetName: schedule.name,
+      description: `Created seeding schedule: ${schedule.name}`,
+      details: JSON.stringify(values),
+      severity: 'low',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    logger.info(`Schedule ${schedule.id} created by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data: formatSchedule(schedule)
+    });
+  } catch (error) {
+    logger.error('Error creating schedule:', error.message);
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
+
+// PUT /api/v1/seeding/schedules/:id - Update a seeding schedule
+router.put('/schedules/:id', requireAuth, requirePermission('MANAGE_SEEDING'), async (req, res) => {
+  try {
+    const schedule = await SeedingSchedule.findByPk(parseInt(req.params.id));
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const { error, values } = parseScheduleBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await schedule.update(values);
+
+    await AuditLog.create({
+      actionType: 'SEEDING_SCHEDULE_UPDATE',
+      actorType: 'dashboard_user',
+      actorId: req.user.id,
+      actorName: req.user.username,
+      targetType: 'seeding_schedule',
+      targetId: schedule.id.toString(),
+      targetName: schedule.name,
+      description: `Updated seeding schedule: ${schedule.name}`,
+      details: JSON.stringify(values),
+      severity: 'low',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    logger.info(`Schedule ${schedule.id} updated by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data: formatSchedule(schedule)
+    });
+  } catch (error) {
+    logger.error('Error updating schedule:', error.message);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+// DELETE /api/v1/seeding/schedules/:id - Delete a seeding schedule
+router.delete('/schedules/:id', requireAuth, requirePermission('MANAGE_SEEDING'), async (req, res) => {
+  try {
+    const schedule = await SeedingSchedule.findByPk(parseInt(req.params.id));
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    await schedule.destroy();
+
+    await AuditLog.create({
+      actionType: 'SEEDING_SCHEDULE_DELETE',
+      actorType: 'dashboard_user',
+      actorId: req.user.id,
+      actorName: req.user.username,
+      targetType: 'seeding_schedule',
+      targetId: schedule.id.toString(),
+      targetName: schedule.name,
+      description: `Deleted seeding schedule: ${schedule.name}`,
+      severity: 'medium',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    logger.info(`Schedule ${schedule.id} deleted by ${req.user.username}`);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    logger.error('Error deleting schedule:', error.message);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+// GET /api/v1/seeding/auto-rules - List automatic seeding rules
+router.get('/auto-rules', requireAuth, requirePermission('VIEW_SEEDING'), async (req, res) => {
+  try {
+    const rules = await SeedingAutoRule.findAll({
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: rules.map(rule => ({ ...rule.toJSON(), triggers_today: rule.getTriggersToday() }))
+    });
+  } catch (error) {
+    logger.error('Error listing auto rules:', error.message);
+    res.status(500).json({ error: 'Failed to list auto rules' });
+  }
+});
+
+// POST /api/v1/seeding/auto-rules - Create an automatic seeding rule
+router.post('/auto-rules', requireAuth, requirePermission('MANAGE_SEEDING'), async (req, res) => {
+  try {
+    const { error, values } = parseAutoRuleBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rule = await SeedingAutoRule.create({
+      ...values,
+      created_by: req.user.id,
+      created_by_name: req.user.username || req.user.displayName
+    });
+
+    await AuditLog.create({
+      actionType: 'SEEDING_AUTO_RULE_CREATE',
+      actorType: 'dashboard_user',
+      actorId: req.user.id,
+      actorName: req.user.username,
+      targetType: 'seeding_auto_rule',
+      targetId: rule.id.toString(),
+      targetName: rule.name,
+      description: `Created seeding auto rule: ${rule.name}`,
+      details: JSON.stringify(values),
+      severity: 'low',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    logger.info(`Auto rule ${rule.id} created by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data: { ...rule.toJSON(), triggers_today: 0 }
+    });
+  } catch (error) {
+    logger.error('Error creating auto rule:', error.message);
+    res.status(500).json({ error: 'Failed to create auto rule' });
+  }
+});
+
+// PUT /api/v1/seeding/auto-rules/:id - Update an automatic seeding rule
+router.put('/auto-rules/:id', requireAuth, requirePermission('MANAGE_SEEDING'), async (req, res) => {
+  try {
+    const rule = await SeedingAutoRule.findByPk(parseInt(req.params.id));
+    if (!rule) {
+      return res.status(404).json({ error: 'Auto rule not found' });
+    }
+
+    const { error, values } = parseAutoRuleBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await rule.update(values);
+
+    await AuditLog.create({
+      actionType: 'SEEDING_AUTO_RULE_UPDATE',
+      actorType: 'dashboard_user',
+      actorId: req.user.id,
+      actorName: req.user.username,
+      targetType: 'seeding_auto_rule',
+      targetId: rule.id.toString(),
+      targetName: rule.name,
+      description: `Updated seeding auto rule: ${rule.name}`,
+      details: JSON.stringify(values),
+      severity: 'low',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    logger.info(`Auto rule ${rule.id} updated by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data: { ...rule.toJSON(), triggers_today: rule.getTriggersToday() }
+    });
+  } catch (error) {
+    logger.error('Error updating auto rule:', error.message);
+    res.status(500).json({ error: 'Failed to update auto rule' });
+  }
+});
+
+// DELETE /api/v1/seeding/auto-rules/:id - Delete an automatic seeding rule
+router.delete('/auto-rules/:id', requireAuth, requirePermission('MANAGE_SEEDING'), async (req, res) => {
+  try {
+    const rule = await SeedingAutoRule.findByPk(parseInt(req.params.id));
+    if (!rule) {
+      return res.status(404).json({ error: 'Auto rule not found' });
+    }
+
+    await rule.destroy();
+
+    await AuditLog.create({
+      actionType: 'SEEDING_AUTO_RULE_DELETE',
+      actorType: 'dashboard_user',
+      actorId: req.user.id,
+      actorName: req.user.username,
+      targetType: 'seeding_auto_rule',
+      targetId: rule.id.toString(),
+      targetName: rule.name,
+      description: `Deleted seeding auto rule: ${rule.name}`,
+      severity: 'medium',
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    logger.info(`Auto rule ${rule.id} deleted by ${req.user.username}`);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    logger.error('Error deleting auto rule:', error.message);
+    res.status(500).json({ error: 'Failed to delete auto rule' });
+  }
+});
+
+// GET /api/v1/seeding/leaderboard - Top seeders for a period
+router.get('/leaderboard', requireAuth, requirePermission('VIEW_SEEDING'), async (req, res) => {
+  try {
+    const { period = 'month', serverId } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (!PERIODS[period]) {
+      return res.status(400).json({ error: `period must be one of: ${Object.keys(PERIODS).join(', ')}` });
+    }
+
+    const leaderboard = await getSeedingLeaderboardService().getLeaderboard(period, {
+      serverId: serverId || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: leaderboard
+    });
+  } catch (error) {
+    logger.error('Error fetching seeding leaderboard:', error.message);
+    res.status(500).json({ error: 'Failed to fetch seeding leaderboard' });
+  }
+});
+
+// GET /api/v1/seeding/reward-runs - List monthly top seeder reward runs
+router.get('/reward-runs', requireAuth, requirePermission('VIEW_SEEDING'), async (req, res) => {
+  try {
+    const runs = await SeedingRewardRun.getRecentRuns(24);
+
+    res.json({
+      success: true,
+      data: runs
+    });
+  } catch (error) {
+    logger.error('Error fetching reward runs:', error.message);
+    res.status(500).json({ error: 'Failed to fetch reward runs' });
+  }
+});
+
+// POST /api/v1/seeding/reward-runs - Grant top seeder rewards for a month (defaults to last month)
+router.post('/reward-runs', requireAuth, requirePermission('MANAGE_SEEDING'), async (req, res) => {
+  try {
+    const leaderboardService = getSeedingLeaderboardService();
+    const { month } = req.body;
+
+    if (month !== undefined && !/^\d{4}-\d{2}$/.test(month)) {
+      return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+    }
+
+    const periodStart = month ? `${month}-01` : leaderboardService.getPeriodRange('last-month').startDate;
+    const run = await leaderboardService.runMonthlyRewards(periodStart, req.user.id, req.user.username);
+
+    logger.info(`Seeding rewards for ${periodStart} granted by ${req.user.username}: ${run.granted_count} entries`);
+
+    res.status(201).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    logger.error('Error running seeding rewards:', error.message);
+
+    if (error.message.includes('already been granted') || error.message.includes('not ended')) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Failed to run seeding rewards' });
+  }
+});
+
+// POST /api/v1/seeding/reward-runs/:id/reverse - Revoke all whitelist entries granted by a reward run
+router.post('/reward-runs/:id/reverse', requireAuth, requirePermission('MANAGE_SEEDING'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const result = await getSeedingLeaderboardService().reverseRewardRun(
+      parseInt(id),
+      req.user.id,
+      req.user.username,
+      reason || 'Manual reversal via dashboard'
+    );
+
+    logger.info(`Reward run ${id} reversed by ${req.user.username}: ${result.revokedCount} entries revoked`);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error reversing reward run:', error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('already been reversed')) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Failed to reverse reward run' });
+  }
+});
+
 module.exports = router;
 module.exports.setSeedingService = setSeedingService;
@@ -5,6 +5,7 @@ const { requirePermission } = require('../middleware/auth');
 const { squadGroupService, SQUAD_PERMISSIONS, sanitizeGroupName } = require('../../services/SquadGroupService');
 const { AuditLog, Whitelist } = require('../../database/models');
 const { getHighestPriorityGroupAsync } = require('../../utils/environment');
+const { getConnectionConfigService } = require('../../services/ConnectionConfigService');
 
 const logger = createServiceLogger('SquadGroupsAPI');
 
@@ -123,7 +124,7 @@ async function syncMembersWithRole(roleId, newGroupName) {
 
   // Invalidate whitelist cache if any updates were made
   if (updated > 0 && global.whitelistServices?.whitelistService) {
-    global.whitelistServices.whitelistService.invalidateCache();
+    global.whitelistServices.whitelistService.invalidateCache(null, 'squad_groups');
     logger.info('Whitelist cache invalidated after squad group sync');
   }
 
@@ -233,7 +234,7 @@ async function syncAllMembers() {
   }
 
   if (updated > 0 && global.whitelistServices?.whitelistService) {
-    global.whitelistServices.whitelistService.invalidateCache();
+    global.whitelistServices.whitelistService.invalidateCache(null, 'squad_groups');
     logger.info('Whitelist cache invalidated after full sync');
   }
 
@@ -287,6 +288,23 @@ router.get('/', requirePermission('MANAGE_PERMISSIONS'), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/squadgroups/servers
+ * Game servers a group can be scoped to
+ * Requires: MANAGE_PERMISSIONS
+ */
+router.get('/servers', requirePermission('MANAGE_PERMISSIONS'), async (req, res) => {
+  try {
+    const servers = await getConnectionConfigService().getServers();
+    res.json({
+      servers: servers.map(server => ({ id: server.serverKey, name: server.name }))
+    });
+  } catch (error) {
+    logger.error('Failed to fetch servers', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch servers' });
+  }
+});
+
 /**
  * GET /api/v1/squadgroups/permissions
  * Get predefined Squad permissions list
@@ -392,7 +410,7 @@ router.get('/:roleId', requirePermission('MANAGE_PERMISSIONS'), async (req, res)
  * POST /api/v1/squadgroups
  * Add a new role with Squad permissions
  * Requires: MANAGE_PERMISSIONS
- * Body: { roleId: string, permissions: string[] }
+ * Body: { roleId: string, permissions: string[], serverIds?: string[] }
  */
 router.post('/', requirePermission('MANAGE_PERMISSIONS'), async (req, res) => {
   try {
@@ -407,6 +425,11 @@ router.post('/', requirePermission('MANAGE_PERMISSIONS'), async (req, res) => {
       return res.status(400).json({ error: 'permissions must be a non-empty array' });
     }
 
+    const scope = await getConnectionConfigService().parseServerScope(req.body.serverIds);
+    if (scope.error) {
+      return res.status(400).json({ error: scope.error });
+    }
+
     // Check if role is already configured
     const existingConfig = await squadGroupService.getRoleConfig(roleId);
     if (existingConfig) {
@@ -436,7 +459,8 @@ router.post('/', requirePermission('MANAGE_PERMISSIONS'), async (req, res) => {
     // Create the role config
     const result = await squadGroupService.setRolePermissions(roleId, {
       roleName,
-      permissions
+      permissions,
+      serverIds: scope.serverIds
     }, req.user.id);
 
     // Create audit log
@@ -453,7 +477,8 @@ router.post('/', requirePermission('MANAGE_PERMISSIONS'), async (req, res) => {
         roleId,
         roleName,
         groupName,
-        permissions
+        permissions,
+        serverIds: scope.serverIds
       }),
       severity: 'medium',
       ipAddress: req.ip,
@@ -490,7 +515,7 @@ router.post('/', requirePermission('MANAGE_PERMISSIONS'), async (req, res) => {
  * PUT /api/v1/squadgroups/:roleId
  * Update permissions for an existing role
  * Requires: MANAGE_PERMISSIONS
- * Body: { permissions: string[] }
+ * Body: { permissions: string[], serverIds?: string[] | null }
  */
 router.put('/:roleId', requirePermission('MANAGE_PERMISSIONS'), async (req, res) => {
   try {
@@ -502,6 +527,12 @@ router.put('/:roleId', requirePermission('MANAGE_PERMISSIONS'), async (req, res)
       return res.status(400).json({ error: 'permissions must be an array' });
     }
 
+    // Omitted serverIds keeps the current scope
+    const scope = await getConnectionConfigService().parseServerScope(req.body.serverIds);
+    if (scope.error) {
+      return res.status(400).json({ error: scope.error });
+    }
+
     // Get existing config for audit log
     const existingConfig = await squadGroupService.getRoleConfig(roleId);
     if (!existingConfig) {
@@ -528,7 +559,8 @@ router.put('/:roleId', requirePermission('MANAGE_PERMISSIONS'), async (req, res)
     // Update the role config
     const result = await squadGroupService.setRolePermissions(roleId, {
       roleName,
-      permissions
+      permissions,
+      serverIds: req.body.serverIds === undefined ? undefined : scope.serverIds
     }, req.user.id);
 
     // Create audit log
@@ -544,11 +576,13 @@ router.put('/:roleId', requirePermission('MANAGE_PERMISSIONS'), async (req, res)
       details: JSON.stringify({
         previous: {
           groupName: existingConfig.groupName,
-          permissions: existingConfig.permissions
+          permissions: existingConfig.permissions,
+          serverIds: existingConfig.serverIds
         },
         new: {
           groupName,
-          permissions
+          permissions,
+          serverIds: result.serverIds
         },
         changeCount: {
           added: permissions.filter(p => !existingConfig.permissions.includes(p)).length,
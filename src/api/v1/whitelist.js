@@ -4,6 +4,10 @@ const { Op } = require('sequelize');
 const { createServiceLogger } = require('../../utils/logger');
 const { requireAuth, requirePermission } = require('../middleware/auth');
 const { AuditLog } = require('../../database/models');
+const { getConnectionConfigService } = require('../../services/ConnectionConfigService');
+const { getWhitelistTransferService } = require('../../services/WhitelistTransferService');
+const { getWhitelistImportService, IMPORT_FORMATS } = require('../../services/WhitelistImportService');
+const { getChangeApprovalService } = require('../../services/ChangeApprovalService');
 
 const logger = createServiceLogger('WhitelistAPI');
 
@@ -49,227 +53,238 @@ function normalizeStatus(status) {
   return lower;
 }
 
-// GET /api/v1/whitelist - List whitelisted players (grouped by Steam ID)
-router.get('/', requireAuth, requirePermission('VIEW_WHITELIST'), async (req, res) => {
-  try {
-    const { Whitelist, PlayerDiscordLink } = require('../../database/models');
-    const sequelize = require('sequelize');
-
-    const {
-      page = 1,
-      limit = 25,
-      status, // active, expired, revoked, permanent
-      source, // role, manual, donation, import
-      search, // search by steamid64, username, discord_username
-      sortBy = 'granted_at',
-      sortOrder = 'DESC'
-    } = req.query;
-
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-
-    // Build base where clause for filtering
-    const baseWhere = { approved: true };
+/**
+ * Whitelisted players (grouped by Steam ID) matching the list filters, sorted but not paginated
+ * Shared by the list and export endpoints so an export matches what the Whitelist page shows.
+ * @param {Object} query - status, source, search, sortBy, sortOrder, showExpired, expiringWithin
+ * @returns {Promise<Array>}
+ */
+async function listWhitelistPlayers(query) {
+  const { Whitelist, PlayerDiscordLink } = require('../../database/models');
+  const sequelize = require('sequelize');
+
+  const {
+    status, // active, expired, revoked, permanent
+    source, // role, manual, donation, import, seeding
+    search, // search by steamid64, username, discord_username
+    sortBy = 'granted_at',
+    sortOrder = 'DESC'
+  } = query;
+
+  // Build base where clause for filtering
+  const baseWhere = { approved: true };
+
+  if (source) {
+    baseWhere.source = source;
+  }
 
-    if (source) {
-      baseWhere.source = source;
-    }
+  if (search) {
+    baseWhere[Op.or] = [
+      { steamid64: { [Op.like]: `%${search}%` } },
+      { username: { [Op.like]: `%${search}%` } },
+      { discord_username: { [Op.like]: `%${search}%` } }
+    ];
+  }
 
-    if (search) {
-      baseWhere[Op.or] = [
-        { steamid64: { [Op.like]: `%${search}%` } },
-        { username: { [Op.like]: `%${search}%` } },
-        { discord_username: { [Op.like]: `%${search}%` } }
-      ];
+  // Get all unique Steam IDs first, then fetch their data
+  // This approach ensures accurate pagination by player
+  const allEntries = await Whitelist.findAll({
+    where: baseWhere,
+    order: [['steamid64', 'ASC'], ['granted_at', 'DESC']],
+    include: [{
+      model: require('../../database/models').Group,
+      as: 'group',
+      required: false
+    }]
+  });
+
+  // Group entries by steamid64 and calculate player status
+  const playerMap = new Map();
+
+  for (const entry of allEntries) {
+    const steamid64 = entry.steamid64;
+
+    if (!playerMap.has(steamid64)) {
+      playerMap.set(steamid64, {
+        entries: [],
+        latestEntry: null
+      });
     }
 
-    // Get all unique Steam IDs first, then fetch their data
-    // This approach ensures accurate pagination by player
-    const allEntries = await Whitelist.findAll({
-      where: baseWhere,
-      order: [['steamid64', 'ASC'], ['granted_at', 'DESC']],
-      include: [{
-        model: require('../../database/models').Group,
-        as: 'group',
-        required: false
-      }]
-    });
-
-    // Group entries by steamid64 and calculate player status
-    const playerMap = new Map();
-
-    for (const entry of allEntries) {
-      const steamid64 = entry.steamid64;
-
-      if (!playerMap.has(steamid64)) {
-        playerMap.set(steamid64, {
-          entries: [],
-          latestEntry: null
-        });
-      }
-
-      const playerData = playerMap.get(steamid64);
-      playerData.entries.push(entry);
+    const playerData = playerMap.get(steamid64);
+    playerData.entries.push(entry);
 
-      // Track latest entry for display info
-      if (!playerData.latestEntry || new Date(entry.granted_at) > new Date(playerData.latestEntry.granted_at)) {
-        playerData.latestEntry = entry;
-      }
+    // Track latest entry for display info
+    if (!playerData.latestEntry || new Date(entry.granted_at) > new Date(playerData.latestEntry.granted_at)) {
+      playerData.latestEntry = entry;
     }
+  }
 
-    // Calculate status for each player
-    let players = [];
+  // Calculate status for each player
+  let players = [];
 
-    for (const [steamid64, playerData] of playerMap) {
-      const { entries, latestEntry } = playerData;
+  for (const [steamid64, playerData] of playerMap) {
+    const { entries, latestEntry } = playerData;
 
-      // Check if player has any non-revoked entries
-      const activeEntries = entries.filter(e => !e.revoked);
-      const allRevoked = activeEntries.length === 0;
+    // Check if player has any non-revoked entries
+    const activeEntries = entries.filter(e => !e.revoked);
+    const allRevoked = activeEntries.length === 0;
 
-      let playerStatus;
-      let expiration = null;
+    let playerStatus;
+    let expiration = null;
 
-      if (allRevoked) {
-        playerStatus = 'revoked';
+    if (allRevoked) {
+      playerStatus = 'revoked';
+    } else {
+      // Check for permanent
+      const hasPermanent = activeEntries.some(e =>
+        e.duration_value === null && e.duration_type === null
+      );
+
+      if (hasPermanent) {
+        playerStatus = 'permanent';
       } else {
-        // Check for permanent
-        const hasPermanent = activeEntries.some(e =>
-          e.duration_value === null && e.duration_type === null
-        );
+        // Calculate stacked expiration
+        const now = new Date();
+        const validEntries = activeEntries.filter(e => {
+          if (e.duration_value === 0) return false;
+          const exp = calculateExpiration(e);
+          return exp && exp > now;
+        });
 
-        if (hasPermanent) {
-          playerStatus = 'permanent';
-        } else {
-          // Calculate stacked expiration
-          const now = new Date();
-          const validEntries = activeEntries.filter(e => {
-            if (e.duration_value === 0) return false;
+        if (validEntries.length === 0) {
+          playerStatus = 'expired';
+          // Find most recent expiration for display
+          for (const e of activeEntries) {
             const exp = calculateExpiration(e);
-            return exp && exp > now;
-          });
-
-          if (validEntries.length === 0) {
-            playerStatus = 'expired';
-            // Find most recent expiration for display
-            for (const e of activeEntries) {
-              const exp = calculateExpiration(e);
-              if (exp && (!expiration || exp > expiration)) {
-                expiration = exp;
-              }
-            }
-          } else {
-            playerStatus = 'active';
-            // Calculate stacked expiration
-            const earliest = validEntries.sort((a, b) =>
-              new Date(a.granted_at) - new Date(b.granted_at)
-            )[0];
-            let stackedExp = new Date(earliest.granted_at);
-
-            let totalMonths = 0, totalDays = 0, totalHours = 0;
-            for (const e of validEntries) {
-              if (e.duration_type === 'months') totalMonths += e.duration_value;
-              else if (e.duration_type === 'days') totalDays += e.duration_value;
-              else if (e.duration_type === 'hours') totalHours += e.duration_value;
+            if (exp && (!expiration || exp > expiration)) {
+              expiration = exp;
             }
+          }
+        } else {
+          playerStatus = 'active';
+          // Calculate stacked expiration
+          const earliest = validEntries.sort((a, b) =>
+            new Date(a.granted_at) - new Date(b.granted_at)
+          )[0];
+          let stackedExp = new Date(earliest.granted_at);
+
+          let totalMonths = 0, totalDays = 0, totalHours = 0;
+          for (const e of validEntries) {
+            if (e.duration_type === 'months') totalMonths += e.duration_value;
+            else if (e.duration_type === 'days') totalDays += e.duration_value;
+            else if (e.duration_type === 'hours') totalHours += e.duration_value;
+          }
 
-            if (totalMonths > 0) stackedExp.setMonth(stackedExp.getMonth() + totalMonths);
-            if (totalDays > 0) stackedExp.setDate(stackedExp.getDate() + totalDays);
-            if (totalHours > 0) stackedExp.setTime(stackedExp.getTime() + (totalHours * 60 * 60 * 1000));
+          if (totalMonths > 0) stackedExp.setMonth(stackedExp.getMonth() + totalMonths);
+          if (totalDays > 0) stackedExp.setDate(stackedExp.getDate() + totalDays);
+          if (totalHours > 0) stackedExp.setTime(stackedExp.getTime() + (totalHours * 60 * 60 * 1000));
 
-            expiration = stackedExp;
-          }
+          expiration = stackedExp;
         }
       }
-
-      // Determine primary source (prefer non-revoked entries)
-      const primaryEntry = activeEntries.length > 0 ? activeEntries[0] : entries[0];
-
-      players.push({
-        steamid64,
-        username: latestEntry.username,
-        discord_username: latestEntry.discord_username,
-        discord_user_id: latestEntry.discord_user_id,
-        eosID: latestEntry.eosID,
-        status: playerStatus,
-        expiration: expiration ? expiration.toISOString() : null,
-        source: primaryEntry.source,
-        entryCount: entries.length,
-        latestGrantedAt: latestEntry.granted_at,
-        groupName: latestEntry.group?.group_name || null
-      });
     }
 
-    // Enrich with PlayerDiscordLink data (more accurate/current info)
-    const steamIds = players.map(p => p.steamid64);
-    const links = await PlayerDiscordLink.findAll({
-      where: { steamid64: { [Op.in]: steamIds }, is_primary: true }
-    });
-    const linkMap = new Map(links.map(l => [l.steamid64, l]));
+    // Determine primary source (prefer non-revoked entries)
+    const primaryEntry = activeEntries.length > 0 ? activeEntries[0] : entries[0];
 
-    players = players.map(p => {
-      const link = linkMap.get(p.steamid64);
-      if (link) {
-        return {
-          ...p,
-          username: link.username || p.username,
-          eosID: link.eosID || p.eosID,
-          discord_user_id: link.discord_user_id || p.discord_user_id
-        };
-      }
-      return p;
+    players.push({
+      steamid64,
+      username: latestEntry.username,
+      discord_username: latestEntry.discord_username,
+      discord_user_id: latestEntry.discord_user_id,
+      eosID: latestEntry.eosID,
+      status: playerStatus,
+      expiration: expiration ? expiration.toISOString() : null,
+      source: primaryEntry.source,
+      entryCount: entries.length,
+      latestGrantedAt: latestEntry.granted_at,
+      groupName: latestEntry.group?.group_name || null
     });
+  }
 
-    // Filter by specific status if provided
-    const statusFilter = req.query.status;
-    if (statusFilter) {
-      players = players.filter(p => p.status === statusFilter);
-    } else {
-      // Default behavior: only show active (active + permanent) unless showExpired is true
-      const showExpired = req.query.showExpired === 'true';
-      if (!showExpired) {
-        players = players.filter(p => p.status === 'active' || p.status === 'permanent');
-      }
+  // Enrich with PlayerDiscordLink data (more accurate/current info)
+  const steamIds = players.map(p => p.steamid64);
+  const links = await PlayerDiscordLink.findAll({
+    where: { steamid64: { [Op.in]: steamIds }, is_primary: true }
+  });
+  const linkMap = new Map(links.map(l => [l.steamid64, l]));
+
+  players = players.map(p => {
+    const link = linkMap.get(p.steamid64);
+    if (link) {
+      return {
+        ...p,
+        username: link.username || p.username,
+        eosID: link.eosID || p.eosID,
+        discord_user_id: link.discord_user_id || p.discord_user_id
+      };
+    }
+    return p;
+  });
+
+  // Filter by specific status if provided
+  const statusFilter = query.status;
+  if (statusFilter) {
+    players = players.filter(p => p.status === statusFilter);
+  } else {
+    // Default behavior: only show active (active + permanent) unless showExpired is true
+    const showExpired = query.showExpired === 'true';
+    if (!showExpired) {
+      players = players.filter(p => p.status === 'active' || p.status === 'permanent');
     }
+  }
+
+  // Filter by expiring within X days
+  const expiringWithin = query.expiringWithin ? parseInt(query.expiringWithin) : null;
+  if (expiringWithin !== null && expiringWithin > 0) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() + expiringWithin);
+
+    players = players.filter(p => {
+      // Exclude permanent entries (they never expire)
+      if (p.status === 'permanent' || !p.expiration) return false;
+      // Include only active entries expiring before the cutoff
+      if (p.status !== 'active') return false;
+      const expDate = new Date(p.expiration);
+      return expDate <= cutoffDate;
+    });
+  }
 
-    // Filter by expiring within X days
-    const expiringWithin = req.query.expiringWithin ? parseInt(req.query.expiringWithin) : null;
-    if (expiringWithin !== null && expiringWithin > 0) {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() + expiringWithin);
+  // Sort players
+  const validSortColumns = ['latestGrantedAt', 'steamid64', 'username', 'discord_username', 'source', 'status', 'expiration', 'entryCount'];
+  const sortField = sortBy === 'granted_at' ? 'latestGrantedAt' : sortBy;
+  const safeSortBy = validSortColumns.includes(sortField) ? sortField : 'latestGrantedAt';
+  const safeSortOrder = sortOrder.toUpperCase() === 'ASC' ? 1 : -1;
 
-      players = players.filter(p => {
-        // Exclude permanent entries (they never expire)
-        if (p.status === 'permanent' || !p.expiration) return false;
-        // Include only active entries expiring before the cutoff
-        if (p.status !== 'active') return false;
-        const expDate = new Date(p.expiration);
-        return expDate <= cutoffDate;
-      });
+  players.sort((a, b) => {
+    let aVal = a[safeSortBy];
+    let bVal = b[safeSortBy];
+
+    // Handle date strings for expiration
+    if (safeSortBy === 'expiration') {
+      aVal = aVal ? new Date(aVal).getTime() : (safeSortOrder === 1 ? Infinity : -Infinity);
+      bVal = bVal ? new Date(bVal).getTime() : (safeSortOrder === 1 ? Infinity : -Infinity);
     }
 
-    // Sort players
-    const validSortColumns = ['latestGrantedAt', 'steamid64', 'username', 'discord_username', 'source', 'status', 'expiration', 'entryCount'];
-    const sortField = sortBy === 'granted_at' ? 'latestGrantedAt' : sortBy;
-    const safeSortBy = validSortColumns.includes(sortField) ? sortField : 'latestGrantedAt';
-    const safeSortOrder = sortOrder.toUpperCase() === 'ASC' ? 1 : -1;
+    if (aVal === null || aVal === undefined) return 1;
+    if (bVal === null || bVal === undefined) return -1;
+    if (aVal < bVal) return -1 * safeSortOrder;
+    if (aVal > bVal) return 1 * safeSortOrder;
+    return 0;
+  });
 
-    players.sort((a, b) => {
-      let aVal = a[safeSortBy];
-      let bVal = b[safeSortBy];
+  return players;
+}
 
-      // Handle date strings for expiration
-      if (safeSortBy === 'expiration') {
-        aVal = aVal ? new Date(aVal).getTime() : (safeSortOrder === 1 ? Infinity : -Infinity);
-        bVal = bVal ? new Date(bVal).getTime() : (safeSortOrder === 1 ? Infinity : -Infinity);
-      }
+// GET /api/v1/whitelist - List whitelisted players (grouped by Steam ID)
+router.get('/', requireAuth, requirePermission('VIEW_WHITELIST'), async (req, res) => {
+  try {
+    const { page = 1, limit = 25 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
 
-      if (aVal === null || aVal === undefined) return 1;
-      if (bVal === null || bVal === undefined) return -1;
-      if (aVal < bVal) return -1 * safeSortOrder;
-      if (aVal > bVal) return 1 * safeSortOrder;
-      return 0;
-    });
+    const players = await listWhitelistPlayers(req.query);
 
     // Paginate
     const total = players.length;
@@ -369,6 +384,136 @@ router.get('/stats', requireAuth, requirePermission('VIEW_WHITELIST'), async (re
   }
 });
 
+// GET /api/v1/whitelist/servers - Game servers a grant can be scoped to
+router.get('/servers', requireAuth, requirePermission('VIEW_WHITELIST'), async (req, res) => {
+  try {
+    const servers = await getConnectionConfigService().getServers();
+
+    res.json({
+      servers: servers.map(server => ({ id: server.serverKey, name: server.name }))
+    });
+  } catch (error) {
+    logger.error('Error fetching whitelist servers', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch servers' });
+  }
+});
+
+// GET /api/v1/whitelist/export - Download players matching the list filters as CSV or Squad cfg
+router.get('/export', requireAuth, requirePermission('VIEW_WHITELIST'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
+
+    const players = await listWhitelistPlayers(req.query);
+    const content = getWhitelistImportService().format(players, format);
+    const filename = `whitelist-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    logger.error('Error exporting whitelist', { error: error.message });
+    res.status(500).json({ error: 'Failed to export whitelist' });
+  }
+});
+
+// GET /api/v1/whitelist/history - Versions of the generated whitelist for a scope
+// serverKey omitted = the shared /combined file
+router.get('/history', requireAuth, requirePermission('VIEW_WHITELIST'), async (req, res) => {
+  try {
+    const { WhitelistSnapshot } = require('../../database/models');
+    const serverKey = req.query.serverKey || null;
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(parseInt(req.query.limit) || 25, 100);
+
+    const { rows, count } = await WhitelistSnapshot.listForScope(serverKey, {
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum
+    });
+
+    res.json({
+      versions: rows,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count,
+        totalPages: Math.ceil(count / limitNum)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching whitelist history', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch whitelist history' });
+  }
+});
+
+// GET /api/v1/whitelist/history/at - The version that was live at a point in time
+router.get('/history/at', requireAuth, requirePermission('VIEW_WHITELIST'), async (req, res) => {
+  try {
+    const { WhitelistSnapshot } = require('../../database/models');
+    const at = new Date(req.query.time);
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({ error: 'time must be a valid date' });
+    }
+
+    const version = await WhitelistSnapshot.getAt(req.query.serverKey || null, at);
+    if (!version) {
+      return res.status(404).json({ error: 'No whitelist version recorded before that time' });
+    }
+
+    res.json({ version });
+  } catch (error) {
+    logger.error('Error fetching whitelist version at time', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch whitelist version' });
+  }
+});
+
+// GET /api/v1/whitelist/history/compare - Diff between any two versions
+router.get('/history/compare', requireAuth, requirePermission('VIEW_WHITELIST'), async (req, res) => {
+  try {
+    const { getWhitelistHistoryService } = require('../../services/WhitelistHistoryService');
+    const fromId = parseInt(req.query.from);
+    const toId = parseInt(req.query.to);
+    if (!fromId || !toId) {
+      return res.status(400).json({ error: 'from and to version IDs are required' });
+    }
+
+    const { from, to, diff } = await getWhitelistHistoryService().compareVersions(fromId, toId);
+    const summary = (version) => ({
+      id: version.id,
+      server_key: version.server_key,
+      version: version.version,
+      entry_count: version.entry_count,
+      createdAt: version.createdAt
+    });
+
+    res.json({ from: summary(from), to: summary(to), diff });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Error comparing whitelist versions', { error: error.message });
+    res.status(500).json({ error: 'Failed to compare whitelist versions' });
+  }
+});
+
+// GET /api/v1/whitelist/history/:id - Full version with every admin line
+router.get('/history/:id', requireAuth, requirePermission('VIEW_WHITELIST'), async (req, res) => {
+  try {
+    const { WhitelistSnapshot } = require('../../database/models');
+    const version = await WhitelistSnapshot.findByPk(req.params.id);
+    if (!version) {
+      return res.status(404).json({ error: 'Whitelist version not found' });
+    }
+
+    res.json({ version });
+  } catch (error) {
+    logger.error('Error fetching whitelist version', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch whitelist version' });
+  }
+});
+
 // GET /api/v1/whitelist/:steamid64 - Get user whitelist details and history
 router.get('/:steamid64', requireAuth, requirePermission('VIEW_WHITELIST'), async (req, res) => {
   try {
@@ -472,7 +617,8 @@ router.post('/', requireAuth, requirePermission('GRANT_WHITELIST'), async (req,
       reason,
       duration_value,
       duration_type,
-      note
+      note,
+      server_ids
     } = req.body;
 
     // Validate required fields
@@ -499,8 +645,43 @@ router.post('/', requireAuth, requirePermission('GRANT_WHITELIST'), async (req,
       }
     }
 
+    // Server scope (null/empty = all servers)
+    const scope = await getConnectionConfigService().parseServerScope(server_ids);
+    if (scope.error) {
+      return res.status(400).json({ error: scope.error });
+    }
+
     const granted_by = `${req.user.username} (${req.user.id})`;
 
+    const approvalService = getChangeApprovalService();
+    if (!duration_value && approvalService.requiresApproval('whitelist_grant_permanent')) {
+      const changeRequest = await approvalService.createRequest({
+        actionType: 'whitelist_grant_permanent',
+        payload: {
+          steamid64,
+          eosID: eosID || null,
+          username: username || null,
+          discord_username: discord_username || null,
+          reason,
+          granted_by,
+          note: note || null,
+          server_ids: scope.serverIds,
+          metadata: {
+            granted_via: 'dashboard',
+            discord_user_id: discord_user_id || null
+          }
+        },
+        description: `Grant permanent whitelist to ${username || steamid64} (${steamid64}): ${reason}`,
+        targetId: steamid64
+      }, {
+        actorType: 'dashboard_user',
+        actorId: req.user.id,
+        actorName: req.user.username
+      });
+
+      return res.status(202).json({ success: true, pendingApproval: true, changeRequest });
+    }
+
     const entry = await Whitelist.grantWhitelist({
       steamid64,
       eosID: eosID || null,
@@ -511,6 +692,7 @@ router.post('/', requireAuth, requirePermission('GRANT_WHITELIST'), async (req,
       duration_type: duration_type || null,
       granted_by,
       note: note || null,
+      server_ids: scope.serverIds,
       metadata: {
         granted_via: 'dashboard',
         discord_user_id: discord_user_id || null
@@ -527,7 +709,7 @@ router.post('/', requireAuth, requirePermission('GRANT_WHITELIST'), async (req,
       targetId: steamid64,
       targetName: username || steamid64,
       description: `Granted whitelist via dashboard: ${reason}`,
-      afterState: { entry_id: entry.id, duration_value, duration_type, reason },
+      afterState: { entry_id: entry.id, duration_value, duration_type, reason, server_ids: scope.serverIds },
       metadata: { source: 'dashboard' }
     });
 
@@ -535,6 +717,7 @@ router.post('/', requireAuth, requirePermission('GRANT_WHITELIST'), async (req,
       steamid64,
       reason,
       duration: duration_value ? `${duration_value} ${duration_type}` : 'permanent',
+      serverIds: scope.serverIds,
       grantedBy: granted_by
     });
 
@@ -552,6 +735,141 @@ router.post('/', requireAuth, requirePermission('GRANT_WHITELIST'), async (req,
   }
 });
 
+// POST /api/v1/whitelist/transfer - Move remaining whitelist time to another Steam ID
+router.post('/transfer', requireAuth, requirePermission('GRANT_WHITELIST'), requirePermission('REVOKE_WHITELIST'), async (req, res) => {
+  try {
+    const { fromSteamId, toSteamId, entryIds, reason } = req.body;
+
+    if (!fromSteamId || !toSteamId) {
+      return res.status(400).json({ error: 'Source and target Steam IDs are required' });
+    }
+
+    if (entryIds !== undefined && entryIds !== null && !Array.isArray(entryIds)) {
+      return res.status(400).json({ error: 'entryIds must be an array' });
+    }
+
+    const transferService = getWhitelistTransferService();
+    const actor = {
+      actorType: 'dashboard_user',
+      actorId: req.user.id,
+      actorName: req.user.username
+    };
+
+    const approvalService = getChangeApprovalService();
+    if (approvalService.requiresApproval('whitelist_grant_permanent') && await transferService.includesPermanent(fromSteamId, entryIds)) {
+      const changeRequest = await approvalService.createRequest({
+        actionType: 'whitelist_transfer_permanent',
+        payload: { fromSteamId, toSteamId, entryIds: entryIds || null, reason: reason || null, actor },
+        description: `Transfer whitelist including permanent entries from ${fromSteamId} to ${toSteamId}${reason ? `: ${reason}` : ''}`,
+        targetId: toSteamId
+      }, actor);
+
+      return res.status(202).json({ success: true, pendingApproval: true, changeRequest });
+    }
+
+    const result = await transferService.transferWhitelist(
+      { fromSteamId, toSteamId, entryIds, reason: reason || null },
+      actor
+    );
+
+    if (!result.success) {
+      return res.status(result.cooldownEnds ? 429 : 400).json({
+        error: result.error,
+        cooldownEnds: result.cooldownEnds || null
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error transferring whitelist', { error: error.message });
+    res.status(500).json({ error: 'Failed to transfer whitelist' });
+  }
+});
+
+// POST /api/v1/whitelist/import/preview - Parse and validate a CSV or cfg import without saving
+router.post('/import/preview', requireAuth, requirePermission('GRANT_WHITELIST'), async (req, res) => {
+  try {
+    const { content, format, durationValue, durationType } = req.body;
+
+    const result = await getWhitelistImportService().preview(content, { format, durationValue, durationType });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error previewing whitelist import', { error: error.message });
+    res.status(500).json({ error: 'Failed to preview import' });
+  }
+});
+
+// POST /api/v1/whitelist/import - Import all valid, non-duplicate rows in one transaction
+router.post('/import', requireAuth, requirePermission('GRANT_WHITELIST'), async (req, res) => {
+  try {
+    const { content, format, durationValue, durationType, reason } = req.body;
+
+    const importService = getWhitelistImportService();
+    const options = { format, durationValue, durationType, reason };
+    const grantedBy = `${req.user.username} (${req.user.id})`;
+
+    const approvalService = getChangeApprovalService();
+    if (approvalService.requiresApproval('whitelist_grant_permanent')) {
+      const preview = await importService.preview(content, options);
+      const permanentCount = preview.success
+        ? preview.rows.filter(row => row.status === 'valid' && !row.duration_value).length
+        : 0;
+
+      if (permanentCount > 0) {
+        const changeRequest = await approvalService.createRequest({
+          actionType: 'whitelist_import_permanent',
+          payload: {
+            content,
+            options,
+            granted_by: grantedBy,
+            summary: { format: preview.format, entries: preview.summary.valid, permanent: permanentCount }
+          },
+          description: `Import ${preview.summary.valid} whitelist entries from ${preview.format.toUpperCase()}, ${permanentCount} of them permanent${reason ? `: ${reason}` : ''}`
+        }, {
+          actorType: 'dashboard_user',
+          actorId: req.user.id,
+          actorName: req.user.username
+        });
+
+        return res.status(202).json({ success: true, pendingApproval: true, changeRequest });
+      }
+    }
+
+    const result = await importService.commit(content, options, grantedBy);
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, summary: result.summary || null });
+    }
+
+    await AuditLog.logAction({
+      actionType: 'whitelist_import',
+      actorType: 'dashboard_user',
+      actorId: req.user.id,
+      actorName: req.user.username,
+      targetType: 'whitelist',
+      targetId: 'bulk',
+      targetName: `${result.imported} entries`,
+      description: `Imported ${result.imported} whitelist entries from ${result.format.toUpperCase()} (${result.skipped} skipped)`,
+      afterState: { entryIds: result.entryIds },
+      metadata: { format: result.format, summary: result.summary, reason: reason || null }
+    });
+
+    res.status(201).json({
+      success: true,
+      imported: result.imported,
+      skipped: result.skipped,
+      summary: result.summary
+    });
+  } catch (error) {
+    logger.error('Error importing whitelist', { error: error.message });
+    res.status(500).json({ error: 'Failed to import whitelist' });
+  }
+});
+
 // PUT /api/v1/whitelist/:id/extend - Extend existing whitelist
 router.put('/:id/extend', requireAuth, requirePermission('GRANT_WHITELIST'), async (req, res) => {
   try {
@@ -808,6 +1126,27 @@ router.post('/:steamid64/revoke', requireAuth, requirePermission('REVOKE_WHITELI
       return res.status(404).json({ error: 'No active whitelist entries found to revoke' });
     }
 
+    const approvalService = getChangeApprovalService();
+    if (approvalService.requiresApproval('whitelist_revoke_all')) {
+      const changeRequest = await approvalService.createRequest({
+        actionType: 'whitelist_revoke_all',
+        payload: { steamid64, reason, revoked_by, entryIds: entriesBefore.map(entry => entry.id) },
+        description: `Revoke all ${entriesBefore.length} whitelist entries for ${entriesBefore[0]?.username || steamid64} (${steamid64}): ${reason}`,
+        targetId: steamid64
+      }, {
+        actorType: 'dashboard_user',
+        actorId: req.user.id,
+        actorName: req.user.username
+      });
+
+      return res.status(202).json({
+        success: true,
+        pendingApproval: true,
+        changeRequest,
+        message: `Revocation of ${entriesBefore.length} entries is waiting for a second staff member to approve`
+      });
+    }
+
     const revokedCount = await Whitelist.revokeWhitelist(steamid64, reason, revoked_by);
 
     // Log to audit
@@ -0,0 +1,92 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { permissionMiddleware } = require('../handlers/permissionHandler');
+const { sendError, createResponseEmbed } = require('../utils/messageHandler');
+const { getBanService, parseBanDuration } = require('../services/BanService');
+const { console: loggerConsole } = require('../utils/logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('ban')
+    .setDescription('Ban a player from our game servers (local ban list)')
+    .addStringOption(option =>
+      option.setName('steamid')
+        .setDescription('Steam ID64 of the player to ban')
+        .setRequired(true))
+    .addStringOption(option =>
+      option.setName('duration')
+        .setDescription('Ban length: perm, or e.g. 12h, 7d, 2w, 1M')
+        .setRequired(true))
+    .addStringOption(option =>
+      option.setName('reason')
+        .setDescription('Reason for the ban (shown to the player)')
+        .setRequired(true))
+    .addStringOption(option =>
+      option.setName('evidence')
+        .setDescription('Evidence links, separated by spaces')
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('name')
+        .setDescription('Player name (for display)')
+        .setRequired(false)),
+
+  async execute(interaction) {
+    await permissionMiddleware(interaction, async () => {
+      const steamid64 = interaction.options.getString('steamid').trim();
+      const duration = interaction.options.getString('duration').trim();
+      const reason = interaction.options.getString('reason').trim();
+      const evidenceInput = interaction.options.getString('evidence') || '';
+      const username = interaction.options.getString('name');
+
+      try {
+        await interaction.deferReply();
+
+        const result = await getBanService().createBan({
+          steamid64,
+          reason,
+          duration,
+          evidence: evidenceInput.split(/\s+/).filter(Boolean),
+          username,
+          source: 'discord'
+        }, {
+          actorType: 'user',
+          actorId: interaction.user.id,
+          actorName: interaction.user.username,
+          guildId: interaction.guild?.id,
+          channelId: interaction.channelId
+        });
+
+        if (!result.success) {
+          await interaction.editReply({ content: `❌ ${result.error}` });
+          return;
+        }
+
+        const { ban } = result;
+        const fields = [
+          { name: 'Steam ID', value: ban.steamid64, inline: true },
+          { name: 'Duration', value: parseBanDuration(duration).label, inline: true },
+          { name: 'Expires', value: ban.expires_at ? `<t:${Math.floor(new Date(ban.expires_at).getTime() / 1000)}:F>` : 'Never', inline: true },
+          { name: 'Reason', value: ban.reason, inline: false }
+        ];
+
+        if (ban.evidence) {
+          fields.push({ name: 'Evidence', value: ban.evidence.join('\n'), inline: false });
+        }
+        if (result.kicked) {
+          fields.push({ name: 'In Game', value: 'Player was online and has been kicked.', inline: false });
+        }
+
+        await interaction.editReply({
+          embeds: [createResponseEmbed({
+            title: `🔨 Ban #${ban.id} Issued`,
+            description: `**${ban.username || ban.steamid64}** has been banned by <@${interaction.user.id}>`,
+            fields,
+            color: 0xff0000
+          })]
+        });
+      } catch (error) {
+        loggerConsole.error('Ban command error:', error);
+        await sendError(interaction, error.message || 'An error occurred while issuing the ban.');
+      }
+    });
+  }
+};
@@ -0,0 +1,96 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { permissionMiddleware } = require('../handlers/permissionHandler');
+const { sendError, createResponseEmbed } = require('../utils/messageHandler');
+const { Ban } = require('../database/models');
+const { isValidSteamId } = require('../utils/steamId');
+const { console: loggerConsole } = require('../utils/logger');
+
+const APPEAL_LABELS = {
+  none: 'None',
+  pending: '⏳ Pending',
+  approved: '✅ Approved',
+  denied: '❌ Denied'
+};
+
+function formatTimestamp(date) {
+  return `<t:${Math.floor(new Date(date).getTime() / 1000)}:F>`;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('baninfo')
+    .setDescription('Show a player\'s ban status and history (local ban list)')
+    .addStringOption(option =>
+      option.setName('steamid')
+        .setDescription('Steam ID64 of the player')
+        .setRequired(true)),
+
+  async execute(interaction) {
+    await permissionMiddleware(interaction, async () => {
+      const steamid64 = interaction.options.getString('steamid').trim();
+
+      if (!isValidSteamId(steamid64)) {
+        await sendError(interaction, 'Invalid Steam ID64.');
+        return;
+      }
+
+      try {
+        const history = await Ban.getHistoryForPlayer(steamid64);
+
+        if (history.length === 0) {
+          await interaction.reply({
+            content: `No bans on record for \`${steamid64}\`.`,
+            flags: MessageFlags.Ephemeral
+          });
+          return;
+        }
+
+        const activeBan = history.find(ban => ban.isActive());
+        const fields = [];
+
+        if (activeBan) {
+          fields.push(
+            { name: 'Status', value: '🔴 Banned', inline: true },
+            { name: 'Ban', value: `#${activeBan.id}`, inline: true },
+            { name: 'Expires', value: activeBan.expires_at ? formatTimestamp(activeBan.expires_at) : 'Never (permanent)', inline: true },
+            { name: 'Reason', value: activeBan.reason, inline: false },
+            { name: 'Banned By', value: activeBan.banned_by ? `<@${activeBan.banned_by}>` : (activeBan.banned_by_name || 'Unknown'), inline: true },
+            { name: 'Issued', value: formatTimestamp(activeBan.createdAt), inline: true },
+            { name: 'Appeal', value: APPEAL_LABELS[activeBan.appeal_status] || activeBan.appeal_status, inline: true }
+          );
+
+          if (activeBan.evidence) {
+            fields.push({ name: 'Evidence', value: activeBan.evidence.join('\n'), inline: false });
+          }
+        } else {
+          fields.push({ name: 'Status', value: '🟢 Not currently banned', inline: false });
+        }
+
+        const pastBans = history.filter(ban => ban !== activeBan).slice(0, 5);
+        if (pastBans.length > 0) {
+          fields.push({
+            name: `History (${history.length} total)`,
+            value: pastBans.map(ban => {
+              const outcome = ban.revoked ? 'lifted' : 'expired';
+              return `#${ban.id} • ${new Date(ban.createdAt).toLocaleDateString()} • ${outcome} • ${ban.reason.substring(0, 60)}`;
+            }).join('\n'),
+            inline: false
+          });
+        }
+
+        await interaction.reply({
+          embeds: [createResponseEmbed({
+            title: `Ban Info: ${history[0].username || steamid64}`,
+            description: `Steam ID: \`${steamid64}\``,
+            fields,
+            color: activeBan ? 0xff0000 : 0x00ff00
+          })],
+          flags: MessageFlags.Ephemeral
+        });
+      } catch (error) {
+        loggerConsole.error('Baninfo command error:', error);
+        await sendError(interaction, error.message || 'An error occurred while looking up bans.');
+      }
+    });
+  }
+};
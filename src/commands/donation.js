@@ -0,0 +1,128 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { permissionMiddleware } = require('../handlers/permissionHandler');
+const { sendError, createResponseEmbed } = require('../utils/messageHandler');
+const { AuditLog } = require('../database/models');
+const donationService = require('../services/DonationService');
+const { setRemindersEnabled } = require('../services/WhitelistReminderService');
+const { isValidSteamId } = require('../utils/steamId');
+const { console: loggerConsole } = require('../utils/logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('donation')
+    .setDescription('Donation whitelist self-service')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('claim')
+        .setDescription('Redeem an unclaimed donation slot with your claim code')
+        .addStringOption(option =>
+          option.setName('code')
+            .setDescription('Claim code from staff (e.g. ABCD-2345)')
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('steamid')
+            .setDescription('Steam ID64 to add to the whitelist')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('reminders')
+        .setDescription('Turn whitelist expiry reminder DMs on or off')
+        .addBooleanOption(option =>
+          option.setName('enabled')
+            .setDescription('Whether to receive reminders before your whitelist expires')
+            .setRequired(true))),
+
+  async execute(interaction) {
+    await permissionMiddleware(interaction, async () => {
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+      case 'claim':
+        await handleClaim(interaction);
+        break;
+      case 'reminders':
+        await handleReminders(interaction);
+        break;
+      default:
+        await sendError(interaction, 'Unknown subcommand.');
+      }
+    });
+  }
+};
+
+async function handleClaim(interaction) {
+  const code = interaction.options.getString('code').trim();
+  const steamid64 = interaction.options.getString('steamid').trim();
+
+  if (!isValidSteamId(steamid64)) {
+    await sendError(interaction, 'Invalid Steam ID64.');
+    return;
+  }
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const result = await donationService.claimSlot(code, steamid64, interaction.user.id);
+
+    if (!result.success) {
+      await interaction.editReply({ content: `❌ ${result.error}.` });
+      return;
+    }
+
+    const { donation } = result;
+
+    await AuditLog.logAction({
+      actionType: 'donation_claim',
+      actorType: 'discord_user',
+      actorId: interaction.user.id,
+      actorName: interaction.user.username,
+      targetType: 'player',
+      targetId: steamid64,
+      targetName: steamid64,
+      description: `Claimed donation slot from donation #${donation.id} via Discord command`,
+      afterState: {
+        donation_id: donation.id,
+        whitelist_id: result.whitelistId,
+        duration_value: donation.duration_value,
+        duration_type: donation.duration_type,
+        remaining: result.remaining
+      },
+      metadata: {
+        source: 'discord_command',
+        method: 'claim_code'
+      }
+    });
+
+    await interaction.editReply({
+      embeds: [createResponseEmbed({
+        title: '✅ Donation Slot Claimed',
+        description: `\`${steamid64}\` has been added to the whitelist for **${donation.duration_value} ${donation.duration_type}**.`,
+        fields: [
+          { name: 'Remaining Slots', value: result.remaining > 0 ? `${result.remaining} (your code still works)` : 'None - the code has been used up', inline: false }
+        ],
+        color: 0x00ff00
+      })]
+    });
+  } catch (error) {
+    loggerConsole.error('Donation claim command error:', error);
+    await sendError(interaction, error.message || 'An error occurred while claiming the donation slot.');
+  }
+}
+
+async function handleReminders(interaction) {
+  const enabled = interaction.options.getBoolean('enabled');
+
+  try {
+    await setRemindersEnabled(interaction.user.id, enabled);
+
+    await interaction.reply({
+      content: enabled
+        ? '🔔 Whitelist expiry reminders are **on**. You will get a DM 7 days, 1 day and 1 hour before a donation or seeding whitelist expires.'
+        : '🔕 Whitelist expiry reminders are **off**.',
+      flags: MessageFlags.Ephemeral
+    });
+  } catch (error) {
+    loggerConsole.error('Donation reminders command error:', error);
+    await sendError(interaction, error.message || 'An error occurred while updating your reminder preference.');
+  }
+}
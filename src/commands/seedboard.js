@@ -0,0 +1,80 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { sendError } = require('../utils/messageHandler');
+const { console: loggerConsole } = require('../utils/logger');
+const { getSeedingLeaderboardService } = require('../services/SeedingLeaderboardService');
+const { SEEDING_REWARDS } = require('../../config/seedingRewards');
+
+// Helper function to format minutes to human-readable duration
+function formatMinutes(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  if (hours === 0) return `${minutes}m`;
+  if (minutes === 0) return `${hours}h`;
+  return `${hours}h ${minutes}m`;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('seedboard')
+    .setDescription('View the top server seeders')
+    .addStringOption(option =>
+      option
+        .setName('period')
+        .setDescription('Time period for leaderboard')
+        .setRequired(false)
+        .addChoices(
+          { name: 'This Month', value: 'month' },
+          { name: 'Last Month', value: 'last-month' },
+          { name: 'Last 7 Days', value: 'week' },
+          { name: 'All Time', value: 'all-time' }
+        )
+    )
+    .addIntegerOption(option =>
+      option
+        .setName('limit')
+        .setDescription('Number of players to show (default: 10)')
+        .setRequired(false)
+        .setMinValue(3)
+        .setMaxValue(25)
+    ),
+
+  async execute(interaction) {
+    await interaction.deferReply();
+
+    try {
+      const period = interaction.options.getString('period') || 'month';
+      const limit = interaction.options.getInteger('limit') || 10;
+
+      const { label, entries } = await getSeedingLeaderboardService().getLeaderboard(period, { limit });
+
+      if (entries.length === 0) {
+        return await sendError(interaction, 'No seeding time recorded in the selected period.');
+      }
+
+      const medals = ['1st', '2nd', '3rd'];
+      const rankings = entries.map(entry => {
+        const position = entry.rank <= 3 ? medals[entry.rank - 1] : `${entry.rank}th`;
+        const days = `${entry.daysSeeded} day${entry.daysSeeded !== 1 ? 's' : ''}`;
+        return `${position} **${entry.username || entry.steamId}** - ${formatMinutes(entry.seedingMinutes)} (${days})`;
+      }).join('\n');
+
+      const embed = new EmbedBuilder()
+        .setColor('#2ecc71')
+        .setTitle(`Seeding Leaderboard - ${label}`)
+        .addFields({ name: 'Rankings', value: rankings, inline: false });
+
+      if (SEEDING_REWARDS.enabled) {
+        embed.setDescription(`The top ${SEEDING_REWARDS.topN} seeders each month earn whitelist time. Use \`!seedrank\` in game to see your position.`);
+      }
+
+      embed.setFooter({ text: `Requested by ${interaction.user.tag}` });
+      embed.setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      loggerConsole.error('Seedboard command error:', error);
+      await sendError(interaction, 'Failed to retrieve the seeding leaderboard. Please try again later.');
+    }
+  }
+};
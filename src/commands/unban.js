@@ -0,0 +1,66 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { permissionMiddleware } = require('../handlers/permissionHandler');
+const { sendError, createResponseEmbed } = require('../utils/messageHandler');
+const { getBanService } = require('../services/BanService');
+const { isValidSteamId } = require('../utils/steamId');
+const { console: loggerConsole } = require('../utils/logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('unban')
+    .setDescription('Lift a player\'s active ban (local ban list)')
+    .addStringOption(option =>
+      option.setName('steamid')
+        .setDescription('Steam ID64 of the banned player')
+        .setRequired(true))
+    .addStringOption(option =>
+      option.setName('reason')
+        .setDescription('Reason for lifting the ban')
+        .setRequired(true)),
+
+  async execute(interaction) {
+    await permissionMiddleware(interaction, async () => {
+      const steamid64 = interaction.options.getString('steamid').trim();
+      const reason = interaction.options.getString('reason').trim();
+
+      if (!isValidSteamId(steamid64)) {
+        await sendError(interaction, 'Invalid Steam ID64.');
+        return;
+      }
+
+      try {
+        await interaction.deferReply();
+
+        const result = await getBanService().revokeBan(steamid64, reason, {
+          actorType: 'user',
+          actorId: interaction.user.id,
+          actorName: interaction.user.username,
+          guildId: interaction.guild?.id,
+          channelId: interaction.channelId
+        });
+
+        if (!result.success) {
+          await interaction.editReply({ content: `❌ No active ban found for \`${steamid64}\`.` });
+          return;
+        }
+
+        const { ban } = result;
+        await interaction.editReply({
+          embeds: [createResponseEmbed({
+            title: `✅ Ban #${ban.id} Lifted`,
+            description: `**${ban.username || ban.steamid64}** has been unbanned by <@${interaction.user.id}>`,
+            fields: [
+              { name: 'Steam ID', value: ban.steamid64, inline: true },
+              { name: 'Original Reason', value: ban.reason, inline: false },
+              { name: 'Unban Reason', value: reason, inline: false }
+            ],
+            color: 0x00ff00
+          })]
+        });
+      } catch (error) {
+        loggerConsole.error('Unban command error:', error);
+        await sendError(interaction, error.message || 'An error occurred while lifting the ban.');
+      }
+    });
+  }
+};
@@ -1,6 +1,7 @@
 const { SlashCommandBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType, ModalBuilder, TextInputBuilder, TextInputStyle, StringSelectMenuBuilder, MessageFlags } = require('discord.js');
 const { permissionMiddleware } = require('../handlers/permissionHandler');
 const { withLoadingMessage, createResponseEmbed, sendSuccess, sendError } = require('../utils/messageHandler');
+const { Op } = require('sequelize');
 const { Whitelist, AuditLog } = require('../database/models');
 const { WHITELIST_AWARD_ROLES } = require('../../config/discord');
 const { getHighestPriorityGroup } = require('../utils/environment');
@@ -15,6 +16,8 @@ const notificationService = require('../services/NotificationService');
 const { console: loggerConsole } = require('../utils/logger');
 const WhitelistAuthorityService = require('../services/WhitelistAuthorityService');
 const RoleWhitelistSyncService = require('../services/RoleWhitelistSyncService');
+const { getWhitelistTransferService, TRANSFER_COOLDOWN_DAYS } = require('../services/WhitelistTransferService');
+const { getChangeApprovalService } = require('../services/ChangeApprovalService');
 
 
 // Helper function to get role ID based on whitelist reason
@@ -276,6 +279,28 @@ module.exports = {
             .setDescription('Reason for revocation')
             .setRequired(false)))
 
+    // Transfer subcommand
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('transfer')
+        .setDescription('Move the remaining whitelist time from one Steam ID to another')
+        .addStringOption(option =>
+          option.setName('from')
+            .setDescription('Steam ID64 giving up the whitelist')
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('to')
+            .setDescription('Steam ID64 receiving the whitelist')
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('reason')
+            .setDescription('Reason for the transfer')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('entries')
+            .setDescription('Comma-separated entry IDs to move (default: all non-role entries)')
+            .setRequired(false)))
+
     // Sync subcommand
     .addSubcommand(subcommand =>
       subcommand
@@ -305,6 +330,9 @@ module.exports = {
         case 'revoke':
           await handleRevoke(interaction);
           break;
+        case 'transfer':
+          await handleTransfer(interaction);
+          break;
         case 'sync':
           await handleSync(interaction);
           break;
@@ -2047,6 +2075,44 @@ async function handleRevoke(interaction) {
       throw new Error('No Steam ID found. Please provide a Steam ID or link the Discord account first.');
     }
 
+    const approvalService = getChangeApprovalService(interaction.client);
+    if (approvalService.requiresApproval('whitelist_revoke_all')) {
+      const activeEntries = await Whitelist.findAll({
+        where: { steamid64: resolvedSteamId, approved: true, revoked: false, source: { [Op.ne]: 'role' } },
+        attributes: ['id']
+      });
+      const activeCount = activeEntries.length;
+
+      if (activeCount === 0) {
+        throw new Error('No active whitelist entries found for this user.');
+      }
+
+      const changeRequest = await approvalService.createRequest({
+        actionType: 'whitelist_revoke_all',
+        payload: { steamid64: resolvedSteamId, reason, revoked_by: interaction.user.id, entryIds: activeEntries.map(entry => entry.id) },
+        description: `Revoke all ${activeCount} whitelist entries for ${resolvedDiscordUser?.username || resolvedSteamId} (${resolvedSteamId}): ${reason}`,
+        targetId: resolvedSteamId
+      }, {
+        actorType: 'discord_user',
+        actorId: interaction.user.id,
+        actorName: interaction.user.username
+      });
+
+      const embed = createResponseEmbed({
+        title: '⏳ Revocation Awaiting Approval',
+        description: `A second staff member must approve change request #${changeRequest.id} before the whitelist is revoked.`,
+        fields: [
+          { name: 'Steam ID', value: resolvedSteamId, inline: true },
+          { name: 'Entries', value: activeCount.toString(), inline: true },
+          { name: 'Reason', value: reason, inline: false }
+        ],
+        color: 0xFF8C00
+      });
+
+      await sendSuccess(interaction, 'Revocation submitted for approval.', embed);
+      return;
+    }
+
     // Revoke the whitelist
     const revokedCount = await Whitelist.revokeWhitelist(
       resolvedSteamId,
@@ -2136,6 +2202,86 @@ async function handleRevoke(interaction) {
   });
 }
 
+async function handleTransfer(interaction) {
+  await withLoadingMessage(interaction, 'Transferring whitelist...', async () => {
+    const fromSteamId = interaction.options.getString('from').trim();
+    const toSteamId = interaction.options.getString('to').trim();
+    const reason = interaction.options.getString('reason') || null;
+    const entriesOption = interaction.options.getString('entries');
+
+    if (!isValidSteamId(fromSteamId) || !isValidSteamId(toSteamId)) {
+      throw new Error('Invalid Steam ID64. Both Steam IDs must be 17-digit Steam ID64s.');
+    }
+
+    let entryIds = null;
+    if (entriesOption) {
+      entryIds = entriesOption.split(',').map(id => id.trim()).filter(Boolean);
+      if (entryIds.some(id => !/^\d+$/.test(id))) {
+        throw new Error('Entry IDs must be a comma-separated list of numbers.');
+      }
+    }
+
+    const transferService = getWhitelistTransferService();
+    const actor = {
+      actorType: 'discord_user',
+      actorId: interaction.user.id,
+      actorName: interaction.user.username || interaction.user.tag,
+      guildId: interaction.guild?.id,
+      channelId: interaction.channelId
+    };
+
+    const approvalService = getChangeApprovalService(interaction.client);
+    if (approvalService.requiresApproval('whitelist_grant_permanent') && await transferService.includesPermanent(fromSteamId, entryIds)) {
+      const changeRequest = await approvalService.createRequest({
+        actionType: 'whitelist_transfer_permanent',
+        payload: { fromSteamId, toSteamId, entryIds, reason, actor },
+        description: `Transfer whitelist including permanent entries from ${fromSteamId} to ${toSteamId}${reason ? `: ${reason}` : ''}`,
+        targetId: toSteamId
+      }, actor);
+
+      const embed = createResponseEmbed({
+        title: '⏳ Transfer Awaiting Approval',
+        description: `A second staff member must approve change request #${changeRequest.id} before permanent whitelist is transferred.`,
+        fields: [
+          { name: 'From', value: fromSteamId, inline: true },
+          { name: 'To', value: toSteamId, inline: true },
+          { name: 'Reason', value: reason || 'No reason provided', inline: false }
+        ],
+        color: 0xFF8C00
+      });
+
+      await sendSuccess(interaction, 'Transfer submitted for approval.', embed);
+      return;
+    }
+
+    const result = await transferService.transferWhitelist({ fromSteamId, toSteamId, entryIds, reason }, actor);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const permanent = result.transferred.some(item => item.remainingHours === null);
+    const totalHours = result.transferred.reduce((sum, item) => sum + (item.remainingHours || 0), 0);
+
+    const embed = createResponseEmbed({
+      title: '🔁 Whitelist Transferred',
+      description: `Moved **${result.transferred.length}** whitelist entr${result.transferred.length === 1 ? 'y' : 'ies'} to \`${toSteamId}\``,
+      fields: [
+        { name: 'From', value: fromSteamId, inline: true },
+        { name: 'To', value: toSteamId, inline: true },
+        { name: 'Time Moved', value: permanent ? 'Permanent' : formatDuration(totalHours, 'hours'), inline: true },
+        { name: 'Reason', value: reason || 'No reason provided', inline: false },
+        { name: 'Transfer ID', value: result.transferId, inline: false },
+        { name: 'Transferred By', value: `<@${interaction.user.id}>`, inline: true }
+      ],
+      color: 0x5865F2
+    });
+    embed.setFooter({ text: `${fromSteamId} can transfer again in ${TRANSFER_COOLDOWN_DAYS} days` });
+
+    await sendSuccess(interaction, 'Whitelist transferred successfully!', embed);
+  });
+}
+
 async function handleSync(interaction) {
   await interaction.deferReply();
 
@@ -0,0 +1,157 @@
+'use strict';
+
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../../../config/database');
+
+/**
+ * AdminRequest Model
+ *
+ * In-game "!admin <message>" calls posted to Discord for on-duty staff.
+ * Lifecycle: open -> claimed -> resolved (open requests may also be resolved directly).
+ */
+const AdminRequest = sequelize.define('AdminRequest', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  guildId: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'guild_id'
+  },
+  serverId: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'server_id'
+  },
+  serverName: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'server_name'
+  },
+  playerName: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'player_name'
+  },
+  steamId: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'steam_id'
+  },
+  eosId: {
+    type: DataTypes.STRING(34),
+    allowNull: true,
+    field: 'eos_id'
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'open',
+    comment: 'Request status: open, claimed, resolved'
+  },
+  claimedBy: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'claimed_by'
+  },
+  claimedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'claimed_at'
+  },
+  claimSessionId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'claim_session_id',
+    comment: 'Duty session credited with the claim (NULL if claimer was off duty)'
+  },
+  resolvedBy: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'resolved_by'
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'resolved_at'
+  },
+  discordChannelId: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'discord_channel_id'
+  },
+  discordMessageId: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'discord_message_id'
+  }
+}, {
+  tableName: 'admin_requests',
+  timestamps: true,
+  indexes: [
+    { name: 'idx_admin_requests_status', fields: ['status'] },
+    { name: 'idx_admin_requests_server_created', fields: ['server_id', 'createdAt'] },
+    { name: 'idx_admin_requests_claimed_by', fields: ['claimed_by'] }
+  ]
+});
+
+// ============================================
+// Static Methods
+// ============================================
+
+/**
+ * Atomically claim an open request
+ * @returns {Promise<AdminRequest|null>} The claimed request, or null if it was no longer open
+ */
+AdminRequest.claim = async function(requestId, discordUserId, sessionId = null) {
+  const [affected] = await AdminRequest.update({
+    status: 'claimed',
+    claimedBy: discordUserId,
+    claimedAt: new Date(),
+    claimSessionId: sessionId
+  }, {
+    where: { id: requestId, status: 'open' }
+  });
+
+  return affected > 0 ? AdminRequest.findByPk(requestId) : null;
+};
+
+/**
+ * Atomically resolve an open or claimed request
+ * @returns {Promise<AdminRequest|null>} The resolved request, or null if it was already resolved
+ */
+AdminRequest.resolve = async function(requestId, discordUserId) {
+  const [affected] = await AdminRequest.update({
+    status: 'resolved',
+    resolvedBy: discordUserId,
+    resolvedAt: new Date()
+  }, {
+    where: { id: requestId, status: { [Op.in]: ['open', 'claimed'] } }
+  });
+
+  return affected > 0 ? AdminRequest.findByPk(requestId) : null;
+};
+
+/**
+ * Get unresolved requests, newest first
+ */
+AdminRequest.getOpenRequests = async function(serverId = null) {
+  const where = { status: { [Op.in]: ['open', 'claimed'] } };
+  if (serverId) {
+    where.serverId = serverId;
+  }
+
+  return AdminRequest.findAll({
+    where,
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+module.exports = AdminRequest;
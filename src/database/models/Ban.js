@@ -0,0 +1,145 @@
+const { DataTypes, Op } = require('sequelize');
+
+const APPEAL_STATUSES = ['none', 'pending', 'approved', 'denied'];
+
+module.exports = (sequelize) => {
+  const Ban = sequelize.define('Ban', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    steamid64: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    eosID: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    username: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    discord_user_id: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Linked Discord user ID (if known)'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    evidence: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Evidence links (array of URLs)'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the ban expires (NULL = permanent)'
+    },
+    banned_by: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Discord ID of the admin who issued the ban'
+    },
+    banned_by_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    source: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'discord',
+      validate: {
+        isIn: [['discord', 'dashboard']]
+      }
+    },
+    revoked: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    revoked_by: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    revoked_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    appeal_status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'none',
+      validate: {
+        isIn: [APPEAL_STATUSES]
+      }
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+  }, {
+    tableName: 'bans',
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci',
+    indexes: [
+      { name: 'idx_bans_steamid64', fields: ['steamid64'] },
+      { name: 'idx_bans_active', fields: ['revoked', 'expires_at'] },
+      { name: 'idx_bans_appeal_status', fields: ['appeal_status'] }
+    ]
+  });
+
+  /**
+   * Where clause for bans currently in effect (not lifted, not expired)
+   */
+  Ban.activeWhere = function() {
+    return {
+      revoked: false,
+      [Op.or]: [
+        { expires_at: null },
+        { expires_at: { [Op.gt]: new Date() } }
+      ]
+    };
+  };
+
+  Ban.getActiveBans = async function() {
+    return this.findAll({
+      where: this.activeWhere(),
+      order: [['createdAt', 'ASC']]
+    });
+  };
+
+  Ban.getActiveBanForPlayer = async function(steamid64) {
+    return this.findOne({
+      where: { steamid64, ...this.activeWhere() },
+      order: [['createdAt', 'DESC']]
+    });
+  };
+
+  Ban.getHistoryForPlayer = async function(steamid64) {
+    return this.findAll({
+      where: { steamid64 },
+      order: [['createdAt', 'DESC']]
+    });
+  };
+
+  Ban.prototype.isPermanent = function() {
+    return this.expires_at === null;
+  };
+
+  Ban.prototype.isActive = function() {
+    return !this.revoked && (this.expires_at === null || new Date(this.expires_at) > new Date());
+  };
+
+  Ban.APPEAL_STATUSES = APPEAL_STATUSES;
+
+  return Ban;
+};
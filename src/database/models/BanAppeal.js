@@ -0,0 +1,108 @@
+const { DataTypes } = require('sequelize');
+
+const APPEAL_STATUSES = ['open', 'accepted', 'denied'];
+
+module.exports = (sequelize) => {
+  const BanAppeal = sequelize.define('BanAppeal', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    steamid64: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    discord_user_id: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Discord user who opened the appeal'
+    },
+    discord_username: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    ban_source: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['local', 'battlemetrics']]
+      }
+    },
+    ban_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Local ban being appealed'
+    },
+    battlemetrics_ban_id: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'BattleMetrics ban being appealed'
+    },
+    ban_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    appeal_text: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'open',
+      validate: {
+        isIn: [APPEAL_STATUSES]
+      }
+    },
+    votes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Reviewer votes keyed by Discord user ID (accept/deny)'
+    },
+    decided_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    review_channel_id: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    review_message_id: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    }
+  }, {
+    tableName: 'ban_appeals',
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci',
+    indexes: [
+      { name: 'idx_ban_appeals_steamid64', fields: ['steamid64'] },
+      { name: 'idx_ban_appeals_status', fields: ['status'] },
+      { name: 'idx_ban_appeals_discord_user_id', fields: ['discord_user_id'] }
+    ]
+  });
+
+  BanAppeal.getOpenAppealForPlayer = async function(steamid64) {
+    return this.findOne({
+      where: { steamid64, status: 'open' },
+      order: [['createdAt', 'DESC']]
+    });
+  };
+
+  /**
+   * Tally reviewer votes
+   * @returns {{ accept: number, deny: number }}
+   */
+  BanAppeal.prototype.getVoteCounts = function() {
+    const votes = Object.values(this.votes || {});
+    return {
+      accept: votes.filter(vote => vote === 'accept').length,
+      deny: votes.filter(vote => vote === 'deny').length
+    };
+  };
+
+  BanAppeal.APPEAL_STATUSES = APPEAL_STATUSES;
+
+  return BanAppeal;
+};
@@ -0,0 +1,120 @@
+const { DataTypes } = require('sequelize');
+
+const ACTION_TYPES = [
+  'whitelist_grant_permanent',
+  'whitelist_import_permanent',
+  'whitelist_transfer_permanent',
+  'whitelist_revoke_all',
+  'permission_update',
+  'permission_reset'
+];
+const STATUSES = ['pending', 'executed', 'rejected', 'expired', 'failed'];
+
+module.exports = (sequelize) => {
+  const ChangeRequest = sequelize.define('ChangeRequest', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    action_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        isIn: [ACTION_TYPES]
+      }
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [STATUSES]
+      }
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Arguments the action runs with once approved'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    target_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    required_permission: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Permission the approver must hold'
+    },
+    requested_by_id: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    requested_by_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    reviewed_by_id: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    reviewed_by_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    review_note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    result: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    audit_action_id: {
+      type: DataTypes.STRING(36),
+      allowNull: true,
+      comment: 'AuditLog actionId of the request, referenced by the approval record'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    review_channel_id: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    review_message_id: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    }
+  }, {
+    tableName: 'change_requests',
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci',
+    indexes: [
+      { name: 'idx_change_requests_status', fields: ['status'] },
+      { name: 'idx_change_requests_requested_by', fields: ['requested_by_id'] }
+    ]
+  });
+
+  ChangeRequest.prototype.isExpired = function() {
+    return new Date(this.expires_at) <= new Date();
+  };
+
+  ChangeRequest.ACTION_TYPES = ACTION_TYPES;
+  ChangeRequest.STATUSES = STATUSES;
+
+  return ChangeRequest;
+};
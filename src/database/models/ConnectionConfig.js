@@ -24,7 +24,12 @@ const DEFAULT_CONFIG = {
   log_level: { value: 'info', type: 'string', category: 'logging', label: 'Log level' },
   log_connections: { value: true, type: 'boolean', category: 'logging', label: 'Log connections' },
   log_cache_hits: { value: false, type: 'boolean', category: 'logging', label: 'Log cache hits' },
-  log_squadjs_events: { value: true, type: 'boolean', category: 'logging', label: 'Log SquadJS events' }
+  log_squadjs_events: { value: true, type: 'boolean', category: 'logging', label: 'Log SquadJS events' },
+
+  // Whitelist pull access
+  whitelist_require_pull_token: { value: false, type: 'boolean', category: 'whitelist_access', label: 'Require pull token for /combined and /bans' },
+  whitelist_stale_pull_minutes: { value: 120, type: 'number', category: 'whitelist_access', label: 'Flag servers not pulling after (minutes)' },
+  whitelist_pull_log_retention_days: { value: 30, type: 'number', category: 'whitelist_access', label: 'Pull log retention (days)' }
 };
 
 const ConnectionConfig = sequelize.define('ConnectionConfig', {
@@ -248,7 +253,8 @@ ConnectionConfig.getCategories = function() {
     identifiers: { label: 'Identifiers', description: 'Player identifier preferences' },
     verification: { label: 'Verification', description: 'In-game account linking verification' },
     connection: { label: 'Connection', description: 'SquadJS reconnection and timeout settings' },
-    logging: { label: 'Logging', description: 'Logging verbosity settings' }
+    logging: { label: 'Logging', description: 'Logging verbosity settings' },
+    whitelist_access: { label: 'Whitelist Access', description: 'Access control and monitoring for game server whitelist pulls' }
   };
 };
 
@@ -0,0 +1,196 @@
+'use strict';
+
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../../../config/database');
+
+/**
+ * CoverageSnapshot Model
+ *
+ * Periodic snapshots of on-duty staff alongside live server population.
+ * Table is created by migration 042. Used for the coverage heatmap (hour-of-day x weekday).
+ */
+const CoverageSnapshot = sequelize.define('CoverageSnapshot', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false
+  },
+  snapshotTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'snapshot_time',
+    comment: 'When this snapshot was taken'
+  },
+  guildId: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    field: 'guild_id'
+  },
+  adminsOnDuty: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'admins_on_duty'
+  },
+  tutorsOnDuty: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'tutors_on_duty'
+  },
+  adminsInVoice: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'admins_in_voice'
+  },
+  adminsInGame: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'admins_in_game'
+  },
+  activeAdminIds: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'active_admin_ids'
+  },
+  activeTutorIds: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'active_tutor_ids'
+  },
+  serverCoverage: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'server_coverage',
+    comment: 'Per-server breakdown: [{serverId, serverName, adminCount, playerCount}]'
+  },
+  coverageScore: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    field: 'coverage_score'
+  },
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'coverage_snapshots',
+  timestamps: true,
+  createdAt: 'createdAt',
+  updatedAt: false // Snapshots are immutable
+});
+
+// ============================================
+// Static Methods
+// ============================================
+
+/**
+ * Record a coverage snapshot
+ */
+CoverageSnapshot.recordSnapshot = async function(data) {
+  const {
+    guildId,
+    adminIds = [],
+    tutorIds = [],
+    adminsInVoice = 0,
+    adminsInGame = 0,
+    serverCoverage = [],
+    coverageScore = null,
+    metadata = null
+  } = data;
+
+  return CoverageSnapshot.create({
+    snapshotTime: new Date(),
+    guildId,
+    adminsOnDuty: adminIds.length,
+    tutorsOnDuty: tutorIds.length,
+    adminsInVoice,
+    adminsInGame,
+    activeAdminIds: adminIds,
+    activeTutorIds: tutorIds,
+    serverCoverage,
+    coverageScore,
+    metadata
+  });
+};
+
+/**
+ * Get the most recent snapshot for a guild
+ */
+CoverageSnapshot.getLatest = async function(guildId) {
+  return CoverageSnapshot.findOne({
+    where: { guildId },
+    order: [['snapshotTime', 'DESC']]
+  });
+};
+
+/**
+ * Build a weekday x hour heatmap (UTC) for a period
+ * Returns 168 cells, one per weekday/hour slot, averaged over all snapshots in that slot.
+ * A slot is understaffed when it had players on average but fewer admins than lowThreshold.
+ */
+CoverageSnapshot.getHeatmap = async function(guildId, startDate, endDate, lowThreshold) {
+  const snapshots = await CoverageSnapshot.findAll({
+    where: {
+      guildId,
+      snapshotTime: {
+        [Op.between]: [startDate, endDate]
+      }
+    },
+    attributes: ['snapshotTime', 'adminsOnDuty', 'serverCoverage'],
+    raw: true
+  });
+
+  // Map<"weekday:hour", { samples, adminTotal, playerTotal }>
+  const slots = new Map();
+
+  for (const snapshot of snapshots) {
+    const time = new Date(snapshot.snapshotTime);
+    const key = `${time.getUTCDay()}:${time.getUTCHours()}`;
+
+    // With raw: true, JSON columns may come back as strings on MariaDB
+    let servers = snapshot.serverCoverage || [];
+    if (typeof servers === 'string') {
+      try {
+        servers = JSON.parse(servers);
+      } catch (e) {
+        servers = [];
+      }
+    }
+    const playerCount = servers.reduce((sum, s) => sum + (s.playerCount || 0), 0);
+
+    const slot = slots.get(key) || { samples: 0, adminTotal: 0, playerTotal: 0 };
+    slot.samples += 1;
+    slot.adminTotal += snapshot.adminsOnDuty;
+    slot.playerTotal += playerCount;
+    slots.set(key, slot);
+  }
+
+  const cells = [];
+  for (let weekday = 0; weekday < 7; weekday++) {
+    for (let hour = 0; hour < 24; hour++) {
+      const slot = slots.get(`${weekday}:${hour}`);
+      const avgAdmins = slot ? slot.adminTotal / slot.samples : 0;
+      const avgPlayers = slot ? slot.playerTotal / slot.samples : 0;
+
+      cells.push({
+        weekday,
+        hour,
+        samples: slot ? slot.samples : 0,
+        avgAdmins: Math.round(avgAdmins * 100) / 100,
+        avgPlayers: Math.round(avgPlayers * 10) / 10,
+        understaffed: !!slot && avgPlayers > 0 && avgAdmins < lowThreshold
+      });
+    }
+  }
+
+  return {
+    cells,
+    totalSnapshots: snapshots.length
+  };
+};
+
+module.exports = CoverageSnapshot;
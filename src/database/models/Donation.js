@@ -0,0 +1,232 @@
+const { DataTypes, Op } = require('sequelize');
+
+const STATUSES = ['processing', 'granted', 'awaiting_claim', 'partial', 'failed', 'refunded', 'chargeback'];
+const REVERSED_STATUSES = ['refunded', 'chargeback'];
+
+module.exports = (sequelize) => {
+  const Donation = sequelize.define('Donation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    platform: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: 'Donation platform: kofi, patreon, tebex, stripe, generic'
+    },
+    transaction_id: {
+      type: DataTypes.STRING(191),
+      allowNull: true,
+      comment: 'Platform transaction ID (NULL for legacy rows without one)'
+    },
+    payment_reference: {
+      type: DataTypes.STRING(191),
+      allowNull: true,
+      comment: 'Secondary payment ID used by refund events (e.g. Stripe payment intent)'
+    },
+    subscription_id: {
+      type: DataTypes.STRING(191),
+      allowNull: true,
+      comment: 'Platform subscription ID for recurring payments'
+    },
+    is_recurring: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    donor_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    donor_email: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      get() {
+        const value = this.getDataValue('amount');
+        return value === null ? null : parseFloat(value);
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: true
+    },
+    steam_ids: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Steam IDs covered by the donation'
+    },
+    whitelist_ids: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Whitelist entry IDs created for the donation'
+    },
+    tier_description: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'processing',
+      validate: {
+        isIn: [STATUSES]
+      }
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    reversed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reversed_by: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Who recorded the refund (webhook or Discord ID)'
+    },
+    slots_total: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Number of Steam IDs the donation paid for'
+    },
+    duration_value: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Whitelist duration granted to each slot'
+    },
+    duration_type: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Duration unit: days, months'
+    },
+    claim_code_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'SHA-256 hash of the claim code for unclaimed slots'
+    },
+    unclaimed_slots: {
+      type: DataTypes.VIRTUAL,
+      get() {
+        const total = this.getDataValue('slots_total') || 0;
+        return Math.max(total - (this.getDataValue('steam_ids') || []).length, 0);
+      }
+    }
+  }, {
+    tableName: 'donations',
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci',
+    indexes: [
+      { name: 'idx_donations_transaction', unique: true, fields: ['platform', 'transaction_id'] },
+      { name: 'idx_donations_payment_reference', fields: ['platform', 'payment_reference'] },
+      { name: 'idx_donations_subscription', fields: ['platform', 'subscription_id'] },
+      { name: 'idx_donations_created', fields: ['createdAt'] },
+      { name: 'idx_donations_claim_code', unique: true, fields: ['claim_code_hash'] }
+    ]
+  });
+
+  /**
+   * Find the donation a refund or chargeback refers to
+   * Matches either the transaction ID or the secondary payment reference.
+   * @param {string} platform - Donation platform key
+   * @param {string} reference - Transaction ID or payment reference
+   * @returns {Promise<Donation|null>}
+   */
+  Donation.findByReference = async function(platform, reference) {
+    return this.findOne({
+      where: {
+        platform,
+        [Op.or]: [{ transaction_id: reference }, { payment_reference: reference }]
+      }
+    });
+  };
+
+  /**
+   * All payments made under a recurring subscription, oldest first
+   * @param {string} platform - Donation platform key
+   * @param {string} subscriptionId - Platform subscription ID
+   * @returns {Promise<Donation[]>}
+   */
+  Donation.getSubscriptionPayments = async function(platform, subscriptionId) {
+    return this.findAll({
+      where: { platform, subscription_id: subscriptionId },
+      order: [['createdAt', 'ASC']]
+    });
+  };
+
+  /**
+   * Monthly revenue totals, grouped by currency
+   * Gross counts every payment received; reversed counts refunds and chargebacks.
+   * @param {number} months - Number of months to include, including the current one
+   * @returns {Promise<Array<{month: string, currency: string|null, gross: number, reversed: number, net: number, count: number}>>}
+   */
+  Donation.getMonthlyRevenue = async function(months = 12) {
+    const since = new Date();
+    since.setUTCDate(1);
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCMonth(since.getUTCMonth() - (months - 1));
+
+    const rows = await this.findAll({
+      where: { createdAt: { [Op.gte]: since } },
+      attributes: [
+        [sequelize.fn('DATE_FORMAT', sequelize.col('createdAt'), '%Y-%m'), 'month'],
+        'currency',
+        [sequelize.fn('SUM', sequelize.col('amount')), 'gross'],
+        [sequelize.fn('SUM', sequelize.literal(`CASE WHEN status IN ('${REVERSED_STATUSES.join('\', \'')}') THEN amount ELSE 0 END`)), 'reversed'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      group: ['month', 'currency'],
+      order: [[sequelize.literal('month'), 'ASC']],
+      raw: true
+    });
+
+    return rows.map(row => {
+      const gross = parseFloat(row.gross) || 0;
+      const reversed = parseFloat(row.reversed) || 0;
+      return {
+        month: row.month,
+        currency: row.currency,
+        gross,
+        reversed,
+        net: gross - reversed,
+        count: parseInt(row.count, 10)
+      };
+    });
+  };
+
+  /**
+   * Find the donation a claim code belongs to
+   * @param {string} codeHash - SHA-256 hash of the normalised claim code
+   * @returns {Promise<Donation|null>}
+   */
+  Donation.findByClaimCodeHash = async function(codeHash) {
+    return this.findOne({ where: { claim_code_hash: codeHash } });
+  };
+
+  Donation.prototype.isReversed = function() {
+    return REVERSED_STATUSES.includes(this.status);
+  };
+
+  // Never expose the claim code hash through the API
+  Donation.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.claim_code_hash;
+    return values;
+  };
+
+  Donation.STATUSES = STATUSES;
+  Donation.REVERSED_STATUSES = REVERSED_STATUSES;
+
+  return Donation;
+};
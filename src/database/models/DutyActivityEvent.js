@@ -3,6 +3,13 @@
 const { DataTypes, Op } = require('sequelize');
 const { sequelize } = require('../../../config/database');
 
+// Moderation event types and the overview total each one counts toward
+const MODERATION_EVENT_FIELDS = {
+  player_warn: 'totalPlayerWarns',
+  player_kick: 'totalPlayerKicks',
+  player_ban: 'totalPlayerBans'
+};
+
 /**
  * DutyActivityEvent Model
  *
@@ -42,7 +49,7 @@ const DutyActivityEvent = sequelize.define('DutyActivityEvent', {
     type: DataTypes.STRING(50),
     allowNull: false,
     field: 'event_type',
-    comment: 'Type: voice_session, ticket_response, admin_cam, ingame_chat'
+    comment: 'Type: voice_session, ticket_response, admin_cam, ingame_chat, admin_request_claim, player_warn, player_kick, player_ban'
   },
   eventTimestamp: {
     type: DataTypes.DATE,
@@ -149,6 +156,38 @@ DutyActivityEvent.recordTicketResponse = async function(discordUserId, guildId,
   });
 };
 
+/**
+ * Record a claimed in-game !admin request
+ */
+DutyActivityEvent.recordAdminRequestClaim = async function(discordUserId, guildId, sessionId, serverId, requestId) {
+  return DutyActivityEvent.recordEvent({
+    sessionId,
+    discordUserId,
+    guildId,
+    isOnDuty: !!sessionId,
+    eventType: 'admin_request_claim',
+    serverId,
+    metadata: { requestId }
+  });
+};
+
+/**
+ * Record an in-game warn, kick or ban issued by a staff member
+ * pointsAwarded keeps the configured value at the time of the action.
+ */
+DutyActivityEvent.recordModerationAction = async function(discordUserId, guildId, sessionId, eventType, serverId, pointsAwarded, metadata) {
+  return DutyActivityEvent.recordEvent({
+    sessionId,
+    discordUserId,
+    guildId,
+    isOnDuty: !!sessionId,
+    eventType,
+    serverId,
+    pointsAwarded,
+    metadata
+  });
+};
+
 /**
  * Get aggregated activity stats for a user within a date range
  */
@@ -197,6 +236,28 @@ DutyActivityEvent.getActivityForPeriod = async function(discordUserId, guildId,
   return stats;
 };
 
+/**
+ * Most recent event per user for the given event types
+ * Used to spot staff whose only recent activity was off duty (voice, tickets).
+ * @returns {Promise<Map<string, Date>>}
+ */
+DutyActivityEvent.getLastActivityByUser = async function(guildId, eventTypes) {
+  const rows = await DutyActivityEvent.findAll({
+    where: {
+      guildId,
+      eventType: { [Op.in]: eventTypes }
+    },
+    attributes: [
+      'discordUserId',
+      [sequelize.fn('MAX', sequelize.col('event_timestamp')), 'lastEventAt']
+    ],
+    group: ['discordUserId'],
+    raw: true
+  });
+
+  return new Map(rows.map(row => [row.discordUserId, new Date(row.lastEventAt)]));
+};
+
 /**
  * Get staff overview aggregated by user for a period
  * Returns all users with activity in the period with their stats
@@ -230,7 +291,13 @@ DutyActivityEvent.getStaffOverviewForPeriod = async function(guildId, startDate,
         onDutyTicketResponses: 0,
         offDutyTicketResponses: 0,
         totalAdminCamEvents: 0,
-        totalIngameChatMessages: 0
+        totalIngameChatMessages: 0,
+        totalAdminRequestsClaimed: 0,
+        totalPlayerWarns: 0,
+        totalPlayerKicks: 0,
+        totalPlayerBans: 0,
+        onDutyModerationPoints: 0,
+        offDutyModerationPoints: 0
       });
     }
 
@@ -255,6 +322,15 @@ DutyActivityEvent.getStaffOverviewForPeriod = async function(guildId, startDate,
       stats.totalAdminCamEvents += 1;
     } else if (event.eventType === 'ingame_chat') {
       stats.totalIngameChatMessages += 1;
+    } else if (event.eventType === 'admin_request_claim') {
+      stats.totalAdminRequestsClaimed += 1;
+    } else if (MODERATION_EVENT_FIELDS[event.eventType]) {
+      stats[MODERATION_EVENT_FIELDS[event.eventType]] += 1;
+      if (event.isOnDuty) {
+        stats.onDutyModerationPoints += event.pointsAwarded || 0;
+      } else {
+        stats.offDutyModerationPoints += event.pointsAwarded || 0;
+      }
     }
   }
 
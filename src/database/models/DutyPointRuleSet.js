@@ -0,0 +1,152 @@
+const { DataTypes, UniqueConstraintError } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const DutyPointRuleSet = sequelize.define('DutyPointRuleSet', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    guild_id: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Version number, increasing per guild'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'draft',
+      comment: 'draft, active or archived'
+    },
+    rules: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    created_by: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    created_by_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    activated_by: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    activated_by_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    activated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'duty_point_rule_sets',
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci',
+    indexes: [
+      { name: 'idx_duty_point_rule_sets_version', unique: true, fields: ['guild_id', 'version'] },
+      { name: 'idx_duty_point_rule_sets_status', fields: ['guild_id', 'status'] }
+    ]
+  });
+
+  /**
+   * The rule set currently scoring sessions, or null if the points settings apply
+   * @param {string} guildId
+   * @returns {Promise<DutyPointRuleSet|null>}
+   */
+  DutyPointRuleSet.getActive = async function(guildId) {
+    return this.findOne({ where: { guild_id: guildId, status: 'active' } });
+  };
+
+  /**
+   * @param {string} guildId
+   * @returns {Promise<number>}
+   */
+  DutyPointRuleSet.getNextVersion = async function(guildId) {
+    const latest = await this.max('version', { where: { guild_id: guildId } });
+    return (latest || 0) + 1;
+  };
+
+  /**
+   * Create a rule set under the next free version number
+   * Two drafts created at once can read the same next version; the unique index
+   * rejects the second, which then retries with the version after it.
+   * @param {string} guildId
+   * @param {Object} data - Rule set fields other than guild_id and version
+   * @param {number} [attempts]
+   * @returns {Promise<DutyPointRuleSet>}
+   */
+  DutyPointRuleSet.createWithNextVersion = async function(guildId, data, attempts = 3) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.create({
+          ...data,
+          guild_id: guildId,
+          version: await this.getNextVersion(guildId)
+        });
+      } catch (error) {
+        if (!(error instanceof UniqueConstraintError) || attempt >= attempts) {
+          throw error;
+        }
+      }
+    }
+  };
+
+  /**
+   * Make a rule set the active one, archiving whichever was active before
+   * Archived versions can be activated again to roll back.
+   * @param {number} ruleSetId
+   * @param {string} activatedBy - Discord ID
+   * @param {string} activatedByName
+   * @returns {Promise<{ruleSet: DutyPointRuleSet, previous: DutyPointRuleSet|null}|null>} null if not found
+   */
+  DutyPointRuleSet.activate = async function(ruleSetId, activatedBy, activatedByName) {
+    const transaction = await sequelize.transaction();
+    try {
+      const ruleSet = await this.findByPk(ruleSetId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!ruleSet) {
+        await transaction.rollback();
+        return null;
+      }
+
+      const previous = await this.findOne({
+        where: { guild_id: ruleSet.guild_id, status: 'active' },
+        transaction
+      });
+
+      if (previous && previous.id !== ruleSet.id) {
+        await previous.update({ status: 'archived' }, { transaction });
+      }
+
+      await ruleSet.update({
+        status: 'active',
+        activated_by: activatedBy,
+        activated_by_name: activatedByName,
+        activated_at: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+      return { ruleSet, previous: previous && previous.id !== ruleSet.id ? previous : null };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  };
+
+  return DutyPointRuleSet;
+};
@@ -72,7 +72,7 @@ const DutySession = sequelize.define('DutySession', {
     type: DataTypes.STRING(50),
     allowNull: true,
     field: 'end_reason',
-    comment: 'How session ended: manual, auto_timeout, role_removed, server_restart'
+    comment: 'How session ended: manual, auto_timeout, role_removed, server_restart, left_server'
   },
 
   basePoints: {
@@ -99,6 +99,13 @@ const DutySession = sequelize.define('DutySession', {
     comment: 'Total points for this session'
   },
 
+  pointRuleVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'point_rule_version',
+    comment: 'Point rule set version that scored the session (null = points settings)'
+  },
+
   voiceMinutes: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -131,6 +138,38 @@ const DutySession = sequelize.define('DutySession', {
     comment: 'Number of in-game chat messages (SquadJS)'
   },
 
+  adminRequestsClaimed: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'admin_requests_claimed',
+    comment: 'Number of in-game !admin requests claimed'
+  },
+
+  playerWarns: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'player_warns',
+    comment: 'Number of in-game warns issued (SquadJS)'
+  },
+
+  playerKicks: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'player_kicks',
+    comment: 'Number of in-game kicks issued (SquadJS)'
+  },
+
+  playerBans: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'player_bans',
+    comment: 'Number of in-game bans issued (SquadJS)'
+  },
+
   warningSentAt: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -242,7 +281,8 @@ DutySession.endSession = async function(sessionId, endReason = 'manual', pointsD
     endReason,
     basePoints: pointsData.basePoints || 0,
     bonusPoints: pointsData.bonusPoints || 0,
-    totalPoints: (pointsData.basePoints || 0) + (pointsData.bonusPoints || 0)
+    totalPoints: (pointsData.basePoints || 0) + (pointsData.bonusPoints || 0),
+    pointRuleVersion: pointsData.ruleVersion ?? null
   });
 
   return { success: true, session };
@@ -334,7 +374,7 @@ DutySession.extendTimeout = async function(sessionId) {
 // ============================================
 
 DutySession.incrementActivityCounter = async function(sessionId, field, amount = 1) {
-  const validFields = ['voiceMinutes', 'ticketResponses', 'adminCamEvents', 'ingameChatMessages'];
+  const validFields = ['voiceMinutes', 'ticketResponses', 'adminCamEvents', 'ingameChatMessages', 'adminRequestsClaimed', 'playerWarns', 'playerKicks', 'playerBans'];
 
   if (!validFields.includes(field)) {
     throw new Error(`Invalid activity field: ${field}`);
@@ -468,6 +508,21 @@ DutySession.getGuildStats = async function(guildId, startDate = null, endDate =
   };
 };
 
+// Most recent session start per user, for inactivity checks
+DutySession.getLastSessionByUser = async function(guildId) {
+  const rows = await this.findAll({
+    where: { guildId },
+    attributes: [
+      'discordUserId',
+      [sequelize.fn('MAX', sequelize.col('session_start')), 'lastSessionAt']
+    ],
+    group: ['discordUserId'],
+    raw: true
+  });
+
+  return new Map(rows.map(row => [row.discordUserId, new Date(row.lastSessionAt)]));
+};
+
 // Close any sessions that were left open (e.g., after bot restart)
 DutySession.closeOrphanedSessions = async function(guildId, reason = 'server_restart') {
   const activeSessions = await this.findAll({
@@ -0,0 +1,82 @@
+const { DataTypes, UniqueConstraintError } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const DutyTargetReport = sequelize.define('DutyTargetReport', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    guild_id: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    week_start: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Monday 00:00 UTC of the reported week'
+    },
+    points_target: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    exceeded_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    met_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    missed_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    results: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Per-staff points and status for the week'
+    },
+    dms_sent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'duty_target_reports',
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci',
+    indexes: [
+      { name: 'idx_duty_target_reports_unique', unique: true, fields: ['guild_id', 'week_start'] }
+    ]
+  });
+
+  /**
+   * Claim a week's report before sending it
+   * The unique index makes this the dedupe point, so staff are never DMed twice for
+   * the same week even across restarts.
+   * @param {string} guildId
+   * @param {Date} weekStart
+   * @param {number} pointsTarget
+   * @returns {Promise<DutyTargetReport|null>} null if the week was already reported
+   */
+  DutyTargetReport.claim = async function(guildId, weekStart, pointsTarget) {
+    try {
+      return await this.create({
+        guild_id: guildId,
+        week_start: weekStart,
+        points_target: pointsTarget
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return DutyTargetReport;
+};
@@ -15,14 +15,41 @@ const DEFAULT_CONFIG = {
   points_ticket_response: { value: 5, type: 'number', category: 'points', label: 'Points per ticket response' },
   points_admin_cam: { value: 3, type: 'number', category: 'points', label: 'Points per admin cam use' },
   points_ingame_chat: { value: 1, type: 'number', category: 'points', label: 'Points per in-game message' },
+  points_admin_request: { value: 5, type: 'number', category: 'points', label: 'Points per claimed !admin request' },
+  points_player_warn: { value: 2, type: 'number', category: 'points', label: 'Points per in-game warn' },
+  points_player_kick: { value: 5, type: 'number', category: 'points', label: 'Points per in-game kick' },
+  points_player_ban: { value: 10, type: 'number', category: 'points', label: 'Points per in-game ban' },
   points_server_per_minute: { value: 0.25, type: 'number', category: 'points', label: 'Points per minute on server' },
   on_duty_multiplier: { value: 1.0, type: 'number', category: 'points', label: 'On-duty point multiplier' },
   weekly_points_target: { value: 1000, type: 'number', category: 'points', label: 'Weekly points target' },
+  weekly_target_reports_enabled: { value: true, type: 'boolean', category: 'points', label: 'Send weekly target reports' },
+  weekly_target_exceeded_percent: { value: 150, type: 'number', category: 'points', label: 'Exceeded target at (% of target)' },
 
   // Coverage thresholds
   coverage_low_threshold: { value: 2, type: 'number', category: 'coverage', label: 'Low coverage threshold (admins)' },
   coverage_snapshot_interval_minutes: { value: 60, type: 'number', category: 'coverage', label: 'Snapshot interval (minutes)' },
 
+  // Low-coverage alerts
+  coverage_alerts_enabled: { value: true, type: 'boolean', category: 'coverage', label: 'Enable low-coverage alerts' },
+  coverage_alert_min_players: { value: 40, type: 'number', category: 'coverage', label: 'Alert when server has at least (players)' },
+  coverage_alert_cooldown_minutes: { value: 30, type: 'number', category: 'coverage', label: 'Alert cooldown per server (minutes)' },
+  coverage_alert_hysteresis: { value: 1, type: 'number', category: 'coverage', label: 'Extra admins needed to clear alert' },
+  coverage_callin_roles: { value: [], type: 'json', category: 'coverage', label: 'Call-in roles (rotated per alert)' },
+
+  // In-game duty detection (opt-in)
+  auto_duty_enabled: { value: false, type: 'boolean', category: 'auto_duty', label: 'Detect staff admin activity in game' },
+  auto_duty_auto_start: { value: false, type: 'boolean', category: 'auto_duty', label: 'Start duty automatically (instead of asking by DM)' },
+  auto_duty_grace_minutes: { value: 10, type: 'number', category: 'auto_duty', label: 'End duty after leaving all servers for (minutes)' },
+  auto_duty_prompt_cooldown_minutes: { value: 60, type: 'number', category: 'auto_duty', label: 'Minimum time between DM prompts (minutes)' },
+
+  // Inactive staff detection
+  inactivity_reports_enabled: { value: true, type: 'boolean', category: 'inactivity', label: 'Send inactive staff reports' },
+  inactivity_report_interval_days: { value: 7, type: 'number', category: 'inactivity', label: 'Report every (days)' },
+  inactivity_days_admin: { value: 21, type: 'number', category: 'inactivity', label: 'Admins inactive after (days)' },
+  inactivity_days_moderator: { value: 14, type: 'number', category: 'inactivity', label: 'Moderators inactive after (days)' },
+  inactivity_days_staff: { value: 14, type: 'number', category: 'inactivity', label: 'Staff inactive after (days)' },
+  inactivity_archive_days: { value: 180, type: 'number', category: 'inactivity', label: 'Keep archived roles restorable for (days)' },
+
   // Tracked voice channels (array of channel IDs) - empty means track all
   tracked_voice_channels: { value: [], type: 'json', category: 'channels', label: 'Tracked voice channels (empty = all)' },
 
@@ -360,8 +387,10 @@ DutyTrackingConfig.setEnabled = async function(guildId, key, enabled, changedBy,
 DutyTrackingConfig.getCategories = function() {
   return {
     timeout: { label: 'Auto-Timeout', description: 'Automatic session timeout settings' },
-    points: { label: 'Point Values', description: 'How many points each activity awards' },
+    points: { label: 'Point Values', description: 'How many points each activity awards (replaced by the active rule set under Point Rules, if any)' },
     coverage: { label: 'Coverage Settings', description: 'Server coverage tracking settings' },
+    auto_duty: { label: 'In-Game Duty Detection', description: 'Put staff on duty when they use admin tools in game' },
+    inactivity: { label: 'Inactive Staff', description: 'Report staff with no recent activity for leadership review' },
     channels: { label: 'Channel Configuration', description: 'Voice and ticket channel settings' }
   };
 };
@@ -122,12 +122,41 @@ module.exports = (sequelize) => {
   /**
    * Find active (non-expired, non-restored) archive for a user
    * @param {string} discordUserId - Discord user ID
+   * @param {Object} options
+   * @param {string} options.reason - Only match archives with this removal reason
+   * @param {string} options.excludeReason - Skip archives with this removal reason
    * @returns {Promise<RoleArchive|null>}
    */
-  RoleArchive.findActiveArchive = async function(discordUserId) {
+  RoleArchive.findActiveArchive = async function(discordUserId, options = {}) {
+    const where = {
+      discord_user_id: discordUserId,
+      restored: false,
+      expires_at: {
+        [Op.gt]: new Date()
+      }
+    };
+
+    if (options.reason) {
+      where.removal_reason = options.reason;
+    } else if (options.excludeReason) {
+      where.removal_reason = { [Op.ne]: options.excludeReason };
+    }
+
     return await this.findOne({
+      where,
+      order: [['created_at', 'DESC']]
+    });
+  };
+
+  /**
+   * Get all active archives with a given removal reason
+   * @param {string} reason - Removal reason (purge_unlinked, inactive, manual)
+   * @returns {Promise<Array<RoleArchive>>}
+   */
+  RoleArchive.getActiveArchivesByReason = async function(reason) {
+    return await this.findAll({
       where: {
-        discord_user_id: discordUserId,
+        removal_reason: reason,
         restored: false,
         expires_at: {
           [Op.gt]: new Date()
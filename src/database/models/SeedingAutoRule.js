@@ -0,0 +1,232 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../../config/database');
+
+const SeedingAutoRule = sequelize.define('SeedingAutoRule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    comment: 'Auto-increment primary key'
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Display name for the rule'
+  },
+
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+
+  target_server_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Server identifier to seed'
+  },
+
+  source_server_ids: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Servers checked for a queue and used as sources (null = all other servers)'
+  },
+
+  trigger_player_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Trigger when the target drops below this many players'
+  },
+
+  min_populated_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 60,
+    comment: 'Minimum time the target was populated before emptying'
+  },
+
+  min_queue_size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Queue size (public + reserve) required on a full source server'
+  },
+
+  player_threshold: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Player count threshold to close seeding'
+  },
+
+  switch_reward_value: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Immediate reward value for switching (null = disabled)'
+  },
+
+  switch_reward_unit: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Reward unit: days, months'
+  },
+
+  playtime_reward_value: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Reward value for meeting playtime threshold (null = disabled)'
+  },
+
+  playtime_reward_unit: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Reward unit: days, months'
+  },
+
+  playtime_threshold_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Minutes required for playtime reward'
+  },
+
+  completion_reward_value: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Reward value for being present at threshold (null = disabled)'
+  },
+
+  completion_reward_unit: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Reward unit: days, months'
+  },
+
+  custom_broadcast_message: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Custom broadcast message template for seeding call'
+  },
+
+  cooldown_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 120,
+    comment: 'Minimum time between automatic sessions from this rule'
+  },
+
+  max_sessions_per_day: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 2,
+    comment: 'Maximum automatic sessions per UTC day'
+  },
+
+  created_by: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Discord user ID who created the rule'
+  },
+
+  created_by_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+
+  last_triggered_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the rule last started a session'
+  },
+
+  last_session_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Most recent session started by this rule'
+  },
+
+  daily_trigger_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'UTC date daily_trigger_count applies to'
+  },
+
+  daily_trigger_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Sessions started on daily_trigger_date'
+  }
+}, {
+  tableName: 'seeding_auto_rules',
+  timestamps: true,
+  indexes: [
+    { name: 'idx_seeding_auto_rules_enabled', fields: ['enabled'] }
+  ],
+  comment: 'Automation rules for starting seeding sessions'
+});
+
+// ============ Static Methods ============
+
+/**
+ * Get all enabled rules
+ * @returns {Promise<SeedingAutoRule[]>}
+ */
+SeedingAutoRule.getEnabledRules = async function() {
+  return await this.findAll({
+    where: { enabled: true },
+    order: [['id', 'ASC']]
+  });
+};
+
+// ============ Instance Methods ============
+
+/**
+ * Rewards in the shape SeedingSessionService.createSession expects
+ * @returns {Object}
+ */
+SeedingAutoRule.prototype.getRewards = function() {
+  const rewards = {};
+
+  if (this.switch_reward_value) {
+    rewards.switch = { value: this.switch_reward_value, unit: this.switch_reward_unit };
+  }
+  if (this.playtime_reward_value) {
+    rewards.playtime = {
+      value: this.playtime_reward_value,
+      unit: this.playtime_reward_unit,
+      thresholdMinutes: this.playtime_threshold_minutes
+    };
+  }
+  if (this.completion_reward_value) {
+    rewards.completion = { value: this.completion_reward_value, unit: this.completion_reward_unit };
+  }
+
+  return rewards;
+};
+
+/**
+ * Number of sessions this rule has started on the given UTC day
+ * @param {Date} now
+ * @returns {number}
+ */
+SeedingAutoRule.prototype.getTriggersToday = function(now = new Date()) {
+  const today = now.toISOString().slice(0, 10);
+  return this.daily_trigger_date === today ? this.daily_trigger_count : 0;
+};
+
+/**
+ * Record a session started by this rule
+ * @param {number} sessionId
+ * @param {Date} now
+ */
+SeedingAutoRule.prototype.recordTrigger = async function(sessionId, now = new Date()) {
+  return await this.update({
+    last_triggered_at: now,
+    last_session_id: sessionId,
+    daily_trigger_date: now.toISOString().slice(0, 10),
+    daily_trigger_count: this.getTriggersToday(now) + 1
+  });
+};
+
+module.exports = SeedingAutoRule;
@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../../config/database');
+
+const SeedingRewardRun = sequelize.define('SeedingRewardRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    comment: 'Auto-increment primary key'
+  },
+
+  period_start: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'First day of the rewarded month (UTC)'
+  },
+
+  period_end: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'Last day of the rewarded month (UTC)'
+  },
+
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'granted',
+    validate: {
+      isIn: [['granted', 'reversed']]
+    },
+    comment: 'Status: granted, reversed'
+  },
+
+  top_n: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Number of ranks rewarded'
+  },
+
+  winners: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Array of { rank, playerId, steamId, username, seedingMinutes, value, unit }'
+  },
+
+  granted_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Whitelist entries granted'
+  },
+
+  triggered_by: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Discord user ID, or "system" for the monthly job'
+  },
+
+  triggered_by_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+
+  reversed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  reversed_by: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+
+  reversal_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'seeding_reward_runs',
+  timestamps: true,
+  indexes: [
+    { name: 'idx_seeding_reward_runs_period', unique: true, fields: ['period_start'] }
+  ],
+  comment: 'Monthly seeding leaderboard reward payouts'
+});
+
+// ============ Static Methods ============
+
+/**
+ * Get the run for a month, if one exists
+ * @param {string} periodStart - First day of the month (YYYY-MM-DD)
+ * @returns {Promise<SeedingRewardRun|null>}
+ */
+SeedingRewardRun.getRunForPeriod = async function(periodStart) {
+  return await this.findOne({ where: { period_start: periodStart } });
+};
+
+/**
+ * Get recent runs, newest month first
+ * @param {number} limit
+ * @returns {Promise<SeedingRewardRun[]>}
+ */
+SeedingRewardRun.getRecentRuns = async function(limit = 12) {
+  return await this.findAll({
+    order: [['period_start', 'DESC']],
+    limit
+  });
+};
+
+module.exports = SeedingRewardRun;
@@ -0,0 +1,241 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../../config/database');
+
+const SeedingSchedule = sequelize.define('SeedingSchedule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    comment: 'Auto-increment primary key'
+  },
+
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Display name for the schedule'
+  },
+
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+
+  target_server_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Server identifier needing players'
+  },
+
+  source_server_ids: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Array of source server IDs (null = all other servers)'
+  },
+
+  player_threshold: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Player count threshold to close seeding'
+  },
+
+  time_of_day: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    validate: {
+      is: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    comment: 'Start time in UTC (HH:MM)'
+  },
+
+  days_of_week: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'UTC days to run (0 = Sunday ... 6 = Saturday, null = every day)'
+  },
+
+  switch_reward_value: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Immediate reward value for switching (null = disabled)'
+  },
+
+  switch_reward_unit: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Reward unit: days, months'
+  },
+
+  playtime_reward_value: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Reward value for meeting playtime threshold (null = disabled)'
+  },
+
+  playtime_reward_unit: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Reward unit: days, months'
+  },
+
+  playtime_threshold_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Minutes required for playtime reward'
+  },
+
+  completion_reward_value: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Reward value for being present at threshold (null = disabled)'
+  },
+
+  completion_reward_unit: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Reward unit: days, months'
+  },
+
+  custom_broadcast_message: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Custom broadcast message template for seeding call'
+  },
+
+  created_by: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Discord user ID who created the schedule'
+  },
+
+  created_by_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+
+  last_run_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Scheduled time of the most recent run (started or skipped)'
+  },
+
+  last_run_status: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    comment: 'Outcome: started, skipped_active, skipped_threshold, failed'
+  },
+
+  last_run_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  last_session_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Most recent session started by this schedule'
+  }
+}, {
+  tableName: 'seeding_schedules',
+  timestamps: true,
+  indexes: [
+    { name: 'idx_seeding_schedules_enabled', fields: ['enabled'] }
+  ],
+  comment: 'Recurring automated seeding sessions'
+});
+
+// ============ Static Methods ============
+
+/**
+ * Get all enabled schedules
+ * @returns {Promise<SeedingSchedule[]>}
+ */
+SeedingSchedule.getEnabledSchedules = async function() {
+  return await this.findAll({
+    where: { enabled: true },
+    order: [['time_of_day', 'ASC']]
+  });
+};
+
+// ============ Instance Methods ============
+
+/**
+ * Rewards in the shape SeedingSessionService.createSession expects
+ * @returns {Object}
+ */
+SeedingSchedule.prototype.getRewards = function() {
+  const rewards = {};
+
+  if (this.switch_reward_value) {
+    rewards.switch = { value: this.switch_reward_value, unit: this.switch_reward_unit };
+  }
+  if (this.playtime_reward_value) {
+    rewards.playtime = {
+      value: this.playtime_reward_value,
+      unit: this.playtime_reward_unit,
+      thresholdMinutes: this.playtime_threshold_minutes
+    };
+  }
+  if (this.completion_reward_value) {
+    rewards.completion = { value: this.completion_reward_value, unit: this.completion_reward_unit };
+  }
+
+  return rewards;
+};
+
+/**
+ * Most recent scheduled occurrence at or before a given time (UTC)
+ * @param {Date} now
+ * @returns {Date|null} null if the schedule has not run on any of the last 7 days
+ */
+SeedingSchedule.prototype.getLatestOccurrence = function(now = new Date()) {
+  const [hours, minutes] = this.time_of_day.split(':').map(Number);
+  const days = Array.isArray(this.days_of_week) && this.days_of_week.length > 0 ? this.days_of_week : null;
+
+  for (let offset = 0; offset < 7; offset++) {
+    const occurrence = new Date(Date.UTC(
+      now.getUTCFullYear(),
+      now.getUTCMonth(),
+      now.getUTCDate() - offset,
+      hours,
+      minutes
+    ));
+
+    if (occurrence > now) continue;
+    if (days && !days.includes(occurrence.getUTCDay())) continue;
+
+    return occurrence;
+  }
+
+  return null;
+};
+
+/**
+ * Next scheduled occurrence after a given time (UTC)
+ * @param {Date} now
+ * @returns {Date|null}
+ */
+SeedingSchedule.prototype.getNextOccurrence = function(now = new Date()) {
+  const [hours, minutes] = this.time_of_day.split(':').map(Number);
+  const days = Array.isArray(this.days_of_week) && this.days_of_week.length > 0 ? this.days_of_week : null;
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const occurrence = new Date(Date.UTC(
+      now.getUTCFullYear(),
+      now.getUTCMonth(),
+      now.getUTCDate() + offset,
+      hours,
+      minutes
+    ));
+
+    if (occurrence <= now) continue;
+    if (days && !days.includes(occurrence.getUTCDay())) continue;
+
+    return occurrence;
+  }
+
+  return null;
+};
+
+module.exports = SeedingSchedule;
@@ -220,6 +220,104 @@ SeedingTime.getTopSeeders = async function(options = {}) {
   });
 };
 
+/**
+ * Build a date-range where clause from inclusive YYYY-MM-DD bounds
+ * @param {Object} options - { startDate, endDate, serverId }
+ * @returns {Object}
+ */
+function buildPeriodWhere({ startDate, endDate, serverId } = {}) {
+  const where = {};
+
+  if (startDate || endDate) {
+    where.date = {};
+    if (startDate) where.date[Op.gte] = startDate;
+    if (endDate) where.date[Op.lte] = endDate;
+  }
+
+  if (serverId) {
+    where.server_id = serverId;
+  }
+
+  return where;
+}
+
+/**
+ * Get the seeding leaderboard for an explicit date range
+ * Only players with seeding time in the range are ranked.
+ * @param {Object} options - { startDate, endDate, serverId, limit, offset }
+ * @returns {Promise<Array<{rank: number, playerId: number, steamId: string, username: string|null, seedingMinutes: number, playMinutes: number, daysSeeded: number}>>}
+ */
+SeedingTime.getLeaderboard = async function(options = {}) {
+  const { limit = 25, offset = 0 } = options;
+  const Player = require('./Player');
+
+  const rows = await this.findAll({
+    where: buildPeriodWhere(options),
+    attributes: [
+      'player_id',
+      [sequelize.fn('SUM', sequelize.col('seeding_minutes')), 'totalSeedingMinutes'],
+      [sequelize.fn('SUM', sequelize.col('total_minutes')), 'totalPlayMinutes'],
+      [sequelize.fn('COUNT', sequelize.literal('DISTINCT date')), 'daysSeeded']
+    ],
+    include: [{
+      model: Player,
+      as: 'player',
+      attributes: ['steamId', 'username']
+    }],
+    group: ['player_id'],
+    having: sequelize.where(sequelize.fn('SUM', sequelize.col('seeding_minutes')), Op.gt, 0),
+    order: [[sequelize.literal('totalSeedingMinutes'), 'DESC'], ['player_id', 'ASC']],
+    limit,
+    offset
+  });
+
+  return rows.map((row, index) => ({
+    rank: offset + index + 1,
+    playerId: row.player_id,
+    steamId: row.player?.steamId || null,
+    username: row.player?.username || null,
+    seedingMinutes: parseInt(row.get('totalSeedingMinutes')) || 0,
+    playMinutes: parseInt(row.get('totalPlayMinutes')) || 0,
+    daysSeeded: parseInt(row.get('daysSeeded')) || 0
+  }));
+};
+
+/**
+ * Get a player's leaderboard position for an explicit date range
+ * @param {number} playerId - Player ID
+ * @param {Object} options - { startDate, endDate, serverId }
+ * @returns {Promise<{rank: number|null, seedingMinutes: number, rankedPlayers: number}>} rank is null without seeding time
+ */
+SeedingTime.getPlayerRank = async function(playerId, options = {}) {
+  const where = buildPeriodWhere(options);
+  const seedingSum = sequelize.fn('SUM', sequelize.col('seeding_minutes'));
+
+  const [playerTotal] = await this.findAll({
+    where: { ...where, player_id: playerId },
+    attributes: [[seedingSum, 'totalSeedingMinutes']],
+    raw: true
+  });
+  const seedingMinutes = parseInt(playerTotal?.totalSeedingMinutes) || 0;
+
+  const rankedPlayers = await this.count({
+    where,
+    group: ['player_id'],
+    having: sequelize.where(seedingSum, Op.gt, 0)
+  });
+
+  if (seedingMinutes === 0) {
+    return { rank: null, seedingMinutes, rankedPlayers: rankedPlayers.length };
+  }
+
+  const ahead = await this.count({
+    where,
+    group: ['player_id'],
+    having: sequelize.where(seedingSum, Op.gt, seedingMinutes)
+  });
+
+  return { rank: ahead.length + 1, seedingMinutes, rankedPlayers: rankedPlayers.length };
+};
+
 /**
  * Get server seeding summary for a time period
  * @param {string} serverId - Server identifier
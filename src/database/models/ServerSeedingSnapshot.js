@@ -205,6 +205,34 @@ ServerSeedingSnapshot.getLatestState = async function(serverId) {
   });
 };
 
+/**
+ * Get the most recent populated period for a server that has since emptied
+ * Requires the latest snapshot to be an entry into seeding state, preceded by an exit
+ * @param {string} serverId - Server identifier
+ * @returns {Promise<{populatedAt: Date, emptiedAt: Date, populatedMinutes: number}|null>}
+ */
+ServerSeedingSnapshot.getLastPopulatedPeriod = async function(serverId) {
+  const [latest, previous] = await this.findAll({
+    where: { server_id: serverId },
+    order: [['timestamp', 'DESC']],
+    limit: 2,
+    raw: true
+  });
+
+  if (!latest || !previous || !latest.was_seeding || previous.was_seeding) {
+    return null;
+  }
+
+  const populatedAt = new Date(previous.timestamp);
+  const emptiedAt = new Date(latest.timestamp);
+
+  return {
+    populatedAt,
+    emptiedAt,
+    populatedMinutes: Math.round((emptiedAt - populatedAt) / 60000)
+  };
+};
+
 /**
  * Clean up old snapshots (retention policy)
  * @param {number} daysToKeep - Number of days to retain
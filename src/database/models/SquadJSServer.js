@@ -54,6 +54,30 @@ module.exports = (sequelize) => {
       field: 'seed_threshold',
       comment: 'Player count threshold for seeding detection'
     },
+    ingameCommands: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'ingame_commands',
+      comment: 'Per-server in-game command overrides: { commandName: enabled }'
+    },
+    pullTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      field: 'pull_token_hash',
+      comment: 'SHA-256 hash of the whitelist pull token'
+    },
+    pullTokenHint: {
+      type: DataTypes.STRING(8),
+      allowNull: true,
+      field: 'pull_token_hint',
+      comment: 'Last characters of the pull token for display'
+    },
+    pullIpAllowlist: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      field: 'pull_ip_allowlist',
+      comment: 'IP addresses or CIDR ranges allowed to pull the whitelist; null means any'
+    },
     displayOrder: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -28,6 +28,12 @@ module.exports = (sequelize) => {
       allowNull: false,
       comment: 'Comma-separated Squad permissions'
     },
+    server_ids: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Server keys this group is assigned on (NULL = all servers)'
+    },
     created_by: {
       type: DataTypes.STRING(20),
       allowNull: true,
@@ -75,6 +81,7 @@ module.exports = (sequelize) => {
       roleName: entry.role_name,
       groupName: entry.group_name || entry.role_name,
       permissions: entry.permissions ? entry.permissions.split(',').filter(p => p.trim()) : [],
+      serverIds: entry.server_ids || null,
       createdBy: entry.created_by,
       createdAt: entry.created_at,
       updatedBy: entry.updated_by,
@@ -99,6 +106,7 @@ module.exports = (sequelize) => {
       roleName: entry.role_name,
       groupName: entry.group_name || entry.role_name,
       permissions: entry.permissions ? entry.permissions.split(',').filter(p => p.trim()) : [],
+      serverIds: entry.server_ids || null,
       createdBy: entry.created_by,
       createdAt: entry.created_at,
       updatedBy: entry.updated_by,
@@ -151,6 +159,7 @@ module.exports = (sequelize) => {
    * @param {string} [data.roleName] - Discord role name
    * @param {string} [data.groupName] - Squad group name
    * @param {string[]} data.permissions - Array of permission strings
+   * @param {string[]|null} [data.serverIds] - Server keys the group applies on (empty = all servers)
    * @param {string} [updatedBy] - Discord user ID who made the change
    * @returns {Promise<Object>} Updated/created role config
    */
@@ -159,12 +168,15 @@ module.exports = (sequelize) => {
       ? data.permissions.join(',')
       : data.permissions;
 
+    const serverIds = data.serverIds?.length ? data.serverIds : null;
+
     const [entry, created] = await this.findOrCreate({
       where: { role_id: roleId },
       defaults: {
         role_name: data.roleName || null,
         group_name: data.groupName || null,
         permissions: permissionsString,
+        server_ids: serverIds,
         created_by: updatedBy,
         created_at: new Date(),
         updated_by: updatedBy,
@@ -178,6 +190,7 @@ module.exports = (sequelize) => {
         role_name: data.roleName !== undefined ? data.roleName : entry.role_name,
         group_name: data.groupName !== undefined ? data.groupName : entry.group_name,
         permissions: permissionsString,
+        server_ids: data.serverIds !== undefined ? serverIds : entry.server_ids,
         updated_by: updatedBy,
         updated_at: new Date()
       });
@@ -188,6 +201,7 @@ module.exports = (sequelize) => {
       roleName: entry.role_name,
       groupName: entry.group_name || entry.role_name,
       permissions: entry.permissions ? entry.permissions.split(',').filter(p => p.trim()) : [],
+      serverIds: entry.server_ids || null,
       createdBy: entry.created_by,
       createdAt: entry.created_at,
       updatedBy: entry.updated_by,
@@ -103,9 +103,15 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: 'manual',
       validate: {
-        isIn: [['role', 'manual', 'import', 'donation']]
+        isIn: [['role', 'manual', 'import', 'donation', 'seeding']]
       },
-      comment: 'Source of the whitelist: "role", "manual", "import", "donation"'
+      comment: 'Source of the whitelist: "role", "manual", "import", "donation", "seeding"'
+    },
+    server_ids: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Server keys this entry applies to (NULL = all servers)'
     },
     role_name: {
       type: DataTypes.STRING(50),
@@ -148,9 +154,22 @@ module.exports = (sequelize) => {
 
   // Note: Associations are defined in src/database/associations.js
 
-  Whitelist.getActiveEntries = async function(type) {
+  /**
+   * Check whether a server scope covers a server
+   * An empty scope applies everywhere. Without a serverId (the shared /combined output)
+   * only unscoped rows apply, so scoped access never leaks onto other servers.
+   * @param {string[]|null} serverIds - Scope stored on the row
+   * @param {string|null} serverId - Server key being generated for
+   * @returns {boolean}
+   */
+  Whitelist.isInServerScope = function(serverIds, serverId) {
+    if (!Array.isArray(serverIds) || serverIds.length === 0) return true;
+    return !!serverId && serverIds.includes(serverId);
+  };
+
+  Whitelist.getActiveEntries = async function(type, serverId = null) {
     // Get all approved, non-revoked entries for this type
-    const allEntries = await this.findAll({
+    const scopedEntries = await this.findAll({
       where: {
         type: type,
         approved: true,
@@ -159,6 +178,9 @@ module.exports = (sequelize) => {
       order: [['steamid64', 'ASC'], ['granted_at', 'ASC']]
     });
 
+    // Drop entries scoped to other servers before stacking durations
+    const allEntries = scopedEntries.filter(entry => this.isInServerScope(entry.server_ids, serverId));
+
     if (allEntries.length === 0) {
       return [];
     }
@@ -477,7 +499,10 @@ module.exports = (sequelize) => {
     duration_type,
     granted_by,
     note = null,
-    metadata = null
+    metadata = null,
+    source = 'manual',
+    server_ids = null,
+    transaction = null
   }) {
     const granted_at = new Date();
 
@@ -511,8 +536,10 @@ module.exports = (sequelize) => {
       approved: true,
       revoked: false,
       group_id: whitelistGroup.id,
-      metadata
-    });
+      metadata,
+      source,
+      server_ids: server_ids?.length ? server_ids : null
+    }, { transaction });
   };
 
   // Revoke active whitelist entries for a user
@@ -607,6 +634,36 @@ module.exports = (sequelize) => {
     return updatedCount;
   };
 
+  /**
+   * Revoke all whitelist entries granted by a monthly seeding leaderboard run
+   * @param {number} runId - The seeding reward run ID
+   * @param {string} revokedBy - Discord ID of the admin revoking
+   * @param {string} reason - Reason for revocation
+   * @returns {Promise<number>} Number of entries revoked
+   */
+  Whitelist.revokeSeedingRunRewards = async function(runId, revokedBy, reason = 'Seeding leaderboard rewards reversed') {
+    const [updatedCount] = await this.update(
+      {
+        revoked: true,
+        revoked_by: revokedBy,
+        revoked_reason: reason,
+        revoked_at: new Date()
+      },
+      {
+        where: {
+          source: 'seeding',
+          revoked: false,
+          [Op.and]: sequelize.where(
+            sequelize.fn('JSON_EXTRACT', sequelize.col('metadata'), '$.seeding_reward_run_id'),
+            runId
+          )
+        }
+      }
+    );
+
+    return updatedCount;
+  };
+
   /**
    * Revoke seeding rewards for a specific participant in a session
    * @param {number} sessionId - The seeding session ID
@@ -654,5 +711,38 @@ module.exports = (sequelize) => {
     return updatedCount;
   };
 
+  /**
+   * Revoke specific whitelist entries by ID
+   * Used to reverse donation grants on refunds, chargebacks and cancelled subscriptions.
+   * @param {number[]} entryIds - Whitelist entry IDs
+   * @param {string} revokedBy - Who revoked the entries
+   * @param {string} reason - Reason for revocation
+   * @param {Transaction} [transaction] - Transaction to run the update in
+   * @returns {Promise<number>} Number of entries revoked
+   */
+  Whitelist.revokeEntriesByIds = async function(entryIds, revokedBy, reason, transaction = null) {
+    if (!entryIds || entryIds.length === 0) {
+      return 0;
+    }
+
+    const [updatedCount] = await this.update(
+      {
+        revoked: true,
+        revoked_by: revokedBy,
+        revoked_reason: reason,
+        revoked_at: new Date()
+      },
+      {
+        where: {
+          id: { [Op.in]: entryIds },
+          revoked: false
+        },
+        transaction
+      }
+    );
+
+    return updatedCount;
+  };
+
   return Whitelist;
 };
\ No newline at end of file
@@ -0,0 +1,118 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../../../config/database');
+
+const WhitelistPull = sequelize.define('WhitelistPull', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    comment: 'Auto-increment primary key'
+  },
+
+  server_key: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Server identified by the pull token or URL, null if unidentified'
+  },
+
+  path: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Requested path'
+  },
+
+  status_code: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'HTTP status returned (200, 304, 401, 403, 404)'
+  },
+
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: 'Requesting IP address'
+  },
+
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Requesting User-Agent'
+  },
+
+  etag: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'ETag of the served content'
+  }
+}, {
+  tableName: 'whitelist_pulls',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { name: 'idx_whitelist_pulls_server_time', fields: ['server_key', 'createdAt'] },
+    { name: 'idx_whitelist_pulls_time', fields: ['createdAt'] }
+  ],
+  comment: 'Log of whitelist fetches by game servers'
+});
+
+// ============ Static Methods ============
+
+/**
+ * Most recent successful whitelist pull (200 or 304) for each server
+ * Bans.cfg pulls are logged too but don't count, so a server that stopped pulling its
+ * whitelist still shows as stale.
+ * @returns {Promise<Map<string, {lastPullAt: Date, ipAddress: string|null}>>}
+ */
+WhitelistPull.getLastPullsByServer = async function() {
+  // Join each server's latest pull time back to its row to read the IP in the same query
+  const rows = await sequelize.query(
+    `SELECT p.server_key, p.createdAt AS last_pull_at, p.ip_address
+     FROM whitelist_pulls p
+     INNER JOIN (
+       SELECT server_key, MAX(createdAt) AS last_pull_at
+       FROM whitelist_pulls
+       WHERE server_key IS NOT NULL AND status_code IN (200, 304) AND path LIKE '/combined%'
+       GROUP BY server_key
+     ) latest ON latest.server_key = p.server_key AND latest.last_pull_at = p.createdAt
+     WHERE p.status_code IN (200, 304) AND p.path LIKE '/combined%'`,
+    { type: sequelize.QueryTypes.SELECT }
+  );
+
+  const result = new Map();
+  for (const row of rows) {
+    result.set(row.server_key, {
+      lastPullAt: new Date(row.last_pull_at),
+      ipAddress: row.ip_address || null
+    });
+  }
+  return result;
+};
+
+/**
+ * Recent pulls, newest first
+ * @param {Object} options - { serverKey, limit }
+ * @returns {Promise<WhitelistPull[]>}
+ */
+WhitelistPull.getRecent = async function({ serverKey = null, limit = 50 } = {}) {
+  return await this.findAll({
+    where: serverKey ? { server_key: serverKey } : {},
+    order: [['createdAt', 'DESC']],
+    limit
+  });
+};
+
+/**
+ * Delete pull records older than a number of days
+ * @param {number} days
+ * @returns {Promise<number>} Rows deleted
+ */
+WhitelistPull.pruneOlderThan = async function(days) {
+  return await this.destroy({
+    where: {
+      createdAt: { [Op.lt]: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+    }
+  });
+};
+
+module.exports = WhitelistPull;
@@ -0,0 +1,82 @@
+const { DataTypes, UniqueConstraintError } = require('sequelize');
+
+const THRESHOLDS = ['7d', '1d', '1h'];
+
+module.exports = (sequelize) => {
+  const WhitelistReminder = sequelize.define('WhitelistReminder', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    steamid64: {
+      type: DataTypes.STRING(17),
+      allowNull: false
+    },
+    discord_user_id: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Linked Discord user the reminder was addressed to'
+    },
+    threshold: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      validate: {
+        isIn: [THRESHOLDS]
+      }
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Stacked whitelist expiry the reminder was sent for'
+    },
+    dm_sent: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    ingame_sent: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    tableName: 'whitelist_reminders',
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci',
+    indexes: [
+      { name: 'idx_whitelist_reminders_unique', unique: true, fields: ['steamid64', 'expires_at', 'threshold'] },
+      { name: 'idx_whitelist_reminders_created', fields: ['createdAt'] }
+    ]
+  });
+
+  /**
+   * Claim a reminder before sending it
+   * The unique index makes this the dedupe point, so a reminder is never sent twice
+   * even if two checks overlap.
+   * @param {string} steamid64
+   * @param {Date} expiresAt - Stacked expiry the reminder is for
+   * @param {string} threshold - 7d, 1d or 1h
+   * @param {string|null} discordUserId
+   * @returns {Promise<WhitelistReminder|null>} null if this reminder was already sent
+   */
+  WhitelistReminder.claim = async function(steamid64, expiresAt, threshold, discordUserId = null) {
+    try {
+      return await this.create({
+        steamid64,
+        expires_at: expiresAt,
+        threshold,
+        discord_user_id: discordUserId
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  WhitelistReminder.THRESHOLDS = THRESHOLDS;
+
+  return WhitelistReminder;
+};
@@ -0,0 +1,118 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../../../config/database');
+
+const WhitelistSnapshot = sequelize.define('WhitelistSnapshot', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    comment: 'Auto-increment primary key'
+  },
+
+  server_key: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Server the output was generated for, NULL for the shared /combined file'
+  },
+
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Sequential version number within the scope'
+  },
+
+  content_hash: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    comment: 'SHA-1 of the output, excluding the Generated timestamp'
+  },
+
+  entry_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of distinct IDs in the output'
+  },
+
+  groups: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Group definitions: { groupName: permissions }'
+  },
+
+  entries: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Admin lines: { id: { groups: [groupName], name } }'
+  },
+
+  diff: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Changes from the previous version, NULL for the first version'
+  },
+
+  causes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'What triggered the change: [{ type, count }]'
+  }
+}, {
+  tableName: 'whitelist_snapshots',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { name: 'idx_whitelist_snapshots_scope_version', fields: ['server_key', 'version'] },
+    { name: 'idx_whitelist_snapshots_scope_time', fields: ['server_key', 'createdAt'] }
+  ],
+  comment: 'Versioned history of the generated combined whitelist'
+});
+
+// Attributes for listings - entries and groups can be large
+const SUMMARY_ATTRIBUTES = ['id', 'server_key', 'version', 'content_hash', 'entry_count', 'diff', 'causes', 'createdAt'];
+
+// ============ Static Methods ============
+
+/**
+ * Latest version for a scope
+ * @param {string|null} serverKey - NULL for the shared /combined file
+ * @returns {Promise<WhitelistSnapshot|null>}
+ */
+WhitelistSnapshot.getLatest = async function(serverKey) {
+  return await this.findOne({
+    where: { server_key: serverKey },
+    order: [['version', 'DESC']]
+  });
+};
+
+/**
+ * Version of a scope that was current at a point in time
+ * @param {string|null} serverKey
+ * @param {Date} at
+ * @returns {Promise<WhitelistSnapshot|null>}
+ */
+WhitelistSnapshot.getAt = async function(serverKey, at) {
+  return await this.findOne({
+    where: { server_key: serverKey, createdAt: { [Op.lte]: at } },
+    order: [['version', 'DESC']]
+  });
+};
+
+/**
+ * Paginated version summaries for a scope, newest first
+ * @param {string|null} serverKey
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<{rows: WhitelistSnapshot[], count: number}>}
+ */
+WhitelistSnapshot.listForScope = async function(serverKey, { limit = 25, offset = 0 } = {}) {
+  return await this.findAndCountAll({
+    where: { server_key: serverKey },
+    attributes: SUMMARY_ATTRIBUTES,
+    order: [['version', 'DESC']],
+    limit,
+    offset
+  });
+};
+
+module.exports = WhitelistSnapshot;
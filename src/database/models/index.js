@@ -9,12 +9,17 @@ const AuditLog = require('./AuditLog');
 const PlayerSession = require('./PlayerSession');
 const SeedingSession = require('./SeedingSession');
 const SeedingParticipant = require('./SeedingParticipant');
+const SeedingSchedule = require('./SeedingSchedule');
+const SeedingAutoRule = require('./SeedingAutoRule');
+const SeedingRewardRun = require('./SeedingRewardRun');
 
 // Import new duty tracking models
 const DutySession = require('./DutySession');
 const { DutyTrackingConfig, DutyTrackingConfigAudit } = require('./DutyTrackingConfig');
 const DutyLifetimeStats = require('./DutyLifetimeStats');
 const DutyActivityEvent = require('./DutyActivityEvent');
+const CoverageSnapshot = require('./CoverageSnapshot');
+const AdminRequest = require('./AdminRequest');
 
 // Import seeding time tracking models
 const SeedingTime = require('./SeedingTime');
@@ -22,6 +27,8 @@ const ServerSeedingSnapshot = require('./ServerSeedingSnapshot');
 
 // Import connection config models
 const { ConnectionConfig, ConnectionConfigAudit } = require('./ConnectionConfig');
+const WhitelistPull = require('./WhitelistPull');
+const WhitelistSnapshot = require('./WhitelistSnapshot');
 
 // Import and initialize whitelist models (factory functions)
 const GroupFactory = require('./Group');
@@ -39,6 +46,13 @@ const PotentialPlayerLinkFactory = require('./PotentialPlayerLink');
 const InfoPostButtonFactory = require('./InfoPostButton');
 const UserPreferenceFactory = require('./UserPreference');
 const SquadJSServerFactory = require('./SquadJSServer');
+const BanFactory = require('./Ban');
+const BanAppealFactory = require('./BanAppeal');
+const DonationFactory = require('./Donation');
+const WhitelistReminderFactory = require('./WhitelistReminder');
+const ChangeRequestFactory = require('./ChangeRequest');
+const DutyTargetReportFactory = require('./DutyTargetReport');
+const DutyPointRuleSetFactory = require('./DutyPointRuleSet');
 
 const Group = GroupFactory(sequelize);
 const Whitelist = WhitelistFactory(sequelize);
@@ -55,6 +69,13 @@ const PotentialPlayerLink = PotentialPlayerLinkFactory(sequelize);
 const InfoPostButton = InfoPostButtonFactory(sequelize);
 const UserPreference = UserPreferenceFactory(sequelize);
 const SquadJSServer = SquadJSServerFactory(sequelize);
+const Ban = BanFactory(sequelize);
+const BanAppeal = BanAppealFactory(sequelize);
+const Donation = DonationFactory(sequelize);
+const WhitelistReminder = WhitelistReminderFactory(sequelize);
+const ChangeRequest = ChangeRequestFactory(sequelize);
+const DutyTargetReport = DutyTargetReportFactory(sequelize);
+const DutyPointRuleSet = DutyPointRuleSetFactory(sequelize);
 
 // Define associations
 PlayerSession.belongsTo(Player, { foreignKey: 'player_id', as: 'player' });
@@ -70,6 +91,10 @@ SeedingParticipant.belongsTo(SeedingSession, { foreignKey: 'session_id', as: 'se
 SeedingParticipant.belongsTo(Player, { foreignKey: 'player_id', as: 'player' });
 Player.hasMany(SeedingParticipant, { foreignKey: 'player_id', as: 'seedingParticipations' });
 
+// Ban appeal associations
+BanAppeal.belongsTo(Ban, { foreignKey: 'ban_id', as: 'ban' });
+Ban.hasMany(BanAppeal, { foreignKey: 'ban_id', as: 'appeals' });
+
 // Seeding time associations
 SeedingTime.belongsTo(Player, { foreignKey: 'player_id', as: 'player' });
 Player.hasMany(SeedingTime, { foreignKey: 'player_id', as: 'seedingTimes' });
@@ -95,17 +120,31 @@ module.exports = {
   StatsTemplateRoleMapping,
   SeedingSession,
   SeedingParticipant,
+  SeedingSchedule,
+  SeedingAutoRule,
+  SeedingRewardRun,
   DutySession,
   DutyTrackingConfig,
   DutyTrackingConfigAudit,
   DutyLifetimeStats,
   DutyActivityEvent,
+  CoverageSnapshot,
+  AdminRequest,
   SeedingTime,
   ServerSeedingSnapshot,
   PotentialPlayerLink,
   InfoPostButton,
   UserPreference,
   SquadJSServer,
+  Ban,
+  BanAppeal,
+  Donation,
+  WhitelistReminder,
+  ChangeRequest,
+  DutyTargetReport,
+  DutyPointRuleSet,
   ConnectionConfig,
-  ConnectionConfigAudit
+  ConnectionConfigAudit,
+  WhitelistPull,
+  WhitelistSnapshot
 };
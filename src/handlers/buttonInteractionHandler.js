@@ -7,7 +7,7 @@ const {
   ButtonBuilder,
   ButtonStyle
 } = require('discord.js');
-const { PlayerDiscordLink, PotentialPlayerLink, UnlinkHistory, Whitelist } = require('../database/models');
+const { PlayerDiscordLink, PotentialPlayerLink, UnlinkHistory, Whitelist, ChangeRequest } = require('../database/models');
 const { isValidSteamId } = require('../utils/steamId');
 const { getRoleArchiveService } = require('../services/RoleArchiveService');
 const WhitelistAuthorityService = require('../services/WhitelistAuthorityService');
@@ -30,6 +30,35 @@ const { STATS_BUTTON_ID } = require('../services/StatsService');
 const { Op } = require('sequelize');
 const { getDutySessionService } = require('../services/DutySessionService');
 const { findButtonByButtonId } = require('../api/v1/infoButtons');
+const { COVERAGE_ONDUTY_PREFIX } = require('../services/CoverageAlertService');
+const { getDutyAutoDetectionService, AUTO_DUTY_START_PREFIX } = require('../services/DutyAutoDetectionService');
+const { WHITELIST_REMINDER_OPTOUT_ID, setRemindersEnabled } = require('../services/WhitelistReminderService');
+const {
+  getChangeApprovalService,
+  CHANGE_APPROVE_PREFIX,
+  CHANGE_REJECT_PREFIX
+} = require('../services/ChangeApprovalService');
+const { permissionService } = require('../services/PermissionService');
+const {
+  getStaffInactivityService,
+  STAFF_INACTIVE_MARK_PREFIX,
+  STAFF_INACTIVE_RESTORE_PREFIX
+} = require('../services/StaffInactivityService');
+const {
+  getAdminRequestService,
+  ADMIN_REQUEST_CLAIM_PREFIX,
+  ADMIN_REQUEST_RESOLVE_PREFIX
+} = require('../services/AdminRequestService');
+const {
+  getBanAppealService,
+  BAN_APPEAL_BUTTON_ID,
+  BAN_APPEAL_MODAL_ID,
+  BAN_APPEAL_ACCEPT_PREFIX,
+  BAN_APPEAL_DENY_PREFIX
+} = require('../services/BanAppealService');
+const { checkPermissions } = require('./permissionHandler');
+const { getRoleChangeHandler } = require('./roleChangeHandler');
+const DutyStatusFactory = require('../services/DutyStatusFactory');
 
 const serviceLogger = createServiceLogger('ButtonInteractionHandler');
 
@@ -98,6 +127,42 @@ async function handleButtonInteraction(interaction) {
       return;
     }
 
+    // Check for coverage alert "Go On Duty" buttons
+    if (customId.startsWith(COVERAGE_ONDUTY_PREFIX)) {
+      await handleCoverageOnDutyButton(interaction);
+      return;
+    }
+
+    // Check for in-game duty detection DM prompts
+    if (customId.startsWith(AUTO_DUTY_START_PREFIX)) {
+      await handleAutoDutyStartButton(interaction);
+      return;
+    }
+
+    // Check for in-game !admin request buttons
+    if (customId.startsWith(ADMIN_REQUEST_CLAIM_PREFIX) || customId.startsWith(ADMIN_REQUEST_RESOLVE_PREFIX)) {
+      await handleAdminRequestButton(interaction);
+      return;
+    }
+
+    // Check for ban appeal reviewer votes
+    if (customId.startsWith(BAN_APPEAL_ACCEPT_PREFIX) || customId.startsWith(BAN_APPEAL_DENY_PREFIX)) {
+      await handleBanAppealVoteButton(interaction);
+      return;
+    }
+
+    // Check for two-person approval reviews of high-impact changes
+    if (customId.startsWith(CHANGE_APPROVE_PREFIX) || customId.startsWith(CHANGE_REJECT_PREFIX)) {
+      await handleChangeReviewButton(interaction);
+      return;
+    }
+
+    // Check for inactive staff report Mark Inactive / Restore buttons
+    if (customId.startsWith(STAFF_INACTIVE_MARK_PREFIX) || customId.startsWith(STAFF_INACTIVE_RESTORE_PREFIX)) {
+      await handleStaffInactivityButton(interaction);
+      return;
+    }
+
     // Check for dynamic link buttons (link_button_{source})
     if (customId.startsWith(LINK_BUTTON_PREFIX)) {
       const source = extractLinkSource(customId);
@@ -119,6 +184,12 @@ async function handleButtonInteraction(interaction) {
     case STATS_BUTTON_ID:
       await handleStatsButton(interaction);
       break;
+    case BAN_APPEAL_BUTTON_ID:
+      await handleBanAppealButton(interaction);
+      break;
+    case WHITELIST_REMINDER_OPTOUT_ID:
+      await handleWhitelistReminderOptOutButton(interaction);
+      break;
     // Return early for unhandled buttons (not ours)
     default:
       return;
@@ -130,6 +201,9 @@ async function handleButtonInteraction(interaction) {
     if (interaction.customId.startsWith(MODAL_ID_PREFIX)) {
       await handleLinkModalSubmit(interaction);
     }
+    if (interaction.customId === BAN_APPEAL_MODAL_ID) {
+      await handleBanAppealModalSubmit(interaction);
+    }
   }
 }
 
@@ -1409,6 +1483,452 @@ async function handleDutyEndButton(interaction) {
   }
 }
 
+/**
+ * Handle the "Stop Reminders" button on a whitelist expiry reminder DM
+ */
+async function handleWhitelistReminderOptOutButton(interaction) {
+  try {
+    await setRemindersEnabled(interaction.user.id, false);
+
+    await interaction.update({ components: [] });
+    await interaction.followUp({
+      content: 'You will no longer receive whitelist expiry reminders. Use `/donation reminders enabled:True` to turn them back on.',
+      flags: MessageFlags.Ephemeral
+    });
+  } catch (error) {
+    serviceLogger.error('Error handling whitelist reminder opt-out button:', error);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({
+        content: 'An error occurred while updating your reminder preference.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  }
+}
+
+/**
+ * Handle the "Go On Duty" button from a low-coverage alert
+ * Same permission check and flow as /onduty
+ */
+async function handleCoverageOnDutyButton(interaction) {
+  try {
+    if (!checkPermissions(interaction, 'onduty')) {
+      await interaction.reply({
+        content: 'You do not have permission to go on duty.',
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const serverId = interaction.customId.replace(COVERAGE_ONDUTY_PREFIX, '');
+
+    // Use the global duty factory from roleChangeHandler to prevent duplicate logging
+    const roleChangeHandler = getRoleChangeHandler();
+    const dutyFactory = roleChangeHandler?.dutyFactory || new DutyStatusFactory();
+
+    const result = await dutyFactory.setOnDuty(interaction, {
+      channelId: interaction.channelId,
+      metadata: {
+        commandName: 'onduty',
+        trigger: 'coverage_alert',
+        serverId,
+        triggeredAt: new Date().toISOString()
+      }
+    });
+
+    if (!result.success) {
+      await interaction.reply({
+        content: `❌ ${result.error}`,
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    await interaction.reply({
+      content: `✅ You are now on duty. Thanks for answering the call!${result.warning ? `\n\n⚠️ ${result.warning}` : ''}`,
+      flags: MessageFlags.Ephemeral
+    });
+
+    serviceLogger.info('Staff went on duty from coverage alert', {
+      userId: interaction.user.id,
+      serverId
+    });
+  } catch (error) {
+    serviceLogger.error('Error handling coverage on-duty button:', error);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({
+        content: 'An error occurred while setting you on duty.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  }
+}
+
+/**
+ * Handle the "Go On Duty" button on an in-game activity DM prompt
+ * Sent in DMs, so the member and permission check are resolved by the service.
+ */
+async function handleAutoDutyStartButton(interaction) {
+  try {
+    const autoDutyService = getDutyAutoDetectionService();
+    if (!autoDutyService) {
+      await interaction.reply({
+        content: 'In-game duty detection is not running right now. Use `/onduty` instead.',
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const serverId = interaction.customId.replace(AUTO_DUTY_START_PREFIX, '');
+    const result = await autoDutyService.confirmPrompt(interaction.user.id, serverId);
+
+    if (!result.success) {
+      await interaction.reply({
+        content: `❌ ${result.error}`,
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    await interaction.update({ components: [] });
+    await interaction.followUp({
+      content: `✅ You are now on duty. Your session ends automatically once you leave all servers.${result.warning ? `\n\n⚠️ ${result.warning}` : ''}`,
+      flags: MessageFlags.Ephemeral
+    });
+  } catch (error) {
+    serviceLogger.error('Error handling in-game duty prompt button:', error);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({
+        content: 'An error occurred while setting you on duty.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  }
+}
+
+/**
+ * Handle Claim/Resolve buttons on in-game !admin requests
+ * Claiming warns the player in game and credits the claimer's active duty session.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+async function handleAdminRequestButton(interaction) {
+  try {
+    if (!checkPermissions(interaction, 'onduty')) {
+      await interaction.reply({
+        content: 'You do not have permission to handle admin requests.',
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const isClaim = interaction.customId.startsWith(ADMIN_REQUEST_CLAIM_PREFIX);
+    const requestId = parseInt(
+      interaction.customId.replace(isClaim ? ADMIN_REQUEST_CLAIM_PREFIX : ADMIN_REQUEST_RESOLVE_PREFIX, ''),
+      10
+    );
+
+    const adminRequestService = getAdminRequestService(interaction.client);
+    const result = isClaim
+      ? await adminRequestService.claimRequest(requestId, interaction.user.id)
+      : await adminRequestService.resolveRequest(requestId, interaction.user.id);
+
+    if (!result.success) {
+      await interaction.reply({
+        content: `❌ ${result.error}`,
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    await interaction.update({
+      embeds: [adminRequestService.buildEmbed(result.request)],
+      components: adminRequestService.buildComponents(result.request)
+    });
+
+    serviceLogger.info(`Admin request ${isClaim ? 'claimed' : 'resolved'} from Discord`, {
+      userId: interaction.user.id,
+      requestId
+    });
+  } catch (error) {
+    serviceLogger.error('Error handling admin request button:', error);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({
+        content: 'An error occurred while updating the admin request.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  }
+}
+
+/**
+ * Handle the "Appeal a Ban" whitelist post button - opens the appeal modal
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+async function handleBanAppealButton(interaction) {
+  try {
+    await interaction.showModal(getBanAppealService(interaction.client).buildModal());
+  } catch (error) {
+    serviceLogger.error('Error handling ban appeal button:', error);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({
+        content: 'An error occurred. Please try again later.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  }
+}
+
+/**
+ * Handle the ban appeal modal submission
+ * @param {import('discord.js').ModalSubmitInteraction} interaction
+ */
+async function handleBanAppealModalSubmit(interaction) {
+  try {
+    // BattleMetrics lookups can exceed Discord's 3-second window
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const result = await getBanAppealService(interaction.client).submitAppeal({
+      user: interaction.user,
+      steamid64: interaction.fields.getTextInputValue('steam_id_input').trim(),
+      appealText: interaction.fields.getTextInputValue('appeal_text_input').trim()
+    });
+
+    if (!result.success) {
+      await interaction.editReply({ content: `❌ ${result.error}` });
+      return;
+    }
+
+    await interaction.editReply({
+      content: `✅ Your appeal (#${result.appeal.id}) has been submitted. Staff will review it and you will be notified by DM once a decision is made.`
+    });
+  } catch (error) {
+    serviceLogger.error('Error handling ban appeal submission:', error);
+    if (interaction.deferred) {
+      await interaction.editReply({ content: 'An error occurred while submitting your appeal. Please try again later.' });
+    }
+  }
+}
+
+/**
+ * Handle Accept/Deny votes on a ban appeal review post
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+async function handleBanAppealVoteButton(interaction) {
+  try {
+    if (!checkPermissions(interaction, 'unban')) {
+      await interaction.reply({
+        content: 'You do not have permission to review ban appeals.',
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const isAccept = interaction.customId.startsWith(BAN_APPEAL_ACCEPT_PREFIX);
+    const appealId = parseInt(
+      interaction.customId.replace(isAccept ? BAN_APPEAL_ACCEPT_PREFIX : BAN_APPEAL_DENY_PREFIX, ''),
+      10
+    );
+
+    await interaction.deferUpdate();
+
+    const banAppealService = getBanAppealService(interaction.client);
+    const result = await banAppealService.castVote(appealId, interaction.user, isAccept ? 'accept' : 'deny');
+
+    if (!result.success) {
+      await interaction.followUp({
+        content: `❌ ${result.error}`,
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const reviewMessage = await banAppealService.buildReviewMessage(result.appeal);
+    await interaction.editReply({
+      embeds: reviewMessage.embeds,
+      components: reviewMessage.components
+    });
+
+    serviceLogger.info('Ban appeal vote recorded', {
+      userId: interaction.user.id,
+      appealId,
+      vote: isAccept ? 'accept' : 'deny',
+      decided: result.decided
+    });
+  } catch (error) {
+    serviceLogger.error('Error handling ban appeal vote:', error);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({
+        content: 'An error occurred while recording your vote.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  }
+}
+
+/**
+ * Handle Approve/Reject on a change request review message
+ * The reviewer needs the same dashboard permission the change requires, and can't approve their own request.
+ */
+async function handleChangeReviewButton(interaction) {
+  try {
+    const isApprove = interaction.customId.startsWith(CHANGE_APPROVE_PREFIX);
+    const requestId = parseInt(
+      interaction.customId.replace(isApprove ? CHANGE_APPROVE_PREFIX : CHANGE_REJECT_PREFIX, ''),
+      10
+    );
+
+    const request = await ChangeRequest.findByPk(requestId);
+    if (!request) {
+      await interaction.reply({
+        content: 'This change request no longer exists.',
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const roleIds = interaction.member ? [...interaction.member.roles.cache.keys()] : [];
+    const isRequester = request.requested_by_id === interaction.user.id;
+    if (!(isRequester && !isApprove) && !(await permissionService.hasPermission(roleIds, request.required_permission))) {
+      await interaction.reply({
+        content: `You need the \`${request.required_permission}\` permission to review this change.`,
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const reviewer = {
+      actorType: 'discord_user',
+      actorId: interaction.user.id,
+      actorName: interaction.user.username
+    };
+    const approvalService = getChangeApprovalService(interaction.client);
+    const result = isApprove
+      ? await approvalService.approve(requestId, reviewer)
+      : await approvalService.reject(requestId, reviewer);
+
+    if (!result.success) {
+      await interaction.editReply({ content: `❌ ${result.error}` });
+      return;
+    }
+
+    await interaction.editReply({
+      content: isApprove ? `✅ Change #${requestId} approved and applied.` : `Change #${requestId} rejected.`
+    });
+
+    serviceLogger.info('Change request reviewed via button', {
+      userId: interaction.user.id,
+      requestId,
+      decision: isApprove ? 'approve' : 'reject'
+    });
+  } catch (error) {
+    serviceLogger.error('Error handling change review button:', error);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({
+        content: 'An error occurred while reviewing this change.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  }
+}
+
+/**
+ * Handle Mark Inactive / Restore on the inactive staff report
+ * Marking posts a follow-up with a Restore button so the step can be undone from Discord.
+ */
+async function handleStaffInactivityButton(interaction) {
+  try {
+    const isMark = interaction.customId.startsWith(STAFF_INACTIVE_MARK_PREFIX);
+    const targetId = interaction.customId.replace(isMark ? STAFF_INACTIVE_MARK_PREFIX : STAFF_INACTIVE_RESTORE_PREFIX, '');
+
+    const roleIds = interaction.member ? [...interaction.member.roles.cache.keys()] : [];
+    if (!(await permissionService.hasPermission(roleIds, 'MANAGE_INACTIVE_STAFF'))) {
+      await interaction.reply({
+        content: 'You need the `MANAGE_INACTIVE_STAFF` permission to change staff status.',
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const actor = { userId: interaction.user.id, username: interaction.user.username };
+    const inactivityService = getStaffInactivityService(interaction.client);
+    const result = isMark
+      ? await inactivityService.markInactive(targetId, actor, 'discord')
+      : await inactivityService.restore(targetId, actor, 'discord');
+
+    if (!result.success) {
+      await interaction.editReply({ content: `❌ ${result.error}` });
+      return;
+    }
+
+    await disableStaffInactivityButton(interaction.message, interaction.customId);
+
+    const dmNote = result.dmSent ? '' : ' (they could not be DMed)';
+    if (isMark) {
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${STAFF_INACTIVE_RESTORE_PREFIX}${targetId}`)
+          .setLabel('Restore')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('↩️')
+      );
+      await interaction.channel?.send({
+        content: `<@${targetId}> was marked inactive by <@${interaction.user.id}>. Removed: ${result.roles.map(r => r.name).join(', ')}`,
+        components: [row],
+        allowedMentions: { users: [] }
+      });
+      await interaction.editReply({ content: `✅ Marked <@${targetId}> inactive${dmNote}.` });
+    } else {
+      await interaction.editReply({ content: `✅ Restored <@${targetId}>'s staff roles${dmNote}.` });
+    }
+
+    serviceLogger.info('Staff status changed via button', {
+      userId: interaction.user.id,
+      targetId,
+      action: isMark ? 'mark_inactive' : 'restore'
+    });
+  } catch (error) {
+    serviceLogger.error('Error handling staff inactivity button:', error);
+    const replyMethod = interaction.deferred || interaction.replied ? 'editReply' : 'reply';
+    await interaction[replyMethod]({
+      content: 'An error occurred while changing staff status.',
+      flags: replyMethod === 'reply' ? MessageFlags.Ephemeral : undefined
+    });
+  }
+}
+
+/**
+ * Disable a Mark Inactive / Restore button once it has been used
+ */
+async function disableStaffInactivityButton(message, buttonId) {
+  try {
+    if (!message?.components || message.components.length === 0) return;
+
+    const newComponents = message.components.map(row => {
+      const newRow = new ActionRowBuilder();
+      row.components.forEach(component => {
+        if (component.customId === buttonId) {
+          newRow.addComponents(
+            ButtonBuilder.from(component)
+              .setDisabled(true)
+              .setEmoji('✅')
+          );
+        } else {
+          newRow.addComponents(ButtonBuilder.from(component));
+        }
+      });
+      return newRow;
+    });
+
+    await message.edit({ components: newComponents });
+  } catch (error) {
+    serviceLogger.warn('Failed to disable staff inactivity button:', error.message);
+  }
+}
+
 module.exports = {
   handleButtonInteraction,
   BUTTON_IDS,
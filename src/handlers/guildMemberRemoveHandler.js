@@ -126,7 +126,7 @@ async function handleGuildMemberRemove(member) {
 
     // Invalidate whitelist cache if available
     if (global.whitelistServices?.whitelistService) {
-      global.whitelistServices.whitelistService.invalidateCache();
+      global.whitelistServices.whitelistService.invalidateCache(null, 'member_left');
       logger.debug('Invalidated whitelist cache after member removal');
     }
 
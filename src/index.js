@@ -128,6 +128,21 @@ client.on('ready', async () => {
         setSeedingService(seedingSessionService);
         global.seedingSessionService = seedingSessionService;
         loggerConsole.log('SeedingSessionService initialized');
+
+        // Start recurring seeding schedules (needs the session service)
+        const { initializeSeedingScheduleService } = require('./services/SeedingScheduleService');
+        await initializeSeedingScheduleService(seedingSessionService);
+        loggerConsole.log('SeedingScheduleService initialized');
+
+        // Start opt-in automatic seeding rules
+        const { initializeSeedingAutoTriggerService } = require('./services/SeedingAutoTriggerService');
+        await initializeSeedingAutoTriggerService(seedingSessionService);
+        loggerConsole.log('SeedingAutoTriggerService initialized');
+
+        // Start monthly top-seeder rewards
+        const { initializeSeedingLeaderboardService } = require('./services/SeedingLeaderboardService');
+        await initializeSeedingLeaderboardService();
+        loggerConsole.log('SeedingLeaderboardService initialized');
       } catch (error) {
         loggerConsole.error('Failed to initialize SeedingSessionService:', error.message);
       }
@@ -142,6 +157,17 @@ client.on('ready', async () => {
     await whitelistPostService.initialize();
     loggerConsole.log('WhitelistPostService initialized');
 
+    // Initialize WhitelistHistoryService (versioned snapshots of the generated whitelist)
+    if (global.whitelistServices?.whitelistService) {
+      try {
+        const { initializeWhitelistHistoryService } = require('./services/WhitelistHistoryService');
+        await initializeWhitelistHistoryService(global.whitelistServices.whitelistService);
+        loggerConsole.log('WhitelistHistoryService initialized');
+      } catch (error) {
+        loggerConsole.error('Failed to initialize WhitelistHistoryService:', error.message);
+      }
+    }
+
     // Initialize DutySessionService (session-based tracking with auto-timeout)
     try {
       const { initializeDutySessionService } = require('./services/DutySessionService');
@@ -169,6 +195,60 @@ client.on('ready', async () => {
       loggerConsole.error('Failed to initialize DutyTicketTrackingService:', error.message);
     }
 
+    // Initialize CoverageSnapshotService (periodic on-duty vs population snapshots)
+    try {
+      const { initializeCoverageSnapshotService } = require('./services/CoverageSnapshotService');
+      await initializeCoverageSnapshotService(client);
+      loggerConsole.log('CoverageSnapshotService initialized');
+    } catch (error) {
+      loggerConsole.error('Failed to initialize CoverageSnapshotService:', error.message);
+    }
+
+    // Initialize CoverageAlertService (low-coverage alerts with call-in pings)
+    try {
+      const { initializeCoverageAlertService } = require('./services/CoverageAlertService');
+      await initializeCoverageAlertService(client);
+      loggerConsole.log('CoverageAlertService initialized');
+    } catch (error) {
+      loggerConsole.error('Failed to initialize CoverageAlertService:', error.message);
+    }
+
+    // Initialize WhitelistReminderService (DM/in-game reminders before donation and seeding whitelists expire)
+    try {
+      const { initializeWhitelistReminderService } = require('./services/WhitelistReminderService');
+      await initializeWhitelistReminderService(client);
+      loggerConsole.log('WhitelistReminderService initialized');
+    } catch (error) {
+      loggerConsole.error('Failed to initialize WhitelistReminderService:', error.message);
+    }
+
+    // Initialize DutyAutoDetectionService (opt-in on-duty prompts from in-game admin activity)
+    try {
+      const { initializeDutyAutoDetectionService } = require('./services/DutyAutoDetectionService');
+      await initializeDutyAutoDetectionService(client);
+      loggerConsole.log('DutyAutoDetectionService initialized');
+    } catch (error) {
+      loggerConsole.error('Failed to initialize DutyAutoDetectionService:', error.message);
+    }
+
+    // Initialize DutyTargetReportService (weekly points target DMs and leadership summary)
+    try {
+      const { initializeDutyTargetReportService } = require('./services/DutyTargetReportService');
+      await initializeDutyTargetReportService(client);
+      loggerConsole.log('DutyTargetReportService initialized');
+    } catch (error) {
+      loggerConsole.error('Failed to initialize DutyTargetReportService:', error.message);
+    }
+
+    // Initialize StaffInactivityService (inactive staff reports with Mark Inactive / Restore)
+    try {
+      const { initializeStaffInactivityService } = require('./services/StaffInactivityService');
+      await initializeStaffInactivityService(client);
+      loggerConsole.log('StaffInactivityService initialized');
+    } catch (error) {
+      loggerConsole.error('Failed to initialize StaffInactivityService:', error.message);
+    }
+
     // Initialize ticket prompt tracking after startup sync
     await initializeTicketPromptTracking(client);
 
@@ -435,6 +515,10 @@ async function initializeWhitelist() {
       credentials: true
     }));
 
+    // Whitelist imports post whole Admins.cfg / CSV files; mounted first so the
+    // default-limit parser below skips bodies it has already parsed
+    app.use('/api/v1/whitelist/import', express.json({ limit: '2mb' }));
+
     // Add middleware to preserve raw body for signature verification
     app.use(express.json({
       verify: (req, res, buf, encoding) => {
@@ -568,6 +652,38 @@ async function gracefulShutdown(signal) {
       shutdownStatsImage();
     } catch (e) { /* ignore if not loaded */ }
 
+    // Stop coverage snapshots and alerts
+    try {
+      const { getCoverageSnapshotService } = require('./services/CoverageSnapshotService');
+      const { getCoverageAlertService } = require('./services/CoverageAlertService');
+      getCoverageSnapshotService()?.shutdown();
+      getCoverageAlertService()?.shutdown();
+    } catch (e) { /* ignore if not loaded */ }
+
+    // Stop whitelist expiry reminders
+    try {
+      const { getWhitelistReminderService } = require('./services/WhitelistReminderService');
+      getWhitelistReminderService()?.shutdown();
+    } catch (e) { /* ignore if not loaded */ }
+
+    // Stop in-game duty detection
+    try {
+      const { getDutyAutoDetectionService } = require('./services/DutyAutoDetectionService');
+      getDutyAutoDetectionService()?.shutdown();
+    } catch (e) { /* ignore if not loaded */ }
+
+    // Stop weekly target reports
+    try {
+      const { getDutyTargetReportService } = require('./services/DutyTargetReportService');
+      getDutyTargetReportService()?.shutdown();
+    } catch (e) { /* ignore if not loaded */ }
+
+    // Stop inactive staff reports
+    try {
+      const { getStaffInactivityService } = require('./services/StaffInactivityService');
+      getStaffInactivityService()?.shutdown();
+    } catch (e) { /* ignore if not loaded */ }
+
     // Shutdown dashboard socket service
     if (global.dashboardSocketService) {
       try {
@@ -578,6 +694,19 @@ async function gracefulShutdown(signal) {
       }
     }
 
+    // Stop seeding schedules and auto rules before the session service they start sessions on
+    try {
+      const { getSeedingScheduleService } = require('./services/SeedingScheduleService');
+      const { getSeedingAutoTriggerService } = require('./services/SeedingAutoTriggerService');
+      getSeedingScheduleService()?.shutdown();
+      getSeedingAutoTriggerService()?.shutdown();
+    } catch (e) { /* ignore if not loaded */ }
+
+    try {
+      const { getSeedingLeaderboardService } = require('./services/SeedingLeaderboardService');
+      getSeedingLeaderboardService()?.shutdown();
+    } catch (e) { /* ignore if not loaded */ }
+
     // Shutdown seeding session service first (depends on playtime tracking)
     if (global.seedingSessionService) {
       try {
@@ -588,6 +717,11 @@ async function gracefulShutdown(signal) {
       }
     }
 
+    try {
+      const { getWhitelistHistoryService } = require('./services/WhitelistHistoryService');
+      getWhitelistHistoryService()?.shutdown();
+    } catch (e) { /* ignore if not loaded */ }
+
     // Shutdown whitelist services (includes playtime tracking, SquadJS, etc.)
     if (global.whitelistServices) {
       await global.whitelistServices.gracefulShutdown();
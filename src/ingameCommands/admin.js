@@ -0,0 +1,29 @@
+const { getAdminRequestService } = require('../services/AdminRequestService');
+
+/**
+ * !admin <message> - Call an admin; posts a claimable request to Discord staff
+ */
+module.exports = {
+  name: 'admin',
+  aliases: ['admins', 'report'],
+  description: 'Call an admin (posted to Discord staff)',
+  args: [{ name: 'message', type: 'string', required: true, rest: true }],
+  cooldownSeconds: 120,
+
+  async execute({ args, player, server, warn, logger }) {
+    const service = getAdminRequestService();
+    if (!service) {
+      logger.warn('Admin request received before Discord client was ready', { serverId: server.id });
+      warn('Admin requests are unavailable right now. Please try again shortly.');
+      return;
+    }
+
+    const result = await service.createRequest({ server, player, message: args.message });
+    if (!result.success) {
+      warn('Your admin request could not be sent to staff. Please try again shortly.');
+      return;
+    }
+
+    warn(`Your admin request (#${result.request.id}) has been sent to staff. Please wait for a response.`);
+  }
+};
@@ -0,0 +1,15 @@
+const { INGAME_COMMANDS } = require('../../config/ingameCommands');
+
+/**
+ * !discord - Show the community Discord invite
+ */
+module.exports = {
+  name: 'discord',
+  aliases: ['dc'],
+  description: 'Show the Discord invite',
+  cooldownSeconds: 60,
+
+  async execute({ warn }) {
+    warn(`Join our Discord: ${INGAME_COMMANDS.discordInvite}`);
+  }
+};
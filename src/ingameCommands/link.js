@@ -0,0 +1,35 @@
+const { PlayerDiscordLink } = require('../database/models');
+const { INGAME_COMMANDS } = require('../../config/ingameCommands');
+
+/**
+ * !link - Show Discord link status and how to link
+ * The verification code itself is picked up by SquadJSLinkingService from any chat message.
+ */
+module.exports = {
+  name: 'link',
+  aliases: ['linkid', 'verify'],
+  description: 'Show your Discord link status',
+  cooldownSeconds: 60,
+
+  async execute({ player, warn }) {
+    const link = await PlayerDiscordLink.findOne({
+      where: { steamid64: player.steamID, is_primary: true }
+    });
+
+    const instructions = `In ${INGAME_COMMANDS.discordInvite}, click Link Steam ID on the whitelist post, then type the code here.`;
+
+    if (!link) {
+      warn(`Not linked. ${instructions}`);
+      return;
+    }
+
+    const discordUser = await global.discordClient?.users.fetch(link.discord_user_id).catch(() => null);
+    const displayName = discordUser?.username || link.discord_user_id;
+
+    if (parseFloat(link.confidence_score) >= 1.0) {
+      warn(`Linked to Discord as ${displayName} (verified).`);
+    } else {
+      warn(`Linked to Discord as ${displayName} but not verified. ${instructions}`);
+    }
+  }
+};
@@ -0,0 +1,17 @@
+const { INGAME_COMMANDS } = require('../../config/ingameCommands');
+
+/**
+ * !rules - Send the server rules summary to the player
+ */
+module.exports = {
+  name: 'rules',
+  aliases: ['rule'],
+  description: 'Show the server rules',
+  cooldownSeconds: 120,
+
+  async execute({ warn }) {
+    for (const line of INGAME_COMMANDS.rules) {
+      warn(line);
+    }
+  }
+};
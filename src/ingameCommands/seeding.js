@@ -0,0 +1,46 @@
+/**
+ * !seeding - Show the active seeding session, or which servers need seeding
+ */
+module.exports = {
+  name: 'seeding',
+  aliases: ['seed'],
+  description: 'Show which server needs seeding',
+  cooldownSeconds: 120,
+
+  async execute({ server, warn, connectionManager }) {
+    const activeSession = global.seedingSessionService?.getActiveSession();
+
+    if (activeSession) {
+      const connection = connectionManager.getServerConnection(activeSession.target_server_id);
+      const playerCount = connection?.serverInfo?.a2sPlayerCount;
+      const countText = typeof playerCount === 'number'
+        ? ` (${playerCount}/${activeSession.player_threshold})`
+        : '';
+
+      if (activeSession.target_server_id === server.id) {
+        warn(`This server is being seeded${countText}. Stay until it goes live to earn whitelist rewards!`);
+      } else {
+        warn(`Seeding in progress on ${activeSession.target_server_name}${countText}. Switch over to earn whitelist rewards!`);
+      }
+      return;
+    }
+
+    // No active session - list servers below their seed threshold
+    const needsSeeding = [];
+    for (const [serverId, connectionData] of connectionManager.getConnections()) {
+      if (!connectionData.socket?.connected) continue;
+
+      const playerCount = connectionData.serverInfo?.a2sPlayerCount;
+      const threshold = connectionData.server?.seedThreshold || 50;
+      if (typeof playerCount === 'number' && playerCount < threshold) {
+        needsSeeding.push(`${connectionData.server?.name || serverId} (${playerCount}/${threshold})`);
+      }
+    }
+
+    if (needsSeeding.length === 0) {
+      warn('No servers need seeding right now. Thanks for checking!');
+    } else {
+      warn(`Needs seeding: ${needsSeeding.join(', ')}`);
+    }
+  }
+};
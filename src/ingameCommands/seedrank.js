@@ -0,0 +1,33 @@
+const { getSeedingLeaderboardService } = require('../services/SeedingLeaderboardService');
+const { SEEDING_REWARDS } = require('../../config/seedingRewards');
+
+/**
+ * !seedrank - Show the player's seeding leaderboard position for this month
+ */
+module.exports = {
+  name: 'seedrank',
+  aliases: ['seedboard'],
+  description: 'Show your seeding leaderboard rank',
+  cooldownSeconds: 60,
+
+  async execute({ player, warn }) {
+    const result = await getSeedingLeaderboardService().getPlayerRank(player.steamID, 'month');
+
+    if (!result || result.rank === null) {
+      warn('You have no seeding time this month. Join a server while it seeds to climb the leaderboard!');
+      return;
+    }
+
+    const hours = Math.floor(result.seedingMinutes / 60);
+    const minutes = result.seedingMinutes % 60;
+    let message = `Seeding rank this month: #${result.rank} of ${result.rankedPlayers} (${hours}h ${minutes}m)`;
+
+    if (SEEDING_REWARDS.enabled) {
+      message += result.rank <= SEEDING_REWARDS.topN
+        ? ` - in the top ${SEEDING_REWARDS.topN} for whitelist rewards!`
+        : ` - top ${SEEDING_REWARDS.topN} earn whitelist rewards`;
+    }
+
+    warn(message);
+  }
+};
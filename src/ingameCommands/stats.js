@@ -0,0 +1,76 @@
+const { fetchStats } = require('../services/StatsService');
+const { INGAME_COMMANDS } = require('../../config/ingameCommands');
+
+/**
+ * !stats - Show player's K/D ratio with Discord invite
+ * Replies to the player and broadcasts the result to the server.
+ */
+module.exports = {
+  name: 'stats',
+  aliases: ['mystats'],
+  description: 'Show your K/D ratio',
+  cooldownSeconds: 600,
+
+  async execute({ player, server, logger, warn, broadcast }) {
+    try {
+      logger.info('Processing stats command', {
+        serverId: server.id,
+        serverName: server.name,
+        playerId: player.id,
+        playerName: player.name,
+        steamID: player.steamID
+      });
+
+      // Fetch stats from the API
+      const result = await fetchStats(player.steamID);
+
+      let responseMessage;
+      let broadcastMessage;
+
+      if (!result.success) {
+        // No stats found or error
+        responseMessage = `No stats found. Visit ${INGAME_COMMANDS.discordInvite} for more info.`;
+        broadcastMessage = `${player.name} has no recorded stats yet.`;
+
+        logger.info('No stats found for player', {
+          serverId: server.id,
+          playerName: player.name,
+          steamID: player.steamID,
+          error: result.error
+        });
+      } else {
+        const stats = result.stats;
+        const kd = stats.kdRatio?.toFixed(2) || '0.00';
+        const kills = stats.kills || 0;
+        const deaths = stats.deaths || 0;
+
+        responseMessage = `K/D: ${kd} (${kills}/${deaths}) - More stats at ${INGAME_COMMANDS.discordInvite}`;
+        broadcastMessage = `${player.name}'s K/D: ${kd} (${kills} kills, ${deaths} deaths)`;
+
+        logger.info('Player stats retrieved', {
+          serverId: server.id,
+          playerName: player.name,
+          steamID: player.steamID,
+          kd,
+          kills,
+          deaths
+        });
+      }
+
+      warn(responseMessage);
+      broadcast(broadcastMessage);
+    } catch (error) {
+      logger.error('Error processing stats command:', {
+        serverId: server.id,
+        serverName: server.name,
+        playerId: player.id,
+        playerName: player.name,
+        steamID: player.steamID,
+        error: error.message,
+        stack: error.stack
+      });
+
+      warn('Error checking stats. Please try again later.');
+    }
+  }
+};
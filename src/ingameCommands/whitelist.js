@@ -0,0 +1,91 @@
+const { Whitelist } = require('../database/models');
+
+/**
+ * !wl - Show player's whitelist status
+ * Replies to the player and broadcasts the result to the server.
+ */
+module.exports = {
+  name: 'wl',
+  aliases: ['whitelist', 'mywhitelist'],
+  description: 'Show your whitelist status',
+  cooldownSeconds: 600,
+
+  async execute({ player, server, logger, warn, broadcast }) {
+    try {
+      logger.info('Processing whitelist status command', {
+        serverId: server.id,
+        serverName: server.name,
+        playerId: player.id,
+        playerName: player.name,
+        steamID: player.steamID
+      });
+
+      // Use the same method as /whitelist info command for consistency
+      const whitelistStatus = await Whitelist.getActiveWhitelistForUser(player.steamID);
+
+      let responseMessage;
+      let broadcastMessage;
+
+      if (!whitelistStatus.hasWhitelist) {
+        // No whitelist entry found
+        responseMessage = 'No current whitelist.';
+        broadcastMessage = `${player.name}'s not currently whitelisted.`;
+
+        logger.info('Player has no active whitelist', {
+          serverId: server.id,
+          playerName: player.name,
+          steamID: player.steamID,
+          status: whitelistStatus.status
+        });
+      } else {
+        // Player has an active whitelist
+        if (whitelistStatus.status === 'Active (permanent)') {
+          // Permanent whitelist (role-based or manually granted permanent)
+          responseMessage = 'Whitelisted (Permanent)';
+          broadcastMessage = `${player.name}'s Whitelisted (Permanent)`;
+        } else if (whitelistStatus.expiration) {
+          // Temporary whitelist with expiration
+          const expirationDate = whitelistStatus.expiration;
+          const now = new Date();
+          const daysLeft = Math.ceil((expirationDate - now) / (1000 * 60 * 60 * 24));
+
+          const formattedDate = expirationDate.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+          });
+
+          responseMessage = `Whitelisted until ${formattedDate}`;
+          broadcastMessage = `${player.name}'s Whitelisted until ${formattedDate} (${daysLeft} day${daysLeft !== 1 ? 's' : ''} left)`;
+        } else {
+          // Fallback: status says active but no expiration
+          responseMessage = 'Whitelisted (Permanent)';
+          broadcastMessage = `${player.name}'s Whitelisted (Permanent)`;
+        }
+
+        logger.info('Player whitelist status retrieved', {
+          serverId: server.id,
+          playerName: player.name,
+          steamID: player.steamID,
+          status: whitelistStatus.status,
+          expiration: whitelistStatus.expiration
+        });
+      }
+
+      warn(responseMessage);
+      broadcast(broadcastMessage);
+    } catch (error) {
+      logger.error('Error processing whitelist status command:', {
+        serverId: server.id,
+        serverName: server.name,
+        playerId: player.id,
+        playerName: player.name,
+        steamID: player.steamID,
+        error: error.message,
+        stack: error.stack
+      });
+
+      warn('Error checking whitelist status. Please try again later.');
+    }
+  }
+};
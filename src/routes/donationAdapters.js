@@ -0,0 +1,506 @@
+const crypto = require('crypto');
+const { looksLikeSteamId } = require('../utils/steamId');
+
+/**
+ * Donation platform adapters
+ *
+ * Each adapter verifies the signature of an incoming webhook and normalises the payload
+ * into donation events that DonationService understands:
+ * {
+ *   platform, kind: 'payment' | 'cancellation' | 'refunded' | 'chargeback',
+ *   transactionId, paymentReference, subscriptionId, isRecurring,
+ *   from_name, amount, currency, message, email, type, steamIds
+ * }
+ *
+ * Refund and chargeback events identify the original payment by transactionId, which is
+ * matched against both the transaction ID and payment reference in the donation ledger.
+ * Ko-fi and Patreon do not send refund webhooks; those are recorded from the dashboard.
+ *
+ * Adapter interface:
+ * - label: Display name used in notifications
+ * - acceptsSharedToken: Whether the legacy DONATION_WEBHOOK_TOKEN check applies
+ * - verify(req): { valid, reason }
+ * - normalize(req): { events, response } - response overrides the webhook reply body
+ */
+
+// Reject signed requests older than this to prevent replays
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Tebex signs only the body, so the webhook's own 'date' field bounds replays. The window is
+// wider than the header timestamps above because a retried delivery keeps its original date.
+const TEBEX_DATE_TOLERANCE_SECONDS = 24 * 60 * 60;
+
+// Patreon signs only the body and sends no timestamp at all, so the member's last charge
+// date bounds replays instead. Members are charged monthly, so a genuine event never
+// refers to a charge older than one billing cycle plus Patreon's payment retries.
+const PATREON_CHARGE_MAX_AGE_DAYS = 35;
+
+// Stripe amounts are in the currency's smallest unit. Most currencies have two decimals;
+// these are the exceptions Stripe lists.
+const STRIPE_ZERO_DECIMAL_CURRENCIES = [
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+];
+const STRIPE_THREE_DECIMAL_CURRENCIES = ['BHD', 'JOD', 'KWD', 'OMR', 'TND'];
+
+/**
+ * Constant-time string comparison
+ * @param {string} provided
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function safeEqual(provided, expected) {
+  if (typeof provided !== 'string' || typeof expected !== 'string') return false;
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+  return providedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+function hmacHex(algorithm, secret, payload) {
+  return crypto.createHmac(algorithm, secret).update(payload).digest('hex');
+}
+
+/**
+ * Raw request body as received, preserved by the express.json verify hook
+ */
+function getRawBody(req) {
+  return req.rawBody || JSON.stringify(req.body);
+}
+
+function isFreshTimestamp(timestamp) {
+  const seconds = parseInt(timestamp, 10);
+  return !isNaN(seconds) && Math.abs(Date.now() / 1000 - seconds) <= SIGNATURE_TOLERANCE_SECONDS;
+}
+
+/**
+ * Whether an ISO date from a signed body is within the tolerance of now
+ */
+function isRecentDate(value, toleranceSeconds) {
+  const time = new Date(value).getTime();
+  return !isNaN(time) && Math.abs(Date.now() - time) <= toleranceSeconds * 1000;
+}
+
+/**
+ * Convert a Stripe amount from the currency's smallest unit
+ * @param {number} amount - e.g. 1050 for USD 10.50, 1050 for JPY 1050
+ * @param {string} currency - ISO code, any case
+ * @returns {number}
+ */
+function fromStripeAmount(amount, currency) {
+  const code = (currency || '').toUpperCase();
+  if (STRIPE_ZERO_DECIMAL_CURRENCIES.includes(code)) return amount || 0;
+  if (STRIPE_THREE_DECIMAL_CURRENCIES.includes(code)) return (amount || 0) / 1000;
+  return (amount || 0) / 100;
+}
+
+/**
+ * Build a normalised donation event with defaults for missing fields
+ */
+function createEvent(platform, fields) {
+  return {
+    platform,
+    kind: 'payment',
+    transactionId: null,
+    paymentReference: null,
+    subscriptionId: null,
+    isRecurring: false,
+    from_name: 'Anonymous',
+    amount: null,
+    currency: null,
+    message: null,
+    email: null,
+    type: 'Donation',
+    steamIds: [],
+    ...fields
+  };
+}
+
+function missingSecret(envName) {
+  return { valid: false, reason: `${envName} is not configured` };
+}
+
+/**
+ * Ko-fi - URL-encoded JSON in a 'data' field, authenticated by the verification token inside it.
+ * Ko-fi has no subscription ID, so memberships are keyed by the donor's email.
+ */
+const kofi = {
+  label: 'Ko-fi',
+  acceptsSharedToken: true,
+
+  readPayload(req) {
+    if (req.body.data) {
+      return typeof req.body.data === 'string' ? JSON.parse(req.body.data) : req.body.data;
+    }
+    return req.body;
+  },
+
+  verify(req) {
+    const expectedToken = process.env.KOFI_VERIFICATION_TOKEN;
+    if (!expectedToken) {
+      // Legacy setups rely on the shared DONATION_WEBHOOK_TOKEN only
+      return { valid: true };
+    }
+
+    let payload;
+    try {
+      payload = this.readPayload(req);
+    } catch {
+      return { valid: false, reason: 'Unreadable payload' };
+    }
+
+    return safeEqual(payload.verification_token, expectedToken)
+      ? { valid: true }
+      : { valid: false, reason: 'Verification token mismatch' };
+  },
+
+  normalize(req) {
+    const data = this.readPayload(req);
+    const isRecurring = data.type === 'Subscription' || data.is_subscription_payment === true;
+
+    return {
+      events: [createEvent('kofi', {
+        transactionId: data.kofi_transaction_id || data.message_id || null,
+        subscriptionId: isRecurring && data.email ? data.email.toLowerCase() : null,
+        isRecurring,
+        from_name: data.from_name || 'Anonymous',
+        amount: data.amount,
+        currency: data.currency || null,
+        message: data.message || null,
+        email: data.email || null,
+        type: data.type || 'Donation'
+      })]
+    };
+  }
+};
+
+/**
+ * Patreon - JSON:API member payloads, HMAC-MD5 of the body in X-Patreon-Signature.
+ * Replays are bounded by the member's last_charge_date (see PATREON_CHARGE_MAX_AGE_DAYS).
+ * Each paid charge updates last_charge_date, which is used as the transaction key.
+ * Patreon has no Steam ID field, so IDs come from the member's name or creator note.
+ */
+const patreon = {
+  label: 'Patreon',
+  acceptsSharedToken: false,
+
+  verify(req) {
+    const secret = process.env.PATREON_WEBHOOK_SECRET;
+    if (!secret) return missingSecret('PATREON_WEBHOOK_SECRET');
+
+    const signature = req.headers['x-patreon-signature'];
+    if (!safeEqual(signature, hmacHex('md5', secret, getRawBody(req)))) {
+      return { valid: false, reason: 'Invalid X-Patreon-Signature' };
+    }
+
+    // Members who were never charged have nothing a replay could grant or revoke
+    const lastChargeDate = req.body?.data?.attributes?.last_charge_date;
+    if (lastChargeDate && !isRecentDate(lastChargeDate, PATREON_CHARGE_MAX_AGE_DAYS * 24 * 60 * 60)) {
+      return { valid: false, reason: 'Patreon last_charge_date outside replay window' };
+    }
+
+    return { valid: true };
+  },
+
+  normalize(req) {
+    const eventType = req.headers['x-patreon-event'];
+    const member = req.body?.data;
+    if (!member) return { events: [] };
+
+    const attributes = member.attributes || {};
+    const user = (req.body.included || []).find(item => item.type === 'user');
+    const base = {
+      subscriptionId: member.id,
+      isRecurring: true,
+      from_name: attributes.full_name || user?.attributes?.full_name || 'Anonymous',
+      message: attributes.note || null,
+      email: attributes.email || null,
+      type: 'Subscription'
+    };
+
+    if (eventType === 'members:pledge:delete' || attributes.patron_status === 'former_patron') {
+      return { events: [createEvent('patreon', { ...base, kind: 'cancellation' })] };
+    }
+
+    // Declined charges are retried by Patreon, so only act on completed ones
+    if (attributes.patron_status === 'active_patron' &&
+        attributes.last_charge_status === 'Paid' &&
+        attributes.last_charge_date) {
+      return {
+        events: [createEvent('patreon', {
+          ...base,
+          transactionId: `${member.id}:${attributes.last_charge_date}`,
+          amount: (attributes.currently_entitled_amount_cents || 0) / 100,
+          currency: 'USD'
+        })]
+      };
+    }
+
+    return { events: [] };
+  }
+};
+
+/**
+ * Tebex - HMAC-SHA256 of the body's SHA-256 hex in X-Signature, with the body's date
+ * checked against TEBEX_DATE_TOLERANCE_SECONDS.
+ * Subscriptions are handled through the recurring-payment events only; the payment
+ * events Tebex also sends for them are skipped so a cycle is never counted twice.
+ */
+const tebex = {
+  label: 'Tebex',
+  acceptsSharedToken: false,
+
+  verify(req) {
+    const secret = process.env.TEBEX_WEBHOOK_SECRET;
+    if (!secret) return missingSecret('TEBEX_WEBHOOK_SECRET');
+
+    const bodyHash = crypto.createHash('sha256').update(getRawBody(req)).digest('hex');
+    if (!safeEqual(req.headers['x-signature'], hmacHex('sha256', secret, bodyHash))) {
+      return { valid: false, reason: 'Invalid X-Signature' };
+    }
+
+    return isRecentDate(req.body?.date, TEBEX_DATE_TOLERANCE_SECONDS)
+      ? { valid: true }
+      : { valid: false, reason: 'Missing or stale Tebex webhook date' };
+  },
+
+  paymentFields(payment) {
+    const customer = payment?.customer || {};
+    const steamId = customer.username?.id ? String(customer.username.id) : null;
+    const fullName = [customer.first_name, customer.last_name].filter(Boolean).join(' ');
+
+    return {
+      transactionId: payment?.transaction_id || null,
+      from_name: customer.username?.username || fullName || 'Anonymous',
+      amount: payment?.price?.amount,
+      currency: payment?.price?.currency || null,
+      email: customer.email || null,
+      steamIds: steamId && looksLikeSteamId(steamId) ? [steamId] : []
+    };
+  },
+
+  normalize(req) {
+    const { id, type, subject } = req.body || {};
+
+    switch (type) {
+    case 'validation.webhook':
+      return { events: [], response: { id } };
+
+    case 'payment.completed':
+      if (subject?.recurring_payment_reference) return { events: [] };
+      return { events: [createEvent('tebex', this.paymentFields(subject))] };
+
+    case 'payment.refunded':
+    case 'payment.dispute.opened':
+      return {
+        events: [createEvent('tebex', {
+          kind: type === 'payment.refunded' ? 'refunded' : 'chargeback',
+          transactionId: subject?.transaction_id || null
+        })]
+      };
+
+    case 'recurring-payment.started':
+    case 'recurring-payment.renewed':
+      return {
+        events: [createEvent('tebex', {
+          ...this.paymentFields(type === 'recurring-payment.started' ? subject?.initial_payment : subject?.last_payment),
+          subscriptionId: subject?.reference,
+          isRecurring: true,
+          type: 'Subscription'
+        })]
+      };
+
+    case 'recurring-payment.ended':
+      return {
+        events: [createEvent('tebex', {
+          kind: 'cancellation',
+          subscriptionId: subject?.reference,
+          isRecurring: true,
+          type: 'Subscription'
+        })]
+      };
+
+    default:
+      return { events: [] };
+    }
+  }
+};
+
+/**
+ * Stripe - Stripe-Signature header "t=<timestamp>,v1=<hmac>" over "<timestamp>.<body>".
+ * Steam IDs come from Checkout custom fields, metadata or client_reference_id.
+ * Renewal invoices carry no Steam IDs; DonationService reuses the subscription's IDs.
+ */
+const stripe = {
+  label: 'Stripe',
+  acceptsSharedToken: false,
+
+  verify(req) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) return missingSecret('STRIPE_WEBHOOK_SECRET');
+
+    const header = req.headers['stripe-signature'] || '';
+    let timestamp = null;
+    const signatures = [];
+    header.split(',').forEach(part => {
+      const [key, value] = part.split('=', 2);
+      if (key === 't') timestamp = value;
+      if (key === 'v1') signatures.push(value);
+    });
+
+    if (!timestamp || signatures.length === 0) {
+      return { valid: false, reason: 'Malformed Stripe-Signature' };
+    }
+    if (!isFreshTimestamp(timestamp)) {
+      return { valid: false, reason: 'Stripe-Signature timestamp outside tolerance' };
+    }
+
+    const expected = hmacHex('sha256', secret, `${timestamp}.${getRawBody(req)}`);
+    return signatures.some(signature => safeEqual(signature, expected))
+      ? { valid: true }
+      : { valid: false, reason: 'Invalid Stripe-Signature' };
+  },
+
+  normalize(req) {
+    const { type, data } = req.body || {};
+    const object = data?.object;
+    if (!object) return { events: [] };
+
+    switch (type) {
+    case 'checkout.session.completed':
+    case 'checkout.session.async_payment_succeeded': {
+      // Delayed payment methods complete later via async_payment_succeeded
+      if (object.payment_status !== 'paid') return { events: [] };
+
+      const fieldValues = (object.custom_fields || [])
+        .map(field => field.text?.value || field.numeric?.value || field.dropdown?.value)
+        .filter(Boolean);
+      const candidates = [
+        ...fieldValues,
+        ...Object.values(object.metadata || {}),
+        object.client_reference_id
+      ].filter(Boolean).flatMap(value => String(value).match(/\d{17}/g) || []);
+      const isRecurring = object.mode === 'subscription';
+
+      return {
+        events: [createEvent('stripe', {
+          transactionId: object.id,
+          paymentReference: object.payment_intent || null,
+          subscriptionId: isRecurring ? object.subscription : null,
+          isRecurring,
+          from_name: object.customer_details?.name || 'Anonymous',
+          amount: fromStripeAmount(object.amount_total, object.currency),
+          currency: object.currency ? object.currency.toUpperCase() : null,
+          message: fieldValues.join(' ') || null,
+          email: object.customer_details?.email || null,
+          type: isRecurring ? 'Subscription' : 'Donation',
+          steamIds: [...new Set(candidates.filter(looksLikeSteamId))]
+        })]
+      };
+    }
+
+    case 'invoice.paid':
+      // First invoices are covered by checkout.session.completed
+      if (object.billing_reason !== 'subscription_cycle') return { events: [] };
+      return {
+        events: [createEvent('stripe', {
+          transactionId: object.id,
+          paymentReference: object.payment_intent || null,
+          subscriptionId: object.subscription,
+          isRecurring: true,
+          from_name: object.customer_name || 'Anonymous',
+          amount: fromStripeAmount(object.amount_paid, object.currency),
+          currency: object.currency ? object.currency.toUpperCase() : null,
+          email: object.customer_email || null,
+          type: 'Subscription'
+        })]
+      };
+
+    case 'charge.refunded':
+      // Partial refunds leave the whitelist in place
+      if (!object.refunded) return { events: [] };
+      return { events: [createEvent('stripe', { kind: 'refunded', transactionId: object.payment_intent || null })] };
+
+    case 'charge.dispute.created':
+      return { events: [createEvent('stripe', { kind: 'chargeback', transactionId: object.payment_intent || null })] };
+
+    case 'customer.subscription.deleted':
+      return {
+        events: [createEvent('stripe', {
+          kind: 'cancellation',
+          subscriptionId: object.id,
+          isRecurring: true,
+          type: 'Subscription'
+        })]
+      };
+
+    default:
+      return { events: [] };
+    }
+  }
+};
+
+/**
+ * Generic signed JSON for custom integrations.
+ * Headers: X-Donation-Timestamp (unix seconds) and
+ * X-Donation-Signature: sha256=<hex HMAC of "<timestamp>.<body>" with DONATION_WEBHOOK_SECRET>
+ * Body: { event: 'payment'|'cancellation'|'refund'|'chargeback', id, subscription_id, recurring,
+ *         name, amount, currency, message, email, steam_ids: [] }
+ * Refund and chargeback events use id for the original payment's transaction ID.
+ */
+const generic = {
+  label: 'Custom',
+  acceptsSharedToken: false,
+
+  verify(req) {
+    const secret = process.env.DONATION_WEBHOOK_SECRET;
+    if (!secret) return missingSecret('DONATION_WEBHOOK_SECRET');
+
+    const timestamp = req.headers['x-donation-timestamp'];
+    const signature = (req.headers['x-donation-signature'] || '').replace(/^sha256=/, '');
+    if (!timestamp || !isFreshTimestamp(timestamp)) {
+      return { valid: false, reason: 'Missing or stale X-Donation-Timestamp' };
+    }
+
+    return safeEqual(signature, hmacHex('sha256', secret, `${timestamp}.${getRawBody(req)}`))
+      ? { valid: true }
+      : { valid: false, reason: 'Invalid X-Donation-Signature' };
+  },
+
+  normalize(req) {
+    const body = req.body || {};
+    const isRecurring = body.recurring === true || !!body.subscription_id;
+    const kinds = { cancellation: 'cancellation', refund: 'refunded', chargeback: 'chargeback' };
+
+    return {
+      events: [createEvent('generic', {
+        kind: kinds[body.event] || 'payment',
+        transactionId: body.id ? String(body.id) : null,
+        subscriptionId: body.subscription_id ? String(body.subscription_id) : null,
+        isRecurring,
+        from_name: body.name || 'Anonymous',
+        amount: body.amount,
+        currency: body.currency || null,
+        message: body.message || null,
+        email: body.email || null,
+        type: isRecurring ? 'Subscription' : 'Donation',
+        steamIds: Array.isArray(body.steam_ids) ? body.steam_ids.map(String).filter(looksLikeSteamId) : []
+      })]
+    };
+  }
+};
+
+const ADAPTERS = { kofi, patreon, tebex, stripe, generic };
+
+/**
+ * Look up an adapter by platform key
+ * @param {string} platform - kofi, patreon, tebex, stripe or generic
+ * @returns {Object|null}
+ */
+function getAdapter(platform) {
+  return Object.prototype.hasOwnProperty.call(ADAPTERS, platform) ? ADAPTERS[platform] : null;
+}
+
+module.exports = {
+  ADAPTERS,
+  getAdapter
+};
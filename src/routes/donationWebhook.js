@@ -2,6 +2,7 @@ const express = require('express');
 const { console: loggerConsole, createServiceLogger } = require('../utils/logger');
 const { loadConfig } = require('../utils/environment');
 const donationService = require('../services/DonationService');
+const { getAdapter } = require('./donationAdapters');
 
 const serviceLogger = createServiceLogger('DonationWebhook');
 const router = express.Router();
@@ -35,31 +36,22 @@ function setupDonationWebhook(client) {
   const donationConfig = loadConfig('donations');
 
   /**
-   * POST /webhook/donations
-   * Receives donation webhook from Ko-fi or similar platforms
-   *
-   * Expected format (URL-encoded):
-   * {
-   *   data: JSON.stringify({
-   *     from_name: 'Donor Name',
-   *     amount: '25.00',
-   *     message: 'Steam ID: 76561198XXXXXXXXX',
-   *     email: 'donor@example.com',
-   *     type: 'Donation'
-   *   })
-   * }
+   * Verify, normalise and process a webhook for one platform
+   * @param {Object} adapter - Platform adapter from donationAdapters
+   * @param {string} platform - Platform key
    */
-  router.post('/donations', async (req, res) => {
+  async function handleDonationWebhook(adapter, platform, req, res) {
     try {
-      serviceLogger.info('Received donation webhook');
+      serviceLogger.info('Received donation webhook', { platform });
 
-      // Validate webhook token if enabled
-      if (donationConfig.SECURITY.ENABLE_TOKEN_VALIDATION) {
+      // Validate the legacy shared token for platforms without request signatures
+      if (adapter.acceptsSharedToken && donationConfig.SECURITY.ENABLE_TOKEN_VALIDATION) {
         const providedToken = req.headers['authorization'] || req.query.token;
         const expectedToken = process.env.DONATION_WEBHOOK_TOKEN;
 
         if (!providedToken || providedToken !== expectedToken) {
           serviceLogger.warn('Unauthorized donation webhook attempt', {
+            platform,
             ip: req.ip,
             hasToken: !!providedToken
           });
@@ -67,73 +59,131 @@ function setupDonationWebhook(client) {
         }
       }
 
-      // Parse donation data (Ko-fi sends URL-encoded JSON in 'data' field)
-      let donationData;
-      try {
-        if (req.body.data) {
-          // Ko-fi format: URL-encoded JSON in 'data' field
-          donationData = typeof req.body.data === 'string'
-            ? JSON.parse(req.body.data)
-            : req.body.data;
-        } else {
-          // Direct JSON format
-          donationData = req.body;
-        }
-
-        serviceLogger.info('Parsed donation data', {
-          from_name: donationData.from_name,
-          amount: donationData.amount,
-          type: donationData.type
+      // Verify the platform signature
+      const verification = adapter.verify(req);
+      if (!verification.valid) {
+        serviceLogger.warn('Donation webhook failed signature verification', {
+          platform,
+          ip: req.ip,
+          reason: verification.reason
         });
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
 
+      // Normalise the platform payload into donation events
+      let normalized;
+      try {
+        normalized = adapter.normalize(req);
       } catch (parseError) {
         serviceLogger.error('Failed to parse donation data', {
+          platform,
           error: parseError.message,
           body: req.body
         });
         return res.status(400).json({ error: 'Invalid donation data format' });
       }
 
-      // Extract required fields
-      const { from_name, amount, message, email, type } = donationData;
+      const { events, response } = normalized;
 
-      if (!from_name || !amount) {
-        serviceLogger.error('Missing required donation fields', { from_name, amount });
-        return res.status(400).json({ error: 'Missing required fields: from_name, amount' });
+      if (events.length === 0) {
+        serviceLogger.debug('Donation webhook event ignored', { platform });
+        return res.status(200).json(response || { success: true, message: 'Event ignored' });
       }
 
-      // Process the donation
-      const processingResult = await donationService.processDonation(donationData);
+      const outcomes = [];
+
+      for (const donationData of events) {
+        if (donationData.kind === 'refunded' || donationData.kind === 'chargeback') {
+          const reversalResult = await donationService.processReversal(donationData);
+          if (!reversalResult.duplicate) {
+            await sendReversalNotification(client, adapter, donationData, reversalResult);
+          }
+          outcomes.push({
+            success: reversalResult.success,
+            reversed: donationData.kind,
+            revoked: reversalResult.revokedCount,
+            error: reversalResult.error
+          });
+          continue;
+        }
 
-      // Send Discord notifications (even for validation failures)
-      await sendDonationNotifications(client, donationConfig, donationData, processingResult);
+        if (donationData.kind === 'cancellation') {
+          const cancellationResult = await donationService.processCancellation(donationData);
+          await sendCancellationNotification(client, adapter, donationData, cancellationResult);
+          outcomes.push({
+            success: cancellationResult.success,
+            cancelled: true,
+            revoked: cancellationResult.revokedCount,
+            error: cancellationResult.error
+          });
+          continue;
+        }
 
-      // Check if donation processing failed validation
-      if (!processingResult.success && !processingResult.partialSuccess) {
-        serviceLogger.warn('Donation validation failed', {
-          error: processingResult.error,
-          errorType: processingResult.errorType
-        });
-        // Still return 200 so donation platform doesn't retry, but indicate failure
-        return res.status(200).json({
-          success: false,
-          error: processingResult.error,
-          errorType: processingResult.errorType,
-          expected: processingResult.expected,
-          found: processingResult.found
+        serviceLogger.info('Parsed donation data', {
+          platform,
+          from_name: donationData.from_name,
+          amount: donationData.amount,
+          type: donationData.type
         });
+
+        if (!donationData.amount) {
+          serviceLogger.error('Missing required donation fields', { platform, amount: donationData.amount });
+          outcomes.push({ success: false, error: 'Missing required field: amount' });
+          continue;
+        }
+
+        // Process the donation
+        const processingResult = await donationService.processDonation(donationData);
+
+        if (processingResult.duplicate) {
+          outcomes.push({ success: true, duplicate: true });
+          continue;
+        }
+
+        // Send Discord notifications (even for validation failures)
+        await sendDonationNotifications(client, adapter, donationData, processingResult);
+
+        // Check if donation processing failed validation
+        if (!processingResult.success && !processingResult.partialSuccess) {
+          serviceLogger.warn('Donation validation failed', {
+            platform,
+            error: processingResult.error,
+            errorType: processingResult.errorType
+          });
+          outcomes.push({
+            success: false,
+            error: processingResult.error,
+            errorType: processingResult.errorType,
+            expected: processingResult.expected,
+            found: processingResult.found
+          });
+          continue;
+        }
+
+        const outcome = {
+          success: true,
+          processed: processingResult.successCount,
+          failed: processingResult.failureCount,
+          unclaimed: processingResult.unclaimedSlots || 0
+        };
+
+        // The generic endpoint is called by our own store, which can show the claim code to the donor
+        if (platform === 'generic' && processingResult.claimCode) {
+          outcome.claimCode = processingResult.claimCode;
+        }
+
+        outcomes.push(outcome);
       }
 
-      // Respond to webhook with success
-      res.status(200).json({
-        success: true,
-        message: 'Donation processed',
-        processed: processingResult.successCount,
-        failed: processingResult.failureCount
-      });
+      // Always return 200 once verified so the platform doesn't retry validation failures
+      if (response) {
+        return res.status(200).json(response);
+      }
+      res.status(200).json(outcomes.length === 1 ? outcomes[0] : { success: outcomes.every(o => o.success), results: outcomes });
 
     } catch (error) {
       serviceLogger.error('Error processing donation webhook', {
+        platform,
         error: error.message,
         stack: error.stack
       });
@@ -143,7 +193,7 @@ function setupDonationWebhook(client) {
         const adminChannelId = CHANNELS.DONATION_ADMIN_LOGS;
         const adminChannel = await client.channels.fetch(adminChannelId);
         if (adminChannel) {
-          await adminChannel.send(`❌ **Donation Webhook Error**\n\`\`\`${error.message}\`\`\``);
+          await adminChannel.send(`❌ **Donation Webhook Error** (${adapter.label})\n\`\`\`${error.message}\`\`\``);
         }
       } catch (notifError) {
         serviceLogger.error('Failed to send error notification', { error: notifError.message });
@@ -151,22 +201,114 @@ function setupDonationWebhook(client) {
 
       res.status(500).json({ error: 'Internal server error processing donation' });
     }
+  }
+
+  /**
+   * POST /webhook/donations
+   * Legacy Ko-fi endpoint (URL-encoded JSON in a 'data' field)
+   */
+  router.post('/donations', (req, res) => handleDonationWebhook(getAdapter('kofi'), 'kofi', req, res));
+
+  /**
+   * POST /webhook/donations/:platform
+   * Platform-specific endpoint: kofi, patreon, tebex, stripe or generic
+   * See config/donations.js for the secret each platform is verified with.
+   */
+  router.post('/donations/:platform', (req, res) => {
+    const platform = req.params.platform.toLowerCase();
+    const adapter = getAdapter(platform);
+
+    if (!adapter) {
+      return res.status(404).json({ error: `Unknown donation platform: ${req.params.platform}` });
+    }
+
+    return handleDonationWebhook(adapter, platform, req, res);
   });
 
   return router;
 }
 
+/**
+ * Send Discord notification for a refund or chargeback (admin channel only)
+ * @param {Object} client - Discord client
+ * @param {Object} adapter - Platform adapter
+ * @param {Object} donationData - Normalised refund/chargeback event
+ * @param {Object} reversalResult - Result from donation service
+ */
+async function sendReversalNotification(client, adapter, donationData, reversalResult) {
+  try {
+    const adminChannel = await client.channels.fetch(CHANNELS.DONATION_ADMIN_LOGS);
+    if (!adminChannel) return;
+
+    const label = donationData.kind === 'chargeback' ? 'Chargeback' : 'Refund';
+    const donation = reversalResult.donation;
+
+    let notification = '```\n';
+    notification += `Platform: ${adapter.label}\n`;
+    notification += `Transaction: ${sanitizeForDiscord(donationData.transactionId || 'unknown')}\n`;
+    if (donation) {
+      notification += `Name: ${sanitizeForDiscord(donation.donor_name)}\n`;
+      notification += `Amount: ${donation.amount}${donation.currency ? ` ${donation.currency}` : ''}\n`;
+    }
+    notification += '```\n';
+
+    if (!reversalResult.success) {
+      notification += `⚠️ **${label} received but not matched to a donation**: ${reversalResult.error}. Please review manually.\n`;
+    } else {
+      notification += `↩️ **${label}** recorded for donation #${donation.id}. Revoked **${reversalResult.revokedCount}** whitelist entr${reversalResult.revokedCount === 1 ? 'y' : 'ies'}`;
+      notification += donation.steam_ids?.length ? ` for SteamID(s) **(${donation.steam_ids.join(', ')})**.\n` : '.\n';
+    }
+
+    await adminChannel.send(notification);
+  } catch (error) {
+    serviceLogger.error('Failed to send reversal notification', {
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Send Discord notification for a cancelled subscription (admin channel only)
+ * @param {Object} client - Discord client
+ * @param {Object} adapter - Platform adapter
+ * @param {Object} donationData - Normalised cancellation event
+ * @param {Object} cancellationResult - Result from donation service
+ */
+async function sendCancellationNotification(client, adapter, donationData, cancellationResult) {
+  try {
+    const adminChannel = await client.channels.fetch(CHANNELS.DONATION_ADMIN_LOGS);
+    if (!adminChannel) return;
+
+    let notification = '```\n';
+    notification += `Platform: ${adapter.label}\n`;
+    notification += `Name: ${sanitizeForDiscord(donationData.from_name)}\n`;
+    notification += `Subscription: ${sanitizeForDiscord(donationData.subscriptionId || 'unknown')}\n`;
+    notification += '```\n';
+
+    if (!cancellationResult.success) {
+      notification += `⚠️ **Subscription cancellation could not be processed**: ${cancellationResult.error}\n`;
+    } else if (cancellationResult.revokedCount > 0) {
+      notification += `🔕 Subscription cancelled. Revoked **${cancellationResult.revokedCount}** whitelist entr${cancellationResult.revokedCount === 1 ? 'y' : 'ies'} for SteamID(s) **(${cancellationResult.steamIds.join(', ')})**.\n`;
+    } else {
+      notification += '🔕 Subscription cancelled. No active whitelist entries were linked to it.\n';
+    }
+
+    await adminChannel.send(notification);
+  } catch (error) {
+    serviceLogger.error('Failed to send cancellation notification', {
+      error: error.message
+    });
+  }
+}
+
 /**
  * Send Discord notifications for donation processing
  * @param {Object} client - Discord client
- * @param {Object} config - Donation configuration
- * @param {Object} donationData - Original donation data
+ * @param {Object} adapter - Platform adapter the donation came from
+ * @param {Object} donationData - Normalised donation data
  * @param {Object} processingResult - Result from donation service
  */
-async function sendDonationNotifications(client, config, donationData, processingResult) {
-  const { from_name, amount, message, email } = donationData;
-  const steamIds = donationService.extractSteamIds(from_name, message);
-
+async function sendDonationNotifications(client, adapter, donationData, processingResult) {
   // Get Discord channels from centralized config
   const publicChannelId = CHANNELS.DONATION_ANNOUNCEMENTS;
   const adminChannelId = CHANNELS.DONATION_ADMIN_LOGS;
@@ -178,8 +320,8 @@ async function sendDonationNotifications(client, config, donationData, processin
     // Handle errors in processing (validation failures)
     if (!processingResult.success && !processingResult.partialSuccess) {
       // Complete failure - notify BOTH channels so donor knows we received it
-      const publicErrorMessage = formatPublicErrorNotification(donationData, processingResult);
-      const adminErrorMessage = formatAdminErrorNotification(donationData, processingResult);
+      const publicErrorMessage = formatPublicErrorNotification(adapter, donationData, processingResult);
+      const adminErrorMessage = formatAdminErrorNotification(adapter, donationData, processingResult);
 
       if (publicChannel) {
         await publicChannel.send(publicErrorMessage);
@@ -193,8 +335,8 @@ async function sendDonationNotifications(client, config, donationData, processin
     // Handle partial or complete success
     if (processingResult.failureCount > 0) {
       // Partial success - notify both channels
-      const publicMessage = formatPublicNotification(donationData, processingResult, true);
-      const adminMessage = formatAdminNotification(donationData, processingResult, true);
+      const publicMessage = formatPublicNotification(adapter, donationData, processingResult, true);
+      const adminMessage = formatAdminNotification(adapter, donationData, processingResult, true);
 
       if (publicChannel) {
         await publicChannel.send(publicMessage);
@@ -205,8 +347,8 @@ async function sendDonationNotifications(client, config, donationData, processin
 
     } else {
       // Complete success - normal notifications
-      const publicMessage = formatPublicNotification(donationData, processingResult, false);
-      const adminMessage = formatAdminNotification(donationData, processingResult, false);
+      const publicMessage = formatPublicNotification(adapter, donationData, processingResult, false);
+      const adminMessage = formatAdminNotification(adapter, donationData, processingResult, false);
 
       if (publicChannel) {
         await publicChannel.send(publicMessage);
@@ -231,9 +373,9 @@ async function sendDonationNotifications(client, config, donationData, processin
 /**
  * Format public notification (no email)
  */
-function formatPublicNotification(donationData, processingResult, hasErrors) {
+function formatPublicNotification(adapter, donationData, processingResult, hasErrors) {
   const { from_name, amount, message } = donationData;
-  const steamIds = donationService.extractSteamIds(from_name, message);
+  const steamIds = processingResult.steamIds || donationService.getSteamIds(donationData);
   const tier = processingResult.tier;
 
   // Sanitize user inputs
@@ -245,15 +387,17 @@ function formatPublicNotification(donationData, processingResult, hasErrors) {
 
   let notification = '```\n';
   notification += `Name: ${safeName}\n`;
-  notification += 'Type: Donation\n';
+  notification += `Platform: ${adapter.label}\n`;
+  notification += `Type: ${sanitizeForDiscord(donationData.type) || 'Donation'}\n`;
   notification += `Amount: ${amount}\n`;
   notification += `Message: ${safeMessage}\n`;
   notification += '```\n';
 
   if (hasErrors) {
     notification += `⚠️ A player has donated **${amount}** but only **${processingResult.successCount}/${steamIds.length}** SteamID(s) were successfully added for **${durationText} whitelist**. Admin attention needed!\n`;
-  } else if (steamIds.length < processingResult.expectedSteamIds) {
-    notification += `⚠️ A player has donated **${amount}** but only provided **${steamIds.length}/${processingResult.expectedSteamIds}** SteamID(s): **(${steamIdList})** for **${durationText} whitelist**. Admin attention needed!\n`;
+  } else if (processingResult.unclaimedSlots > 0) {
+    notification += `A player has donated **${amount}** for **${durationText} whitelist** and provided **${steamIds.length}/${processingResult.expectedSteamIds}** SteamID(s)${steamIds.length ? `: **(${steamIdList})**` : ''}.\n`;
+    notification += `🎟️ **${processingResult.unclaimedSlots}** slot(s) are waiting to be claimed. Please open a ticket to receive your claim code, then redeem it with \`/donation claim\`.\n`;
   } else {
     notification += `A player has donated **${amount}**. SteamID(s) **(${steamIdList})** added to the whitelist for **${durationText} whitelist**.\n`;
   }
@@ -275,9 +419,9 @@ function formatPublicNotification(donationData, processingResult, hasErrors) {
 /**
  * Format admin notification (includes email)
  */
-function formatAdminNotification(donationData, processingResult, hasErrors) {
+function formatAdminNotification(adapter, donationData, processingResult, hasErrors) {
   const { from_name, amount, message, email } = donationData;
-  const steamIds = donationService.extractSteamIds(from_name, message);
+  const steamIds = processingResult.steamIds || donationService.getSteamIds(donationData);
   const tier = processingResult.tier;
 
   // Sanitize user inputs
@@ -290,7 +434,8 @@ function formatAdminNotification(donationData, processingResult, hasErrors) {
 
   let notification = '```\n';
   notification += `Name: ${safeName}\n`;
-  notification += 'Type: Donation\n';
+  notification += `Platform: ${adapter.label}\n`;
+  notification += `Type: ${sanitizeForDiscord(donationData.type) || 'Donation'}\n`;
   notification += `Amount: ${amount}\n`;
   notification += `Message: ${safeMessage}\n`;
   notification += `Email: ${safeEmail}\n`;
@@ -299,14 +444,19 @@ function formatAdminNotification(donationData, processingResult, hasErrors) {
   if (hasErrors) {
     notification += `⚠️ **Admin Attention Required**: Donation of **${amount}** processed with errors.\n`;
     notification += `Successfully added: **${processingResult.successCount}/${steamIds.length}** SteamID(s)\n`;
-  } else if (steamIds.length < processingResult.expectedSteamIds) {
-    notification += `⚠️ **Admin Attention Required**: Donation of **${amount}** has fewer SteamIDs than expected.\n`;
-    notification += `Provided: **${steamIds.length}/${processingResult.expectedSteamIds}** SteamID(s): **(${steamIdList})**\n`;
+  } else if (processingResult.unclaimedSlots > 0) {
+    notification += `🎟️ Donation of **${amount}** has fewer SteamIDs than expected.\n`;
+    notification += `Provided: **${steamIds.length}/${processingResult.expectedSteamIds}** SteamID(s)${steamIds.length ? `: **(${steamIdList})**` : ''}\n`;
   } else {
     notification += `✅ Donation of **${amount}** processed successfully.\n`;
     notification += `SteamID(s) **(${steamIdList})** added for **${durationText} whitelist**.\n`;
   }
 
+  // Shown once - only the hash is stored, staff can issue a new code from the dashboard
+  if (processingResult.claimCode) {
+    notification += `Claim code for **${processingResult.unclaimedSlots}** unclaimed slot(s): ||\`${processingResult.claimCode}\`|| (donation #${processingResult.donationId}). Share it with the donor privately.\n`;
+  }
+
   return notification;
 }
 
@@ -314,7 +464,7 @@ function formatAdminNotification(donationData, processingResult, hasErrors) {
  * Format public error notification (no email)
  * Sent to public channel so donor knows we received their donation
  */
-function formatPublicErrorNotification(donationData, processingResult) {
+function formatPublicErrorNotification(adapter, donationData, processingResult) {
   const { from_name, amount, message } = donationData;
 
   // Sanitize user inputs
@@ -323,7 +473,8 @@ function formatPublicErrorNotification(donationData, processingResult) {
 
   let notification = '```\n';
   notification += `Name: ${safeName}\n`;
-  notification += 'Type: Donation\n';
+  notification += `Platform: ${adapter.label}\n`;
+  notification += `Type: ${sanitizeForDiscord(donationData.type) || 'Donation'}\n`;
   notification += `Amount: ${amount}\n`;
   notification += `Message: ${safeMessage}\n`;
   notification += '```\n';
@@ -342,7 +493,7 @@ function formatPublicErrorNotification(donationData, processingResult) {
  * Format admin error notification (includes email and full details)
  * Sent to admin channel for manual processing
  */
-function formatAdminErrorNotification(donationData, processingResult) {
+function formatAdminErrorNotification(adapter, donationData, processingResult) {
   const { from_name, amount, message, email } = donationData;
 
   // Sanitize user inputs
@@ -353,7 +504,8 @@ function formatAdminErrorNotification(donationData, processingResult) {
   let notification = '❌ **Donation Processing Failed**\n\n';
   notification += '```\n';
   notification += `Name: ${safeName}\n`;
-  notification += 'Type: Donation\n';
+  notification += `Platform: ${adapter.label}\n`;
+  notification += `Type: ${sanitizeForDiscord(donationData.type) || 'Donation'}\n`;
   notification += `Amount: ${amount}\n`;
   notification += `Email: ${safeEmail}\n`;
   notification += `Message: ${safeMessage}\n`;
@@ -0,0 +1,246 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const { createServiceLogger } = require('../utils/logger');
+const { channels } = require('../utils/environment');
+const { AdminRequest, DutySession, DutyActivityEvent } = require('../database/models');
+
+const { CHANNELS } = channels;
+const logger = createServiceLogger('AdminRequestService');
+
+// Button prefixes (suffixed with the request ID)
+const ADMIN_REQUEST_CLAIM_PREFIX = 'admin_request_claim_';
+const ADMIN_REQUEST_RESOLVE_PREFIX = 'admin_request_resolve_';
+
+const STATUS_COLORS = {
+  open: 0xFF8C00,
+  claimed: 0x00BFFF,
+  resolved: 0x00FF00
+};
+
+/**
+ * Routes in-game "!admin <message>" calls to Discord staff.
+ * Requests are posted with Claim/Resolve buttons; claiming warns the player in game
+ * and credits the claimer's active duty session.
+ */
+class AdminRequestService {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Create a request from an in-game chat command and post it to Discord
+   * @param {Object} options
+   * @param {Object} options.server - SquadJS server config ({ id, name })
+   * @param {Object} options.player - SquadJS player ({ name, steamID, eosID })
+   * @param {string} options.message - Player's message
+   * @returns {Promise<{ success: boolean, request: AdminRequest, error?: string }>}
+   */
+  async createRequest({ server, player, message }) {
+    const request = await AdminRequest.create({
+      guildId: process.env.DISCORD_GUILD_ID || null,
+      serverId: server.id,
+      serverName: server.name || server.id,
+      playerName: player.name || null,
+      steamId: player.steamID || null,
+      eosId: player.eosID || null,
+      message
+    });
+
+    try {
+      const channel = await this.client.channels.fetch(CHANNELS.ADMIN_REQUESTS);
+      const posted = await channel.send({
+        embeds: [this.buildEmbed(request)],
+        components: this.buildComponents(request)
+      });
+
+      await request.update({
+        discordChannelId: posted.channelId,
+        discordMessageId: posted.id
+      });
+    } catch (error) {
+      logger.error('Failed to post admin request to Discord', {
+        requestId: request.id,
+        error: error.message
+      });
+      return { success: false, request, error: 'Request could not be posted to Discord' };
+    }
+
+    logger.info('Admin request created', {
+      requestId: request.id,
+      serverId: server.id,
+      steamId: player.steamID
+    });
+
+    return { success: true, request };
+  }
+
+  /**
+   * Claim a request for a staff member
+   * @returns {Promise<{ success: boolean, request?: AdminRequest, error?: string }>}
+   */
+  async claimRequest(requestId, discordUserId) {
+    const activeSession = await DutySession.getActiveSession(discordUserId);
+    const request = await AdminRequest.claim(requestId, discordUserId, activeSession?.id || null);
+
+    if (!request) {
+      const existing = await AdminRequest.findByPk(requestId);
+      if (!existing) {
+        return { success: false, error: 'This admin request no longer exists.' };
+      }
+      return {
+        success: false,
+        error: existing.status === 'resolved'
+          ? 'This admin request has already been resolved.'
+          : `This admin request was already claimed by <@${existing.claimedBy}>.`
+      };
+    }
+
+    // Credit the claimer (counts toward session points when on duty)
+    try {
+      await DutyActivityEvent.recordAdminRequestClaim(
+        discordUserId,
+        request.guildId,
+        activeSession?.id || null,
+        request.serverId,
+        request.id
+      );
+
+      if (activeSession) {
+        await DutySession.incrementActivityCounter(activeSession.id, 'adminRequestsClaimed', 1);
+      }
+    } catch (error) {
+      logger.error('Failed to record admin request claim activity', {
+        requestId: request.id,
+        discordUserId,
+        error: error.message
+      });
+    }
+
+    this.warnPlayer(request, 'An admin has seen your request and is on the way.');
+
+    logger.info('Admin request claimed', {
+      requestId: request.id,
+      discordUserId,
+      sessionId: activeSession?.id
+    });
+
+    return { success: true, request };
+  }
+
+  /**
+   * Mark a request as resolved
+   * @returns {Promise<{ success: boolean, request?: AdminRequest, error?: string }>}
+   */
+  async resolveRequest(requestId, discordUserId) {
+    const request = await AdminRequest.resolve(requestId, discordUserId);
+
+    if (!request) {
+      const existing = await AdminRequest.findByPk(requestId);
+      return {
+        success: false,
+        error: existing ? 'This admin request has already been resolved.' : 'This admin request no longer exists.'
+      };
+    }
+
+    logger.info('Admin request resolved', { requestId: request.id, discordUserId });
+
+    return { success: true, request };
+  }
+
+  /**
+   * Warn the requesting player in game (no-op if the server is not connected)
+   */
+  warnPlayer(request, text) {
+    const connectionManager = global.whitelistServices?.connectionManager;
+    const playerId = request.steamId || request.eosId;
+
+    if (!connectionManager || !playerId) {
+      return false;
+    }
+
+    return connectionManager.sendRCONWarn(request.serverId, playerId, text);
+  }
+
+  /**
+   * Build the request embed for its current status
+   */
+  buildEmbed(request) {
+    const identifiers = [];
+    if (request.steamId) identifiers.push(`Steam: \`${request.steamId}\``);
+    if (request.eosId) identifiers.push(`EOS: \`${request.eosId}\``);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🚨 Admin Request #${request.id}`)
+      .setDescription(request.message)
+      .setColor(STATUS_COLORS[request.status] || STATUS_COLORS.open)
+      .addFields(
+        { name: 'Server', value: request.serverName || request.serverId, inline: true },
+        { name: 'Player', value: request.playerName || 'Unknown', inline: true },
+        { name: 'Status', value: this.formatStatus(request), inline: true },
+        { name: 'Identifiers', value: identifiers.join('\n') || 'Unknown', inline: false }
+      )
+      .setTimestamp(request.createdAt);
+
+    if (request.steamId) {
+      embed.addFields({
+        name: 'BattleMetrics',
+        value: `[Search player](https://www.battlemetrics.com/rcon/players?filter[search]=${request.steamId})`,
+        inline: false
+      });
+    }
+
+    return embed;
+  }
+
+  formatStatus(request) {
+    switch (request.status) {
+    case 'claimed':
+      return `Claimed by <@${request.claimedBy}>`;
+    case 'resolved':
+      return `Resolved by <@${request.resolvedBy}>`;
+    default:
+      return 'Open';
+    }
+  }
+
+  /**
+   * Build Claim/Resolve buttons (none once resolved)
+   */
+  buildComponents(request) {
+    if (request.status === 'resolved') {
+      return [];
+    }
+
+    return [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${ADMIN_REQUEST_CLAIM_PREFIX}${request.id}`)
+          .setLabel('Claim')
+          .setStyle(ButtonStyle.Primary)
+          .setEmoji('🙋')
+          .setDisabled(request.status !== 'open'),
+        new ButtonBuilder()
+          .setCustomId(`${ADMIN_REQUEST_RESOLVE_PREFIX}${request.id}`)
+          .setLabel('Resolve')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('✅')
+      )
+    ];
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getAdminRequestService(client = global.discordClient) {
+  if (!instance && client) {
+    instance = new AdminRequestService(client);
+  }
+  return instance;
+}
+
+module.exports = {
+  AdminRequestService,
+  getAdminRequestService,
+  ADMIN_REQUEST_CLAIM_PREFIX,
+  ADMIN_REQUEST_RESOLVE_PREFIX
+};
@@ -0,0 +1,451 @@
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const { Op } = require('sequelize');
+const { createServiceLogger } = require('../utils/logger');
+const { channels } = require('../utils/environment');
+const { isValidSteamId } = require('../utils/steamId');
+const { sequelize } = require('../../config/database');
+const { Ban, BanAppeal, AuditLog, PlayerDiscordLink } = require('../database/models');
+const { getBanService } = require('./BanService');
+const battlemetricsService = require('./BattleMetricsService');
+
+const { CHANNELS, BAN_APPEAL_CONFIG = {} } = channels;
+const logger = createServiceLogger('BanAppealService');
+
+const VOTES_REQUIRED = BAN_APPEAL_CONFIG.VOTES_REQUIRED || 2;
+const REAPPEAL_COOLDOWN_DAYS = BAN_APPEAL_CONFIG.REAPPEAL_COOLDOWN_DAYS ?? 14;
+const BATTLEMETRICS_TIMEOUT_MS = BAN_APPEAL_CONFIG.BATTLEMETRICS_TIMEOUT_MS || 5000;
+
+// Whitelist post button and the modal it opens
+const BAN_APPEAL_BUTTON_ID = 'ban_appeal_open';
+const BAN_APPEAL_MODAL_ID = 'ban_appeal_modal';
+
+// Reviewer vote button prefixes (suffixed with the appeal ID)
+const BAN_APPEAL_ACCEPT_PREFIX = 'ban_appeal_accept_';
+const BAN_APPEAL_DENY_PREFIX = 'ban_appeal_deny_';
+
+const STATUS_COLORS = {
+  open: 0xFF8C00,
+  accepted: 0x00FF00,
+  denied: 0xFF0000
+};
+
+/**
+ * Ban appeals opened by players from the whitelist post.
+ * An appeal targets the player's active local ban, or failing that their active
+ * BattleMetrics ban. Reviewers vote in the ban appeals channel; the first side to
+ * reach VOTES_REQUIRED decides it. Accepted local bans are lifted automatically.
+ */
+class BanAppealService {
+  constructor(client) {
+    this.client = client;
+  }
+
+  buildModal() {
+    return new ModalBuilder()
+      .setCustomId(BAN_APPEAL_MODAL_ID)
+      .setTitle('Ban Appeal')
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('steam_id_input')
+            .setLabel('Steam ID64 of the banned account')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('76561198123456789')
+            .setRequired(true)
+            .setMinLength(17)
+            .setMaxLength(17)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('appeal_text_input')
+            .setLabel('Why should your ban be lifted?')
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(true)
+            .setMinLength(30)
+            .setMaxLength(1500)
+        )
+      );
+  }
+
+  /**
+   * Find the ban a player would be appealing
+   * @returns {Promise<Object|null>} { source, ban?, battlemetricsBanId?, reason }
+   */
+  async findAppealableBan(steamid64) {
+    const localBan = await Ban.getActiveBanForPlayer(steamid64);
+    if (localBan) {
+      return { source: 'local', ban: localBan, reason: localBan.reason };
+    }
+
+    const playerResult = await battlemetricsService.searchPlayerBySteamId(steamid64, BATTLEMETRICS_TIMEOUT_MS);
+    if (!playerResult.found || !playerResult.playerData?.id) {
+      return null;
+    }
+
+    const bansResult = await battlemetricsService.getPlayerBans(playerResult.playerData.id, BATTLEMETRICS_TIMEOUT_MS);
+    const bmBan = bansResult.activeBans?.[0];
+    if (!bmBan) {
+      return null;
+    }
+
+    return {
+      source: 'battlemetrics',
+      battlemetricsBanId: bmBan.id,
+      reason: bmBan.banList?.name ? `${bmBan.reason} (${bmBan.banList.name})` : bmBan.reason
+    };
+  }
+
+  /**
+   * Open an appeal and post it for review
+   * @param {Object} options
+   * @param {import('discord.js').User} options.user - Appellant
+   * @param {string} options.steamid64
+   * @param {string} options.appealText
+   * @returns {Promise<{ success: boolean, appeal?: BanAppeal, error?: string }>}
+   */
+  async submitAppeal({ user, steamid64, appealText }) {
+    if (!isValidSteamId(steamid64)) {
+      return { success: false, error: 'That is not a valid Steam ID64.' };
+    }
+
+    const openAppeal = await BanAppeal.getOpenAppealForPlayer(steamid64);
+    if (openAppeal) {
+      return { success: false, error: `An appeal for this account is already under review (#${openAppeal.id}).` };
+    }
+
+    if (REAPPEAL_COOLDOWN_DAYS > 0) {
+      const cooldownStart = new Date(Date.now() - REAPPEAL_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+      const recentDenial = await BanAppeal.findOne({
+        where: { steamid64, status: 'denied', decided_at: { [Op.gt]: cooldownStart } },
+        order: [['decided_at', 'DESC']]
+      });
+
+      if (recentDenial) {
+        const nextAllowed = new Date(new Date(recentDenial.decided_at).getTime() + REAPPEAL_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+        return { success: false, error: `Your last appeal was denied. You can appeal again <t:${Math.floor(nextAllowed.getTime() / 1000)}:R>.` };
+      }
+    }
+
+    const target = await this.findAppealableBan(steamid64);
+    if (!target) {
+      return { success: false, error: 'We could not find an active ban for this Steam ID.' };
+    }
+
+    const appeal = await BanAppeal.create({
+      steamid64,
+      discord_user_id: user.id,
+      discord_username: user.username,
+      ban_source: target.source,
+      ban_id: target.ban?.id || null,
+      battlemetrics_ban_id: target.battlemetricsBanId || null,
+      ban_reason: target.reason,
+      appeal_text: appealText,
+      votes: {}
+    });
+
+    if (target.ban) {
+      await target.ban.update({ appeal_status: 'pending' });
+    }
+
+    const reviewMessage = await this.buildReviewMessage(appeal);
+
+    try {
+      const channel = await this.client.channels.fetch(CHANNELS.BAN_APPEALS);
+      const posted = await channel.send({
+        embeds: reviewMessage.embeds,
+        components: reviewMessage.components
+      });
+
+      await appeal.update({
+        review_channel_id: posted.channelId,
+        review_message_id: posted.id
+      });
+    } catch (error) {
+      logger.error('Failed to post ban appeal for review', {
+        appealId: appeal.id,
+        error: error.message
+      });
+    }
+
+    await this.audit('BAN_APPEAL_CREATED', appeal, {
+      actorId: user.id,
+      actorName: user.username
+    }, {
+      description: `${user.username} appealed ${target.source} ban for ${steamid64}`,
+      metadata: {
+        appealId: appeal.id,
+        banSource: target.source,
+        banId: appeal.ban_id,
+        battlemetricsBanId: appeal.battlemetrics_ban_id,
+        linkedAccount: reviewMessage.linked
+      }
+    });
+
+    logger.info('Ban appeal created', { appealId: appeal.id, steamid64, banSource: target.source });
+
+    return { success: true, appeal };
+  }
+
+  /**
+   * Record a reviewer's vote, deciding the appeal once a side reaches VOTES_REQUIRED
+   * @param {number} appealId
+   * @param {import('discord.js').User} reviewer
+   * @param {'accept'|'deny'} vote
+   * @returns {Promise<{ success: boolean, appeal?: BanAppeal, decided?: boolean, error?: string }>}
+   */
+  async castVote(appealId, reviewer, vote) {
+    // Lock the row so concurrent votes each see the others instead of overwriting them
+    const result = await sequelize.transaction(async (transaction) => {
+      const appeal = await BanAppeal.findByPk(appealId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (!appeal) {
+        return { success: false, error: 'This appeal no longer exists.' };
+      }
+      if (appeal.status !== 'open') {
+        return { success: false, error: `This appeal has already been ${appeal.status}.` };
+      }
+      if (appeal.discord_user_id === reviewer.id) {
+        return { success: false, error: 'You cannot vote on your own appeal.' };
+      }
+
+      // Reassign so Sequelize sees the JSON column as changed
+      appeal.votes = { ...(appeal.votes || {}), [reviewer.id]: vote };
+      await appeal.save({ transaction });
+
+      return { success: true, appeal };
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    const { appeal } = result;
+    const counts = appeal.getVoteCounts();
+    if (counts[vote] < VOTES_REQUIRED) {
+      return { success: true, appeal, decided: false };
+    }
+
+    const decided = await this.decideAppeal(appeal, vote === 'accept' ? 'accepted' : 'denied', reviewer);
+
+    return { success: true, appeal, decided };
+  }
+
+  /**
+   * Close an open appeal and act on the outcome
+   * @returns {Promise<boolean>} false if another vote already decided it
+   */
+  async decideAppeal(appeal, outcome, reviewer) {
+    // Claim the decision so the ban is only revoked and the appellant only notified once
+    const [claimed] = await BanAppeal.update(
+      { status: outcome, decided_at: new Date() },
+      { where: { id: appeal.id, status: 'open' } }
+    );
+
+    await appeal.reload();
+
+    if (claimed === 0) {
+      return false;
+    }
+
+    const counts = appeal.getVoteCounts();
+    const actor = { actorId: reviewer.id, actorName: reviewer.username };
+
+    if (appeal.ban_id) {
+      const ban = await Ban.findByPk(appeal.ban_id);
+      if (ban) {
+        await ban.update({ appeal_status: outcome === 'accepted' ? 'approved' : 'denied' });
+
+        if (outcome === 'accepted') {
+          await getBanService().revokeBan(ban, `Appeal #${appeal.id} accepted`, {
+            actorType: 'user',
+            ...actor,
+            guildId: process.env.DISCORD_GUILD_ID
+          });
+        }
+      }
+    }
+
+    await this.audit(outcome === 'accepted' ? 'BAN_APPEAL_ACCEPTED' : 'BAN_APPEAL_DENIED', appeal, actor, {
+      description: `Ban appeal #${appeal.id} for ${appeal.steamid64} ${outcome} (${counts.accept} accept / ${counts.deny} deny)`,
+      metadata: {
+        appealId: appeal.id,
+        banSource: appeal.ban_source,
+        banId: appeal.ban_id,
+        battlemetricsBanId: appeal.battlemetrics_ban_id,
+        votes: appeal.votes
+      }
+    });
+
+    await this.notifyAppellant(appeal);
+
+    logger.info('Ban appeal decided', { appealId: appeal.id, outcome, votes: counts });
+
+    return true;
+  }
+
+  async notifyAppellant(appeal) {
+    try {
+      const user = await this.client.users.fetch(appeal.discord_user_id);
+      const accepted = appeal.status === 'accepted';
+
+      let description = accepted
+        ? 'Your ban appeal has been **accepted**.'
+        : 'Your ban appeal has been **denied**.';
+
+      if (accepted && appeal.ban_source === 'battlemetrics') {
+        description += ' Staff will lift the ban shortly.';
+      } else if (accepted) {
+        description += ' You can rejoin our servers now.';
+      } else if (REAPPEAL_COOLDOWN_DAYS > 0) {
+        description += ` You may appeal again in ${REAPPEAL_COOLDOWN_DAYS} days.`;
+      }
+
+      await user.send({
+        embeds: [new EmbedBuilder()
+          .setTitle(`Ban Appeal #${appeal.id}`)
+          .setDescription(description)
+          .setColor(STATUS_COLORS[appeal.status])
+          .addFields({ name: 'Steam ID', value: appeal.steamid64, inline: true })
+          .setTimestamp()]
+      });
+    } catch (error) {
+      // Users with DMs closed cannot be notified
+      logger.warn('Could not DM ban appeal outcome', {
+        appealId: appeal.id,
+        discordUserId: appeal.discord_user_id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Build the review message (embed + vote buttons) for an appeal's current state
+   * @returns {Promise<{ embeds: EmbedBuilder[], components: ActionRowBuilder[], linked: boolean }>}
+   */
+  async buildReviewMessage(appeal) {
+    const link = await PlayerDiscordLink.findOne({
+      where: { discord_user_id: appeal.discord_user_id, steamid64: appeal.steamid64 }
+    });
+
+    return {
+      embeds: [this.buildReviewEmbed(appeal, !!link)],
+      components: this.buildReviewComponents(appeal),
+      linked: !!link
+    };
+  }
+
+  buildReviewEmbed(appeal, linked) {
+    const counts = appeal.getVoteCounts();
+    const banLabel = appeal.ban_source === 'local'
+      ? `Local ban #${appeal.ban_id}`
+      : `BattleMetrics ban ${appeal.battlemetrics_ban_id}`;
+
+    const embed = new EmbedBuilder()
+      .setTitle(`⚖️ Ban Appeal #${appeal.id}`)
+      .setDescription(appeal.appeal_text)
+      .setColor(STATUS_COLORS[appeal.status] || STATUS_COLORS.open)
+      .addFields(
+        { name: 'Appellant', value: `<@${appeal.discord_user_id}>`, inline: true },
+        { name: 'Steam ID', value: `\`${appeal.steamid64}\``, inline: true },
+        { name: 'Status', value: this.formatStatus(appeal), inline: true },
+        { name: 'Ban', value: banLabel, inline: false },
+        { name: 'Ban Reason', value: appeal.ban_reason || 'Unknown', inline: false },
+        { name: 'Votes', value: `✅ ${counts.accept} / ❌ ${counts.deny} (${VOTES_REQUIRED} needed)`, inline: true },
+        { name: 'Account Link', value: linked ? 'Linked to appellant' : '⚠️ Not linked to appellant', inline: true }
+      )
+      .setTimestamp(appeal.createdAt);
+
+    if (appeal.ban_source === 'battlemetrics') {
+      embed.addFields({
+        name: 'BattleMetrics',
+        value: appeal.status === 'accepted'
+          ? `[Lift this ban manually](https://www.battlemetrics.com/rcon/bans/edit/${appeal.battlemetrics_ban_id})`
+          : `[View ban](https://www.battlemetrics.com/rcon/bans/edit/${appeal.battlemetrics_ban_id})`,
+        inline: false
+      });
+    }
+
+    return embed;
+  }
+
+  formatStatus(appeal) {
+    switch (appeal.status) {
+    case 'accepted':
+      return 'Accepted';
+    case 'denied':
+      return 'Denied';
+    default:
+      return 'Under review';
+    }
+  }
+
+  /**
+   * Build Accept/Deny vote buttons (none once decided)
+   */
+  buildReviewComponents(appeal) {
+    if (appeal.status !== 'open') {
+      return [];
+    }
+
+    return [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${BAN_APPEAL_ACCEPT_PREFIX}${appeal.id}`)
+          .setLabel('Accept')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('✅'),
+        new ButtonBuilder()
+          .setCustomId(`${BAN_APPEAL_DENY_PREFIX}${appeal.id}`)
+          .setLabel('Deny')
+          .setStyle(ButtonStyle.Danger)
+          .setEmoji('❌')
+      )
+    ];
+  }
+
+  async audit(actionType, appeal, actor, { description, metadata }) {
+    try {
+      await AuditLog.create({
+        actionType,
+        actorType: 'user',
+        actorId: actor.actorId,
+        actorName: actor.actorName,
+        targetType: 'player',
+        targetId: appeal.steamid64,
+        targetName: appeal.steamid64,
+        description,
+        guildId: process.env.DISCORD_GUILD_ID,
+        metadata
+      });
+    } catch (error) {
+      logger.error('Failed to write ban appeal audit log', { actionType, appealId: appeal.id, error: error.message });
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getBanAppealService(client = global.discordClient) {
+  if (!instance && client) {
+    instance = new BanAppealService(client);
+  }
+  return instance;
+}
+
+module.exports = {
+  BanAppealService,
+  getBanAppealService,
+  BAN_APPEAL_BUTTON_ID,
+  BAN_APPEAL_MODAL_ID,
+  BAN_APPEAL_ACCEPT_PREFIX,
+  BAN_APPEAL_DENY_PREFIX
+};
@@ -0,0 +1,302 @@
+const { createServiceLogger } = require('../utils/logger');
+const { isValidSteamId } = require('../utils/steamId');
+const { Ban, AuditLog, PlayerDiscordLink } = require('../database/models');
+const { getDutySquadJSTrackingService } = require('./DutySquadJSTrackingService');
+
+const logger = createServiceLogger('BanService');
+
+// How long the rendered Bans.cfg is reused before re-querying
+const BANS_CFG_CACHE_MS = 30000;
+
+// Ban length: 0/perm/permanent, or a number followed by h (hours), d (days), w (weeks) or M (months)
+const DURATION_PATTERN = /^([1-9]\d*)([hdwM])$/;
+const DURATION_UNITS = { h: 'hour', d: 'day', w: 'week', M: 'month' };
+
+/**
+ * Parse a ban duration string
+ * @param {string} duration - e.g. "12h", "7d", "2w", "1M", "perm"
+ * @returns {{ expiresAt: Date|null, label: string }|null} null if the duration is invalid
+ */
+function parseBanDuration(duration, from = new Date()) {
+  const value = String(duration ?? '').trim();
+
+  if (['0', 'perm', 'permanent'].includes(value.toLowerCase())) {
+    return { expiresAt: null, label: 'Permanent' };
+  }
+
+  const match = value.match(DURATION_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const amount = parseInt(match[1], 10);
+  const unit = match[2];
+  const expiresAt = new Date(from);
+
+  switch (unit) {
+  case 'h':
+    expiresAt.setTime(expiresAt.getTime() + amount * 60 * 60 * 1000);
+    break;
+  case 'd':
+    expiresAt.setDate(expiresAt.getDate() + amount);
+    break;
+  case 'w':
+    expiresAt.setDate(expiresAt.getDate() + amount * 7);
+    break;
+  case 'M':
+    expiresAt.setMonth(expiresAt.getMonth() + amount);
+    break;
+  }
+
+  return { expiresAt, label: `${amount} ${DURATION_UNITS[unit]}${amount !== 1 ? 's' : ''}` };
+}
+
+/**
+ * Local ban registry.
+ * Bans are issued from Discord (/ban) or the dashboard and served to game servers
+ * as a Squad Bans.cfg file at /bans (see WhitelistService.setupRoutes).
+ */
+class BanService {
+  constructor() {
+    this.bansCfgCache = null;
+    this.bansCfgCacheTime = 0;
+  }
+
+  invalidateCache() {
+    this.bansCfgCache = null;
+    this.bansCfgCacheTime = 0;
+  }
+
+  /**
+   * Issue a new ban
+   * @param {Object} options
+   * @param {string} options.steamid64
+   * @param {string} options.reason
+   * @param {string} options.duration - See parseBanDuration
+   * @param {string[]} [options.evidence] - Evidence links
+   * @param {string} [options.username] - Player name
+   * @param {string} [options.source] - 'discord' or 'dashboard'
+   * @param {Object} actor - { actorType, actorId, actorName, guildId?, channelId? }
+   * @returns {Promise<{ success: boolean, ban?: Ban, kicked?: boolean, error?: string }>}
+   */
+  async createBan({ steamid64, reason, duration, evidence = [], username = null, source = 'discord' }, actor) {
+    if (!isValidSteamId(steamid64)) {
+      return { success: false, error: 'Invalid Steam ID64' };
+    }
+
+    if (!reason || !reason.trim()) {
+      return { success: false, error: 'A reason is required' };
+    }
+
+    const parsedDuration = parseBanDuration(duration);
+    if (!parsedDuration) {
+      return { success: false, error: 'Invalid duration. Use perm, or e.g. 12h, 7d, 2w, 1M' };
+    }
+
+    const invalidEvidence = evidence.find(link => !/^https?:\/\/\S+$/i.test(link));
+    if (invalidEvidence) {
+      return { success: false, error: `Evidence must be http(s) links: ${invalidEvidence}` };
+    }
+
+    const existingBan = await Ban.getActiveBanForPlayer(steamid64);
+    if (existingBan) {
+      return { success: false, error: `Player already has an active ban (#${existingBan.id})`, ban: existingBan };
+    }
+
+    const link = await PlayerDiscordLink.findOne({
+      where: { steamid64, is_primary: true }
+    });
+
+    const ban = await Ban.create({
+      steamid64,
+      username: username || link?.username || null,
+      discord_user_id: link?.discord_user_id || null,
+      reason: reason.trim(),
+      evidence: evidence.length > 0 ? evidence : null,
+      expires_at: parsedDuration.expiresAt,
+      banned_by: actor.actorId,
+      banned_by_name: actor.actorName,
+      source
+    });
+
+    this.invalidateCache();
+
+    // Bans.cfg is only checked on join, so remove the player now if they are online
+    const kicked = this.kickIfOnline(steamid64, `Banned: ${ban.reason}`);
+
+    await getDutySquadJSTrackingService()?.recordStaffModeration(actor.actorId, this.getPlayerServerId(steamid64), 'PLAYER_BANNED', {
+      targetSteamId: steamid64,
+      targetName: ban.username,
+      reason: ban.reason,
+      interval: parsedDuration.label
+    });
+
+    await this.audit('BAN_CREATED', ban, actor, {
+      description: `${actor.actorName} banned ${ban.username || steamid64} (${steamid64}) - ${parsedDuration.label}: ${ban.reason}`,
+      metadata: {
+        banId: ban.id,
+        steamId: steamid64,
+        duration: parsedDuration.label,
+        expiresAt: ban.expires_at,
+        evidence: ban.evidence,
+        kicked
+      }
+    });
+
+    logger.info('Ban created', { banId: ban.id, steamid64, duration: parsedDuration.label, bannedBy: actor.actorName, kicked });
+
+    return { success: true, ban, kicked };
+  }
+
+  /**
+   * Lift a player's active ban
+   * @returns {Promise<{ success: boolean, ban?: Ban, error?: string }>}
+   */
+  async revokeBan(banOrSteamId, reason, actor) {
+    const ban = typeof banOrSteamId === 'string'
+      ? await Ban.getActiveBanForPlayer(banOrSteamId)
+      : banOrSteamId;
+
+    if (!ban || !ban.isActive()) {
+      return { success: false, error: 'No active ban found' };
+    }
+
+    await ban.update({
+      revoked: true,
+      revoked_by: actor.actorId,
+      revoked_reason: reason,
+      revoked_at: new Date()
+    });
+
+    this.invalidateCache();
+
+    await this.audit('BAN_REVOKED', ban, actor, {
+      description: `${actor.actorName} lifted ban #${ban.id} for ${ban.username || ban.steamid64} (${ban.steamid64}): ${reason}`,
+      metadata: { banId: ban.id, steamId: ban.steamid64, reason }
+    });
+
+    logger.info('Ban revoked', { banId: ban.id, steamid64: ban.steamid64, revokedBy: actor.actorName });
+
+    return { success: true, ban };
+  }
+
+  /**
+   * Update evidence links and/or appeal status
+   * @returns {Promise<{ success: boolean, ban?: Ban, error?: string }>}
+   */
+  async updateBan(ban, { evidence, appealStatus }, actor) {
+    const updates = {};
+
+    if (evidence !== undefined) {
+      const invalidEvidence = evidence.find(link => !/^https?:\/\/\S+$/i.test(link));
+      if (invalidEvidence) {
+        return { success: false, error: `Evidence must be http(s) links: ${invalidEvidence}` };
+      }
+      updates.evidence = evidence.length > 0 ? evidence : null;
+    }
+
+    if (appealStatus !== undefined) {
+      if (!Ban.APPEAL_STATUSES.includes(appealStatus)) {
+        return { success: false, error: `Appeal status must be one of: ${Ban.APPEAL_STATUSES.join(', ')}` };
+      }
+      updates.appeal_status = appealStatus;
+    }
+
+    const before = { evidence: ban.evidence, appealStatus: ban.appeal_status };
+    await ban.update(updates);
+
+    await this.audit('BAN_UPDATED', ban, actor, {
+      description: `${actor.actorName} updated ban #${ban.id} for ${ban.username || ban.steamid64}`,
+      beforeState: before,
+      afterState: { evidence: ban.evidence, appealStatus: ban.appeal_status },
+      metadata: { banId: ban.id, steamId: ban.steamid64 }
+    });
+
+    return { success: true, ban };
+  }
+
+  /**
+   * Server the player is currently on, if known
+   * @returns {string|null}
+   */
+  getPlayerServerId(steamid64) {
+    return global.playtimeTrackingService?.getPlayerServerId(steamid64) || null;
+  }
+
+  /**
+   * Kick a player via RCON if they are online on a connected server
+   * @returns {boolean} Whether a kick was sent
+   */
+  kickIfOnline(steamid64, reason) {
+    const connectionManager = global.whitelistServices?.connectionManager;
+    const serverId = this.getPlayerServerId(steamid64);
+
+    if (!connectionManager || !serverId) {
+      return false;
+    }
+
+    return connectionManager.sendRCONCommand(serverId, `AdminKick ${steamid64} ${reason}`);
+  }
+
+  /**
+   * Render active bans in Squad Bans.cfg format
+   * Format: <admin> Banned:<steamid>:<unix expiry, 0 = permanent> //<reason>
+   */
+  async getBansCfg() {
+    const now = Date.now();
+    if (this.bansCfgCache !== null && (now - this.bansCfgCacheTime) < BANS_CFG_CACHE_MS) {
+      return this.bansCfgCache;
+    }
+
+    const bans = await Ban.getActiveBans();
+    const lines = bans.map(ban => {
+      const admin = (ban.banned_by_name || 'Admin').replace(/\s+/g, '_');
+      const expiry = ban.expires_at ? Math.floor(new Date(ban.expires_at).getTime() / 1000) : 0;
+      const reason = ban.reason.replace(/[\r\n]+/g, ' ');
+      return `${admin} Banned:${ban.steamid64}:${expiry} //#${ban.id} ${reason}`;
+    });
+
+    this.bansCfgCache = lines.length > 0 ? lines.join('\n') + '\n' : '';
+    this.bansCfgCacheTime = now;
+
+    return this.bansCfgCache;
+  }
+
+  async audit(actionType, ban, actor, { description, metadata, beforeState = null, afterState = null }) {
+    try {
+      await AuditLog.create({
+        actionType,
+        actorType: actor.actorType,
+        actorId: actor.actorId,
+        actorName: actor.actorName,
+        targetType: 'player',
+        targetId: ban.steamid64,
+        targetName: ban.username || ban.steamid64,
+        description,
+        guildId: actor.guildId || process.env.DISCORD_GUILD_ID,
+        channelId: actor.channelId || null,
+        beforeState,
+        afterState,
+        metadata
+      });
+    } catch (error) {
+      logger.error('Failed to write ban audit log', { actionType, banId: ban.id, error: error.message });
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getBanService() {
+  if (!instance) {
+    instance = new BanService();
+  }
+  return instance;
+}
+
+module.exports = {
+  BanService,
+  getBanService,
+  parseBanDuration
+};
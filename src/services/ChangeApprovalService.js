@@ -0,0 +1,472 @@
+const crypto = require('crypto');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const { Op } = require('sequelize');
+const { createServiceLogger } = require('../utils/logger');
+const { channels } = require('../utils/environment');
+const { ChangeRequest, Whitelist, AuditLog, RolePermission } = require('../database/models');
+const { permissionService } = require('./PermissionService');
+const { getWhitelistImportService } = require('./WhitelistImportService');
+const { getWhitelistTransferService } = require('./WhitelistTransferService');
+
+const { CHANNELS, APPROVAL_CONFIG = {} } = channels;
+const logger = createServiceLogger('ChangeApprovalService');
+
+const EXPIRY_HOURS = APPROVAL_CONFIG.EXPIRY_HOURS || 48;
+
+// Review button prefixes (suffixed with the change request ID)
+const CHANGE_APPROVE_PREFIX = 'change_approve_';
+const CHANGE_REJECT_PREFIX = 'change_reject_';
+
+// Which APPROVAL_CONFIG flag gates each action, and the permission an approver needs
+const ACTIONS = {
+  whitelist_grant_permanent: { policy: 'WHITELIST_GRANT_PERMANENT', permission: 'GRANT_WHITELIST', label: 'Permanent Whitelist Grant' },
+  whitelist_import_permanent: { policy: 'WHITELIST_GRANT_PERMANENT', permission: 'GRANT_WHITELIST', label: 'Whitelist Import with Permanent Entries' },
+  whitelist_transfer_permanent: { policy: 'WHITELIST_GRANT_PERMANENT', permission: 'GRANT_WHITELIST', label: 'Permanent Whitelist Transfer' },
+  whitelist_revoke_all: { policy: 'WHITELIST_REVOKE_ALL', permission: 'REVOKE_WHITELIST', label: 'Revoke All Whitelist Entries' },
+  permission_update: { policy: 'CRITICAL_PERMISSION_CHANGE', permission: 'MANAGE_PERMISSIONS', label: 'Critical Permission Change' },
+  permission_reset: { policy: 'CRITICAL_PERMISSION_CHANGE', permission: 'MANAGE_PERMISSIONS', label: 'Reset All Permissions' }
+};
+
+const STATUS_COLORS = {
+  pending: 0xFF8C00,
+  executed: 0x00FF00,
+  rejected: 0xFF0000,
+  expired: 0x808080,
+  failed: 0xFF0000
+};
+
+/**
+ * Two-person approval for high-impact changes.
+ * When an action is enabled in APPROVAL_CONFIG, the caller records a pending change
+ * request instead of running it. A different staff member holding the action's
+ * permission approves it from the dashboard or the Discord review message, and only
+ * then does the change execute. The request, the approval (with both the requester
+ * and the approver) and any rejection are written to AuditLog.
+ */
+class ChangeApprovalService {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Whether an action needs a second approver under the current policy
+   * Callers check this before making the change and, when it returns true, record a
+   * change request with createRequest instead so a second staff member signs off.
+   * @param {string} actionType
+   * @returns {boolean}
+   */
+  requiresApproval(actionType) {
+    const action = ACTIONS[actionType];
+    return !!action && APPROVAL_CONFIG[action.policy] === true;
+  }
+
+  /**
+   * Record a pending change request and post it for review
+   * @param {Object} options
+   * @param {string} options.actionType - Key of ACTIONS
+   * @param {Object} options.payload - Arguments for the executor
+   * @param {string} options.description - Human-readable summary of the change
+   * @param {string} [options.targetId] - Steam ID or permission name affected
+   * @param {Object} requester - { actorType, actorId, actorName }
+   * @returns {Promise<ChangeRequest>}
+   */
+  async createRequest({ actionType, payload, description, targetId = null }, requester) {
+    const auditActionId = crypto.randomUUID();
+
+    const request = await ChangeRequest.create({
+      action_type: actionType,
+      payload,
+      description,
+      target_id: targetId,
+      required_permission: ACTIONS[actionType].permission,
+      requested_by_id: requester.actorId,
+      requested_by_name: requester.actorName,
+      audit_action_id: auditActionId,
+      expires_at: new Date(Date.now() + EXPIRY_HOURS * 60 * 60 * 1000)
+    });
+
+    await this.audit('change_request_created', request, requester, {
+      actionId: auditActionId,
+      description: `Requested approval for change #${request.id}: ${description}`
+    });
+
+    await this.postForReview(request);
+
+    logger.info('Change request created', {
+      requestId: request.id,
+      actionType,
+      requestedBy: requester.actorName
+    });
+
+    return request;
+  }
+
+  /**
+   * Approve a pending request and run the change
+   * The caller must already have checked the approver holds request.required_permission.
+   * @param {number} requestId
+   * @param {Object} approver - { actorType, actorId, actorName }
+   * @returns {Promise<{ success: boolean, request?: ChangeRequest, error?: string }>}
+   */
+  async approve(requestId, approver) {
+    const check = await this.loadPending(requestId, approver);
+    if (!check.success) return check;
+
+    // Claim the request so a concurrent approval can't execute it twice
+    const [claimed] = await ChangeRequest.update({
+      status: 'executed',
+      reviewed_by_id: approver.actorId,
+      reviewed_by_name: approver.actorName,
+      reviewed_at: new Date()
+    }, {
+      where: { id: requestId, status: 'pending' }
+    });
+
+    if (claimed === 0) {
+      return { success: false, error: 'This request has already been reviewed' };
+    }
+
+    const request = await ChangeRequest.findByPk(requestId);
+
+    try {
+      const result = await this.execute(request);
+      await request.update({ result });
+
+      await this.audit(this.getExecutedActionType(request), request, approver, {
+        relatedActionId: request.audit_action_id,
+        description: `${request.description} (requested by ${request.requested_by_name}, approved by ${approver.actorName})`,
+        afterState: result
+      });
+
+      logger.info('Change request approved and executed', {
+        requestId,
+        actionType: request.action_type,
+        requestedBy: request.requested_by_name,
+        approvedBy: approver.actorName
+      });
+    } catch (error) {
+      await request.update({ status: 'failed', error: error.message });
+
+      await this.audit('change_request_failed', request, approver, {
+        relatedActionId: request.audit_action_id,
+        description: `Approved change #${request.id} failed: ${error.message}`
+      });
+
+      logger.error('Approved change request failed', { requestId, error: error.message });
+    }
+
+    await this.refreshReviewMessage(request);
+
+    return { success: request.status === 'executed', request, error: request.error || undefined };
+  }
+
+  /**
+   * Reject a pending request
+   * @param {number} requestId
+   * @param {Object} reviewer - { actorType, actorId, actorName }
+   * @param {string} [note]
+   * @returns {Promise<{ success: boolean, request?: ChangeRequest, error?: string }>}
+   */
+  async reject(requestId, reviewer, note = null) {
+    const check = await this.loadPending(requestId, reviewer, { allowRequester: true });
+    if (!check.success) return check;
+
+    const [updated] = await ChangeRequest.update({
+      status: 'rejected',
+      reviewed_by_id: reviewer.actorId,
+      reviewed_by_name: reviewer.actorName,
+      reviewed_at: new Date(),
+      review_note: note
+    }, {
+      where: { id: requestId, status: 'pending' }
+    });
+
+    if (updated === 0) {
+      return { success: false, error: 'This request has already been reviewed' };
+    }
+
+    const request = await ChangeRequest.findByPk(requestId);
+
+    await this.audit('change_request_rejected', request, reviewer, {
+      relatedActionId: request.audit_action_id,
+      description: `${request.requested_by_id === reviewer.actorId ? 'Withdrew' : 'Rejected'} change #${request.id}: ${request.description}${note ? ` (${note})` : ''}`
+    });
+
+    await this.refreshReviewMessage(request);
+
+    logger.info('Change request rejected', { requestId, reviewedBy: reviewer.actorName });
+
+    return { success: true, request };
+  }
+
+  /**
+   * Load a request that can still be reviewed by this actor
+   * Requesters may withdraw (reject) their own request but never approve it.
+   */
+  async loadPending(requestId, actor, { allowRequester = false } = {}) {
+    const request = await ChangeRequest.findByPk(requestId);
+
+    if (!request) {
+      return { success: false, error: 'Change request not found' };
+    }
+
+    if (request.status === 'pending' && request.isExpired()) {
+      await request.update({ status: 'expired' });
+      await this.refreshReviewMessage(request);
+    }
+
+    if (request.status !== 'pending') {
+      return { success: false, error: `This request is already ${request.status}` };
+    }
+
+    if (!allowRequester && request.requested_by_id === actor.actorId) {
+      return { success: false, error: 'You cannot approve your own request. A second staff member must approve it.' };
+    }
+
+    return { success: true, request };
+  }
+
+  /**
+   * Mark pending requests past their expiry as expired
+   * @returns {Promise<number>}
+   */
+  async expireStale() {
+    const [count] = await ChangeRequest.update(
+      { status: 'expired' },
+      { where: { status: 'pending', expires_at: { [Op.lte]: new Date() } } }
+    );
+    return count;
+  }
+
+  /**
+   * Run the approved change
+   * @returns {Promise<Object>} Result stored on the request
+   */
+  async execute(request) {
+    const { payload } = request;
+
+    switch (request.action_type) {
+    case 'whitelist_grant_permanent': {
+      const entry = await Whitelist.grantWhitelist({
+        ...payload,
+        duration_value: null,
+        duration_type: null
+      });
+      return { entryId: entry.id };
+    }
+    case 'whitelist_import_permanent': {
+      const result = await getWhitelistImportService().commit(payload.content, payload.options, payload.granted_by);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return { imported: result.imported, skipped: result.skipped, entryIds: result.entryIds };
+    }
+    case 'whitelist_transfer_permanent': {
+      const { actor, ...transfer } = payload;
+      const result = await getWhitelistTransferService().transferWhitelist(transfer, actor);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return { transferId: result.transferId, transferred: result.transferred };
+    }
+    case 'whitelist_revoke_all': {
+      // Only the entries the requester saw; anything granted since stays in place.
+      // Requests filed before entry IDs were captured fall back to everything active.
+      const revokedCount = payload.entryIds
+        ? await Whitelist.revokeEntriesByIds(payload.entryIds, payload.revoked_by, payload.reason)
+        : await Whitelist.revokeWhitelist(payload.steamid64, payload.reason, payload.revoked_by);
+      if (revokedCount === 0) {
+        throw new Error('No active whitelist entries left to revoke');
+      }
+      return { revokedCount };
+    }
+    case 'permission_update': {
+      await permissionService.setRolesForPermission(payload.permissionName, payload.roles, request.requested_by_id);
+      return { permissionName: payload.permissionName, roleIds: payload.roles.map(role => role.roleId) };
+    }
+    case 'permission_reset': {
+      await RolePermission.destroy({ where: {} });
+      await permissionService.seedDefaultPermissions();
+      permissionService.invalidateCache();
+      return { reset: true };
+    }
+    default:
+      throw new Error(`Unknown change type: ${request.action_type}`);
+    }
+  }
+
+  /**
+   * AuditLog actionType for an executed change, matching the unapproved code paths
+   */
+  getExecutedActionType(request) {
+    switch (request.action_type) {
+    case 'whitelist_grant_permanent':
+      return 'whitelist_grant';
+    case 'whitelist_import_permanent':
+      return 'whitelist_import';
+    case 'whitelist_transfer_permanent':
+      return 'whitelist_transfer';
+    case 'whitelist_revoke_all':
+      return 'whitelist_revoke';
+    case 'permission_reset':
+      return 'PERMISSION_RESET';
+    default:
+      return 'PERMISSION_UPDATE';
+    }
+  }
+
+  async postForReview(request) {
+    if (!this.client || !CHANNELS.CHANGE_APPROVALS) return;
+
+    try {
+      const channel = await this.client.channels.fetch(CHANNELS.CHANGE_APPROVALS);
+      const posted = await channel.send(this.buildReviewMessage(request));
+
+      await request.update({
+        review_channel_id: posted.channelId,
+        review_message_id: posted.id
+      });
+    } catch (error) {
+      logger.error('Failed to post change request for review', {
+        requestId: request.id,
+        error: error.message
+      });
+    }
+  }
+
+  async refreshReviewMessage(request) {
+    if (!this.client || !request.review_channel_id || !request.review_message_id) return;
+
+    try {
+      const channel = await this.client.channels.fetch(request.review_channel_id);
+      const message = await channel.messages.fetch(request.review_message_id);
+      await message.edit(this.buildReviewMessage(request));
+    } catch (error) {
+      logger.warn('Failed to update change request review message', {
+        requestId: request.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Build the review message (embed + Approve/Reject buttons while pending)
+   * @returns {{ embeds: EmbedBuilder[], components: ActionRowBuilder[] }}
+   */
+  buildReviewMessage(request) {
+    const embed = new EmbedBuilder()
+      .setTitle(`🔐 Approval Needed: ${ACTIONS[request.action_type]?.label || request.action_type} (#${request.id})`)
+      .setDescription(request.description)
+      .setColor(STATUS_COLORS[request.status] || STATUS_COLORS.pending)
+      .addFields(
+        { name: 'Requested By', value: `<@${request.requested_by_id}>`, inline: true },
+        { name: 'Approver Needs', value: `\`${request.required_permission}\``, inline: true },
+        { name: 'Status', value: this.formatStatus(request), inline: true }
+      )
+      .setTimestamp(request.createdAt);
+
+    if (request.status === 'pending') {
+      embed.addFields({ name: 'Expires', value: `<t:${Math.floor(new Date(request.expires_at).getTime() / 1000)}:R>`, inline: true });
+    }
+
+    if (request.review_note) {
+      embed.addFields({ name: 'Note', value: request.review_note, inline: false });
+    }
+
+    if (request.error) {
+      embed.addFields({ name: 'Error', value: request.error, inline: false });
+    }
+
+    const components = request.status !== 'pending' ? [] : [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${CHANGE_APPROVE_PREFIX}${request.id}`)
+          .setLabel('Approve')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('✅'),
+        new ButtonBuilder()
+          .setCustomId(`${CHANGE_REJECT_PREFIX}${request.id}`)
+          .setLabel('Reject')
+          .setStyle(ButtonStyle.Danger)
+          .setEmoji('❌')
+      )
+    ];
+
+    return { embeds: [embed], components };
+  }
+
+  formatStatus(request) {
+    switch (request.status) {
+    case 'executed':
+      return `Approved by <@${request.reviewed_by_id}>`;
+    case 'rejected':
+      return `Rejected by <@${request.reviewed_by_id}>`;
+    case 'failed':
+      return `Approved by <@${request.reviewed_by_id}>, but failed`;
+    case 'expired':
+      return 'Expired';
+    default:
+      return 'Awaiting approval';
+    }
+  }
+
+  /**
+   * What an audit entry records about the change. Imports carry the whole file,
+   * so only their summary is copied; the full payload stays on the request.
+   */
+  summarizePayload(request) {
+    if (request.action_type === 'whitelist_import_permanent') {
+      return { source: 'import', ...request.payload.summary };
+    }
+    return request.payload;
+  }
+
+  async audit(actionType, request, actor, { actionId, relatedActionId, description, afterState }) {
+    try {
+      await AuditLog.logAction({
+        actionType,
+        actionId,
+        relatedActionId,
+        actorType: actor.actorType,
+        actorId: actor.actorId,
+        actorName: actor.actorName,
+        targetType: request.action_type.startsWith('permission_') ? 'permission' : 'player',
+        targetId: request.target_id,
+        targetName: request.target_id,
+        description,
+        guildId: process.env.DISCORD_GUILD_ID,
+        severity: 'high',
+        afterState,
+        metadata: {
+          changeRequestId: request.id,
+          changeType: request.action_type,
+          payload: this.summarizePayload(request),
+          requestedBy: { id: request.requested_by_id, name: request.requested_by_name },
+          reviewedBy: request.reviewed_by_id ? { id: request.reviewed_by_id, name: request.reviewed_by_name } : null
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to write change request audit log', { actionType, requestId: request.id, error: error.message });
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getChangeApprovalService(client = global.discordClient) {
+  if (!instance) {
+    instance = new ChangeApprovalService(client);
+  } else if (!instance.client && client) {
+    instance.client = client;
+  }
+  return instance;
+}
+
+module.exports = {
+  ChangeApprovalService,
+  getChangeApprovalService,
+  CHANGE_APPROVE_PREFIX,
+  CHANGE_REJECT_PREFIX,
+  CHANGE_ACTIONS: ACTIONS
+};
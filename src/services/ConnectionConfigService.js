@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+const net = require('net');
 const { ConnectionConfig, ConnectionConfigAudit } = require('../database/models/ConnectionConfig');
 const { SquadJSServer } = require('../database/models');
 const { createServiceLogger } = require('../utils/logger');
@@ -6,6 +8,16 @@ const logger = createServiceLogger('ConnectionConfigService');
 
 const CACHE_TTL = 60 * 1000; // 1 minute
 
+function hashPullToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+function normalizeIp(ip) {
+  if (typeof ip !== 'string') return null;
+  return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
 class ConnectionConfigService {
   constructor() {
     this.configCache = null;
@@ -112,6 +124,127 @@ class ConnectionConfigService {
     return SquadJSServer.getByKey(serverKey);
   }
 
+  /**
+   * Validate a server scope from an API request
+   * @param {*} serverIds - Array of server keys; null/empty means all servers
+   * @returns {Promise<{ serverIds: string[]|null, error: string|null }>}
+   */
+  async parseServerScope(serverIds) {
+    if (serverIds === undefined || serverIds === null) {
+      return { serverIds: null, error: null };
+    }
+    if (!Array.isArray(serverIds) || serverIds.some(id => typeof id !== 'string')) {
+      return { serverIds: null, error: 'serverIds must be an array of server keys' };
+    }
+
+    const unique = [...new Set(serverIds)];
+    const knownKeys = (await this.getServers()).map(s => s.serverKey);
+    const unknown = unique.filter(id => !knownKeys.includes(id));
+    if (unknown.length > 0) {
+      return { serverIds: null, error: `Unknown servers: ${unknown.join(', ')}` };
+    }
+
+    return { serverIds: unique.length > 0 ? unique : null, error: null };
+  }
+
+  /**
+   * Validate a whitelist pull IP allowlist from an API request
+   * @param {*} entries - Array of IP addresses or CIDR ranges; null/empty means any address
+   * @returns {{ ipAllowlist: string[]|null, error: string|null }}
+   */
+  parseIpAllowlist(entries) {
+    if (entries === undefined || entries === null) {
+      return { ipAllowlist: null, error: null };
+    }
+    if (!Array.isArray(entries) || entries.some(entry => typeof entry !== 'string')) {
+      return { ipAllowlist: null, error: 'pullIpAllowlist must be an array of IP addresses or CIDR ranges' };
+    }
+
+    const cleaned = [...new Set(entries.map(entry => entry.trim()).filter(Boolean))];
+    for (const entry of cleaned) {
+      const [address, prefix] = entry.split('/');
+      const family = net.isIP(address);
+      const maxPrefix = family === 6 ? 128 : 32;
+      const validPrefix = prefix === undefined || (/^\d+$/.test(prefix) && parseInt(prefix, 10) <= maxPrefix);
+      if (!family || !validPrefix) {
+        return { ipAllowlist: null, error: `Invalid IP address or CIDR range: ${entry}` };
+      }
+    }
+
+    return { ipAllowlist: cleaned.length > 0 ? cleaned : null, error: null };
+  }
+
+  /**
+   * Check a request address against a server's pull IP allowlist
+   * @returns {boolean} true if the server has no allowlist or the address matches an entry
+   */
+  isPullIpAllowed(server, ip) {
+    const allowlist = server.pullIpAllowlist;
+    if (!Array.isArray(allowlist) || allowlist.length === 0) return true;
+
+    const address = normalizeIp(ip);
+    const family = net.isIP(address || '');
+    if (!family) return false;
+
+    const blockList = new net.BlockList();
+    for (const entry of allowlist) {
+      const [base, prefix] = entry.split('/');
+      const type = net.isIP(base) === 6 ? 'ipv6' : 'ipv4';
+      if (prefix === undefined) {
+        blockList.addAddress(base, type);
+      } else {
+        blockList.addSubnet(base, parseInt(prefix, 10), type);
+      }
+    }
+    return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Compare a presented pull token against a server's stored hash
+   */
+  verifyPullToken(server, token) {
+    if (!server.pullTokenHash || !token) return false;
+    const expected = Buffer.from(server.pullTokenHash, 'hex');
+    const actual = Buffer.from(hashPullToken(token), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Find the server a pull token belongs to
+   * @returns {Promise<SquadJSServer|null>}
+   */
+  async findServerByPullToken(token) {
+    if (!token) return null;
+    const servers = await this.getServers();
+    return servers.find(server => this.verifyPullToken(server, token)) || null;
+  }
+
+  /**
+   * Generate a new whitelist pull token for a server, replacing any existing one
+   * Only the hash is stored, so the returned token cannot be retrieved again.
+   * @returns {Promise<{ server: SquadJSServer, token: string }>}
+   */
+  async rotatePullToken(serverKey, changedBy, changedByName = null) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const server = await this.updateServer(serverKey, {
+      pullTokenHash: hashPullToken(token),
+      pullTokenHint: token.slice(-4)
+    }, changedBy, changedByName);
+
+    logger.info('Whitelist pull token rotated', { serverKey, changedBy });
+    return { server, token };
+  }
+
+  async revokePullToken(serverKey, changedBy, changedByName = null) {
+    const server = await this.updateServer(serverKey, {
+      pullTokenHash: null,
+      pullTokenHint: null
+    }, changedBy, changedByName);
+
+    logger.info('Whitelist pull token revoked', { serverKey, changedBy });
+    return server;
+  }
+
   async createServer(data, changedBy, changedByName = null) {
     // Auto-assign displayOrder to end of list if not provided
     if (data.displayOrder === undefined || data.displayOrder === null) {
@@ -330,8 +463,11 @@ class ConnectionConfigService {
       gamePort: server.gamePort,
       enabled: server.enabled,
       seedThreshold: server.seedThreshold,
-      displayOrder: server.displayOrder
-      // Token intentionally omitted from audit logs
+      displayOrder: server.displayOrder,
+      ingameCommands: server.ingameCommands || null,
+      pullTokenHint: server.pullTokenHint || null,
+      pullIpAllowlist: server.pullIpAllowlist || null
+      // Tokens intentionally omitted from audit logs
     };
   }
 }
@@ -0,0 +1,196 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { createServiceLogger } = require('../utils/logger');
+const { getDutyConfigService } = require('./DutyConfigService');
+const { getServerPopulation } = require('./CoverageSnapshotService');
+const notificationService = require('./NotificationService');
+const { DutySession } = require('../database/models');
+
+const logger = createServiceLogger('CoverageAlertService');
+
+// Button prefix for "Go On Duty" (suffixed with serverId)
+const COVERAGE_ONDUTY_PREFIX = 'coverage_onduty_';
+
+// Players must drop this far below the minimum before an alert clears on population alone
+const PLAYER_HYSTERESIS_RATIO = 0.9;
+
+/**
+ * Alerts staff when populated servers have too few admins on duty.
+ * Each server keeps its own alert state so one busy server cannot silence another:
+ * - Fires when players >= coverage_alert_min_players and on-duty admins < coverage_low_threshold
+ * - Clears only once admins reach threshold + hysteresis, or players fall well below the minimum
+ * - Will not re-fire for the same server until the cooldown has passed
+ */
+class CoverageAlertService {
+  constructor(client) {
+    this.client = client;
+    this.configService = getDutyConfigService();
+
+    // Per-server alert state: Map<serverId, { alerting, lastAlertAt }>
+    this.serverStates = new Map();
+
+    // Next call-in role to ping (rotates through coverage_callin_roles)
+    this.rotationIndex = 0;
+
+    this.checkInterval = null;
+    this.CHECK_INTERVAL_MS = 2 * 60 * 1000; // 2 minutes
+
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    logger.info('Initializing CoverageAlertService');
+
+    this.checkInterval = setInterval(async () => {
+      await this.checkCoverage();
+    }, this.CHECK_INTERVAL_MS);
+
+    this.initialized = true;
+    logger.info('CoverageAlertService initialized', { checkIntervalMinutes: this.CHECK_INTERVAL_MS / 60000 });
+  }
+
+  shutdown() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    this.serverStates.clear();
+    this.initialized = false;
+    logger.info('CoverageAlertService shutdown');
+  }
+
+  /**
+   * Evaluate coverage for every connected server and alert where needed
+   */
+  async checkCoverage(guildId = process.env.DISCORD_GUILD_ID) {
+    try {
+      const settings = await this.configService.getCoverageSettings(guildId);
+      if (!settings.alertsEnabled) return;
+
+      const adminSessions = await DutySession.getActiveSessions(guildId, 'admin');
+      const adminsOnDuty = new Set(adminSessions.map(s => s.discordUserId)).size;
+
+      for (const server of getServerPopulation()) {
+        await this.evaluateServer(server, adminsOnDuty, settings);
+      }
+    } catch (error) {
+      logger.error('Error checking coverage', { error: error.message });
+    }
+  }
+
+  /**
+   * Apply threshold, hysteresis and cooldown rules for a single server
+   */
+  async evaluateServer(server, adminsOnDuty, settings) {
+    const { lowThreshold, alertMinPlayers, alertCooldownMinutes, alertHysteresis } = settings;
+    const state = this.serverStates.get(server.serverId) || { alerting: false, lastAlertAt: 0 };
+
+    if (state.alerting) {
+      const adminsRecovered = adminsOnDuty >= lowThreshold + alertHysteresis;
+      const populationDropped = server.playerCount < alertMinPlayers * PLAYER_HYSTERESIS_RATIO;
+
+      if (adminsRecovered || populationDropped) {
+        state.alerting = false;
+        logger.info('Coverage alert cleared', {
+          serverId: server.serverId,
+          adminsOnDuty,
+          playerCount: server.playerCount
+        });
+      }
+
+      this.serverStates.set(server.serverId, state);
+      return;
+    }
+
+    const isLowCoverage = server.playerCount >= alertMinPlayers && adminsOnDuty < lowThreshold;
+    if (!isLowCoverage) return;
+
+    const cooldownMs = alertCooldownMinutes * 60 * 1000;
+    if (Date.now() - state.lastAlertAt < cooldownMs) {
+      return;
+    }
+
+    const sent = await this.sendAlert(server, adminsOnDuty, settings);
+    if (sent) {
+      state.alerting = true;
+      state.lastAlertAt = Date.now();
+      this.serverStates.set(server.serverId, state);
+    }
+  }
+
+  /**
+   * Pick the next call-in role in the rotation
+   * @returns {string|null} Role ID, or null if none configured
+   */
+  getNextCallInRole(callInRoles) {
+    if (!callInRoles || callInRoles.length === 0) return null;
+
+    const roleId = callInRoles[this.rotationIndex % callInRoles.length];
+    this.rotationIndex = (this.rotationIndex + 1) % callInRoles.length;
+    return roleId;
+  }
+
+  /**
+   * Post the low-coverage alert with a call-in ping and an on-duty button
+   */
+  async sendAlert(server, adminsOnDuty, settings) {
+    const roleId = this.getNextCallInRole(settings.callInRoles);
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${COVERAGE_ONDUTY_PREFIX}${server.serverId}`)
+        .setLabel('Go On Duty')
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('🛡️')
+    );
+
+    const sent = await notificationService.send('coverage_alert', {
+      title: '⚠️ Low Admin Coverage',
+      description: `**${server.serverName}** has ${server.playerCount} players online but only ${adminsOnDuty} admin${adminsOnDuty === 1 ? ' is' : 's are'} on duty.`,
+      fields: [
+        { name: 'Server', value: server.serverName, inline: true },
+        { name: 'Players', value: String(server.playerCount), inline: true },
+        { name: 'Admins On Duty', value: `${adminsOnDuty} / ${settings.lowThreshold}`, inline: true }
+      ],
+      content: roleId ? `<@&${roleId}> coverage needed on **${server.serverName}**` : undefined,
+      components: [row],
+      allowedMentions: { roles: roleId ? [roleId] : [] }
+    });
+
+    if (sent) {
+      logger.info('Low coverage alert sent', {
+        serverId: server.serverId,
+        playerCount: server.playerCount,
+        adminsOnDuty,
+        callInRole: roleId
+      });
+    }
+
+    return sent;
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getCoverageAlertService(client) {
+  if (!instance && client) {
+    instance = new CoverageAlertService(client);
+  }
+  return instance;
+}
+
+async function initializeCoverageAlertService(client) {
+  const service = getCoverageAlertService(client);
+  await service.initialize();
+  return service;
+}
+
+module.exports = {
+  CoverageAlertService,
+  getCoverageAlertService,
+  initializeCoverageAlertService,
+  COVERAGE_ONDUTY_PREFIX
+};
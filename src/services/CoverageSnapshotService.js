@@ -0,0 +1,225 @@
+const { Op } = require('sequelize');
+const { createServiceLogger } = require('../utils/logger');
+const { getDutyConfigService } = require('./DutyConfigService');
+const { DutySession, CoverageSnapshot, PlayerDiscordLink } = require('../database/models');
+
+const logger = createServiceLogger('CoverageSnapshotService');
+
+/**
+ * Get live player counts and online Steam IDs per connected server
+ * Prefers the A2S player count, falls back to tracked playtime sessions.
+ * Shared with CoverageAlertService.
+ */
+function getServerPopulation() {
+  const connectionManager = global.whitelistServices?.connectionManager;
+  const playtimeService = global.playtimeTrackingService;
+  const servers = [];
+
+  if (!connectionManager) {
+    return servers;
+  }
+
+  // Group tracked sessions by server: Map<serverId, steamId[]>
+  const steamIdsByServer = new Map();
+  if (playtimeService?.activeSessions) {
+    for (const sessionKey of playtimeService.activeSessions.keys()) {
+      const separatorIndex = sessionKey.indexOf(':');
+      const serverId = sessionKey.substring(0, separatorIndex);
+      const steamId = sessionKey.substring(separatorIndex + 1);
+      if (!steamIdsByServer.has(serverId)) {
+        steamIdsByServer.set(serverId, []);
+      }
+      steamIdsByServer.get(serverId).push(steamId);
+    }
+  }
+
+  for (const [serverId, connection] of connectionManager.getConnections()) {
+    if (!connection.socket?.connected) continue;
+
+    const steamIds = steamIdsByServer.get(serverId) || [];
+    const a2sCount = connection.serverInfo?.a2sPlayerCount;
+
+    servers.push({
+      serverId,
+      serverName: connection.server?.name || serverId,
+      playerCount: typeof a2sCount === 'number' ? a2sCount : steamIds.length,
+      steamIds
+    });
+  }
+
+  return servers;
+}
+
+/**
+ * Periodically records how many staff are on duty against live server population.
+ * Snapshots feed the coverage heatmap so leadership can spot understaffed windows.
+ * Interval is read from the coverage_snapshot_interval_minutes duty setting.
+ */
+class CoverageSnapshotService {
+  constructor(client) {
+    this.client = client;
+    this.configService = getDutyConfigService();
+
+    this.snapshotTimeout = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    logger.info('Initializing CoverageSnapshotService');
+
+    await this.scheduleNextSnapshot();
+
+    this.initialized = true;
+    logger.info('CoverageSnapshotService initialized');
+  }
+
+  shutdown() {
+    if (this.snapshotTimeout) {
+      clearTimeout(this.snapshotTimeout);
+      this.snapshotTimeout = null;
+    }
+
+    this.initialized = false;
+    logger.info('CoverageSnapshotService shutdown');
+  }
+
+  /**
+   * Schedule the next snapshot. Re-reads the interval each time so
+   * changes made from the dashboard take effect without a restart.
+   */
+  async scheduleNextSnapshot() {
+    const guildId = process.env.DISCORD_GUILD_ID;
+    let intervalMinutes = 60;
+
+    try {
+      const settings = await this.configService.getCoverageSettings(guildId);
+      intervalMinutes = Math.max(1, settings.snapshotIntervalMinutes);
+    } catch (error) {
+      logger.warn('Could not load coverage settings, using default interval', { error: error.message });
+    }
+
+    this.snapshotTimeout = setTimeout(async () => {
+      await this.takeSnapshot(guildId);
+      await this.scheduleNextSnapshot();
+    }, intervalMinutes * 60 * 1000);
+
+    logger.debug('Scheduled next coverage snapshot', { intervalMinutes });
+  }
+
+  /**
+   * Count on-duty admins currently sitting in a voice channel
+   */
+  countAdminsInVoice(guildId, adminIds) {
+    const guild = this.client?.guilds.cache.get(guildId);
+    if (!guild) return 0;
+
+    return adminIds.filter(id => guild.voiceStates.cache.get(id)?.channelId).length;
+  }
+
+  /**
+   * Build and persist a coverage snapshot
+   * @returns {Promise<Object|null>} The created snapshot, or null on failure
+   */
+  async takeSnapshot(guildId = process.env.DISCORD_GUILD_ID) {
+    try {
+      const { lowThreshold } = await this.configService.getCoverageSettings(guildId);
+
+      const [adminSessions, tutorSessions] = await Promise.all([
+        DutySession.getActiveSessions(guildId, 'admin'),
+        DutySession.getActiveSessions(guildId, 'tutor')
+      ]);
+
+      const adminIds = [...new Set(adminSessions.map(s => s.discordUserId))];
+      const tutorIds = [...new Set(tutorSessions.map(s => s.discordUserId))];
+
+      // Map on-duty admins to their linked Steam IDs (staff require confidence >= 1.0)
+      const steamToDiscord = new Map();
+      if (adminIds.length > 0) {
+        const links = await PlayerDiscordLink.findAll({
+          where: {
+            discord_user_id: adminIds,
+            confidence_score: { [Op.gte]: 1.0 }
+          },
+          attributes: ['discord_user_id', 'steamid64']
+        });
+        for (const link of links) {
+          steamToDiscord.set(link.steamid64, link.discord_user_id);
+        }
+      }
+
+      const adminsInGame = new Set();
+      const serverCoverage = getServerPopulation().map(server => {
+        const serverAdmins = new Set();
+        for (const steamId of server.steamIds) {
+          const discordId = steamToDiscord.get(steamId);
+          if (discordId) {
+            serverAdmins.add(discordId);
+            adminsInGame.add(discordId);
+          }
+        }
+
+        return {
+          serverId: server.serverId,
+          serverName: server.serverName,
+          adminCount: serverAdmins.size,
+          playerCount: server.playerCount
+        };
+      });
+
+      // Score: on-duty admins against the threshold for every populated server, capped at 100
+      const populatedServers = serverCoverage.filter(s => s.playerCount > 0).length;
+      const required = lowThreshold * Math.max(1, populatedServers);
+      const coverageScore = required > 0
+        ? Math.min(100, Math.round((adminIds.length / required) * 10000) / 100)
+        : 100;
+
+      const snapshot = await CoverageSnapshot.recordSnapshot({
+        guildId,
+        adminIds,
+        tutorIds,
+        adminsInVoice: this.countAdminsInVoice(guildId, adminIds),
+        adminsInGame: adminsInGame.size,
+        serverCoverage,
+        coverageScore,
+        metadata: { lowThreshold }
+      });
+
+      logger.debug('Recorded coverage snapshot', {
+        adminsOnDuty: adminIds.length,
+        tutorsOnDuty: tutorIds.length,
+        servers: serverCoverage.length,
+        coverageScore
+      });
+
+      return snapshot;
+    } catch (error) {
+      logger.error('Failed to record coverage snapshot', { error: error.message });
+      return null;
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getCoverageSnapshotService(client) {
+  if (!instance && client) {
+    instance = new CoverageSnapshotService(client);
+  }
+  return instance;
+}
+
+async function initializeCoverageSnapshotService(client) {
+  const service = getCoverageSnapshotService(client);
+  await service.initialize();
+  return service;
+}
+
+module.exports = {
+  CoverageSnapshotService,
+  getServerPopulation,
+  getCoverageSnapshotService,
+  initializeCoverageSnapshotService
+};
@@ -1,10 +1,38 @@
+const crypto = require('crypto');
 const { console: loggerConsole, createServiceLogger } = require('../utils/logger');
 const { loadConfig } = require('../utils/environment');
-const { Whitelist } = require('../database/models');
-const { looksLikeSteamId } = require('../utils/steamId');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const { Whitelist, Donation, AuditLog } = require('../database/models');
+const { looksLikeSteamId, isValidSteamId } = require('../utils/steamId');
 
 const serviceLogger = createServiceLogger('DonationService');
 
+// A 'processing' row this old was left behind by a crash, so a retried webhook may take it over
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Claim codes avoid characters that are easy to misread (0/O, 1/I/L)
+const CLAIM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Normalise a claim code the way a donor might type it and hash it for lookup
+ * @param {string} code - Claim code, with or without the dash
+ * @returns {string} SHA-256 hex digest
+ */
+function hashClaimCode(code) {
+  const normalised = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalised).digest('hex');
+}
+
+/**
+ * Generate a random claim code in the form XXXX-XXXX
+ * @returns {string}
+ */
+function generateClaimCode() {
+  const chars = Array.from(crypto.randomBytes(8), byte => CLAIM_CODE_ALPHABET[byte % CLAIM_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
 class DonationService {
   constructor() {
     // Load environment-specific donation configuration
@@ -40,20 +68,46 @@ class DonationService {
     return [...new Set(allSteamIds)];
   }
 
+  /**
+   * Get all Steam IDs for a normalised donation
+   * Combines IDs supplied by the platform (e.g. Tebex Steam login, Stripe custom fields)
+   * with any found in the donor name or message.
+   * @param {Object} donationData - Normalised donation event
+   * @returns {Array<string>} Unique Steam IDs
+   */
+  getSteamIds(donationData) {
+    const platformSteamIds = (donationData.steamIds || []).filter(id => looksLikeSteamId(id));
+    return [...new Set([...platformSteamIds, ...this.extractSteamIds(donationData.from_name, donationData.message)])];
+  }
+
+  /**
+   * Get the tier list a donation is priced against
+   * @param {Object} donationData - Normalised donation event
+   * @returns {Array<Object>} Pricing or subscription tiers
+   */
+  getTiers(donationData) {
+    return donationData.isRecurring ? this.config.SUBSCRIPTION_TIERS : this.config.PRICING_TIERS;
+  }
+
   /**
    * Validate donation amount
    * @param {number} amount - Donation amount
+   * @param {boolean} isRecurring - Whether this is a subscription payment
    * @returns {Object} Validation result { valid, error }
    */
-  validateDonationAmount(amount) {
+  validateDonationAmount(amount, isRecurring = false) {
     if (typeof amount !== 'number' || isNaN(amount)) {
       return { valid: false, error: 'Invalid donation amount format' };
     }
 
-    if (amount < this.config.VALIDATION.MIN_DONATION_AMOUNT) {
+    const minimum = isRecurring
+      ? this.config.VALIDATION.MIN_SUBSCRIPTION_AMOUNT
+      : this.config.VALIDATION.MIN_DONATION_AMOUNT;
+
+    if (amount < minimum) {
       return {
         valid: false,
-        error: `Donation amount $${amount} is below minimum $${this.config.VALIDATION.MIN_DONATION_AMOUNT}`
+        error: `${isRecurring ? 'Subscription' : 'Donation'} amount $${amount} is below minimum $${minimum}`
       };
     }
 
@@ -71,10 +125,11 @@ class DonationService {
    * Validate Steam ID count against donation amount
    * @param {number} amount - Donation amount
    * @param {number} steamIdCount - Number of Steam IDs provided
+   * @param {Array<Object>} tiers - Tier list to match against
    * @returns {Object} Validation result { valid, expected, error }
    */
-  validateSteamIdCount(amount, steamIdCount) {
-    const expectedCount = this.config.calculateExpectedSteamIds(amount);
+  validateSteamIdCount(amount, steamIdCount, tiers = this.config.PRICING_TIERS) {
+    const expectedCount = this.config.calculateExpectedSteamIds(amount, tiers);
 
     if (expectedCount === 0) {
       return {
@@ -84,14 +139,6 @@ class DonationService {
       };
     }
 
-    if (steamIdCount === 0) {
-      return {
-        valid: false,
-        expected: expectedCount,
-        error: `No Steam IDs found in donation message (expected ${expectedCount})`
-      };
-    }
-
     if (steamIdCount > expectedCount) {
       return {
         valid: false,
@@ -100,33 +147,144 @@ class DonationService {
       };
     }
 
-    // Allow fewer Steam IDs (user might add more later via ticket)
+    // Allow fewer Steam IDs - the remaining slots are kept on the donation for a claim code
     if (steamIdCount < expectedCount) {
       serviceLogger.warn(`Donation has fewer Steam IDs than expected: ${steamIdCount}/${expectedCount} for $${amount}`);
     }
 
-    return { valid: true, expected: expectedCount };
+    return { valid: true, expected: expectedCount, unclaimed: expectedCount - steamIdCount };
   }
 
   /**
-   * Process a donation and create whitelist entries
-   * @param {Object} donationData - Donation data from webhook
+   * Process a donation payment: record it in the ledger and create whitelist entries
+   * Subscription renewals are processed the same way, so each paid cycle stacks the
+   * tier's duration onto the donor's whitelist.
+   * @param {Object} donationData - Normalised donation event from a platform adapter
    * @returns {Promise<Object>} Processing result
    */
   async processDonation(donationData) {
-    const { from_name, amount, message, email, type } = donationData;
+    const platform = donationData.platform || 'kofi';
+    const transactionId = donationData.transactionId || null;
 
     serviceLogger.info('Processing donation', {
-      from_name,
-      amount,
-      steamIdCount: 'pending extraction'
+      platform,
+      from_name: donationData.from_name,
+      amount: donationData.amount,
+      transactionId,
+      subscriptionId: donationData.subscriptionId || null
     });
 
+    // Record the payment first - the unique transaction index rejects retried webhooks
+    let donation;
+    try {
+      donation = await Donation.create({
+        platform,
+        transaction_id: transactionId,
+        payment_reference: donationData.paymentReference || null,
+        subscription_id: donationData.subscriptionId || null,
+        is_recurring: !!donationData.isRecurring,
+        donor_name: donationData.from_name || null,
+        donor_email: donationData.email || null,
+        message: donationData.message || null,
+        amount: parseFloat(donationData.amount) || 0,
+        currency: donationData.currency || null,
+        status: 'processing'
+      });
+    } catch (error) {
+      if (!(error instanceof UniqueConstraintError)) {
+        throw error;
+      }
+
+      donation = await this.claimForRetry(platform, transactionId);
+      if (!donation) {
+        serviceLogger.info('Skipping already processed donation transaction', { platform, transactionId });
+        return { success: true, duplicate: true };
+      }
+      serviceLogger.info('Reprocessing donation that failed or never finished', { platform, transactionId, donationId: donation.id });
+    }
+
+    let result;
+    try {
+      result = await this.grantDonation(donationData, donation);
+    } catch (error) {
+      // Leave the row retryable - the webhook answers 500 and the platform sends it again
+      await donation.update({ status: 'failed', error: error.message });
+      throw error;
+    }
+
+    let status = 'failed';
+    if (result.success) {
+      status = result.unclaimedSlots > 0 ? 'awaiting_claim' : 'granted';
+    } else if (result.partialSuccess) {
+      status = 'partial';
+    }
+
+    // Keep paid-for slots without a Steam ID redeemable with a one-time claim code
+    const claimCode = result.unclaimedSlots > 0 ? generateClaimCode() : null;
+
+    await donation.update({
+      steam_ids: result.steamIds || [],
+      whitelist_ids: (result.results || []).filter(r => r.success).map(r => r.whitelistId),
+      tier_description: result.tier?.description || null,
+      slots_total: result.expectedSteamIds || null,
+      duration_value: result.tier?.duration_value ?? null,
+      duration_type: result.tier?.duration_type || null,
+      claim_code_hash: claimCode ? hashClaimCode(claimCode) : null,
+      status,
+      error: result.error || (result.errors?.length ? result.errors.map(e => `${e.steamId}: ${e.error}`).join('\n') : null)
+    });
+
+    return { ...result, donationId: donation.id, claimCode };
+  }
+
+  /**
+   * Take over the ledger row of a retried webhook if the first attempt never granted
+   * Failed rows and stale 'processing' rows are claimed with a conditional update, so
+   * two retries arriving together can't both grant.
+   * @param {string} platform
+   * @param {string} transactionId
+   * @returns {Promise<Donation|null>} null if the donation was already processed
+   */
+  async claimForRetry(platform, transactionId) {
+    const donation = await Donation.findOne({ where: { platform, transaction_id: transactionId } });
+    if (!donation) {
+      return null;
+    }
+
+    const [claimed] = await Donation.update({ status: 'processing', error: null }, {
+      where: {
+        id: donation.id,
+        [Op.or]: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { [Op.lt]: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      }
+    });
+
+    if (claimed === 0) {
+      return null;
+    }
+
+    return donation.reload();
+  }
+
+  /**
+   * Validate a donation and grant whitelist entries for its Steam IDs
+   * @param {Object} donationData - Normalised donation event
+   * @param {Donation} donation - Ledger row for the payment
+   * @returns {Promise<Object>} Processing result
+   */
+  async grantDonation(donationData, donation) {
+    const { from_name, amount, message, email, type } = donationData;
+    const platform = donation.platform;
+    const transactionId = donation.transaction_id;
+    const subscriptionId = donation.subscription_id;
+
     // Parse amount
     const donationAmount = parseFloat(amount);
 
     // Validate amount
-    const amountValidation = this.validateDonationAmount(donationAmount);
+    const amountValidation = this.validateDonationAmount(donationAmount, !!donationData.isRecurring);
     if (!amountValidation.valid) {
       serviceLogger.error('Invalid donation amount', { amount, error: amountValidation.error });
       return {
@@ -136,12 +294,18 @@ class DonationService {
       };
     }
 
-    // Extract Steam IDs from name and message
-    const steamIds = this.extractSteamIds(from_name, message);
-    serviceLogger.info(`Extracted ${steamIds.length} Steam IDs from donation name and message`);
+    // Extract Steam IDs, falling back to the subscription's IDs for renewals
+    let steamIds = this.getSteamIds(donationData);
+    if (steamIds.length === 0 && subscriptionId) {
+      steamIds = await this.getSubscriptionSteamIds(platform, subscriptionId);
+      serviceLogger.info(`Reusing ${steamIds.length} Steam IDs from subscription ${subscriptionId}`);
+    } else {
+      serviceLogger.info(`Extracted ${steamIds.length} Steam IDs from donation`);
+    }
 
     // Validate Steam ID count
-    const steamIdValidation = this.validateSteamIdCount(donationAmount, steamIds.length);
+    const tiers = this.getTiers(donationData);
+    const steamIdValidation = this.validateSteamIdCount(donationAmount, steamIds.length, tiers);
     if (!steamIdValidation.valid) {
       serviceLogger.error('Invalid Steam ID count', {
         found: steamIds.length,
@@ -153,12 +317,13 @@ class DonationService {
         error: steamIdValidation.error,
         errorType: 'INVALID_STEAM_ID_COUNT',
         expected: steamIdValidation.expected,
-        found: steamIds.length
+        found: steamIds.length,
+        steamIds
       };
     }
 
     // Get tier information
-    const tier = this.config.getTierForAmount(donationAmount);
+    const tier = this.config.getTierForAmount(donationAmount, tiers);
     if (!tier) {
       serviceLogger.error('No pricing tier found', { amount: donationAmount });
       return {
@@ -181,12 +346,17 @@ class DonationService {
           eosID: null,
           username: null,
           discord_username: from_name,
-          reason: `Donation - $${amount}`,
+          reason: `${donationData.isRecurring ? 'Subscription' : 'Donation'} - $${amount}`,
           duration_value: tier.duration_value,
           duration_type: tier.duration_type,
           granted_by: 'DONATION_WEBHOOK',
           note: message?.substring(0, 500) || null, // Limit note size
           metadata: {
+            donation_id: donation.id,
+            donation_platform: platform,
+            donation_transaction_id: transactionId,
+            donation_subscription_id: subscriptionId,
+            donation_currency: donationData.currency || null,
             donation_amount: amount,
             donor_name: from_name,
             donor_email: email,
@@ -244,10 +414,252 @@ class DonationService {
       results,
       errors: failureCount > 0 ? errors : [],
       tier,
-      expectedSteamIds: steamIdValidation.expected
+      steamIds,
+      expectedSteamIds: steamIdValidation.expected,
+      unclaimedSlots: steamIdValidation.unclaimed
     };
   }
 
+  /**
+   * Process a subscription cancellation by revoking the whitelist it granted
+   * @param {Object} donationData - Normalised cancellation event from a platform adapter
+   * @returns {Promise<Object>} Processing result { success, revokedCount, steamIds }
+   */
+  async processCancellation(donationData) {
+    const { platform, subscriptionId } = donationData;
+
+    if (!subscriptionId) {
+      return { success: false, error: 'Cancellation has no subscription ID', errorType: 'MISSING_SUBSCRIPTION' };
+    }
+
+    const payments = await Donation.getSubscriptionPayments(platform, subscriptionId);
+    const steamIds = [...new Set(payments.flatMap(payment => payment.steam_ids || []))];
+    const revokedCount = await Whitelist.revokeEntriesByIds(
+      payments.flatMap(payment => payment.whitelist_ids || []),
+      'DONATION_WEBHOOK',
+      `${platform} subscription ${subscriptionId} cancelled`
+    );
+
+    // Unclaimed slots of a cancelled subscription can no longer be redeemed
+    await Donation.update({ claim_code_hash: null }, { where: { platform, subscription_id: subscriptionId } });
+
+    serviceLogger.info('Donation subscription cancelled', { platform, subscriptionId, revokedCount });
+
+    return { success: true, revokedCount, steamIds };
+  }
+
+  /**
+   * Steam IDs covered by earlier payments of a subscription
+   * Renewal events often carry no Steam IDs, so they reuse the subscription's IDs.
+   * @param {string} platform - Donation platform key
+   * @param {string} subscriptionId - Platform subscription ID
+   * @returns {Promise<Array<string>>}
+   */
+  async getSubscriptionSteamIds(platform, subscriptionId) {
+    const payments = await Donation.getSubscriptionPayments(platform, subscriptionId);
+    return [...new Set(payments.flatMap(payment => payment.steam_ids || []))];
+  }
+
+  /**
+   * Process a refund or chargeback event from a platform
+   * @param {Object} donationData - Normalised refund/chargeback event (kind is the new status)
+   * @returns {Promise<Object>} Processing result { success, donation, revokedCount }
+   */
+  async processReversal(donationData) {
+    const { platform, transactionId, kind } = donationData;
+
+    const donation = transactionId ? await Donation.findByReference(platform, transactionId) : null;
+    if (!donation) {
+      serviceLogger.warn('Reversal for unknown donation', { platform, transactionId, kind });
+      return {
+        success: false,
+        error: `No donation found for ${platform} transaction ${transactionId || 'unknown'}`,
+        errorType: 'DONATION_NOT_FOUND'
+      };
+    }
+
+    if (donation.isReversed()) {
+      return { success: true, duplicate: true, donation, revokedCount: 0 };
+    }
+
+    const beforeState = donation.toJSON();
+    const result = await this.reverseDonation(donation, kind, 'DONATION_WEBHOOK');
+
+    await AuditLog.logAction({
+      actionType: 'donation_reverse',
+      actorType: 'system',
+      actorId: 'DONATION_WEBHOOK',
+      actorName: `${platform} webhook`,
+      targetType: 'donation',
+      targetId: donation.id.toString(),
+      targetName: donation.donor_name || donation.transaction_id || `#${donation.id}`,
+      description: `${platform} reported the donation as ${kind}; revoked ${result.revokedCount} whitelist entries`,
+      beforeState,
+      afterState: donation.toJSON(),
+      metadata: { source: 'webhook', platform, transactionId, revokedCount: result.revokedCount }
+    });
+
+    return result;
+  }
+
+  /**
+   * Mark a donation as refunded or charged back and revoke the whitelist it granted
+   * The donation row is locked while its entries are revoked, so a slot being
+   * claimed at the same time is either revoked with the rest or rejected.
+   * @param {Donation} donation - Ledger row
+   * @param {string} status - 'refunded' or 'chargeback'
+   * @param {string} reversedBy - 'DONATION_WEBHOOK' or the Discord ID of the staff member
+   * @returns {Promise<Object>} { success, donation, revokedCount }
+   */
+  async reverseDonation(donation, status, reversedBy) {
+    const label = status === 'chargeback' ? 'charged back' : 'refunded';
+
+    const revokedCount = await sequelize.transaction(async (transaction) => {
+      await donation.reload({ transaction, lock: transaction.LOCK.UPDATE });
+      if (donation.isReversed()) {
+        return null;
+      }
+
+      const count = await Whitelist.revokeEntriesByIds(
+        donation.whitelist_ids,
+        reversedBy,
+        `Donation ${label} (${donation.platform} ${donation.transaction_id || `#${donation.id}`})`,
+        transaction
+      );
+
+      await donation.update({
+        status,
+        claim_code_hash: null,
+        reversed_at: new Date(),
+        reversed_by: reversedBy
+      }, { transaction });
+
+      return count;
+    });
+
+    if (revokedCount === null) {
+      return { success: true, duplicate: true, donation, revokedCount: 0 };
+    }
+
+    serviceLogger.info(`Donation ${label}`, { donationId: donation.id, revokedCount, reversedBy });
+
+    return { success: true, donation, revokedCount };
+  }
+
+  /**
+   * Redeem one unclaimed donation slot with a claim code
+   * The code stays valid until every slot has been claimed.
+   * @param {string} code - Claim code given to the donor
+   * @param {string} steamId - Steam ID64 to whitelist
+   * @param {string} claimedBy - Discord ID of the person redeeming the code
+   * @returns {Promise<Object>} Result { success, donation, whitelistId, remaining } or { success: false, error, errorType }
+   */
+  async claimSlot(code, steamId, claimedBy) {
+    const donation = code ? await Donation.findByClaimCodeHash(hashClaimCode(code)) : null;
+    if (!donation) {
+      return { success: false, error: 'Invalid or already used claim code', errorType: 'INVALID_CLAIM_CODE' };
+    }
+
+    return this.assignSlot(donation.id, steamId, claimedBy, 'claim_code');
+  }
+
+  /**
+   * Grant one unclaimed donation slot to a Steam ID
+   * The donation row stays locked until the whitelist entry is recorded on it, so the
+   * same code can't be redeemed twice concurrently and a reversal can't miss the entry.
+   * @param {number} donationId - Ledger row ID
+   * @param {string} steamId - Steam ID64 to whitelist
+   * @param {string} grantedBy - Discord ID of the donor or staff member
+   * @param {string} method - 'claim_code' or 'staff'
+   * @returns {Promise<Object>} Result { success, donation, whitelistId, remaining } or { success: false, error, errorType }
+   */
+  async assignSlot(donationId, steamId, grantedBy, method = 'staff') {
+    steamId = String(steamId || '').trim();
+    if (!isValidSteamId(steamId)) {
+      return { success: false, error: 'Invalid Steam ID64', errorType: 'INVALID_STEAM_ID' };
+    }
+
+    let result;
+    try {
+      result = await sequelize.transaction(async (transaction) => {
+        const donation = await Donation.findByPk(donationId, { transaction, lock: transaction.LOCK.UPDATE });
+
+        if (!donation) {
+          return { success: false, error: 'Donation not found', errorType: 'DONATION_NOT_FOUND' };
+        }
+        if (donation.isReversed()) {
+          return { success: false, error: `Donation was ${donation.status === 'chargeback' ? 'charged back' : 'refunded'}`, errorType: 'DONATION_REVERSED' };
+        }
+        if (donation.unclaimed_slots === 0 || !donation.duration_type) {
+          return { success: false, error: 'Donation has no unclaimed slots', errorType: 'NO_UNCLAIMED_SLOTS' };
+        }
+        if (donation.steam_ids.includes(steamId)) {
+          return { success: false, error: 'Steam ID is already covered by this donation', errorType: 'DUPLICATE_STEAM_ID' };
+        }
+
+        const whitelistEntry = await Whitelist.grantWhitelist({
+          steamid64: steamId,
+          discord_username: donation.donor_name,
+          reason: `${donation.is_recurring ? 'Subscription' : 'Donation'} - $${donation.amount} (claimed slot)`,
+          duration_value: donation.duration_value,
+          duration_type: donation.duration_type,
+          granted_by: grantedBy,
+          source: 'donation',
+          metadata: {
+            donation_id: donation.id,
+            donation_platform: donation.platform,
+            donation_transaction_id: donation.transaction_id,
+            donation_subscription_id: donation.subscription_id,
+            donation_currency: donation.currency,
+            donation_amount: donation.amount,
+            donor_name: donation.donor_name,
+            tier_description: donation.tier_description,
+            claim_method: method,
+            processed_at: new Date().toISOString()
+          },
+          transaction
+        });
+
+        const updates = {
+          steam_ids: [...donation.steam_ids, steamId],
+          whitelist_ids: [...donation.whitelist_ids, whitelistEntry.id]
+        };
+        if (donation.unclaimed_slots === 1) {
+          updates.claim_code_hash = null;
+          if (donation.status === 'awaiting_claim') {
+            updates.status = 'granted';
+          }
+        }
+        await donation.update(updates, { transaction });
+
+        return { success: true, donation, whitelistId: whitelistEntry.id, remaining: donation.unclaimed_slots };
+      });
+    } catch (error) {
+      serviceLogger.error('Failed to grant claimed donation slot', { donationId, steamId, error: error.message });
+      return { success: false, error: error.message, errorType: 'GRANT_FAILED' };
+    }
+
+    if (result.success) {
+      serviceLogger.info('Donation slot claimed', { donationId, steamId, method, grantedBy, remaining: result.remaining });
+    }
+
+    return result;
+  }
+
+  /**
+   * Issue a new claim code for a donation's unclaimed slots, replacing any existing one
+   * Only the hash is stored, so the returned code cannot be retrieved again.
+   * @param {Donation} donation - Ledger row
+   * @returns {Promise<string>} The new claim code
+   */
+  async regenerateClaimCode(donation) {
+    const claimCode = generateClaimCode();
+    await donation.update({ claim_code_hash: hashClaimCode(claimCode) });
+
+    serviceLogger.info('Donation claim code regenerated', { donationId: donation.id });
+    return claimCode;
+  }
+
   /**
    * Format donation data for Discord notifications
    * @param {Object} donationData - Raw donation data
@@ -256,7 +668,7 @@ class DonationService {
    */
   formatNotificationData(donationData, processingResult) {
     const { from_name, amount, message, email } = donationData;
-    const steamIds = this.extractSteamIds(from_name, message);
+    const steamIds = processingResult.steamIds || this.getSteamIds(donationData);
 
     return {
       donorName: from_name,
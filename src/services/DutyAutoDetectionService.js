@@ -0,0 +1,349 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const { Op } = require('sequelize');
+const { createServiceLogger } = require('../utils/logger');
+const { COMMAND_PERMISSIONS } = require('../../config/discord');
+const { getDutyConfigService } = require('./DutyConfigService');
+const { getServerPopulation } = require('./CoverageSnapshotService');
+const DutyStatusFactory = require('./DutyStatusFactory');
+const { DutySession, PlayerDiscordLink } = require('../database/models');
+
+const logger = createServiceLogger('DutyAutoDetectionService');
+
+// Duty source recorded on sessions and status changes started from in-game activity
+const AUTO_DUTY_SOURCE = 'ingame_detected';
+
+// Button prefix for the DM prompt's "Go On Duty" (suffixed with serverId)
+const AUTO_DUTY_START_PREFIX = 'auto_duty_start_';
+
+const TRIGGER_LABELS = {
+  admin_cam: 'used admin camera',
+  admin_chat: 'sent an admin chat message'
+};
+
+/**
+ * Puts off-duty staff on duty when they use admin tools in game.
+ * Opt-in via the auto_duty_enabled duty setting. Depending on auto_duty_auto_start the
+ * staff member is either asked by DM or placed on duty straight away; either way the
+ * session is tagged with AUTO_DUTY_SOURCE. Those sessions end once the staff member has
+ * been off every connected server for auto_duty_grace_minutes.
+ * Staff detection itself comes from DutySquadJSTrackingService's Steam ID cache.
+ */
+class DutyAutoDetectionService {
+  constructor(client) {
+    this.client = client;
+    this.configService = getDutyConfigService();
+
+    // Staff on an in-game detected session: Map<discordUserId, { steamId, offlineSince }>
+    this.trackedSessions = new Map();
+
+    // Last DM prompt per staff member: Map<discordUserId, timestamp>
+    this.lastPromptAt = new Map();
+
+    // Staff currently being prompted or put on duty, so bursts of events act once
+    this.inFlight = new Set();
+
+    this.checkInterval = null;
+    this.CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
+
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    logger.info('Initializing DutyAutoDetectionService');
+
+    await this.restoreTrackedSessions();
+
+    this.checkInterval = setInterval(async () => {
+      await this.checkPresence();
+    }, this.CHECK_INTERVAL_MS);
+
+    this.initialized = true;
+    logger.info('DutyAutoDetectionService initialized', { trackedSessions: this.trackedSessions.size });
+  }
+
+  shutdown() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    this.trackedSessions.clear();
+    this.lastPromptAt.clear();
+    this.initialized = false;
+    logger.info('DutyAutoDetectionService shutdown');
+  }
+
+  /**
+   * Pick up in-game detected sessions that were still open when the bot restarted
+   */
+  async restoreTrackedSessions(guildId = process.env.DISCORD_GUILD_ID) {
+    try {
+      const sessions = await DutySession.getActiveSessions(guildId, 'admin');
+
+      for (const session of sessions) {
+        if (session.metadata?.source !== AUTO_DUTY_SOURCE) continue;
+
+        const steamId = await this.findSteamId(session.discordUserId);
+        if (steamId) {
+          this.trackedSessions.set(session.discordUserId, { steamId, offlineSince: null });
+        }
+      }
+    } catch (error) {
+      logger.error('Error restoring in-game detected sessions', { error: error.message });
+    }
+  }
+
+  /**
+   * Called by DutySquadJSTrackingService when a linked staff member uses admin tools
+   * @param {string} discordUserId
+   * @param {string} steamId
+   * @param {Object} server - SquadJS server the activity happened on
+   * @param {string} trigger - admin_cam or admin_chat
+   */
+  async handleAdminActivity(discordUserId, steamId, server, trigger) {
+    if (this.inFlight.has(discordUserId)) return;
+    this.inFlight.add(discordUserId);
+
+    try {
+      const guildId = process.env.DISCORD_GUILD_ID;
+      const settings = await this.configService.getAutoDutySettings(guildId);
+      if (!settings.enabled) return;
+
+      const member = await this.fetchMember(guildId, discordUserId);
+      if (!member || !this.canGoOnDuty(member)) return;
+
+      const dutyFactory = this.getDutyFactory();
+      if (dutyFactory.isUserOnDuty(member)) return;
+
+      if (settings.autoStart) {
+        await this.startDuty(member, steamId, server.id, trigger);
+        return;
+      }
+
+      const cooldownMs = settings.promptCooldownMinutes * 60 * 1000;
+      if (Date.now() - (this.lastPromptAt.get(discordUserId) || 0) < cooldownMs) return;
+
+      if (await this.sendPrompt(member, server, trigger, settings.graceMinutes)) {
+        this.lastPromptAt.set(discordUserId, Date.now());
+      }
+    } catch (error) {
+      logger.error('Error handling in-game admin activity', {
+        discordUserId,
+        serverId: server?.id,
+        error: error.message
+      });
+    } finally {
+      this.inFlight.delete(discordUserId);
+    }
+  }
+
+  /**
+   * Accept a DM prompt
+   * @returns {Promise<{success: boolean, error?: string, warning?: string}>}
+   */
+  async confirmPrompt(discordUserId, serverId) {
+    const guildId = process.env.DISCORD_GUILD_ID;
+    const member = await this.fetchMember(guildId, discordUserId);
+    if (!member || !this.canGoOnDuty(member)) {
+      return { success: false, error: 'You do not have permission to go on duty.' };
+    }
+
+    const steamId = await this.findSteamId(discordUserId);
+    if (!steamId) {
+      return { success: false, error: 'Your Steam account is no longer linked.' };
+    }
+
+    return this.startDuty(member, steamId, serverId, 'prompt');
+  }
+
+  /**
+   * Put the member on duty and start watching their server presence
+   */
+  async startDuty(member, steamId, serverId, trigger) {
+    const result = await this.getDutyFactory().setOnDuty(null, {
+      member,
+      source: AUTO_DUTY_SOURCE,
+      reason: 'In-game admin activity detected',
+      metadata: {
+        trigger,
+        serverId,
+        steamId
+      }
+    });
+
+    if (result.success) {
+      this.trackedSessions.set(member.user.id, { steamId, offlineSince: null });
+      logger.info('Staff put on duty from in-game activity', {
+        discordUserId: member.user.id,
+        serverId,
+        trigger
+      });
+    } else {
+      logger.debug('Could not start in-game detected duty', {
+        discordUserId: member.user.id,
+        error: result.error
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * End in-game detected sessions for staff who have been off every server for the grace period
+   */
+  async checkPresence(guildId = process.env.DISCORD_GUILD_ID) {
+    if (this.trackedSessions.size === 0) return;
+
+    try {
+      const servers = getServerPopulation();
+
+      // With no server connected we cannot tell who left, so leave sessions alone
+      if (servers.length === 0) return;
+
+      const online = new Set(servers.flatMap(server => server.steamIds));
+      const settings = await this.configService.getAutoDutySettings(guildId);
+      const graceMs = settings.graceMinutes * 60 * 1000;
+
+      for (const [discordUserId, state] of this.trackedSessions) {
+        const session = await DutySession.getActiveSession(discordUserId, 'admin');
+        if (!session || session.metadata?.source !== AUTO_DUTY_SOURCE) {
+          // Ended some other way (manually, timeout, role removed)
+          this.trackedSessions.delete(discordUserId);
+          continue;
+        }
+
+        if (online.has(state.steamId)) {
+          state.offlineSince = null;
+          continue;
+        }
+
+        if (!state.offlineSince) {
+          state.offlineSince = Date.now();
+          continue;
+        }
+
+        if (Date.now() - state.offlineSince >= graceMs) {
+          await this.endDuty(guildId, discordUserId, settings.graceMinutes);
+        }
+      }
+    } catch (error) {
+      logger.error('Error checking in-game presence', { error: error.message });
+    }
+  }
+
+  /**
+   * Take the member off duty after they left all servers
+   */
+  async endDuty(guildId, discordUserId, graceMinutes) {
+    this.trackedSessions.delete(discordUserId);
+
+    const member = await this.fetchMember(guildId, discordUserId);
+    if (!member) return;
+
+    const result = await this.getDutyFactory().setOffDuty(null, {
+      member,
+      source: AUTO_DUTY_SOURCE,
+      reason: `Left all game servers for ${graceMinutes} minutes`,
+      endReason: 'left_server'
+    });
+
+    if (result.success) {
+      logger.info('In-game detected duty ended after leaving servers', { discordUserId, graceMinutes });
+    } else {
+      logger.warn('Could not end in-game detected duty', { discordUserId, error: result.error });
+    }
+  }
+
+  /**
+   * DM the staff member asking whether to go on duty
+   * @returns {Promise<boolean>}
+   */
+  async sendPrompt(member, server, trigger, graceMinutes) {
+    try {
+      const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle('🎮 Admin activity detected')
+        .setDescription(
+          `You ${TRIGGER_LABELS[trigger] || 'used admin tools'} on **${server.name || server.id}** while off duty.\n\n` +
+          'Go on duty to have this activity count towards your session?'
+        )
+        .setFooter({ text: `Duty started here ends automatically ${graceMinutes} minutes after you leave all servers` })
+        .setTimestamp();
+
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${AUTO_DUTY_START_PREFIX}${server.id}`)
+          .setLabel('Go On Duty')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('🛡️')
+      );
+
+      await member.send({ embeds: [embed], components: [row] });
+      return true;
+    } catch (error) {
+      // Staff with DMs closed simply don't get prompted
+      logger.debug('Could not DM on-duty prompt', { discordUserId: member.user.id, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Same roles as /onduty
+   */
+  canGoOnDuty(member) {
+    const allowedRoles = COMMAND_PERMISSIONS.onduty;
+    if (!Array.isArray(allowedRoles) || allowedRoles.includes('DISABLED')) return false;
+    return member.roles.cache.some(role => allowedRoles.includes(role.id));
+  }
+
+  async fetchMember(guildId, discordUserId) {
+    const guild = await this.client.guilds.fetch(guildId).catch(() => null);
+    if (!guild) return null;
+    return guild.members.fetch(discordUserId).catch(() => null);
+  }
+
+  async findSteamId(discordUserId) {
+    const link = await PlayerDiscordLink.findOne({
+      where: {
+        discord_user_id: discordUserId,
+        confidence_score: { [Op.gte]: 1.0 }
+      },
+      order: [['is_primary', 'DESC'], ['confidence_score', 'DESC']]
+    });
+    return link?.steamid64 || null;
+  }
+
+  /**
+   * Use the role change handler's factory so our role changes aren't logged twice
+   */
+  getDutyFactory() {
+    const { getRoleChangeHandler } = require('../handlers/roleChangeHandler');
+    return getRoleChangeHandler()?.dutyFactory || new DutyStatusFactory();
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getDutyAutoDetectionService(client) {
+  if (!instance && client) {
+    instance = new DutyAutoDetectionService(client);
+  }
+  return instance;
+}
+
+async function initializeDutyAutoDetectionService(client) {
+  const service = getDutyAutoDetectionService(client);
+  await service.initialize();
+  return service;
+}
+
+module.exports = {
+  DutyAutoDetectionService,
+  getDutyAutoDetectionService,
+  initializeDutyAutoDetectionService,
+  AUTO_DUTY_SOURCE,
+  AUTO_DUTY_START_PREFIX
+};
@@ -122,7 +122,58 @@ class DutyConfigService {
 
     return {
       lowThreshold: config.coverage_low_threshold?.value ?? 2,
-      snapshotIntervalMinutes: config.coverage_snapshot_interval_minutes?.value ?? 60
+      snapshotIntervalMinutes: config.coverage_snapshot_interval_minutes?.value ?? 60,
+      alertsEnabled: config.coverage_alerts_enabled?.value ?? true,
+      alertMinPlayers: config.coverage_alert_min_players?.value ?? 40,
+      alertCooldownMinutes: config.coverage_alert_cooldown_minutes?.value ?? 30,
+      alertHysteresis: config.coverage_alert_hysteresis?.value ?? 1,
+      callInRoles: Array.isArray(config.coverage_callin_roles?.value) ? config.coverage_callin_roles.value : []
+    };
+  }
+
+  /**
+   * Get weekly points target settings
+   */
+  async getWeeklyTargetSettings(guildId) {
+    const config = await this.getConfig(guildId);
+
+    return {
+      pointsTarget: config.weekly_points_target?.value ?? 1000,
+      reportsEnabled: config.weekly_target_reports_enabled?.value ?? true,
+      exceededPercent: config.weekly_target_exceeded_percent?.value ?? 150
+    };
+  }
+
+  /**
+   * Get in-game duty detection settings
+   */
+  async getAutoDutySettings(guildId) {
+    const config = await this.getConfig(guildId);
+
+    return {
+      enabled: config.auto_duty_enabled?.value ?? false,
+      autoStart: config.auto_duty_auto_start?.value ?? false,
+      graceMinutes: config.auto_duty_grace_minutes?.value ?? 10,
+      promptCooldownMinutes: config.auto_duty_prompt_cooldown_minutes?.value ?? 60
+    };
+  }
+
+  /**
+   * Get inactive staff detection settings
+   * Tier thresholds of 0 leave that tier out of the report.
+   */
+  async getInactivitySettings(guildId) {
+    const config = await this.getConfig(guildId);
+
+    return {
+      reportsEnabled: config.inactivity_reports_enabled?.value ?? true,
+      reportIntervalDays: config.inactivity_report_interval_days?.value ?? 7,
+      tierDays: {
+        admin: config.inactivity_days_admin?.value ?? 21,
+        moderator: config.inactivity_days_moderator?.value ?? 14,
+        staff: config.inactivity_days_staff?.value ?? 14
+      },
+      archiveDays: config.inactivity_archive_days?.value ?? 180
     };
   }
 
@@ -0,0 +1,614 @@
+const { Op, fn, col } = require('sequelize');
+const { createServiceLogger } = require('../utils/logger');
+const { getDutyConfigService } = require('./DutyConfigService');
+const { DutySession, DutyPointRuleSet, AuditLog } = require('../database/models');
+
+const logger = createServiceLogger('DutyPointRuleService');
+
+// Activity rule keys (matching the points_* settings) and the session counter each one scores
+const ACTIVITY_TYPES = {
+  voice_per_minute: { counter: 'voiceMinutes', label: 'Voice minutes' },
+  ticket_response: { counter: 'ticketResponses', label: 'Ticket responses' },
+  admin_cam: { counter: 'adminCamEvents', label: 'Admin cam uses' },
+  ingame_chat: { counter: 'ingameChatMessages', label: 'In-game messages' },
+  admin_request: { counter: 'adminRequestsClaimed', label: 'Claimed !admin requests' },
+  player_warn: { counter: 'playerWarns', label: 'In-game warns' },
+  player_kick: { counter: 'playerKicks', label: 'In-game kicks' },
+  player_ban: { counter: 'playerBans', label: 'In-game bans' }
+};
+
+const DUTY_TYPES = ['admin', 'tutor'];
+
+// Sessions are recomputed for a preview this many at a time, reading only the
+// columns calculatePoints uses
+const PREVIEW_BATCH_SIZE = 1000;
+const PREVIEW_ATTRIBUTES = [
+  'id', 'discordUserId', 'discordUsername', 'dutyType', 'isActive', 'sessionStart', 'durationMinutes',
+  ...Object.values(ACTIVITY_TYPES).map(({ counter }) => counter)
+];
+
+// Active rule set lookups are cached like duty config values
+const activeCache = new Map();
+const CACHE_TTL = 60 * 1000; // 1 minute cache
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function isHour(value, max) {
+  return Number.isInteger(value) && value >= 0 && value <= max;
+}
+
+/**
+ * Check one level of rules (the defaults or a duty type override)
+ * @param {Object} rules
+ * @param {string} path - Prefix for error messages
+ * @param {boolean} partial - Duty type overrides may leave out basePerMinute
+ * @returns {string[]}
+ */
+function validateRuleLevel(rules, path, partial) {
+  const errors = [];
+
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return [`${path} must be an object`];
+  }
+
+  if (rules.basePerMinute === undefined) {
+    if (!partial) errors.push(`${path}.basePerMinute is required`);
+  } else if (!isNonNegativeNumber(rules.basePerMinute)) {
+    errors.push(`${path}.basePerMinute must be a non-negative number`);
+  }
+
+  if (rules.onDutyMultiplier !== undefined && !isNonNegativeNumber(rules.onDutyMultiplier)) {
+    errors.push(`${path}.onDutyMultiplier must be a non-negative number`);
+  }
+
+  if (rules.activities !== undefined) {
+    if (!rules.activities || typeof rules.activities !== 'object' || Array.isArray(rules.activities)) {
+      errors.push(`${path}.activities must be an object`);
+    } else {
+      for (const [key, activity] of Object.entries(rules.activities)) {
+        if (!ACTIVITY_TYPES[key]) {
+          errors.push(`${path}.activities.${key} is not a known activity`);
+        } else if (!activity || !isNonNegativeNumber(activity.points)) {
+          errors.push(`${path}.activities.${key}.points must be a non-negative number`);
+        } else if (activity.maxPoints != null && !isNonNegativeNumber(activity.maxPoints)) {
+          errors.push(`${path}.activities.${key}.maxPoints must be a non-negative number or null`);
+        }
+      }
+    }
+  }
+
+  if (rules.diminishingReturns !== undefined) {
+    if (!Array.isArray(rules.diminishingReturns)) {
+      errors.push(`${path}.diminishingReturns must be an array`);
+    } else {
+      rules.diminishingReturns.forEach((tier, i) => {
+        if (!tier || !isNonNegativeNumber(tier.afterHours) || tier.afterHours === 0) {
+          errors.push(`${path}.diminishingReturns[${i}].afterHours must be a positive number`);
+        }
+        if (!tier || !isNonNegativeNumber(tier.multiplier)) {
+          errors.push(`${path}.diminishingReturns[${i}].multiplier must be a non-negative number`);
+        }
+      });
+    }
+  }
+
+  if (rules.timeMultipliers !== undefined) {
+    if (!Array.isArray(rules.timeMultipliers)) {
+      errors.push(`${path}.timeMultipliers must be an array`);
+    } else {
+      rules.timeMultipliers.forEach((window, i) => {
+        if (!window || !isHour(window.startHour, 23)) {
+          errors.push(`${path}.timeMultipliers[${i}].startHour must be a whole hour from 0 to 23`);
+        }
+        if (!window || !isHour(window.endHour, 24) || window.endHour === window.startHour) {
+          errors.push(`${path}.timeMultipliers[${i}].endHour must be a whole hour from 0 to 24, different from startHour`);
+        }
+        if (!window || !isNonNegativeNumber(window.multiplier)) {
+          errors.push(`${path}.timeMultipliers[${i}].multiplier must be a non-negative number`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a rule set's rules
+ * @param {Object} rules
+ * @returns {string[]} Error messages, empty if valid
+ */
+function validateRules(rules) {
+  const errors = validateRuleLevel(rules, 'rules', false);
+  if (errors.length > 0 || rules.dutyTypes === undefined) return errors;
+
+  if (!rules.dutyTypes || typeof rules.dutyTypes !== 'object' || Array.isArray(rules.dutyTypes)) {
+    return ['rules.dutyTypes must be an object'];
+  }
+
+  for (const [dutyType, override] of Object.entries(rules.dutyTypes)) {
+    if (!DUTY_TYPES.includes(dutyType)) {
+      errors.push(`rules.dutyTypes.${dutyType} is not a known duty type`);
+      continue;
+    }
+    if (override && override.dutyTypes !== undefined) {
+      errors.push(`rules.dutyTypes.${dutyType} cannot contain dutyTypes`);
+    }
+    errors.push(...validateRuleLevel(override, `rules.dutyTypes.${dutyType}`, true));
+  }
+
+  return errors;
+}
+
+/**
+ * Rules for one duty type: the duty type's override on top of the defaults
+ * Activities are merged per activity; every other field is replaced as a whole.
+ * @param {Object} rules
+ * @param {string} dutyType
+ * @returns {Object}
+ */
+function resolveRules(rules, dutyType) {
+  const override = rules.dutyTypes?.[dutyType] || {};
+
+  return {
+    basePerMinute: override.basePerMinute ?? rules.basePerMinute ?? 0,
+    onDutyMultiplier: override.onDutyMultiplier ?? rules.onDutyMultiplier ?? 1,
+    activities: { ...rules.activities, ...override.activities },
+    diminishingReturns: [...(override.diminishingReturns ?? rules.diminishingReturns ?? [])]
+      .sort((a, b) => a.afterHours - b.afterHours),
+    timeMultipliers: override.timeMultipliers ?? rules.timeMultipliers ?? []
+  };
+}
+
+/**
+ * Highest multiplier of the windows covering a UTC hour (1 if none do)
+ * Windows with startHour after endHour wrap past midnight.
+ */
+function getTimeMultiplier(timeMultipliers, hourOfDay) {
+  let multiplier = null;
+  for (const window of timeMultipliers) {
+    const inWindow = window.startHour < window.endHour
+      ? hourOfDay >= window.startHour && hourOfDay < window.endHour
+      : hourOfDay >= window.startHour || hourOfDay < window.endHour;
+    if (inWindow && (multiplier === null || window.multiplier > multiplier)) {
+      multiplier = window.multiplier;
+    }
+  }
+  return multiplier ?? 1;
+}
+
+/**
+ * Base points before the on-duty multiplier
+ * The session is walked in spans that never cross a UTC hour or a diminishing
+ * returns tier, so each span has a single hour-of-day and tier multiplier.
+ * @param {Date} sessionStart
+ * @param {number} durationMinutes
+ * @param {Object} rules - Resolved rules
+ * @returns {number}
+ */
+function calculateRawBasePoints(sessionStart, durationMinutes, rules) {
+  const start = new Date(sessionStart);
+  const startMinuteOfDay = start.getUTCHours() * 60 + start.getUTCMinutes();
+  const tiers = rules.diminishingReturns.map(tier => ({
+    afterMinutes: Math.round(tier.afterHours * 60),
+    multiplier: tier.multiplier
+  }));
+
+  let rawPoints = 0;
+  let minute = 0;
+  while (minute < durationMinutes) {
+    const minuteOfDay = startMinuteOfDay + minute;
+    const hourOfDay = Math.floor(minuteOfDay / 60) % 24;
+
+    let tierMultiplier = 1;
+    let nextTierMinute = Infinity;
+    for (const tier of tiers) {
+      if (tier.afterMinutes <= minute) {
+        tierMultiplier = tier.multiplier;
+      } else {
+        nextTierMinute = tier.afterMinutes;
+        break;
+      }
+    }
+
+    const span = Math.min(60 - (minuteOfDay % 60), nextTierMinute - minute, durationMinutes - minute);
+    rawPoints += span * rules.basePerMinute * tierMultiplier * getTimeMultiplier(rules.timeMultipliers, hourOfDay);
+    minute += span;
+  }
+
+  return rawPoints;
+}
+
+/**
+ * Score a session against a rule set
+ * With only basePerMinute, activity points and onDutyMultiplier set this is the same
+ * linear formula the points_* settings have always used.
+ * @param {DutySession} session
+ * @param {Object} rules - Rule set rules (unresolved)
+ * @param {number|null} ruleVersion - Recorded on the session, null for the points settings
+ * @returns {{basePoints: number, bonusPoints: number, ruleVersion: number|null, breakdown: Object}}
+ */
+function calculatePoints(session, rules, ruleVersion = null) {
+  const resolved = resolveRules(rules, session.dutyType);
+  const multiplier = resolved.onDutyMultiplier;
+
+  const durationMinutes = session.isActive ? session.getDurationMinutes() : (session.durationMinutes || 0);
+  const rawBasePoints = calculateRawBasePoints(session.sessionStart, durationMinutes, resolved);
+
+  let rawBonusPoints = 0;
+  const activities = {};
+  for (const [key, { counter }] of Object.entries(ACTIVITY_TYPES)) {
+    const rule = resolved.activities[key];
+    const count = session[counter] || 0;
+    if (!rule || count === 0) continue;
+
+    // Caps limit what one session can earn from an activity, after the multiplier
+    const uncapped = count * rule.points * multiplier;
+    const points = rule.maxPoints != null ? Math.min(uncapped, rule.maxPoints) : uncapped;
+    rawBonusPoints += points;
+
+    activities[key] = { count, points: Math.floor(points), capped: points < uncapped };
+  }
+
+  return {
+    basePoints: Math.floor(rawBasePoints * multiplier),
+    bonusPoints: Math.floor(rawBonusPoints),
+    ruleVersion,
+    breakdown: {
+      dutyType: session.dutyType,
+      durationMinutes,
+      basePerMinute: resolved.basePerMinute,
+      onDutyMultiplier: multiplier,
+      activities
+    }
+  };
+}
+
+/**
+ * Versioned duty point rules.
+ * Until a rule set is activated, sessions are scored from the points_* duty settings.
+ * Rule sets add diminishing returns per hour on duty, per-activity caps, UTC
+ * time-of-day multipliers for off-peak coverage, and per-duty-type overrides.
+ * Drafts are previewed against past sessions before activation; activating only
+ * changes how sessions ending from then on are scored.
+ */
+class DutyPointRuleService {
+  constructor() {
+    this.configService = getDutyConfigService();
+  }
+
+  /**
+   * Rules built from the points_* duty settings
+   * @param {string} guildId
+   * @returns {Promise<Object>}
+   */
+  async getConfigRules(guildId) {
+    const activities = {};
+    for (const key of Object.keys(ACTIVITY_TYPES)) {
+      activities[key] = { points: await this.configService.getPointValue(guildId, key), maxPoints: null };
+    }
+
+    return {
+      basePerMinute: await this.configService.getPointValue(guildId, 'base_per_minute'),
+      onDutyMultiplier: await this.configService.getValue(guildId, 'on_duty_multiplier') || 1.0,
+      activities,
+      diminishingReturns: [],
+      timeMultipliers: [],
+      dutyTypes: {}
+    };
+  }
+
+  /**
+   * Rules that score sessions ending now
+   * @param {string} guildId
+   * @returns {Promise<{version: number|null, rules: Object}>}
+   */
+  async getActiveRules(guildId) {
+    const cached = activeCache.get(guildId);
+    let ruleSet;
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      ruleSet = cached.ruleSet;
+    } else {
+      ruleSet = await DutyPointRuleSet.getActive(guildId);
+      activeCache.set(guildId, { ruleSet, timestamp: Date.now() });
+    }
+
+    if (ruleSet) {
+      return { version: ruleSet.version, rules: ruleSet.rules };
+    }
+    return { version: null, rules: await this.getConfigRules(guildId) };
+  }
+
+  /**
+   * Score a session with the active rules
+   */
+  async calculateSessionPoints(session) {
+    const { version, rules } = await this.getActiveRules(session.guildId);
+    return calculatePoints(session, rules, version);
+  }
+
+  async listRuleSets(guildId) {
+    return DutyPointRuleSet.findAll({
+      where: { guild_id: guildId },
+      order: [['version', 'DESC']]
+    });
+  }
+
+  async getRuleSet(guildId, ruleSetId) {
+    return DutyPointRuleSet.findOne({ where: { id: ruleSetId, guild_id: guildId } });
+  }
+
+  /**
+   * Create a draft rule set with the next version number
+   * @param {string} guildId
+   * @param {{name: string, description?: string, rules: Object}} data
+   * @param {{userId: string, username: string}} actor
+   * @returns {Promise<{success: boolean, ruleSet?: DutyPointRuleSet, error?: string, errors?: string[]}>}
+   */
+  async createRuleSet(guildId, { name, description, rules }, actor) {
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      return { success: false, error: 'Name is required (max 100 characters)' };
+    }
+
+    const errors = validateRules(rules);
+    if (errors.length > 0) {
+      return { success: false, error: 'Invalid rules', errors };
+    }
+
+    const ruleSet = await DutyPointRuleSet.createWithNextVersion(guildId, {
+      name: name.trim(),
+      description: description || null,
+      status: 'draft',
+      rules,
+      created_by: actor.userId,
+      created_by_name: actor.username
+    });
+
+    await AuditLog.logAction({
+      actionType: 'DUTY_POINT_RULES_CREATED',
+      actorType: 'dashboard_user',
+      actorId: actor.userId,
+      actorName: actor.username,
+      targetType: 'duty_point_rule_set',
+      targetId: String(ruleSet.id),
+      targetName: `v${ruleSet.version} ${ruleSet.name}`,
+      guildId,
+      description: `${actor.username} created draft point rules v${ruleSet.version} (${ruleSet.name})`,
+      metadata: { version: ruleSet.version, rules },
+      success: true,
+      severity: 'info'
+    });
+
+    logger.info('Point rule set created', { guildId, version: ruleSet.version, createdBy: actor.userId });
+    return { success: true, ruleSet };
+  }
+
+  /**
+   * Edit a draft. Versions that have been active are kept as they were, since
+   * sessions record the version that scored them.
+   */
+  async updateRuleSet(guildId, ruleSetId, { name, description, rules }, actor) {
+    const ruleSet = await this.getRuleSet(guildId, ruleSetId);
+    if (!ruleSet) {
+      return { success: false, error: 'Rule set not found' };
+    }
+    if (ruleSet.status !== 'draft') {
+      return { success: false, error: 'Only draft rule sets can be edited' };
+    }
+
+    const updates = {};
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+        return { success: false, error: 'Name is required (max 100 characters)' };
+      }
+      updates.name = name.trim();
+    }
+    if (description !== undefined) {
+      updates.description = description || null;
+    }
+    if (rules !== undefined) {
+      const errors = validateRules(rules);
+      if (errors.length > 0) {
+        return { success: false, error: 'Invalid rules', errors };
+      }
+      updates.rules = rules;
+    }
+
+    await ruleSet.update(updates);
+
+    await AuditLog.logAction({
+      actionType: 'DUTY_POINT_RULES_UPDATED',
+      actorType: 'dashboard_user',
+      actorId: actor.userId,
+      actorName: actor.username,
+      targetType: 'duty_point_rule_set',
+      targetId: String(ruleSet.id),
+      targetName: `v${ruleSet.version} ${ruleSet.name}`,
+      guildId,
+      description: `${actor.username} edited draft point rules v${ruleSet.version}`,
+      metadata: { version: ruleSet.version, changes: Object.keys(updates) },
+      success: true,
+      severity: 'info'
+    });
+
+    return { success: true, ruleSet };
+  }
+
+  /**
+   * Make a rule set score all sessions that end from now on
+   */
+  async activateRuleSet(guildId, ruleSetId, actor) {
+    const ruleSet = await this.getRuleSet(guildId, ruleSetId);
+    if (!ruleSet) {
+      return { success: false, error: 'Rule set not found' };
+    }
+    if (ruleSet.status === 'active') {
+      return { success: false, error: 'Rule set is already active' };
+    }
+
+    const result = await DutyPointRuleSet.activate(ruleSet.id, actor.userId, actor.username);
+    activeCache.delete(guildId);
+
+    await AuditLog.logAction({
+      actionType: 'DUTY_POINT_RULES_ACTIVATED',
+      actorType: 'dashboard_user',
+      actorId: actor.userId,
+      actorName: actor.username,
+      targetType: 'duty_point_rule_set',
+      targetId: String(ruleSet.id),
+      targetName: `v${ruleSet.version} ${ruleSet.name}`,
+      guildId,
+      description: `${actor.username} activated point rules v${ruleSet.version}` +
+        (result.previous ? ` (replacing v${result.previous.version})` : ' (replacing the points settings)'),
+      metadata: {
+        version: ruleSet.version,
+        previousVersion: result.previous?.version ?? null
+      },
+      success: true,
+      severity: 'warning'
+    });
+
+    logger.info('Point rule set activated', {
+      guildId,
+      version: ruleSet.version,
+      previousVersion: result.previous?.version ?? null,
+      activatedBy: actor.userId
+    });
+
+    return { success: true, ruleSet: result.ruleSet, previous: result.previous };
+  }
+
+  /**
+   * Recompute completed sessions with the given rules and compare against the
+   * points they were actually awarded. Nothing is written.
+   * Current points and the version mix are summed in the database; the recompute
+   * walks the sessions in batches so long ranges don't load every session at once.
+   * @param {string} guildId
+   * @param {Object} rules
+   * @param {{startDate?: Date, endDate?: Date, dutyType?: string, version?: number|null}} options
+   * @returns {Promise<Object>}
+   */
+  async previewLeaderboard(guildId, rules, { startDate = null, endDate = null, dutyType = null, version = null } = {}) {
+    const where = { guildId, isActive: false };
+
+    if (startDate || endDate) {
+      where.sessionStart = {};
+      if (startDate) where.sessionStart[Op.gte] = startDate;
+      if (endDate) where.sessionStart[Op.lte] = endDate;
+    }
+
+    if (dutyType && dutyType !== 'both') {
+      where.dutyType = dutyType;
+    }
+
+    const userTotals = await DutySession.findAll({
+      where,
+      attributes: [
+        'discordUserId',
+        [fn('COUNT', col('id')), 'sessions'],
+        [fn('SUM', col('total_points')), 'currentPoints']
+      ],
+      group: ['discordUserId'],
+      raw: true
+    });
+
+    const versionCounts = await DutySession.findAll({
+      where,
+      attributes: ['pointRuleVersion', [fn('COUNT', col('id')), 'count']],
+      group: ['pointRuleVersion'],
+      raw: true
+    });
+
+    const users = new Map();
+    for (const row of userTotals) {
+      users.set(row.discordUserId, {
+        discordUserId: row.discordUserId,
+        discordUsername: null,
+        sessions: parseInt(row.sessions, 10),
+        currentPoints: parseInt(row.currentPoints, 10) || 0,
+        previewPoints: 0
+      });
+    }
+
+    const scoredBy = {};
+    for (const row of versionCounts) {
+      scoredBy[row.pointRuleVersion == null ? 'settings' : `v${row.pointRuleVersion}`] = parseInt(row.count, 10);
+    }
+
+    const latestStart = new Map();
+    let previewTotal = 0;
+    let lastId = 0;
+    for (;;) {
+      const batch = await DutySession.findAll({
+        where: { ...where, id: { [Op.gt]: lastId } },
+        attributes: PREVIEW_ATTRIBUTES,
+        order: [['id', 'ASC']],
+        limit: PREVIEW_BATCH_SIZE,
+        raw: true
+      });
+      if (batch.length === 0) break;
+
+      for (const session of batch) {
+        const { basePoints, bonusPoints } = calculatePoints(session, rules, version);
+        const user = users.get(session.discordUserId);
+        if (!user) continue; // Session ended after the totals were read
+
+        user.previewPoints += basePoints + bonusPoints;
+        previewTotal += basePoints + bonusPoints;
+
+        // Show the username from the user's latest session
+        const latest = latestStart.get(session.discordUserId);
+        if (!latest || session.sessionStart >= latest) {
+          latestStart.set(session.discordUserId, session.sessionStart);
+          user.discordUsername = session.discordUsername;
+        }
+      }
+
+      lastId = batch[batch.length - 1].id;
+    }
+
+    const entries = [...users.values()];
+    const currentTotal = entries.reduce((sum, entry) => sum + entry.currentPoints, 0);
+
+    entries.sort((a, b) => b.currentPoints - a.currentPoints);
+    entries.forEach((entry, i) => { entry.currentRank = i + 1; });
+
+    entries.sort((a, b) => b.previewPoints - a.previewPoints);
+    entries.forEach((entry, i) => {
+      entry.previewRank = i + 1;
+      entry.delta = entry.previewPoints - entry.currentPoints;
+      entry.rankChange = entry.currentRank - entry.previewRank;
+    });
+
+    return {
+      sessionCount: entries.reduce((sum, entry) => sum + entry.sessions, 0),
+      scoredBy,
+      totals: {
+        current: currentTotal,
+        preview: previewTotal,
+        delta: previewTotal - currentTotal
+      },
+      entries
+    };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getDutyPointRuleService() {
+  if (!instance) {
+    instance = new DutyPointRuleService();
+  }
+  return instance;
+}
+
+module.exports = {
+  DutyPointRuleService,
+  getDutyPointRuleService,
+  calculatePoints,
+  validateRules,
+  ACTIVITY_TYPES
+};
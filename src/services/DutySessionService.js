@@ -1,5 +1,6 @@
 const { DutySession, DutyLifetimeStats } = require('../database/models');
 const { getDutyConfigService } = require('./DutyConfigService');
+const { getDutyPointRuleService } = require('./DutyPointRuleService');
 const { createServiceLogger } = require('../utils/logger');
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 
@@ -112,7 +113,8 @@ class DutySessionService {
           sessionId,
           endReason,
           durationMinutes: result.session.durationMinutes,
-          totalPoints: pointsData.basePoints + pointsData.bonusPoints
+          totalPoints: pointsData.basePoints + pointsData.bonusPoints,
+          pointRuleVersion: pointsData.ruleVersion
         });
       }
 
@@ -214,53 +216,11 @@ class DutySessionService {
 
   /**
    * Calculate points for a session
+   * Scored by the active point rule set, or the points_* settings if none is active.
    * Note: Sessions are on-duty by definition, so the on-duty multiplier applies
    */
   async calculateSessionPoints(session) {
-    const guildId = session.guildId;
-
-    // Get point values from config
-    const basePerMinute = await this.configService.getPointValue(guildId, 'base_per_minute');
-    const voicePerMinute = await this.configService.getPointValue(guildId, 'voice_per_minute');
-    const ticketPoints = await this.configService.getPointValue(guildId, 'ticket_response');
-    const adminCamPoints = await this.configService.getPointValue(guildId, 'admin_cam');
-    const ingameChatPoints = await this.configService.getPointValue(guildId, 'ingame_chat');
-    const onDutyMultiplier = await this.configService.getValue(guildId, 'on_duty_multiplier') || 1.0;
-
-    // Calculate duration
-    const durationMinutes = session.getDurationMinutes();
-
-    // Calculate base points (before multiplier)
-    const rawBasePoints = durationMinutes * basePerMinute;
-
-    // Calculate bonus points from activities (before multiplier)
-    const rawVoiceBonus = session.voiceMinutes * voicePerMinute;
-    const rawTicketBonus = session.ticketResponses * ticketPoints;
-    const rawAdminCamBonus = session.adminCamEvents * adminCamPoints;
-    const rawIngameChatBonus = session.ingameChatMessages * ingameChatPoints;
-    const rawBonusPoints = rawVoiceBonus + rawTicketBonus + rawAdminCamBonus + rawIngameChatBonus;
-
-    // Apply on-duty multiplier to all points (sessions are on-duty by definition)
-    const basePoints = Math.floor(rawBasePoints * onDutyMultiplier);
-    const bonusPoints = Math.floor(rawBonusPoints * onDutyMultiplier);
-
-    return {
-      basePoints,
-      bonusPoints,
-      breakdown: {
-        durationMinutes,
-        basePerMinute,
-        onDutyMultiplier,
-        voiceMinutes: session.voiceMinutes,
-        voiceBonus: Math.floor(rawVoiceBonus * onDutyMultiplier),
-        ticketResponses: session.ticketResponses,
-        ticketBonus: Math.floor(rawTicketBonus * onDutyMultiplier),
-        adminCamEvents: session.adminCamEvents,
-        adminCamBonus: Math.floor(rawAdminCamBonus * onDutyMultiplier),
-        ingameChatMessages: session.ingameChatMessages,
-        ingameChatBonus: Math.floor(rawIngameChatBonus * onDutyMultiplier)
-      }
-    };
+    return getDutyPointRuleService().calculateSessionPoints(session);
   }
 
   // ============================================
@@ -359,7 +319,11 @@ class DutySessionService {
     return session.voiceMinutes > 0 ||
            session.ticketResponses > 0 ||
            session.adminCamEvents > 0 ||
-           session.ingameChatMessages > 0;
+           session.ingameChatMessages > 0 ||
+           session.adminRequestsClaimed > 0 ||
+           session.playerWarns > 0 ||
+           session.playerKicks > 0 ||
+           session.playerBans > 0;
   }
 
   /**
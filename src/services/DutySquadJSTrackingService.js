@@ -2,17 +2,26 @@ const { createServiceLogger } = require('../utils/logger');
 const { loadConfig } = require('../utils/environment');
 const { DutySession, DutyActivityEvent, PlayerDiscordLink } = require('../database/models');
 const { Op } = require('sequelize');
+const { getDutyAutoDetectionService } = require('./DutyAutoDetectionService');
+const { getDutyConfigService } = require('./DutyConfigService');
 
 const logger = createServiceLogger('DutySquadJSTrackingService');
 
 // Load Discord roles configuration
 const { getAllStaffRoles } = loadConfig('discordRoles');
 
+// SquadJS moderation events: activity event type, session counter and points config key
+const MODERATION_EVENTS = {
+  PLAYER_WARNED: { eventType: 'player_warn', counter: 'playerWarns', pointsKey: 'player_warn' },
+  PLAYER_KICKED: { eventType: 'player_kick', counter: 'playerKicks', pointsKey: 'player_kick' },
+  PLAYER_BANNED: { eventType: 'player_ban', counter: 'playerBans', pointsKey: 'player_ban' }
+};
+
 // Singleton instance
 let instance = null;
 
 /**
- * Tracks SquadJS events (admin cam, in-game chat) for staff duty activity.
+ * Tracks SquadJS events (admin cam, in-game chat, warns, kicks, bans) for staff duty activity.
  * Records events to DutyActivityEvent and increments DutySession counters.
  */
 class DutySquadJSTrackingService {
@@ -25,6 +34,8 @@ class DutySquadJSTrackingService {
     this.staffCache = new Map();
     this.CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 
+    this.configService = getDutyConfigService();
+
     this.initialized = false;
   }
 
@@ -34,11 +45,20 @@ class DutySquadJSTrackingService {
     // Bind handlers to preserve 'this' context
     this.boundHandleAdminCamera = this.handleAdminCamera.bind(this);
     this.boundHandleChatMessage = this.handleChatMessage.bind(this);
+    this.boundModerationHandlers = new Map(
+      Object.keys(MODERATION_EVENTS).map(eventName => [
+        eventName,
+        (data, server) => this.handleModerationEvent(eventName, data, server)
+      ])
+    );
 
     // Register event handlers with SquadJS connection manager
     // POSSESSED_ADMIN_CAMERA is the specific event for admin camera usage
     this.connectionManager.registerEventHandler('POSSESSED_ADMIN_CAMERA', this.boundHandleAdminCamera);
     this.connectionManager.registerEventHandler('CHAT_MESSAGE', this.boundHandleChatMessage);
+    for (const [eventName, handler] of this.boundModerationHandlers) {
+      this.connectionManager.registerEventHandler(eventName, handler);
+    }
 
     this.initialized = true;
     logger.info('DutySquadJSTrackingService initialized');
@@ -50,6 +70,9 @@ class DutySquadJSTrackingService {
     // Unregister event handlers
     this.connectionManager.unregisterEventHandler('POSSESSED_ADMIN_CAMERA', this.boundHandleAdminCamera);
     this.connectionManager.unregisterEventHandler('CHAT_MESSAGE', this.boundHandleChatMessage);
+    for (const [eventName, handler] of this.boundModerationHandlers) {
+      this.connectionManager.unregisterEventHandler(eventName, handler);
+    }
 
     this.staffCache.clear();
     this.initialized = false;
@@ -101,6 +124,8 @@ class DutySquadJSTrackingService {
       // Record the activity event
       await this.recordAdminCamEvent(staffInfo.discordUserId, guildId, server.id);
 
+      await this.notifyAutoDuty(staffInfo.discordUserId, steamId, server, 'admin_cam');
+
     } catch (error) {
       logger.error('Error handling POSSESSED_ADMIN_CAMERA event', {
         error: error.message,
@@ -147,6 +172,10 @@ class DutySquadJSTrackingService {
       // Record the activity event
       await this.recordIngameChatEvent(staffInfo.discordUserId, guildId, server.id, chatType);
 
+      if (chatType === 'ChatAdmin') {
+        await this.notifyAutoDuty(staffInfo.discordUserId, steamId, server, 'admin_chat');
+      }
+
     } catch (error) {
       logger.error('Error handling CHAT_MESSAGE event', {
         error: error.message,
@@ -155,6 +184,51 @@ class DutySquadJSTrackingService {
     }
   }
 
+  /**
+   * Handle PLAYER_WARNED / PLAYER_KICKED / PLAYER_BANNED events from SquadJS
+   *
+   * The payload describes the affected player (player, name, reason, interval).
+   * Stock SquadJS does not name the admin, so only events whose payload names
+   * the acting admin (added by a plugin) are credited. Actions the bot sends
+   * itself are credited through recordStaffModeration instead.
+   */
+  async handleModerationEvent(eventName, data, server) {
+    try {
+      const moderation = MODERATION_EVENTS[eventName];
+      const adminSteamId = this.resolveActingAdmin(data);
+
+      if (!adminSteamId) {
+        logger.debug(`${eventName} could not be attributed to an admin`, { serverId: server.id });
+        return;
+      }
+
+      const staffInfo = await this.getStaffInfo(adminSteamId);
+      if (!staffInfo) {
+        return; // Not a linked staff member
+      }
+
+      await this.recordModerationEvent(staffInfo.discordUserId, process.env.DISCORD_GUILD_ID, server.id, moderation, {
+        targetSteamId: data?.player?.steamID || data?.steamID || null,
+        targetName: data?.player?.name || data?.name || null,
+        reason: data?.reason || null,
+        interval: data?.interval || null
+      });
+    } catch (error) {
+      logger.error(`Error handling ${eventName} event`, {
+        error: error.message,
+        serverId: server?.id
+      });
+    }
+  }
+
+  /**
+   * Steam ID of the admin who issued a warn/kick/ban, if the payload names one
+   * @returns {string|null}
+   */
+  resolveActingAdmin(data) {
+    return data?.admin?.steamID || data?.adminSteamID || null;
+  }
+
   /**
    * Get staff info from Steam ID using cache
    * Returns { discordUserId } if staff, null otherwise
@@ -278,6 +352,71 @@ class DutySquadJSTrackingService {
     });
   }
 
+  /**
+   * Credit a warn, kick or ban the bot sent on behalf of a known staff member
+   * (dashboard moderation, /ban)
+   * @param {string} discordUserId - Staff member who issued the action
+   * @param {string|null} serverId - Server the player was on, if known
+   * @param {string} eventName - PLAYER_WARNED, PLAYER_KICKED or PLAYER_BANNED
+   * @param {Object} metadata - Target and reason details
+   */
+  async recordStaffModeration(discordUserId, serverId, eventName, metadata) {
+    try {
+      await this.recordModerationEvent(discordUserId, process.env.DISCORD_GUILD_ID, serverId, MODERATION_EVENTS[eventName], {
+        ...metadata,
+        source: 'bot'
+      });
+    } catch (error) {
+      logger.error(`Error recording ${eventName} from bot`, {
+        error: error.message,
+        discordUserId,
+        serverId
+      });
+    }
+  }
+
+  /**
+   * Record a warn, kick or ban issued by a staff member
+   */
+  async recordModerationEvent(discordUserId, guildId, serverId, moderation, metadata) {
+    // Check for active duty session
+    const activeSession = await DutySession.getActiveSession(discordUserId);
+    const points = await this.configService.getPointValue(guildId, moderation.pointsKey);
+
+    await DutyActivityEvent.recordModerationAction(
+      discordUserId,
+      guildId,
+      activeSession?.id || null,
+      moderation.eventType,
+      serverId,
+      points,
+      metadata
+    );
+
+    // If on duty, increment the session counter
+    if (activeSession) {
+      await DutySession.incrementActivityCounter(activeSession.id, moderation.counter, 1);
+    }
+
+    logger.info('Moderation event recorded', {
+      discordUserId,
+      serverId,
+      eventType: moderation.eventType,
+      isOnDuty: !!activeSession,
+      sessionId: activeSession?.id
+    });
+  }
+
+  /**
+   * Hand admin activity to in-game duty detection (no-op if that service isn't running)
+   */
+  async notifyAutoDuty(discordUserId, steamId, server, trigger) {
+    const autoDutyService = getDutyAutoDetectionService();
+    if (autoDutyService) {
+      await autoDutyService.handleAdminActivity(discordUserId, steamId, server, trigger);
+    }
+  }
+
   /**
    * Clear the staff cache (useful when roles change)
    */
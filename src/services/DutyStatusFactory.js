@@ -347,7 +347,7 @@ class DutyStatusFactory {
         }
       } else {
         // End active session
-        const endReason = options.source === 'external' ? 'role_removed' : 'manual';
+        const endReason = options.endReason || (options.source === 'external' ? 'role_removed' : 'manual');
         const result = await sessionService.endSessionByUser(
           member.user.id,
           dutyType,
@@ -0,0 +1,338 @@
+const { EmbedBuilder } = require('discord.js');
+const { createServiceLogger } = require('../utils/logger');
+const { loadConfig } = require('../utils/environment');
+const notificationService = require('./NotificationService');
+const { getDutyConfigService } = require('./DutyConfigService');
+const { getDutySessionService } = require('./DutySessionService');
+const { getMemberCacheService } = require('./MemberCacheService');
+const { DutyTargetReport } = require('../database/models');
+
+const { getAllStaffRoles } = loadConfig('discordRoles');
+
+const logger = createServiceLogger('DutyTargetReportService');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Reports are only sent during the first day of the new week, so a bot that was
+// offline over Monday doesn't DM staff about a week that is long gone
+const REPORT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const STATUS_DISPLAY = {
+  exceeded: { label: 'Exceeded', emoji: '🌟', color: 0xFFD700 },
+  met: { label: 'Met', emoji: '✅', color: 0x00FF00 },
+  missed: { label: 'Missed', emoji: '❌', color: 0xFF4444 }
+};
+
+// Embed field values are capped at 1024 characters
+const FIELD_VALUE_LIMIT = 1024;
+
+/**
+ * Monday 00:00 UTC of the week containing the given date
+ * @param {Date} date
+ * @returns {Date}
+ */
+function getWeekStart(date = new Date()) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+  start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  return start;
+}
+
+/**
+ * Text progress bar for embeds, capped at full
+ * @param {number} percent
+ * @param {number} length - Number of segments
+ * @returns {string}
+ */
+function buildProgressBar(percent, length = 10) {
+  const filled = Math.max(0, Math.min(length, Math.round(percent / 100 * length)));
+  return '▰'.repeat(filled) + '▱'.repeat(length - filled);
+}
+
+function formatWeekRange(weekStart) {
+  const lastDay = new Date(weekStart.getTime() + WEEK_MS - 1);
+  const format = { day: 'numeric', month: 'short', timeZone: 'UTC' };
+  return `${weekStart.toLocaleDateString('en-GB', format)} – ${lastDay.toLocaleDateString('en-GB', format)}`;
+}
+
+/**
+ * Weekly staff points target report.
+ * Every Monday (UTC) the previous week's points are taken from
+ * DutySessionService.getLeaderboard and compared against weekly_points_target:
+ * - Each staff member gets a progress card by DM
+ * - Leadership gets a summary of who exceeded, met or missed the target in DUTY_TARGETS
+ * A DutyTargetReport row is claimed first so each week is only reported once.
+ */
+class DutyTargetReportService {
+  constructor(client) {
+    this.client = client;
+    this.configService = getDutyConfigService();
+
+    this.checkInterval = null;
+    this.CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    logger.info('Initializing DutyTargetReportService');
+
+    this.checkInterval = setInterval(async () => {
+      await this.checkWeeklyReport();
+    }, this.CHECK_INTERVAL_MS);
+
+    this.initialized = true;
+    logger.info('DutyTargetReportService initialized', { checkIntervalMinutes: this.CHECK_INTERVAL_MS / 60000 });
+  }
+
+  shutdown() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    this.initialized = false;
+    logger.info('DutyTargetReportService shutdown');
+  }
+
+  /**
+   * Send last week's report if it is due and hasn't gone out yet
+   */
+  async checkWeeklyReport(guildId = process.env.DISCORD_GUILD_ID) {
+    try {
+      const now = new Date();
+      const currentWeekStart = getWeekStart(now);
+      if (now.getTime() - currentWeekStart.getTime() >= REPORT_WINDOW_MS) return;
+
+      const settings = await this.configService.getWeeklyTargetSettings(guildId);
+      if (!settings.reportsEnabled) return;
+
+      if (settings.pointsTarget <= 0) {
+        logger.warn('Weekly points target is not set, skipping report', { guildId });
+        return;
+      }
+
+      const weekStart = new Date(currentWeekStart.getTime() - WEEK_MS);
+      const report = await DutyTargetReport.claim(guildId, weekStart, settings.pointsTarget);
+      if (!report) return;
+
+      await this.sendReport(guildId, report, weekStart);
+    } catch (error) {
+      logger.error('Error checking weekly target report', { error: error.message });
+    }
+  }
+
+  /**
+   * DM progress cards, post the leadership summary and store the results
+   */
+  async sendReport(guildId, report, weekStart) {
+    const progress = await this.getProgress(guildId, weekStart, new Date(weekStart.getTime() + WEEK_MS - 1));
+
+    let dmsSent = 0;
+    for (const entry of progress.staff) {
+      if (await this.sendProgressCard(entry, progress)) {
+        dmsSent++;
+      }
+    }
+
+    await this.postSummary(progress);
+
+    const counts = { exceeded: 0, met: 0, missed: 0 };
+    for (const entry of progress.staff) {
+      counts[entry.status]++;
+    }
+
+    await report.update({
+      exceeded_count: counts.exceeded,
+      met_count: counts.met,
+      missed_count: counts.missed,
+      results: progress.staff.map(({ discordUserId, displayName, points, percent, status }) => ({
+        discordUserId,
+        displayName,
+        points,
+        percent,
+        status
+      })),
+      dms_sent: dmsSent
+    });
+
+    logger.info('Weekly target report sent', {
+      guildId,
+      weekStart: weekStart.toISOString(),
+      staff: progress.staff.length,
+      ...counts,
+      dmsSent
+    });
+  }
+
+  /**
+   * Points against the weekly target for every staff member
+   * Staff with no sessions in the range are included with 0 points. Points only count
+   * completed sessions, as with the leaderboard.
+   * @param {string} guildId
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<{pointsTarget: number, exceededPercent: number, startDate: Date, endDate: Date, staff: Object[]}>}
+   */
+  async getProgress(guildId, startDate, endDate) {
+    const { pointsTarget, exceededPercent } = await this.configService.getWeeklyTargetSettings(guildId);
+
+    const leaderboard = await getDutySessionService().getLeaderboard(guildId, startDate, endDate, null, 'points', 999999);
+    const staffMembers = await this.getStaffMembers(guildId);
+
+    const entries = new Map();
+    for (const entry of leaderboard) {
+      // Without a member list (client unavailable) fall back to everyone with sessions
+      if (staffMembers && !staffMembers.has(entry.discordUserId)) continue;
+
+      entries.set(entry.discordUserId, {
+        discordUserId: entry.discordUserId,
+        displayName: staffMembers?.get(entry.discordUserId)?.displayName || entry.discordUsername,
+        points: Math.round(entry.totalPoints),
+        totalMinutes: entry.totalMinutes,
+        totalSessions: entry.totalSessions
+      });
+    }
+
+    for (const [memberId, member] of staffMembers || []) {
+      if (entries.has(memberId) || member.user?.bot) continue;
+      entries.set(memberId, {
+        discordUserId: memberId,
+        displayName: member.displayName,
+        points: 0,
+        totalMinutes: 0,
+        totalSessions: 0
+      });
+    }
+
+    const staff = [...entries.values()].map(entry => {
+      const percent = pointsTarget > 0 ? Math.round(entry.points / pointsTarget * 100) : 0;
+      let status = 'missed';
+      if (percent >= exceededPercent) {
+        status = 'exceeded';
+      } else if (entry.points >= pointsTarget) {
+        status = 'met';
+      }
+      return { ...entry, percent, status };
+    });
+
+    staff.sort((a, b) => b.points - a.points);
+
+    return { pointsTarget, exceededPercent, startDate, endDate, staff };
+  }
+
+  /**
+   * Current staff members keyed by Discord ID, or null when the guild can't be read
+   * @returns {Promise<Map<string, GuildMember>|null>}
+   */
+  async getStaffMembers(guildId) {
+    if (!this.client) return null;
+
+    try {
+      const guild = await this.client.guilds.fetch(guildId);
+      return await getMemberCacheService().getMembersByRole(guild, getAllStaffRoles());
+    } catch (error) {
+      logger.warn('Failed to fetch staff members for target report', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * DM a staff member their result for the week
+   * @returns {Promise<boolean>}
+   */
+  async sendProgressCard(entry, progress) {
+    const display = STATUS_DISPLAY[entry.status];
+    const hours = Math.round(entry.totalMinutes / 60 * 10) / 10;
+
+    try {
+      const embed = new EmbedBuilder()
+        .setColor(display.color)
+        .setTitle(`${display.emoji} Weekly Points Target: ${display.label}`)
+        .setDescription(
+          `Week of **${formatWeekRange(progress.startDate)}** (UTC)\n\n` +
+          `${buildProgressBar(entry.percent)} **${entry.percent}%**`
+        )
+        .addFields(
+          { name: 'Points', value: `${entry.points} / ${progress.pointsTarget}`, inline: true },
+          { name: 'Duty Time', value: `${hours}h`, inline: true },
+          { name: 'Sessions', value: String(entry.totalSessions), inline: true }
+        )
+        .setFooter({ text: 'Points count completed duty sessions only' })
+        .setTimestamp();
+
+      const user = await this.client.users.fetch(entry.discordUserId);
+      await user.send({ embeds: [embed] });
+      return true;
+    } catch (error) {
+      // Staff with DMs closed still show up in the leadership summary
+      logger.debug('Could not DM weekly target card', { discordUserId: entry.discordUserId, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Post who exceeded, met and missed the target to the leadership channel
+   */
+  async postSummary(progress) {
+    const fields = ['exceeded', 'met', 'missed'].map(status => {
+      const entries = progress.staff.filter(entry => entry.status === status);
+      const display = STATUS_DISPLAY[status];
+      return {
+        name: `${display.emoji} ${display.label} (${entries.length})`,
+        value: this.formatStaffList(entries)
+      };
+    });
+
+    return notificationService.send('duty_target_report', {
+      title: '🎯 Weekly Points Target Report',
+      description:
+        `Week of **${formatWeekRange(progress.startDate)}** (UTC)\n` +
+        `Target: **${progress.pointsTarget}** points · Exceeded at **${progress.exceededPercent}%**`,
+      fields
+    });
+  }
+
+  formatStaffList(entries) {
+    if (entries.length === 0) return 'None';
+
+    const lines = [];
+    let length = 0;
+    for (let i = 0; i < entries.length; i++) {
+      const line = `<@${entries[i].discordUserId}> — ${entries[i].points} pts (${entries[i].percent}%)`;
+      const more = `…and ${entries.length - i} more`;
+      if (length + line.length + 1 > FIELD_VALUE_LIMIT - more.length - 1) {
+        lines.push(more);
+        break;
+      }
+      lines.push(line);
+      length += line.length + 1;
+    }
+    return lines.join('\n');
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getDutyTargetReportService(client) {
+  if (!instance && client) {
+    instance = new DutyTargetReportService(client);
+  }
+  return instance;
+}
+
+async function initializeDutyTargetReportService(client) {
+  const service = getDutyTargetReportService(client);
+  await service.initialize();
+  return service;
+}
+
+module.exports = {
+  DutyTargetReportService,
+  getDutyTargetReportService,
+  initializeDutyTargetReportService,
+  getWeekStart
+};
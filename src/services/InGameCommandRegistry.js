@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { createServiceLogger } = require('../utils/logger');
+const { isValidSteamId } = require('../utils/steamId');
+
+const logger = createServiceLogger('InGameCommandRegistry');
+
+// SquadJS CHAT_MESSAGE chat values mapped to command channel names
+const CHAT_CHANNELS = {
+  ChatAll: 'all',
+  ChatTeam: 'team',
+  ChatSquad: 'squad',
+  ChatAdmin: 'admin'
+};
+
+const ALL_CHANNELS = Object.values(CHAT_CHANNELS);
+
+/**
+ * Registry of in-game chat commands loaded from src/ingameCommands.
+ *
+ * Each command module exports:
+ * - name: Primary command word (without "!")
+ * - aliases: Alternative command words
+ * - description: Short description (shown on the dashboard)
+ * - args: [{ name, type: 'string'|'number'|'steamid', required, rest }] - rest joins remaining words
+ * - cooldownSeconds: Per-player cooldown for this command
+ * - channels: Chat channels the command may be used in ('all', 'team', 'squad', 'admin')
+ * - permission: Squad group permission required (e.g. 'canseeadminchat'), or null for everyone
+ * - defaultEnabled: Whether the command is enabled on servers without an override
+ * - execute(context): Command handler
+ */
+class InGameCommandRegistry {
+  constructor() {
+    // Map<name, command>
+    this.commands = new Map();
+    // Map<alias, name> (includes primary names)
+    this.aliases = new Map();
+  }
+
+  /**
+   * Load all command modules from a directory
+   */
+  loadFromDirectory(directory) {
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.js'));
+
+    for (const file of files) {
+      const filePath = path.join(directory, file);
+      const command = require(filePath);
+
+      if (!command.name || typeof command.execute !== 'function') {
+        logger.warn(`In-game command at ${filePath} is missing a required "name" or "execute" property.`);
+        continue;
+      }
+
+      this.register(command);
+    }
+
+    logger.info('Loaded in-game commands', { count: this.commands.size });
+  }
+
+  /**
+   * Register a command definition, applying defaults
+   */
+  register(command) {
+    const normalized = {
+      aliases: [],
+      description: '',
+      args: [],
+      cooldownSeconds: 0,
+      channels: ALL_CHANNELS,
+      permission: null,
+      defaultEnabled: true,
+      ...command,
+      name: command.name.toLowerCase()
+    };
+
+    for (const word of [normalized.name, ...normalized.aliases.map(a => a.toLowerCase())]) {
+      if (this.aliases.has(word) && this.aliases.get(word) !== normalized.name) {
+        logger.warn('In-game command alias conflict, skipping alias', {
+          alias: word,
+          command: normalized.name,
+          existing: this.aliases.get(word)
+        });
+        continue;
+      }
+      this.aliases.set(word, normalized.name);
+    }
+
+    this.commands.set(normalized.name, normalized);
+  }
+
+  /**
+   * Resolve a command word (name or alias) to its definition
+   * @returns {Object|null}
+   */
+  resolve(word) {
+    const name = this.aliases.get(word.toLowerCase());
+    return name ? this.commands.get(name) : null;
+  }
+
+  get(name) {
+    return this.commands.get(name) || null;
+  }
+
+  getAll() {
+    return Array.from(this.commands.values());
+  }
+
+  /**
+   * Serializable command list for the dashboard
+   */
+  listForApi() {
+    return this.getAll().map(command => ({
+      name: command.name,
+      aliases: command.aliases,
+      description: command.description,
+      usage: this.getUsage(command),
+      cooldownSeconds: command.cooldownSeconds,
+      channels: command.channels,
+      permission: command.permission,
+      defaultEnabled: command.defaultEnabled
+    }));
+  }
+
+  /**
+   * Build a usage string, e.g. "!admin <message>"
+   */
+  getUsage(command) {
+    const argText = command.args
+      .map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`))
+      .join(' ');
+    return `!${command.name}${argText ? ' ' + argText : ''}`;
+  }
+
+  /**
+   * Parse raw argument words against a command's argument spec
+   * @returns {{ success: boolean, args?: Object, error?: string }}
+   */
+  parseArgs(command, words) {
+    const args = {};
+
+    for (let i = 0; i < command.args.length; i++) {
+      const spec = command.args[i];
+      const raw = spec.rest ? words.slice(i).join(' ') : words[i];
+
+      if (raw === undefined || raw === '') {
+        if (spec.required) {
+          return { success: false, error: `Usage: ${this.getUsage(command)}` };
+        }
+        continue;
+      }
+
+      switch (spec.type) {
+      case 'number': {
+        const value = Number(raw);
+        if (!Number.isFinite(value)) {
+          return { success: false, error: `${spec.name} must be a number. Usage: ${this.getUsage(command)}` };
+        }
+        args[spec.name] = value;
+        break;
+      }
+      case 'steamid':
+        if (!isValidSteamId(raw)) {
+          return { success: false, error: `${spec.name} must be a valid Steam ID. Usage: ${this.getUsage(command)}` };
+        }
+        args[spec.name] = raw;
+        break;
+      case 'string':
+      default:
+        args[spec.name] = raw;
+        break;
+      }
+    }
+
+    return { success: true, args };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getInGameCommandRegistry() {
+  if (!instance) {
+    instance = new InGameCommandRegistry();
+    instance.loadFromDirectory(path.join(__dirname, '..', 'ingameCommands'));
+  }
+  return instance;
+}
+
+module.exports = {
+  InGameCommandRegistry,
+  getInGameCommandRegistry,
+  CHAT_CHANNELS
+};
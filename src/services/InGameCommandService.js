@@ -1,24 +1,38 @@
-const { Whitelist } = require('../database/models');
 const { createServiceLogger } = require('../utils/logger');
-const { fetchStats } = require('./StatsService');
 const { isDevelopment } = require('../utils/environment');
+const { getInGameCommandRegistry, CHAT_CHANNELS } = require('./InGameCommandRegistry');
+const { getConnectionConfigService } = require('./ConnectionConfigService');
+
+// How long parsed Squad group permissions are reused before re-reading the whitelist
+const PERMISSION_CACHE_MS = 60000;
 
 /**
  * Service for handling in-game chat commands via SquadJS
- * Listens to CHAT_MESSAGE events and responds to commands:
- * - !mywhitelist, !whitelist, !wl - Show player's whitelist status
- * - !stats, !mystats - Show player's K/D ratio with Discord invite
+ * Listens to CHAT_MESSAGE events and dispatches "!command" messages through
+ * the InGameCommandRegistry (see src/ingameCommands for the commands themselves).
+ *
+ * Before a command runs, the service checks in order:
+ * 1. Command is enabled for this server (dashboard override or command default)
+ * 2. Message was sent in an allowed chat channel
+ * 3. Player holds the required Squad group permission
+ * 4. Player is not on cooldown for this command
+ * 5. Arguments parse against the command's spec
  */
 class InGameCommandService {
-  constructor(connectionManager, config) {
+  constructor(connectionManager, config, whitelistService = null) {
     this.logger = createServiceLogger('InGameCommandService');
     this.connectionManager = connectionManager;
     this.config = config;
+    this.whitelistService = whitelistService;
+    this.registry = getInGameCommandRegistry();
     this.boundHandleChatMessage = null;
 
-    // Rate limiting: Track last command usage per player (steamID -> timestamp)
+    // Rate limiting: Track last usage per command per player ("command:steamID" -> timestamp)
     this.commandCooldowns = new Map();
-    this.cooldownDuration = 600000; // 10 minutes in milliseconds
+
+    // Parsed Squad permissions per server from the combined whitelist:
+    // serverId -> { map: Map<identifier, Set<permission>>, time }
+    this.permissionCache = new Map();
   }
 
   /**
@@ -42,99 +56,86 @@ class InGameCommandService {
       this.cleanupExpiredCooldowns();
     }, 300000); // 5 minutes
 
-    this.logger.info('In-game command service initialized successfully');
+    this.logger.info('In-game command service initialized successfully', {
+      commands: this.registry.getAll().map(c => c.name)
+    });
   }
 
   /**
-   * Handle incoming chat messages and route to appropriate command handlers
+   * Handle incoming chat messages and route to the matching registered command
    * @param {Object} data - Chat message data from SquadJS
    * @param {Object} server - Server configuration
    */
   async handleChatMessage(data, server) {
     try {
-      const message = data.message.trim().toLowerCase();
+      const message = data.message?.trim();
       const player = data.player;
 
-      // Route to appropriate command handler
-      if (message === '!mywhitelist' || message === '!whitelist' || message === '!wl') {
-        // Check rate limit
-        if (this.isOnCooldown(player.steamID)) {
-          const remainingSeconds = this.getRemainingCooldown(player.steamID);
-          const remainingMinutes = Math.floor(remainingSeconds / 60);
-          const remainingSecondsOnly = remainingSeconds % 60;
-
-          let timeMessage;
-          if (remainingMinutes > 0) {
-            timeMessage = `${remainingMinutes} minute${remainingMinutes !== 1 ? 's' : ''}`;
-            if (remainingSecondsOnly > 0) {
-              timeMessage += ` and ${remainingSecondsOnly} second${remainingSecondsOnly !== 1 ? 's' : ''}`;
-            }
-          } else {
-            timeMessage = `${remainingSeconds} second${remainingSeconds !== 1 ? 's' : ''}`;
-          }
+      if (!message || !message.startsWith('!') || !player) {
+        return;
+      }
 
-          this.logger.info('Player on cooldown for whitelist command', {
-            serverId: server.id,
-            playerName: player.name,
-            steamID: player.steamID,
-            command: message,
-            remainingSeconds
-          });
-
-          // Send cooldown message to player only (not broadcast)
-          this.connectionManager.sendRCONWarn(
-            server.id,
-            player.steamID,
-            `Please wait ${timeMessage} before using this command again.`
-          );
-          return;
-        }
+      const [commandWord, ...words] = message.slice(1).split(/\s+/);
+      const command = this.registry.resolve(commandWord);
+      if (!command) {
+        return;
+      }
 
-        // Update cooldown
-        this.updateCooldown(player.steamID);
-
-        // Process command
-        await this.handleMyWhitelistCommand(player, server);
-      } else if (message === '!stats' || message === '!mystats') {
-        // Check rate limit
-        if (this.isOnCooldown(player.steamID)) {
-          const remainingSeconds = this.getRemainingCooldown(player.steamID);
-          const remainingMinutes = Math.floor(remainingSeconds / 60);
-          const remainingSecondsOnly = remainingSeconds % 60;
-
-          let timeMessage;
-          if (remainingMinutes > 0) {
-            timeMessage = `${remainingMinutes} minute${remainingMinutes !== 1 ? 's' : ''}`;
-            if (remainingSecondsOnly > 0) {
-              timeMessage += ` and ${remainingSecondsOnly} second${remainingSecondsOnly !== 1 ? 's' : ''}`;
-            }
-          } else {
-            timeMessage = `${remainingSeconds} second${remainingSeconds !== 1 ? 's' : ''}`;
-          }
+      if (!(await this.isCommandEnabled(server.id, command))) {
+        this.logger.debug('In-game command disabled on server', { serverId: server.id, command: command.name });
+        return;
+      }
 
-          this.logger.info('Player on cooldown for stats command', {
-            serverId: server.id,
-            playerName: player.name,
-            steamID: player.steamID,
-            command: message,
-            remainingSeconds
-          });
-
-          this.connectionManager.sendRCONWarn(
-            server.id,
-            player.steamID,
-            `Please wait ${timeMessage} before using this command again.`
-          );
-          return;
-        }
+      const channel = CHAT_CHANNELS[data.chat] || 'all';
+      if (!command.channels.includes(channel)) {
+        this.logger.debug('In-game command used in disallowed channel', {
+          serverId: server.id,
+          command: command.name,
+          channel
+        });
+        return;
+      }
+
+      if (command.permission && !(await this.playerHasPermission(player, command.permission, server.id))) {
+        this.connectionManager.sendRCONWarn(
+          server.id,
+          player.steamID,
+          'You do not have permission to use this command.'
+        );
+        return;
+      }
 
-        // Update cooldown
-        this.updateCooldown(player.steamID);
+      // Check rate limit
+      if (this.isOnCooldown(command, player.steamID)) {
+        const remainingSeconds = this.getRemainingCooldown(command, player.steamID);
 
-        // Process command
-        await this.handleStatsCommand(player, server);
+        this.logger.info('Player on cooldown for in-game command', {
+          serverId: server.id,
+          playerName: player.name,
+          steamID: player.steamID,
+          command: command.name,
+          remainingSeconds
+        });
+
+        // Send cooldown message to player only (not broadcast)
+        this.connectionManager.sendRCONWarn(
+          server.id,
+          player.steamID,
+          `Please wait ${this.formatCooldown(remainingSeconds)} before using this command again.`
+        );
+        return;
+      }
+
+      const parsed = this.registry.parseArgs(command, words);
+      if (!parsed.success) {
+        this.connectionManager.sendRCONWarn(server.id, player.steamID, parsed.error);
+        return;
       }
 
+      // Update cooldown
+      this.updateCooldown(command, player.steamID);
+
+      await command.execute(this.buildContext(command, commandWord, parsed.args, data, server));
     } catch (error) {
       this.logger.error('Error handling chat message:', {
         serverId: server.id,
@@ -146,230 +147,174 @@ class InGameCommandService {
   }
 
   /**
-   * Handle whitelist status command (!mywhitelist, !whitelist, !wl) - Show player's whitelist status
-   * @param {Object} player - Player object from SquadJS
-   * @param {Object} server - Server configuration
+   * Build the context object passed to command handlers
    */
-  async handleMyWhitelistCommand(player, server) {
-    try {
-      this.logger.info('Processing whitelist status command', {
-        serverId: server.id,
-        serverName: server.name,
-        playerId: player.id,
-        playerName: player.name,
-        steamID: player.steamID
-      });
-
-      // Use the same method as /whitelist info command for consistency
-      const whitelistStatus = await Whitelist.getActiveWhitelistForUser(player.steamID);
-
-      let responseMessage;
-      let broadcastMessage;
-
-      if (!whitelistStatus.hasWhitelist) {
-        // No whitelist entry found
-        responseMessage = 'No current whitelist.';
-        broadcastMessage = `${player.name}'s not currently whitelisted.`;
+  buildContext(command, invokedAs, args, data, server) {
+    const player = data.player;
+
+    return {
+      command,
+      invokedAs: invokedAs.toLowerCase(),
+      args,
+      message: data.message,
+      chat: CHAT_CHANNELS[data.chat] || 'all',
+      player,
+      server,
+      logger: this.logger,
+      connectionManager: this.connectionManager,
+      // Send targeted response to player via RCON warn
+      warn: (text) => this.connectionManager.sendRCONWarn(server.id, player.steamID, text),
+      // Broadcast message to all players
+      broadcast: (text) => this.connectionManager.sendRCONBroadcast(server.id, text)
+    };
+  }
 
-        this.logger.info('Player has no active whitelist', {
-          serverId: server.id,
-          playerName: player.name,
-          steamID: player.steamID,
-          status: whitelistStatus.status
-        });
-      } else {
-        // Player has an active whitelist
-        if (whitelistStatus.status === 'Active (permanent)') {
-          // Permanent whitelist (role-based or manually granted permanent)
-          responseMessage = 'Whitelisted (Permanent)';
-          broadcastMessage = `${player.name}'s Whitelisted (Permanent)`;
-        } else if (whitelistStatus.expiration) {
-          // Temporary whitelist with expiration
-          const expirationDate = whitelistStatus.expiration;
-          const now = new Date();
-          const daysLeft = Math.ceil((expirationDate - now) / (1000 * 60 * 60 * 24));
-
-          const formattedDate = expirationDate.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-          });
-
-          responseMessage = `Whitelisted until ${formattedDate}`;
-          broadcastMessage = `${player.name}'s Whitelisted until ${formattedDate} (${daysLeft} day${daysLeft !== 1 ? 's' : ''} left)`;
-        } else {
-          // Fallback: status says active but no expiration
-          responseMessage = 'Whitelisted (Permanent)';
-          broadcastMessage = `${player.name}'s Whitelisted (Permanent)`;
-        }
+  /**
+   * Check whether a command is enabled on a server
+   * Uses the server's dashboard override, falling back to the command default.
+   */
+  async isCommandEnabled(serverId, command) {
+    try {
+      const servers = await getConnectionConfigService().getServers();
+      const serverRecord = servers.find(s => s.serverKey === serverId);
+      const override = serverRecord?.ingameCommands?.[command.name];
 
-        this.logger.info('Player whitelist status retrieved', {
-          serverId: server.id,
-          playerName: player.name,
-          steamID: player.steamID,
-          status: whitelistStatus.status,
-          expiration: whitelistStatus.expiration
-        });
+      if (typeof override === 'boolean') {
+        return override;
       }
+    } catch (error) {
+      this.logger.debug('Could not load server command overrides, using defaults', { error: error.message });
+    }
 
-      // Send targeted response to player via RCON warn
-      this.connectionManager.sendRCONWarn(
-        server.id,
-        player.steamID,
-        responseMessage
-      );
-
-      // Broadcast message to all players
-      this.connectionManager.sendRCONBroadcast(
-        server.id,
-        broadcastMessage
-      );
+    return command.defaultEnabled !== false;
+  }
 
-    } catch (error) {
-      this.logger.error('Error processing whitelist status command:', {
-        serverId: server.id,
-        serverName: server.name,
-        playerId: player.id,
-        playerName: player.name,
-        steamID: player.steamID,
-        error: error.message,
-        stack: error.stack
-      });
+  /**
+   * Check whether a player holds a Squad group permission
+   * Permissions are resolved from the server's combined whitelist output, which is
+   * exactly what the game server grants the player.
+   */
+  async playerHasPermission(player, permission, serverId) {
+    const permissionMap = await this.getPermissionMap(serverId);
+    const wanted = permission.toLowerCase();
 
-      // Send error message to player
-      this.connectionManager.sendRCONWarn(
-        server.id,
-        player.steamID,
-        'Error checking whitelist status. Please try again later.'
-      );
+    for (const identifier of [player.steamID, player.eosID]) {
+      if (identifier && permissionMap.get(identifier)?.has(wanted)) {
+        return true;
+      }
     }
+
+    return false;
   }
 
   /**
-   * Handle stats command (!stats, !mystats) - Show player's K/D ratio
-   * @param {Object} player - Player object from SquadJS
-   * @param {Object} server - Server configuration
+   * Parse Group= and Admin= lines from a server's combined whitelist into identifier -> permissions
    */
-  async handleStatsCommand(player, server) {
-    try {
-      this.logger.info('Processing stats command', {
-        serverId: server.id,
-        serverName: server.name,
-        playerId: player.id,
-        playerName: player.name,
-        steamID: player.steamID
-      });
+  async getPermissionMap(serverId) {
+    const now = Date.now();
+    const cached = this.permissionCache.get(serverId);
+    if (cached && (now - cached.time) < PERMISSION_CACHE_MS) {
+      return cached.map;
+    }
 
-      // Fetch stats from the API
-      const result = await fetchStats(player.steamID);
+    const permissionMap = new Map();
 
-      let responseMessage;
-      let broadcastMessage;
+    if (!this.whitelistService) {
+      return permissionMap;
+    }
 
-      if (!result.success) {
-        // No stats found or error
-        responseMessage = 'No stats found. Visit discord.gg/bbucket for more info.';
-        broadcastMessage = `${player.name} has no recorded stats yet.`;
+    try {
+      const content = await this.whitelistService.getCombinedWhitelist(serverId);
+      const groupPermissions = new Map();
 
-        this.logger.info('No stats found for player', {
-          serverId: server.id,
-          playerName: player.name,
-          steamID: player.steamID,
-          error: result.error
-        });
-      } else {
-        const stats = result.stats;
-        const kd = stats.kdRatio?.toFixed(2) || '0.00';
-        const kills = stats.kills || 0;
-        const deaths = stats.deaths || 0;
+      for (const rawLine of content.split('\n')) {
+        const line = rawLine.split('//')[0].trim();
 
-        responseMessage = `K/D: ${kd} (${kills}/${deaths}) - More stats at discord.gg/bbucket`;
-        broadcastMessage = `${player.name}'s K/D: ${kd} (${kills} kills, ${deaths} deaths)`;
+        if (line.startsWith('Group=')) {
+          const [groupName, perms = ''] = line.slice('Group='.length).split(':');
+          groupPermissions.set(groupName, perms.split(',').map(p => p.trim().toLowerCase()).filter(Boolean));
+        } else if (line.startsWith('Admin=')) {
+          const [identifier, groupName] = line.slice('Admin='.length).split(':');
+          if (!identifier || !groupName) continue;
 
-        this.logger.info('Player stats retrieved', {
-          serverId: server.id,
-          playerName: player.name,
-          steamID: player.steamID,
-          kd,
-          kills,
-          deaths
-        });
+          if (!permissionMap.has(identifier)) {
+            permissionMap.set(identifier, new Set());
+          }
+          for (const perm of groupPermissions.get(groupName) || []) {
+            permissionMap.get(identifier).add(perm);
+          }
+        }
       }
 
-      // Send targeted response to player via RCON warn
-      this.connectionManager.sendRCONWarn(
-        server.id,
-        player.steamID,
-        responseMessage
-      );
-
-      // Broadcast message to all players
-      this.connectionManager.sendRCONBroadcast(
-        server.id,
-        broadcastMessage
-      );
-
+      this.permissionCache.set(serverId, { map: permissionMap, time: now });
     } catch (error) {
-      this.logger.error('Error processing stats command:', {
-        serverId: server.id,
-        serverName: server.name,
-        playerId: player.id,
-        playerName: player.name,
-        steamID: player.steamID,
-        error: error.message,
-        stack: error.stack
-      });
-
-      // Send error message to player
-      this.connectionManager.sendRCONWarn(
-        server.id,
-        player.steamID,
-        'Error checking stats. Please try again later.'
-      );
+      this.logger.error('Failed to resolve Squad permissions for in-game commands', { error: error.message });
+      // Serve stale permissions rather than locking everyone out
+      if (cached) {
+        return cached.map;
+      }
     }
+
+    return permissionMap;
   }
 
   /**
-   * Check if a player is on cooldown for commands
-   * @param {string} steamID - Player's Steam ID
-   * @returns {boolean} True if player is on cooldown
+   * Format remaining cooldown as "X minutes and Y seconds"
+   * @param {number} remainingSeconds
+   * @returns {string}
    */
-  isOnCooldown(steamID) {
-    if (!this.commandCooldowns.has(steamID)) {
-      return false;
+  formatCooldown(remainingSeconds) {
+    const remainingMinutes = Math.floor(remainingSeconds / 60);
+    const remainingSecondsOnly = remainingSeconds % 60;
+
+    let timeMessage;
+    if (remainingMinutes > 0) {
+      timeMessage = `${remainingMinutes} minute${remainingMinutes !== 1 ? 's' : ''}`;
+      if (remainingSecondsOnly > 0) {
+        timeMessage += ` and ${remainingSecondsOnly} second${remainingSecondsOnly !== 1 ? 's' : ''}`;
+      }
+    } else {
+      timeMessage = `${remainingSeconds} second${remainingSeconds !== 1 ? 's' : ''}`;
     }
 
-    const lastUse = this.commandCooldowns.get(steamID);
-    const now = Date.now();
-    const timeSinceLastUse = now - lastUse;
+    return timeMessage;
+  }
 
-    return timeSinceLastUse < this.cooldownDuration;
+  /**
+   * Check if a player is on cooldown for a command
+   * @param {Object} command - Registered command
+   * @param {string} steamID - Player's Steam ID
+   * @returns {boolean} True if player is on cooldown
+   */
+  isOnCooldown(command, steamID) {
+    return this.getRemainingCooldown(command, steamID) > 0;
   }
 
   /**
    * Get remaining cooldown time in seconds
+   * @param {Object} command - Registered command
    * @param {string} steamID - Player's Steam ID
    * @returns {number} Remaining seconds (rounded up)
    */
-  getRemainingCooldown(steamID) {
-    if (!this.commandCooldowns.has(steamID)) {
+  getRemainingCooldown(command, steamID) {
+    const lastUse = this.commandCooldowns.get(`${command.name}:${steamID}`);
+    if (!lastUse || !command.cooldownSeconds) {
       return 0;
     }
 
-    const lastUse = this.commandCooldowns.get(steamID);
-    const now = Date.now();
-    const timeSinceLastUse = now - lastUse;
-    const remainingMs = this.cooldownDuration - timeSinceLastUse;
-
-    return Math.ceil(remainingMs / 1000);
+    const remainingMs = command.cooldownSeconds * 1000 - (Date.now() - lastUse);
+    return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
   }
 
   /**
    * Update cooldown timestamp for a player
+   * @param {Object} command - Registered command
    * @param {string} steamID - Player's Steam ID
    */
-  updateCooldown(steamID) {
-    this.commandCooldowns.set(steamID, Date.now());
+  updateCooldown(command, steamID) {
+    if (command.cooldownSeconds > 0) {
+      this.commandCooldowns.set(`${command.name}:${steamID}`, Date.now());
+    }
   }
 
   /**
@@ -379,12 +324,13 @@ class InGameCommandService {
     const now = Date.now();
     let cleanedCount = 0;
 
-    for (const [steamID, timestamp] of this.commandCooldowns.entries()) {
-      const timeSinceLastUse = now - timestamp;
+    for (const [key, timestamp] of this.commandCooldowns.entries()) {
+      const command = this.registry.get(key.split(':')[0]);
+      const cooldownMs = (command?.cooldownSeconds || 0) * 1000;
 
-      // Remove entries older than the cooldown duration
-      if (timeSinceLastUse >= this.cooldownDuration) {
-        this.commandCooldowns.delete(steamID);
+      // Remove entries older than the command's cooldown duration
+      if (now - timestamp >= cooldownMs) {
+        this.commandCooldowns.delete(key);
         cleanedCount++;
       }
     }
@@ -416,6 +362,7 @@ class InGameCommandService {
 
     // Clear cooldown tracking
     this.commandCooldowns.clear();
+    this.permissionCache.clear();
   }
 }
 
@@ -21,6 +21,7 @@ const NOTIFICATION_COLORS = {
   
   // Warning/caution actions
   warning: 0xFFAA00,
+  coverage_alert: 0xFF8C00,
   duty_off: 0xFF0000,
   
   // Error/negative actions
@@ -98,8 +99,18 @@ class NotificationService {
       // Build the embed
       const embed = this.buildEmbed(type, options);
 
-      // Send the notification
-      await channel.send({ embeds: [embed] });
+      // Send the notification (content/components allow role pings and action buttons)
+      const payload = { embeds: [embed] };
+      if (options.content) {
+        payload.content = options.content;
+      }
+      if (options.components) {
+        payload.components = options.components;
+      }
+      if (options.allowedMentions) {
+        payload.allowedMentions = options.allowedMentions;
+      }
+      await channel.send(payload);
 
       // Log notification action
       this.logNotificationAction(type, options);
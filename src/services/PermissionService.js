@@ -108,6 +108,38 @@ const PERMISSION_DEFINITIONS = {
   RESET_PLAYER_STATS: {
     description: 'Reset player game statistics',
     critical: false
+  },
+  WARN_PLAYERS: {
+    description: 'Send in-game warnings to online players',
+    critical: false
+  },
+  KICK_PLAYERS: {
+    description: 'Kick online players from game servers',
+    critical: false
+  },
+  BAN_PLAYERS: {
+    description: 'Ban online players from game servers',
+    critical: false
+  },
+  VIEW_BANS: {
+    description: 'View the local ban list',
+    critical: false
+  },
+  MANAGE_BANS: {
+    description: 'Issue, lift and edit local bans',
+    critical: false
+  },
+  VIEW_DONATIONS: {
+    description: 'View the donation ledger and revenue',
+    critical: false
+  },
+  MANAGE_DONATIONS: {
+    description: 'Record refunds and chargebacks for donations',
+    critical: true
+  },
+  MANAGE_INACTIVE_STAFF: {
+    description: 'Mark staff inactive (archiving their roles) and restore them',
+    critical: false
   }
 };
 
@@ -193,6 +225,38 @@ function getDefaultPermissions() {
     ],
     MANAGE_CONNECTIONS: [
       DISCORD_ROLES.SUPER_ADMIN
+    ],
+    WARN_PLAYERS: [
+      ...getAllStaffRoles(),
+      DISCORD_ROLES.SUPER_ADMIN
+    ],
+    KICK_PLAYERS: [
+      ...getAllAdminRoles(),
+      DISCORD_ROLES.SUPER_ADMIN
+    ],
+    BAN_PLAYERS: [
+      ...getAllAdminRoles(),
+      DISCORD_ROLES.SUPER_ADMIN
+    ],
+    VIEW_BANS: [
+      ...getAllStaffRoles(),
+      DISCORD_ROLES.SUPER_ADMIN
+    ],
+    MANAGE_BANS: [
+      ...getAllAdminRoles(),
+      DISCORD_ROLES.SUPER_ADMIN
+    ],
+    VIEW_DONATIONS: [
+      ...getAllAdminRoles(),
+      DISCORD_ROLES.SUPER_ADMIN
+    ],
+    MANAGE_DONATIONS: [
+      DISCORD_ROLES.SUPER_ADMIN
+    ],
+    MANAGE_INACTIVE_STAFF: [
+      DISCORD_ROLES.EXECUTIVE_ADMIN,
+      DISCORD_ROLES.HEAD_ADMIN,
+      DISCORD_ROLES.SUPER_ADMIN
     ]
   };
 }
@@ -407,6 +407,21 @@ class PlaytimeTrackingService extends EventEmitter {
     return this.activeSessions;
   }
 
+  /**
+   * Find the server a player is currently online on
+   * @param {string} steamId - Player's Steam ID
+   * @returns {string|null} - Server ID, or null if the player is not online
+   */
+  getPlayerServerId(steamId) {
+    for (const sessionKey of this.activeSessions.keys()) {
+      const separatorIndex = sessionKey.indexOf(':');
+      if (sessionKey.substring(separatorIndex + 1) === steamId) {
+        return sessionKey.substring(0, separatorIndex);
+      }
+    }
+    return null;
+  }
+
   /**
    * Get statistics about active sessions
    * @returns {Object} - Statistics
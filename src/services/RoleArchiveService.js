@@ -95,16 +95,27 @@ class RoleArchiveService {
 
   /**
    * Restore roles from archive for a user
-   * Called when user successfully links their Steam account via /linkid
+   * Called when user successfully links their Steam account via /linkid, or by leadership
+   * bringing back staff that were marked inactive. Inactive-staff archives are only
+   * restored when options.reason asks for them, so linking never undoes that decision.
    * @param {string} discordUserId - Discord user ID
    * @param {Guild} guild - Discord guild
    * @param {string} restoredByUserId - Who triggered the restoration (usually self)
+   * @param {Object} options
+   * @param {string} options.reason - Removal reason of the archive to restore
+   * @param {string} options.restoredByName - Name of the admin restoring (defaults to the user)
+   * @param {string} options.auditReason - Reason shown in the Discord audit log
    * @returns {Promise<{success: boolean, restoredRoles?: Array, archive?: RoleArchive, error?: string}>}
    */
-  async restoreUserRoles(discordUserId, guild, restoredByUserId = null) {
+  async restoreUserRoles(discordUserId, guild, restoredByUserId = null, options = {}) {
     try {
+      const auditReason = options.auditReason || 'Role restoration from archive after Steam account link';
+
       // Find active archive
-      const archive = await RoleArchive.findActiveArchive(discordUserId);
+      const archive = await RoleArchive.findActiveArchive(
+        discordUserId,
+        options.reason ? { reason: options.reason } : { excludeReason: 'inactive' }
+      );
 
       if (!archive) {
         this.logger.debug('No active archive found for user', { discordUserId });
@@ -152,7 +163,7 @@ class RoleArchiveService {
           }
 
           // Add the role
-          await member.roles.add(roleId, 'Role restoration from archive after Steam account link');
+          await member.roles.add(roleId, auditReason);
           restoredRoles.push({ id: roleId, name: role.name, restored: true });
 
           this.logger.debug('Restored role', {
@@ -174,7 +185,7 @@ class RoleArchiveService {
       let nicknameRestored = false;
       if (archive.previous_nickname) {
         try {
-          await member.setNickname(archive.previous_nickname, 'Nickname restoration from archive after Steam account link');
+          await member.setNickname(archive.previous_nickname, auditReason);
           nicknameRestored = true;
           this.logger.debug('Restored nickname', {
             discordUserId,
@@ -205,9 +216,9 @@ class RoleArchiveService {
       // Log to AuditLog
       await AuditLog.create({
         actionType: 'ROLES_RESTORED',
-        actorType: 'user',
+        actorType: options.restoredByName ? 'admin' : 'user',
         actorId: restoredByUserId || discordUserId,
-        actorName: member.user.username,
+        actorName: options.restoredByName || member.user.username,
         targetType: 'discord_user',
         targetId: discordUserId,
         targetName: member.user.username,
@@ -218,7 +229,8 @@ class RoleArchiveService {
           restoredRoles,
           failedRoles,
           nicknameRestored,
-          previousNickname: archive.previous_nickname || null
+          previousNickname: archive.previous_nickname || null,
+          removalReason: archive.removal_reason
         },
         success: failedRoles.length === 0,
         severity: 'info'
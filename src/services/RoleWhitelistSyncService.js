@@ -320,7 +320,7 @@ class RoleWhitelistSyncService {
 
         // Invalidate whitelist cache after revoking duplicates
         if (this.whitelistService) {
-          this.whitelistService.invalidateCache();
+          this.whitelistService.invalidateCache(null, 'role_sync');
         }
       }
 
@@ -357,7 +357,7 @@ class RoleWhitelistSyncService {
 
         // FIX 5.1: Invalidate cache after updating entry
         if (this.whitelistService) {
-          this.whitelistService.invalidateCache();
+          this.whitelistService.invalidateCache(null, 'role_sync');
         }
       } else {
         this.logger.debug('Role-based entry already exists and is current', {
@@ -381,7 +381,7 @@ class RoleWhitelistSyncService {
 
       // FIX 5.1: Invalidate cache after creating entry
       if (this.whitelistService) {
-        this.whitelistService.invalidateCache();
+        this.whitelistService.invalidateCache(null, 'role_sync');
       }
     }
   }
@@ -431,7 +431,7 @@ class RoleWhitelistSyncService {
 
     // FIX 5.1: Invalidate cache after revoking entries
     if (roleEntries.length > 0 && this.whitelistService) {
-      this.whitelistService.invalidateCache();
+      this.whitelistService.invalidateCache(null, 'role_sync');
     }
   }
 
@@ -619,7 +619,7 @@ class RoleWhitelistSyncService {
 
       // FIX 5.1: Invalidate cache after upgrading entry
       if (this.whitelistService) {
-        this.whitelistService.invalidateCache();
+        this.whitelistService.invalidateCache(null, 'role_sync');
       }
 
       // FIX 2.1: Log security upgrade to audit trail
@@ -1006,7 +1006,7 @@ class RoleWhitelistSyncService {
     // Note: Security-blocked entries are revoked and won't affect active whitelist,
     // but we invalidate cache for consistency and audit trail completeness
     if (this.whitelistService) {
-      this.whitelistService.invalidateCache();
+      this.whitelistService.invalidateCache(null, 'role_sync');
     }
 
     return blockedEntry;
@@ -1213,7 +1213,7 @@ class RoleWhitelistSyncService {
 
       // Invalidate whitelist cache
       if (this.whitelistService) {
-        this.whitelistService.invalidateCache();
+        this.whitelistService.invalidateCache(null, 'role_sync');
       }
 
       this.logger.info('Departed members cleanup completed', {
@@ -0,0 +1,196 @@
+const { createServiceLogger } = require('../utils/logger');
+const { SeedingAutoRule, SeedingSession, ServerSeedingSnapshot } = require('../database/models');
+
+const logger = createServiceLogger('SeedingAutoTriggerService');
+
+/**
+ * Starts seeding sessions from opt-in automation rules.
+ * A rule fires when its target server has emptied after a populated period
+ * (from ServerSeedingSnapshot transitions) while another server is full with a queue.
+ * Cooldowns and the per-day cap are stored on the rule so they survive restarts.
+ */
+class SeedingAutoTriggerService {
+  constructor(seedingSessionService) {
+    this.seedingSessionService = seedingSessionService;
+    this.connectionManager = seedingSessionService.connectionManager;
+
+    this.checkInterval = null;
+    this.CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
+
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    logger.info('Initializing SeedingAutoTriggerService');
+
+    this.checkInterval = setInterval(async () => {
+      await this.checkRules();
+    }, this.CHECK_INTERVAL_MS);
+
+    this.initialized = true;
+    logger.info('SeedingAutoTriggerService initialized', { checkIntervalSeconds: this.CHECK_INTERVAL_MS / 1000 });
+  }
+
+  shutdown() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    this.initialized = false;
+    logger.info('SeedingAutoTriggerService shutdown');
+  }
+
+  /**
+   * Evaluate every enabled rule, starting at most one session per check
+   */
+  async checkRules(now = new Date()) {
+    try {
+      if (this.seedingSessionService.getActiveSession()) return;
+
+      const rules = await SeedingAutoRule.getEnabledRules();
+      if (rules.length === 0) return;
+
+      const servers = await this.seedingSessionService.getAvailableServers();
+
+      for (const rule of rules) {
+        const trigger = await this.evaluateRule(rule, servers, now);
+        if (!trigger) continue;
+
+        const started = await this.triggerRule(rule, trigger, now);
+        if (started) break;
+      }
+    } catch (error) {
+      logger.error('Error checking seeding auto rules', { error: error.message });
+    }
+  }
+
+  /**
+   * Check whether a rule's conditions are currently met
+   * @returns {Promise<Object|null>} Trigger context, or null if the rule should not fire
+   */
+  async evaluateRule(rule, servers, now) {
+    if (rule.last_triggered_at && now - new Date(rule.last_triggered_at) < rule.cooldown_minutes * 60 * 1000) {
+      return null;
+    }
+
+    if (rule.getTriggersToday(now) >= rule.max_sessions_per_day) {
+      return null;
+    }
+
+    const target = servers.find(server => server.id === rule.target_server_id);
+    if (!target || !target.connected || target.playerCount >= rule.trigger_player_count) {
+      return null;
+    }
+
+    const period = await ServerSeedingSnapshot.getLastPopulatedPeriod(rule.target_server_id);
+    if (!period || period.populatedMinutes < rule.min_populated_minutes) {
+      return null;
+    }
+
+    // Fire once per emptying, even after the cooldown has passed
+    if (rule.last_triggered_at && new Date(rule.last_triggered_at) >= period.emptiedAt) {
+      return null;
+    }
+
+    const candidateIds = Array.isArray(rule.source_server_ids) && rule.source_server_ids.length > 0
+      ? rule.source_server_ids
+      : servers.map(server => server.id).filter(id => id !== rule.target_server_id);
+
+    const queuedServers = servers
+      .filter(server => candidateIds.includes(server.id) && server.connected && server.isFull)
+      .map(server => ({ id: server.id, name: server.name, playerCount: server.playerCount, queue: this.getQueueSize(server.id) }))
+      .filter(server => server.queue >= rule.min_queue_size);
+
+    if (queuedServers.length === 0) {
+      return null;
+    }
+
+    return { target, period, queuedServers };
+  }
+
+  /**
+   * Queue size (public + reserve) cached by SquadJSConnectionManager.fetchQueueData
+   */
+  getQueueSize(serverId) {
+    const serverInfo = this.connectionManager.getServerConnection(serverId)?.serverInfo;
+    return (serverInfo?.publicQueue || 0) + (serverInfo?.reserveQueue || 0);
+  }
+
+  /**
+   * Start a session for a rule and record it
+   * @returns {Promise<boolean>} Whether a session was started
+   */
+  async triggerRule(rule, { target, period, queuedServers }, now) {
+    if (await SeedingSession.hasActiveSession()) {
+      return false;
+    }
+
+    const sourceServerIds = Array.isArray(rule.source_server_ids) && rule.source_server_ids.length > 0
+      ? rule.source_server_ids
+      : null;
+
+    const reason = `${target.name} dropped to ${target.playerCount} players after ${period.populatedMinutes} minutes populated; ` +
+      queuedServers.map(server => `${server.name} full with ${server.queue} in queue`).join(', ');
+
+    try {
+      const session = await this.seedingSessionService.createSession(
+        {
+          targetServerId: rule.target_server_id,
+          playerThreshold: rule.player_threshold,
+          rewards: rule.getRewards(),
+          sourceServerIds,
+          customBroadcastMessage: rule.custom_broadcast_message
+        },
+        'system',
+        `Auto: ${rule.name}`
+      );
+
+      await rule.recordTrigger(session.id, now);
+
+      await this.seedingSessionService.logAuditAction('seeding_session_auto_triggered', 'system', session.id, {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        targetServerId: target.id,
+        targetServerName: target.name,
+        targetPlayerCount: target.playerCount,
+        playerThreshold: rule.player_threshold,
+        populatedMinutes: period.populatedMinutes,
+        emptiedAt: period.emptiedAt,
+        queuedServers,
+        triggersToday: rule.daily_trigger_count,
+        reason
+      });
+
+      logger.info('Seeding session auto-triggered', { ruleId: rule.id, sessionId: session.id, reason });
+      return true;
+    } catch (error) {
+      logger.error('Failed to auto-trigger seeding session', { ruleId: rule.id, error: error.message });
+      return false;
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getSeedingAutoTriggerService(seedingSessionService) {
+  if (!instance && seedingSessionService) {
+    instance = new SeedingAutoTriggerService(seedingSessionService);
+  }
+  return instance;
+}
+
+async function initializeSeedingAutoTriggerService(seedingSessionService) {
+  const service = getSeedingAutoTriggerService(seedingSessionService);
+  await service.initialize();
+  return service;
+}
+
+module.exports = {
+  SeedingAutoTriggerService,
+  getSeedingAutoTriggerService,
+  initializeSeedingAutoTriggerService
+};
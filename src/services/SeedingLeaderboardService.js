@@ -0,0 +1,300 @@
+const { createServiceLogger } = require('../utils/logger');
+const { SeedingTime, SeedingRewardRun, Player, Whitelist, AuditLog } = require('../database/models');
+const { SEEDING_REWARDS } = require('../../config/seedingRewards');
+
+const logger = createServiceLogger('SeedingLeaderboardService');
+
+const PERIODS = {
+  week: 'Last 7 Days',
+  month: 'This Month',
+  'last-month': 'Last Month',
+  'all-time': 'All Time'
+};
+
+// Wait after the month rolls over so the last passive seeding flush lands first
+const PAYOUT_DELAY_MS = 60 * 60 * 1000;
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * First and last day (UTC) of the month containing a date
+ */
+function getMonthRange(date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+  return { startDate: toDateString(start), endDate: toDateString(end) };
+}
+
+function formatMonth(periodStart) {
+  return new Date(`${periodStart}T00:00:00Z`).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Seeding leaderboard and monthly top-seeder rewards
+ * Ranks players by SeedingTime seeding minutes, and once a month grants whitelist time
+ * to the previous month's top seeders (config/seedingRewards.js). Each payout is stored
+ * as a SeedingRewardRun so it runs once per month and can be reversed.
+ */
+class SeedingLeaderboardService {
+  constructor() {
+    this.checkInterval = null;
+    this.CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    logger.info('Initializing SeedingLeaderboardService');
+
+    this.checkInterval = setInterval(async () => {
+      await this.checkMonthlyRewards();
+    }, this.CHECK_INTERVAL_MS);
+
+    this.initialized = true;
+
+    await this.checkMonthlyRewards();
+
+    logger.info('SeedingLeaderboardService initialized', { rewardsEnabled: SEEDING_REWARDS.enabled });
+  }
+
+  shutdown() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    this.initialized = false;
+    logger.info('SeedingLeaderboardService shutdown');
+  }
+
+  /**
+   * Resolve a leaderboard period to inclusive UTC date bounds
+   * @param {string} period - week, month, last-month, all-time
+   * @returns {{ startDate: string|null, endDate: string|null, label: string }}
+   */
+  getPeriodRange(period, now = new Date()) {
+    switch (period) {
+    case 'week': {
+      const start = new Date(now.getTime() - 6 * 24 * 60 * 60 * 1000);
+      return { startDate: toDateString(start), endDate: toDateString(now), label: PERIODS.week };
+    }
+    case 'month':
+      return { ...getMonthRange(now), label: PERIODS.month };
+    case 'last-month': {
+      const lastMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+      return { ...getMonthRange(lastMonth), label: PERIODS['last-month'] };
+    }
+    case 'all-time':
+      return { startDate: null, endDate: null, label: PERIODS['all-time'] };
+    default:
+      throw new Error(`Invalid period: ${period}`);
+    }
+  }
+
+  /**
+   * @param {string} period - See PERIODS
+   * @param {Object} options - { serverId, limit, offset }
+   */
+  async getLeaderboard(period = 'month', options = {}) {
+    const range = this.getPeriodRange(period);
+    const entries = await SeedingTime.getLeaderboard({ ...range, ...options });
+    return { period, ...range, entries };
+  }
+
+  /**
+   * Leaderboard position for a player by Steam ID
+   * @returns {Promise<{rank: number|null, seedingMinutes: number, rankedPlayers: number, label: string}|null>} null if the player is unknown
+   */
+  async getPlayerRank(steamId, period = 'month') {
+    const player = await Player.findOne({ where: { steamId } });
+    if (!player) return null;
+
+    const range = this.getPeriodRange(period);
+    const result = await SeedingTime.getPlayerRank(player.id, range);
+    return { ...result, label: range.label };
+  }
+
+  /**
+   * Pay out the previous month once it has ended, if enabled and not already paid
+   */
+  async checkMonthlyRewards(now = new Date()) {
+    if (!SEEDING_REWARDS.enabled) return;
+
+    try {
+      const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      if (now - monthStart < PAYOUT_DELAY_MS) return;
+
+      const { startDate } = this.getPeriodRange('last-month', now);
+      if (await SeedingRewardRun.getRunForPeriod(startDate)) return;
+
+      await this.runMonthlyRewards(startDate, 'system', 'Monthly seeding rewards');
+    } catch (error) {
+      logger.error('Error running monthly seeding rewards', { error: error.message });
+    }
+  }
+
+  /**
+   * Grant whitelist rewards to the top seeders of a month
+   * @param {string} periodStart - First day of the month (YYYY-MM-DD)
+   * @param {string} triggeredBy - Discord user ID, or 'system'
+   * @param {string} triggeredByName
+   * @returns {Promise<SeedingRewardRun>}
+   */
+  async runMonthlyRewards(periodStart, triggeredBy, triggeredByName) {
+    const { startDate, endDate } = getMonthRange(new Date(`${periodStart}T00:00:00Z`));
+
+    if (endDate >= toDateString(new Date())) {
+      throw new Error('Cannot reward a month that has not ended yet');
+    }
+    if (await SeedingRewardRun.getRunForPeriod(startDate)) {
+      throw new Error(`Rewards for ${formatMonth(startDate)} have already been granted`);
+    }
+
+    const { topN, minSeedingMinutes, rewardsByRank } = SEEDING_REWARDS;
+    const entries = await SeedingTime.getLeaderboard({ startDate, endDate, limit: topN });
+
+    const winners = entries
+      .filter(entry => entry.steamId && entry.seedingMinutes >= minSeedingMinutes)
+      .map(entry => {
+        const reward = rewardsByRank[Math.min(entry.rank - 1, rewardsByRank.length - 1)];
+        return { ...entry, value: reward.value, unit: reward.unit };
+      });
+
+    // Creating the run first reserves the month (unique period_start) and gives the grants an ID
+    const run = await SeedingRewardRun.create({
+      period_start: startDate,
+      period_end: endDate,
+      top_n: topN,
+      winners,
+      triggered_by: triggeredBy,
+      triggered_by_name: triggeredByName
+    });
+
+    const monthLabel = formatMonth(startDate);
+    let grantedCount = 0;
+
+    for (const winner of winners) {
+      try {
+        await Whitelist.grantWhitelist({
+          steamid64: winner.steamId,
+          username: winner.username,
+          reason: `Top seeder #${winner.rank} - ${monthLabel}`,
+          duration_value: winner.value,
+          duration_type: winner.unit,
+          granted_by: 'seeding-system',
+          source: 'seeding',
+          metadata: {
+            seeding_reward_run_id: run.id,
+            rank: winner.rank,
+            seeding_minutes: winner.seedingMinutes,
+            granted_automatically: triggeredBy === 'system'
+          }
+        });
+        grantedCount++;
+      } catch (error) {
+        logger.error('Failed to grant seeding leaderboard reward', { runId: run.id, steamId: winner.steamId, error: error.message });
+      }
+    }
+
+    await run.update({ granted_count: grantedCount });
+
+    await this.logAuditAction('seeding_leaderboard_rewarded', triggeredBy, triggeredByName, run, {
+      monthLabel,
+      grantedCount,
+      winners: winners.map(({ rank, steamId, username, seedingMinutes, value, unit }) => ({ rank, steamId, username, seedingMinutes, value, unit }))
+    });
+
+    logger.info(`Granted ${grantedCount} seeding leaderboard rewards for ${monthLabel}`, { runId: run.id });
+
+    return run;
+  }
+
+  /**
+   * Revoke every whitelist entry granted by a reward run
+   * @param {number} runId
+   * @param {string} reversedBy - Discord ID of admin reversing
+   * @param {string} reversedByName
+   * @param {string} reason
+   */
+  async reverseRewardRun(runId, reversedBy, reversedByName, reason = 'Manual reversal') {
+    const run = await SeedingRewardRun.findByPk(runId);
+    if (!run) {
+      throw new Error(`Reward run ${runId} not found`);
+    }
+    if (run.status === 'reversed') {
+      throw new Error('Reward run has already been reversed');
+    }
+
+    const revokedCount = await Whitelist.revokeSeedingRunRewards(run.id, reversedBy, reason);
+
+    await run.update({
+      status: 'reversed',
+      reversed_at: new Date(),
+      reversed_by: reversedBy,
+      reversal_reason: reason
+    });
+
+    const monthLabel = formatMonth(run.period_start);
+    await this.logAuditAction('seeding_leaderboard_rewards_reversed', reversedBy, reversedByName, run, {
+      monthLabel,
+      reason,
+      revokedCount
+    });
+
+    logger.info(`Reversed ${revokedCount} seeding leaderboard rewards for ${monthLabel}: ${reason}`);
+
+    return {
+      revokedCount,
+      message: `Revoked ${revokedCount} whitelist entries for ${monthLabel}`
+    };
+  }
+
+  async logAuditAction(actionType, actorId, actorName, run, details) {
+    const isSystem = actorId === 'system';
+
+    try {
+      await AuditLog.logAction({
+        actionType,
+        actorType: isSystem ? 'system' : 'dashboard_user',
+        actorId: isSystem ? 'SEEDING SYSTEM' : actorId,
+        actorName,
+        targetType: 'seeding_reward_run',
+        targetId: run.id.toString(),
+        targetName: details.monthLabel,
+        description: actionType === 'seeding_leaderboard_rewarded'
+          ? `Granted ${details.grantedCount} top seeder rewards for ${details.monthLabel}`
+          : `Reversed top seeder rewards for ${details.monthLabel}: ${details.reason}`,
+        metadata: { ...details, runId: run.id }
+      });
+    } catch (error) {
+      logger.error('Error logging audit action:', error.message);
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getSeedingLeaderboardService() {
+  if (!instance) {
+    instance = new SeedingLeaderboardService();
+  }
+  return instance;
+}
+
+async function initializeSeedingLeaderboardService() {
+  const service = getSeedingLeaderboardService();
+  await service.initialize();
+  return service;
+}
+
+module.exports = {
+  SeedingLeaderboardService,
+  getSeedingLeaderboardService,
+  initializeSeedingLeaderboardService,
+  PERIODS
+};
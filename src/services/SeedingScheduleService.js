@@ -0,0 +1,169 @@
+const { createServiceLogger } = require('../utils/logger');
+const { SeedingSchedule, SeedingSession } = require('../database/models');
+
+const logger = createServiceLogger('SeedingScheduleService');
+
+// A run is only attempted this long after its scheduled time, so a long outage
+// does not start a stale session on restart
+const RUN_GRACE_MS = 15 * 60 * 1000;
+
+/**
+ * Starts seeding sessions from recurring schedules.
+ * Schedules live in the database, and each run records its scheduled time in
+ * last_run_at, so restarts neither lose schedules nor repeat a run.
+ * At the scheduled time a session is started unless one is already active or
+ * the target server is already at its player threshold.
+ */
+class SeedingScheduleService {
+  constructor(seedingSessionService) {
+    this.seedingSessionService = seedingSessionService;
+
+    this.checkInterval = null;
+    this.CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
+
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    logger.info('Initializing SeedingScheduleService');
+
+    this.checkInterval = setInterval(async () => {
+      await this.checkSchedules();
+    }, this.CHECK_INTERVAL_MS);
+
+    this.initialized = true;
+
+    // Catch runs that came due while the bot was restarting
+    await this.checkSchedules();
+
+    logger.info('SeedingScheduleService initialized', { checkIntervalSeconds: this.CHECK_INTERVAL_MS / 1000 });
+  }
+
+  shutdown() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    this.initialized = false;
+    logger.info('SeedingScheduleService shutdown');
+  }
+
+  /**
+   * Run every enabled schedule whose latest occurrence has not been handled yet
+   */
+  async checkSchedules(now = new Date()) {
+    try {
+      const schedules = await SeedingSchedule.getEnabledSchedules();
+
+      for (const schedule of schedules) {
+        const occurrence = schedule.getLatestOccurrence(now);
+        if (!occurrence) continue;
+        if (schedule.last_run_at && new Date(schedule.last_run_at) >= occurrence) continue;
+        if (now - occurrence > RUN_GRACE_MS) continue;
+
+        await this.runSchedule(schedule, occurrence);
+      }
+    } catch (error) {
+      logger.error('Error checking seeding schedules', { error: error.message });
+    }
+  }
+
+  /**
+   * Attempt to start a session for one scheduled occurrence
+   * @param {SeedingSchedule} schedule
+   * @param {Date} occurrence - Scheduled time being handled
+   */
+  async runSchedule(schedule, occurrence) {
+    const result = await this.tryStartSession(schedule);
+
+    await schedule.update({
+      last_run_at: occurrence,
+      last_run_status: result.status,
+      last_run_message: result.message,
+      last_session_id: result.sessionId || schedule.last_session_id
+    });
+
+    const logData = { scheduleId: schedule.id, name: schedule.name, status: result.status, message: result.message };
+    if (result.status === 'failed') {
+      logger.error('Scheduled seeding run failed', logData);
+    } else {
+      logger.info('Scheduled seeding run handled', logData);
+    }
+
+    return result;
+  }
+
+  /**
+   * @returns {Promise<{ status: string, message: string, sessionId?: number }>}
+   */
+  async tryStartSession(schedule) {
+    if (this.seedingSessionService.getActiveSession() || await SeedingSession.hasActiveSession()) {
+      return { status: 'skipped_active', message: 'A seeding session was already active' };
+    }
+
+    const servers = await this.seedingSessionService.getAvailableServers();
+    const target = servers.find(server => server.id === schedule.target_server_id);
+
+    if (!target || !target.connected) {
+      return { status: 'failed', message: `Target server ${schedule.target_server_id} is not connected` };
+    }
+
+    if (target.playerCount >= schedule.player_threshold) {
+      return {
+        status: 'skipped_threshold',
+        message: `${target.name} already had ${target.playerCount}/${schedule.player_threshold} players`
+      };
+    }
+
+    const sourceServerIds = Array.isArray(schedule.source_server_ids) && schedule.source_server_ids.length > 0
+      ? schedule.source_server_ids
+      : null;
+
+    try {
+      const session = await this.seedingSessionService.createSession(
+        {
+          targetServerId: schedule.target_server_id,
+          playerThreshold: schedule.player_threshold,
+          rewards: schedule.getRewards(),
+          sourceServerIds,
+          customBroadcastMessage: schedule.custom_broadcast_message
+        },
+        'system',
+        `Schedule: ${schedule.name}`
+      );
+
+      return {
+        status: 'started',
+        message: `Started session #${session.id} at ${target.playerCount}/${schedule.player_threshold} players`,
+        sessionId: session.id
+      };
+    } catch (error) {
+      return { status: 'failed', message: error.message };
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getSeedingScheduleService(seedingSessionService) {
+  if (!instance && seedingSessionService) {
+    instance = new SeedingScheduleService(seedingSessionService);
+  }
+  return instance;
+}
+
+async function initializeSeedingScheduleService(seedingSessionService) {
+  const service = getSeedingScheduleService(seedingSessionService);
+  await service.initialize();
+  return service;
+}
+
+module.exports = {
+  SeedingScheduleService,
+  getSeedingScheduleService,
+  initializeSeedingScheduleService
+};
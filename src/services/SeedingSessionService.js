@@ -166,10 +166,10 @@ class SeedingSessionService {
 
     // Build source server IDs
     let sourceServerIds;
-    if (testMode && manualSourceServerIds && manualSourceServerIds.length > 0) {
-      // Test mode: use manually specified source servers
+    if (manualSourceServerIds && manualSourceServerIds.length > 0) {
+      // Manually specified source servers (test mode or scheduled sessions)
       sourceServerIds = manualSourceServerIds;
-      this.logger.info(`TEST MODE: Using manually specified source servers: ${sourceServerIds.join(', ')}`);
+      this.logger.info(`${testMode ? 'TEST MODE: ' : ''}Using manually specified source servers: ${sourceServerIds.join(', ')}`);
     } else {
       // Normal mode: all servers except target
       sourceServerIds = [];
@@ -1290,6 +1290,8 @@ class SeedingSessionService {
     switch (actionType) {
     case 'seeding_session_started':
       return `Seeding session started for ${serverName} (target: ${threshold} players)`;
+    case 'seeding_session_auto_triggered':
+      return `Seeding session auto-started for ${serverName} by rule "${details.ruleName}" (${details.reason})`;
     case 'seeding_session_closed':
       return `Seeding session closed for ${serverName}: ${details.reason || 'Completed'}`;
     case 'seeding_session_cancelled':
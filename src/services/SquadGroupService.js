@@ -103,7 +103,7 @@ class SquadGroupService {
 
     // Trigger whitelist regeneration if service is available
     if (this.whitelistService && typeof this.whitelistService.invalidateCache === 'function') {
-      this.whitelistService.invalidateCache();
+      this.whitelistService.invalidateCache(null, 'squad_groups');
       logger.debug('Whitelist cache invalidated due to squad group change');
     }
   }
@@ -157,6 +157,7 @@ class SquadGroupService {
           roleName: groupName,
           groupName,
           permissions: groupData.permissions ? groupData.permissions.split(',') : [],
+          serverIds: null,
           createdBy: null,
           createdAt: null,
           updatedBy: null,
@@ -265,6 +266,7 @@ class SquadGroupService {
    * @param {Object} data - Role data
    * @param {string} [data.roleName] - Discord role name
    * @param {string[]} data.permissions - Array of permission IDs
+   * @param {string[]|null} [data.serverIds] - Server keys the group applies on (omit to keep current)
    * @param {string} [updatedBy] - Discord user ID who made the change
    * @returns {Promise<Object>}
    */
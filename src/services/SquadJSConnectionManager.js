@@ -274,6 +274,9 @@ class SquadJSConnectionManager {
       'PLAYER_WOUNDED',
       'PLAYER_DIED',
       'POSSESSED_ADMIN_CAMERA',
+      'PLAYER_WARNED',
+      'PLAYER_KICKED',
+      'PLAYER_BANNED',
       'TEAMKILL',
       'SQUAD_CREATED',
       'SQUAD_DISBANDED',
@@ -357,7 +360,6 @@ class SquadJSConnectionManager {
         'connect', 'disconnect', 'connect_error',
         'rcon-response', 'rcon-error',
         'PLAYER_POSSESS', 'PLAYER_UNPOSSESS', 'PLAYER_SPAWN', 'PLAYER_REVIVED',
-        'PLAYER_WARNED', 'PLAYER_KICKED', 'PLAYER_BANNED',
         'UPDATED_A2S_INFORMATION', 'UPDATED_LAYER_INFORMATION', 'UPDATED_PLAYER_INFORMATION', 'UPDATED_SERVER_INFORMATION',
         'TICK_RATE', 'NEW_GAME', 'DEPLOYABLE_BUILT', 'DEPLOYABLE_DAMAGED'
       ];
@@ -87,7 +87,7 @@ class SquadJSLinkingService {
       // Send in-game notification
       await this.sendRCONNotification(player, server, created ? 'linked' : 'updated');
 
-      this.whitelistService?.invalidateCache();
+      this.whitelistService?.invalidateCache(null, 'account_link');
 
       // Update role-based cache to reflect the new link
       await this.syncUserToDatabase(link.discord_user_id, server);
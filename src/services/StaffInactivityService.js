@@ -0,0 +1,435 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const { Op } = require('sequelize');
+const { createServiceLogger } = require('../utils/logger');
+const { loadConfig } = require('../utils/environment');
+const notificationService = require('./NotificationService');
+const { getDutyConfigService } = require('./DutyConfigService');
+const { getMemberCacheService } = require('./MemberCacheService');
+const { getRoleArchiveService } = require('./RoleArchiveService');
+const { AuditLog, DutySession, DutyActivityEvent, RoleArchive } = require('../database/models');
+
+const { DISCORD_ROLES, getAllAdminRoles, getAllStaffRoles } = loadConfig('discordRoles');
+
+const logger = createServiceLogger('StaffInactivityService');
+
+// Button prefixes on the leadership report (suffixed with the staff member's Discord ID)
+const STAFF_INACTIVE_MARK_PREFIX = 'staff_inactive_mark_';
+const STAFF_INACTIVE_RESTORE_PREFIX = 'staff_inactive_restore_';
+
+// Archive removal reason used for inactive staff (see RoleArchive)
+const INACTIVE_REASON = 'inactive';
+
+// Off-duty events that count as activity alongside duty sessions
+const ACTIVITY_EVENT_TYPES = ['voice_session', 'ticket_response'];
+
+// Staff tiers, highest first. A member is judged by the highest tier they hold;
+// each tier's threshold comes from inactivity_days_<key>.
+const STAFF_TIERS = [
+  { key: 'admin', label: 'Admin', getRoles: () => getAllAdminRoles() },
+  { key: 'moderator', label: 'Moderator', getRoles: () => [DISCORD_ROLES.MODERATOR_T1, DISCORD_ROLES.MODERATOR_T2].filter(Boolean) },
+  { key: 'staff', label: 'Staff', getRoles: () => [DISCORD_ROLES.STAFF].filter(Boolean) }
+];
+
+// Discord allows 5 rows of 5 buttons per message
+const MAX_REPORT_BUTTONS = 25;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Finds staff with no recent duty sessions, voice time or ticket responses and lets
+ * leadership act on them.
+ * - Every inactivity_report_interval_days a report is posted to STAFF_INACTIVITY with a
+ *   Mark Inactive button per staff member
+ * - Marking inactive archives the member's staff roles through RoleArchiveService and
+ *   removes them; Restore puts them back from that archive
+ * Each step is written to the audit log and the affected member is told by DM.
+ */
+class StaffInactivityService {
+  constructor(client) {
+    this.client = client;
+    this.configService = getDutyConfigService();
+
+    this.checkInterval = null;
+    this.CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    logger.info('Initializing StaffInactivityService');
+
+    this.checkInterval = setInterval(async () => {
+      await this.checkReport();
+    }, this.CHECK_INTERVAL_MS);
+
+    this.initialized = true;
+    logger.info('StaffInactivityService initialized', { checkIntervalMinutes: this.CHECK_INTERVAL_MS / 60000 });
+  }
+
+  shutdown() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    this.initialized = false;
+    logger.info('StaffInactivityService shutdown');
+  }
+
+  /**
+   * Post the inactive staff report if the last one is older than the report interval
+   * The audit log entry written for each posted report doubles as the schedule marker.
+   */
+  async checkReport(guildId = process.env.DISCORD_GUILD_ID) {
+    try {
+      const settings = await this.configService.getInactivitySettings(guildId);
+      if (!settings.reportsEnabled) return;
+
+      const lastReport = await AuditLog.findOne({
+        where: {
+          actionType: 'STAFF_INACTIVITY_REPORT',
+          guildId,
+          createdAt: { [Op.gte]: new Date(Date.now() - settings.reportIntervalDays * DAY_MS) }
+        }
+      });
+      if (lastReport) return;
+
+      const inactive = await this.findInactiveStaff(guildId);
+      const posted = await this.postReport(inactive);
+
+      // Without a marker the next check retries, so a failed post isn't skipped for a whole interval
+      if (!posted) {
+        logger.warn('Inactive staff report could not be posted', { guildId, inactive: inactive.length });
+        return;
+      }
+
+      await AuditLog.logAction({
+        actionType: 'STAFF_INACTIVITY_REPORT',
+        actorType: 'system',
+        actorId: 'system',
+        actorName: 'StaffInactivityService',
+        targetType: 'guild',
+        targetId: guildId,
+        guildId,
+        description: `Inactive staff report: ${inactive.length} staff member(s) with no recent activity`,
+        metadata: {
+          inactive: inactive.map(entry => ({
+            discordUserId: entry.discordUserId,
+            tier: entry.tier,
+            daysInactive: entry.daysInactive
+          })),
+          tierDays: settings.tierDays
+        },
+        success: true,
+        severity: 'info'
+      });
+
+      logger.info('Inactive staff report sent', { guildId, inactive: inactive.length });
+    } catch (error) {
+      logger.error('Error checking inactive staff report', { error: error.message });
+    }
+  }
+
+  /**
+   * Staff whose last duty session, voice session or ticket response is older than
+   * their tier's threshold, longest inactive first
+   * Staff with no recorded activity at all are measured from when they joined the guild.
+   * @returns {Promise<Object[]>}
+   */
+  async findInactiveStaff(guildId = process.env.DISCORD_GUILD_ID) {
+    const { tierDays } = await this.configService.getInactivitySettings(guildId);
+
+    const guild = await this.client.guilds.fetch(guildId);
+    const staffMembers = await getMemberCacheService().getMembersByRole(guild, getAllStaffRoles());
+
+    const lastSessions = await DutySession.getLastSessionByUser(guildId);
+    const lastEvents = await DutyActivityEvent.getLastActivityByUser(guildId, ACTIVITY_EVENT_TYPES);
+
+    const now = Date.now();
+    const inactive = [];
+
+    for (const [memberId, member] of staffMembers) {
+      if (member.user?.bot) continue;
+
+      const tier = this.getTier(member);
+      const thresholdDays = tier ? tierDays[tier.key] : 0;
+      if (!thresholdDays || thresholdDays <= 0) continue;
+
+      const lastSessionAt = lastSessions.get(memberId) || null;
+      const lastEventAt = lastEvents.get(memberId) || null;
+      const lastActivityAt = lastSessionAt && lastEventAt
+        ? new Date(Math.max(lastSessionAt.getTime(), lastEventAt.getTime()))
+        : lastSessionAt || lastEventAt;
+
+      const since = lastActivityAt || member.joinedAt;
+      if (!since) continue;
+
+      const daysInactive = Math.floor((now - since.getTime()) / DAY_MS);
+      if (daysInactive < thresholdDays) continue;
+
+      inactive.push({
+        discordUserId: memberId,
+        username: member.user.username,
+        displayName: member.displayName,
+        tier: tier.key,
+        tierLabel: tier.label,
+        thresholdDays,
+        lastActivityAt,
+        daysInactive
+      });
+    }
+
+    inactive.sort((a, b) => b.daysInactive - a.daysInactive);
+    return inactive;
+  }
+
+  /**
+   * Staff currently archived as inactive and still restorable
+   * @returns {Promise<Object[]>}
+   */
+  async getArchivedStaff() {
+    const archives = await RoleArchive.getActiveArchivesByReason(INACTIVE_REASON);
+
+    return archives.map(archive => ({
+      archiveId: archive.id,
+      discordUserId: archive.discord_user_id,
+      username: archive.discord_username,
+      displayName: archive.discord_display_name,
+      roles: archive.getRoleNames(),
+      markedInactiveAt: archive.created_at,
+      markedInactiveBy: archive.removed_by_username,
+      expiresAt: archive.expires_at
+    }));
+  }
+
+  getTier(member) {
+    return STAFF_TIERS.find(tier => tier.getRoles().some(roleId => member.roles.cache.has(roleId))) || null;
+  }
+
+  /**
+   * Post the report with a Mark Inactive button per staff member
+   * @returns {Promise<boolean>}
+   */
+  async postReport(inactive) {
+    if (inactive.length === 0) {
+      return notificationService.send('staff_inactivity', {
+        title: '🗓️ Inactive Staff Report',
+        description: 'All staff have recent duty sessions, voice time or ticket responses.',
+        colorType: 'success'
+      });
+    }
+
+    const lines = inactive.map(entry => {
+      const last = entry.lastActivityAt
+        ? `last active <t:${Math.floor(entry.lastActivityAt.getTime() / 1000)}:R>`
+        : 'no recorded activity';
+      return `<@${entry.discordUserId}> · ${entry.tierLabel} · ${entry.daysInactive}d (${last})`;
+    });
+
+    let description = `${inactive.length} staff member(s) have had no duty sessions, voice time or ticket responses past their tier's limit.\n\n`;
+    for (let i = 0; i < lines.length; i++) {
+      if (description.length + lines[i].length > 3800) {
+        description += `…and ${lines.length - i} more (see the dashboard)`;
+        break;
+      }
+      description += `${lines[i]}\n`;
+    }
+
+    const rows = [];
+    for (const entry of inactive.slice(0, MAX_REPORT_BUTTONS)) {
+      if (rows.length === 0 || rows[rows.length - 1].components.length === 5) {
+        rows.push(new ActionRowBuilder());
+      }
+      rows[rows.length - 1].addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${STAFF_INACTIVE_MARK_PREFIX}${entry.discordUserId}`)
+          .setLabel(`Mark ${entry.displayName}`.slice(0, 80))
+          .setStyle(ButtonStyle.Secondary)
+      );
+    }
+
+    return notificationService.send('staff_inactivity', {
+      title: '🗓️ Inactive Staff Report',
+      description,
+      colorType: 'warning',
+      components: rows
+    });
+  }
+
+  /**
+   * Archive and remove a staff member's staff roles
+   * @param {string} discordUserId
+   * @param {{userId: string, username: string}} actor - Leadership member taking the action
+   * @param {string} source - discord or dashboard
+   * @returns {Promise<{success: boolean, error?: string, roles?: Array, dmSent?: boolean}>}
+   */
+  async markInactive(discordUserId, actor, source, guildId = process.env.DISCORD_GUILD_ID) {
+    const guild = await this.client.guilds.fetch(guildId);
+    const member = await guild.members.fetch(discordUserId).catch(() => null);
+    if (!member) {
+      return { success: false, error: 'User is no longer in the server' };
+    }
+
+    const staffRoleIds = getAllStaffRoles();
+    const roles = member.roles.cache
+      .filter(role => staffRoleIds.includes(role.id))
+      .map(role => ({ id: role.id, name: role.name }));
+
+    if (roles.length === 0) {
+      return { success: false, error: 'User has no staff roles to archive' };
+    }
+
+    const { archiveDays } = await this.configService.getInactivitySettings(guildId);
+    const archiveResult = await getRoleArchiveService(this.client)
+      .archiveUserRoles(member, roles, INACTIVE_REASON, actor, archiveDays);
+
+    if (!archiveResult.success) {
+      return { success: false, error: archiveResult.error };
+    }
+
+    try {
+      await member.roles.remove(roles.map(role => role.id), `Marked inactive by ${actor.username}`);
+    } catch (error) {
+      // Nothing was removed, so don't leave an archive claiming otherwise
+      await archiveResult.archive.destroy();
+      logger.error('Failed to remove staff roles', { discordUserId, error: error.message });
+      return { success: false, error: `Failed to remove roles: ${error.message}` };
+    }
+
+    const dmSent = await this.notifyMember(member.user, {
+      title: 'Staff Status: Inactive',
+      description:
+        'You have been marked inactive on staff because there has been no recent duty, voice or ticket activity from you.\n\n' +
+        `Your staff roles (${roles.map(role => role.name).join(', ')}) have been removed and saved. ` +
+        `Reach out to leadership when you are ready to return and they can be restored for the next ${archiveDays} days.`,
+      color: 0xFFAA00
+    });
+
+    await AuditLog.logAction({
+      actionType: 'STAFF_MARKED_INACTIVE',
+      actorType: source === 'dashboard' ? 'dashboard_user' : 'discord_user',
+      actorId: actor.userId,
+      actorName: actor.username,
+      targetType: 'discord_user',
+      targetId: discordUserId,
+      targetName: member.user.username,
+      guildId,
+      description: `${actor.username} marked ${member.user.username} inactive and removed ${roles.length} staff role(s)`,
+      metadata: {
+        archiveId: archiveResult.archive.id,
+        roles,
+        source,
+        dmSent
+      },
+      success: true,
+      severity: 'warning'
+    });
+
+    logger.info('Staff member marked inactive', { discordUserId, actorId: actor.userId, source, roleCount: roles.length });
+
+    return { success: true, roles, dmSent };
+  }
+
+  /**
+   * Give a staff member back the roles archived when they were marked inactive
+   * @returns {Promise<{success: boolean, error?: string, restoredRoles?: Array, dmSent?: boolean}>}
+   */
+  async restore(discordUserId, actor, source, guildId = process.env.DISCORD_GUILD_ID) {
+    const archive = await RoleArchive.findActiveArchive(discordUserId, { reason: INACTIVE_REASON });
+    if (!archive) {
+      return { success: false, error: 'No restorable inactive archive for this user' };
+    }
+
+    const guild = await this.client.guilds.fetch(guildId);
+    const result = await getRoleArchiveService(this.client).restoreUserRoles(discordUserId, guild, actor.userId, {
+      reason: INACTIVE_REASON,
+      restoredByName: actor.username,
+      auditReason: `Restored from inactive by ${actor.username}`
+    });
+
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    const restoredNames = result.restoredRoles.map(role => role.name);
+    const user = await this.client.users.fetch(discordUserId).catch(() => null);
+    const dmSent = user
+      ? await this.notifyMember(user, {
+        title: 'Staff Status: Restored',
+        description: `Welcome back! Your staff roles (${restoredNames.join(', ')}) have been restored.`,
+        color: 0x00FF00
+      })
+      : false;
+
+    await AuditLog.logAction({
+      actionType: 'STAFF_RESTORED_ACTIVE',
+      actorType: source === 'dashboard' ? 'dashboard_user' : 'discord_user',
+      actorId: actor.userId,
+      actorName: actor.username,
+      targetType: 'discord_user',
+      targetId: discordUserId,
+      targetName: archive.discord_username,
+      guildId,
+      description: `${actor.username} restored ${archive.discord_username} from inactive (${restoredNames.length} role(s))`,
+      metadata: {
+        archiveId: archive.id,
+        restoredRoles: result.restoredRoles,
+        failedRoles: result.failedRoles || [],
+        source,
+        dmSent
+      },
+      success: !result.failedRoles?.length,
+      severity: 'info'
+    });
+
+    logger.info('Staff member restored from inactive', { discordUserId, actorId: actor.userId, source });
+
+    return { success: true, restoredRoles: result.restoredRoles, failedRoles: result.failedRoles || [], dmSent };
+  }
+
+  /**
+   * DM the affected member about their status change
+   * @returns {Promise<boolean>}
+   */
+  async notifyMember(user, { title, description, color }) {
+    try {
+      const embed = new EmbedBuilder()
+        .setColor(color)
+        .setTitle(title)
+        .setDescription(description)
+        .setTimestamp();
+
+      await user.send({ embeds: [embed] });
+      return true;
+    } catch (error) {
+      logger.debug('Could not DM staff status change', { discordUserId: user.id, error: error.message });
+      return false;
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getStaffInactivityService(client) {
+  if (!instance && client) {
+    instance = new StaffInactivityService(client);
+  }
+  return instance;
+}
+
+async function initializeStaffInactivityService(client) {
+  const service = getStaffInactivityService(client);
+  await service.initialize();
+  return service;
+}
+
+module.exports = {
+  StaffInactivityService,
+  getStaffInactivityService,
+  initializeStaffInactivityService,
+  STAFF_INACTIVE_MARK_PREFIX,
+  STAFF_INACTIVE_RESTORE_PREFIX
+};
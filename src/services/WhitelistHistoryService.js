@@ -0,0 +1,443 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { createServiceLogger } = require('../utils/logger');
+const { Whitelist, WhitelistSnapshot } = require('../database/models');
+const notificationService = require('./NotificationService');
+const { getConnectionConfigService } = require('./ConnectionConfigService');
+
+const logger = createServiceLogger('WhitelistHistoryService');
+
+const CAUSE_LABELS = {
+  baseline: 'First recorded version',
+  role_sync: 'Role sync',
+  squad_groups: 'Squad group change',
+  account_link: 'Account link',
+  member_left: 'Member left Discord',
+  grant: 'Whitelist grant',
+  revoke: 'Whitelist revoke',
+  expiry: 'Whitelist expiry',
+  other: 'Unattributed refresh'
+};
+
+// Explicit causes are kept long enough to cover the gap between sweeps
+const CAUSE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Expiry checks are one query per removed ID, so large batches are left unattributed
+const MAX_EXPIRY_CHECKS = 50;
+
+/**
+ * Hash of generated whitelist output, ignoring the Generated timestamp line
+ * Also used for the /combined ETag so both agree on what counts as a change.
+ */
+function hashWhitelistContent(content) {
+  const stable = content.replace(/^\/\/ Generated: .*\n/m, '');
+  return crypto.createHash('sha1').update(stable).digest('hex');
+}
+
+/**
+ * Parse Squad admin config text into group definitions and per-ID group lists
+ * @param {string} content
+ * @returns {{ groups: Object<string, string>, entries: Object<string, {groups: string[], name: string|null}> }}
+ */
+function parseWhitelistContent(content) {
+  const groups = {};
+  const entries = {};
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+
+    const groupMatch = line.match(/^Group=([^:]+):(.*)$/);
+    if (groupMatch) {
+      groups[groupMatch[1]] = groupMatch[2].trim();
+      continue;
+    }
+
+    const adminMatch = line.match(/^Admin=([^:\s]+):([^\s/]*)\s*(?:\/\/\s*(.*))?$/);
+    if (adminMatch) {
+      const [, id, groupName, comment] = adminMatch;
+      if (!entries[id]) {
+        entries[id] = { groups: [], name: comment?.trim() || null };
+      }
+      if (groupName && !entries[id].groups.includes(groupName)) {
+        entries[id].groups.push(groupName);
+      }
+    }
+  }
+
+  for (const entry of Object.values(entries)) {
+    entry.groups.sort();
+  }
+
+  return { groups, entries };
+}
+
+/**
+ * Differences between two parsed versions
+ * @returns {{ added: Array, removed: Array, changed: Array, groupsAdded: string[], groupsRemoved: string[], groupsChanged: Array }}
+ */
+function diffVersions(previous, current) {
+  const diff = { added: [], removed: [], changed: [], groupsAdded: [], groupsRemoved: [], groupsChanged: [] };
+
+  for (const [id, entry] of Object.entries(current.entries)) {
+    const before = previous.entries[id];
+    if (!before) {
+      diff.added.push({ id, groups: entry.groups, name: entry.name });
+    } else if (before.groups.join(',') !== entry.groups.join(',')) {
+      diff.changed.push({ id, name: entry.name || before.name, before: before.groups, after: entry.groups });
+    }
+  }
+  for (const [id, entry] of Object.entries(previous.entries)) {
+    if (!current.entries[id]) {
+      diff.removed.push({ id, groups: entry.groups, name: entry.name });
+    }
+  }
+
+  for (const [name, permissions] of Object.entries(current.groups)) {
+    if (!(name in previous.groups)) {
+      diff.groupsAdded.push(name);
+    } else if (previous.groups[name] !== permissions) {
+      diff.groupsChanged.push({ name, before: previous.groups[name], after: permissions });
+    }
+  }
+  for (const name of Object.keys(previous.groups)) {
+    if (!(name in current.groups)) {
+      diff.groupsRemoved.push(name);
+    }
+  }
+
+  return diff;
+}
+
+function isEmptyDiff(diff) {
+  return Object.values(diff).every(list => list.length === 0);
+}
+
+function formatCauses(causes) {
+  return causes
+    .map(cause => `${CAUSE_LABELS[cause.type] || cause.type}${cause.count > 1 ? ` ×${cause.count}` : ''}`)
+    .join(', ');
+}
+
+/**
+ * Whitelist version history
+ * Every distinct combined whitelist output is stored as a WhitelistSnapshot per scope
+ * (the shared /combined file and each server), with the diff from the previous version
+ * and what caused it. Causes come from invalidateCache callers (role sync, squad groups,
+ * account links) plus grants, revokes and expiries found in the whitelist table. A
+ * periodic sweep regenerates every scope so changes are captured even when no game
+ * server is pulling, and posts one Discord summary per batch of new versions.
+ */
+class WhitelistHistoryService {
+  constructor() {
+    this.whitelistService = null;
+    this.sweepInterval = null;
+    this.SWEEP_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+    this.latestHashes = new Map(); // scope key -> content hash of the latest snapshot
+    this.recording = new Map(); // scope key -> in-flight record promise
+    this.recentCauses = []; // { type, at }
+    this.unreported = []; // snapshots awaiting the Discord summary
+
+    this.initialized = false;
+  }
+
+  /**
+   * @param {WhitelistService} whitelistService - Used by the sweep to regenerate output
+   */
+  async initialize(whitelistService) {
+    if (this.initialized) return;
+
+    logger.info('Initializing WhitelistHistoryService');
+
+    this.whitelistService = whitelistService;
+    this.sweepInterval = setInterval(async () => {
+      await this.sweep();
+    }, this.SWEEP_INTERVAL_MS);
+
+    this.initialized = true;
+
+    await this.sweep();
+
+    logger.info('WhitelistHistoryService initialized');
+  }
+
+  shutdown() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+
+    this.initialized = false;
+    logger.info('WhitelistHistoryService shutdown');
+  }
+
+  /**
+   * Remember why the whitelist is about to change
+   * @param {string} type - See CAUSE_LABELS
+   */
+  noteCause(type) {
+    const now = Date.now();
+    this.recentCauses.push({ type, at: now });
+    this.recentCauses = this.recentCauses.filter(cause => now - cause.at < CAUSE_RETENTION_MS);
+  }
+
+  /**
+   * Store a new snapshot if the output differs from the latest one for its scope
+   * Calls for the same scope are serialised so concurrent pulls cannot create duplicate versions.
+   * @param {string|null} serverKey - NULL for the shared /combined file
+   * @param {string} content - Generated combined whitelist
+   * @returns {Promise<WhitelistSnapshot|null>}
+   */
+  recordVersion(serverKey, content) {
+    const scopeKey = serverKey || 'all';
+    const previous = this.recording.get(scopeKey) || Promise.resolve();
+
+    const next = previous
+      .then(() => this.recordVersionNow(serverKey, content))
+      .catch(error => {
+        logger.error('Failed to record whitelist version', { serverKey, error: error.message });
+        return null;
+      });
+
+    this.recording.set(scopeKey, next);
+    next.finally(() => {
+      if (this.recording.get(scopeKey) === next) {
+        this.recording.delete(scopeKey);
+      }
+    });
+    return next;
+  }
+
+  async recordVersionNow(serverKey, content) {
+    const scopeKey = serverKey || 'all';
+    const contentHash = hashWhitelistContent(content);
+    if (this.latestHashes.get(scopeKey) === contentHash) return null;
+
+    const latest = await WhitelistSnapshot.getLatest(serverKey);
+    if (latest && latest.content_hash === contentHash) {
+      this.latestHashes.set(scopeKey, contentHash);
+      return null;
+    }
+
+    const parsed = parseWhitelistContent(content);
+    let diff = null;
+    let causes = [{ type: 'baseline', count: 1 }];
+
+    if (latest) {
+      diff = diffVersions({ groups: latest.groups, entries: latest.entries }, parsed);
+      // Comment-only changes (e.g. a renamed player) don't change access
+      if (isEmptyDiff(diff)) {
+        this.latestHashes.set(scopeKey, contentHash);
+        return null;
+      }
+      causes = await this.attributeChanges(diff, latest.createdAt);
+    }
+
+    const snapshot = await WhitelistSnapshot.create({
+      server_key: serverKey,
+      version: latest ? latest.version + 1 : 1,
+      content_hash: contentHash,
+      entry_count: Object.keys(parsed.entries).length,
+      groups: parsed.groups,
+      entries: parsed.entries,
+      diff,
+      causes
+    });
+
+    this.latestHashes.set(scopeKey, contentHash);
+    if (diff) {
+      this.unreported.push(snapshot);
+    }
+
+    logger.info('Recorded whitelist version', {
+      serverKey,
+      version: snapshot.version,
+      added: diff?.added.length || 0,
+      removed: diff?.removed.length || 0,
+      changed: diff?.changed.length || 0
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Work out why a diff happened and tag added/removed IDs with their cause
+   * @param {Object} diff - Mutated: entries gain a cause field where one is found
+   * @param {Date} since - When the previous version was recorded
+   * @returns {Promise<Array<{type: string, count: number}>>}
+   */
+  async attributeChanges(diff, since) {
+    const counts = new Map();
+    const bump = (type) => counts.set(type, (counts.get(type) || 0) + 1);
+
+    for (const cause of this.recentCauses) {
+      if (cause.at > since.getTime()) bump(cause.type);
+    }
+
+    const ids = [...diff.added, ...diff.removed].map(entry => entry.id);
+    if (ids.length > 0) {
+      const rows = await Whitelist.findAll({
+        where: {
+          steamid64: ids,
+          source: { [Op.ne]: 'role' },
+          [Op.or]: [
+            { granted_at: { [Op.gt]: since } },
+            { revoked_at: { [Op.gt]: since } }
+          ]
+        },
+        attributes: ['steamid64', 'granted_at', 'revoked_at']
+      });
+
+      for (const entry of diff.added) {
+        if (rows.some(row => row.steamid64 === entry.id && row.granted_at > since)) {
+          entry.cause = 'grant';
+          bump('grant');
+        }
+      }
+
+      let expiryChecks = 0;
+      for (const entry of diff.removed) {
+        if (rows.some(row => row.steamid64 === entry.id && row.revoked_at > since)) {
+          entry.cause = 'revoke';
+          bump('revoke');
+        } else if (expiryChecks < MAX_EXPIRY_CHECKS) {
+          expiryChecks++;
+          const status = await Whitelist.getActiveWhitelistForUser(entry.id);
+          if (status.status === 'Expired') {
+            entry.cause = 'expiry';
+            bump('expiry');
+          }
+        }
+      }
+    }
+
+    if (counts.size === 0) {
+      return [{ type: 'other', count: 1 }];
+    }
+    return [...counts.entries()].map(([type, count]) => ({ type, count }));
+  }
+
+  /**
+   * Regenerate every scope, wait for the resulting versions and report new ones
+   */
+  async sweep() {
+    if (!this.whitelistService) return;
+
+    try {
+      const servers = await getConnectionConfigService().getServers();
+
+      for (const serverKey of [null, ...servers.map(s => s.serverKey)]) {
+        await this.whitelistService.getCombinedWhitelist(serverKey);
+      }
+
+      await Promise.all(this.recording.values());
+      await this.reportChanges();
+    } catch (error) {
+      logger.error('Whitelist history sweep failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Post one Discord summary for all versions recorded since the last report
+   * Scopes with an identical diff (e.g. a global grant) are merged into one field.
+   */
+  async reportChanges() {
+    if (this.unreported.length === 0) return;
+
+    const snapshots = this.unreported;
+    this.unreported = [];
+
+    const batches = new Map();
+    for (const snapshot of snapshots) {
+      const { added, removed, changed, groupsAdded, groupsRemoved, groupsChanged } = snapshot.diff;
+      const signature = JSON.stringify([
+        added.map(e => e.id), removed.map(e => e.id), changed.map(e => e.id),
+        groupsAdded, groupsRemoved, groupsChanged.map(g => g.name)
+      ]);
+      if (!batches.has(signature)) {
+        batches.set(signature, { diff: snapshot.diff, causes: snapshot.causes, scopes: [] });
+      }
+      batches.get(signature).scopes.push(`${snapshot.server_key || 'Global'} v${snapshot.version}`);
+    }
+
+    const describe = (entry) => `\`${entry.id}\`${entry.name ? ` ${entry.name}` : ''}`;
+    const fields = [];
+
+    for (const batch of batches.values()) {
+      const { diff } = batch;
+      const lines = [
+        ...diff.added.map(e => `+ ${describe(e)} → ${e.groups.join(', ') || 'no group'}`),
+        ...diff.removed.map(e => `- ${describe(e)}${e.cause ? ` (${CAUSE_LABELS[e.cause]})` : ''}`),
+        ...diff.changed.map(e => `~ ${describe(e)}: ${e.before.join(', ') || 'none'} → ${e.after.join(', ') || 'none'}`),
+        ...diff.groupsAdded.map(name => `+ Group ${name}`),
+        ...diff.groupsRemoved.map(name => `- Group ${name}`),
+        ...diff.groupsChanged.map(g => `~ Group ${g.name} permissions`)
+      ];
+
+      let value = `*${formatCauses(batch.causes)}*\n`;
+      for (let i = 0; i < lines.length; i++) {
+        if (value.length + lines[i].length > 950) {
+          value += `…and ${lines.length - i} more`;
+          break;
+        }
+        value += lines[i] + '\n';
+      }
+
+      fields.push({ name: batch.scopes.join(', ').slice(0, 256), value, inline: false });
+      if (fields.length === 25) break;
+    }
+
+    await notificationService.send('whitelist_change', {
+      title: '📜 Whitelist Changed',
+      description: `${snapshots.length} new whitelist version${snapshots.length === 1 ? '' : 's'} recorded. Full history is on the dashboard.`,
+      fields,
+      colorType: 'info'
+    });
+  }
+
+  /**
+   * Compare any two stored versions
+   * @returns {Promise<{ from: WhitelistSnapshot, to: WhitelistSnapshot, diff: Object }>}
+   */
+  async compareVersions(fromId, toId) {
+    const [from, to] = await Promise.all([
+      WhitelistSnapshot.findByPk(fromId),
+      WhitelistSnapshot.findByPk(toId)
+    ]);
+    if (!from || !to) {
+      throw new Error('Whitelist version not found');
+    }
+
+    return {
+      from,
+      to,
+      diff: diffVersions({ groups: from.groups, entries: from.entries }, { groups: to.groups, entries: to.entries })
+    };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getWhitelistHistoryService() {
+  if (!instance) {
+    instance = new WhitelistHistoryService();
+  }
+  return instance;
+}
+
+async function initializeWhitelistHistoryService(whitelistService) {
+  const service = getWhitelistHistoryService();
+  await service.initialize(whitelistService);
+  return service;
+}
+
+module.exports = {
+  WhitelistHistoryService,
+  getWhitelistHistoryService,
+  initializeWhitelistHistoryService,
+  hashWhitelistContent,
+  parseWhitelistContent,
+  diffVersions,
+  CAUSE_LABELS
+};
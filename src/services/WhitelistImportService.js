@@ -0,0 +1,444 @@
+const { Op } = require('sequelize');
+const { createServiceLogger } = require('../utils/logger');
+const { isValidSteamId } = require('../utils/steamId');
+const { sequelize } = require('../../config/database');
+const { Whitelist } = require('../database/models');
+
+const logger = createServiceLogger('WhitelistImportService');
+
+const IMPORT_FORMATS = ['csv', 'cfg'];
+const DURATION_TYPES = ['hours', 'days', 'months'];
+
+// Keeps a single import (and its preview) to a size one transaction handles comfortably
+const MAX_IMPORT_ROWS = 5000;
+
+// CSV header aliases -> field name
+const CSV_COLUMNS = {
+  steamid64: 'steamid64',
+  steamid: 'steamid64',
+  steam_id: 'steamid64',
+  username: 'username',
+  name: 'username',
+  discord_username: 'discord_username',
+  discord: 'discord_username',
+  reason: 'reason',
+  note: 'note',
+  comment: 'note',
+  group: 'group',
+  groupname: 'group',
+  duration_value: 'duration_value',
+  duration_type: 'duration_type',
+  expiration: 'expiration',
+  expires_at: 'expiration'
+};
+
+const EXPORT_CSV_COLUMNS = ['steamid64', 'username', 'discord_username', 'source', 'status', 'expiration', 'group'];
+
+/**
+ * Split one CSV line into fields
+ * Handles quoted fields with embedded commas and doubled quotes.
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Quote a CSV field when it needs it and escape values a spreadsheet would run as a formula
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Guess the format of pasted or uploaded content
+ * @param {string} content
+ * @returns {'csv'|'cfg'}
+ */
+function detectFormat(content) {
+  return /^\s*Admin=/m.test(content) ? 'cfg' : 'csv';
+}
+
+/**
+ * Parse CSV content. The first line must be a header with at least a steamid64 column.
+ * @param {string} content
+ * @returns {{ rows: Array, error?: string }}
+ */
+function parseCsv(content) {
+  // Excel saves UTF-8 CSVs with a byte order mark that would otherwise end up in the first header
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.trim() !== '');
+  if (headerIndex === -1) {
+    return { rows: [], error: 'File is empty' };
+  }
+
+  const header = splitCsvLine(lines[headerIndex]).map(name => CSV_COLUMNS[name.toLowerCase().replace(/\s+/g, '_')] || null);
+  if (!header.includes('steamid64')) {
+    return { rows: [], error: 'CSV header must include a steamid64 column' };
+  }
+
+  const rows = [];
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (lines[i].trim() === '') continue;
+
+    const values = splitCsvLine(lines[i]);
+    const row = { line: i + 1 };
+    header.forEach((field, index) => {
+      if (field && values[index] !== undefined && values[index] !== '') {
+        row[field] = values[index];
+      }
+    });
+    rows.push(row);
+  }
+
+  return { rows };
+}
+
+/**
+ * Parse Squad Admins.cfg style content: Admin=STEAMID:Group // comment
+ * Group= lines, comment lines and blank lines are skipped.
+ * @param {string} content
+ * @returns {{ rows: Array, error?: string }}
+ */
+function parseCfg(content) {
+  const rows = [];
+  const lines = content.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line.startsWith('Admin=')) continue;
+
+    const match = line.match(/^Admin=([^:\s]+):([^\s/]*)\s*(?:\/\/\s*(.*))?$/);
+    if (!match) {
+      rows.push({ line: i + 1, steamid64: line.slice('Admin='.length).split(':')[0], malformed: true });
+      continue;
+    }
+
+    const [, steamid64, group, comment] = match;
+    rows.push({
+      line: i + 1,
+      steamid64,
+      group: group || null,
+      username: comment?.trim() || null
+    });
+  }
+
+  return { rows };
+}
+
+/**
+ * Build the duration for a row: explicit duration, then a future expiration, then the defaults
+ * @returns {{ duration_value: number|null, duration_type: string|null, error?: string }}
+ */
+function resolveDuration(row, defaults) {
+  if (row.duration_value !== undefined || row.duration_type !== undefined) {
+    const value = parseInt(row.duration_value, 10);
+    const type = row.duration_type?.toLowerCase();
+    if (!value || value < 1 || !DURATION_TYPES.includes(type)) {
+      return { duration_value: null, duration_type: null, error: 'Invalid duration' };
+    }
+    return { duration_value: value, duration_type: type };
+  }
+
+  if (row.expiration) {
+    const expiresAt = new Date(row.expiration);
+    if (isNaN(expiresAt.getTime())) {
+      return { duration_value: null, duration_type: null, error: 'Invalid expiration date' };
+    }
+    const hours = Math.ceil((expiresAt.getTime() - Date.now()) / (60 * 60 * 1000));
+    if (hours < 1) {
+      return { duration_value: null, duration_type: null, error: 'Expiration is in the past' };
+    }
+    return { duration_value: hours, duration_type: 'hours' };
+  }
+
+  return { duration_value: defaults.durationValue || null, duration_type: defaults.durationValue ? defaults.durationType : null };
+}
+
+/**
+ * Steam IDs that already hold an active (unexpired or permanent) whitelist entry
+ * @param {string[]} steamIds
+ * @returns {Promise<Set<string>>}
+ */
+async function findActiveSteamIds(steamIds) {
+  if (steamIds.length === 0) return new Set();
+
+  const entries = await Whitelist.findAll({
+    where: {
+      steamid64: { [Op.in]: steamIds },
+      approved: true,
+      revoked: false
+    },
+    attributes: ['steamid64', 'granted_at', 'duration_value', 'duration_type']
+  });
+
+  const now = new Date();
+  const active = new Set();
+
+  for (const entry of entries) {
+    if (entry.duration_value === null && entry.duration_type === null) {
+      active.add(entry.steamid64);
+      continue;
+    }
+    if (entry.duration_value === 0) continue;
+
+    const expiration = new Date(entry.granted_at);
+    if (entry.duration_type === 'days') {
+      expiration.setDate(expiration.getDate() + entry.duration_value);
+    } else if (entry.duration_type === 'months') {
+      expiration.setMonth(expiration.getMonth() + entry.duration_value);
+    } else if (entry.duration_type === 'hours') {
+      expiration.setTime(expiration.getTime() + entry.duration_value * 60 * 60 * 1000);
+    }
+
+    if (expiration > now) {
+      active.add(entry.steamid64);
+    }
+  }
+
+  return active;
+}
+
+/**
+ * Bulk whitelist import from CSV or Admins.cfg lines, and export in the same formats.
+ * Imports are always previewed first: every row is validated with isValidSteamId and
+ * checked for duplicates within the file and against active entries. Committing
+ * re-runs the same checks and writes the valid rows in one transaction with
+ * source 'import', so a failure part way leaves nothing behind.
+ */
+class WhitelistImportService {
+  /**
+   * Parse and validate an import without writing anything
+   * @param {string} content - Raw CSV or cfg text
+   * @param {Object} [options]
+   * @param {string} [options.format] - csv or cfg (auto-detected when omitted)
+   * @param {number} [options.durationValue] - Default duration for rows without one (omit for permanent)
+   * @param {string} [options.durationType] - hours, days or months
+   * @returns {Promise<{ success: boolean, format?: string, rows?: Array, summary?: Object, error?: string }>}
+   */
+  async preview(content, { format = null, durationValue = null, durationType = null } = {}) {
+    if (!content || typeof content !== 'string' || content.trim() === '') {
+      return { success: false, error: 'No import content provided' };
+    }
+
+    const resolvedFormat = format || detectFormat(content);
+    if (!IMPORT_FORMATS.includes(resolvedFormat)) {
+      return { success: false, error: `Format must be one of: ${IMPORT_FORMATS.join(', ')}` };
+    }
+
+    if (durationValue && !DURATION_TYPES.includes(durationType)) {
+      return { success: false, error: `Default duration type must be one of: ${DURATION_TYPES.join(', ')}` };
+    }
+
+    const parsed = resolvedFormat === 'cfg' ? parseCfg(content) : parseCsv(content);
+    if (parsed.error) {
+      return { success: false, error: parsed.error };
+    }
+
+    if (parsed.rows.length === 0) {
+      return { success: false, error: 'No entries found' };
+    }
+
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      return { success: false, error: `Too many entries (${parsed.rows.length}). Split the import into batches of ${MAX_IMPORT_ROWS}.` };
+    }
+
+    const validIds = parsed.rows.map(row => row.steamid64).filter(isValidSteamId);
+    const activeIds = await findActiveSteamIds([...new Set(validIds)]);
+    const seen = new Set();
+
+    const rows = parsed.rows.map(row => {
+      const duration = resolveDuration(row, { durationValue, durationType });
+      const result = {
+        line: row.line,
+        steamid64: row.steamid64 || null,
+        username: row.username || null,
+        discord_username: row.discord_username || null,
+        group: row.group || null,
+        reason: row.reason || null,
+        note: row.note || null,
+        duration_value: duration.duration_value,
+        duration_type: duration.duration_type,
+        status: 'valid',
+        message: null
+      };
+
+      if (row.malformed) {
+        result.status = 'invalid';
+        result.message = 'Malformed Admin= line';
+      } else if (!isValidSteamId(row.steamid64)) {
+        result.status = 'invalid';
+        result.message = 'Invalid Steam ID64';
+      } else if (duration.error) {
+        result.status = 'invalid';
+        result.message = duration.error;
+      } else if (seen.has(row.steamid64)) {
+        result.status = 'duplicate';
+        result.message = 'Duplicate in import';
+      } else if (activeIds.has(row.steamid64)) {
+        result.status = 'duplicate';
+        result.message = 'Already has an active whitelist';
+      }
+
+      if (isValidSteamId(row.steamid64)) {
+        seen.add(row.steamid64);
+      }
+
+      return result;
+    });
+
+    const summary = {
+      total: rows.length,
+      valid: rows.filter(row => row.status === 'valid').length,
+      invalid: rows.filter(row => row.status === 'invalid').length,
+      duplicate: rows.filter(row => row.status === 'duplicate').length
+    };
+
+    return { success: true, format: resolvedFormat, rows, summary };
+  }
+
+  /**
+   * Import every valid row in a single transaction
+   * Invalid and duplicate rows are skipped; the preview result is returned alongside.
+   * @param {string} content
+   * @param {Object} options - Same as preview, plus reason
+   * @param {string} [options.reason] - Default reason for rows without one
+   * @param {string} grantedBy - Discord user ID of the importer
+   * @returns {Promise<{ success: boolean, imported?: number, skipped?: number, entryIds?: number[], summary?: Object, error?: string }>}
+   */
+  async commit(content, options, grantedBy) {
+    const preview = await this.preview(content, options);
+    if (!preview.success) {
+      return preview;
+    }
+
+    const toImport = preview.rows.filter(row => row.status === 'valid');
+    if (toImport.length === 0) {
+      return { success: false, error: 'No valid new entries to import', summary: preview.summary };
+    }
+
+    const defaultReason = options.reason?.trim() || 'Bulk import';
+
+    const entries = await sequelize.transaction(async (transaction) => {
+      const created = [];
+      for (const row of toImport) {
+        created.push(await Whitelist.grantWhitelist({
+          steamid64: row.steamid64,
+          username: row.username,
+          discord_username: row.discord_username,
+          reason: row.reason || defaultReason,
+          note: row.note,
+          duration_value: row.duration_value,
+          duration_type: row.duration_type,
+          granted_by: grantedBy,
+          source: 'import',
+          metadata: {
+            import_format: preview.format,
+            import_line: row.line,
+            import_group: row.group
+          },
+          transaction
+        }));
+      }
+      return created;
+    });
+
+    logger.info('Whitelist import committed', {
+      format: preview.format,
+      imported: entries.length,
+      skipped: preview.rows.length - entries.length,
+      grantedBy
+    });
+
+    return {
+      success: true,
+      format: preview.format,
+      imported: entries.length,
+      skipped: preview.rows.length - entries.length,
+      entryIds: entries.map(entry => entry.id),
+      summary: preview.summary
+    };
+  }
+
+  /**
+   * Format whitelisted players (as returned by the whitelist list API) for export
+   * @param {Array} players
+   * @param {'csv'|'cfg'} format
+   * @returns {string}
+   */
+  format(players, format) {
+    if (format === 'cfg') {
+      return players.map(player => {
+        const name = player.username || player.discord_username;
+        return `Admin=${player.steamid64}:${player.groupName || 'whitelisted'}${name ? ` // ${name}` : ''}`;
+      }).join('\n') + '\n';
+    }
+
+    const lines = [EXPORT_CSV_COLUMNS.join(',')];
+    for (const player of players) {
+      lines.push([
+        player.steamid64,
+        player.username,
+        player.discord_username,
+        player.source,
+        player.status,
+        player.expiration,
+        player.groupName
+      ].map(csvField).join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getWhitelistImportService() {
+  if (!instance) {
+    instance = new WhitelistImportService();
+  }
+  return instance;
+}
+
+module.exports = {
+  WhitelistImportService,
+  getWhitelistImportService,
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS
+};
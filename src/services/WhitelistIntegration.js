@@ -132,7 +132,7 @@ async function setupWhitelistRoutes(app, _sequelize, logger, discordClient) {
   const connectionManager = new SquadJSConnectionManager(logger, whitelistConfig);
   const squadJSService = new SquadJSLinkingService(logger, discordClient, whitelistConfig, whitelistService, connectionManager);
   const playtimeTrackingService = new PlaytimeTrackingService(logger, connectionManager);
-  const inGameCommandService = new InGameCommandService(connectionManager, whitelistConfig);
+  const inGameCommandService = new InGameCommandService(connectionManager, whitelistConfig, whitelistService);
   const dutySquadJSTrackingService = initializeDutySquadJSTrackingService(connectionManager, discordClient);
 
   // Register live reload: when servers change in DB, update connections
@@ -3,6 +3,7 @@ const { InteractivePost } = require('../database/models');
 const environment = require('../utils/environment');
 const { createServiceLogger } = require('../utils/logger');
 const { BUTTON_IDS } = require('../handlers/buttonInteractionHandler');
+const { BAN_APPEAL_BUTTON_ID } = require('./BanAppealService');
 const { getEnabledButtonsForPost } = require('../api/v1/infoButtons');
 
 // Use getter to always get fresh config after reloads
@@ -217,6 +218,11 @@ class WhitelistPostService {
           name: 'View Whitelist Status',
           value: 'Check your current whitelist status, expiration date, and days remaining.',
           inline: false
+        },
+        {
+          name: 'Appeal a Ban',
+          value: 'Banned from our servers? Submit an appeal for staff to review.',
+          inline: false
         }
       ],
       timestamp: new Date().toISOString(),
@@ -243,7 +249,12 @@ class WhitelistPostService {
           .setCustomId(BUTTON_IDS.STATUS)
           .setLabel('View Whitelist Status')
           .setStyle(ButtonStyle.Secondary)
-          .setEmoji('📋')
+          .setEmoji('📋'),
+        new ButtonBuilder()
+          .setCustomId(BAN_APPEAL_BUTTON_ID)
+          .setLabel('Appeal a Ban')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('⚖️')
       );
 
     // Row 2+: Info buttons (dynamically loaded from database)
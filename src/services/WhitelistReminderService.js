@@ -0,0 +1,275 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const { Op } = require('sequelize');
+const { createServiceLogger } = require('../utils/logger');
+const { loadConfig } = require('../utils/environment');
+const { getServerPopulation } = require('./CoverageSnapshotService');
+const { Whitelist, WhitelistReminder, PlayerDiscordLink, UserPreference } = require('../database/models');
+
+const { MESSAGE_LINKS } = loadConfig('channels');
+
+const logger = createServiceLogger('WhitelistReminderService');
+
+// Button on the reminder DM that turns reminders off for the user
+const WHITELIST_REMINDER_OPTOUT_ID = 'whitelist_reminder_optout';
+
+// Reminder windows, most urgent last. Only the most urgent window a player is in is sent,
+// so a bot that was offline for a day doesn't send the 7-day and 1-day reminders together.
+const REMINDER_WINDOWS = [
+  { threshold: '7d', ms: 7 * 24 * 60 * 60 * 1000, label: '7 days' },
+  { threshold: '1d', ms: 24 * 60 * 60 * 1000, label: '24 hours' },
+  { threshold: '1h', ms: 60 * 60 * 1000, label: '1 hour' }
+];
+
+/**
+ * Whether a user has turned whitelist reminders off
+ * Reminders are on unless preferences.notifications.whitelistReminders is false.
+ * @param {string} discordUserId
+ * @returns {Promise<boolean>}
+ */
+async function hasOptedOut(discordUserId) {
+  const pref = await UserPreference.findOne({ where: { discord_user_id: discordUserId } });
+  return pref?.preferences?.notifications?.whitelistReminders === false;
+}
+
+/**
+ * Reminds players before a donation or seeding whitelist runs out.
+ * Every check:
+ * - Finds Steam IDs with active donation/seeding entries
+ * - Works out their stacked expiry (all entries, like the whitelist itself)
+ * - Sends the most urgent reminder window they are in, once per expiry time
+ * Reminders go to the linked Discord user by DM, and as an in-game warn if the
+ * player is currently online.
+ */
+class WhitelistReminderService {
+  constructor(client) {
+    this.client = client;
+
+    this.checkInterval = null;
+    this.CHECK_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    logger.info('Initializing WhitelistReminderService');
+
+    this.checkInterval = setInterval(async () => {
+      await this.checkExpiringWhitelists();
+    }, this.CHECK_INTERVAL_MS);
+
+    this.initialized = true;
+    logger.info('WhitelistReminderService initialized', { checkIntervalMinutes: this.CHECK_INTERVAL_MS / 60000 });
+  }
+
+  shutdown() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    this.initialized = false;
+    logger.info('WhitelistReminderService shutdown');
+  }
+
+  /**
+   * Steam IDs with an active donation or seeding entry that ends within the widest window
+   * An entry's own expiry is never later than the stacked expiry, so this only narrows
+   * the list - the stacked expiry is checked per player afterwards.
+   * @returns {Promise<string[]>}
+   */
+  async findCandidates() {
+    const entries = await Whitelist.findAll({
+      where: {
+        approved: true,
+        revoked: false,
+        duration_value: { [Op.gt]: 0 },
+        duration_type: { [Op.ne]: null },
+        [Op.or]: [
+          { source: { [Op.in]: ['donation', 'seeding'] } },
+          { granted_by: 'seeding-system' }
+        ]
+      },
+      attributes: ['steamid64', 'granted_at', 'duration_value', 'duration_type']
+    });
+
+    const now = Date.now();
+    const horizon = now + REMINDER_WINDOWS[0].ms;
+    const candidates = new Set();
+
+    for (const entry of entries) {
+      const expiration = new Date(entry.granted_at);
+      if (entry.duration_type === 'days') {
+        expiration.setDate(expiration.getDate() + entry.duration_value);
+      } else if (entry.duration_type === 'months') {
+        expiration.setMonth(expiration.getMonth() + entry.duration_value);
+      } else if (entry.duration_type === 'hours') {
+        expiration.setTime(expiration.getTime() + entry.duration_value * 60 * 60 * 1000);
+      }
+
+      if (expiration.getTime() > now && expiration.getTime() <= horizon) {
+        candidates.add(entry.steamid64);
+      }
+    }
+
+    return [...candidates];
+  }
+
+  /**
+   * Find expiring whitelists and send any reminders that are due
+   */
+  async checkExpiringWhitelists() {
+    try {
+      const candidates = await this.findCandidates();
+      if (candidates.length === 0) return;
+
+      const onlineServers = new Map();
+      for (const server of getServerPopulation()) {
+        for (const steamId of server.steamIds) {
+          onlineServers.set(steamId, server.serverId);
+        }
+      }
+
+      let sent = 0;
+      for (const steamid64 of candidates) {
+        if (await this.remindPlayer(steamid64, onlineServers.get(steamid64) || null)) {
+          sent++;
+        }
+      }
+
+      if (sent > 0) {
+        logger.info('Whitelist expiry reminders sent', { candidates: candidates.length, sent });
+      }
+    } catch (error) {
+      logger.error('Error checking expiring whitelists', { error: error.message });
+    }
+  }
+
+  /**
+   * Send the due reminder for one player, if any
+   * @param {string} steamid64
+   * @param {string|null} onlineServerId - Server the player is on right now
+   * @returns {Promise<boolean>} Whether a reminder was sent
+   */
+  async remindPlayer(steamid64, onlineServerId) {
+    const status = await Whitelist.getActiveWhitelistForUser(steamid64);
+    if (!status.hasWhitelist || !status.expiration) return false;
+
+    const expiresAt = new Date(status.expiration);
+    const remainingMs = expiresAt.getTime() - Date.now();
+    if (remainingMs <= 0) return false;
+
+    const window = [...REMINDER_WINDOWS].reverse().find(w => remainingMs <= w.ms);
+    if (!window) return false;
+
+    // Prefer the primary link, then the most confident one
+    const link = await PlayerDiscordLink.findOne({
+      where: { steamid64 },
+      order: [['is_primary', 'DESC'], ['confidence_score', 'DESC']]
+    });
+    const discordUserId = link?.discord_user_id || null;
+
+    if (discordUserId && await hasOptedOut(discordUserId)) {
+      return false;
+    }
+
+    const reminder = await WhitelistReminder.claim(steamid64, expiresAt, window.threshold, discordUserId);
+    if (!reminder) return false;
+
+    const dmSent = discordUserId ? await this.sendDM(discordUserId, steamid64, expiresAt, window) : false;
+    const ingameSent = onlineServerId ? this.sendInGameWarn(onlineServerId, steamid64, window) : false;
+
+    await reminder.update({ dm_sent: dmSent, ingame_sent: ingameSent });
+
+    logger.debug('Whitelist reminder processed', { steamid64, threshold: window.threshold, dmSent, ingameSent });
+    return dmSent || ingameSent;
+  }
+
+  /**
+   * DM the linked Discord user with renew and opt-out buttons
+   * @returns {Promise<boolean>}
+   */
+  async sendDM(discordUserId, steamid64, expiresAt, window) {
+    try {
+      const user = await this.client.users.fetch(discordUserId);
+
+      const embed = new EmbedBuilder()
+        .setColor(window.threshold === '7d' ? 0xFFA500 : 0xFF0000)
+        .setTitle('⏳ Your whitelist is expiring soon')
+        .setDescription(
+          `Your whitelist for Steam ID \`${steamid64}\` expires <t:${Math.floor(expiresAt.getTime() / 1000)}:R> ` +
+          `(<t:${Math.floor(expiresAt.getTime() / 1000)}:f>).\n\nDonate or seed our servers to keep your reserved slot.`
+        )
+        .setFooter({ text: `Reminder: less than ${window.label} left` })
+        .setTimestamp();
+
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setLabel('Renew / Donate')
+          .setStyle(ButtonStyle.Link)
+          .setURL(MESSAGE_LINKS.HOW_TO_DONATE),
+        new ButtonBuilder()
+          .setCustomId(WHITELIST_REMINDER_OPTOUT_ID)
+          .setLabel('Stop Reminders')
+          .setStyle(ButtonStyle.Secondary)
+      );
+
+      await user.send({ embeds: [embed], components: [row] });
+      return true;
+    } catch (error) {
+      // Users with DMs closed are expected - the in-game warn may still reach them
+      logger.debug('Could not DM whitelist reminder', { discordUserId, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Warn the player in-game
+   * @returns {boolean}
+   */
+  sendInGameWarn(serverId, steamid64, window) {
+    const connectionManager = global.whitelistServices?.connectionManager;
+    if (!connectionManager) return false;
+
+    return connectionManager.sendRCONWarn(
+      serverId,
+      steamid64,
+      `Your whitelist expires in less than ${window.label}. Donate or seed to keep your reserved slot!`
+    );
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getWhitelistReminderService(client) {
+  if (!instance && client) {
+    instance = new WhitelistReminderService(client);
+  }
+  return instance;
+}
+
+async function initializeWhitelistReminderService(client) {
+  const service = getWhitelistReminderService(client);
+  await service.initialize();
+  return service;
+}
+
+/**
+ * Turn whitelist expiry reminders on or off for a Discord user
+ * @param {string} discordUserId
+ * @param {boolean} enabled
+ */
+async function setRemindersEnabled(discordUserId, enabled) {
+  await UserPreference.updatePreferences(discordUserId, { notifications: { whitelistReminders: enabled } });
+  logger.info('Whitelist reminder preference updated', { discordUserId, enabled });
+}
+
+module.exports = {
+  WhitelistReminderService,
+  getWhitelistReminderService,
+  initializeWhitelistReminderService,
+  setRemindersEnabled,
+  WHITELIST_REMINDER_OPTOUT_ID
+};
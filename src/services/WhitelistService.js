@@ -1,8 +1,15 @@
-const { Whitelist, PlayerDiscordLink } = require('../database/models');
+const { Whitelist, PlayerDiscordLink, WhitelistPull } = require('../database/models');
 const { Op } = require('sequelize');
 
 const { squadGroups, getSquadGroupService } = require('../utils/environment');
 const WhitelistAuthorityService = require('./WhitelistAuthorityService');
+const { getBanService } = require('./BanService');
+const { getConnectionConfigService } = require('./ConnectionConfigService');
+const { getWhitelistHistoryService, hashWhitelistContent } = require('./WhitelistHistoryService');
+
+// Rejected pulls are written to the pull log at most once per IP and status in this window,
+// so a scanner or misconfigured server can't fill the table
+const REJECTED_PULL_LOG_INTERVAL_MS = 60 * 1000;
 
 class WhitelistService {
   constructor(logger, config, discordClient = null) {
@@ -11,7 +18,12 @@ class WhitelistService {
     this.discordClient = discordClient; // Optional Discord client
     this.cache = new Map();
     this.lastUpdate = new Map();
+    // Combined output per server key ('all' for the shared /combined file): key -> { content, time }
+    this.combinedCache = new Map();
+    // Last time a rejected pull was logged: `${ip}:${status}` -> timestamp
+    this.rejectedPullLog = new Map();
     this.cleanupIntervalId = null;
+    this.pullLogPruneIntervalId = null;
     this.prewarmTimeoutId = null;
 
     this.cacheRefreshSeconds = config.cache.refreshSeconds;
@@ -38,6 +50,11 @@ class WhitelistService {
     this.cleanupIntervalId = setInterval(() => {
       this.cleanupExpiredCache();
     }, this.cacheRefreshSeconds * 1000);
+
+    // Trim the whitelist pull log
+    this.pullLogPruneIntervalId = setInterval(() => {
+      this.prunePullLog();
+    }, 6 * 60 * 60 * 1000);
   }
 
   shutdown() {
@@ -45,12 +62,18 @@ class WhitelistService {
       clearInterval(this.cleanupIntervalId);
       this.cleanupIntervalId = null;
     }
+    if (this.pullLogPruneIntervalId) {
+      clearInterval(this.pullLogPruneIntervalId);
+      this.pullLogPruneIntervalId = null;
+    }
     if (this.prewarmTimeoutId) {
       clearTimeout(this.prewarmTimeoutId);
       this.prewarmTimeoutId = null;
     }
     this.cache.clear();
     this.lastUpdate.clear();
+    this.combinedCache.clear();
+    this.rejectedPullLog.clear();
     this.logger.info('WhitelistService shutdown complete');
   }
 
@@ -86,29 +109,37 @@ class WhitelistService {
     if (expiredKeys.length > 0) {
       this.logger.debug('Cleaned up expired cache entries', { count: expiredKeys.length });
     }
+
+    for (const [key, timestamp] of this.rejectedPullLog.entries()) {
+      if (now - timestamp >= REJECTED_PULL_LOG_INTERVAL_MS) {
+        this.rejectedPullLog.delete(key);
+      }
+    }
   }
 
-  async getCachedWhitelist(type) {
+  async getCachedWhitelist(type, serverId = null) {
     const now = Date.now();
-    const lastUpdateTime = this.lastUpdate.get(type) || 0;
+    const cacheKey = serverId ? `${type}:${serverId}` : type;
+    const lastUpdateTime = this.lastUpdate.get(cacheKey) || 0;
     
-    if (this.cache.has(type) && (now - lastUpdateTime) < (this.cacheRefreshSeconds * 1000)) {
+    if (this.cache.has(cacheKey) && (now - lastUpdateTime) < (this.cacheRefreshSeconds * 1000)) {
       if (this.logCacheHits) {
-        this.logger.debug('Serving cached whitelist', { type, age: now - lastUpdateTime });
+        this.logger.debug('Serving cached whitelist', { type, serverId, age: now - lastUpdateTime });
       }
-      return this.cache.get(type);
+      return this.cache.get(cacheKey);
     }
 
-    this.logger.info('Refreshing whitelist cache', { type });
+    this.logger.info('Refreshing whitelist cache', { type, serverId });
     
     try {
-      let entries = await Whitelist.getActiveEntries(type);
+      let entries = await Whitelist.getActiveEntries(type, serverId);
       
       // For staff whitelist, filter by confidence score
       if (type === 'staff') {
+        const originalCount = entries.length;
         entries = await this.filterByConfidence(entries, 1.0);
         this.logger.info('Filtered staff whitelist by confidence', { 
-          originalCount: (await Whitelist.getActiveEntries(type)).length,
+          originalCount,
           filteredCount: entries.length,
           requiredConfidence: 1.0
         });
@@ -118,22 +149,23 @@ class WhitelistService {
       
       const formattedContent = await this.formatWhitelistContent(entries);
       
-      this.cache.set(type, formattedContent);
-      this.lastUpdate.set(type, now);
+      this.cache.set(cacheKey, formattedContent);
+      this.lastUpdate.set(cacheKey, now);
       
       this.logger.info('Whitelist cache updated', { 
         type, 
+        serverId,
         entryCount: entries.length,
         contentLength: formattedContent.length
       });
       
       return formattedContent;
     } catch (error) {
-      this.logger.error('Failed to refresh whitelist cache', { type, error: error.message });
+      this.logger.error('Failed to refresh whitelist cache', { type, serverId, error: error.message });
       
-      if (this.cache.has(type)) {
-        this.logger.warn('Serving stale cache due to error', { type });
-        return this.cache.get(type);
+      if (this.cache.has(cacheKey)) {
+        this.logger.warn('Serving stale cache due to error', { type, serverId });
+        return this.cache.get(cacheKey);
       }
       
       throw error;
@@ -324,43 +356,38 @@ class WhitelistService {
     return entry.steamid64;
   }
 
-  async getCombinedWhitelist() {
+  /**
+   * Build the Admins.cfg-style combined output
+   * @param {string|null} serverId - Server key to tailor for. Without one, only grants and
+   *   groups that apply to every server are included.
+   */
+  async getCombinedWhitelist(serverId = null) {
     // Check if we have a valid cached version
     const now = Date.now();
-    if (this.combinedCache && (now - this.combinedCacheTime) < (this.cacheRefreshSeconds * 1000)) {
+    const cacheKey = serverId || 'all';
+    const cached = this.combinedCache.get(cacheKey);
+    if (cached && (now - cached.time) < (this.cacheRefreshSeconds * 1000)) {
       if (this.logCacheHits) {
-        this.logger.debug('Serving cached combined whitelist', { age: now - this.combinedCacheTime });
+        this.logger.debug('Serving cached combined whitelist', { serverId, age: now - cached.time });
       }
-      return this.combinedCache;
+      return cached.content;
     }
 
     // Generate new combined whitelist
-    this.logger.info('Refreshing combined whitelist cache');
+    this.logger.info('Refreshing combined whitelist cache', { serverId });
 
     try {
-      // Get all whitelist data sources (without group definitions to avoid duplication)
-      // Only use role-based cache if it's been initialized, otherwise skip role-based sections for performance
-      const useRoleBasedCache = this.roleBasedCache && this.roleBasedCache.isReady();
-
-      let staffContent, membersContent;
+      const squadGroupService = getSquadGroupService();
+      const outOfScopeGroups = await this.getOutOfScopeGroups(serverId);
 
-      if (useRoleBasedCache) {
-        // Use fast role-based cache
-        [staffContent, membersContent] = await Promise.all([
-          this.roleBasedCache.getCachedStaffWithoutGroups(),
-          this.roleBasedCache.getCachedMembersWithoutGroups()
-        ]);
-      } else {
-        // Role-based cache not available - fetch role-based entries from database
-        this.logger.debug('Role-based cache not ready, fetching role-based entries from database');
-        [staffContent, membersContent] = await Promise.all([
-          this.getRoleBasedStaffContent(),
-          this.getRoleBasedMembersContent()
-        ]);
-      }
+      // Get all whitelist data sources (without group definitions to avoid duplication)
+      const [staffContent, membersContent] = await Promise.all([
+        this.getRoleBasedStaffContent(serverId, outOfScopeGroups),
+        this.getRoleBasedMembersContent(serverId, outOfScopeGroups)
+      ]);
 
       // Always get database whitelist (this is already fast due to our optimizations)
-      const generalContent = await this.getCachedWhitelist('whitelist');
+      const generalContent = await this.getCachedWhitelist('whitelist', serverId);
 
       // Build comprehensive whitelist with group definitions first
       let combinedContent = '';
@@ -368,6 +395,9 @@ class WhitelistService {
       // Header comment
       combinedContent += '//////////////////////////////////\n';
       combinedContent += '// Comprehensive Squad Whitelist\n';
+      if (serverId) {
+        combinedContent += '// Server: ' + serverId + '\n';
+      }
       combinedContent += '// Generated: ' + new Date().toISOString() + '\n';
       combinedContent += '//////////////////////////////////\n\n';
 
@@ -376,8 +406,8 @@ class WhitelistService {
 
       // Try to get group definitions from database service
       try {
-        const squadGroupService = getSquadGroupService();
-        const roleConfigs = await squadGroupService.getAllRoleConfigs();
+        const roleConfigs = (await squadGroupService.getAllRoleConfigs())
+          .filter(config => !outOfScopeGroups.has(config.groupName));
 
         // Enrich with Discord role position if client available
         let enrichedConfigs = roleConfigs;
@@ -447,70 +477,293 @@ class WhitelistService {
       combinedContent += '//////////////////////////////////\n';
 
       // Update cache
-      this.combinedCache = combinedContent;
-      this.combinedCacheTime = now;
+      this.combinedCache.set(cacheKey, { content: combinedContent, time: now });
+
+      // Version history - stores a snapshot only when the output actually changed
+      getWhitelistHistoryService().recordVersion(serverId, combinedContent);
 
       this.logger.info('Combined whitelist cache updated', {
+        serverId,
         contentLength: combinedContent.length
       });
 
       return combinedContent;
 
     } catch (error) {
-      this.logger.error('Failed to generate combined whitelist', { error: error.message });
+      this.logger.error('Failed to generate combined whitelist', { serverId, error: error.message });
 
       // If we have stale cache, use it
-      if (this.combinedCache) {
-        this.logger.warn('Serving stale combined cache due to error');
-        return this.combinedCache;
+      if (cached) {
+        this.logger.warn('Serving stale combined cache due to error', { serverId });
+        return cached.content;
       }
 
       return '//////////////////////////////////\n// Error generating whitelist\n//////////////////////////////////\n';
     }
   }
 
-  setupRoutes(app) {
+  /**
+   * Group names whose Squad group assignment is scoped away from a server
+   * A group name shared by several roles stays in scope if any of them applies.
+   * @param {string|null} serverId
+   * @returns {Promise<Set<string>>}
+   */
+  async getOutOfScopeGroups(serverId) {
+    const excluded = new Set();
+    const included = new Set();
 
-    // Combined comprehensive whitelist endpoint - all groups and users in one file
-    app.get('/combined', async (req, res) => {
-      try {
-        const content = await this.getCombinedWhitelist();
-        
-        res.set({
-          'Content-Type': 'text/plain; charset=utf-8',
-          'Cache-Control': `public, max-age=${this.cacheRefreshSeconds}`,
-          'X-Content-Length': content.length
-        });
-        res.send(content);
-        
-        if (this.logConnections) {
-          this.logger.info('Served combined whitelist', { 
-            ip: req.ip,
-            userAgent: req.get('User-Agent'),
-            contentLength: content.length
-          });
+    try {
+      const roleConfigs = await getSquadGroupService().getAllRoleConfigs();
+      for (const config of roleConfigs) {
+        if (Whitelist.isInServerScope(config.serverIds, serverId)) {
+          included.add(config.groupName);
+        } else {
+          excluded.add(config.groupName);
         }
-      } catch (error) {
-        this.logger.error('Failed to serve combined whitelist', { 
-          error: error.message,
-          ip: req.ip 
-        });
-        res.status(500).send('Internal Server Error');
       }
+    } catch (error) {
+      this.logger.warn('Failed to load group server scopes, treating all groups as global', { error: error.message });
+    }
+
+    for (const groupName of included) {
+      excluded.delete(groupName);
+    }
+    return excluded;
+  }
+
+  async prunePullLog() {
+    try {
+      const retentionDays = await getConnectionConfigService().getValue('whitelist_pull_log_retention_days') ?? 30;
+      const deleted = await WhitelistPull.pruneOlderThan(retentionDays);
+      if (deleted > 0) {
+        this.logger.info('Pruned whitelist pull log', { deleted, retentionDays });
+      }
+    } catch (error) {
+      this.logger.error('Failed to prune whitelist pull log', { error: error.message });
+    }
+  }
+
+  /**
+   * Decide whether a whitelist pull is allowed and which server made it
+   * The token comes from ?token= (Squad admin list URLs cannot set headers) or a Bearer header.
+   * A server with a pull token always requires it; servers without one are open unless
+   * whitelist_require_pull_token is enabled. On /combined the token identifies the server.
+   * /combined without a token therefore stays public (as it was before pull tokens) until
+   * whitelist_require_pull_token is turned on.
+   * @param {Request} req
+   * @param {string|null} serverId - Server key from the URL, null for /combined
+   * @returns {Promise<{ status: number, message?: string, server: Object|null }>}
+   */
+  async authorizePull(req, serverId = null) {
+    const configService = getConnectionConfigService();
+    const requireToken = await configService.getValue('whitelist_require_pull_token');
+    const authHeader = req.get('Authorization') || '';
+    const token = (typeof req.query.token === 'string' && req.query.token)
+      || (authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null);
+
+    let server = null;
+    if (serverId) {
+      const servers = await configService.getServers();
+      server = servers.find(s => s.serverKey === serverId) || null;
+      if (!server) {
+        return { status: 404, message: 'Unknown server', server: null };
+      }
+      if (server.pullTokenHash || requireToken) {
+        if (!configService.verifyPullToken(server, token)) {
+          return { status: 401, message: 'Invalid or missing pull token', server };
+        }
+      }
+    } else if (token) {
+      server = await configService.findServerByPullToken(token);
+      if (!server) {
+        return { status: 401, message: 'Invalid pull token', server: null };
+      }
+    } else if (requireToken) {
+      return { status: 401, message: 'Pull token required', server: null };
+    }
+
+    if (server && !configService.isPullIpAllowed(server, req.ip)) {
+      return { status: 403, message: 'Address not allowed', server };
+    }
+
+    return { status: 200, server };
+  }
+
+  /**
+   * ETag for whitelist content, ignoring the Generated timestamp so unchanged
+   * output keeps the same tag across cache refreshes
+   */
+  getContentETag(content) {
+    return '"' + hashWhitelistContent(content) + '"';
+  }
+
+  recordPull(req, serverKey, statusCode, etag = null) {
+    if (statusCode !== 200 && statusCode !== 304) {
+      const key = `${req.ip}:${statusCode}`;
+      const now = Date.now();
+      if (now - (this.rejectedPullLog.get(key) || 0) < REJECTED_PULL_LOG_INTERVAL_MS) {
+        return;
+      }
+      this.rejectedPullLog.set(key, now);
+    }
+
+    WhitelistPull.create({
+      server_key: serverKey,
+      path: req.path.slice(0, 100),
+      status_code: statusCode,
+      ip_address: req.ip || null,
+      user_agent: (req.get('User-Agent') || '').slice(0, 255) || null,
+      etag
+    }).catch(error => {
+      this.logger.warn('Failed to record whitelist pull', { serverKey, error: error.message });
     });
+  }
+
+  /**
+   * Send pulled content with its ETag, or 304 when the server already has this version
+   * @returns {{ etag: string, notModified: boolean }}
+   */
+  sendPullContent(req, res, content) {
+    const etag = this.getContentETag(content);
 
+    res.set({
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Cache-Control': `private, max-age=${this.cacheRefreshSeconds}`,
+      'ETag': etag
+    });
 
+    const ifNoneMatch = req.get('If-None-Match');
+    const notModified = !!ifNoneMatch && ifNoneMatch.split(',').some(tag => {
+      const value = tag.trim().replace(/^W\//, '');
+      return value === etag || value === '*';
+    });
 
+    if (notModified) {
+      res.status(304).end();
+    } else {
+      res.set('X-Content-Length', content.length);
+      res.send(content);
+    }
+
+    return { etag, notModified };
+  }
+
+  async serveCombined(req, res, serverId) {
+    try {
+      const access = await this.authorizePull(req, serverId);
+      const serverKey = access.server?.serverKey || null;
+
+      if (access.status !== 200) {
+        this.recordPull(req, serverKey, access.status);
+        this.logger.warn('Rejected whitelist pull', {
+          serverId: serverKey || serverId,
+          status: access.status,
+          reason: access.message,
+          ip: req.ip
+        });
+        return res.status(access.status).send(access.message);
+      }
+
+      // /combined/:serverId serves that server's scope; /combined stays global even with a token
+      const content = await this.getCombinedWhitelist(serverId ? serverKey : null);
+      const { etag, notModified } = this.sendPullContent(req, res, content);
+
+      this.recordPull(req, serverKey, notModified ? 304 : 200, etag);
+
+      if (this.logConnections) {
+        this.logger.info(notModified ? 'Combined whitelist not modified' : 'Served combined whitelist', {
+          serverId: serverKey,
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+          contentLength: notModified ? 0 : content.length
+        });
+      }
+    } catch (error) {
+      this.logger.error('Failed to serve combined whitelist', {
+        serverId,
+        error: error.message,
+        ip: req.ip
+      });
+      res.status(500).send('Internal Server Error');
+    }
+  }
+
+  /**
+   * Bans.cfg is authorized and logged like /combined: the same pull tokens, IP allowlists
+   * and whitelist_require_pull_token setting apply
+   */
+  async serveBans(req, res) {
+    try {
+      const access = await this.authorizePull(req, null);
+      const serverKey = access.server?.serverKey || null;
+
+      if (access.status !== 200) {
+        this.recordPull(req, serverKey, access.status);
+        this.logger.warn('Rejected bans pull', {
+          serverId: serverKey,
+          status: access.status,
+          reason: access.message,
+          ip: req.ip
+        });
+        return res.status(access.status).send(access.message);
+      }
+
+      const content = await getBanService().getBansCfg();
+      const { etag, notModified } = this.sendPullContent(req, res, content);
+
+      this.recordPull(req, serverKey, notModified ? 304 : 200, etag);
+
+      if (this.logConnections) {
+        this.logger.info(notModified ? 'Bans list not modified' : 'Served bans list', {
+          serverId: serverKey,
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+          contentLength: notModified ? 0 : content.length
+        });
+      }
+    } catch (error) {
+      this.logger.error('Failed to serve bans list', {
+        error: error.message,
+        ip: req.ip
+      });
+      res.status(500).send('Internal Server Error');
+    }
+  }
+
+  setupRoutes(app) {
+
+    // Combined comprehensive whitelist endpoint - all groups and users in one file
+    // Only includes grants and groups that apply to every server
+    app.get('/combined', (req, res) => this.serveCombined(req, res, null));
+
+    // Per-server combined whitelist - adds grants and groups scoped to this server
+    app.get('/combined/:serverId', (req, res) => this.serveCombined(req, res, req.params.serverId));
+
+    // Active local bans in Squad Bans.cfg format - pulled by game servers like /combined
+    app.get('/bans', (req, res) => this.serveBans(req, res));
 
     this.logger.info('Whitelist routes configured', {
-      paths: { combined: '/combined' }
+      paths: { combined: '/combined', combinedPerServer: '/combined/:serverId', bans: '/bans' }
     });
   }
 
-  async invalidateCache(type = null) {
+  /**
+   * @param {string|null} type - Cache type to drop, or null for all
+   * @param {string|null} cause - Why the whitelist changed, recorded in the version history
+   */
+  async invalidateCache(type = null, cause = null) {
+    if (cause) {
+      getWhitelistHistoryService().noteCause(cause);
+    }
+
     if (type) {
-      this.cache.delete(type);
-      this.lastUpdate.delete(type);
+      // Per-server entries are keyed `${type}:${serverId}`
+      for (const key of [...this.cache.keys()]) {
+        if (key === type || key.startsWith(`${type}:`)) {
+          this.cache.delete(key);
+          this.lastUpdate.delete(key);
+        }
+      }
       this.logger.info('Cache invalidated', { type });
     } else {
       this.cache.clear();
@@ -519,15 +772,16 @@ class WhitelistService {
     }
 
     // Always invalidate combined cache when any component changes
-    this.combinedCache = null;
-    this.combinedCacheTime = 0;
+    this.combinedCache.clear();
     this.logger.debug('Combined cache invalidated');
   }
 
   /**
-   * Get role-based staff entries from database (fallback when cache not available)
+   * Get role-based staff entries from database
+   * @param {string|null} serverId - Server key to scope to
+   * @param {Set<string>} outOfScopeGroups - Groups not assigned on this server
    */
-  async getRoleBasedStaffContent() {
+  async getRoleBasedStaffContent(serverId = null, outOfScopeGroups = new Set()) {
     try {
       const staffEntries = await Whitelist.findAll({
         where: {
@@ -539,7 +793,7 @@ class WhitelistService {
         order: [['role_name', 'ASC'], ['steamid64', 'ASC']]
       });
 
-      return this.formatRoleBasedEntries(staffEntries);
+      return this.formatRoleBasedEntries(this.filterRoleEntriesByScope(staffEntries, serverId, outOfScopeGroups));
     } catch (error) {
       this.logger.error('Failed to fetch role-based staff content', { error: error.message });
       return '';
@@ -547,9 +801,11 @@ class WhitelistService {
   }
 
   /**
-   * Get role-based member entries from database (fallback when cache not available)
+   * Get role-based member entries from database
+   * @param {string|null} serverId - Server key to scope to
+   * @param {Set<string>} outOfScopeGroups - Groups not assigned on this server
    */
-  async getRoleBasedMembersContent() {
+  async getRoleBasedMembersContent(serverId = null, outOfScopeGroups = new Set()) {
     try {
       const memberEntries = await Whitelist.findAll({
         where: {
@@ -561,13 +817,25 @@ class WhitelistService {
         order: [['steamid64', 'ASC']]
       });
 
-      return this.formatRoleBasedEntries(memberEntries);
+      return this.formatRoleBasedEntries(this.filterRoleEntriesByScope(memberEntries, serverId, outOfScopeGroups));
     } catch (error) {
       this.logger.error('Failed to fetch role-based members content', { error: error.message });
       return '';
     }
   }
 
+  /**
+   * Drop role-based entries whose group (or own scope) does not cover the server
+   * Role sync stores only each member's highest group, so a member whose highest
+   * group is scoped elsewhere gets no role-based line on this server.
+   */
+  filterRoleEntriesByScope(entries, serverId, outOfScopeGroups) {
+    return entries.filter(entry =>
+      !outOfScopeGroups.has(entry.role_name || 'Member') &&
+      Whitelist.isInServerScope(entry.server_ids, serverId)
+    );
+  }
+
   /**
    * Format role-based entries for whitelist output
    */
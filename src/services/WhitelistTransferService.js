@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { createServiceLogger } = require('../utils/logger');
+const { isValidSteamId } = require('../utils/steamId');
+const { sequelize } = require('../../config/database');
+const { config: whitelistConfig } = require('../../config/whitelist');
+const { Whitelist, AuditLog, Donation } = require('../database/models');
+
+const logger = createServiceLogger('WhitelistTransferService');
+
+// Minimum time between transfers out of the same Steam ID
+const TRANSFER_COOLDOWN_DAYS = whitelistConfig.transfer.cooldownDays;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Calculate when a whitelist entry expires on its own
+ * @param {Whitelist} entry
+ * @returns {Date|null} null for permanent entries
+ */
+function getEntryExpiration(entry) {
+  if (entry.duration_value == null || entry.duration_type == null) {
+    return null;
+  }
+
+  const grantedDate = new Date(entry.granted_at);
+  const expiration = new Date(grantedDate);
+
+  if (entry.duration_type === 'days') {
+    expiration.setDate(expiration.getDate() + entry.duration_value);
+  } else if (entry.duration_type === 'months') {
+    expiration.setMonth(expiration.getMonth() + entry.duration_value);
+  } else if (entry.duration_type === 'hours') {
+    expiration.setTime(grantedDate.getTime() + (entry.duration_value * 60 * 60 * 1000));
+  }
+
+  return expiration;
+}
+
+/**
+ * Moves the remaining duration of whitelist entries from one Steam ID to another.
+ * The source entries are revoked with a reference to the transfer, the target gets
+ * new entries for the time that was left, and a paired whitelist_transfer_out /
+ * whitelist_transfer_in audit record is written (linked by relatedActionId).
+ * Role-based entries are never transferred - they follow the Discord role.
+ */
+class WhitelistTransferService {
+  /**
+   * Active entries on a Steam ID that can be transferred, with the hours each one
+   * still holds
+   * Time left is taken from the stacked expiration (Whitelist.getActiveWhitelistForUser),
+   * which counts every duration from the earliest grant. The time already used is
+   * charged to the oldest entries first, so the hours across all entries add up to
+   * exactly what the player has left.
+   * @param {string} steamid64
+   * @returns {Promise<Array<{ entry: Whitelist, remainingHours: number|null }>>} null hours for permanent entries
+   */
+  async getTransferableEntries(steamid64) {
+    const entries = await Whitelist.findAll({
+      where: {
+        steamid64,
+        approved: true,
+        revoked: false,
+        source: { [Op.ne]: 'role' }
+      },
+      order: [['granted_at', 'ASC']]
+    });
+
+    const now = new Date();
+    const active = entries
+      .filter(entry => entry.duration_value !== 0)
+      .map(entry => ({ entry, expiration: getEntryExpiration(entry) }))
+      .filter(({ expiration }) => expiration === null || expiration > now);
+
+    const finite = active.filter(({ expiration }) => expiration !== null);
+    const remaining = new Map();
+
+    const { expiration: stackedExpiration } = await Whitelist.getActiveWhitelistForUser(steamid64);
+
+    if (stackedExpiration) {
+      const fullHours = finite.map(({ entry, expiration }) =>
+        Math.round((expiration.getTime() - new Date(entry.granted_at).getTime()) / HOUR_MS));
+      const totalFull = fullHours.reduce((sum, hours) => sum + hours, 0);
+      const totalLeft = Math.min(totalFull, Math.max(0, Math.ceil((stackedExpiration.getTime() - now.getTime()) / HOUR_MS)));
+
+      let used = totalFull - totalLeft;
+      finite.forEach(({ entry }, i) => {
+        const charged = Math.min(used, fullHours[i]);
+        used -= charged;
+        remaining.set(entry.id, fullHours[i] - charged);
+      });
+    } else {
+      // A permanent entry (or role) covers the account, so timed entries aren't
+      // stacking towards anything yet - each keeps the time left on it alone
+      for (const { entry, expiration } of finite) {
+        remaining.set(entry.id, Math.ceil((expiration.getTime() - now.getTime()) / HOUR_MS));
+      }
+    }
+
+    return active
+      .map(({ entry, expiration }) => ({ entry, remainingHours: expiration === null ? null : remaining.get(entry.id) }))
+      .filter(({ remainingHours }) => remainingHours === null || remainingHours > 0);
+  }
+
+  /**
+   * Whether a transfer would hand out a permanent entry
+   * @param {string} fromSteamId
+   * @param {number[]} [entryIds] - Entries to move (default: every transferable entry)
+   * @returns {Promise<boolean>}
+   */
+  async includesPermanent(fromSteamId, entryIds = null) {
+    const requested = entryIds?.length ? entryIds.map(id => parseInt(id, 10)) : null;
+    const candidates = await this.getTransferableEntries(fromSteamId);
+
+    return candidates.some(({ entry, remainingHours }) =>
+      remainingHours === null && (!requested || requested.includes(entry.id)));
+  }
+
+  /**
+   * When the source Steam ID may transfer again, if it is still on cooldown
+   * Read from the transferred_at stamp the transfer writes on the entries it moved.
+   * @param {string} steamid64
+   * @returns {Promise<Date|null>}
+   */
+  async getCooldownEnd(steamid64) {
+    const cooldownMs = TRANSFER_COOLDOWN_DAYS * 24 * HOUR_MS;
+    const since = new Date(Date.now() - cooldownMs);
+
+    const revokedEntries = await Whitelist.findAll({
+      where: {
+        steamid64,
+        revoked: true,
+        revoked_at: { [Op.gte]: since }
+      }
+    });
+
+    const lastTransfer = revokedEntries
+      .map(entry => entry.metadata?.transferred_at)
+      .filter(Boolean)
+      .map(value => new Date(value))
+      .sort((a, b) => b - a)[0];
+
+    if (!lastTransfer || lastTransfer < since) {
+      return null;
+    }
+
+    return new Date(lastTransfer.getTime() + cooldownMs);
+  }
+
+  /**
+   * Transfer whitelist entries to another Steam ID
+   * @param {Object} options
+   * @param {string} options.fromSteamId - Steam ID giving up the whitelist
+   * @param {string} options.toSteamId - Steam ID receiving it
+   * @param {number[]} [options.entryIds] - Entries to move (default: every transferable entry)
+   * @param {string} [options.reason] - Why the transfer was made
+   * @param {Object} actor - { actorType, actorId, actorName, guildId?, channelId? }
+   * @returns {Promise<{ success: boolean, transferId?: string, transferred?: Array, error?: string, cooldownEnds?: Date }>}
+   */
+  async transferWhitelist({ fromSteamId, toSteamId, entryIds = null, reason = null }, actor) {
+    if (!isValidSteamId(fromSteamId) || !isValidSteamId(toSteamId)) {
+      return { success: false, error: 'Invalid Steam ID64' };
+    }
+
+    if (fromSteamId === toSteamId) {
+      return { success: false, error: 'Source and target Steam IDs are the same' };
+    }
+
+    const cooldownEnds = await this.getCooldownEnd(fromSteamId);
+    if (cooldownEnds) {
+      return {
+        success: false,
+        error: `${fromSteamId} already transferred whitelist recently. Next transfer allowed after ${cooldownEnds.toISOString().slice(0, 10)}`,
+        cooldownEnds
+      };
+    }
+
+    let candidates = await this.getTransferableEntries(fromSteamId);
+
+    if (entryIds?.length) {
+      const requested = entryIds.map(id => parseInt(id, 10));
+      const missing = requested.filter(id => !candidates.some(({ entry }) => entry.id === id));
+      if (missing.length > 0) {
+        return { success: false, error: `Entries not transferable from ${fromSteamId}: ${missing.join(', ')}` };
+      }
+      candidates = candidates.filter(({ entry }) => requested.includes(entry.id));
+    }
+
+    if (candidates.length === 0) {
+      return { success: false, error: `No active non-role whitelist entries found for ${fromSteamId}` };
+    }
+
+    const transferId = crypto.randomUUID();
+    const now = new Date();
+
+    // All or nothing: a failed grant must not leave the source revoked with nothing in its place
+    const transferred = await sequelize.transaction(async (transaction) => {
+      const moved = [];
+
+      for (const { entry, remainingHours } of candidates) {
+        // Revoke first so a concurrent transfer can't move the same entry twice
+        const [revokedCount] = await Whitelist.update({
+          revoked: true,
+          revoked_by: actor.actorId,
+          revoked_reason: `Transferred to ${toSteamId} (transfer ${transferId})${reason ? `: ${reason}` : ''}`,
+          revoked_at: now
+        }, {
+          where: { id: entry.id, revoked: false },
+          transaction
+        });
+
+        if (revokedCount === 0) {
+          continue;
+        }
+
+        // Remaining time is granted in hours so partially used months carry over exactly
+        const newEntry = await Whitelist.grantWhitelist({
+          steamid64: toSteamId,
+          discord_username: entry.discord_username,
+          reason: `${entry.reason || 'Whitelist'} (transferred from ${fromSteamId})`,
+          duration_value: remainingHours,
+          duration_type: remainingHours === null ? null : 'hours',
+          granted_by: actor.actorId,
+          source: entry.source,
+          server_ids: entry.server_ids,
+          metadata: {
+            ...(entry.metadata || {}),
+            transfer_id: transferId,
+            transferred_from: { steamid64: fromSteamId, entry_id: entry.id }
+          },
+          transaction
+        });
+
+        // transferred_at is what the cooldown is read from
+        await Whitelist.update({
+          metadata: {
+            ...(entry.metadata || {}),
+            transfer_id: transferId,
+            transferred_at: now.toISOString(),
+            transferred_to: { steamid64: toSteamId, entry_id: newEntry.id }
+          }
+        }, {
+          where: { id: entry.id },
+          transaction
+        });
+
+        // Keep donation refunds pointing at the entry that now holds the time
+        if (entry.metadata?.donation_id) {
+          await this.relinkDonationEntry(entry.metadata.donation_id, entry.id, newEntry.id, transaction);
+        }
+
+        moved.push({
+          fromEntryId: entry.id,
+          toEntryId: newEntry.id,
+          source: entry.source,
+          remainingHours
+        });
+      }
+
+      return moved;
+    });
+
+    if (transferred.length === 0) {
+      return { success: false, error: 'Entries were revoked or transferred by someone else' };
+    }
+
+    await this.audit(transferId, fromSteamId, toSteamId, transferred, reason, actor);
+
+    logger.info('Whitelist transferred', {
+      transferId,
+      fromSteamId,
+      toSteamId,
+      entries: transferred.length,
+      transferredBy: actor.actorName
+    });
+
+    return { success: true, transferId, transferred };
+  }
+
+  /**
+   * Point a donation's ledger row at the entry its time was transferred to
+   */
+  async relinkDonationEntry(donationId, oldEntryId, newEntryId, transaction = null) {
+    const donation = await Donation.findByPk(donationId, { transaction });
+    if (!donation) {
+      return;
+    }
+
+    await donation.update({
+      whitelist_ids: donation.whitelist_ids.map(id => (id === oldEntryId ? newEntryId : id))
+    }, { transaction });
+  }
+
+  /**
+   * Write the paired audit records for a transfer
+   * The outgoing record uses the transfer ID as its actionId and the incoming record
+   * points back to it, so either side can be looked up from the other.
+   */
+  async audit(transferId, fromSteamId, toSteamId, transferred, reason, actor) {
+    const permanent = transferred.some(item => item.remainingHours === null);
+    const totalHours = transferred.reduce((sum, item) => sum + (item.remainingHours || 0), 0);
+    const durationText = permanent ? 'permanent' : `${Math.round(totalHours / 24)} days`;
+
+    const shared = {
+      actorType: actor.actorType,
+      actorId: actor.actorId,
+      actorName: actor.actorName,
+      guildId: actor.guildId || null,
+      channelId: actor.channelId || null,
+      targetType: 'player',
+      metadata: { transferId, fromSteamId, toSteamId, reason: reason || null, entries: transferred }
+    };
+
+    try {
+      await AuditLog.logAction({
+        ...shared,
+        actionId: transferId,
+        actionType: 'whitelist_transfer_out',
+        targetId: fromSteamId,
+        targetName: fromSteamId,
+        description: `Transferred ${transferred.length} whitelist entr${transferred.length === 1 ? 'y' : 'ies'} (${durationText}) to ${toSteamId}${reason ? `: ${reason}` : ''}`,
+        beforeState: { entryIds: transferred.map(item => item.fromEntryId) }
+      });
+
+      await AuditLog.logAction({
+        ...shared,
+        relatedActionId: transferId,
+        actionType: 'whitelist_transfer_in',
+        targetId: toSteamId,
+        targetName: toSteamId,
+        description: `Received ${transferred.length} whitelist entr${transferred.length === 1 ? 'y' : 'ies'} (${durationText}) from ${fromSteamId}${reason ? `: ${reason}` : ''}`,
+        afterState: { entryIds: transferred.map(item => item.toEntryId) }
+      });
+    } catch (error) {
+      logger.error('Failed to write whitelist transfer audit log', { transferId, error: error.message });
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getWhitelistTransferService() {
+  if (!instance) {
+    instance = new WhitelistTransferService();
+  }
+  return instance;
+}
+
+module.exports = {
+  WhitelistTransferService,
+  getWhitelistTransferService,
+  TRANSFER_COOLDOWN_DAYS
+};